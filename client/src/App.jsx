@@ -69,6 +69,23 @@ import ManageUsers from './pages/admin/ManageUsers';
 import Reports from './pages/admin/Reports';
 // Audit logs page for viewing system activity
 import AuditLogs from './pages/admin/AuditLogs';
+// Pricing rules page for seasonal, weekend, and length-of-rental rates
+import PricingRules from './pages/admin/PricingRules';
+// Promo codes page for checkout discount codes
+import PromoCodes from './pages/admin/PromoCodes';
+// Taxes and fees page for location tax configurations
+import TaxConfigs from './pages/admin/TaxConfigs';
+import ManageLocations from './pages/admin/ManageLocations';
+// Cancellation policies page for managing refund rules
+import CancellationPolicies from './pages/admin/CancellationPolicies';
+// Claims page for damage and incidental charges
+import ManageClaims from './pages/admin/ManageClaims';
+// Waitlist page for customers waiting for cars to free up
+import Waitlist from './pages/admin/Waitlist';
+// Webhook events page for inspecting and replaying payment provider events
+import WebhookEvents from './pages/admin/WebhookEvents';
+// Payment ledger page for daily reconciliation against the payment provider
+import Ledger from './pages/admin/Ledger';
 
 /**
  * Main App component
@@ -208,6 +225,87 @@ function App() {
               </AdminRoute>
             }
           />
+          {/* Admin pricing rules route */}
+          <Route
+            path="/admin/pricing-rules"
+            element={
+              <AdminRoute>
+                <PricingRules />
+              </AdminRoute>
+            }
+          />
+          {/* Admin promo codes route */}
+          <Route
+            path="/admin/promo-codes"
+            element={
+              <AdminRoute>
+                <PromoCodes />
+              </AdminRoute>
+            }
+          />
+          {/* Admin locations route */}
+          <Route
+            path="/admin/locations"
+            element={
+              <AdminRoute>
+                <ManageLocations />
+              </AdminRoute>
+            }
+          />
+          {/* Admin taxes and fees route */}
+          <Route
+            path="/admin/tax-configs"
+            element={
+              <AdminRoute>
+                <TaxConfigs />
+              </AdminRoute>
+            }
+          />
+          {/* Admin cancellation policies route */}
+          <Route
+            path="/admin/cancellation-policies"
+            element={
+              <AdminRoute>
+                <CancellationPolicies />
+              </AdminRoute>
+            }
+          />
+          {/* Admin claims route - damage and incidental charges */}
+          <Route
+            path="/admin/claims"
+            element={
+              <AdminRoute>
+                <ManageClaims />
+              </AdminRoute>
+            }
+          />
+          {/* Admin waitlist route - customers waiting for cars to free up */}
+          <Route
+            path="/admin/waitlist"
+            element={
+              <AdminRoute>
+                <Waitlist />
+              </AdminRoute>
+            }
+          />
+          {/* Admin webhook events route - payment provider events and replays */}
+          <Route
+            path="/admin/webhook-events"
+            element={
+              <AdminRoute>
+                <WebhookEvents />
+              </AdminRoute>
+            }
+          />
+          {/* Admin payment ledger route - daily reconciliation and transactions */}
+          <Route
+            path="/admin/ledger"
+            element={
+              <AdminRoute>
+                <Ledger />
+              </AdminRoute>
+            }
+          />
 
           {/* ============================================ */}
           {/* 404 CATCH-ALL ROUTE */}
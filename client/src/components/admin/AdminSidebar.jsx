@@ -13,7 +13,8 @@ import { Nav } from 'react-bootstrap';
 // Icon components for menu items
 import {
   FaTachometerAlt, FaCar, FaCalendarCheck, FaUsers,
-  FaChartBar, FaHistory, FaCog, FaSignOutAlt, FaCarSide
+  FaChartBar, FaHistory, FaCog, FaSignOutAlt, FaCarSide, FaUndo, FaTags, FaTicketAlt, FaPercent,
+  FaMapMarkerAlt, FaFileInvoiceDollar, FaHourglassHalf, FaExchangeAlt, FaBalanceScale
 } from 'react-icons/fa';
 // Auth context hook for logout functionality
 import { useAuth } from '../../context/AuthContext';
@@ -45,7 +46,16 @@ const AdminSidebar = () => {
     { path: '/admin/cars', icon: FaCar, label: 'Manage Cars' },                   // Car management
     { path: '/admin/bookings', icon: FaCalendarCheck, label: 'Bookings' },        // Booking management
     { path: '/admin/users', icon: FaUsers, label: 'Users' },                      // User management
+    { path: '/admin/claims', icon: FaFileInvoiceDollar, label: 'Claims' },        // Damage and incidental charges
+    { path: '/admin/waitlist', icon: FaHourglassHalf, label: 'Waitlist' },        // Customers waiting for cars
+    { path: '/admin/pricing-rules', icon: FaTags, label: 'Pricing Rules' },       // Rate rules
+    { path: '/admin/promo-codes', icon: FaTicketAlt, label: 'Promo Codes' },      // Discount codes
+    { path: '/admin/locations', icon: FaMapMarkerAlt, label: 'Locations' },      // Pickup branches
+    { path: '/admin/tax-configs', icon: FaPercent, label: 'Taxes & Fees' },       // Location taxes
+    { path: '/admin/cancellation-policies', icon: FaUndo, label: 'Cancellation' }, // Refund policies
     { path: '/admin/reports', icon: FaChartBar, label: 'Reports' },               // Analytics reports
+    { path: '/admin/ledger', icon: FaBalanceScale, label: 'Ledger' },            // Payment ledger reconciliation
+    { path: '/admin/webhook-events', icon: FaExchangeAlt, label: 'Webhooks' },   // Payment provider events
     { path: '/admin/audit-logs', icon: FaHistory, label: 'Audit Logs' }           // Activity logs
   ];
 
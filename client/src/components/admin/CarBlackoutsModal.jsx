@@ -0,0 +1,268 @@
+// ============================================
+// CAR BLACKOUTS MODAL COMPONENT
+// Lets an admin take a car out of service (maintenance, recall, staff use)
+// and flags blackouts that overlap existing bookings
+// ============================================
+
+// React core with useState for form state and useEffect for data fetching
+import React, { useState, useEffect, useCallback } from 'react';
+// Bootstrap components for modal, table, form, and layout
+import { Modal, Button, Form, Row, Col, Table, Badge, Alert, Spinner } from 'react-bootstrap';
+// Icon components for buttons and warnings
+import { FaEdit, FaTrash, FaExclamationTriangle } from 'react-icons/fa';
+// Toast notifications for user feedback
+import { toast } from 'react-toastify';
+// API service for admin HTTP requests
+import { adminAPI } from '../../services/api';
+// Booking time helpers (blackout times are local to the car's location)
+import { formatRentalTime, toPickerDate, toRentalTime } from '../../utils/rentalTime';
+
+// Labels for blackout reasons
+const reasonLabels = {
+  maintenance: 'Maintenance',
+  recall: 'Recall',
+  staff: 'Staff use'
+};
+
+// Empty form used when adding a blackout
+const emptyForm = { reason: 'maintenance', startDate: '', endDate: '', notes: '' };
+
+/**
+ * CarBlackoutsModal Component
+ * @param {Object} props - Component props
+ * @param {Object} props.car - Car whose blackouts are managed (null when closed)
+ * @param {boolean} props.show - Whether the modal is visible
+ * @param {Function} props.onHide - Called when the modal closes
+ */
+const CarBlackoutsModal = ({ car, show, onHide }) => {
+  // Upcoming blackouts for the car, each with its conflicting bookings
+  const [blackouts, setBlackouts] = useState([]);
+  // Loading state while fetching blackouts
+  const [loading, setLoading] = useState(false);
+  // Blackout being edited (null when adding new)
+  const [editingBlackout, setEditingBlackout] = useState(null);
+  // Form values for the add/edit form
+  const [formData, setFormData] = useState(emptyForm);
+  // Loading state during form submission
+  const [saving, setSaving] = useState(false);
+
+  // Fetches the car's upcoming blackouts
+  const fetchBlackouts = useCallback(async () => {
+    if (!car) return;
+    setLoading(true);
+    try {
+      const response = await adminAPI.getBlackouts({ car: car._id, upcoming: true });
+      setBlackouts(response.data.data.blackouts);
+    } catch (error) {
+      toast.error('Error loading blackouts');
+    } finally {
+      setLoading(false);
+    }
+  }, [car]);
+
+  // Reload and reset the form whenever the modal opens
+  useEffect(() => {
+    if (show) {
+      fetchBlackouts();
+      setEditingBlackout(null);
+      setFormData(emptyForm);
+    }
+  }, [show, fetchBlackouts]);
+
+  // Timezone the car's blackout times are entered and shown in
+  const timezoneOf = (blackout) => blackout.car?.currentLocation?.timezone;
+
+  // Handles changes to form fields
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Fills the form with a blackout's values for editing
+  const handleEdit = (blackout) => {
+    const timezone = timezoneOf(blackout);
+    setEditingBlackout(blackout);
+    setFormData({
+      reason: blackout.reason,
+      startDate: toRentalTime(toPickerDate(blackout.startDate, timezone)),
+      endDate: toRentalTime(toPickerDate(blackout.endDate, timezone)),
+      notes: blackout.notes || ''
+    });
+  };
+
+  // Saves the blackout (create or update) and warns about conflicting bookings
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const submitData = { ...formData, car: car._id };
+      const response = editingBlackout
+        ? await adminAPI.updateBlackout(editingBlackout._id, submitData)
+        : await adminAPI.createBlackout(submitData);
+
+      if (response.data.data.conflicts.length > 0) {
+        toast.warning(response.data.message);
+      } else {
+        toast.success(response.data.message);
+      }
+
+      setEditingBlackout(null);
+      setFormData(emptyForm);
+      fetchBlackouts();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error saving blackout');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Deletes a blackout after confirmation
+  const handleDelete = async (blackout) => {
+    if (!window.confirm('Delete this blackout? The car will be bookable for these dates again.')) return;
+
+    try {
+      await adminAPI.deleteBlackout(blackout._id);
+      toast.success('Blackout deleted successfully');
+      fetchBlackouts();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error deleting blackout');
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg">
+      <Modal.Header closeButton>
+        <Modal.Title>Blackouts{car && ` - ${car.brand} ${car.model}`}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {/* Upcoming blackouts */}
+        {loading ? (
+          <div className="text-center py-3"><Spinner animation="border" size="sm" /></div>
+        ) : blackouts.length > 0 ? (
+          <Table size="sm" className="mb-4">
+            <thead>
+              <tr>
+                <th>Reason</th>
+                <th>From</th>
+                <th>Until</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {blackouts.map(blackout => (
+                <React.Fragment key={blackout._id}>
+                  <tr>
+                    <td>
+                      <Badge bg="secondary">{reasonLabels[blackout.reason]}</Badge>
+                      {blackout.notes && <div className="small text-muted">{blackout.notes}</div>}
+                    </td>
+                    <td className="small">{formatRentalTime(blackout.startDate, timezoneOf(blackout))}</td>
+                    <td className="small">{formatRentalTime(blackout.endDate, timezoneOf(blackout))}</td>
+                    <td className="text-end">
+                      <Button variant="light" size="sm" className="me-2" onClick={() => handleEdit(blackout)}>
+                        <FaEdit />
+                      </Button>
+                      <Button variant="light" size="sm" className="text-danger" onClick={() => handleDelete(blackout)}>
+                        <FaTrash />
+                      </Button>
+                    </td>
+                  </tr>
+                  {/* Bookings still holding the car during the blackout */}
+                  {blackout.conflicts.length > 0 && (
+                    <tr>
+                      <td colSpan="4" className="border-top-0 pt-0">
+                        <Alert variant="warning" className="py-2 mb-0 small">
+                          <FaExclamationTriangle className="me-2" />
+                          Conflicts with {blackout.conflicts.length} booking(s):
+                          {blackout.conflicts.map(booking => (
+                            <div key={booking._id}>
+                              {booking.user?.name || 'Customer'} ({booking.status}),{' '}
+                              {formatRentalTime(booking.startDate, booking.timezone)} -{' '}
+                              {formatRentalTime(booking.endDate, booking.timezone)}
+                            </div>
+                          ))}
+                        </Alert>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </Table>
+        ) : (
+          <p className="text-muted">No upcoming blackouts for this car.</p>
+        )}
+
+        {/* Add/Edit blackout form */}
+        <h6>{editingBlackout ? 'Edit Blackout' : 'Add Blackout'}</h6>
+        <Form onSubmit={handleSubmit}>
+          <Row className="g-3">
+            <Col md={4}>
+              <Form.Group>
+                <Form.Label>Reason</Form.Label>
+                <Form.Select name="reason" value={formData.reason} onChange={handleChange}>
+                  {Object.entries(reasonLabels).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={4}>
+              <Form.Group>
+                <Form.Label>From</Form.Label>
+                <Form.Control
+                  type="datetime-local"
+                  name="startDate"
+                  value={formData.startDate}
+                  onChange={handleChange}
+                  required
+                />
+              </Form.Group>
+            </Col>
+            <Col md={4}>
+              <Form.Group>
+                <Form.Label>Until</Form.Label>
+                <Form.Control
+                  type="datetime-local"
+                  name="endDate"
+                  value={formData.endDate}
+                  onChange={handleChange}
+                  required
+                />
+              </Form.Group>
+            </Col>
+            <Col md={12}>
+              <Form.Group>
+                <Form.Label>Notes</Form.Label>
+                <Form.Control
+                  name="notes"
+                  value={formData.notes}
+                  onChange={handleChange}
+                  placeholder="e.g., Brake pads and tyre rotation"
+                  maxLength={500}
+                />
+                <Form.Text className="text-muted">
+                  Times are local to the car's current location. Existing bookings are not cancelled.
+                </Form.Text>
+              </Form.Group>
+            </Col>
+          </Row>
+          <div className="d-flex justify-content-end gap-2 mt-3">
+            {editingBlackout && (
+              <Button variant="secondary" onClick={() => { setEditingBlackout(null); setFormData(emptyForm); }}>
+                Cancel Edit
+              </Button>
+            )}
+            <Button type="submit" variant="primary" disabled={saving}>
+              {saving ? 'Saving...' : (editingBlackout ? 'Save Blackout' : 'Add Blackout')}
+            </Button>
+          </div>
+        </Form>
+      </Modal.Body>
+    </Modal>
+  );
+};
+
+// Export CarBlackoutsModal component
+export default CarBlackoutsModal;
@@ -0,0 +1,270 @@
+// ============================================
+// HANDOVER MODAL COMPONENT
+// Check-out and check-in forms recording the car's odometer, fuel level,
+// damage checklist, and photos when it is handed over and returned
+// ============================================
+
+// React core with useState for form state and useEffect for data fetching
+import React, { useState, useEffect } from 'react';
+// Bootstrap components for modal, table, form, and layout
+import { Modal, Button, Form, Row, Col, Table, Alert, Spinner } from 'react-bootstrap';
+// Toast notifications for user feedback
+import { toast } from 'react-toastify';
+// API service for booking HTTP requests
+import { bookingsAPI } from '../../services/api';
+// Shows the booked return time in the booking's local timezone
+import { formatRentalTime } from '../../utils/rentalTime';
+
+// Areas of the car covered by the damage checklist
+export const damageAreaLabels = {
+  front: 'Front',
+  rear: 'Rear',
+  left: 'Left side',
+  right: 'Right side',
+  roof: 'Roof',
+  windshield: 'Windshield & windows',
+  wheels: 'Wheels & tyres',
+  interior: 'Interior'
+};
+
+// Checklist with every area undamaged
+const emptyChecklist = () => Object.keys(damageAreaLabels).map(area => ({ area, damaged: false, notes: '' }));
+
+/**
+ * HandoverModal Component
+ * @param {Object} props - Component props
+ * @param {Object} props.booking - Booking being handed over (null when closed)
+ * @param {string} props.type - 'checkout' (pickup) or 'checkin' (return)
+ * @param {boolean} props.show - Whether the modal is visible
+ * @param {Function} props.onHide - Called when the modal closes
+ * @param {Function} props.onComplete - Called with the updated booking after a successful handover
+ */
+const HandoverModal = ({ booking, type, show, onHide, onComplete }) => {
+  // Check-out inspection to compare against when checking in
+  const [checkOut, setCheckOut] = useState(null);
+  // Loading state while fetching the check-out inspection
+  const [loading, setLoading] = useState(false);
+  // Readings entered by staff
+  const [formData, setFormData] = useState({ odometer: '', fuelLevel: 100, notes: '' });
+  // Damage checklist entries
+  const [checklist, setChecklist] = useState(emptyChecklist());
+  // Photo URLs, one per line
+  const [photos, setPhotos] = useState('');
+  // Loading state during submission
+  const [saving, setSaving] = useState(false);
+
+  const isCheckIn = type === 'checkin';
+
+  // Reset the form whenever the modal opens; check-in starts from the check-out readings
+  useEffect(() => {
+    if (!show || !booking) return;
+
+    setFormData({ odometer: '', fuelLevel: 100, notes: '' });
+    setChecklist(emptyChecklist());
+    setPhotos('');
+    setCheckOut(null);
+
+    if (isCheckIn) {
+      setLoading(true);
+      bookingsAPI.getInspections(booking._id)
+        .then(response => {
+          const recorded = response.data.data.checkOut;
+          setCheckOut(recorded);
+          // Damage already noted at pickup stays on the checklist
+          if (recorded) {
+            setChecklist(emptyChecklist().map(item => (
+              recorded.checklist.find(entry => entry.area === item.area && entry.damaged) || item
+            )));
+          }
+        })
+        .catch(() => toast.error('Error loading check-out inspection'))
+        .finally(() => setLoading(false));
+    }
+  }, [show, booking, isCheckIn]);
+
+  // Handles changes to reading fields
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Updates one checklist entry
+  const handleChecklistChange = (area, field, value) => {
+    setChecklist(prev => prev.map(item => (item.area === area ? { ...item, [field]: value } : item)));
+  };
+
+  // Records the inspection and moves the booking on
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const submitData = {
+        odometer: Number(formData.odometer),
+        fuelLevel: Number(formData.fuelLevel),
+        checklist: checklist.map(item => ({
+          area: item.area,
+          damaged: item.damaged,
+          notes: item.damaged ? item.notes : ''
+        })),
+        photos: photos.split('\n').map(url => url.trim()).filter(Boolean),
+        notes: formData.notes
+      };
+      const response = isCheckIn
+        ? await bookingsAPI.checkIn(booking._id, submitData)
+        : await bookingsAPI.checkOut(booking._id, submitData);
+
+      const { inspection } = response.data.data;
+      if (inspection.newDamage?.length > 0) {
+        toast.warning(`New damage noted: ${inspection.newDamage.map(area => damageAreaLabels[area]).join(', ')}`);
+      }
+      toast.success(response.data.message);
+      onComplete(response.data.data.booking);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.errors?.[0]?.message ||
+        error.response?.data?.message ||
+        'Error recording inspection'
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg">
+      <Modal.Header closeButton>
+        <Modal.Title>
+          {isCheckIn ? 'Check In' : 'Check Out'}
+          {booking && ` - ${booking.car?.brand} ${booking.car?.model}`}
+        </Modal.Title>
+      </Modal.Header>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Body>
+          {loading ? (
+            <div className="text-center py-3"><Spinner animation="border" size="sm" /></div>
+          ) : (
+            <>
+              {/* Returned after the booked return time - a late fee may apply */}
+              {isCheckIn && booking && new Date(booking.endDate) < new Date() && (
+                <Alert variant="danger" className="small">
+                  This car was due back at {formatRentalTime(booking.endDate, booking.timezone)}.
+                  {' '}A late fee is charged if the return is past the grace period.
+                </Alert>
+              )}
+
+              {/* Readings taken at pickup, for comparison */}
+              {isCheckIn && (checkOut ? (
+                <Alert variant="light" className="small">
+                  Checked out at <strong>{checkOut.odometer} mi</strong> with{' '}
+                  <strong>{checkOut.fuelLevel}%</strong> fuel
+                  {checkOut.staff?.name && ` by ${checkOut.staff.name}`}.
+                  {' '}Excess mileage and missing fuel are charged to the card on file automatically.
+                </Alert>
+              ) : (
+                <Alert variant="warning" className="small">
+                  No check-out inspection was recorded, so mileage and fuel charges cannot be calculated.
+                </Alert>
+              ))}
+
+              {/* Odometer and fuel readings */}
+              <Row className="g-3 mb-3">
+                <Col md={6}>
+                  <Form.Group>
+                    <Form.Label>Odometer (miles)</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min={checkOut?.odometer ?? 0}
+                      name="odometer"
+                      value={formData.odometer}
+                      onChange={handleChange}
+                      required
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={6}>
+                  <Form.Group>
+                    <Form.Label>
+                      {booking?.car?.fuelType === 'electric' ? 'Charge level' : 'Fuel level'}: {formData.fuelLevel}%
+                    </Form.Label>
+                    <Form.Range
+                      min={0}
+                      max={100}
+                      step={5}
+                      name="fuelLevel"
+                      value={formData.fuelLevel}
+                      onChange={handleChange}
+                    />
+                  </Form.Group>
+                </Col>
+              </Row>
+
+              {/* Damage checklist */}
+              <h6>Damage Checklist</h6>
+              <Table size="sm" className="mb-3">
+                <tbody>
+                  {checklist.map(item => (
+                    <tr key={item.area}>
+                      <td style={{ width: '35%' }}>
+                        <Form.Check
+                          type="checkbox"
+                          id={`damage-${item.area}`}
+                          label={damageAreaLabels[item.area]}
+                          checked={item.damaged}
+                          onChange={(e) => handleChecklistChange(item.area, 'damaged', e.target.checked)}
+                        />
+                      </td>
+                      <td>
+                        {item.damaged && (
+                          <Form.Control
+                            size="sm"
+                            value={item.notes || ''}
+                            onChange={(e) => handleChecklistChange(item.area, 'notes', e.target.value)}
+                            placeholder="Describe the damage"
+                            maxLength={200}
+                          />
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+
+              {/* Photos and notes */}
+              <Form.Group className="mb-3">
+                <Form.Label>Photo URLs</Form.Label>
+                <Form.Control
+                  as="textarea"
+                  rows={2}
+                  value={photos}
+                  onChange={(e) => setPhotos(e.target.value)}
+                  placeholder="One URL per line"
+                />
+              </Form.Group>
+              <Form.Group>
+                <Form.Label>Notes</Form.Label>
+                <Form.Control
+                  name="notes"
+                  value={formData.notes}
+                  onChange={handleChange}
+                  maxLength={500}
+                />
+              </Form.Group>
+            </>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="primary" disabled={saving || loading}>
+            {saving ? 'Saving...' : (isCheckIn ? 'Check In & Complete' : 'Check Out & Start Rental')}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+// Export HandoverModal component
+export default HandoverModal;
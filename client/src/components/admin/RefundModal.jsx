@@ -0,0 +1,231 @@
+// ============================================
+// REFUND MODAL COMPONENT
+// Lets an admin return part or all of a booking's payment, showing what has
+// been captured and refunded already so the total never exceeds the payment
+// ============================================
+
+// React core with useState for form state and useEffect for data fetching
+import React, { useState, useEffect, useCallback } from 'react';
+// Bootstrap components for modal, table, form, and layout
+import { Modal, Button, Form, Row, Col, Table, Badge, Spinner, InputGroup } from 'react-bootstrap';
+// Toast notifications for user feedback
+import { toast } from 'react-toastify';
+// API service for payment HTTP requests
+import { paymentsAPI } from '../../services/api';
+
+// Labels for what a refund was for
+const typeLabels = {
+  cancellation: 'Cancellation',
+  modification: 'Booking change',
+  hold_expired: 'Hold expired',
+  manual: 'Manual',
+  external: 'Provider dashboard'
+};
+
+// Badge colours for refund statuses
+const statusColors = {
+  pending: 'warning',
+  succeeded: 'success',
+  failed: 'danger'
+};
+
+// Empty form used each time the modal opens
+const emptyForm = { amount: '', reason: '', cancelBooking: false };
+
+/**
+ * RefundModal Component
+ * @param {Object} props - Component props
+ * @param {Object} props.booking - Booking being refunded (null when closed)
+ * @param {boolean} props.show - Whether the modal is visible
+ * @param {Function} props.onHide - Called when the modal closes
+ * @param {Function} props.onComplete - Called with the updated booking after a refund
+ */
+const RefundModal = ({ booking, show, onHide, onComplete }) => {
+  // Refund ledger with the captured, refunded, and refundable amounts
+  const [summary, setSummary] = useState(null);
+  // Loading state while fetching the ledger
+  const [loading, setLoading] = useState(false);
+  // Form values for the new refund
+  const [formData, setFormData] = useState(emptyForm);
+  // Loading state during form submission
+  const [saving, setSaving] = useState(false);
+
+  // Fetches the booking's refunds and what is left to refund
+  const fetchRefunds = useCallback(async () => {
+    if (!booking) return;
+    setLoading(true);
+    try {
+      const response = await paymentsAPI.getRefunds(booking._id);
+      setSummary(response.data.data);
+      // Default to refunding everything that's left
+      setFormData(prev => ({ ...prev, amount: response.data.data.refundable.toFixed(2) }));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error loading refunds');
+    } finally {
+      setLoading(false);
+    }
+  }, [booking]);
+
+  // Reload and reset the form whenever the modal opens
+  useEffect(() => {
+    if (show) {
+      setSummary(null);
+      setFormData(emptyForm);
+      fetchRefunds();
+    }
+  }, [show, fetchRefunds]);
+
+  // Handles changes to form fields
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  // Issues the refund after confirmation
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const amount = parseFloat(formData.amount);
+    const action = formData.cancelBooking ? ' and cancel the booking' : '';
+    if (!window.confirm(`Refund $${amount.toFixed(2)} to the customer${action}? This cannot be undone.`)) return;
+
+    setSaving(true);
+    try {
+      const response = await paymentsAPI.refund(booking._id, {
+        amount,
+        reason: formData.reason,
+        cancelBooking: formData.cancelBooking
+      });
+      toast.success(response.data.message);
+      onComplete(response.data.data.booking);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error processing refund');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Whether the booking can still be cancelled along with the refund
+  const canCancel = booking?.allowedTransitions?.includes('cancelled');
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg">
+      <Modal.Header closeButton>
+        <Modal.Title>Refund</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {loading || !summary ? (
+          <div className="text-center py-3"><Spinner animation="border" size="sm" /></div>
+        ) : (
+          <>
+            {/* Payment totals */}
+            <Row className="text-center mb-3">
+              <Col>
+                <small className="text-muted d-block">Captured</small>
+                <strong>${summary.captured.toFixed(2)}</strong>
+              </Col>
+              <Col>
+                <small className="text-muted d-block">Refunded</small>
+                <strong>${summary.refunded.toFixed(2)}</strong>
+              </Col>
+              <Col>
+                <small className="text-muted d-block">Refundable</small>
+                <strong className="text-success">${summary.refundable.toFixed(2)}</strong>
+              </Col>
+            </Row>
+
+            {/* Refunds already made */}
+            {summary.refunds.length > 0 ? (
+              <Table size="sm" className="mb-4">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Amount</th>
+                    <th>Type</th>
+                    <th>Reason</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.refunds.map(refund => (
+                    <tr key={refund._id}>
+                      <td className="small">{new Date(refund.createdAt).toLocaleString()}</td>
+                      <td>${refund.amount.toFixed(2)}</td>
+                      <td className="small">{typeLabels[refund.type] || refund.type}</td>
+                      <td className="small">
+                        {refund.reason || '-'}
+                        {refund.createdBy && <div className="text-muted">by {refund.createdBy.name}</div>}
+                      </td>
+                      <td>
+                        <Badge bg={statusColors[refund.status] || 'secondary'}>{refund.status}</Badge>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            ) : (
+              <p className="text-muted">Nothing has been refunded on this booking yet.</p>
+            )}
+
+            {/* New refund form */}
+            {summary.refundable > 0 ? (
+              <Form onSubmit={handleSubmit}>
+                <h6>New Refund</h6>
+                <Row className="g-3">
+                  <Col md={4}>
+                    <Form.Label className="small">Amount</Form.Label>
+                    <InputGroup>
+                      <InputGroup.Text>$</InputGroup.Text>
+                      <Form.Control
+                        type="number"
+                        name="amount"
+                        min="0.01"
+                        max={summary.refundable}
+                        step="0.01"
+                        value={formData.amount}
+                        onChange={handleChange}
+                        required
+                      />
+                    </InputGroup>
+                  </Col>
+                  <Col md={8}>
+                    <Form.Label className="small">Reason</Form.Label>
+                    <Form.Control
+                      type="text"
+                      name="reason"
+                      maxLength={200}
+                      placeholder="e.g. Child seat not provided"
+                      value={formData.reason}
+                      onChange={handleChange}
+                      required
+                    />
+                  </Col>
+                </Row>
+                {canCancel && (
+                  <Form.Check
+                    type="checkbox"
+                    id="refund-cancel-booking"
+                    name="cancelBooking"
+                    className="mt-3"
+                    label="Also cancel the booking"
+                    checked={formData.cancelBooking}
+                    onChange={handleChange}
+                  />
+                )}
+                <div className="text-end mt-3">
+                  <Button type="submit" variant="danger" disabled={saving}>
+                    {saving ? 'Refunding...' : 'Issue Refund'}
+                  </Button>
+                </div>
+              </Form>
+            ) : (
+              <p className="text-muted small mb-0">The payment has been refunded in full.</p>
+            )}
+          </>
+        )}
+      </Modal.Body>
+    </Modal>
+  );
+};
+
+// Export RefundModal component
+export default RefundModal;
@@ -0,0 +1,118 @@
+// ============================================
+// DRIVERS FORM COMPONENT
+// Collects the primary driver and any additional drivers for a booking,
+// and explains the car's driver rules and why a driver isn't eligible
+// ============================================
+
+// React core
+import React from 'react';
+// Bootstrap components for the form layout
+import { Row, Col, Form, Button, Alert } from 'react-bootstrap';
+// Icons for adding and removing drivers
+import { FaUserPlus, FaTimes } from 'react-icons/fa';
+
+// Empty details for a newly added driver
+export const emptyDriver = { name: '', dateOfBirth: '', licenseNumber: '', licensedSince: '' };
+
+// Whether every field of a driver has been filled in
+export const isDriverComplete = (driver) => (
+  Boolean(driver.name.trim() && driver.dateOfBirth && driver.licenseNumber.trim() && driver.licensedSince)
+);
+
+/**
+ * DriversForm Component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.drivers - Drivers (primary driver first)
+ * @param {Function} props.onChange - Called with the updated drivers array
+ * @param {Object} [props.rules] - Driver rules from the price quote (minAge, minYearsLicensed,
+ *   youngDriverAge, youngDriverSurcharge, additionalDriverFee, maxAdditionalDrivers)
+ * @param {string[]} [props.errors] - Eligibility problems from the price quote
+ */
+const DriversForm = ({ drivers, onChange, rules, errors = [] }) => {
+  // Updates one field of one driver
+  const handleField = (index, field) => (e) => {
+    onChange(drivers.map((driver, i) => (i === index ? { ...driver, [field]: e.target.value } : driver)));
+  };
+
+  return (
+    <>
+      {/* The car type's rules, so customers know before they fill anything in */}
+      {rules && (
+        <p className="small text-muted">
+          Drivers must be at least {rules.minAge} and have held a license for {rules.minYearsLicensed}{' '}
+          year{rules.minYearsLicensed === 1 ? '' : 's'}.
+          {rules.youngDriverSurcharge > 0 &&
+            ` Drivers under ${rules.youngDriverAge} pay a $${rules.youngDriverSurcharge}/day young-driver surcharge.`}
+          {rules.additionalDriverFee > 0 && ` Additional drivers are $${rules.additionalDriverFee}/day each.`}
+        </p>
+      )}
+
+      {drivers.map((driver, index) => (
+        <div key={index} className={index > 0 ? 'border-top pt-3 mt-3' : ''}>
+          <div className="d-flex justify-content-between align-items-center mb-2">
+            <h6 className="mb-0">{index === 0 ? 'Primary driver' : `Additional driver ${index}`}</h6>
+            {index > 0 && (
+              <Button
+                variant="link"
+                size="sm"
+                className="text-danger p-0"
+                onClick={() => onChange(drivers.filter((_, i) => i !== index))}
+              >
+                <FaTimes className="me-1" /> Remove
+              </Button>
+            )}
+          </div>
+          <Row className="g-2">
+            <Col md={6}>
+              <Form.Control
+                placeholder="Full name (as on license)"
+                maxLength={100}
+                value={driver.name}
+                onChange={handleField(index, 'name')}
+              />
+            </Col>
+            <Col md={6}>
+              <Form.Control
+                placeholder="License number"
+                maxLength={50}
+                value={driver.licenseNumber}
+                onChange={handleField(index, 'licenseNumber')}
+              />
+            </Col>
+            <Col md={6}>
+              <Form.Label className="small text-muted mb-0">Date of birth</Form.Label>
+              <Form.Control type="date" value={driver.dateOfBirth} onChange={handleField(index, 'dateOfBirth')} />
+            </Col>
+            <Col md={6}>
+              <Form.Label className="small text-muted mb-0">First licensed</Form.Label>
+              <Form.Control type="date" value={driver.licensedSince} onChange={handleField(index, 'licensedSince')} />
+            </Col>
+          </Row>
+        </div>
+      ))}
+
+      {/* Reasons the booking would be rejected */}
+      {errors.length > 0 && (
+        <Alert variant="warning" className="py-2 small mt-3 mb-0">
+          <ul className="mb-0 ps-3">
+            {errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        </Alert>
+      )}
+
+      {(!rules || drivers.length - 1 < rules.maxAdditionalDrivers) && (
+        <Button
+          variant="outline-primary"
+          size="sm"
+          className="mt-3"
+          onClick={() => onChange([...drivers, { ...emptyDriver }])}
+        >
+          <FaUserPlus className="me-1" /> Add driver
+        </Button>
+      )}
+    </>
+  );
+};
+
+// Export the DriversForm component as the default export
+export default DriversForm;
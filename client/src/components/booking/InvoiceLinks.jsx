@@ -0,0 +1,97 @@
+// ============================================
+// INVOICE LINKS COMPONENT
+// Download buttons for a paid booking's invoice, the supplementary invoices
+// issued when its price went up, and the credit notes issued for its refunds
+// and price decreases
+// ============================================
+
+// React core library with hooks for loading the documents
+import React, { useState, useEffect } from 'react';
+// Bootstrap button for each document
+import { Button } from 'react-bootstrap';
+// Icons for invoices and credit notes
+import { FaFileInvoiceDollar, FaFileAlt } from 'react-icons/fa';
+// Toast notifications for download failures
+import { toast } from 'react-toastify';
+// API service for booking documents
+import { bookingsAPI } from '../../services/api';
+// PDF download helper and invoiced payment statuses
+import { hasInvoice, downloadPdf } from '../../utils/invoices';
+
+/**
+ * InvoiceLinks Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.booking - Booking (nothing is shown until it is paid)
+ * @param {string} [props.size] - Button size
+ */
+const InvoiceLinks = ({ booking, size }) => {
+  // Issued supplementary invoices (one per price increase)
+  const [supplementaryInvoices, setSupplementaryInvoices] = useState([]);
+  // Issued credit notes (one per refund or price decrease)
+  const [creditNotes, setCreditNotes] = useState([]);
+
+  // Load the later documents of bookings that have had refunds or price changes
+  useEffect(() => {
+    if (!hasInvoice(booking) || !(booking.refunds?.length || booking.adjustments?.length)) return;
+    let cancelled = false;
+    bookingsAPI.getInvoices(booking._id)
+      .then((response) => {
+        if (cancelled) return;
+        setSupplementaryInvoices(response.data.data.supplementaryInvoices);
+        setCreditNotes(response.data.data.creditNotes);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [booking]);
+
+  // Downloads a document, reporting failures
+  const handleDownload = async (request, fallbackName) => {
+    try {
+      await downloadPdf(request, fallbackName);
+    } catch (error) {
+      toast.error('Error downloading the document');
+    }
+  };
+
+  if (!hasInvoice(booking)) return null;
+
+  return (
+    <>
+      <Button
+        variant="outline-primary"
+        size={size}
+        onClick={() => handleDownload(bookingsAPI.getInvoicePdf(booking._id), 'invoice.pdf')}
+      >
+        <FaFileInvoiceDollar className="me-2" /> Invoice
+      </Button>
+      {supplementaryInvoices.map(invoice => (
+        <Button
+          key={invoice._id}
+          variant="outline-primary"
+          size={size}
+          title={`Supplementary invoice for a $${invoice.amount.toFixed(2)} price increase`}
+          onClick={() => handleDownload(bookingsAPI.getSupplementaryInvoicePdf(booking._id, invoice._id), `${invoice.number}.pdf`)}
+        >
+          <FaFileInvoiceDollar className="me-2" /> {invoice.number}
+        </Button>
+      ))}
+      {creditNotes.map(note => (
+        <Button
+          key={note._id}
+          variant="outline-secondary"
+          size={size}
+          title={`Credit note for a $${note.amount.toFixed(2)} ${note.refund ? 'refund' : 'price decrease'}`}
+          onClick={() => handleDownload(bookingsAPI.getCreditNotePdf(booking._id, note._id), `${note.number}.pdf`)}
+        >
+          <FaFileAlt className="me-2" /> {note.number}
+        </Button>
+      ))}
+    </>
+  );
+};
+
+// Export the InvoiceLinks component as the default export
+export default InvoiceLinks;
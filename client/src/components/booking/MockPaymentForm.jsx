@@ -0,0 +1,206 @@
+// ============================================
+// MOCK PAYMENT FORM COMPONENT
+// Payment form for the mock payment provider used in development, at checkout
+// and for the extra cost of a booking modification. Instead of a card, the
+// customer picks a test payment method that decides what happens: success, a
+// decline, a 3D Secure challenge, or a payment that is only confirmed later
+// by webhook
+// ============================================
+
+// React core with useState for form state
+import React, { useState } from 'react';
+// Bootstrap components for the form
+import { Form, Button, Alert } from 'react-bootstrap';
+// Icons for the pay button and 3D Secure challenge
+import { FaFlask, FaLock } from 'react-icons/fa';
+// Toast notifications for user feedback
+import { toast } from 'react-toastify';
+// API services for payment and booking requests
+import { paymentsAPI, bookingsAPI } from '../../services/api';
+
+// How often, and how many times, a processing payment is checked before giving up
+const POLL_INTERVAL_MS = 2000;
+const POLL_ATTEMPTS = 15;
+
+// Waits for the given number of milliseconds
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * MockPaymentForm Component
+ * @param {Object} props - Component props
+ * @param {Object} props.booking - Unpaid booking, or the booking a supplementary payment is for
+ * @param {Array<Object>} props.paymentMethods - Test payment methods ({ id, label }) from the payment config
+ * @param {Function} props.onSuccess - Called with the booking ID once it is paid
+ * @param {boolean} props.holdExpired - Whether the booking's hold on the car has lapsed
+ * @param {Object} [props.payment] - Supplementary payment to take instead of the booking's
+ *   total ({ amount, paymentIntentId }), e.g. a modification's extra cost
+ */
+const MockPaymentForm = ({ booking, paymentMethods, onSuccess, holdExpired, payment }) => {
+  // Test payment method to pay with
+  const [paymentMethod, setPaymentMethod] = useState(paymentMethods[0]?.id || '');
+  // Payment waiting for a 3D Secure answer (null when none)
+  const [challengeIntentId, setChallengeIntentId] = useState(null);
+  // Loading state during payment processing
+  const [loading, setLoading] = useState(false);
+  // Message while waiting for a processing payment to complete
+  const [processing, setProcessing] = useState(false);
+  // Error message to display to user
+  const [error, setError] = useState('');
+
+  // Shows a payment error
+  const showError = (message) => {
+    setError(message);
+    toast.error(message);
+  };
+
+  // Reads the payment's outcome from the booking: 'paid', 'failed', or anything else while processing
+  // A supplementary payment is settled on its adjustment, as the booking itself is already paid
+  const fetchPaymentStatus = async () => {
+    if (!payment) {
+      const response = await paymentsAPI.getStatus(booking._id);
+      return response.data.data.paymentStatus;
+    }
+    const response = await bookingsAPI.getById(booking._id);
+    const adjustment = response.data.data.booking.adjustments
+      ?.find(a => a.paymentIntentId === payment.paymentIntentId);
+    if (adjustment?.status === 'succeeded') return 'paid';
+    return ['failed', 'refunded'].includes(adjustment?.status) ? 'failed' : 'processing';
+  };
+
+  // Checks the booking until the webhook has recorded the payment's outcome
+  const waitForWebhook = async () => {
+    setProcessing(true);
+    try {
+      for (let attempt = 0; attempt < POLL_ATTEMPTS; attempt += 1) {
+        await wait(POLL_INTERVAL_MS);
+        const paymentStatus = await fetchPaymentStatus();
+        if (paymentStatus === 'paid') {
+          toast.success('Payment successful!');
+          onSuccess(booking._id);
+          return;
+        }
+        if (paymentStatus === 'failed') {
+          showError('Payment failed');
+          return;
+        }
+      }
+      showError('Your payment is still processing. Check your booking history shortly.');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  // Records the payment on the booking once the provider has accepted it
+  const completePayment = async (paymentIntent) => {
+    if (paymentIntent.status === 'requires_action') {
+      setChallengeIntentId(paymentIntent.id);
+      return;
+    }
+
+    const response = await paymentsAPI.confirmPayment(booking._id, paymentIntent.id);
+    if (response.data.data?.processing) {
+      await waitForWebhook();
+      return;
+    }
+    toast.success('Payment successful!');
+    onSuccess(booking._id);
+  };
+
+  // Runs a payment step, showing declines and API errors
+  const runPaymentStep = async (step) => {
+    setLoading(true);
+    setError('');
+    try {
+      await step();
+    } catch (err) {
+      showError(err.response?.data?.message || 'Payment failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Creates the payment intent (supplementary payments already have one)
+  // and pays it with the chosen test payment method
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runPaymentStep(async () => {
+      let paymentIntentId = payment?.paymentIntentId;
+      if (!paymentIntentId) {
+        const intentResponse = await paymentsAPI.createIntent(booking._id);
+        paymentIntentId = intentResponse.data.data.paymentIntentId;
+      }
+      const response = await paymentsAPI.mockConfirm(paymentIntentId, paymentMethod);
+      await completePayment(response.data.data.paymentIntent);
+    });
+  };
+
+  // Answers the 3D Secure challenge
+  const handleAuthenticate = (success) => {
+    runPaymentStep(async () => {
+      const intentId = challengeIntentId;
+      setChallengeIntentId(null);
+      const response = await paymentsAPI.mockAuthenticate(intentId, success);
+      await completePayment(response.data.data.paymentIntent);
+    });
+  };
+
+  // 3D Secure challenge - stands in for the bank's authentication page
+  if (challengeIntentId) {
+    return (
+      <Alert variant="info">
+        <p className="mb-2"><FaLock className="me-2" /><strong>Your bank wants to confirm this payment</strong></p>
+        <p className="small mb-3">This is a simulated 3D Secure challenge from the test payment provider.</p>
+        <Button variant="success" size="sm" className="me-2" disabled={loading} onClick={() => handleAuthenticate(true)}>
+          Complete authentication
+        </Button>
+        <Button variant="outline-danger" size="sm" disabled={loading} onClick={() => handleAuthenticate(false)}>
+          Fail authentication
+        </Button>
+      </Alert>
+    );
+  }
+
+  return (
+    <Form onSubmit={handleSubmit}>
+      <Alert variant="warning" className="small py-2">
+        <FaFlask className="me-2" />
+        Payments are simulated in this environment. No card is charged.
+      </Alert>
+
+      {/* Test payment method deciding the payment's outcome */}
+      <Form.Group className="mb-4">
+        <Form.Label>Test payment method</Form.Label>
+        <Form.Select value={paymentMethod} onChange={(e) => setPaymentMethod(e.target.value)} disabled={loading || processing}>
+          {paymentMethods.map(method => (
+            <option key={method.id} value={method.id}>{method.label}</option>
+          ))}
+        </Form.Select>
+      </Form.Group>
+
+      {/* Waiting for the webhook to confirm a processing payment */}
+      {processing && (
+        <div className="alert alert-info py-2 mb-3">
+          Your payment is processing. This page will update when it completes.
+        </div>
+      )}
+
+      {/* Error message display */}
+      {error && (
+        <div className="alert alert-danger py-2 mb-3">{error}</div>
+      )}
+
+      {/* Submit payment button */}
+      <Button
+        variant="primary"
+        type="submit"
+        className="w-100 py-3"
+        disabled={!paymentMethod || loading || processing || holdExpired}
+      >
+        {loading || processing ? 'Processing...' : `Pay $${(payment?.amount ?? booking.totalPrice).toFixed(2)}`}
+      </Button>
+    </Form>
+  );
+};
+
+// Export MockPaymentForm component
+export default MockPaymentForm;
@@ -0,0 +1,381 @@
+// ============================================
+// MODIFY BOOKING MODAL COMPONENT
+// Lets a customer change dates or extras on an existing booking
+// Previews the new price before committing and settles any difference,
+// taking extra cost with whichever payment provider checkout uses
+// ============================================
+
+// React core with useState for form state and useEffect for data fetching
+import React, { useState, useEffect } from 'react';
+// Bootstrap components for modal, form, and layout
+import { Modal, Button, Form, Row, Col, Alert, Spinner } from 'react-bootstrap';
+// Stripe React components for the supplementary payment form
+import { Elements, CardElement, useStripe, useElements } from '@stripe/react-stripe-js';
+// Toast notifications for user feedback
+import { toast } from 'react-toastify';
+// API services for booking, payment, and extras HTTP requests
+import { bookingsAPI, paymentsAPI, extrasAPI } from '../../services/api';
+// Date-time picker for the new pickup and return times
+import RentalTimePicker from './RentalTimePicker';
+// Conversions between stored times and the booking's local wall-clock time
+import { toRentalTime, toPickerDate } from '../../utils/rentalTime';
+// Extra prices with their pricing unit
+import { formatExtraPrice } from '../../utils/extras';
+// Stripe.js loader
+import { getStripe } from '../../utils/stripe';
+// Payment form for the mock payment provider
+import MockPaymentForm from './MockPaymentForm';
+// Loading spinner while the payment provider settings load
+import Loading from '../common/Loading';
+
+/**
+ * SupplementaryPaymentNotice Component
+ * Explains that the change waits for its extra cost to be paid
+ * @param {Object} props - Component props
+ * @param {Object} props.settlement - Settlement details (amount, expiresAt)
+ */
+const SupplementaryPaymentNotice = ({ settlement }) => (
+  <Alert variant="info">
+    Pay the additional <strong>${settlement.amount.toFixed(2)}</strong> to complete the change.
+    Your booking keeps its current dates until then, and the change is dropped if it isn't paid
+    by {new Date(settlement.expiresAt).toLocaleTimeString()}.
+  </Alert>
+);
+
+/**
+ * SupplementaryPaymentForm Component
+ * Collects card details for the extra amount owed after a modification
+ * @param {Object} props - Component props
+ * @param {string} props.bookingId - Booking being modified
+ * @param {Object} props.settlement - Settlement details (amount, clientSecret, paymentIntentId)
+ * @param {Function} props.onPaid - Called after the payment is confirmed
+ */
+const SupplementaryPaymentForm = ({ bookingId, settlement, onPaid }) => {
+  // Stripe hooks for confirming the card payment
+  const stripe = useStripe();
+  const elements = useElements();
+  // Loading state during payment processing
+  const [paying, setPaying] = useState(false);
+
+  // Confirms the supplementary PaymentIntent and records it on the booking
+  const handlePay = async (e) => {
+    e.preventDefault();
+    if (!stripe || !elements) return;
+
+    setPaying(true);
+    try {
+      const { error, paymentIntent } = await stripe.confirmCardPayment(settlement.clientSecret, {
+        payment_method: { card: elements.getElement(CardElement) }
+      });
+
+      if (error) {
+        toast.error(error.message);
+      } else if (['succeeded', 'processing'].includes(paymentIntent.status)) {
+        const response = await paymentsAPI.confirmPayment(bookingId, paymentIntent.id);
+        if (response.data.data?.processing) {
+          toast.info('Your payment is processing. Your booking will be updated as soon as it completes.');
+        } else {
+          toast.success('Payment successful - your booking has been updated');
+        }
+        onPaid();
+      }
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Payment failed');
+    } finally {
+      setPaying(false);
+    }
+  };
+
+  return (
+    <Form onSubmit={handlePay}>
+      <SupplementaryPaymentNotice settlement={settlement} />
+      {/* Stripe CardElement for secure card input */}
+      <div className="p-3 border rounded bg-light mb-3">
+        <CardElement />
+      </div>
+      <Button type="submit" variant="primary" className="w-100" disabled={!stripe || paying}>
+        {paying ? 'Processing...' : `Pay $${settlement.amount.toFixed(2)}`}
+      </Button>
+    </Form>
+  );
+};
+
+/**
+ * ModifyBookingModal Component
+ * @param {Object} props - Component props
+ * @param {Object} props.booking - Booking to modify
+ * @param {boolean} props.show - Whether the modal is visible
+ * @param {Function} props.onHide - Called when the modal closes
+ * @param {Function} props.onModified - Called after the booking has been modified,
+ *   with true once nothing else is owed (modal can close)
+ */
+const ModifyBookingModal = ({ booking, show, onHide, onModified }) => {
+  // New pickup and return times (wall-clock time at the pickup location)
+  const [startDate, setStartDate] = useState(null);
+  const [endDate, setEndDate] = useState(null);
+  // All extras that can be added to a booking
+  const [availableExtras, setAvailableExtras] = useState([]);
+  // Extras selected for the modified booking ({ extra, quantity })
+  const [selectedExtras, setSelectedExtras] = useState([]);
+  // Price preview returned by the server
+  const [preview, setPreview] = useState(null);
+  // Loading states for preview and commit
+  const [previewing, setPreviewing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  // Settlement requiring a card payment after the modification
+  const [pendingCharge, setPendingCharge] = useState(null);
+  // Payment provider settings (Stripe, or the mock provider in development)
+  const [paymentConfig, setPaymentConfig] = useState(null);
+
+  // Load available extras once
+  useEffect(() => {
+    extrasAPI.getAll()
+      .then(response => setAvailableExtras(response.data.data.extras))
+      .catch(() => setAvailableExtras([]));
+  }, []);
+
+  // Load which payment provider takes extra cost (Stripe if the server can't say)
+  useEffect(() => {
+    paymentsAPI.getConfig()
+      .then(response => setPaymentConfig(response.data.data))
+      .catch(() => setPaymentConfig({ provider: 'stripe' }));
+  }, []);
+
+  // Reset form to the booking's current values whenever the modal opens
+  useEffect(() => {
+    if (show && booking) {
+      setStartDate(toPickerDate(booking.startDate, booking.timezone));
+      setEndDate(toPickerDate(booking.endDate, booking.timezone));
+      setSelectedExtras((booking.extras || [])
+        .filter(e => e.extra)
+        .map(e => ({ extra: e.extra, quantity: e.quantity || 1 })));
+      setPreview(null);
+      setPendingCharge(null);
+    }
+  }, [show, booking]);
+
+  // Any change invalidates the current preview
+  const handleDatesChange = (setter) => (date) => {
+    setter(date);
+    setPreview(null);
+  };
+
+  // Toggles an extra in the selection
+  const handleToggleExtra = (extraId) => {
+    setSelectedExtras(prev => (
+      prev.some(e => e.extra === extraId)
+        ? prev.filter(e => e.extra !== extraId)
+        : [...prev, { extra: extraId, quantity: 1 }]
+    ));
+    setPreview(null);
+  };
+
+  // Sets how many units of a selected extra are booked
+  const handleExtraQuantity = (extraId, quantity) => {
+    setSelectedExtras(prev => prev.map(e => (e.extra === extraId ? { ...e, quantity } : e)));
+    setPreview(null);
+  };
+
+  // Builds the request body describing the requested changes
+  const buildChanges = () => ({
+    startDate: toRentalTime(startDate),
+    endDate: toRentalTime(endDate),
+    extras: selectedExtras
+  });
+
+  // Requests a price preview for the changes
+  const handlePreview = async () => {
+    if (!startDate || !endDate) {
+      toast.warning('Please select both dates');
+      return;
+    }
+    setPreviewing(true);
+    try {
+      const response = await bookingsAPI.previewModification(booking._id, buildChanges());
+      setPreview(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error previewing changes');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  // Commits the modification and handles settlement
+  const handleConfirm = async () => {
+    setSaving(true);
+    try {
+      const response = await bookingsAPI.modify(booking._id, buildChanges());
+      const { settlement } = response.data.data;
+
+      if (settlement.type === 'charge') {
+        // Extra amount owed - the change is only made once it is paid
+        setPendingCharge(settlement);
+        onModified(false);
+      } else {
+        if (settlement.type === 'refund') {
+          toast.success(`Booking updated. $${settlement.amount.toFixed(2)} will be refunded.`);
+        } else {
+          toast.success('Booking updated');
+        }
+        onModified(true);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error modifying booking');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Describes the price difference for the preview
+  const renderDifference = () => {
+    const diff = preview.priceDifference;
+    if (diff === 0) return <span>No change in price</span>;
+    // Unpaid bookings simply pay the new total at checkout
+    if (preview.settlement === 'none') return <span>The new total will be due when you pay</span>;
+    if (diff > 0) {
+      return <span className="text-danger">You will pay an additional ${diff.toFixed(2)}</span>;
+    }
+    return <span className="text-success">You will be refunded ${Math.abs(diff).toFixed(2)}</span>;
+  };
+
+  // Nothing to render until a booking is selected
+  if (!booking) return null;
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg">
+      <Modal.Header closeButton>
+        <Modal.Title>Modify Booking</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {pendingCharge ? (
+          // Supplementary payment step, with the provider checkout uses
+          !paymentConfig ? (
+            <Loading />
+          ) : paymentConfig.provider === 'mock' ? (
+            <>
+              <SupplementaryPaymentNotice settlement={pendingCharge} />
+              <MockPaymentForm
+                booking={booking}
+                paymentMethods={paymentConfig.paymentMethods}
+                payment={pendingCharge}
+                onSuccess={() => onModified(true)}
+              />
+            </>
+          ) : (
+            <Elements stripe={getStripe(paymentConfig.publishableKey)}>
+              <SupplementaryPaymentForm
+                bookingId={booking._id}
+                settlement={pendingCharge}
+                onPaid={() => onModified(true)}
+              />
+            </Elements>
+          )
+        ) : (
+          <>
+            {/* New date range */}
+            <Row className="mb-3">
+              <Col md={6}>
+                <Form.Label>Pick-up</Form.Label>
+                <RentalTimePicker
+                  selected={startDate}
+                  onChange={handleDatesChange(setStartDate)}
+                  minDate={new Date()}
+                />
+              </Col>
+              <Col md={6}>
+                <Form.Label>Return</Form.Label>
+                <RentalTimePicker
+                  selected={endDate}
+                  onChange={handleDatesChange(setEndDate)}
+                  minDate={startDate || new Date()}
+                />
+              </Col>
+              {booking?.timezone && (
+                <Col md={12}>
+                  <Form.Text className="text-muted">
+                    Times are local to {booking.pickupLocation} ({booking.timezone})
+                  </Form.Text>
+                </Col>
+              )}
+            </Row>
+
+            {/* Extras selection */}
+            {availableExtras.length > 0 && (
+              <div className="mb-3">
+                <Form.Label>Extras</Form.Label>
+                {availableExtras.map(extra => {
+                  const selected = selectedExtras.find(e => e.extra === extra._id);
+                  return (
+                    <div key={extra._id} className="d-flex align-items-center justify-content-between mb-1">
+                      <Form.Check
+                        type="checkbox"
+                        id={`modify-extra-${extra._id}`}
+                        label={`${extra.name} (${formatExtraPrice(extra)})`}
+                        checked={!!selected}
+                        onChange={() => handleToggleExtra(extra._id)}
+                      />
+                      {/* Quantity for extras that can be booked more than once */}
+                      {selected && extra.maxQuantity > 1 && (
+                        <Form.Select
+                          size="sm"
+                          style={{ width: 'auto' }}
+                          aria-label={`${extra.name} quantity`}
+                          value={selected.quantity}
+                          onChange={(e) => handleExtraQuantity(extra._id, Number(e.target.value))}
+                        >
+                          {Array.from({ length: extra.maxQuantity }, (_, i) => i + 1).map(n => (
+                            <option key={n} value={n}>{n}</option>
+                          ))}
+                        </Form.Select>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+
+            {/* Price preview */}
+            {preview && (
+              preview.available ? (
+                <Alert variant="light" className="border">
+                  <div className="d-flex justify-content-between">
+                    <span>Current total</span>
+                    <span>${preview.currentTotal.toFixed(2)}</span>
+                  </div>
+                  <div className="d-flex justify-content-between fw-bold">
+                    <span>New total ({preview.pricing.totalDays} days)</span>
+                    <span>${preview.totalPrice.toFixed(2)}</span>
+                  </div>
+                  <hr />
+                  {renderDifference()}
+                </Alert>
+              ) : (
+                <Alert variant="danger">
+                  The car is already booked from {new Date(preview.conflict.startDate).toLocaleDateString()} to{' '}
+                  {new Date(preview.conflict.endDate).toLocaleDateString()}. Please choose other dates.
+                </Alert>
+              )
+            )}
+          </>
+        )}
+      </Modal.Body>
+      {!pendingCharge && (
+        <Modal.Footer>
+          <Button variant="outline-primary" onClick={handlePreview} disabled={previewing || saving}>
+            {previewing ? <Spinner animation="border" size="sm" /> : 'Preview Price'}
+          </Button>
+          <Button
+            variant="primary"
+            onClick={handleConfirm}
+            disabled={!preview?.available || saving}
+          >
+            {saving ? 'Saving...' : 'Confirm Changes'}
+          </Button>
+        </Modal.Footer>
+      )}
+    </Modal>
+  );
+};
+
+// Export the ModifyBookingModal component as the default export
+export default ModifyBookingModal;
@@ -0,0 +1,63 @@
+// ============================================
+// PRICE BREAKDOWN COMPONENT
+// Renders the server-calculated line items for a booking quote
+// so customers can see why the price is what it is
+// ============================================
+
+// React core library
+import React from 'react';
+
+// Line kinds priced per rental day (for lines saved before items carried a unit)
+const perDayKinds = ['base', 'rule', 'extra'];
+
+// Whether a line's quantity counts rental days
+const isPerDay = (item) => (item.unit ? item.unit === 'day' : perDayKinds.includes(item.kind));
+
+// Formats a signed dollar amount (discounts shown with a minus sign)
+const formatAmount = (amount) => (
+  amount < 0 ? `-$${Math.abs(amount).toFixed(2)}` : `$${amount.toFixed(2)}`
+);
+
+/**
+ * PriceBreakdown Component
+ * @param {Object} props - Component props
+ * @param {Object} props.pricing - Pricing object with lineItems (from calculateBookingPrice)
+ * @param {number} props.totalPrice - Grand total
+ * @param {string[]} [props.kinds] - Line item kinds to show (defaults to all)
+ * @param {string} [props.totalLabel] - Label for the total row
+ */
+const PriceBreakdown = ({ pricing, totalPrice, kinds, totalLabel = 'Total' }) => {
+  // Nothing to show until a quote is available
+  if (!pricing?.lineItems) return null;
+
+  // Optionally narrow to certain kinds of lines (e.g. base rate and rules only)
+  const lineItems = kinds
+    ? pricing.lineItems.filter(item => kinds.includes(item.kind))
+    : pricing.lineItems;
+
+  return (
+    <>
+      {lineItems.map((item, index) => (
+        <div key={`${item.kind}-${index}`} className="summary-row">
+          <span className={item.kind === 'rule' ? 'small' : undefined}>
+            {item.label}
+            {/* Day count for per-day lines */}
+            {isPerDay(item) && ` (${item.quantity} ${item.quantity === 1 ? 'day' : 'days'})`}
+          </span>
+          <span className={item.amount < 0 ? 'text-success' : undefined}>
+            {formatAmount(item.amount)}
+          </span>
+        </div>
+      ))}
+
+      {/* Grand total */}
+      <div className="summary-row summary-total border-top pt-3 mt-3">
+        <span>{totalLabel}</span>
+        <span>${totalPrice.toFixed(2)}</span>
+      </div>
+    </>
+  );
+};
+
+// Export the PriceBreakdown component as the default export
+export default PriceBreakdown;
@@ -0,0 +1,36 @@
+// ============================================
+// RENTAL TIME PICKER COMPONENT
+// Date-time picker for pickup and return times that only offers
+// times when the location is open
+// ============================================
+
+// React core
+import React from 'react';
+// Date picker with time selection
+import DatePicker from 'react-datepicker';
+// Opening hours helpers
+import { isOpenOn, isOpenAt, withOpeningTime } from '../../utils/rentalTime';
+
+// RentalTimePicker component
+// Props: selected (picker date), onChange, minDate, placeholderText,
+//        location (pickup or return location with openingHours; optional)
+const RentalTimePicker = ({ selected, onChange, minDate, placeholderText, location }) => {
+  return (
+    <DatePicker
+      selected={selected}
+      // Picking a day leaves the time at midnight - move it to opening time instead
+      onChange={(date) => onChange(withOpeningTime(location, date))}
+      minDate={minDate}
+      filterDate={(date) => isOpenOn(location, date)}
+      filterTime={(time) => isOpenAt(location, time)}
+      showTimeSelect
+      timeIntervals={30}
+      placeholderText={placeholderText}
+      className="form-control"
+      dateFormat="MMM d, yyyy h:mm aa"
+    />
+  );
+};
+
+// Export RentalTimePicker component
+export default RentalTimePicker;
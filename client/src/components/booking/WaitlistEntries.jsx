@@ -0,0 +1,152 @@
+// ============================================
+// WAITLIST ENTRIES COMPONENT
+// Lists the current user's waitlist entries with their status, links
+// to book a car that has been held for them, and lets them leave the line
+// ============================================
+
+// React core with useState for state management and useEffect for data fetching
+import React, { useState, useEffect } from 'react';
+// Link to book a held car
+import { Link } from 'react-router-dom';
+// Bootstrap components for the list
+import { ListGroup, Badge, Button, Spinner } from 'react-bootstrap';
+// Icons for the empty state and actions
+import { FaHourglassHalf, FaTimes } from 'react-icons/fa';
+// Toast notifications for user feedback
+import { toast } from 'react-toastify';
+// API service for waitlist requests
+import { waitlistAPI } from '../../services/api';
+// Times shown in the timezone they were entered in
+import { formatRentalTime } from '../../utils/rentalTime';
+// Waitlist status labels and colours, and offer booking links
+import {
+  waitlistStatusLabels, waitlistStatusColors, openWaitlistStatuses,
+  describeWaitlistEntry, offerBookingLink
+} from '../../utils/waitlist';
+
+/**
+ * WaitlistEntries Component
+ * Fetches and lists the current user's waitlist entries, open ones first
+ */
+const WaitlistEntries = () => {
+  // Waitlist entries from the database
+  const [entries, setEntries] = useState([]);
+  // Loading state while fetching entries
+  const [loading, setLoading] = useState(true);
+  // Entry being cancelled (null when none)
+  const [cancellingId, setCancellingId] = useState(null);
+
+  // Fetches the user's waitlist entries
+  const fetchEntries = async () => {
+    try {
+      const response = await waitlistAPI.getMine();
+      setEntries(response.data.data.entries);
+    } catch (error) {
+      console.error('Error fetching waitlist:', error);
+      toast.error('Error loading your waitlist');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fetch entries on mount
+  useEffect(() => {
+    fetchEntries();
+  }, []);
+
+  // Leaves the waitlist after confirmation
+  const handleCancel = async (entry) => {
+    if (!window.confirm(entry.status === 'offered'
+      ? 'Give up the car held for you? It will be offered to the next customer in line.'
+      : 'Leave the waitlist for these dates?')) return;
+
+    setCancellingId(entry._id);
+    try {
+      const response = await waitlistAPI.cancel(entry._id);
+      toast.success(response.data.message);
+      fetchEntries();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error leaving the waitlist');
+    } finally {
+      setCancellingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center py-4">
+        <Spinner animation="border" variant="primary" />
+      </div>
+    );
+  }
+
+  if (entries.length === 0) {
+    return (
+      <div className="text-center text-muted py-4">
+        <FaHourglassHalf size={32} className="mb-2" />
+        <p className="mb-0">
+          You are not on any waitlists. If a car is booked for your dates, you can join its waitlist from the car page.
+        </p>
+      </div>
+    );
+  }
+
+  // Open entries first, each group newest first (as returned)
+  const sorted = [
+    ...entries.filter(entry => openWaitlistStatuses.includes(entry.status)),
+    ...entries.filter(entry => !openWaitlistStatuses.includes(entry.status))
+  ];
+
+  return (
+    <ListGroup variant="flush">
+      {sorted.map(entry => (
+        <ListGroup.Item key={entry._id} className="px-0">
+          <div className="d-flex justify-content-between align-items-start gap-3">
+            <div>
+              <p className="mb-1 fw-semibold text-capitalize">
+                {describeWaitlistEntry(entry)}
+                {entry.location && <small className="text-muted fw-normal"> at {entry.location.name}</small>}
+              </p>
+              <small className="d-block text-muted">
+                {formatRentalTime(entry.startDate, entry.timezone)} - {formatRentalTime(entry.endDate, entry.timezone)}
+              </small>
+              {/* A car has freed up and is held until the offer expires */}
+              {entry.status === 'offered' && entry.offer?.car && (
+                <small className="d-block text-success mt-1">
+                  {entry.offer.car.brand} {entry.offer.car.model} is held for you
+                  until {formatRentalTime(entry.offer.expiresAt, entry.timezone)}
+                </small>
+              )}
+            </div>
+            <div className="text-end text-nowrap">
+              <Badge bg={waitlistStatusColors[entry.status]} className="mb-2">
+                {waitlistStatusLabels[entry.status]}
+              </Badge>
+              <div>
+                {entry.status === 'offered' && entry.offer?.car && (
+                  <Button as={Link} to={offerBookingLink(entry)} variant="primary" size="sm" className="me-2">
+                    Book now
+                  </Button>
+                )}
+                {openWaitlistStatuses.includes(entry.status) && (
+                  <Button
+                    variant="outline-danger"
+                    size="sm"
+                    title="Leave waitlist"
+                    disabled={cancellingId === entry._id}
+                    onClick={() => handleCancel(entry)}
+                  >
+                    <FaTimes />
+                  </Button>
+                )}
+              </div>
+            </div>
+          </div>
+        </ListGroup.Item>
+      ))}
+    </ListGroup>
+  );
+};
+
+// Export WaitlistEntries component
+export default WaitlistEntries;
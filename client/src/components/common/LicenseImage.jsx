@@ -0,0 +1,70 @@
+// ============================================
+// LICENSE IMAGE COMPONENT
+// Shows one side of a driver's license. License images are private, so
+// they are fetched with the user's token as a Blob rather than linked
+// ============================================
+
+// React core library with hooks for loading the image
+import React, { useState, useEffect } from 'react';
+// Bootstrap spinner while the image loads
+import { Spinner } from 'react-bootstrap';
+// Icon for uploaded PDFs
+import { FaFilePdf } from 'react-icons/fa';
+// API services for the user's own and (for admins) other users' license images
+import { authAPI, adminAPI } from '../../services/api';
+
+/**
+ * LicenseImage Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.side - 'front' or 'back'
+ * @param {string} [props.userId] - Whose license to show (admins only); defaults to the current user
+ */
+const LicenseImage = ({ side, userId }) => {
+  // Object URL for the loaded file, and its type (images are previewed, PDFs linked)
+  const [file, setFile] = useState(null);
+  const [error, setError] = useState(false);
+
+  // Load the file and release its object URL when it's no longer shown
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+
+    const request = userId ? adminAPI.getLicenseImage(userId, side) : authAPI.getLicenseImage(side);
+    request
+      .then((response) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(response.data);
+        setFile({ url, isPdf: response.data.type === 'application/pdf' });
+      })
+      .catch(() => {
+        if (!cancelled) setError(true);
+      });
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [userId, side]);
+
+  return (
+    <div className="license-image text-center">
+      {error && <div className="text-muted small py-4">Image unavailable</div>}
+      {!error && !file && <Spinner animation="border" size="sm" className="my-4" />}
+      {file && (file.isPdf ? (
+        <a href={file.url} target="_blank" rel="noopener noreferrer" className="d-block py-4">
+          <FaFilePdf size={32} className="mb-2" />
+          <div className="small">Open PDF</div>
+        </a>
+      ) : (
+        <a href={file.url} target="_blank" rel="noopener noreferrer">
+          <img src={file.url} alt={`License ${side}`} className="img-fluid rounded" />
+        </a>
+      ))}
+      <div className="small text-muted mt-1">{side === 'front' ? 'Front' : 'Back'}</div>
+    </div>
+  );
+};
+
+// Export the LicenseImage component as the default export
+export default LicenseImage;
@@ -14,6 +14,8 @@ import { Navbar as BSNavbar, Nav, Container, NavDropdown, Button } from 'react-b
 import { FaCar, FaUser, FaSignOutAlt, FaTachometerAlt, FaCalendarAlt, FaClipboardList } from 'react-icons/fa';
 // Auth context hook for authentication state
 import { useAuth } from '../../context/AuthContext';
+// In-app notifications dropdown
+import NotificationBell from './NotificationBell';
 
 /**
  * Navbar Component
@@ -101,6 +103,9 @@ const Navbar = () => {
             {isAuthenticated ? (
               // Authenticated user menu
               <>
+                {/* Notifications dropdown */}
+                <NotificationBell />
+
                 {/* Admin dropdown menu - only shown for admin users */}
                 {isAdmin && (
                   <NavDropdown
@@ -0,0 +1,110 @@
+// ============================================
+// NOTIFICATION BELL COMPONENT
+// Navbar dropdown listing the user's in-app notifications
+// (overdue rentals, return charges, claims) with an unread count
+// ============================================
+
+// React core with useState for notification state and useEffect for polling
+import React, { useState, useEffect, useCallback } from 'react';
+// Bootstrap components for the dropdown and unread badge
+import { NavDropdown, Badge } from 'react-bootstrap';
+// Bell icon for the dropdown toggle
+import { FaBell } from 'react-icons/fa';
+// API service for notification HTTP requests
+import { notificationsAPI } from '../../services/api';
+
+// How often to check for new notifications (milliseconds)
+const POLL_INTERVAL = 60 * 1000;
+
+/**
+ * NotificationBell Component
+ * Polls for notifications while mounted; only rendered for signed-in users
+ */
+const NotificationBell = () => {
+  // Newest notifications for the user
+  const [notifications, setNotifications] = useState([]);
+  // Number of unread notifications shown on the badge
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  // Fetches the latest notifications and unread count
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const response = await notificationsAPI.getAll({ limit: 10 });
+      setNotifications(response.data.data.notifications);
+      setUnreadCount(response.data.data.unreadCount);
+    } catch (error) {
+      // Polling failures are silent - the bell just keeps its last state
+    }
+  }, []);
+
+  // Load on mount and poll for new notifications
+  useEffect(() => {
+    fetchNotifications();
+    const interval = setInterval(fetchNotifications, POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [fetchNotifications]);
+
+  // Marks a single notification as read
+  const handleRead = async (notification) => {
+    if (notification.readAt) return;
+    try {
+      await notificationsAPI.markRead(notification._id);
+      fetchNotifications();
+    } catch (error) {
+      console.error('Error marking notification read:', error);
+    }
+  };
+
+  // Marks every notification as read
+  const handleReadAll = async () => {
+    try {
+      await notificationsAPI.markAllRead();
+      fetchNotifications();
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+    }
+  };
+
+  return (
+    <NavDropdown
+      title={
+        <span className="position-relative">
+          <FaBell />
+          {unreadCount > 0 && (
+            <Badge bg="danger" pill className="ms-1">{unreadCount}</Badge>
+          )}
+        </span>
+      }
+      id="notification-dropdown"
+      align="end"
+      className="me-2"
+    >
+      <div style={{ width: '320px', maxHeight: '400px', overflowY: 'auto' }}>
+        {notifications.length > 0 ? (
+          notifications.map(notification => (
+            <NavDropdown.Item
+              key={notification._id}
+              onClick={() => handleRead(notification)}
+              className={`text-wrap border-bottom ${notification.readAt ? 'text-muted' : ''}`}
+            >
+              <div className={notification.readAt ? '' : 'fw-semibold'}>{notification.title}</div>
+              <small className="d-block">{notification.message}</small>
+              <small className="text-muted">{new Date(notification.createdAt).toLocaleString()}</small>
+            </NavDropdown.Item>
+          ))
+        ) : (
+          <NavDropdown.ItemText className="text-muted">No notifications</NavDropdown.ItemText>
+        )}
+      </div>
+      {/* Mark all as read - only when something is unread */}
+      {unreadCount > 0 && (
+        <NavDropdown.Item onClick={handleReadAll} className="text-center text-primary small">
+          Mark all as read
+        </NavDropdown.Item>
+      )}
+    </NavDropdown>
+  );
+};
+
+// Export NotificationBell component
+export default NotificationBell;
@@ -129,6 +129,21 @@ export const AuthProvider = ({ children }) => {
     return response.data;
   };
 
+  /**
+   * Submit the current user's driver's license for verification
+   * @param {FormData} formData - number, country, expiresAt, and front/back image files
+   * @returns {Object} API response data
+   */
+  const submitLicense = async (formData) => {
+    // Send details and images as multipart form data
+    const response = await api.put('/users/license', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    // Keep the user's license status in sync (it goes back to pending)
+    setUser((current) => ({ ...current, license: response.data.data.license }));
+    return response.data;
+  };
+
   /**
    * Change current user's password
    * @param {string} currentPassword - User's current password
@@ -161,6 +176,7 @@ export const AuthProvider = ({ children }) => {
     login,            // Login function
     logout,           // Logout function
     updateProfile,    // Profile update function
+    submitLicense,    // Driver's license submission function
     changePassword    // Password change function
   };
 
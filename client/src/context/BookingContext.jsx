@@ -6,6 +6,8 @@
 
 // React core and hooks for creating context and managing state
 import React, { createContext, useState, useContext } from 'react';
+// Prices extras by their pricing mode
+import { getExtraPrice } from '../utils/extras';
 
 // Create booking context with null default value
 const BookingContext = createContext(null);
@@ -27,8 +29,8 @@ export const BookingProvider = ({ children }) => {
     selectedCar: null,              // Selected car object
     extras: [],                     // Array of selected extra add-ons
     pricing: null,                  // Calculated pricing breakdown
-    pickupLocation: 'Main Office',  // Pickup location string
-    dropoffLocation: 'Main Office', // Dropoff location string
+    pickupLocationId: null,         // Pickup location ID (null = where the car is parked)
+    dropoffLocationId: null,        // Dropoff location ID (null = same as pickup)
     notes: ''                       // Additional booking notes
   });
 
@@ -103,14 +105,14 @@ export const BookingProvider = ({ children }) => {
 
   /**
    * Set pickup and dropoff locations
-   * @param {string} pickup - Pickup location name
-   * @param {string} dropoff - Dropoff location name
+   * @param {string|null} pickup - Pickup location ID
+   * @param {string|null} dropoff - Dropoff location ID
    */
   const setLocations = (pickup, dropoff) => {
     setBookingData(prev => ({
       ...prev,
-      pickupLocation: pickup,
-      dropoffLocation: dropoff
+      pickupLocationId: pickup,
+      dropoffLocationId: dropoff
     }));
   };
 
@@ -152,13 +154,13 @@ export const BookingProvider = ({ children }) => {
 
   /**
    * Calculate total cost of all selected extras
-   * @returns {number} Extras total (sum of all extras × days)
+   * @returns {number} Extras total (each extra priced by its pricing mode)
    */
   const getExtrasTotal = () => {
     const days = getTotalDays();
-    // Sum all extras (each extra × number of days)
+    // Sum all extras (per day, per rental, or per day up to a cap)
     return bookingData.extras.reduce((total, extra) => {
-      return total + (extra.pricePerDay * days);
+      return total + getExtraPrice(extra, days);
     }, 0);
   };
 
@@ -194,8 +196,8 @@ export const BookingProvider = ({ children }) => {
       selectedCar: null,
       extras: [],
       pricing: null,
-      pickupLocation: 'Main Office',
-      dropoffLocation: 'Main Office',
+      pickupLocationId: null,
+      dropoffLocationId: null,
       notes: ''
     });
   };
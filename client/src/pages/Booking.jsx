@@ -15,8 +15,8 @@ import { FaCalendarAlt, FaCar, FaStar, FaArrowRight } from 'react-icons/fa';
 import DatePicker from 'react-datepicker';
 // Toast notifications for user feedback
 import { toast } from 'react-toastify';
-// API service for car-related HTTP requests
-import { carsAPI } from '../services/api';
+// API services for cars and pickup locations
+import { carsAPI, locationsAPI } from '../services/api';
 // Custom hook for accessing booking context
 import { useBooking } from '../context/BookingContext';
 // Loading component for displaying loading states
@@ -27,7 +27,7 @@ const Booking = () => {
   // Navigation hook for redirecting to checkout page
   const navigate = useNavigate();
   // Destructure booking context methods and data
-  const { bookingData, setDates, setSelectedCar } = useBooking();
+  const { bookingData, setDates, setSelectedCar, setLocations } = useBooking();
 
   // Array to store cars available for selected dates
   const [availableCars, setAvailableCars] = useState([]);
@@ -39,13 +39,24 @@ const Booking = () => {
   const [endDate, setEndDate] = useState(bookingData.dates.endDate);
   // Filter options for car type and transmission
   const [filters, setFilters] = useState({ type: '', transmission: '' });
+  // Pickup locations for the location filter
+  const [locations, setLocationOptions] = useState([]);
+  // Selected pickup location (kept in the booking context for checkout)
+  const pickupLocationId = bookingData.pickupLocationId || '';
 
-  // Fetch available cars when dates or filters change
+  // Load pickup locations once
+  useEffect(() => {
+    locationsAPI.getAll()
+      .then(response => setLocationOptions(response.data.data.locations))
+      .catch(() => setLocationOptions([]));
+  }, []);
+
+  // Fetch available cars when dates, filters, or pickup location change
   useEffect(() => {
     if (startDate && endDate) {
       fetchAvailableCars();
     }
-  }, [startDate, endDate, filters]);
+  }, [startDate, endDate, filters, pickupLocationId]);
 
   // Fetches cars available for the selected date range
   // Applies any active filters (type, transmission)
@@ -60,6 +71,8 @@ const Booking = () => {
       // Only add filters that have actual values
       if (filters.type) queryParams.type = filters.type;
       if (filters.transmission) queryParams.transmission = filters.transmission;
+      // Only cars that will be at the chosen pickup location
+      if (pickupLocationId) queryParams.location = pickupLocationId;
 
       const response = await carsAPI.search(queryParams);
       setAvailableCars(response.data.data.cars);
@@ -176,6 +189,22 @@ const Booking = () => {
                   </Form.Select>
                 </Form.Group>
               </Col>
+              {/* Pickup Location Filter Dropdown */}
+              <Col md={4}>
+                <Form.Group>
+                  <Form.Label>Pick-up Location</Form.Label>
+                  <Form.Select
+                    value={pickupLocationId}
+                    // Return to the same location by default (changeable at checkout)
+                    onChange={(e) => setLocations(e.target.value || null, e.target.value || null)}
+                  >
+                    <option value="">Any location</option>
+                    {locations.map(location => (
+                      <option key={location._id} value={location._id}>{location.name}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
               {/* Transmission Filter Dropdown */}
               <Col md={4}>
                 <Form.Group>
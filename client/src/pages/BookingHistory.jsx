@@ -8,15 +8,27 @@ import React, { useState, useEffect } from 'react';
 // Link component for navigation to other pages
 import { Link } from 'react-router-dom';
 // Bootstrap components for layout, cards, navigation tabs, and modals
-import { Container, Row, Col, Card, Button, Badge, Tab, Nav, Modal } from 'react-bootstrap';
+import { Container, Row, Col, Card, Button, Badge, Tab, Nav, Modal, Alert, Form } from 'react-bootstrap';
 // Icon components for visual elements throughout the page
-import { FaCalendarAlt, FaCar, FaEye, FaTimes, FaMapMarkerAlt } from 'react-icons/fa';
+import { FaCalendarAlt, FaCar, FaEye, FaTimes, FaMapMarkerAlt, FaEdit, FaPaperclip, FaFileInvoiceDollar } from 'react-icons/fa';
 // Toast notifications for user feedback
 import { toast } from 'react-toastify';
-// API service for booking-related HTTP requests
-import { bookingsAPI } from '../services/api';
+// API services for booking and claim HTTP requests
+import { bookingsAPI, claimsAPI } from '../services/api';
 // Loading component for displaying loading states
 import Loading from '../components/common/Loading';
+// Modal for changing dates or extras on an existing booking
+import ModifyBookingModal from '../components/booking/ModifyBookingModal';
+// Invoice and credit note downloads
+import InvoiceLinks from '../components/booking/InvoiceLinks';
+// Shows pickup and return times in the booking's local timezone
+import { formatRentalTime } from '../utils/rentalTime';
+// Claim category labels and status colours
+import { claimCategoryLabels, claimStatusColors } from '../utils/claims';
+// Extra names with quantities, and their totals
+import { formatExtraName, getExtraAmount } from '../utils/extras';
+// Invoice availability and PDF downloads
+import { hasInvoice, downloadPdf } from '../utils/invoices';
 
 // BookingHistory component - displays all user bookings with filtering and details
 const BookingHistory = () => {
@@ -30,10 +42,23 @@ const BookingHistory = () => {
   const [showModal, setShowModal] = useState(false);
   // Loading state during booking cancellation process
   const [cancelling, setCancelling] = useState(false);
+  // Refund quote for the booking awaiting cancellation confirmation
+  const [cancelQuote, setCancelQuote] = useState(null);
+  // Booking currently being modified (null when modify modal is closed)
+  const [modifyingBooking, setModifyingBooking] = useState(null);
+  // Damage and incidental charges raised against the user's bookings
+  const [claims, setClaims] = useState([]);
+  // Claim being disputed (null when the dispute modal is closed)
+  const [disputingClaim, setDisputingClaim] = useState(null);
+  // Reason entered in the dispute modal
+  const [disputeReason, setDisputeReason] = useState('');
+  // Loading state while submitting a dispute
+  const [disputing, setDisputing] = useState(false);
 
-  // Fetch bookings when component mounts
+  // Fetch bookings and claims when component mounts
   useEffect(() => {
     fetchBookings();
+    fetchClaims();
   }, []);
 
   // Fetches user's bookings from the API
@@ -50,22 +75,85 @@ const BookingHistory = () => {
     }
   };
 
+  // Fetches charges raised against the user's bookings
+  const fetchClaims = async () => {
+    try {
+      const response = await claimsAPI.getMine();
+      setClaims(response.data.data.claims);
+    } catch (error) {
+      console.error('Error fetching claims:', error);
+    }
+  };
+
+  // Claims raised against a booking
+  const claimsFor = (booking) => claims.filter(claim => claim.booking === booking._id);
+
+  // Opens the dispute modal for a claim
+  const handleOpenDispute = (claim) => {
+    setShowModal(false);
+    setDisputingClaim(claim);
+    setDisputeReason('');
+  };
+
+  // Submits the customer's dispute of a claim
+  const handleDispute = async (e) => {
+    e.preventDefault();
+    setDisputing(true);
+    try {
+      const response = await claimsAPI.dispute(disputingClaim._id, disputeReason);
+      toast.success(response.data.message);
+      setDisputingClaim(null);
+      fetchClaims();
+    } catch (error) {
+      toast.error(
+        error.response?.data?.errors?.[0]?.message ||
+        error.response?.data?.message ||
+        'Error disputing charge'
+      );
+    } finally {
+      setDisputing(false);
+    }
+  };
+
+  // Downloads a paid booking's invoice PDF
+  const handleDownloadInvoice = async (booking) => {
+    try {
+      await downloadPdf(bookingsAPI.getInvoicePdf(booking._id), 'invoice.pdf');
+    } catch (error) {
+      toast.error('Error downloading the invoice');
+    }
+  };
+
   // Opens the booking details modal with the selected booking
   const handleViewDetails = (booking) => {
     setSelectedBooking(booking);
     setShowModal(true);
   };
 
-  // Handles booking cancellation with confirmation dialog
-  // Refreshes booking list and closes modal on success
+  // Starts cancellation by fetching the refund the customer would receive
+  // The confirmation modal shows the amount before anything is cancelled
   const handleCancelBooking = async (bookingId) => {
-    if (!window.confirm('Are you sure you want to cancel this booking?')) return;
+    setCancelling(true);
+    try {
+      const response = await bookingsAPI.getCancellationQuote(bookingId);
+      setCancelQuote({ bookingId, ...response.data.data });
+      setShowModal(false);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error loading cancellation terms');
+    } finally {
+      setCancelling(false);
+    }
+  };
 
+  // Cancels the booking once the customer confirms the refund
+  // Refreshes booking list and closes modals on success
+  const handleConfirmCancel = async () => {
     setCancelling(true);
     try {
-      await bookingsAPI.cancel(bookingId, 'Cancelled by user');
-      toast.success('Booking cancelled successfully');
+      const response = await bookingsAPI.cancel(cancelQuote.bookingId, 'Cancelled by user');
+      toast.success(response.data.message);
       fetchBookings();
+      setCancelQuote(null);
       setShowModal(false);
     } catch (error) {
       toast.error(error.response?.data?.message || 'Error cancelling booking');
@@ -74,6 +162,18 @@ const BookingHistory = () => {
     }
   };
 
+  // Opens the modify modal for a booking
+  const handleModifyBooking = (booking) => {
+    setShowModal(false);
+    setModifyingBooking(booking);
+  };
+
+  // Refreshes bookings after a modification; closes the modal once nothing is owed
+  const handleModified = (done) => {
+    fetchBookings();
+    if (done) setModifyingBooking(null);
+  };
+
   // Returns a colored badge based on booking status
   // Maps status values to Bootstrap color variants
   const getStatusBadge = (status) => {
@@ -83,7 +183,8 @@ const BookingHistory = () => {
       confirmed: 'primary',   // Blue for confirmed
       active: 'success',      // Green for active rentals
       completed: 'info',      // Light blue for completed
-      cancelled: 'danger'     // Red for cancelled
+      cancelled: 'danger',    // Red for cancelled
+      expired: 'secondary'    // Grey for expired holds
     };
     return <Badge bg={colors[status] || 'secondary'}>{status}</Badge>;
   };
@@ -164,15 +265,25 @@ const BookingHistory = () => {
                                 </h5>
                                 <p className="text-muted small mb-0">{booking.car?.year}</p>
                               </div>
-                              {getStatusBadge(booking.status)}
+                              <div className="text-end">
+                                {getStatusBadge(booking.status)}
+                                {/* Active rentals past their return time */}
+                                {booking.status === 'active' && new Date(booking.endDate) < new Date() && (
+                                  <Badge bg="danger" className="d-block mt-1">Overdue</Badge>
+                                )}
+                                {/* Post-rental charges waiting on the customer */}
+                                {claimsFor(booking).some(claim => claim.status === 'sent') && (
+                                  <Badge bg="warning" text="dark" className="d-block mt-1">Charges due</Badge>
+                                )}
+                              </div>
                             </div>
 
                             {/* Booking dates and pickup location */}
                             <div className="mb-3">
                               <div className="d-flex align-items-center text-muted small mb-1">
                                 <FaCalendarAlt className="me-2" />
-                                {new Date(booking.startDate).toLocaleDateString()} -
-                                {new Date(booking.endDate).toLocaleDateString()}
+                                {formatRentalTime(booking.startDate, booking.timezone)} -{' '}
+                                {formatRentalTime(booking.endDate, booking.timezone)}
                               </div>
                               <div className="d-flex align-items-center text-muted small">
                                 <FaMapMarkerAlt className="me-2" />
@@ -196,16 +307,37 @@ const BookingHistory = () => {
                               >
                                 <FaEye className="me-1" /> Details
                               </Button>
-                              {/* Only show cancel button for pending or confirmed bookings */}
-                              {['pending', 'confirmed'].includes(booking.status) && (
+                              {/* Invoice download - once the booking is paid */}
+                              {hasInvoice(booking) && (
                                 <Button
-                                  variant="outline-danger"
+                                  variant="outline-secondary"
                                   size="sm"
-                                  onClick={() => handleCancelBooking(booking._id)}
+                                  title="Download invoice"
+                                  onClick={() => handleDownloadInvoice(booking)}
                                 >
-                                  <FaTimes />
+                                  <FaFileInvoiceDollar />
                                 </Button>
                               )}
+                              {/* Only show modify and cancel buttons for pending or confirmed bookings */}
+                              {['pending', 'confirmed'].includes(booking.status) && (
+                                <>
+                                  <Button
+                                    variant="outline-secondary"
+                                    size="sm"
+                                    title="Modify booking"
+                                    onClick={() => handleModifyBooking(booking)}
+                                  >
+                                    <FaEdit />
+                                  </Button>
+                                  <Button
+                                    variant="outline-danger"
+                                    size="sm"
+                                    onClick={() => handleCancelBooking(booking._id)}
+                                  >
+                                    <FaTimes />
+                                  </Button>
+                                </>
+                              )}
                             </div>
                           </Card.Body>
                         </Card>
@@ -248,7 +380,7 @@ const BookingHistory = () => {
                   <div className="mb-2">
                     <strong>Payment: </strong>
                     <Badge bg={selectedBooking.paymentStatus === 'paid' ? 'success' : 'warning'}>
-                      {selectedBooking.paymentStatus}
+                      {selectedBooking.paymentStatus.replace(/_/g, ' ')}
                     </Badge>
                   </div>
                 </Col>
@@ -262,11 +394,9 @@ const BookingHistory = () => {
                     <Card.Body>
                       <h6 className="text-muted mb-2">Pick-up</h6>
                       <p className="mb-1 fw-semibold">
-                        {new Date(selectedBooking.startDate).toLocaleDateString('en-US', {
+                        {formatRentalTime(selectedBooking.startDate, selectedBooking.timezone, {
                           weekday: 'long',
-                          year: 'numeric',
-                          month: 'long',
-                          day: 'numeric'
+                          month: 'long'
                         })}
                       </p>
                       <p className="text-muted mb-0">{selectedBooking.pickupLocation}</p>
@@ -279,11 +409,9 @@ const BookingHistory = () => {
                     <Card.Body>
                       <h6 className="text-muted mb-2">Return</h6>
                       <p className="mb-1 fw-semibold">
-                        {new Date(selectedBooking.endDate).toLocaleDateString('en-US', {
+                        {formatRentalTime(selectedBooking.endDate, selectedBooking.timezone, {
                           weekday: 'long',
-                          year: 'numeric',
-                          month: 'long',
-                          day: 'numeric'
+                          month: 'long'
                         })}
                       </p>
                       <p className="text-muted mb-0">{selectedBooking.dropoffLocation}</p>
@@ -292,6 +420,14 @@ const BookingHistory = () => {
                 </Col>
               </Row>
 
+              {/* Everyone allowed to drive the car */}
+              {selectedBooking.drivers?.length > 0 && (
+                <p className="small mb-3">
+                  <span className="text-muted">Drivers: </span>
+                  {selectedBooking.drivers.map(driver => driver.name).join(', ')}
+                </p>
+              )}
+
               {/* Pricing breakdown card */}
               <Card>
                 <Card.Body>
@@ -301,31 +437,133 @@ const BookingHistory = () => {
                     <span>Base Rate ({selectedBooking.pricing?.totalDays} days)</span>
                     <span>${selectedBooking.pricing?.basePrice?.toFixed(2)}</span>
                   </div>
+                  {/* Pricing rule adjustments, driver fees, promo code discount, and one-way fee */}
+                  {selectedBooking.pricing?.lineItems?.filter(item => ['rule', 'driver', 'discount', 'one_way'].includes(item.kind)).map((item, index) => (
+                    <div key={`rule-${index}`} className="d-flex justify-content-between mb-2 text-muted">
+                      <span>{item.label}</span>
+                      <span>{item.amount < 0 ? '-' : ''}${Math.abs(item.amount).toFixed(2)}</span>
+                    </div>
+                  ))}
                   {/* Selected extras with their costs */}
                   {selectedBooking.extras?.length > 0 && (
                     <>
                       {selectedBooking.extras.map((extra, index) => (
                         <div key={index} className="d-flex justify-content-between mb-2 text-muted">
-                          <span>{extra.name}</span>
-                          <span>${(extra.pricePerDay * selectedBooking.pricing?.totalDays).toFixed(2)}</span>
+                          <span>{formatExtraName(extra)}</span>
+                          <span>${getExtraAmount(extra, selectedBooking.pricing?.totalDays).toFixed(2)}</span>
                         </div>
                       ))}
                     </>
                   )}
-                  {/* Tax amount */}
-                  <div className="d-flex justify-content-between mb-2">
-                    <span>Tax</span>
-                    <span>${selectedBooking.pricing?.taxAmount?.toFixed(2)}</span>
-                  </div>
+                  {/* Location taxes and fees (older bookings only stored the tax total) */}
+                  {selectedBooking.pricing?.lineItems?.some(item => ['tax', 'fee'].includes(item.kind)) ? (
+                    selectedBooking.pricing.lineItems.filter(item => ['tax', 'fee'].includes(item.kind)).map((item, index) => (
+                      <div key={`tax-${index}`} className="d-flex justify-content-between mb-2">
+                        <span>{item.label}</span>
+                        <span>${item.amount.toFixed(2)}</span>
+                      </div>
+                    ))
+                  ) : (
+                    <div className="d-flex justify-content-between mb-2">
+                      <span>Tax</span>
+                      <span>${selectedBooking.pricing?.taxAmount?.toFixed(2)}</span>
+                    </div>
+                  )}
                   <hr />
                   {/* Total price */}
                   <div className="d-flex justify-content-between fw-bold">
                     <span>Total</span>
                     <span className="text-primary">${selectedBooking.totalPrice?.toFixed(2)}</span>
                   </div>
+                  {/* Charges added after payment (modifications, return charges) */}
+                  {selectedBooking.adjustments?.some(adjustment => adjustment.type === 'charge') && (
+                    <>
+                      <hr />
+                      <p className="small text-muted mb-2">Additional charges</p>
+                      {selectedBooking.adjustments.filter(adjustment => adjustment.type === 'charge').map((adjustment) => (
+                        <div key={adjustment._id} className="d-flex justify-content-between mb-1 small">
+                          <span>
+                            {adjustment.reason}
+                            {adjustment.status === 'failed' && <Badge bg="danger" className="ms-2">unpaid</Badge>}
+                          </span>
+                          <span>${adjustment.amount.toFixed(2)}</span>
+                        </div>
+                      ))}
+                    </>
+                  )}
+                  {/* Money still owed after a charge to the card on file failed */}
+                  {selectedBooking.outstandingBalance > 0 && (
+                    <div className="d-flex justify-content-between fw-bold text-danger mt-2">
+                      <span>Outstanding balance</span>
+                      <span>${selectedBooking.outstandingBalance.toFixed(2)}</span>
+                    </div>
+                  )}
+                  {/* Security deposit held on the card during the rental */}
+                  {selectedBooking.deposit?.amount > 0 && selectedBooking.deposit.status !== 'none' && (
+                    <p className="small text-muted mt-2 mb-0">
+                      ${selectedBooking.deposit.amount.toFixed(2)} security deposit:{' '}
+                      {{
+                        authorized: 'held on your card until the car is returned',
+                        captured: `$${selectedBooking.deposit.capturedAmount?.toFixed(2)} kept, the rest released`,
+                        released: 'released',
+                        failed: 'could not be placed on your card',
+                        expired: 'no longer held'
+                      }[selectedBooking.deposit.status]}
+                    </p>
+                  )}
                 </Card.Body>
               </Card>
 
+              {/* Post-rental charges - damage, cleaning, tolls, and fines */}
+              {claimsFor(selectedBooking).length > 0 && (
+                <Card className="mt-3">
+                  <Card.Body>
+                    <h6 className="mb-3">Post-rental Charges</h6>
+                    {claimsFor(selectedBooking).map((claim) => (
+                      <div key={claim._id} className="border-bottom pb-2 mb-2">
+                        <div className="d-flex justify-content-between align-items-start">
+                          <div>
+                            <strong>{claimCategoryLabels[claim.category]}</strong>{' '}
+                            <Badge bg={claimStatusColors[claim.status]} className="text-capitalize">{claim.status}</Badge>
+                            <p className="small mb-1">{claim.description}</p>
+                          </div>
+                          <span className="fw-bold">${claim.amount.toFixed(2)}</span>
+                        </div>
+                        {/* Photos, repair quotes, and fine notices */}
+                        {claim.evidence.length > 0 && (
+                          <div className="small mb-1">
+                            {claim.evidence.map((item, index) => (
+                              <a key={item.url} href={item.url} target="_blank" rel="noopener noreferrer" className="me-3">
+                                <FaPaperclip className="me-1" />
+                                {item.caption || `Attachment ${index + 1}`}
+                              </a>
+                            ))}
+                          </div>
+                        )}
+                        {claim.status === 'sent' && (
+                          <div className="d-flex justify-content-between align-items-center">
+                            <small className="text-muted">
+                              This will be charged to the card you paid with.
+                            </small>
+                            <Button variant="outline-danger" size="sm" onClick={() => handleOpenDispute(claim)}>
+                              Dispute
+                            </Button>
+                          </div>
+                        )}
+                        {claim.status === 'disputed' && (
+                          <small className="text-muted">
+                            You disputed this charge{claim.dispute?.reason && `: "${claim.dispute.reason}"`}. We are reviewing it.
+                          </small>
+                        )}
+                        {claim.status === 'waived' && (
+                          <small className="text-muted">This charge has been waived - you will not be charged.</small>
+                        )}
+                      </div>
+                    ))}
+                  </Card.Body>
+                </Card>
+              )}
+
               {/* Optional notes section */}
               {selectedBooking.notes && (
                 <div className="mt-3">
@@ -337,6 +575,17 @@ const BookingHistory = () => {
           )}
         </Modal.Body>
         <Modal.Footer>
+          {/* Invoice and credit note downloads - once the booking is paid */}
+          {selectedBooking && <InvoiceLinks booking={selectedBooking} />}
+          {/* Modify booking button - only for pending/confirmed bookings */}
+          {selectedBooking && ['pending', 'confirmed'].includes(selectedBooking.status) && (
+            <Button
+              variant="outline-primary"
+              onClick={() => handleModifyBooking(selectedBooking)}
+            >
+              <FaEdit className="me-1" /> Modify
+            </Button>
+          )}
           {/* Cancel booking button - only for pending/confirmed bookings */}
           {selectedBooking && ['pending', 'confirmed'].includes(selectedBooking.status) && (
             <Button
@@ -353,6 +602,92 @@ const BookingHistory = () => {
           </Button>
         </Modal.Footer>
       </Modal>
+
+      {/* Cancel Booking Modal - shows the refund due under the booking's policy */}
+      <Modal show={!!cancelQuote} onHide={() => setCancelQuote(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Cancel Booking</Modal.Title>
+        </Modal.Header>
+        {cancelQuote && (
+          <Modal.Body>
+            {/* Refund summary */}
+            {cancelQuote.paidAmount > 0 ? (
+              <Alert variant={cancelQuote.refundAmount > 0 ? 'info' : 'warning'}>
+                You will be refunded <strong>${cancelQuote.refundAmount.toFixed(2)}</strong>{' '}
+                ({cancelQuote.refundPercent}% of the ${cancelQuote.paidAmount.toFixed(2)} paid).
+              </Alert>
+            ) : (
+              <Alert variant="info">This booking has not been paid, so no refund is due.</Alert>
+            )}
+
+            {/* Policy terms snapshotted at booking time */}
+            <h6>{cancelQuote.policy.name} cancellation policy</h6>
+            <ul className="small text-muted mb-0">
+              {cancelQuote.policy.tiers.map((tier, i) => (
+                <li key={i}>
+                  {tier.hoursBeforePickup > 0
+                    ? `At least ${tier.hoursBeforePickup} hours before pickup`
+                    : 'Before pickup'}: {tier.refundPercent}% refund
+                </li>
+              ))}
+              <li>Otherwise: no refund</li>
+            </ul>
+          </Modal.Body>
+        )}
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setCancelQuote(null)}>
+            Keep Booking
+          </Button>
+          <Button variant="danger" onClick={handleConfirmCancel} disabled={cancelling}>
+            {cancelling ? 'Cancelling...' : 'Confirm Cancellation'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
+      {/* Dispute Charge Modal - customer explains why a claim is wrong */}
+      <Modal show={!!disputingClaim} onHide={() => setDisputingClaim(null)}>
+        <Form onSubmit={handleDispute}>
+          <Modal.Header closeButton>
+            <Modal.Title>Dispute Charge</Modal.Title>
+          </Modal.Header>
+          {disputingClaim && (
+            <Modal.Body>
+              <Alert variant="light" className="small">
+                <strong>{claimCategoryLabels[disputingClaim.category]} - ${disputingClaim.amount.toFixed(2)}</strong>
+                <div>{disputingClaim.description}</div>
+              </Alert>
+              <Form.Group>
+                <Form.Label>Why are you disputing this charge?</Form.Label>
+                <Form.Control
+                  as="textarea"
+                  rows={4}
+                  value={disputeReason}
+                  onChange={(e) => setDisputeReason(e.target.value)}
+                  maxLength={1000}
+                  required
+                />
+                <Form.Text>We will review your dispute before collecting this charge.</Form.Text>
+              </Form.Group>
+            </Modal.Body>
+          )}
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setDisputingClaim(null)}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="danger" disabled={disputing}>
+              {disputing ? 'Submitting...' : 'Submit Dispute'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      {/* Modify Booking Modal - change dates or extras with price preview */}
+      <ModifyBookingModal
+        booking={modifyingBooking}
+        show={!!modifyingBooking}
+        onHide={() => setModifyingBooking(null)}
+        onModified={handleModified}
+      />
     </>
   );
 };
@@ -6,28 +6,40 @@
 // React core with useState for state management and useEffect for data fetching
 import React, { useState, useEffect } from 'react';
 // React Router hooks for URL params, navigation, and links
-import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams, Link } from 'react-router-dom';
 // Bootstrap components for layout, cards, badges, forms, and modals
 import { Container, Row, Col, Card, Button, Badge, Form, Modal } from 'react-bootstrap';
 // Icon components for visual elements throughout the page
 import { FaStar, FaGasPump, FaCog, FaUsers, FaMapMarkerAlt, FaCheck, FaArrowLeft } from 'react-icons/fa';
-// Date picker component for selecting booking dates
-import DatePicker from 'react-datepicker';
 // Toast notifications for user feedback
 import { toast } from 'react-toastify';
-// API services for car and review HTTP requests
-import { carsAPI, reviewsAPI } from '../services/api';
+// API services for car, review, and booking price HTTP requests
+import { carsAPI, reviewsAPI, bookingsAPI, waitlistAPI } from '../services/api';
 // Custom hook for accessing authentication state
 import { useAuth } from '../context/AuthContext';
 // Custom hook for accessing booking context
 import { useBooking } from '../context/BookingContext';
 // Loading component for displaying loading states
 import Loading from '../components/common/Loading';
+// Itemized price display (base rate, pricing rules, tax)
+import PriceBreakdown from '../components/booking/PriceBreakdown';
+// Date-time picker limited to the location's opening hours
+import RentalTimePicker from '../components/booking/RentalTimePicker';
+// Wall-clock time formatting for the API
+import { toRentalTime } from '../utils/rentalTime';
+
+// Reads a ?start= or ?end= time - wall-clock times without an offset parse as local picker dates
+const parseQueryTime = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date : null;
+};
 
 // CarDetails component - displays full car information and booking interface
 const CarDetails = () => {
   // Extract car ID from URL parameters
   const { id } = useParams();
+  // ?start=&end= prefill the dates (e.g. from a waitlist offer)
+  const [searchParams] = useSearchParams();
   // Navigation hook for programmatic routing
   const navigate = useNavigate();
   // Destructure auth state and user data from auth context
@@ -43,14 +55,22 @@ const CarDetails = () => {
   const [loading, setLoading] = useState(true);
   // Index of currently displayed image in gallery
   const [selectedImage, setSelectedImage] = useState(0);
-  // Selected start date for booking
-  const [startDate, setStartDate] = useState(null);
-  // Selected end date for booking
-  const [endDate, setEndDate] = useState(null);
+  // Selected pickup date and time (wall-clock time at the car's location)
+  const [startDate, setStartDate] = useState(() => parseQueryTime(searchParams.get('start')));
+  // Selected return date and time
+  const [endDate, setEndDate] = useState(() => parseQueryTime(searchParams.get('end')));
   // Availability status for selected dates (null = unchecked)
   const [isAvailable, setIsAvailable] = useState(null);
   // Loading state during availability check
   const [checkingAvailability, setCheckingAvailability] = useState(false);
+  // Server price quote for the selected dates (includes applied pricing rules)
+  const [quote, setQuote] = useState(null);
+  // Whether the taken car can be waited for on the waitlist
+  const [canJoinWaitlist, setCanJoinWaitlist] = useState(false);
+  // Wait for any car of this type at this location rather than this one
+  const [anyOfType, setAnyOfType] = useState(false);
+  // Loading state while joining the waitlist
+  const [joiningWaitlist, setJoiningWaitlist] = useState(false);
 
   // Review Modal State
   // Controls visibility of the review modal
@@ -66,6 +86,29 @@ const CarDetails = () => {
     fetchReviews();
   }, [id]);
 
+  // Re-quote the price whenever the selected dates change
+  // Seasonal, weekend, and length-of-rental rules make the price date-dependent
+  useEffect(() => {
+    setQuote(null);
+    if (!startDate || !endDate || endDate <= startDate) return;
+
+    let cancelled = false;
+    bookingsAPI.calculatePrice({
+      carId: id,
+      startDate: toRentalTime(startDate),
+      endDate: toRentalTime(endDate)
+    })
+      .then(response => {
+        if (!cancelled) setQuote(response.data.data);
+      })
+      .catch(() => {
+        if (!cancelled) setQuote(null);
+      });
+
+    // Ignore responses for dates that are no longer selected
+    return () => { cancelled = true; };
+  }, [id, startDate, endDate]);
+
   // Fetches car details from the API
   // Redirects to cars page if car not found
   const fetchCarDetails = async () => {
@@ -103,10 +146,11 @@ const CarDetails = () => {
     setCheckingAvailability(true);
     try {
       const response = await carsAPI.checkAvailability(id, {
-        startDate: startDate.toISOString(),
-        endDate: endDate.toISOString()
+        startDate: toRentalTime(startDate),
+        endDate: toRentalTime(endDate)
       });
       setIsAvailable(response.data.data.available);
+      setCanJoinWaitlist(!!response.data.data.canJoinWaitlist);
       // Show warning if car is not available
       if (!response.data.data.available) {
         toast.warning(response.data.data.reason || 'Car not available for selected dates');
@@ -141,6 +185,37 @@ const CarDetails = () => {
     navigate('/checkout');
   };
 
+  // Joins the waitlist for the selected dates
+  // The customer is notified and the car held for them if it frees up
+  const handleJoinWaitlist = async () => {
+    // Redirect to login if not authenticated
+    if (!isAuthenticated) {
+      toast.info('Please log in to join the waitlist');
+      navigate('/login', { state: { from: { pathname: `/cars/${id}` } } });
+      return;
+    }
+
+    setJoiningWaitlist(true);
+    try {
+      const response = await waitlistAPI.join({
+        carId: id,
+        anyOfType,
+        startDate: toRentalTime(startDate),
+        endDate: toRentalTime(endDate)
+      });
+      toast.success(response.data.message);
+      setCanJoinWaitlist(false);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.errors?.[0]?.message ||
+        error.response?.data?.message ||
+        'Error joining the waitlist'
+      );
+    } finally {
+      setJoiningWaitlist(false);
+    }
+  };
+
   // Handles review form submission
   // Creates a new review via API and refreshes reviews list
   const handleReviewSubmit = async (e) => {
@@ -177,14 +252,16 @@ const CarDetails = () => {
   if (!car) return null;
 
   // Calculates the number of days between selected dates
+  // Uses the server's billable days (24-hour blocks plus grace period) once quoted
   // Returns 0 if dates are not selected
   const calculateDays = () => {
     if (!startDate || !endDate) return 0;
+    if (quote) return quote.pricing.totalDays;
     return Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
   };
 
-  // Calculate total price based on days and daily rate
-  const totalPrice = calculateDays() * car.pricePerDay;
+  // Location the car is picked up from (populated with opening hours and timezone)
+  const carLocation = car.currentLocation?.timezone ? car.currentLocation : null;
 
   return (
     <>
@@ -393,36 +470,40 @@ const CarDetails = () => {
                   <p className="text-muted">per day</p>
                 </div>
 
-                {/* Pick-up Date Picker */}
+                {/* Pick-up Date & Time Picker */}
                 <Form.Group className="mb-3">
-                  <Form.Label>Pick-up Date</Form.Label>
-                  <DatePicker
+                  <Form.Label>Pick-up</Form.Label>
+                  <RentalTimePicker
                     selected={startDate}
                     onChange={(date) => {
                       setStartDate(date);
                       setIsAvailable(null); // Reset availability when date changes
                     }}
                     minDate={new Date()}
-                    placeholderText="Select pick-up date"
-                    className="form-control"
-                    dateFormat="MMM d, yyyy"
+                    location={carLocation}
+                    placeholderText="Select pick-up date and time"
                   />
                 </Form.Group>
 
-                {/* Return Date Picker */}
+                {/* Return Date & Time Picker */}
                 <Form.Group className="mb-3">
-                  <Form.Label>Return Date</Form.Label>
-                  <DatePicker
+                  <Form.Label>Return</Form.Label>
+                  <RentalTimePicker
                     selected={endDate}
                     onChange={(date) => {
                       setEndDate(date);
                       setIsAvailable(null); // Reset availability when date changes
                     }}
                     minDate={startDate || new Date()}
-                    placeholderText="Select return date"
-                    className="form-control"
-                    dateFormat="MMM d, yyyy"
+                    location={carLocation}
+                    placeholderText="Select return date and time"
                   />
+                  {/* Times are local to the pickup location */}
+                  {carLocation && (
+                    <Form.Text className="text-muted">
+                      Times are local to {carLocation.name} ({carLocation.timezone})
+                    </Form.Text>
+                  )}
                 </Form.Group>
 
                 {/* Duration display - only shown when dates are selected */}
@@ -433,11 +514,19 @@ const CarDetails = () => {
                   </div>
                 )}
 
-                {/* Estimated total - only shown when dates are selected */}
-                {startDate && endDate && (
-                  <div className="summary-row summary-total">
-                    <span>Estimated Total</span>
-                    <span>${totalPrice.toFixed(2)}</span>
+                {/* Times outside opening hours can't be booked */}
+                {quote?.timeError && (
+                  <div className="alert alert-warning py-2 small">{quote.timeError}</div>
+                )}
+
+                {/* Itemized estimate with any pricing rules applied */}
+                {quote && (
+                  <div className="mb-3">
+                    <PriceBreakdown
+                      pricing={quote.pricing}
+                      totalPrice={quote.totalPrice}
+                      totalLabel="Estimated Total"
+                    />
                   </div>
                 )}
 
@@ -458,6 +547,32 @@ const CarDetails = () => {
                   </div>
                 )}
 
+                {/* Waitlist - get this car (or one like it) held for you if it frees up */}
+                {isAvailable === false && canJoinWaitlist && (
+                  <div className="border rounded p-3 mb-3">
+                    <p className="small mb-2">
+                      Join the waitlist and we will hold the car for you if it frees up for these dates.
+                    </p>
+                    <Form.Check
+                      type="checkbox"
+                      id="waitlist-any-of-type"
+                      className="small mb-2"
+                      label={`Any ${car.type === 'suv' ? 'SUV' : car.type} car${carLocation ? ` at ${carLocation.name}` : ''} will do`}
+                      checked={anyOfType}
+                      onChange={(e) => setAnyOfType(e.target.checked)}
+                    />
+                    <Button
+                      variant="outline-secondary"
+                      size="sm"
+                      className="w-100"
+                      onClick={handleJoinWaitlist}
+                      disabled={joiningWaitlist}
+                    >
+                      {joiningWaitlist ? 'Joining...' : (isAuthenticated ? 'Join Waitlist' : 'Login to Join Waitlist')}
+                    </Button>
+                  </div>
+                )}
+
                 {/* Book Now / Login to Book Button */}
                 <Button
                   variant="primary"
@@ -1,69 +1,105 @@
 // ============================================
 // CHECKOUT PAGE COMPONENT
 // Handles extras selection and payment processing with Stripe
+// (or the mock payment provider in development)
 // ============================================
 
-// React core with useState for state management and useEffect for validation
-import React, { useState, useEffect } from 'react';
+// React core with useState for state management, useEffect for validation and timers
+import React, { useState, useEffect, useCallback } from 'react';
 // Navigation hook for programmatic routing
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 // Bootstrap components for layout, cards, forms, and lists
-import { Container, Row, Col, Card, Button, Form, ListGroup } from 'react-bootstrap';
+import { Container, Row, Col, Card, Button, Form, ListGroup, Alert } from 'react-bootstrap';
 // Icon components for visual elements
-import { FaCar, FaCalendarAlt, FaShieldAlt, FaMapMarkerAlt, FaWifi, FaBaby, FaCheck, FaCreditCard } from 'react-icons/fa';
-// Stripe integration - loads Stripe.js library
-import { loadStripe } from '@stripe/stripe-js';
+import {
+  FaCar, FaCalendarAlt, FaShieldAlt, FaMapMarkerAlt, FaIdCard, FaWifi, FaBaby, FaChild,
+  FaUserPlus, FaPhone, FaGasPump, FaPlus, FaMinus, FaCheck, FaCreditCard, FaClock
+} from 'react-icons/fa';
 // Stripe React components for payment form
 import { Elements, CardElement, useStripe, useElements } from '@stripe/react-stripe-js';
 // Toast notifications for user feedback
 import { toast } from 'react-toastify';
-// API services for booking and payment HTTP requests
-import { bookingsAPI, paymentsAPI } from '../services/api';
+// API services for booking, payment, extras, and location HTTP requests
+import { authAPI, bookingsAPI, paymentsAPI, extrasAPI, locationsAPI } from '../services/api';
 // Custom hook for accessing booking context
 import { useBooking } from '../context/BookingContext';
+// Custom hook for the logged-in user (primary driver defaults to their name)
+import { useAuth } from '../context/AuthContext';
 // Loading component for displaying loading states
 import Loading from '../components/common/Loading';
+// Itemized price display (base rate, pricing rules, extras, tax)
+import PriceBreakdown from '../components/booking/PriceBreakdown';
+// Date-time picker limited to the location's opening hours
+import RentalTimePicker from '../components/booking/RentalTimePicker';
+// Primary and additional driver details with eligibility explanations
+import DriversForm, { emptyDriver, isDriverComplete } from '../components/booking/DriversForm';
+// Wall-clock time formatting for the API
+import { toRentalTime, withOpeningTime } from '../utils/rentalTime';
+// Extra prices with their pricing unit
+import { formatExtraPrice } from '../utils/extras';
+// Driver's license check (paying needs a verified license valid until the return)
+import { isLicenseValidUntil, licenseStatusLabels } from '../utils/licenses';
+// Payment form for the mock payment provider
+import MockPaymentForm from '../components/booking/MockPaymentForm';
+// Stripe.js loader
+import { getStripe } from '../utils/stripe';
+
+// Icons for extras, keyed by the Extra model's icon field
+const extraIcons = {
+  shield: <FaShieldAlt />,
+  map: <FaMapMarkerAlt />,
+  baby: <FaBaby />,
+  child: <FaChild />,
+  'user-plus': <FaUserPlus />,
+  phone: <FaPhone />,
+  wifi: <FaWifi />,
+  gas: <FaGasPump />
+};
+
+// HoldCountdown component - shows how long the car stays held for an unpaid booking
+// Calls onExpire once when the hold runs out
+const HoldCountdown = ({ expiresAt, onExpire }) => {
+  // Milliseconds remaining until the hold expires
+  const [remaining, setRemaining] = useState(() => new Date(expiresAt) - Date.now());
 
-// Initialize Stripe with publishable key from environment variables
-// Falls back to placeholder key for development
-const stripePromise = loadStripe(process.env.REACT_APP_STRIPE_PUBLISHABLE_KEY || 'pk_test_placeholder');
-
-// Array of available rental extras with pricing and icons
-// Each extra has an ID, display name, description, daily rate, and icon
-const extras = [
-  {
-    _id: 'insurance',
-    name: 'Full Coverage Insurance',
-    description: 'Comprehensive coverage with zero deductible',
-    pricePerDay: 25,
-    icon: <FaShieldAlt />
-  },
-  {
-    _id: 'gps',
-    name: 'GPS Navigation',
-    description: 'Portable GPS with up-to-date maps',
-    pricePerDay: 10,
-    icon: <FaMapMarkerAlt />
-  },
-  {
-    _id: 'child-seat',
-    name: 'Child Safety Seat',
-    description: 'Approved car seat for children',
-    pricePerDay: 12,
-    icon: <FaBaby />
-  },
-  {
-    _id: 'wifi',
-    name: 'WiFi Hotspot',
-    description: 'Unlimited mobile internet',
-    pricePerDay: 12,
-    icon: <FaWifi />
+  // Tick every second until the hold expires
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const left = new Date(expiresAt) - Date.now();
+      setRemaining(left);
+      if (left <= 0) {
+        clearInterval(timer);
+        onExpire();
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [expiresAt, onExpire]);
+
+  // Hold already expired
+  if (remaining <= 0) {
+    return (
+      <div className="alert alert-danger py-2 mb-4">
+        <FaClock className="me-2" />
+        Your hold on this car has expired. Please start a new booking.
+      </div>
+    );
   }
-];
+
+  // Format remaining time as mm:ss
+  const minutes = Math.floor(remaining / 60000);
+  const seconds = Math.floor((remaining % 60000) / 1000).toString().padStart(2, '0');
+
+  return (
+    <div className={`alert ${remaining < 60000 ? 'alert-warning' : 'alert-info'} py-2 mb-4`}>
+      <FaClock className="me-2" />
+      We're holding this car for you for <strong>{minutes}:{seconds}</strong>. Complete payment before the hold expires.
+    </div>
+  );
+};
 
 // CheckoutForm component - handles Stripe payment submission
-// Receives booking object and success callback as props
-const CheckoutForm = ({ booking, onSuccess }) => {
+// Receives booking object, success callback, and hold expiry flag as props
+const CheckoutForm = ({ booking, onSuccess, holdExpired }) => {
   // Stripe hook for accessing Stripe.js methods
   const stripe = useStripe();
   // Elements hook for accessing the CardElement
@@ -302,7 +338,7 @@ const CheckoutForm = ({ booking, onSuccess }) => {
         variant="primary"
         type="submit"
         className="w-100 py-3"
-        disabled={!stripe || loading}
+        disabled={!stripe || loading || holdExpired}
       >
         {loading ? 'Processing...' : `Pay $${booking.totalPrice.toFixed(2)}`}
       </Button>
@@ -311,6 +347,12 @@ const CheckoutForm = ({ booking, onSuccess }) => {
       <p className="text-muted small text-center mt-3">
         <FaCreditCard className="me-1" /> Secured by Stripe. Your payment info is encrypted.
       </p>
+      {/* The card is saved so the deposit can be held on it at pickup */}
+      {booking.deposit?.amount > 0 && (
+        <p className="text-muted small text-center mb-0">
+          This card will also be used for the ${booking.deposit.amount.toFixed(2)} security deposit at pickup.
+        </p>
+      )}
     </Form>
   );
 };
@@ -320,10 +362,25 @@ const Checkout = () => {
   // Navigation hook for redirecting
   const navigate = useNavigate();
   // Destructure booking context data and methods
-  const { bookingData, toggleExtra, getBasePrice, getExtrasTotal, getTax, getTotal, getTotalDays, resetBooking } = useBooking();
+  const { bookingData, setDates, setLocations, getTotalDays, resetBooking } = useBooking();
+  // Logged-in customer
+  const { user } = useAuth();
 
-  // Array of selected extra items
+  // Extras available to add to the booking
+  const [availableExtras, setAvailableExtras] = useState([]);
+  // Array of selected extra items, each with the quantity chosen
   const [selectedExtras, setSelectedExtras] = useState([]);
+  // Units of each extra still free at the pickup location (null = not limited)
+  const [extraAvailability, setExtraAvailability] = useState({});
+  // Everyone who will drive - the customer first, then any additional drivers
+  const [drivers, setDrivers] = useState(() => [{ ...emptyDriver, name: user?.name || '' }]);
+  // Server price quote for the current selection (line items and applied rules)
+  const [quote, setQuote] = useState(null);
+  // Pickup/drop-off locations to choose from
+  const [locations, setLocationOptions] = useState([]);
+  // Promo code being typed, and the code submitted for validation
+  const [promoInput, setPromoInput] = useState('');
+  const [promoCode, setPromoCode] = useState('');
   // Special requests or notes for the booking
   const [notes, setNotes] = useState('');
   // Created booking object returned from API
@@ -332,6 +389,26 @@ const Checkout = () => {
   const [creatingBooking, setCreatingBooking] = useState(false);
   // Current checkout step: 1 = extras selection, 2 = payment
   const [step, setStep] = useState(1);
+  // Whether the booking's hold on the car has expired
+  const [holdExpired, setHoldExpired] = useState(false);
+  // Customer's driver's license, refreshed in case it was verified since they logged in
+  const [license, setLicense] = useState(user?.license);
+  // Payment provider settings (Stripe, or the mock provider in development)
+  const [paymentConfig, setPaymentConfig] = useState(null);
+
+  // Load the latest license verification status
+  useEffect(() => {
+    authAPI.getLicense()
+      .then(response => setLicense(response.data.data.license))
+      .catch(() => {});
+  }, []);
+
+  // Load which payment provider takes the payment (Stripe if the server can't say)
+  useEffect(() => {
+    paymentsAPI.getConfig()
+      .then(response => setPaymentConfig(response.data.data))
+      .catch(() => setPaymentConfig({ provider: 'stripe' }));
+  }, []);
 
   // Validate that car and dates are selected on mount
   // Redirect to booking page if missing required data
@@ -342,6 +419,95 @@ const Checkout = () => {
     }
   }, [bookingData, navigate]);
 
+  // Pickup defaults to where the selected car is parked; return defaults to pickup
+  // (the car may come from search results with an ID, or car details with a populated location)
+  const carLocation = bookingData.selectedCar?.currentLocation;
+  const pickupLocationId = bookingData.pickupLocationId || carLocation?._id || carLocation || null;
+  const dropoffLocationId = bookingData.dropoffLocationId || pickupLocationId;
+
+  // Load pickup/drop-off locations once
+  useEffect(() => {
+    locationsAPI.getAll()
+      .then(response => setLocationOptions(response.data.data.locations))
+      .catch(() => setLocationOptions([]));
+  }, []);
+
+  // Dates chosen on the search pages have no time yet - start them at opening time
+  useEffect(() => {
+    const { startDate, endDate } = bookingData.dates;
+    if (!startDate || !endDate || locations.length === 0) return;
+    const pickup = locations.find(l => l._id === pickupLocationId);
+    const dropoff = locations.find(l => l._id === dropoffLocationId) || pickup;
+    const start = withOpeningTime(pickup, startDate);
+    const end = withOpeningTime(dropoff, endDate);
+    if (start.getTime() !== startDate.getTime() || end.getTime() !== endDate.getTime()) setDates(start, end);
+  }, [bookingData.dates, locations, pickupLocationId, dropoffLocationId, setDates]);
+
+  // Load available extras once
+  useEffect(() => {
+    extrasAPI.getAll()
+      .then(response => setAvailableExtras(response.data.data.extras))
+      .catch(() => setAvailableExtras([]));
+  }, []);
+
+  // Check stock at the pickup location whenever the location or dates change
+  useEffect(() => {
+    const { startDate, endDate } = bookingData.dates;
+    if (!pickupLocationId || !startDate || !endDate) return;
+    extrasAPI.getAvailability({
+      pickupLocationId,
+      startDate: toRentalTime(startDate),
+      endDate: toRentalTime(endDate)
+    })
+      .then(response => setExtraAvailability(response.data.data.availability))
+      .catch(() => setExtraAvailability({}));
+  }, [bookingData.dates, pickupLocationId]);
+
+  // Drivers are quoted (priced and checked) once their details are filled in
+  // Serialized so typing into an incomplete driver doesn't re-quote
+  const quoteDriversKey = JSON.stringify(isDriverComplete(drivers[0]) ? drivers.filter(isDriverComplete) : []);
+
+  // Re-quote the price from the server whenever the selection changes
+  // so the summary matches exactly what the booking will cost
+  useEffect(() => {
+    const { selectedCar, dates } = bookingData;
+    if (!selectedCar || !dates.startDate || !dates.endDate) return;
+
+    let cancelled = false;
+    bookingsAPI.calculatePrice({
+      carId: selectedCar._id,
+      startDate: toRentalTime(dates.startDate),
+      endDate: toRentalTime(dates.endDate),
+      extras: selectedExtras.map(e => ({ extra: e._id, quantity: e.quantity })),
+      drivers: JSON.parse(quoteDriversKey),
+      promoCode: promoCode || undefined,
+      // Taxes, fees, and one-way charges depend on where the car is picked up and returned
+      pickupLocationId: pickupLocationId || undefined,
+      dropoffLocationId: dropoffLocationId || undefined
+    })
+      .then(response => {
+        if (!cancelled) setQuote(response.data.data);
+      })
+      .catch(error => {
+        if (!cancelled) toast.error(error.response?.data?.message || 'Error calculating price');
+      });
+
+    // Ignore responses for a selection that has since changed
+    return () => { cancelled = true; };
+  }, [bookingData, selectedExtras, quoteDriversKey, promoCode, pickupLocationId, dropoffLocationId]);
+
+  // Submits the typed promo code for validation through the price quote
+  const handleApplyPromo = (e) => {
+    e.preventDefault();
+    setPromoCode(promoInput.trim());
+  };
+
+  // Removes the applied promo code
+  const handleRemovePromo = () => {
+    setPromoInput('');
+    setPromoCode('');
+  };
+
   // Toggles an extra item in the selected extras array
   // Adds if not present, removes if already selected
   const handleToggleExtra = (extra) => {
@@ -350,23 +516,21 @@ const Checkout = () => {
       if (exists) {
         return prev.filter(e => e._id !== extra._id);
       }
-      return [...prev, extra];
+      return [...prev, { ...extra, quantity: 1 }];
     });
   };
 
-  // Calculates total cost of all selected extras
-  // Multiplies each extra's daily rate by number of days
-  const calculateExtrasTotal = () => {
-    return selectedExtras.reduce((total, extra) => total + (extra.pricePerDay * getTotalDays()), 0);
+  // Most units of an extra that can be booked - its per-booking limit or the stock left
+  const getMaxQuantity = (extra) => {
+    const remaining = extraAvailability[extra._id];
+    return remaining == null ? extra.maxQuantity : Math.min(extra.maxQuantity, remaining);
   };
 
-  // Calculates the grand total including base price, extras, and tax
-  const calculateTotal = () => {
-    const basePrice = getBasePrice();
-    const extrasTotal = calculateExtrasTotal();
-    const subtotal = basePrice + extrasTotal;
-    const tax = subtotal * 0.10; // 10% tax rate
-    return subtotal + tax;
+  // Changes how many units of a selected extra are booked (removing it at zero)
+  const handleChangeQuantity = (extra, change) => {
+    setSelectedExtras(prev => prev
+      .map(e => (e._id === extra._id ? { ...e, quantity: e.quantity + change } : e))
+      .filter(e => e.quantity > 0));
   };
 
   // Creates the booking on the server and advances to payment step
@@ -375,9 +539,14 @@ const Checkout = () => {
     try {
       const response = await bookingsAPI.create({
         carId: bookingData.selectedCar._id,
-        startDate: bookingData.dates.startDate.toISOString(),
-        endDate: bookingData.dates.endDate.toISOString(),
-        extras: selectedExtras.map(e => e._id),
+        startDate: toRentalTime(bookingData.dates.startDate),
+        endDate: toRentalTime(bookingData.dates.endDate),
+        extras: selectedExtras.map(e => ({ extra: e._id, quantity: e.quantity })),
+        drivers,
+        // Only send a code the quote accepted
+        promoCode: quote?.promo?.valid ? promoCode : undefined,
+        pickupLocationId: pickupLocationId || undefined,
+        dropoffLocationId: dropoffLocationId || undefined,
         notes
       });
       setBooking(response.data.data.booking);
@@ -389,6 +558,12 @@ const Checkout = () => {
     }
   };
 
+  // Handles hold expiry - blocks payment and tells the user to start over
+  const handleHoldExpired = useCallback(() => {
+    setHoldExpired(true);
+    toast.error('Your booking hold has expired');
+  }, []);
+
   // Handles successful payment - resets booking context and navigates to confirmation
   const handlePaymentSuccess = (bookingId) => {
     resetBooking();
@@ -402,6 +577,11 @@ const Checkout = () => {
 
   // Reference to selected car for easier access
   const car = bookingData.selectedCar;
+  // Pickup and return locations, with opening hours for the time pickers
+  const pickupLocation = locations.find(l => l._id === pickupLocationId) || null;
+  const dropoffLocation = locations.find(l => l._id === dropoffLocationId) || pickupLocation;
+  // Whether the customer's license lets them pay for a rental until the return date
+  const licenseOk = isLicenseValidUntil(license, bookingData.dates.endDate);
 
   return (
     <>
@@ -419,6 +599,17 @@ const Checkout = () => {
         <Row>
           {/* Main Content Column */}
           <Col lg={8}>
+            {/* Driver's license needed before the booking can be paid for and confirmed */}
+            {!licenseOk && (
+              <Alert variant="warning">
+                <FaIdCard className="me-2" />
+                {license?.status === 'verified'
+                  ? "Your driver's license expires before this rental ends. "
+                  : `A verified driver's license is required to pay for this booking (yours: ${licenseStatusLabels[license?.status || 'none'].toLowerCase()}). `}
+                <Alert.Link as={Link} to="/profile?tab=license">Update your license</Alert.Link>
+              </Alert>
+            )}
+
             {step === 1 ? (
               // Step 1: Extras Selection and Review
               <>
@@ -439,51 +630,113 @@ const Checkout = () => {
                       <Col md={8}>
                         <h4 className="mb-2">{car.brand} {car.model}</h4>
                         <p className="text-muted mb-2">{car.year} | {car.transmission} | {car.seats} seats</p>
-                        <div className="d-flex gap-3">
-                          {/* Pick-up date display */}
-                          <div>
+                        <Row className="g-2">
+                          {/* Pick-up date and time */}
+                          <Col sm={6}>
                             <small className="text-muted">Pick-up</small>
-                            <p className="mb-0 fw-semibold">
-                              {bookingData.dates.startDate?.toLocaleDateString()}
-                            </p>
-                          </div>
-                          {/* Return date display */}
-                          <div>
+                            <RentalTimePicker
+                              selected={bookingData.dates.startDate}
+                              onChange={(date) => date && setDates(date, bookingData.dates.endDate)}
+                              minDate={new Date()}
+                              location={pickupLocation}
+                            />
+                          </Col>
+                          {/* Return date and time */}
+                          <Col sm={6}>
                             <small className="text-muted">Return</small>
-                            <p className="mb-0 fw-semibold">
-                              {bookingData.dates.endDate?.toLocaleDateString()}
-                            </p>
-                          </div>
-                          {/* Duration display */}
-                          <div>
-                            <small className="text-muted">Duration</small>
-                            <p className="mb-0 fw-semibold">{getTotalDays()} days</p>
-                          </div>
-                        </div>
+                            <RentalTimePicker
+                              selected={bookingData.dates.endDate}
+                              onChange={(date) => date && setDates(bookingData.dates.startDate, date)}
+                              minDate={bookingData.dates.startDate || new Date()}
+                              location={dropoffLocation}
+                            />
+                          </Col>
+                        </Row>
+                        {/* Duration in billable days (24-hour blocks) and local timezone */}
+                        <p className="small text-muted mt-2 mb-0">
+                          <FaClock className="me-1" />
+                          {quote ? quote.pricing.totalDays : getTotalDays()} day rental
+                          {pickupLocation && ` · times are local to ${pickupLocation.name} (${pickupLocation.timezone})`}
+                        </p>
+                        {/* Times outside opening hours can't be booked */}
+                        {quote?.timeError && (
+                          <div className="alert alert-warning py-2 small mt-2 mb-0">{quote.timeError}</div>
+                        )}
                       </Col>
                     </Row>
                   </Card.Body>
                 </Card>
 
+                {/* Pick-up and Return Locations Card */}
+                {pickupLocationId && (
+                  <Card className="mb-4">
+                    <Card.Body>
+                      <h5 className="mb-3"><FaMapMarkerAlt className="me-2" /> Pick-up & Return</h5>
+                      <Row>
+                        {/* Pick-up is wherever the car will be */}
+                        <Col md={6}>
+                          <small className="text-muted">Pick-up location</small>
+                          <p className="fw-semibold">
+                            {locations.find(l => l._id === pickupLocationId)?.name || car.location}
+                          </p>
+                        </Col>
+                        {/* Return can be any active location */}
+                        <Col md={6}>
+                          <Form.Group>
+                            <Form.Label className="small text-muted">Return location</Form.Label>
+                            <Form.Select
+                              value={dropoffLocationId}
+                              onChange={(e) => setLocations(pickupLocationId, e.target.value)}
+                            >
+                              {locations.map(location => (
+                                <option key={location._id} value={location._id}>{location.name}</option>
+                              ))}
+                            </Form.Select>
+                            {dropoffLocationId !== pickupLocationId && (
+                              <Form.Text>A one-way fee applies when returning to a different location.</Form.Text>
+                            )}
+                          </Form.Group>
+                        </Col>
+                      </Row>
+                    </Card.Body>
+                  </Card>
+                )}
+
+                {/* Drivers Card - who will drive, checked against the car's driver rules */}
+                <Card className="mb-4">
+                  <Card.Body>
+                    <h5 className="mb-3"><FaIdCard className="me-2" /> Drivers</h5>
+                    <DriversForm
+                      drivers={drivers}
+                      onChange={setDrivers}
+                      rules={quote?.driverRules}
+                      errors={quote?.driverErrors}
+                    />
+                  </Card.Body>
+                </Card>
+
                 {/* Extras Selection Card */}
                 <Card className="mb-4">
                   <Card.Body>
                     <h5 className="mb-3">Add Extras</h5>
                     <Row className="g-3">
                       {/* Render each available extra as a clickable card */}
-                      {extras.map((extra) => {
-                        const isSelected = selectedExtras.some(e => e._id === extra._id);
+                      {availableExtras.map((extra) => {
+                        const selected = selectedExtras.find(e => e._id === extra._id);
+                        const maxQuantity = getMaxQuantity(extra);
+                        // Extras out of stock at the pickup location can't be added
+                        const soldOut = !selected && maxQuantity < 1;
                         return (
                           <Col md={6} key={extra._id}>
                             <div
-                              className={`extra-item ${isSelected ? 'selected' : ''}`}
-                              onClick={() => handleToggleExtra(extra)}
+                              className={`extra-item ${selected ? 'selected' : ''} ${soldOut ? 'sold-out' : ''}`}
+                              onClick={() => !soldOut && handleToggleExtra(extra)}
                             >
                               <div className="d-flex justify-content-between align-items-start">
                                 <div className="d-flex">
                                   {/* Extra icon */}
                                   <div className="feature-icon me-3">
-                                    {extra.icon}
+                                    {extraIcons[extra.icon] || <FaPlus />}
                                   </div>
                                   {/* Extra name and description */}
                                   <div>
@@ -493,10 +746,40 @@ const Checkout = () => {
                                 </div>
                                 {/* Price and selected indicator */}
                                 <div className="text-end">
-                                  <p className="fw-bold text-primary mb-0">${extra.pricePerDay}/day</p>
-                                  {isSelected && <FaCheck className="text-success mt-1" />}
+                                  <p className="fw-bold text-primary mb-0">{formatExtraPrice(extra)}</p>
+                                  {extra.pricingMode === 'per_rental' && (
+                                    <small className="text-muted d-block">One-time fee</small>
+                                  )}
+                                  {soldOut && <small className="text-danger">Not available at this location</small>}
+                                  {selected && extra.maxQuantity === 1 && <FaCheck className="text-success mt-1" />}
                                 </div>
                               </div>
+                              {/* Quantity picker for extras that can be booked more than once */}
+                              {selected && extra.maxQuantity > 1 && (
+                                <div
+                                  className="d-flex align-items-center justify-content-end gap-2 mt-2"
+                                  onClick={(e) => e.stopPropagation()}
+                                >
+                                  <Button
+                                    size="sm"
+                                    variant="outline-secondary"
+                                    aria-label={`Fewer ${extra.name}`}
+                                    onClick={() => handleChangeQuantity(extra, -1)}
+                                  >
+                                    <FaMinus />
+                                  </Button>
+                                  <span className="fw-semibold">{selected.quantity}</span>
+                                  <Button
+                                    size="sm"
+                                    variant="outline-secondary"
+                                    aria-label={`More ${extra.name}`}
+                                    disabled={selected.quantity >= maxQuantity}
+                                    onClick={() => handleChangeQuantity(extra, 1)}
+                                  >
+                                    <FaPlus />
+                                  </Button>
+                                </div>
+                              )}
                             </div>
                           </Col>
                         );
@@ -505,6 +788,41 @@ const Checkout = () => {
                   </Card.Body>
                 </Card>
 
+                {/* Promo Code Card */}
+                <Card className="mb-4">
+                  <Card.Body>
+                    <h5 className="mb-3">Promo Code</h5>
+                    <Form onSubmit={handleApplyPromo} className="d-flex gap-2">
+                      <Form.Control
+                        placeholder="Enter promo code"
+                        value={promoInput}
+                        onChange={(e) => setPromoInput(e.target.value.toUpperCase())}
+                        disabled={!!quote?.promo?.valid}
+                      />
+                      {quote?.promo?.valid ? (
+                        <Button variant="outline-secondary" onClick={handleRemovePromo}>
+                          Remove
+                        </Button>
+                      ) : (
+                        <Button type="submit" variant="outline-primary" disabled={!promoInput.trim()}>
+                          Apply
+                        </Button>
+                      )}
+                    </Form>
+                    {/* Result of validating the code */}
+                    {promoCode && quote?.promo && (
+                      quote.promo.valid ? (
+                        <p className="text-success small mt-2 mb-0">
+                          <FaCheck className="me-1" />
+                          {quote.promo.code} applied: you save ${quote.promo.discountAmount.toFixed(2)}
+                        </p>
+                      ) : (
+                        <p className="text-danger small mt-2 mb-0">{quote.promo.message}</p>
+                      )
+                    )}
+                  </Card.Body>
+                </Card>
+
                 {/* Special Requests Card */}
                 <Card className="mb-4">
                   <Card.Body>
@@ -525,33 +843,59 @@ const Checkout = () => {
                   size="lg"
                   className="w-100"
                   onClick={handleProceedToPayment}
-                  disabled={creatingBooking}
+                  disabled={
+                    creatingBooking || !!quote?.timeError || quote?.driverErrors?.length > 0 ||
+                    !drivers.every(isDriverComplete)
+                  }
                 >
                   {creatingBooking ? 'Creating Booking...' : 'Proceed to Payment'}
                 </Button>
+                {!drivers.every(isDriverComplete) && (
+                  <p className="small text-muted text-center mt-2 mb-0">Fill in every driver's details to continue</p>
+                )}
               </>
             ) : (
               // Step 2: Payment Form
               <Card>
                 <Card.Body className="p-4">
                   <h5 className="mb-4"><FaCreditCard className="me-2" /> Payment</h5>
-                  {/* Stripe Elements provider wrapping the checkout form */}
-                  <Elements stripe={stripePromise}>
-                    <CheckoutForm booking={booking} onSuccess={handlePaymentSuccess} />
-                  </Elements>
-
-                  {/* Test Card Information for Development */}
-                  <div className="mt-4 p-3 bg-light rounded">
-                    <p className="small text-muted mb-2">
-                      <strong>Test Card Numbers:</strong>
-                    </p>
-                    <p className="small text-muted mb-1">
-                      Success: 4242 4242 4242 4242
-                    </p>
-                    <p className="small text-muted mb-0">
-                      Use any future date and any CVC
-                    </p>
-                  </div>
+                  {/* Countdown for the car hold on this unpaid booking */}
+                  {booking.holdExpiresAt && (
+                    <HoldCountdown expiresAt={booking.holdExpiresAt} onExpire={handleHoldExpired} />
+                  )}
+                  {licenseOk && !paymentConfig && <Loading />}
+
+                  {/* Mock provider - pick a test payment method instead of entering a card */}
+                  {licenseOk && paymentConfig?.provider === 'mock' && (
+                    <MockPaymentForm
+                      booking={booking}
+                      paymentMethods={paymentConfig.paymentMethods}
+                      onSuccess={handlePaymentSuccess}
+                      holdExpired={holdExpired}
+                    />
+                  )}
+
+                  {licenseOk && paymentConfig?.provider === 'stripe' && (
+                    <>
+                      {/* Stripe Elements provider wrapping the checkout form */}
+                      <Elements stripe={getStripe(paymentConfig.publishableKey)}>
+                        <CheckoutForm booking={booking} onSuccess={handlePaymentSuccess} holdExpired={holdExpired} />
+                      </Elements>
+
+                      {/* Test Card Information for Development */}
+                      <div className="mt-4 p-3 bg-light rounded">
+                        <p className="small text-muted mb-2">
+                          <strong>Test Card Numbers:</strong>
+                        </p>
+                        <p className="small text-muted mb-1">
+                          Success: 4242 4242 4242 4242
+                        </p>
+                        <p className="small text-muted mb-0">
+                          Use any future date and any CVC
+                        </p>
+                      </div>
+                    </>
+                  )}
                 </Card.Body>
               </Card>
             )}
@@ -563,36 +907,26 @@ const Checkout = () => {
               <Card.Body className="p-4">
                 <h5 className="mb-4">Booking Summary</h5>
 
-                {/* Base rental rate */}
-                <div className="summary-row">
-                  <span>Base Rate ({getTotalDays()} days)</span>
-                  <span>${getBasePrice().toFixed(2)}</span>
-                </div>
-
-                {/* Selected extras breakdown */}
-                {selectedExtras.length > 0 && (
-                  <>
-                    <p className="fw-semibold mb-2 mt-3">Extras</p>
-                    {selectedExtras.map((extra) => (
-                      <div key={extra._id} className="summary-row">
-                        <span className="text-muted">{extra.name}</span>
-                        <span>${(extra.pricePerDay * getTotalDays()).toFixed(2)}</span>
-                      </div>
-                    ))}
-                  </>
+                {/* Server-calculated line items, including applied pricing rules */}
+                {quote ? (
+                  <PriceBreakdown pricing={quote.pricing} totalPrice={quote.totalPrice} />
+                ) : (
+                  <p className="text-muted mb-0">Calculating price...</p>
                 )}
 
-                {/* Tax calculation (10%) */}
-                <div className="summary-row">
-                  <span>Tax (10%)</span>
-                  <span>${((getBasePrice() + calculateExtrasTotal()) * 0.10).toFixed(2)}</span>
-                </div>
-
-                {/* Grand total */}
-                <div className="summary-row summary-total border-top pt-3 mt-3">
-                  <span>Total</span>
-                  <span>${calculateTotal().toFixed(2)}</span>
-                </div>
+                {/* Refundable deposit - held on the card at pickup, not part of the total */}
+                {quote?.deposit > 0 && (
+                  <div className="mt-3 pt-3 border-top">
+                    <div className="d-flex justify-content-between">
+                      <span>Security deposit</span>
+                      <span className="fw-semibold">${quote.deposit.toFixed(2)}</span>
+                    </div>
+                    <p className="small text-muted mb-0">
+                      Held on your card when you pick the car up, not charged. It is released when the car
+                      is returned, less any late return, mileage, fuel, or damage charges.
+                    </p>
+                  </div>
+                )}
               </Card.Body>
             </Card>
           </Col>
@@ -15,6 +15,12 @@ import { FaCheckCircle, FaCar, FaCalendarAlt, FaMapMarkerAlt, FaPrint, FaHome }
 import { bookingsAPI } from '../services/api';
 // Loading component for displaying loading states
 import Loading from '../components/common/Loading';
+// Shows pickup and return times in the booking's local timezone
+import { formatRentalTime } from '../utils/rentalTime';
+// Extra names with quantities
+import { formatExtraName } from '../utils/extras';
+// Invoice and credit note downloads
+import InvoiceLinks from '../components/booking/InvoiceLinks';
 
 // Confirmation component - shows booking details after successful payment
 const Confirmation = () => {
@@ -90,10 +96,10 @@ const Confirmation = () => {
                     <Card.Body>
                       <h6 className="text-muted mb-2"><FaCalendarAlt className="me-2" /> Dates</h6>
                       <p className="mb-1">
-                        <strong>Pick-up:</strong> {new Date(booking.startDate).toLocaleDateString()}
+                        <strong>Pick-up:</strong> {formatRentalTime(booking.startDate, booking.timezone)}
                       </p>
                       <p className="mb-0">
-                        <strong>Return:</strong> {new Date(booking.endDate).toLocaleDateString()}
+                        <strong>Return:</strong> {formatRentalTime(booking.endDate, booking.timezone)}
                       </p>
                     </Card.Body>
                   </Card>
@@ -123,7 +129,7 @@ const Confirmation = () => {
                         <strong>Status:</strong>{' '}
                         {/* Payment status badge - green for paid, yellow for pending */}
                         <span className={`badge bg-${booking.paymentStatus === 'paid' ? 'success' : 'warning'}`}>
-                          {booking.paymentStatus}
+                          {booking.paymentStatus.replace(/_/g, ' ')}
                         </span>
                       </p>
                       {/* Total price in primary color */}
@@ -142,7 +148,7 @@ const Confirmation = () => {
                     {booking.extras.map((extra, index) => (
                       <li key={index} className="mb-1">
                         <FaCheckCircle className="text-success me-2" />
-                        {extra.name}
+                        {formatExtraName(extra)}
                       </li>
                     ))}
                   </ul>
@@ -155,6 +161,8 @@ const Confirmation = () => {
                 <Button variant="outline-primary" onClick={() => window.print()}>
                   <FaPrint className="me-2" /> Print Confirmation
                 </Button>
+                {/* Invoice PDF (and any credit notes) - once the booking is paid */}
+                <InvoiceLinks booking={booking} />
                 {/* View My Bookings Button */}
                 <Button as={Link} to="/my-bookings" variant="primary">
                   View My Bookings
@@ -15,8 +15,8 @@ import { FaCar, FaShieldAlt, FaClock, FaHeadset, FaStar, FaArrowRight, FaCalenda
 // Date picker component for date selection
 import DatePicker from 'react-datepicker';
 // API services for fetching data
-import { carsAPI, reviewsAPI } from '../services/api';
-// Booking context for storing selected dates
+import { carsAPI, reviewsAPI, locationsAPI } from '../services/api';
+// Booking context for storing selected dates and pickup location
 import { useBooking } from '../context/BookingContext';
 // Loading component for async operations
 import Loading from '../components/common/Loading';
@@ -36,9 +36,13 @@ const Home = () => {
   const [startDate, setStartDate] = useState(null);
   // Selected return date from quick search form
   const [endDate, setEndDate] = useState(null);
+  // Pickup locations for the quick search form
+  const [locations, setLocations] = useState([]);
+  // Selected pickup location ID ('' = any location)
+  const [pickupLocationId, setPickupLocationId] = useState('');
 
-  // Get setDates function from booking context
-  const { setDates } = useBooking();
+  // Get booking context setters for dates and locations
+  const { setDates, setLocations: setBookingLocations } = useBooking();
   // Hook for programmatic navigation
   const navigate = useNavigate();
 
@@ -50,13 +54,15 @@ const Home = () => {
     const fetchData = async () => {
       try {
         // Parallel API requests for better performance
-        const [carsRes, reviewsRes] = await Promise.all([
+        const [carsRes, reviewsRes, locationsRes] = await Promise.all([
           carsAPI.getFeatured(),
-          reviewsAPI.getRecent()
+          reviewsAPI.getRecent(),
+          locationsAPI.getAll()
         ]);
         // Update state with fetched data
         setFeaturedCars(carsRes.data.data.cars);
         setRecentReviews(reviewsRes.data.data.reviews);
+        setLocations(locationsRes.data.data.locations);
       } catch (error) {
         console.error('Error fetching data:', error);
       } finally {
@@ -70,7 +76,7 @@ const Home = () => {
 
   /**
    * Handle quick search form submission
-   * Stores dates in context and navigates to booking page
+   * Stores dates and pickup location in context and navigates to booking page
    * @param {Event} e - Form submit event
    */
   const handleSearch = (e) => {
@@ -78,6 +84,8 @@ const Home = () => {
     // Only navigate if both dates selected
     if (startDate && endDate) {
       setDates(startDate, endDate);
+      // Return to the same location by default
+      setBookingLocations(pickupLocationId || null, pickupLocationId || null);
       navigate('/booking');
     }
   };
@@ -178,9 +186,14 @@ const Home = () => {
                       {/* Location selector */}
                       <Col md={12} className="mb-3">
                         <Form.Label><FaMapMarkerAlt className="me-2" />Location</Form.Label>
-                        <Form.Select>
-                          <option value="main">Main Office</option>
-                          <option value="airport">Airport Terminal</option>
+                        <Form.Select
+                          value={pickupLocationId}
+                          onChange={(e) => setPickupLocationId(e.target.value)}
+                        >
+                          <option value="">Any location</option>
+                          {locations.map(location => (
+                            <option key={location._id} value={location._id}>{location.name}</option>
+                          ))}
                         </Form.Select>
                       </Col>
                       {/* Search button */}
@@ -1,23 +1,33 @@
 // ============================================
 // PROFILE PAGE COMPONENT
-// User account settings with profile and password management
+// User account settings with profile, driver's license, and password management
 // ============================================
 
 // React core library with useState hook for managing form state
 import React, { useState } from 'react';
 // Bootstrap components for layout and form elements
-import { Container, Row, Col, Card, Form, Button, Tab, Nav } from 'react-bootstrap';
+import { Container, Row, Col, Card, Form, Button, Tab, Nav, Alert, Badge } from 'react-bootstrap';
 // Icon components for visual elements in the profile page
-import { FaUser, FaLock, FaEnvelope, FaPhone, FaSave } from 'react-icons/fa';
+import { FaUser, FaLock, FaEnvelope, FaPhone, FaSave, FaIdCard, FaUpload, FaHourglassHalf } from 'react-icons/fa';
+// Search params for opening a tab directly (e.g. /profile?tab=license from checkout)
+import { useSearchParams } from 'react-router-dom';
 // Toast notification library for user feedback
 import { toast } from 'react-toastify';
 // Custom hook for accessing auth context (user data and update methods)
 import { useAuth } from '../context/AuthContext';
+// Uploaded license image preview
+import LicenseImage from '../components/common/LicenseImage';
+// The user's waitlist entries
+import WaitlistEntries from '../components/booking/WaitlistEntries';
+// License status labels and colours
+import { licenseStatusLabels, licenseStatusColors } from '../utils/licenses';
 
 // Profile component - allows users to manage their account settings
 const Profile = () => {
   // Destructure user data and update methods from auth context
-  const { user, updateProfile, changePassword } = useAuth();
+  const { user, updateProfile, submitLicense, changePassword } = useAuth();
+  // Tab to open first
+  const [searchParams] = useSearchParams();
 
   // State object for profile form fields (name and phone)
   // Pre-populated with current user data if available
@@ -33,6 +43,19 @@ const Profile = () => {
     confirmPassword: ''       // Confirmation of new password
   });
 
+  // State object for driver's license form fields
+  // Images are only required the first time; leaving them empty keeps the current ones
+  const license = user?.license || { status: 'none' };
+  const [licenseForm, setLicenseForm] = useState({
+    number: license.number || '',
+    country: license.country || '',
+    expiresAt: license.expiresAt ? license.expiresAt.slice(0, 10) : '',
+    front: null,
+    back: null
+  });
+  // Bumped after each upload so the image previews reload
+  const [licenseVersion, setLicenseVersion] = useState(0);
+
   // Loading state to disable buttons during API calls
   const [loading, setLoading] = useState(false);
 
@@ -69,6 +92,42 @@ const Profile = () => {
     }
   };
 
+  // Handles input changes in the license form (files are kept as File objects)
+  const handleLicenseChange = (e) => {
+    const { name, value, files } = e.target;
+    setLicenseForm({
+      ...licenseForm,
+      [name]: files ? files[0] || null : value
+    });
+  };
+
+  // Handles license form submission
+  // Sends details and any new images as multipart form data
+  const handleLicenseSubmit = async (e) => {
+    e.preventDefault();
+
+    const formData = new FormData();
+    formData.append('number', licenseForm.number);
+    formData.append('country', licenseForm.country);
+    formData.append('expiresAt', licenseForm.expiresAt);
+    if (licenseForm.front) formData.append('front', licenseForm.front);
+    if (licenseForm.back) formData.append('back', licenseForm.back);
+
+    setLoading(true);
+    try {
+      const data = await submitLicense(formData);
+      toast.success(data.message);
+      // Clear the chosen files - the previews now show the uploaded images
+      setLicenseForm({ ...licenseForm, front: null, back: null });
+      e.target.reset();
+      setLicenseVersion((version) => version + 1);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error submitting license');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Handles password change form submission
   // Validates passwords match and meet requirements before sending
   const handlePasswordSubmit = async (e) => {
@@ -135,6 +194,11 @@ const Profile = () => {
                   {user?.role?.charAt(0).toUpperCase() + user?.role?.slice(1)}
                 </span>
                 <hr />
+                {/* Driver's license verification status */}
+                <p className="small mb-2">
+                  <FaIdCard className="me-2 text-muted" />
+                  License: <Badge bg={licenseStatusColors[license.status]}>{licenseStatusLabels[license.status]}</Badge>
+                </p>
                 {/* Account creation date */}
                 <p className="text-muted small mb-0">
                   Member since {new Date(user?.createdAt).toLocaleDateString()}
@@ -148,7 +212,7 @@ const Profile = () => {
             <Card>
               <Card.Body className="p-4">
                 {/* Tab container with Profile and Security tabs */}
-                <Tab.Container defaultActiveKey="profile">
+                <Tab.Container defaultActiveKey={searchParams.get('tab') || 'profile'} mountOnEnter>
                   {/* Tab navigation */}
                   <Nav variant="tabs" className="mb-4">
                     <Nav.Item>
@@ -156,6 +220,16 @@ const Profile = () => {
                         <FaUser className="me-2" /> Profile
                       </Nav.Link>
                     </Nav.Item>
+                    <Nav.Item>
+                      <Nav.Link eventKey="license">
+                        <FaIdCard className="me-2" /> Driver's License
+                      </Nav.Link>
+                    </Nav.Item>
+                    <Nav.Item>
+                      <Nav.Link eventKey="waitlist">
+                        <FaHourglassHalf className="me-2" /> Waitlist
+                      </Nav.Link>
+                    </Nav.Item>
                     <Nav.Item>
                       <Nav.Link eventKey="security">
                         <FaLock className="me-2" /> Security
@@ -212,6 +286,135 @@ const Profile = () => {
                       </Form>
                     </Tab.Pane>
 
+                    {/* License Tab - Driver's license details and images for verification */}
+                    <Tab.Pane eventKey="license">
+                      {/* Verification status and what happens next */}
+                      {license.status === 'none' && (
+                        <Alert variant="info">
+                          A verified driver's license is required before you can confirm a booking.
+                        </Alert>
+                      )}
+                      {license.status === 'pending' && (
+                        <Alert variant="warning">
+                          Your license is being reviewed. We'll notify you once it has been verified.
+                        </Alert>
+                      )}
+                      {license.status === 'verified' && (
+                        <Alert variant="success">
+                          Your license is verified until {new Date(license.expiresAt).toLocaleDateString()}.
+                          Rentals must end before it expires.
+                        </Alert>
+                      )}
+                      {license.status === 'rejected' && (
+                        <Alert variant="danger">
+                          Your license was not approved: {license.rejectionReason}
+                        </Alert>
+                      )}
+
+                      {/* Current images */}
+                      {(license.hasFrontImage || license.hasBackImage) && (
+                        <Row className="mb-3">
+                          {license.hasFrontImage && (
+                            <Col xs={6}>
+                              <LicenseImage key={`front-${licenseVersion}`} side="front" />
+                            </Col>
+                          )}
+                          {license.hasBackImage && (
+                            <Col xs={6}>
+                              <LicenseImage key={`back-${licenseVersion}`} side="back" />
+                            </Col>
+                          )}
+                        </Row>
+                      )}
+
+                      <Form onSubmit={handleLicenseSubmit}>
+                        <Row>
+                          {/* License number */}
+                          <Col md={6}>
+                            <Form.Group className="mb-3">
+                              <Form.Label>License Number</Form.Label>
+                              <Form.Control
+                                type="text"
+                                name="number"
+                                value={licenseForm.number}
+                                onChange={handleLicenseChange}
+                                maxLength={50}
+                                required
+                              />
+                            </Form.Group>
+                          </Col>
+                          {/* Issuing country */}
+                          <Col md={6}>
+                            <Form.Group className="mb-3">
+                              <Form.Label>Issuing Country</Form.Label>
+                              <Form.Control
+                                type="text"
+                                name="country"
+                                value={licenseForm.country}
+                                onChange={handleLicenseChange}
+                                maxLength={60}
+                                required
+                              />
+                            </Form.Group>
+                          </Col>
+                        </Row>
+
+                        {/* Expiry date */}
+                        <Form.Group className="mb-3">
+                          <Form.Label>Expiry Date</Form.Label>
+                          <Form.Control
+                            type="date"
+                            name="expiresAt"
+                            value={licenseForm.expiresAt}
+                            onChange={handleLicenseChange}
+                            required
+                          />
+                        </Form.Group>
+
+                        {/* Front and back images - required until first uploaded */}
+                        <Row>
+                          <Col md={6}>
+                            <Form.Group className="mb-3">
+                              <Form.Label>Front of License</Form.Label>
+                              <Form.Control
+                                type="file"
+                                name="front"
+                                accept="image/jpeg,image/png,image/webp,application/pdf"
+                                onChange={handleLicenseChange}
+                                required={!license.hasFrontImage}
+                              />
+                            </Form.Group>
+                          </Col>
+                          <Col md={6}>
+                            <Form.Group className="mb-3">
+                              <Form.Label>Back of License</Form.Label>
+                              <Form.Control
+                                type="file"
+                                name="back"
+                                accept="image/jpeg,image/png,image/webp,application/pdf"
+                                onChange={handleLicenseChange}
+                                required={!license.hasBackImage}
+                              />
+                            </Form.Group>
+                          </Col>
+                        </Row>
+                        <Form.Text className="text-muted d-block mb-4">
+                          JPEG, PNG, WebP, or PDF. Saving sends your license for verification again.
+                        </Form.Text>
+
+                        {/* Submit for verification button */}
+                        <Button variant="primary" type="submit" disabled={loading}>
+                          <FaUpload className="me-2" />
+                          {loading ? 'Uploading...' : 'Submit for Verification'}
+                        </Button>
+                      </Form>
+                    </Tab.Pane>
+
+                    {/* Waitlist Tab - Cars the user is waiting for, and cars held for them */}
+                    <Tab.Pane eventKey="waitlist">
+                      <WaitlistEntries />
+                    </Tab.Pane>
+
                     {/* Security Tab - Password change form */}
                     <Tab.Pane eventKey="security">
                       <Form onSubmit={handlePasswordSubmit}>
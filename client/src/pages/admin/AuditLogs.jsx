@@ -13,7 +13,7 @@ import {
 // Icon components for search, filter, and resource type indicators
 import {
   FaSearch, FaHistory, FaFilter, FaUser, FaCar,
-  FaCalendarCheck, FaSignInAlt, FaCreditCard, FaStar
+  FaCalendarCheck, FaSignInAlt, FaCreditCard, FaStar, FaHourglassHalf
 } from 'react-icons/fa';
 // Toast notifications for user feedback
 import { toast } from 'react-toastify';
@@ -87,7 +87,8 @@ const AuditLogs = () => {
       car: FaCar,              // Car operations
       booking: FaCalendarCheck,// Booking activities
       payment: FaCreditCard,   // Payment transactions
-      review: FaStar           // Review submissions
+      review: FaStar,          // Review submissions
+      waitlist: FaHourglassHalf // Waitlist offers and entries
     };
     const Icon = icons[resource] || FaHistory;
     return <Icon />;
@@ -234,6 +235,7 @@ const AuditLogs = () => {
                       <option value="booking">Bookings</option>
                       <option value="payment">Payments</option>
                       <option value="review">Reviews</option>
+                      <option value="waitlist">Waitlist</option>
                     </Form.Select>
                   </InputGroup>
                 </Col>
@@ -0,0 +1,382 @@
+// ============================================
+// CANCELLATION POLICIES PAGE COMPONENT
+// Admin interface for defining tiered refund rules for cancellations
+// The active policy is snapshotted onto each new booking
+// ============================================
+
+// React core with useState for state management and useEffect for data fetching
+import React, { useState, useEffect } from 'react';
+// Bootstrap components for layout, tables, forms, modals, and loading indicators
+import {
+  Container, Card, Table, Button, Badge, Modal,
+  Form, Row, Col, Spinner, Alert
+} from 'react-bootstrap';
+// Icon components for buttons
+import { FaPlus, FaEdit, FaTrash, FaTimes } from 'react-icons/fa';
+// Toast notifications for user feedback
+import { toast } from 'react-toastify';
+// API service for admin HTTP requests
+import { adminAPI } from '../../services/api';
+// Admin sidebar navigation component
+import AdminSidebar from '../../components/admin/AdminSidebar';
+
+// Empty form used when creating a new policy
+const emptyForm = {
+  name: '',
+  description: '',
+  tiers: [{ hoursBeforePickup: 48, refundPercent: 100 }],
+  isActive: false
+};
+
+// Describes a refund tier in plain words
+const describeTier = (tier) => (
+  tier.hoursBeforePickup > 0
+    ? `${tier.hoursBeforePickup}h+ before pickup: ${tier.refundPercent}% refund`
+    : `Before pickup: ${tier.refundPercent}% refund`
+);
+
+// CancellationPolicies component - CRUD for cancellation policies
+const CancellationPolicies = () => {
+  // All policies from the database
+  const [policies, setPolicies] = useState([]);
+  // Built-in policy applied when none is active
+  const [defaultPolicy, setDefaultPolicy] = useState(null);
+  // Loading state while fetching policies
+  const [loading, setLoading] = useState(true);
+  // Controls visibility of the add/edit modal
+  const [showModal, setShowModal] = useState(false);
+  // Policy being edited (null when adding new)
+  const [editingPolicy, setEditingPolicy] = useState(null);
+  // Form values for the add/edit modal
+  const [formData, setFormData] = useState(emptyForm);
+  // Loading state during form submission
+  const [saving, setSaving] = useState(false);
+
+  // Fetch policies when component mounts
+  useEffect(() => {
+    fetchPolicies();
+  }, []);
+
+  // Fetches all policies from the API
+  const fetchPolicies = async () => {
+    try {
+      const response = await adminAPI.getCancellationPolicies();
+      setPolicies(response.data.data.policies);
+      setDefaultPolicy(response.data.data.defaultPolicy);
+    } catch (error) {
+      console.error('Error fetching cancellation policies:', error);
+      toast.error('Error loading cancellation policies');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Opens the add/edit modal, pre-filled when editing
+  const handleOpenModal = (policy = null) => {
+    setEditingPolicy(policy);
+    setFormData(policy ? {
+      name: policy.name,
+      description: policy.description || '',
+      tiers: policy.tiers.map(t => ({ ...t })),
+      isActive: policy.isActive
+    } : emptyForm);
+    setShowModal(true);
+  };
+
+  // Handles changes to text and checkbox fields
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  // Updates one field of a refund tier
+  const handleTierChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      tiers: prev.tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier))
+    }));
+  };
+
+  // Adds an empty refund tier
+  const addTier = () => {
+    setFormData(prev => ({
+      ...prev,
+      tiers: [...prev.tiers, { hoursBeforePickup: 0, refundPercent: 0 }]
+    }));
+  };
+
+  // Removes a refund tier
+  const removeTier = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      tiers: prev.tiers.filter((_, i) => i !== index)
+    }));
+  };
+
+  // Saves the policy (create or update)
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const submitData = {
+        ...formData,
+        tiers: formData.tiers.map(t => ({
+          hoursBeforePickup: Number(t.hoursBeforePickup),
+          refundPercent: Number(t.refundPercent)
+        }))
+      };
+
+      if (editingPolicy) {
+        await adminAPI.updateCancellationPolicy(editingPolicy._id, submitData);
+        toast.success('Policy updated successfully');
+      } else {
+        await adminAPI.createCancellationPolicy(submitData);
+        toast.success('Policy created successfully');
+      }
+
+      setShowModal(false);
+      fetchPolicies();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error saving policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Makes a policy the one applied to new bookings
+  const handleActivate = async (policy) => {
+    try {
+      await adminAPI.updateCancellationPolicy(policy._id, {
+        name: policy.name,
+        tiers: policy.tiers,
+        isActive: true
+      });
+      toast.success(`${policy.name} is now the active policy`);
+      fetchPolicies();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error activating policy');
+    }
+  };
+
+  // Deletes a policy after confirmation
+  const handleDelete = async (policy) => {
+    if (!window.confirm(`Delete the ${policy.name} policy? Existing bookings keep their terms.`)) return;
+
+    try {
+      await adminAPI.deleteCancellationPolicy(policy._id);
+      toast.success('Policy deleted successfully');
+      fetchPolicies();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error deleting policy');
+    }
+  };
+
+  // Show loading spinner while fetching data
+  if (loading) {
+    return (
+      <div className="admin-layout">
+        <AdminSidebar />
+        <div className="admin-content d-flex justify-content-center align-items-center">
+          <Spinner animation="border" variant="primary" />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="admin-layout">
+      <AdminSidebar />
+      <div className="admin-content">
+        <Container fluid>
+          {/* Page header with title and Add Policy button */}
+          <div className="d-flex justify-content-between align-items-center mb-4">
+            <div>
+              <h2 className="mb-1">Cancellation Policies</h2>
+              <p className="text-muted mb-0">Refund rules applied when customers cancel paid bookings</p>
+            </div>
+            <Button variant="primary" onClick={() => handleOpenModal()}>
+              <FaPlus className="me-2" /> Add Policy
+            </Button>
+          </div>
+
+          {/* Notice when the built-in policy is in force */}
+          {!policies.some(p => p.isActive) && defaultPolicy && (
+            <Alert variant="info">
+              No policy is active. New bookings use the built-in <strong>{defaultPolicy.name}</strong> policy:{' '}
+              {defaultPolicy.tiers.map(describeTier).join('; ')}; no refund after pickup.
+            </Alert>
+          )}
+
+          {/* Policies table */}
+          <Card>
+            <Card.Body className="p-0">
+              <Table responsive hover className="mb-0">
+                <thead className="bg-light">
+                  <tr>
+                    <th>Policy</th>
+                    <th>Refund Tiers</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {policies.length > 0 ? (
+                    policies.map((policy) => (
+                      <tr key={policy._id}>
+                        {/* Name and description */}
+                        <td>
+                          <p className="mb-0 fw-semibold">{policy.name}</p>
+                          <small className="text-muted">{policy.description}</small>
+                        </td>
+                        {/* Tier summary */}
+                        <td>
+                          {policy.tiers.map((tier, i) => (
+                            <div key={i} className="small">{describeTier(tier)}</div>
+                          ))}
+                        </td>
+                        {/* Active badge */}
+                        <td>
+                          <Badge bg={policy.isActive ? 'success' : 'secondary'}>
+                            {policy.isActive ? 'Active' : 'Inactive'}
+                          </Badge>
+                        </td>
+                        {/* Action buttons */}
+                        <td>
+                          {!policy.isActive && (
+                            <Button
+                              variant="outline-success"
+                              size="sm"
+                              className="me-2"
+                              onClick={() => handleActivate(policy)}
+                            >
+                              Activate
+                            </Button>
+                          )}
+                          <Button
+                            variant="outline-primary"
+                            size="sm"
+                            className="me-2"
+                            onClick={() => handleOpenModal(policy)}
+                          >
+                            <FaEdit />
+                          </Button>
+                          <Button
+                            variant="outline-danger"
+                            size="sm"
+                            onClick={() => handleDelete(policy)}
+                          >
+                            <FaTrash />
+                          </Button>
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="4" className="text-center py-4 text-muted">
+                        No cancellation policies defined
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </Table>
+            </Card.Body>
+          </Card>
+        </Container>
+      </div>
+
+      {/* Add/Edit Policy Modal */}
+      <Modal show={showModal} onHide={() => setShowModal(false)} size="lg">
+        <Form onSubmit={handleSubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title>{editingPolicy ? 'Edit Policy' : 'Add Policy'}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <Form.Group className="mb-3">
+              <Form.Label>Name</Form.Label>
+              <Form.Control name="name" value={formData.name} onChange={handleChange} required />
+            </Form.Group>
+            <Form.Group className="mb-3">
+              <Form.Label>Description</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={2}
+                name="description"
+                value={formData.description}
+                onChange={handleChange}
+              />
+            </Form.Group>
+
+            {/* Refund tiers editor */}
+            <Form.Label>Refund Tiers</Form.Label>
+            <p className="text-muted small">
+              Cancelling with at least the given notice refunds the given percentage.
+              Cancellations with less notice than every tier, or after pickup, are not refunded.
+            </p>
+            {formData.tiers.map((tier, index) => (
+              <Row key={index} className="mb-2 align-items-center">
+                <Col>
+                  <Form.Control
+                    type="number"
+                    min="0"
+                    value={tier.hoursBeforePickup}
+                    onChange={(e) => handleTierChange(index, 'hoursBeforePickup', e.target.value)}
+                    required
+                  />
+                  <Form.Text>Hours before pickup</Form.Text>
+                </Col>
+                <Col>
+                  <Form.Control
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={tier.refundPercent}
+                    onChange={(e) => handleTierChange(index, 'refundPercent', e.target.value)}
+                    required
+                  />
+                  <Form.Text>Refund %</Form.Text>
+                </Col>
+                <Col xs="auto">
+                  <Button
+                    variant="outline-danger"
+                    size="sm"
+                    onClick={() => removeTier(index)}
+                    disabled={formData.tiers.length === 1}
+                  >
+                    <FaTimes />
+                  </Button>
+                </Col>
+              </Row>
+            ))}
+            <Button variant="outline-secondary" size="sm" onClick={addTier} className="mb-3">
+              <FaPlus className="me-1" /> Add Tier
+            </Button>
+
+            <Form.Check
+              type="switch"
+              id="policy-active"
+              name="isActive"
+              label="Apply this policy to new bookings"
+              checked={formData.isActive}
+              onChange={handleChange}
+            />
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowModal(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Policy'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+// Export CancellationPolicies component
+export default CancellationPolicies;
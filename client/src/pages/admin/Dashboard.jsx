@@ -12,7 +12,7 @@ import { Link } from 'react-router-dom';
 // Icon components for visual elements in stat cards and tables
 import {
   FaCar, FaUsers, FaCalendarCheck, FaDollarSign,
-  FaArrowUp, FaArrowDown, FaEye
+  FaArrowUp, FaArrowDown, FaEye, FaExclamationTriangle
 } from 'react-icons/fa';
 // Chart.js React components for Line and Doughnut charts
 import { Line, Doughnut } from 'react-chartjs-2';
@@ -35,6 +35,8 @@ import { toast } from 'react-toastify';
 import { adminAPI } from '../../services/api';
 // Admin sidebar navigation component
 import AdminSidebar from '../../components/admin/AdminSidebar';
+// Shows return times in the booking's local timezone
+import { formatRentalTime } from '../../utils/rentalTime';
 
 // Register all required ChartJS components for use in charts
 ChartJS.register(
@@ -84,11 +86,20 @@ const Dashboard = () => {
       confirmed: 'primary',   // Blue for confirmed
       active: 'success',      // Green for active
       completed: 'info',      // Light blue for completed
-      cancelled: 'danger'     // Red for cancelled
+      cancelled: 'danger',    // Red for cancelled
+      expired: 'secondary'    // Grey for expired holds
     };
     return <Badge bg={colors[status] || 'secondary'}>{status}</Badge>;
   };
 
+  // Describes how long ago a rental was due back (e.g. "5h overdue", "2d 3h overdue")
+  const describeOverdue = (endDate) => {
+    const hours = Math.floor((Date.now() - new Date(endDate)) / (60 * 60 * 1000));
+    if (hours < 1) return 'Just overdue';
+    const days = Math.floor(hours / 24);
+    return days > 0 ? `${days}d ${hours % 24}h overdue` : `${hours}h overdue`;
+  };
+
   // Configuration for the revenue line chart
   // Uses monthly revenue data from stats
   const revenueChartData = {
@@ -268,6 +279,62 @@ const Dashboard = () => {
             </Col>
           </Row>
 
+          {/* Overdue Rentals - active bookings past their return time */}
+          <Card className={`mb-4 ${stats?.overdueBookings?.length > 0 ? 'border-danger' : ''}`}>
+            <Card.Header className="bg-white d-flex justify-content-between align-items-center">
+              <h5 className="mb-0">
+                <FaExclamationTriangle className={`me-2 ${stats?.overdueBookings?.length > 0 ? 'text-danger' : 'text-muted'}`} />
+                Overdue Rentals
+                {stats?.overdueBookings?.length > 0 && (
+                  <Badge bg="danger" className="ms-2">{stats.overdueBookings.length}</Badge>
+                )}
+              </h5>
+              <Link to="/admin/bookings" className="btn btn-sm btn-outline-primary">
+                Manage Bookings
+              </Link>
+            </Card.Header>
+            <Card.Body className="p-0">
+              {stats?.overdueBookings?.length > 0 ? (
+                <Table responsive hover className="mb-0">
+                  <thead className="bg-light">
+                    <tr>
+                      <th>Customer</th>
+                      <th>Car</th>
+                      <th>Due Back</th>
+                      <th>Overdue</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stats.overdueBookings.map((booking) => (
+                      <tr key={booking._id}>
+                        {/* Customer with contact details for follow-up */}
+                        <td>
+                          <p className="mb-0 fw-semibold">{booking.user?.name || 'Unknown'}</p>
+                          <small className="text-muted">
+                            {booking.user?.email}{booking.user?.phone && ` | ${booking.user.phone}`}
+                          </small>
+                        </td>
+                        {/* Car and plate */}
+                        <td>
+                          {booking.car?.brand} {booking.car?.model}
+                          {booking.car?.licensePlate && (
+                            <small className="d-block text-muted">{booking.car.licensePlate}</small>
+                          )}
+                        </td>
+                        {/* Booked return time */}
+                        <td><small>{formatRentalTime(booking.endDate, booking.timezone)}</small></td>
+                        {/* Time past due */}
+                        <td><Badge bg="danger">{describeOverdue(booking.endDate)}</Badge></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              ) : (
+                <p className="text-center text-muted py-4 mb-0">No overdue rentals</p>
+              )}
+            </Card.Body>
+          </Card>
+
           {/* Charts Row - Revenue trend and booking status distribution */}
           <Row className="g-4 mb-4">
             {/* Revenue Overview Line Chart */}
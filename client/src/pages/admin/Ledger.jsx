@@ -0,0 +1,334 @@
+// ============================================
+// PAYMENT LEDGER PAGE COMPONENT
+// Admin view of the daily reconciliation of the payment ledger against the
+// payment provider's records, and the ledger transactions of each day.
+// Any day that has ended can be reconciled again on demand
+// ============================================
+
+// React core with useState for state management and useEffect for data fetching
+import React, { useState, useEffect, useCallback } from 'react';
+// Bootstrap components for layout, tables, the reconcile form, and loading indicators
+import { Container, Row, Col, Card, Table, Button, Badge, Form, Spinner } from 'react-bootstrap';
+// Icons for reconciling and viewing a day
+import { FaBalanceScale, FaEye } from 'react-icons/fa';
+// Toast notifications for user feedback
+import { toast } from 'react-toastify';
+// API service for admin HTTP requests
+import { adminAPI } from '../../services/api';
+// Admin sidebar navigation component
+import AdminSidebar from '../../components/admin/AdminSidebar';
+
+// Badge colour for each reconciliation status
+const statusColors = {
+  matched: 'success',
+  mismatched: 'danger',
+  failed: 'warning'
+};
+
+// Names of the totals compared
+const fieldLabels = {
+  gross: 'Money taken',
+  refunds: 'Refunds',
+  processingFees: 'Processing fees'
+};
+
+// Badge colour for each transaction type
+const typeColors = {
+  charge: 'primary',
+  capture: 'info',
+  adjustment: 'secondary',
+  refund: 'warning',
+  fee: 'dark'
+};
+
+// Milliseconds in one day
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Yesterday (UTC) as YYYY-MM-DD - the latest day that can be reconciled
+const yesterday = () => new Date(Date.now() - DAY_MS).toISOString().slice(0, 10);
+
+// Formats a report's day (stored as UTC midnight)
+const formatDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Ledger component - lists reconciliation reports and a day's transactions
+const Ledger = () => {
+  // Reconciliation reports on the current page
+  const [reports, setReports] = useState([]);
+  // Loading state while fetching reports
+  const [loading, setLoading] = useState(true);
+  // Status filter ('' for all)
+  const [statusFilter, setStatusFilter] = useState('');
+  // Pagination state with current page and total pages
+  const [pagination, setPagination] = useState({ page: 1, pages: 1 });
+  // Day to reconcile on demand
+  const [reconcileDate, setReconcileDate] = useState(yesterday());
+  // Loading state while reconciling
+  const [reconciling, setReconciling] = useState(false);
+  // Day whose transactions are shown (null when none), with its transactions
+  const [selectedDay, setSelectedDay] = useState(null);
+  const [transactions, setTransactions] = useState([]);
+
+  // Fetches the current page of reports matching the filter, newest day first
+  const fetchReports = useCallback(async () => {
+    try {
+      const params = { page: pagination.page, limit: 30 };
+      if (statusFilter) params.status = statusFilter;
+      const response = await adminAPI.getReconciliations(params);
+      setReports(response.data.data.reports);
+      setPagination(prev => ({ ...prev, pages: response.data.pagination?.pages || 1 }));
+    } catch (error) {
+      console.error('Error fetching reconciliations:', error);
+      toast.error('Error loading reconciliation reports');
+    } finally {
+      setLoading(false);
+    }
+  }, [pagination.page, statusFilter]);
+
+  // Fetch reports on mount and whenever the page or filter changes
+  useEffect(() => {
+    fetchReports();
+  }, [fetchReports]);
+
+  // Loads the ledger transactions of a day (YYYY-MM-DD)
+  const handleViewDay = async (day) => {
+    try {
+      const from = new Date(`${day}T00:00:00Z`);
+      const response = await adminAPI.getTransactions({
+        from: from.toISOString(),
+        to: new Date(from.getTime() + DAY_MS).toISOString(),
+        limit: 100
+      });
+      setTransactions(response.data.data.transactions);
+      setSelectedDay(day);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error loading transactions');
+    }
+  };
+
+  // Reconciles the chosen day now
+  const handleReconcile = async (e) => {
+    e.preventDefault();
+    setReconciling(true);
+    try {
+      const response = await adminAPI.runReconciliation(reconcileDate);
+      if (response.data.data.report.status === 'matched') {
+        toast.success(response.data.message);
+      } else {
+        toast.warning(response.data.message);
+      }
+      fetchReports();
+      if (selectedDay === reconcileDate) handleViewDay(reconcileDate);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error reconciling the ledger');
+    } finally {
+      setReconciling(false);
+    }
+  };
+
+  // Show loading spinner while fetching data
+  if (loading) {
+    return (
+      <div className="admin-layout">
+        <AdminSidebar />
+        <div className="admin-content d-flex justify-content-center align-items-center">
+          <Spinner animation="border" variant="primary" />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="admin-layout">
+      <AdminSidebar />
+      <div className="admin-content">
+        <Container fluid>
+          {/* Page header with title, filter, and reconcile form */}
+          <div className="d-flex justify-content-between align-items-center mb-4">
+            <div>
+              <h2 className="mb-1">Payment Ledger</h2>
+              <p className="text-muted mb-0">Daily ledger totals checked against the payment provider (UTC days)</p>
+            </div>
+            <Form className="d-flex gap-2" onSubmit={handleReconcile}>
+              <Form.Select value={statusFilter} onChange={(e) => {
+                setStatusFilter(e.target.value);
+                setPagination(prev => ({ ...prev, page: 1 }));
+              }} style={{ width: '160px' }}>
+                <option value="">All statuses</option>
+                {Object.keys(statusColors).map(status => (
+                  <option key={status} value={status}>{status}</option>
+                ))}
+              </Form.Select>
+              <Form.Control
+                type="date"
+                value={reconcileDate}
+                max={yesterday()}
+                onChange={(e) => setReconcileDate(e.target.value)}
+                required
+                style={{ width: '170px' }}
+              />
+              <Button type="submit" variant="primary" disabled={reconciling}>
+                <FaBalanceScale className="me-2" />
+                {reconciling ? 'Checking...' : 'Reconcile'}
+              </Button>
+            </Form>
+          </div>
+
+          <Row className="g-4">
+            {/* Reconciliation reports table */}
+            <Col xl={selectedDay ? 7 : 12}>
+              <Card>
+                <Card.Body className="p-0">
+                  <Table responsive hover className="mb-0">
+                    <thead className="bg-light">
+                      <tr>
+                        <th>Day</th>
+                        <th>Status</th>
+                        <th>Ledger (taken / refunded / fees)</th>
+                        <th>Provider (taken / refunded / fees)</th>
+                        <th>Checked</th>
+                        <th></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {reports.length > 0 ? (
+                        reports.map((report) => (
+                          <tr key={report._id}>
+                            <td className="fw-semibold">{formatDay(report.date)}</td>
+                            <td>
+                              <Badge bg={statusColors[report.status]}>{report.status}</Badge>
+                              {/* Totals that differ */}
+                              {report.mismatches.map(mismatch => (
+                                <small key={mismatch.field} className="d-block text-danger mt-1">
+                                  {fieldLabels[mismatch.field]} off by ${mismatch.difference.toFixed(2)}
+                                </small>
+                              ))}
+                              {report.error && (
+                                <small className="d-block text-danger mt-1" style={{ maxWidth: '250px' }}>{report.error}</small>
+                              )}
+                            </td>
+                            <td>
+                              <small>
+                                ${report.ledger?.gross.toFixed(2)} / ${report.ledger?.refunds.toFixed(2)} / ${report.ledger?.processingFees.toFixed(2)}
+                              </small>
+                            </td>
+                            <td>
+                              {report.providerRecords ? (
+                                <small>
+                                  ${report.providerRecords.gross.toFixed(2)} / ${report.providerRecords.refunds.toFixed(2)} / ${report.providerRecords.processingFees.toFixed(2)}
+                                </small>
+                              ) : (
+                                <small className="text-muted">N/A</small>
+                              )}
+                            </td>
+                            <td>
+                              <small>{new Date(report.checkedAt).toLocaleString()}</small>
+                              <small className="d-block text-muted">{report.checks} check(s), {report.provider}</small>
+                            </td>
+                            <td>
+                              <Button
+                                variant="outline-primary"
+                                size="sm"
+                                title="View transactions"
+                                onClick={() => handleViewDay(formatDay(report.date))}
+                              >
+                                <FaEye />
+                              </Button>
+                            </td>
+                          </tr>
+                        ))
+                      ) : (
+                        <tr>
+                          <td colSpan="6" className="text-center py-4 text-muted">
+                            No reconciliation reports yet
+                          </td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </Table>
+                </Card.Body>
+                {/* Pagination controls */}
+                {pagination.pages > 1 && (
+                  <Card.Footer className="bg-white">
+                    <div className="d-flex justify-content-center gap-2">
+                      <Button
+                        variant="outline-primary"
+                        size="sm"
+                        disabled={pagination.page === 1}
+                        onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))}
+                      >
+                        Previous
+                      </Button>
+                      <span className="align-self-center">
+                        Page {pagination.page} of {pagination.pages}
+                      </span>
+                      <Button
+                        variant="outline-primary"
+                        size="sm"
+                        disabled={pagination.page === pagination.pages}
+                        onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))}
+                      >
+                        Next
+                      </Button>
+                    </div>
+                  </Card.Footer>
+                )}
+              </Card>
+            </Col>
+
+            {/* Transactions of the selected day */}
+            {selectedDay && (
+              <Col xl={5}>
+                <Card>
+                  <Card.Header className="bg-white d-flex justify-content-between align-items-center">
+                    <h5 className="mb-0">Transactions on {selectedDay}</h5>
+                    <Button variant="link" size="sm" onClick={() => setSelectedDay(null)}>Close</Button>
+                  </Card.Header>
+                  <Card.Body className="p-0">
+                    <Table responsive size="sm" className="mb-0">
+                      <thead className="bg-light">
+                        <tr>
+                          <th>Time</th>
+                          <th>Type</th>
+                          <th>Amount</th>
+                          <th>Debit / Credit</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {transactions.length > 0 ? (
+                          transactions.map(transaction => (
+                            <tr key={transaction._id}>
+                              <td className="small">{new Date(transaction.occurredAt).toISOString().slice(11, 19)}</td>
+                              <td>
+                                <Badge bg={typeColors[transaction.type]}>{transaction.type}</Badge>
+                                <small className="d-block text-muted">
+                                  <code>{transaction.refundId || transaction.paymentIntentId}</code>
+                                </small>
+                              </td>
+                              <td>${transaction.amount.toFixed(2)}</td>
+                              <td className="small">
+                                {transaction.debitAccount.replace(/_/g, ' ')} / {transaction.creditAccount.replace(/_/g, ' ')}
+                              </td>
+                            </tr>
+                          ))
+                        ) : (
+                          <tr>
+                            <td colSpan="4" className="text-center py-4 text-muted">
+                              No transactions on this day
+                            </td>
+                          </tr>
+                        )}
+                      </tbody>
+                    </Table>
+                  </Card.Body>
+                </Card>
+              </Col>
+            )}
+          </Row>
+        </Container>
+      </div>
+    </div>
+  );
+};
+
+// Export Ledger component
+export default Ledger;
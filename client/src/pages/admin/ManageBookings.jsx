@@ -5,6 +5,8 @@
 
 // React core with useState for state management and useEffect for data fetching
 import React, { useState, useEffect } from 'react';
+// Link to raise a claim against the booking
+import { Link } from 'react-router-dom';
 // Bootstrap components for layout, tables, forms, modals, and loading indicators
 import {
   Container, Card, Table, Button, Badge, Modal,
@@ -20,6 +22,14 @@ import { toast } from 'react-toastify';
 import { adminAPI, bookingsAPI } from '../../services/api';
 // Admin sidebar navigation component
 import AdminSidebar from '../../components/admin/AdminSidebar';
+// Check-out and check-in forms
+import HandoverModal, { damageAreaLabels } from '../../components/admin/HandoverModal';
+// Partial and full refunds of the booking's payment
+import RefundModal from '../../components/admin/RefundModal';
+// Shows pickup and return times in the booking's local timezone
+import { formatRentalTime } from '../../utils/rentalTime';
+// Extra names with quantities, and their totals
+import { formatExtraName, getExtraAmount } from '../../utils/extras';
 
 // ManageBookings component - allows admins to view and manage all bookings
 const ManageBookings = () => {
@@ -37,6 +47,16 @@ const ManageBookings = () => {
   const [statusFilter, setStatusFilter] = useState('all');
   // Loading state during status update operations
   const [updating, setUpdating] = useState(false);
+  // Optional reason recorded with a status change
+  const [statusReason, setStatusReason] = useState('');
+  // Handover form being filled in ('checkout', 'checkin', or null)
+  const [handoverType, setHandoverType] = useState(null);
+  // Check-out and check-in inspections of the selected booking
+  const [inspections, setInspections] = useState({ checkOut: null, checkIn: null });
+  // Amount and reason for keeping part of the security deposit
+  const [depositCapture, setDepositCapture] = useState({ amount: '', reason: '' });
+  // Whether the refund dialog is open
+  const [showRefund, setShowRefund] = useState(false);
   // Pagination state with current page, total pages, and total count
   const [pagination, setPagination] = useState({
     page: 1,
@@ -85,27 +105,91 @@ const ManageBookings = () => {
       confirmed: 'primary',   // Blue for confirmed
       active: 'success',      // Green for active
       completed: 'info',      // Light blue for completed
-      cancelled: 'danger'     // Red for cancelled
+      cancelled: 'danger',    // Red for cancelled
+      expired: 'secondary'    // Grey for expired holds
     };
     return <Badge bg={colors[status] || 'secondary'}>{status}</Badge>;
   };
 
+  // Whether an active rental is past its return time
+  const isOverdue = (booking) => booking.status === 'active' && new Date(booking.endDate) < new Date();
+
   // Returns a colored badge based on payment status
   const getPaymentBadge = (status) => {
     // Color mapping for different payment statuses
     const colors = {
       pending: 'warning',     // Yellow for pending payment
       paid: 'success',        // Green for paid
+      partially_refunded: 'info', // Light blue when some of it was returned
       refunded: 'info',       // Light blue for refunded
       failed: 'danger'        // Red for failed payment
     };
-    return <Badge bg={colors[status] || 'secondary'}>{status}</Badge>;
+    return <Badge bg={colors[status] || 'secondary'}>{status?.replace(/_/g, ' ')}</Badge>;
+  };
+
+  // Returns a badge for a security deposit, or nothing when no hold was ever needed
+  const getDepositBadge = (deposit) => {
+    if (!deposit || !(deposit.amount > 0) || deposit.status === 'none') return null;
+    // Color mapping for different deposit statuses
+    const colors = {
+      authorized: 'primary',  // Blue while the hold is on the card
+      captured: 'warning',    // Yellow when some of it was kept
+      released: 'success',    // Green when released in full
+      failed: 'danger',       // Red when the card couldn't be authorized
+      expired: 'danger'       // Red when the hold lapsed
+    };
+    return <Badge bg={colors[deposit.status] || 'secondary'}>deposit {deposit.status}</Badge>;
+  };
+
+  // Loads the handover inspections of a booking that has been checked out
+  const fetchInspections = async (booking) => {
+    setInspections({ checkOut: null, checkIn: null });
+    if (!['active', 'completed'].includes(booking.status)) return;
+    try {
+      const response = await bookingsAPI.getInspections(booking._id);
+      setInspections(response.data.data);
+    } catch (error) {
+      toast.error('Error loading inspections');
+    }
   };
 
   // Opens the booking details modal with the selected booking
   const handleViewDetails = (booking) => {
     setSelectedBooking(booking);
+    setStatusReason('');
+    setDepositCapture({ amount: '', reason: '' });
     setShowModal(true);
+    fetchInspections(booking);
+  };
+
+  // Refreshes the booking after a check-out or check-in
+  const handleHandoverComplete = (updated) => {
+    setHandoverType(null);
+    fetchBookings();
+    const booking = {
+      ...selectedBooking,
+      status: updated.status,
+      statusHistory: updated.statusHistory,
+      allowedTransitions: updated.allowedTransitions,
+      outstandingBalance: updated.outstandingBalance,
+      deposit: updated.deposit
+    };
+    setSelectedBooking(booking);
+    fetchInspections(booking);
+  };
+
+  // Refreshes the booking after a refund
+  const handleRefundComplete = (updated) => {
+    setShowRefund(false);
+    fetchBookings();
+    setSelectedBooking(prev => ({
+      ...prev,
+      status: updated.status,
+      paymentStatus: updated.paymentStatus,
+      statusHistory: updated.statusHistory,
+      allowedTransitions: updated.allowedTransitions,
+      refunds: updated.refunds
+    }));
   };
 
   // Handles booking status change via API
@@ -113,12 +197,19 @@ const ManageBookings = () => {
   const handleStatusChange = async (bookingId, newStatus) => {
     setUpdating(true);
     try {
-      await bookingsAPI.updateStatus(bookingId, newStatus);
+      const response = await bookingsAPI.updateStatus(bookingId, newStatus, statusReason);
+      const updated = response.data.data.booking;
       toast.success('Booking status updated');
+      setStatusReason('');
       fetchBookings();
-      // Update selected booking status in modal
+      // Update selected booking status, history, and next legal transitions in modal
       if (selectedBooking?._id === bookingId) {
-        setSelectedBooking(prev => ({ ...prev, status: newStatus }));
+        setSelectedBooking(prev => ({
+          ...prev,
+          status: updated.status,
+          statusHistory: updated.statusHistory,
+          allowedTransitions: updated.allowedTransitions
+        }));
       }
     } catch (error) {
       toast.error(error.response?.data?.message || 'Error updating status');
@@ -127,6 +218,32 @@ const ManageBookings = () => {
     }
   };
 
+  // Runs a deposit action (authorize, capture, release) and refreshes the booking
+  const handleDepositAction = async (action) => {
+    setUpdating(true);
+    try {
+      const response = await action();
+      toast.success(response.data.message);
+      setDepositCapture({ amount: '', reason: '' });
+      fetchBookings();
+      const updated = response.data.data.booking;
+      setSelectedBooking(prev => ({
+        ...prev,
+        deposit: updated.deposit,
+        adjustments: updated.adjustments
+      }));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error updating deposit');
+      // A failed authorization is recorded on the booking, so show it
+      const updated = error.response?.data?.data?.booking;
+      if (updated) {
+        setSelectedBooking(prev => ({ ...prev, deposit: updated.deposit }));
+      }
+    } finally {
+      setUpdating(false);
+    }
+  };
+
   // Filters bookings based on search term
   // Searches in customer name, email, car brand, and car model
   const filteredBookings = bookings.filter(booking => {
@@ -197,6 +314,7 @@ const ManageBookings = () => {
                       <option value="active">Active</option>
                       <option value="completed">Completed</option>
                       <option value="cancelled">Cancelled</option>
+                      <option value="expired">Expired</option>
                     </Form.Select>
                   </InputGroup>
                 </Col>
@@ -262,10 +380,17 @@ const ManageBookings = () => {
                         </td>
                         {/* Total price */}
                         <td className="fw-semibold">${booking.totalPrice?.toFixed(2)}</td>
-                        {/* Booking status badge */}
-                        <td>{getStatusBadge(booking.status)}</td>
+                        {/* Booking status badge, flagged when the car is overdue */}
+                        <td>
+                          {getStatusBadge(booking.status)}
+                          {isOverdue(booking) && <Badge bg="danger" className="ms-1">overdue</Badge>}
+                        </td>
                         {/* Payment status badge */}
-                        <td>{getPaymentBadge(booking.paymentStatus)}</td>
+                        <td>
+                          {getPaymentBadge(booking.paymentStatus)}
+                          {booking.disputes?.length > 0 && <Badge bg="danger" className="ms-1">disputed</Badge>}
+                          <div>{getDepositBadge(booking.deposit)}</div>
+                        </td>
                         {/* View details action button */}
                         <td>
                           <Button
@@ -322,7 +447,8 @@ const ManageBookings = () => {
         </Container>
 
         {/* Booking Details Modal */}
-        <Modal show={showModal} onHide={() => setShowModal(false)} size="lg">
+        {/* Hidden while a handover form is open on top of it */}
+        <Modal show={showModal && !handoverType} onHide={() => setShowModal(false)} size="lg">
           <Modal.Header closeButton>
             <Modal.Title>Booking Details</Modal.Title>
           </Modal.Header>
@@ -379,14 +505,14 @@ const ManageBookings = () => {
                           <Col>
                             <small className="text-muted">Pick-up</small>
                             <p className="mb-0 fw-semibold">
-                              {new Date(selectedBooking.startDate).toLocaleDateString()}
+                              {formatRentalTime(selectedBooking.startDate, selectedBooking.timezone)}
                             </p>
                             <small>{selectedBooking.pickupLocation}</small>
                           </Col>
                           <Col>
                             <small className="text-muted">Return</small>
                             <p className="mb-0 fw-semibold">
-                              {new Date(selectedBooking.endDate).toLocaleDateString()}
+                              {formatRentalTime(selectedBooking.endDate, selectedBooking.timezone)}
                             </p>
                             <small>{selectedBooking.dropoffLocation}</small>
                           </Col>
@@ -407,11 +533,58 @@ const ManageBookings = () => {
                           <span>Payment Status:</span>
                           {getPaymentBadge(selectedBooking.paymentStatus)}
                         </div>
+                        {/* Overdue rentals and money still owed */}
+                        {isOverdue(selectedBooking) && (
+                          <div className="text-danger small mt-2">Overdue - was due back at the return time above</div>
+                        )}
+                        {selectedBooking.outstandingBalance > 0 && (
+                          <div className="d-flex justify-content-between align-items-center mt-2 text-danger">
+                            <span>Outstanding Balance:</span>
+                            <strong>${selectedBooking.outstandingBalance.toFixed(2)}</strong>
+                          </div>
+                        )}
+                        {/* Chargebacks opened by the customer's bank */}
+                        {selectedBooking.disputes?.map(dispute => (
+                          <div key={dispute.disputeId} className="text-danger small mt-2">
+                            ${dispute.amount.toFixed(2)} disputed ({dispute.reason?.replace(/_/g, ' ')})
+                            {dispute.evidenceDueBy && ` - evidence due ${new Date(dispute.evidenceDueBy).toLocaleDateString()}`}
+                          </div>
+                        ))}
                       </Card.Body>
                     </Card>
                   </Col>
                 </Row>
 
+                {/* Drivers Section - licenses to check at pickup */}
+                {selectedBooking.drivers?.length > 0 && (
+                  <div className="mb-4">
+                    <h6 className="text-muted mb-2">Drivers</h6>
+                    <Table size="sm" className="mb-0">
+                      <thead>
+                        <tr>
+                          <th>Name</th>
+                          <th>Date of Birth</th>
+                          <th>License</th>
+                          <th>Licensed Since</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {selectedBooking.drivers.map((driver, index) => (
+                          <tr key={index}>
+                            <td>
+                              {driver.name}
+                              {driver.primary && <Badge bg="secondary" className="ms-2">primary</Badge>}
+                            </td>
+                            <td>{new Date(driver.dateOfBirth).toLocaleDateString(undefined, { timeZone: 'UTC' })}</td>
+                            <td>{driver.licenseNumber}</td>
+                            <td>{new Date(driver.licensedSince).toLocaleDateString(undefined, { timeZone: 'UTC' })}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </Table>
+                  </div>
+                )}
+
                 {/* Pricing Breakdown Section */}
                 <h6 className="text-muted mb-2">Pricing Breakdown</h6>
                 <Card className="bg-light mb-4">
@@ -421,20 +594,36 @@ const ManageBookings = () => {
                       <span>Base Rate ({selectedBooking.pricing?.totalDays} days)</span>
                       <span>${selectedBooking.pricing?.basePrice?.toFixed(2)}</span>
                     </div>
+                    {/* Pricing rule adjustments, driver fees, promo code discount, and one-way fee */}
+                    {selectedBooking.pricing?.lineItems?.filter(item => ['rule', 'driver', 'discount', 'one_way'].includes(item.kind)).map((item, index) => (
+                      <div key={`rule-${index}`} className="d-flex justify-content-between mb-2 text-muted">
+                        <span>{item.label}</span>
+                        <span>{item.amount < 0 ? '-' : ''}${Math.abs(item.amount).toFixed(2)}</span>
+                      </div>
+                    ))}
                     {/* Extras breakdown if any selected */}
                     {selectedBooking.extras?.length > 0 && (
                       selectedBooking.extras.map((extra, index) => (
                         <div key={index} className="d-flex justify-content-between mb-2 text-muted">
-                          <span>{extra.name}</span>
-                          <span>${(extra.pricePerDay * selectedBooking.pricing?.totalDays).toFixed(2)}</span>
+                          <span>{formatExtraName(extra)}</span>
+                          <span>${getExtraAmount(extra, selectedBooking.pricing?.totalDays).toFixed(2)}</span>
                         </div>
                       ))
                     )}
-                    {/* Tax amount */}
-                    <div className="d-flex justify-content-between mb-2">
-                      <span>Tax</span>
-                      <span>${selectedBooking.pricing?.taxAmount?.toFixed(2)}</span>
-                    </div>
+                    {/* Location taxes and fees (older bookings only stored the tax total) */}
+                    {selectedBooking.pricing?.lineItems?.some(item => ['tax', 'fee'].includes(item.kind)) ? (
+                      selectedBooking.pricing.lineItems.filter(item => ['tax', 'fee'].includes(item.kind)).map((item, index) => (
+                        <div key={`tax-${index}`} className="d-flex justify-content-between mb-2">
+                          <span>{item.label}</span>
+                          <span>${item.amount.toFixed(2)}</span>
+                        </div>
+                      ))
+                    ) : (
+                      <div className="d-flex justify-content-between mb-2">
+                        <span>Tax</span>
+                        <span>${selectedBooking.pricing?.taxAmount?.toFixed(2)}</span>
+                      </div>
+                    )}
                     <hr />
                     {/* Total price */}
                     <div className="d-flex justify-content-between fw-bold">
@@ -444,6 +633,100 @@ const ManageBookings = () => {
                   </Card.Body>
                 </Card>
 
+                {/* Security Deposit Section - the hold placed on the card at pickup */}
+                {selectedBooking.deposit?.amount > 0 && (
+                  <>
+                    <h6 className="text-muted mb-2">Security Deposit</h6>
+                    <Card className="bg-light mb-4">
+                      <Card.Body>
+                        <div className="d-flex justify-content-between align-items-center mb-2">
+                          <span>${selectedBooking.deposit.amount.toFixed(2)}</span>
+                          {getDepositBadge(selectedBooking.deposit) || <Badge bg="secondary">not yet placed</Badge>}
+                        </div>
+                        {selectedBooking.deposit.status === 'authorized' && (
+                          <p className="small text-muted mb-2">
+                            Hold expires {new Date(selectedBooking.deposit.expiresAt).toLocaleString()}
+                            {selectedBooking.deposit.reauthorizations > 0 &&
+                              ` (renewed ${selectedBooking.deposit.reauthorizations} time${selectedBooking.deposit.reauthorizations === 1 ? '' : 's'})`}
+                          </p>
+                        )}
+                        {selectedBooking.deposit.status === 'captured' && (
+                          <p className="small text-muted mb-2">
+                            ${selectedBooking.deposit.capturedAmount.toFixed(2)} kept on{' '}
+                            {new Date(selectedBooking.deposit.capturedAt).toLocaleString()}, the rest was released
+                          </p>
+                        )}
+                        {selectedBooking.deposit.error && (
+                          <p className="small text-danger mb-2">{selectedBooking.deposit.error}</p>
+                        )}
+
+                        {/* Keep part of the hold, or release it in full */}
+                        {selectedBooking.deposit.status === 'authorized' && (
+                          <Row className="g-2 align-items-center">
+                            <Col xs={3}>
+                              <Form.Control
+                                size="sm"
+                                type="number"
+                                min="0.5"
+                                step="0.01"
+                                max={selectedBooking.deposit.amount}
+                                placeholder="Amount"
+                                value={depositCapture.amount}
+                                onChange={(e) => setDepositCapture({ ...depositCapture, amount: e.target.value })}
+                              />
+                            </Col>
+                            <Col>
+                              <Form.Control
+                                size="sm"
+                                maxLength={200}
+                                placeholder="Reason for keeping it"
+                                value={depositCapture.reason}
+                                onChange={(e) => setDepositCapture({ ...depositCapture, reason: e.target.value })}
+                              />
+                            </Col>
+                            <Col xs="auto">
+                              <Button
+                                size="sm"
+                                variant="outline-danger"
+                                disabled={updating || !depositCapture.amount || !depositCapture.reason.trim()}
+                                onClick={() => handleDepositAction(() => bookingsAPI.captureDeposit(selectedBooking._id, {
+                                  amount: parseFloat(depositCapture.amount),
+                                  reason: depositCapture.reason.trim()
+                                }))}
+                              >
+                                Capture
+                              </Button>
+                            </Col>
+                            <Col xs="auto">
+                              <Button
+                                size="sm"
+                                variant="outline-success"
+                                disabled={updating}
+                                onClick={() => handleDepositAction(() => bookingsAPI.releaseDeposit(selectedBooking._id))}
+                              >
+                                Release
+                              </Button>
+                            </Col>
+                          </Row>
+                        )}
+
+                        {/* A rental in progress without a hold can be retried on the card on file */}
+                        {selectedBooking.status === 'active' &&
+                          ['none', 'failed', 'expired'].includes(selectedBooking.deposit.status) && (
+                          <Button
+                            size="sm"
+                            variant="outline-primary"
+                            disabled={updating}
+                            onClick={() => handleDepositAction(() => bookingsAPI.authorizeDeposit(selectedBooking._id))}
+                          >
+                            Authorize Deposit
+                          </Button>
+                        )}
+                      </Card.Body>
+                    </Card>
+                  </>
+                )}
+
                 {/* Notes section - only shown if notes exist */}
                 {selectedBooking.notes && (
                   <div className="mb-3">
@@ -452,31 +735,193 @@ const ManageBookings = () => {
                   </div>
                 )}
 
-                {/* Update Status Section - buttons for changing booking status */}
+                {/* Status History Section - who changed the status, when, and why */}
+                {selectedBooking.statusHistory?.length > 0 && (
+                  <div className="mb-4">
+                    <h6 className="text-muted mb-2">Status History</h6>
+                    <Table size="sm" className="mb-0">
+                      <tbody>
+                        {selectedBooking.statusHistory.map((entry, index) => (
+                          <tr key={index}>
+                            <td className="text-muted small">
+                              {new Date(entry.changedAt).toLocaleString()}
+                            </td>
+                            <td>
+                              {entry.from && <>{getStatusBadge(entry.from)} &rarr; </>}
+                              {getStatusBadge(entry.to)}
+                            </td>
+                            <td className="small">{entry.changedBy?.name || 'System'}</td>
+                            <td className="small text-muted">{entry.reason}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </Table>
+                  </div>
+                )}
+
+                {/* Handover Section - condition of the car at pickup and return */}
+                {(inspections.checkOut || inspections.checkIn) && (
+                  <div className="mb-4">
+                    <h6 className="text-muted mb-2">Handover</h6>
+                    <Table size="sm" className="mb-0">
+                      <thead>
+                        <tr>
+                          <th></th>
+                          <th>Odometer</th>
+                          <th>Fuel</th>
+                          <th>Damage</th>
+                          <th>Staff</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {[['Check-out', inspections.checkOut], ['Check-in', inspections.checkIn]]
+                          .filter(([, inspection]) => inspection)
+                          .map(([label, inspection]) => (
+                            <tr key={label}>
+                              <td className="small">
+                                <strong>{label}</strong>
+                                <div className="text-muted">{new Date(inspection.createdAt).toLocaleString()}</div>
+                              </td>
+                              <td>{inspection.odometer} mi</td>
+                              <td>{inspection.fuelLevel}%</td>
+                              <td className="small">
+                                {inspection.checklist.filter(item => item.damaged).map(item => (
+                                  <div key={item.area}>
+                                    {damageAreaLabels[item.area]}{item.notes && `: ${item.notes}`}
+                                  </div>
+                                ))}
+                                {inspection.photos.map((url, index) => (
+                                  <a key={url} href={url} target="_blank" rel="noopener noreferrer" className="me-2">
+                                    Photo {index + 1}
+                                  </a>
+                                ))}
+                                {inspection.notes && <div className="text-muted">{inspection.notes}</div>}
+                              </td>
+                              <td className="small">{inspection.staff?.name}</td>
+                            </tr>
+                          ))}
+                      </tbody>
+                    </Table>
+                    {/* Return charges worked out at check-in */}
+                    {inspections.checkIn && (
+                      <div className="small mt-2">
+                        {inspections.checkIn.milesDriven != null && (
+                          <p className="mb-1 text-muted">
+                            {inspections.checkIn.milesDriven} mi driven
+                            {inspections.checkIn.mileageAllowance != null
+                              ? ` of ${inspections.checkIn.mileageAllowance} mi allowance`
+                              : ' (unlimited mileage)'}
+                          </p>
+                        )}
+                        {inspections.checkIn.newDamage?.length > 0 && (
+                          <p className="mb-1 text-danger">
+                            New damage: {inspections.checkIn.newDamage.map(area => damageAreaLabels[area]).join(', ')}
+                          </p>
+                        )}
+                        {inspections.checkIn.charges.map((charge, index) => (
+                          <div key={index} className="d-flex justify-content-between">
+                            <span>{charge.label}</span>
+                            <span>${charge.amount.toFixed(2)}</span>
+                          </div>
+                        ))}
+                        {inspections.checkIn.chargesTotal > 0 && (
+                          <div className="d-flex justify-content-between fw-bold">
+                            <span>Return charges</span>
+                            <span>${inspections.checkIn.chargesTotal.toFixed(2)}</span>
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {/* Update Status Section - only transitions legal from the current status */}
                 <h6 className="text-muted mb-2">Update Status</h6>
-                <div className="d-flex flex-wrap gap-2">
-                  {['pending', 'confirmed', 'active', 'completed', 'cancelled'].map((status) => (
-                    <Button
-                      key={status}
-                      variant={selectedBooking.status === status ? 'primary' : 'outline-primary'}
+                {selectedBooking.allowedTransitions?.length > 0 ? (
+                  <>
+                    <Form.Control
                       size="sm"
-                      className="text-capitalize"
-                      onClick={() => handleStatusChange(selectedBooking._id, status)}
-                      disabled={updating || selectedBooking.status === status}
-                    >
-                      {status}
-                    </Button>
-                  ))}
-                </div>
+                      className="mb-2"
+                      placeholder="Reason for status change (optional)"
+                      value={statusReason}
+                      onChange={(e) => setStatusReason(e.target.value)}
+                    />
+                    <div className="d-flex flex-wrap gap-2">
+                      {selectedBooking.allowedTransitions.map((status) => (
+                        // Starting and completing a rental go through the handover forms
+                        status === 'active' || status === 'completed' ? (
+                          <Button
+                            key={status}
+                            variant="primary"
+                            size="sm"
+                            onClick={() => setHandoverType(status === 'active' ? 'checkout' : 'checkin')}
+                            disabled={updating}
+                          >
+                            {status === 'active' ? 'Check Out' : 'Check In'}
+                          </Button>
+                        ) : (
+                          <Button
+                            key={status}
+                            variant={status === 'cancelled' ? 'outline-danger' : 'outline-primary'}
+                            size="sm"
+                            className="text-capitalize"
+                            onClick={() => handleStatusChange(selectedBooking._id, status)}
+                            disabled={updating}
+                          >
+                            {status}
+                          </Button>
+                        )
+                      ))}
+                    </div>
+                  </>
+                ) : (
+                  <p className="text-muted small mb-0">
+                    This booking is {selectedBooking.status} and its status can no longer be changed.
+                  </p>
+                )}
               </>
             )}
           </Modal.Body>
           <Modal.Footer>
+            {/* Damage, cleaning, tolls, and fines are charged through a claim once the rental has started */}
+            {['active', 'completed'].includes(selectedBooking?.status) && (
+              <Button
+                as={Link}
+                to={`/admin/claims?booking=${selectedBooking._id}`}
+                variant="outline-danger"
+                className="me-auto"
+              >
+                Raise Claim
+              </Button>
+            )}
+            {/* Goodwill, extras not provided, or the whole payment */}
+            {['paid', 'partially_refunded'].includes(selectedBooking?.paymentStatus) && (
+              <Button variant="outline-warning" onClick={() => setShowRefund(true)}>
+                Refund
+              </Button>
+            )}
             <Button variant="secondary" onClick={() => setShowModal(false)}>
               Close
             </Button>
           </Modal.Footer>
         </Modal>
+
+        {/* Check-out / Check-in Modal */}
+        <HandoverModal
+          booking={selectedBooking}
+          type={handoverType}
+          show={Boolean(handoverType)}
+          onHide={() => setHandoverType(null)}
+          onComplete={handleHandoverComplete}
+        />
+
+        {/* Refund Modal */}
+        <RefundModal
+          booking={selectedBooking}
+          show={showRefund}
+          onHide={() => setShowRefund(false)}
+          onComplete={handleRefundComplete}
+        />
       </div>
     </div>
   );
@@ -13,14 +13,16 @@ import {
 // Icon components for buttons and visual elements
 import {
   FaPlus, FaEdit, FaTrash, FaSearch, FaImage,
-  FaCar, FaCheck, FaTimes
+  FaCar, FaCheck, FaTimes, FaBan
 } from 'react-icons/fa';
 // Toast notifications for user feedback
 import { toast } from 'react-toastify';
 // API service for car-related HTTP requests
-import { carsAPI } from '../../services/api';
+import { carsAPI, locationsAPI } from '../../services/api';
 // Admin sidebar navigation component
 import AdminSidebar from '../../components/admin/AdminSidebar';
+// Modal for taking a car out of service
+import CarBlackoutsModal from '../../components/admin/CarBlackoutsModal';
 
 // ManageCars component - provides full CRUD functionality for car management
 const ManageCars = () => {
@@ -38,6 +40,10 @@ const ManageCars = () => {
   const [saving, setSaving] = useState(false);
   // ID of car currently being deleted (for loading indicator)
   const [deleting, setDeleting] = useState(null);
+  // Pickup locations cars can be assigned to
+  const [locations, setLocations] = useState([]);
+  // Car whose blackouts are being managed (null when the blackouts modal is closed)
+  const [blackoutCar, setBlackoutCar] = useState(null);
 
   // Form data state object with all car fields
   // Used for both adding new cars and editing existing ones
@@ -56,7 +62,11 @@ const ManageCars = () => {
     description: '',                     // Detailed description
     features: [],                        // Array of feature strings
     images: [''],                        // Array of image URLs
-    available: true                      // Availability status
+    available: true,                     // Availability status
+    homeLocation: '',                    // Location the car belongs to
+    currentLocation: '',                 // Location the car is parked at
+    turnaroundMinutes: '',               // Buffer between bookings (empty = type default)
+    mileageAllowancePerDay: ''           // Included miles per day (empty = default, 0 = unlimited)
   });
 
   // Available car type options for dropdown selection
@@ -75,6 +85,7 @@ const ManageCars = () => {
   // Fetch all cars when component mounts
   useEffect(() => {
     fetchCars();
+    fetchLocations();
   }, []);
 
   // Fetches all cars from the API
@@ -91,6 +102,16 @@ const ManageCars = () => {
     }
   };
 
+  // Fetches all locations (including inactive ones) for the location selects
+  const fetchLocations = async () => {
+    try {
+      const response = await locationsAPI.getAll({ all: true });
+      setLocations(response.data.data.locations);
+    } catch (error) {
+      console.error('Error fetching locations:', error);
+    }
+  };
+
   // Opens the add/edit modal
   // Pre-fills form with car data if editing, or resets to defaults if adding
   const handleOpenModal = (car = null) => {
@@ -112,7 +133,11 @@ const ManageCars = () => {
         description: car.description || '',
         features: car.features || [],
         images: car.images?.length > 0 ? car.images : [''],
-        available: car.available !== false
+        available: car.available !== false,
+        homeLocation: car.homeLocation?._id || car.homeLocation || '',
+        currentLocation: car.currentLocation?._id || car.currentLocation || '',
+        turnaroundMinutes: car.turnaroundMinutes ?? '',
+        mileageAllowancePerDay: car.mileageAllowancePerDay ?? ''
       });
     } else {
       // Adding new car - reset form to defaults
@@ -132,7 +157,11 @@ const ManageCars = () => {
         description: '',
         features: [],
         images: [''],
-        available: true
+        available: true,
+        homeLocation: '',
+        currentLocation: '',
+        turnaroundMinutes: '',
+        mileageAllowancePerDay: ''
       });
     }
     setShowModal(true);
@@ -197,6 +226,15 @@ const ManageCars = () => {
         ...formData,
         images: formData.images.filter(img => img.trim() !== '')
       };
+      // Leave locations untouched when none is selected
+      if (!submitData.homeLocation) delete submitData.homeLocation;
+      if (!submitData.currentLocation) delete submitData.currentLocation;
+      // An empty buffer falls back to the car type's turnaround time
+      submitData.turnaroundMinutes = submitData.turnaroundMinutes === '' ? null : Number(submitData.turnaroundMinutes);
+      // An empty allowance falls back to the default mileage allowance
+      submitData.mileageAllowancePerDay = submitData.mileageAllowancePerDay === ''
+        ? null
+        : Number(submitData.mileageAllowancePerDay);
 
       if (editingCar) {
         // Update existing car
@@ -291,6 +329,7 @@ const ManageCars = () => {
                   <tr>
                     <th>Car</th>
                     <th>Type</th>
+                    <th>Location</th>
                     <th>Price/Day</th>
                     <th>Status</th>
                     <th>Rating</th>
@@ -323,6 +362,8 @@ const ManageCars = () => {
                             {car.type}
                           </Badge>
                         </td>
+                        {/* Where the car is parked */}
+                        <td>{car.location || <span className="text-muted">-</span>}</td>
                         {/* Daily price */}
                         <td className="fw-semibold">${car.pricePerDay}/day</td>
                         {/* Availability status badge */}
@@ -343,7 +384,7 @@ const ManageCars = () => {
                             <span className="text-muted">No ratings</span>
                           )}
                         </td>
-                        {/* Action buttons - Edit and Delete */}
+                        {/* Action buttons - Edit, Blackouts, and Delete */}
                         <td>
                           <Button
                             variant="light"
@@ -353,6 +394,15 @@ const ManageCars = () => {
                           >
                             <FaEdit />
                           </Button>
+                          <Button
+                            variant="light"
+                            size="sm"
+                            className="me-2"
+                            title="Blackouts"
+                            onClick={() => setBlackoutCar(car)}
+                          >
+                            <FaBan />
+                          </Button>
                           <Button
                             variant="light"
                             size="sm"
@@ -371,7 +421,7 @@ const ManageCars = () => {
                     ))
                   ) : (
                     <tr>
-                      <td colSpan="6" className="text-center py-4 text-muted">
+                      <td colSpan="7" className="text-center py-4 text-muted">
                         <FaCar size={32} className="mb-2" />
                         <p className="mb-0">No cars found</p>
                       </td>
@@ -559,6 +609,67 @@ const ManageCars = () => {
                     />
                   </Form.Group>
                 </Col>
+                {/* Home Location Select */}
+                <Col md={6}>
+                  <Form.Group>
+                    <Form.Label>Home Location</Form.Label>
+                    <Form.Select name="homeLocation" value={formData.homeLocation} onChange={handleChange}>
+                      <option value="">Not assigned</option>
+                      {locations.map(location => (
+                        <option key={location._id} value={location._id}>{location.name}</option>
+                      ))}
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+                {/* Current Location Select - new cars start at their home location */}
+                <Col md={6}>
+                  <Form.Group>
+                    <Form.Label>Current Location</Form.Label>
+                    <Form.Select name="currentLocation" value={formData.currentLocation} onChange={handleChange}>
+                      <option value="">{editingCar ? 'Unchanged' : 'Same as home location'}</option>
+                      {locations.map(location => (
+                        <option key={location._id} value={location._id}>{location.name}</option>
+                      ))}
+                    </Form.Select>
+                    <Form.Text className="text-muted">
+                      Updated automatically when a one-way rental is completed
+                    </Form.Text>
+                  </Form.Group>
+                </Col>
+                {/* Turnaround Buffer Input */}
+                <Col md={6}>
+                  <Form.Group>
+                    <Form.Label>Turnaround Buffer (minutes)</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      name="turnaroundMinutes"
+                      value={formData.turnaroundMinutes}
+                      onChange={handleChange}
+                      placeholder="Default for car type"
+                    />
+                    <Form.Text className="text-muted">
+                      Kept free before and after each booking for cleaning and inspection
+                    </Form.Text>
+                  </Form.Group>
+                </Col>
+                {/* Mileage Allowance Input */}
+                <Col md={6}>
+                  <Form.Group>
+                    <Form.Label>Mileage Allowance (miles/day)</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      name="mileageAllowancePerDay"
+                      value={formData.mileageAllowancePerDay}
+                      onChange={handleChange}
+                      placeholder="Default allowance"
+                    />
+                    <Form.Text className="text-muted">
+                      Miles beyond this are charged at check-in (0 = unlimited)
+                    </Form.Text>
+                  </Form.Group>
+                </Col>
                 {/* Description Textarea */}
                 <Col md={12}>
                   <Form.Group>
@@ -658,6 +769,13 @@ const ManageCars = () => {
             </Modal.Footer>
           </Form>
         </Modal>
+
+        {/* Blackouts Modal - maintenance, recalls, and staff use */}
+        <CarBlackoutsModal
+          car={blackoutCar}
+          show={!!blackoutCar}
+          onHide={() => setBlackoutCar(null)}
+        />
       </div>
     </div>
   );
@@ -0,0 +1,485 @@
+// ============================================
+// MANAGE CLAIMS PAGE COMPONENT
+// Admin interface for damage, cleaning, toll, and traffic fine charges
+// raised after a rental: draft, send, collect, or waive them
+// ============================================
+
+// React core with useState for state management and useEffect for data fetching
+import React, { useState, useEffect, useCallback } from 'react';
+// Reads ?booking= to raise a claim straight from a booking
+import { useSearchParams } from 'react-router-dom';
+// Bootstrap components for layout, tables, forms, modals, and loading indicators
+import {
+  Container, Card, Table, Button, Badge, Modal,
+  Form, Row, Col, Spinner, InputGroup
+} from 'react-bootstrap';
+// Icon components for buttons
+import { FaPlus, FaEdit, FaTrash, FaPaperPlane, FaCreditCard, FaBan, FaPaperclip } from 'react-icons/fa';
+// Toast notifications for user feedback
+import { toast } from 'react-toastify';
+// API service for admin HTTP requests
+import { adminAPI } from '../../services/api';
+// Admin sidebar navigation component
+import AdminSidebar from '../../components/admin/AdminSidebar';
+// Claim category labels and status colours
+import { claimCategoryLabels, claimStatusColors } from '../../utils/claims';
+
+// Empty form used when raising a new claim
+const emptyForm = {
+  booking: '',
+  category: 'damage',
+  amount: '',
+  description: '',
+  evidence: []
+};
+
+// Statuses in which a claim can still be edited
+const editableStatuses = ['draft', 'disputed'];
+
+// ManageClaims component - lists claims and moves them through their lifecycle
+const ManageClaims = () => {
+  // ?booking=<id> opens the new claim form for that booking
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Claims from the database
+  const [claims, setClaims] = useState([]);
+  // Loading state while fetching claims
+  const [loading, setLoading] = useState(true);
+  // Status filter ('' for all)
+  const [statusFilter, setStatusFilter] = useState('');
+  // Controls visibility of the add/edit modal
+  const [showModal, setShowModal] = useState(false);
+  // Claim being edited (null when raising a new one)
+  const [editingClaim, setEditingClaim] = useState(null);
+  // Form values for the add/edit modal
+  const [formData, setFormData] = useState(emptyForm);
+  // Claim being waived (null when the waive modal is closed)
+  const [waivingClaim, setWaivingClaim] = useState(null);
+  // Reason entered in the waive modal
+  const [waiveReason, setWaiveReason] = useState('');
+  // Loading state during form submission or a claim action
+  const [saving, setSaving] = useState(false);
+
+  // Fetches claims matching the status filter
+  const fetchClaims = useCallback(async () => {
+    try {
+      const response = await adminAPI.getClaims(statusFilter ? { status: statusFilter } : {});
+      setClaims(response.data.data.claims);
+    } catch (error) {
+      console.error('Error fetching claims:', error);
+      toast.error('Error loading claims');
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  // Fetch claims on mount and whenever the filter changes
+  useEffect(() => {
+    fetchClaims();
+  }, [fetchClaims]);
+
+  // Open the new claim form when linked from a booking
+  useEffect(() => {
+    const bookingId = searchParams.get('booking');
+    if (bookingId) {
+      setEditingClaim(null);
+      setFormData({ ...emptyForm, booking: bookingId });
+      setShowModal(true);
+      setSearchParams({}, { replace: true });
+    }
+  }, [searchParams, setSearchParams]);
+
+  // Opens the add/edit modal, pre-filled when editing
+  const handleOpenModal = (claim = null) => {
+    setEditingClaim(claim);
+    setFormData(claim ? {
+      booking: claim.booking?._id || '',
+      category: claim.category,
+      amount: claim.amount,
+      description: claim.description,
+      evidence: claim.evidence.map(item => ({ url: item.url, caption: item.caption || '' }))
+    } : emptyForm);
+    setShowModal(true);
+  };
+
+  // Handles changes to text, number, and select fields
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Updates one evidence attachment
+  const handleEvidenceChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      evidence: prev.evidence.map((item, i) => (i === index ? { ...item, [field]: value } : item))
+    }));
+  };
+
+  // Adds an empty evidence attachment row
+  const handleAddEvidence = () => {
+    setFormData(prev => ({ ...prev, evidence: [...prev.evidence, { url: '', caption: '' }] }));
+  };
+
+  // Removes an evidence attachment row
+  const handleRemoveEvidence = (index) => {
+    setFormData(prev => ({ ...prev, evidence: prev.evidence.filter((_, i) => i !== index) }));
+  };
+
+  // Saves the claim (create or update)
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const submitData = {
+        ...formData,
+        amount: Number(formData.amount),
+        evidence: formData.evidence.filter(item => item.url.trim())
+      };
+
+      if (editingClaim) {
+        await adminAPI.updateClaim(editingClaim._id, submitData);
+        toast.success('Claim updated successfully');
+      } else {
+        await adminAPI.createClaim(submitData);
+        toast.success('Claim saved as a draft');
+      }
+
+      setShowModal(false);
+      fetchClaims();
+    } catch (error) {
+      toast.error(
+        error.response?.data?.errors?.[0]?.message ||
+        error.response?.data?.message ||
+        'Error saving claim'
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Runs a claim action (send, collect) and refreshes the list
+  const runAction = async (action, claim, confirmMessage) => {
+    if (confirmMessage && !window.confirm(confirmMessage)) return;
+
+    setSaving(true);
+    try {
+      const response = await action(claim._id);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error updating claim');
+    } finally {
+      setSaving(false);
+      fetchClaims();
+    }
+  };
+
+  // Issues a claim to the customer
+  const handleSend = (claim) => runAction(
+    adminAPI.sendClaim,
+    claim,
+    `Send this $${claim.amount.toFixed(2)} claim to ${claim.user?.name}? They will be notified.`
+  );
+
+  // Charges a claim to the card on file
+  const handleCollect = (claim) => runAction(
+    adminAPI.collectClaim,
+    claim,
+    `Charge $${claim.amount.toFixed(2)} to ${claim.user?.name}'s card on file?`
+  );
+
+  // Deletes a draft claim after confirmation
+  const handleDelete = (claim) => runAction(adminAPI.deleteClaim, claim, 'Delete this draft claim?');
+
+  // Opens the waive modal
+  const handleOpenWaive = (claim) => {
+    setWaivingClaim(claim);
+    setWaiveReason('');
+  };
+
+  // Writes off the claim being waived
+  const handleWaive = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const response = await adminAPI.waiveClaim(waivingClaim._id, { reason: waiveReason });
+      toast.success(response.data.message);
+      setWaivingClaim(null);
+      fetchClaims();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error waiving claim');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Show loading spinner while fetching data
+  if (loading) {
+    return (
+      <div className="admin-layout">
+        <AdminSidebar />
+        <div className="admin-content d-flex justify-content-center align-items-center">
+          <Spinner animation="border" variant="primary" />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="admin-layout">
+      <AdminSidebar />
+      <div className="admin-content">
+        <Container fluid>
+          {/* Page header with title, status filter, and New Claim button */}
+          <div className="d-flex justify-content-between align-items-center mb-4">
+            <div>
+              <h2 className="mb-1">Claims</h2>
+              <p className="text-muted mb-0">Damage, cleaning, tolls, and fines charged after a rental</p>
+            </div>
+            <div className="d-flex gap-2">
+              <Form.Select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} style={{ width: '160px' }}>
+                <option value="">All statuses</option>
+                {Object.keys(claimStatusColors).map(status => (
+                  <option key={status} value={status} className="text-capitalize">{status}</option>
+                ))}
+              </Form.Select>
+              <Button variant="primary" className="text-nowrap" onClick={() => handleOpenModal()}>
+                <FaPlus className="me-2" /> New Claim
+              </Button>
+            </div>
+          </div>
+
+          {/* Claims table */}
+          <Card>
+            <Card.Body className="p-0">
+              <Table responsive hover className="mb-0">
+                <thead className="bg-light">
+                  <tr>
+                    <th>Customer</th>
+                    <th>Car</th>
+                    <th>Claim</th>
+                    <th>Amount</th>
+                    <th>Status</th>
+                    <th>Raised</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {claims.length > 0 ? (
+                    claims.map((claim) => (
+                      <tr key={claim._id}>
+                        <td>
+                          <p className="mb-0 fw-semibold">{claim.user?.name || 'Unknown'}</p>
+                          <small className="text-muted">{claim.user?.email}</small>
+                        </td>
+                        <td>
+                          <p className="mb-0">{claim.car ? `${claim.car.brand} ${claim.car.model}` : 'Deleted'}</p>
+                          <small className="text-muted">{claim.car?.licensePlate}</small>
+                        </td>
+                        <td style={{ maxWidth: '320px' }}>
+                          <p className="mb-0 fw-semibold">{claimCategoryLabels[claim.category]}</p>
+                          <small className="d-block">{claim.description}</small>
+                          {claim.evidence.length > 0 && (
+                            <small className="text-muted">
+                              <FaPaperclip /> {claim.evidence.length} attachment{claim.evidence.length === 1 ? '' : 's'}
+                            </small>
+                          )}
+                        </td>
+                        <td className="fw-semibold">${claim.amount.toFixed(2)}</td>
+                        <td>
+                          <Badge bg={claimStatusColors[claim.status]} className="text-capitalize">{claim.status}</Badge>
+                          {/* The customer's side of a dispute */}
+                          {claim.status === 'disputed' && claim.dispute?.reason && (
+                            <small className="d-block text-danger mt-1">"{claim.dispute.reason}"</small>
+                          )}
+                          {/* Last collection attempt was declined */}
+                          {claim.paymentError && (
+                            <small className="d-block text-danger mt-1">Card declined: {claim.paymentError}</small>
+                          )}
+                        </td>
+                        <td>
+                          <small>{new Date(claim.createdAt).toLocaleDateString()}</small>
+                          {claim.createdBy?.name && <small className="d-block text-muted">by {claim.createdBy.name}</small>}
+                        </td>
+                        <td className="text-nowrap">
+                          {editableStatuses.includes(claim.status) && (
+                            <Button variant="outline-primary" size="sm" className="me-2" title="Edit" onClick={() => handleOpenModal(claim)}>
+                              <FaEdit />
+                            </Button>
+                          )}
+                          {editableStatuses.includes(claim.status) && (
+                            <Button variant="outline-warning" size="sm" className="me-2" title="Send to customer" disabled={saving} onClick={() => handleSend(claim)}>
+                              <FaPaperPlane />
+                            </Button>
+                          )}
+                          {['sent', 'disputed'].includes(claim.status) && (
+                            <Button variant="outline-success" size="sm" className="me-2" title="Collect from card on file" disabled={saving} onClick={() => handleCollect(claim)}>
+                              <FaCreditCard />
+                            </Button>
+                          )}
+                          {!['paid', 'waived'].includes(claim.status) && (
+                            <Button variant="outline-secondary" size="sm" className="me-2" title="Waive" disabled={saving} onClick={() => handleOpenWaive(claim)}>
+                              <FaBan />
+                            </Button>
+                          )}
+                          {claim.status === 'draft' && (
+                            <Button variant="outline-danger" size="sm" title="Delete" disabled={saving} onClick={() => handleDelete(claim)}>
+                              <FaTrash />
+                            </Button>
+                          )}
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="7" className="text-center py-4 text-muted">
+                        No claims found
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </Table>
+            </Card.Body>
+          </Card>
+        </Container>
+      </div>
+
+      {/* New/Edit Claim Modal */}
+      <Modal show={showModal} onHide={() => setShowModal(false)} size="lg">
+        <Form onSubmit={handleSubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title>{editingClaim ? 'Edit Claim' : 'New Claim'}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Booking ID</Form.Label>
+                  <Form.Control
+                    name="booking"
+                    value={formData.booking}
+                    onChange={handleChange}
+                    disabled={!!editingClaim}
+                    className="font-monospace"
+                    required
+                  />
+                  <Form.Text>Claims can be raised against active or completed bookings.</Form.Text>
+                </Form.Group>
+              </Col>
+              <Col md={3}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Category</Form.Label>
+                  <Form.Select name="category" value={formData.category} onChange={handleChange}>
+                    {Object.entries(claimCategoryLabels).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+              <Col md={3}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Amount ($)</Form.Label>
+                  <Form.Control
+                    type="number"
+                    min="0.5"
+                    step="0.01"
+                    name="amount"
+                    value={formData.amount}
+                    onChange={handleChange}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+            <Form.Group className="mb-3">
+              <Form.Label>Description</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={3}
+                name="description"
+                value={formData.description}
+                onChange={handleChange}
+                placeholder="Shown to the customer, e.g. Replacement of cracked wing mirror (left side)"
+                maxLength={1000}
+                required
+              />
+            </Form.Group>
+
+            {/* Evidence attachments */}
+            <Form.Label>Evidence</Form.Label>
+            {formData.evidence.map((item, index) => (
+              <InputGroup className="mb-2" key={index}>
+                <Form.Control
+                  type="url"
+                  value={item.url}
+                  onChange={(e) => handleEvidenceChange(index, 'url', e.target.value)}
+                  placeholder="Photo, repair quote, or fine notice URL"
+                  required
+                />
+                <Form.Control
+                  value={item.caption}
+                  onChange={(e) => handleEvidenceChange(index, 'caption', e.target.value)}
+                  placeholder="Caption"
+                  maxLength={200}
+                />
+                <Button variant="outline-danger" onClick={() => handleRemoveEvidence(index)}>
+                  <FaTrash />
+                </Button>
+              </InputGroup>
+            ))}
+            <div>
+              <Button variant="outline-secondary" size="sm" onClick={handleAddEvidence}>
+                <FaPaperclip className="me-1" /> Add attachment
+              </Button>
+            </div>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowModal(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={saving}>
+              {saving ? 'Saving...' : (editingClaim ? 'Save Claim' : 'Save Draft')}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      {/* Waive Claim Modal */}
+      <Modal show={!!waivingClaim} onHide={() => setWaivingClaim(null)}>
+        <Form onSubmit={handleWaive}>
+          <Modal.Header closeButton>
+            <Modal.Title>Waive Claim</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <p>
+              Write off the ${waivingClaim?.amount.toFixed(2)} {claimCategoryLabels[waivingClaim?.category]?.toLowerCase()} claim
+              {waivingClaim?.user?.name && ` for ${waivingClaim.user.name}`}?
+              {waivingClaim?.status !== 'draft' && ' The customer will be notified.'}
+            </p>
+            <Form.Group>
+              <Form.Label>Reason</Form.Label>
+              <Form.Control
+                value={waiveReason}
+                onChange={(e) => setWaiveReason(e.target.value)}
+                placeholder="e.g. Dispute upheld - damage was pre-existing"
+                maxLength={500}
+              />
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setWaivingClaim(null)}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="danger" disabled={saving}>
+              {saving ? 'Waiving...' : 'Waive Claim'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+// Export ManageClaims component
+export default ManageClaims;
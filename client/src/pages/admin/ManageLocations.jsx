@@ -0,0 +1,426 @@
+// ============================================
+// MANAGE LOCATIONS PAGE COMPONENT
+// Admin interface for pickup and drop-off locations
+// ============================================
+
+// React core with useState for state management and useEffect for data fetching
+import React, { useState, useEffect } from 'react';
+// Bootstrap components for layout, tables, forms, modals, and loading indicators
+import {
+  Container, Card, Table, Button, Badge, Modal,
+  Form, Row, Col, Spinner
+} from 'react-bootstrap';
+// Icon components for buttons
+import { FaPlus, FaEdit, FaTrash } from 'react-icons/fa';
+// Toast notifications for user feedback
+import { toast } from 'react-toastify';
+// API service for location HTTP requests
+import { locationsAPI } from '../../services/api';
+// Admin sidebar navigation component
+import AdminSidebar from '../../components/admin/AdminSidebar';
+
+// Day names indexed by dayOfWeek (0 = Sunday)
+const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Default weekly hours for a new location (09:00-18:00 every day)
+const defaultHours = dayNames.map((_, dayOfWeek) => ({
+  dayOfWeek, open: '09:00', close: '18:00', closed: false
+}));
+
+// Empty form used when creating a new location
+const emptyForm = {
+  name: '',
+  address: { street: '', city: '', state: '', zipCode: '', country: '' },
+  coordinates: { lat: '', lng: '' },
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  openingHours: defaultHours,
+  oneWayFee: '',
+  isActive: true
+};
+
+// Summarises opening hours for the table (e.g. "Mon-Sat 08:00-18:00")
+const describeHours = (openingHours) => {
+  const open = openingHours.filter(h => !h.closed);
+  if (open.length === 0) return 'Closed';
+  const sameHours = open.every(h => h.open === open[0].open && h.close === open[0].close);
+  if (!sameHours) return 'Varies by day';
+  const days = open.length === 7 ? 'Daily' : open.map(h => dayNames[h.dayOfWeek].slice(0, 3)).join(', ');
+  return `${days} ${open[0].open}-${open[0].close}`;
+};
+
+// ManageLocations component - CRUD for pickup locations
+const ManageLocations = () => {
+  // All locations from the database
+  const [locations, setLocations] = useState([]);
+  // Loading state while fetching locations
+  const [loading, setLoading] = useState(true);
+  // Controls visibility of the add/edit modal
+  const [showModal, setShowModal] = useState(false);
+  // Location being edited (null when adding new)
+  const [editingLocation, setEditingLocation] = useState(null);
+  // Form values for the add/edit modal
+  const [formData, setFormData] = useState(emptyForm);
+  // Loading state during form submission
+  const [saving, setSaving] = useState(false);
+
+  // Fetch locations when component mounts
+  useEffect(() => {
+    fetchLocations();
+  }, []);
+
+  // Fetches all locations (including inactive ones) from the API
+  const fetchLocations = async () => {
+    try {
+      const response = await locationsAPI.getAll({ all: true });
+      setLocations(response.data.data.locations);
+    } catch (error) {
+      console.error('Error fetching locations:', error);
+      toast.error('Error loading locations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Opens the add/edit modal, pre-filled when editing
+  // Days missing from a location's hours are shown as closed
+  const handleOpenModal = (location = null) => {
+    setEditingLocation(location);
+    setFormData(location ? {
+      name: location.name,
+      address: { ...emptyForm.address, ...location.address },
+      coordinates: {
+        lat: location.coordinates?.lat ?? '',
+        lng: location.coordinates?.lng ?? ''
+      },
+      timezone: location.timezone,
+      openingHours: dayNames.map((_, dayOfWeek) => (
+        location.openingHours.find(h => h.dayOfWeek === dayOfWeek) ||
+        { dayOfWeek, open: '09:00', close: '18:00', closed: true }
+      )),
+      oneWayFee: location.oneWayFee ?? '',
+      isActive: location.isActive
+    } : emptyForm);
+    setShowModal(true);
+  };
+
+  // Handles changes to top-level text and checkbox fields
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  // Handles changes to a nested field (address or coordinates)
+  const handleNestedChange = (group, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [group]: { ...prev[group], [field]: value }
+    }));
+  };
+
+  // Updates one field of a day's opening hours
+  const handleHoursChange = (dayOfWeek, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      openingHours: prev.openingHours.map(h => (h.dayOfWeek === dayOfWeek ? { ...h, [field]: value } : h))
+    }));
+  };
+
+  // Saves the location (create or update)
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const { lat, lng } = formData.coordinates;
+      const submitData = {
+        ...formData,
+        coordinates: lat !== '' && lng !== '' ? { lat: Number(lat), lng: Number(lng) } : undefined,
+        oneWayFee: formData.oneWayFee === '' ? null : Number(formData.oneWayFee)
+      };
+
+      if (editingLocation) {
+        await locationsAPI.update(editingLocation._id, submitData);
+        toast.success('Location updated successfully');
+      } else {
+        await locationsAPI.create(submitData);
+        toast.success('Location created successfully');
+      }
+
+      setShowModal(false);
+      fetchLocations();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error saving location');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Deletes a location after confirmation
+  const handleDelete = async (location) => {
+    if (!window.confirm(`Delete ${location.name}? Existing bookings keep their pickup details.`)) return;
+
+    try {
+      await locationsAPI.delete(location._id);
+      toast.success('Location deleted successfully');
+      fetchLocations();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error deleting location');
+    }
+  };
+
+  // Show loading spinner while fetching data
+  if (loading) {
+    return (
+      <div className="admin-layout">
+        <AdminSidebar />
+        <div className="admin-content d-flex justify-content-center align-items-center">
+          <Spinner animation="border" variant="primary" />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="admin-layout">
+      <AdminSidebar />
+      <div className="admin-content">
+        <Container fluid>
+          {/* Page header with title and Add Location button */}
+          <div className="d-flex justify-content-between align-items-center mb-4">
+            <div>
+              <h2 className="mb-1">Locations</h2>
+              <p className="text-muted mb-0">Branches where customers pick up and return cars</p>
+            </div>
+            <Button variant="primary" onClick={() => handleOpenModal()}>
+              <FaPlus className="me-2" /> Add Location
+            </Button>
+          </div>
+
+          {/* Locations table */}
+          <Card>
+            <Card.Body className="p-0">
+              <Table responsive hover className="mb-0">
+                <thead className="bg-light">
+                  <tr>
+                    <th>Location</th>
+                    <th>Opening Hours</th>
+                    <th>Timezone</th>
+                    <th>One-way Fee</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {locations.length > 0 ? (
+                    locations.map((location) => (
+                      <tr key={location._id}>
+                        <td>
+                          <p className="mb-0 fw-semibold">{location.name}</p>
+                          <small className="text-muted">
+                            {[location.address?.street, location.address?.city, location.address?.state]
+                              .filter(Boolean).join(', ')}
+                          </small>
+                        </td>
+                        <td className="small">{describeHours(location.openingHours)}</td>
+                        <td className="small">{location.timezone}</td>
+                        <td>
+                          {location.oneWayFee != null
+                            ? `$${location.oneWayFee}`
+                            : <span className="text-muted">Default</span>}
+                        </td>
+                        <td>
+                          <Badge bg={location.isActive ? 'success' : 'secondary'}>
+                            {location.isActive ? 'Active' : 'Inactive'}
+                          </Badge>
+                        </td>
+                        <td>
+                          <Button
+                            variant="outline-primary"
+                            size="sm"
+                            className="me-2"
+                            onClick={() => handleOpenModal(location)}
+                          >
+                            <FaEdit />
+                          </Button>
+                          <Button
+                            variant="outline-danger"
+                            size="sm"
+                            onClick={() => handleDelete(location)}
+                          >
+                            <FaTrash />
+                          </Button>
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="6" className="text-center py-4 text-muted">
+                        No locations defined
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </Table>
+            </Card.Body>
+          </Card>
+        </Container>
+      </div>
+
+      {/* Add/Edit Location Modal */}
+      <Modal show={showModal} onHide={() => setShowModal(false)} size="lg">
+        <Form onSubmit={handleSubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title>{editingLocation ? 'Edit Location' : 'Add Location'}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <Row className="g-3 mb-3">
+              <Col md={6}>
+                <Form.Group>
+                  <Form.Label>Name</Form.Label>
+                  <Form.Control name="name" value={formData.name} onChange={handleChange} required />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group>
+                  <Form.Label>Timezone</Form.Label>
+                  <Form.Control
+                    name="timezone"
+                    value={formData.timezone}
+                    onChange={handleChange}
+                    placeholder="e.g., America/New_York"
+                    required
+                  />
+                </Form.Group>
+              </Col>
+              {/* Address fields */}
+              <Col md={12}>
+                <Form.Group>
+                  <Form.Label>Street</Form.Label>
+                  <Form.Control
+                    value={formData.address.street}
+                    onChange={(e) => handleNestedChange('address', 'street', e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+              {['city', 'state', 'zipCode', 'country'].map(field => (
+                <Col md={3} key={field}>
+                  <Form.Group>
+                    <Form.Label className="text-capitalize">{field === 'zipCode' ? 'ZIP Code' : field}</Form.Label>
+                    <Form.Control
+                      value={formData.address[field]}
+                      onChange={(e) => handleNestedChange('address', field, e.target.value)}
+                    />
+                  </Form.Group>
+                </Col>
+              ))}
+              {/* Map coordinates */}
+              <Col md={4}>
+                <Form.Group>
+                  <Form.Label>Latitude</Form.Label>
+                  <Form.Control
+                    type="number"
+                    step="any"
+                    min="-90"
+                    max="90"
+                    value={formData.coordinates.lat}
+                    onChange={(e) => handleNestedChange('coordinates', 'lat', e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group>
+                  <Form.Label>Longitude</Form.Label>
+                  <Form.Control
+                    type="number"
+                    step="any"
+                    min="-180"
+                    max="180"
+                    value={formData.coordinates.lng}
+                    onChange={(e) => handleNestedChange('coordinates', 'lng', e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group>
+                  <Form.Label>One-way Fee ($)</Form.Label>
+                  <Form.Control
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    name="oneWayFee"
+                    value={formData.oneWayFee}
+                    onChange={handleChange}
+                    placeholder="Default"
+                  />
+                  <Form.Text className="text-muted">
+                    Charged when a rental picked up here is returned elsewhere
+                  </Form.Text>
+                </Form.Group>
+              </Col>
+            </Row>
+
+            {/* Weekly opening hours editor */}
+            <Form.Label>Opening Hours</Form.Label>
+            <p className="text-muted small">Times are local to the location's timezone.</p>
+            {formData.openingHours.map(hours => (
+              <Row key={hours.dayOfWeek} className="mb-2 align-items-center">
+                <Col md={3}>{dayNames[hours.dayOfWeek]}</Col>
+                <Col>
+                  <Form.Control
+                    type="time"
+                    value={hours.open || ''}
+                    disabled={hours.closed}
+                    onChange={(e) => handleHoursChange(hours.dayOfWeek, 'open', e.target.value)}
+                    required={!hours.closed}
+                  />
+                </Col>
+                <Col>
+                  <Form.Control
+                    type="time"
+                    value={hours.close || ''}
+                    disabled={hours.closed}
+                    onChange={(e) => handleHoursChange(hours.dayOfWeek, 'close', e.target.value)}
+                    required={!hours.closed}
+                  />
+                </Col>
+                <Col xs="auto">
+                  <Form.Check
+                    type="checkbox"
+                    id={`closed-${hours.dayOfWeek}`}
+                    label="Closed"
+                    checked={hours.closed}
+                    onChange={(e) => handleHoursChange(hours.dayOfWeek, 'closed', e.target.checked)}
+                  />
+                </Col>
+              </Row>
+            ))}
+
+            <Form.Check
+              type="switch"
+              id="location-active"
+              name="isActive"
+              label="Active"
+              checked={formData.isActive}
+              onChange={handleChange}
+              className="mt-3"
+            />
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowModal(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Location'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+// Export ManageLocations component
+export default ManageLocations;
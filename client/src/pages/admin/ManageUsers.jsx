@@ -1,6 +1,7 @@
 // ============================================
 // MANAGE USERS PAGE COMPONENT
-// Admin interface for viewing and managing registered users
+// Admin interface for viewing and managing registered users,
+// including the driver's license verification queue
 // ============================================
 
 // React core with useState for state management and useEffect for data fetching
@@ -13,7 +14,7 @@ import {
 // Icon components for search, user roles, and visual elements
 import {
   FaSearch, FaEye, FaUserShield, FaUser, FaBan,
-  FaCheck, FaUsers
+  FaCheck, FaUsers, FaIdCard, FaTimes
 } from 'react-icons/fa';
 // Toast notifications for user feedback
 import { toast } from 'react-toastify';
@@ -21,6 +22,10 @@ import { toast } from 'react-toastify';
 import { adminAPI } from '../../services/api';
 // Admin sidebar navigation component
 import AdminSidebar from '../../components/admin/AdminSidebar';
+// Uploaded license image preview
+import LicenseImage from '../../components/common/LicenseImage';
+// License status labels and colours
+import { licenseStatusLabels, licenseStatusColors } from '../../utils/licenses';
 
 // ManageUsers component - allows admins to view and manage all users
 const ManageUsers = () => {
@@ -45,11 +50,25 @@ const ManageUsers = () => {
     total: 0
   });
 
+  // Driver's licenses in the verification queue (for the selected status)
+  const [licenses, setLicenses] = useState([]);
+  // Queue status filter - pending licenses by default
+  const [licenseFilter, setLicenseFilter] = useState('pending');
+  // Queue entry ({ user, license }) being reviewed in the license modal
+  const [reviewing, setReviewing] = useState(null);
+  // Reason shown to the customer when their license is rejected
+  const [rejectReason, setRejectReason] = useState('');
+
   // Fetch users when page or role filter changes
   useEffect(() => {
     fetchUsers();
   }, [pagination.page, roleFilter]);
 
+  // Fetch the license queue when its status filter changes
+  useEffect(() => {
+    fetchLicenses();
+  }, [licenseFilter]);
+
   // Fetches users from the admin API with optional role filter
   // Updates users array and pagination state
   const fetchUsers = async () => {
@@ -77,6 +96,41 @@ const ManageUsers = () => {
     }
   };
 
+  // Fetches driver's licenses for the selected verification status
+  const fetchLicenses = async () => {
+    try {
+      const response = await adminAPI.getLicenses({ status: licenseFilter });
+      setLicenses(response.data.data.licenses);
+    } catch (error) {
+      console.error('Error fetching licenses:', error);
+      toast.error('Error loading licenses');
+    }
+  };
+
+  // Opens the license review modal for a queue entry
+  const handleReviewLicense = (entry) => {
+    setReviewing(entry);
+    setRejectReason('');
+  };
+
+  // Approves or rejects the license being reviewed, then refreshes the queue
+  const handleLicenseDecision = async (decision) => {
+    setUpdating(true);
+    try {
+      const response = decision === 'verify'
+        ? await adminAPI.verifyLicense(reviewing.user._id)
+        : await adminAPI.rejectLicense(reviewing.user._id, rejectReason);
+      toast.success(response.data.message);
+      setReviewing(null);
+      fetchLicenses();
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error updating license');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
   // Opens the user details modal with the selected user
   const handleViewUser = (user) => {
     setSelectedUser(user);
@@ -181,6 +235,90 @@ const ManageUsers = () => {
             </div>
           </div>
 
+          {/* Driver's License Verification Queue */}
+          <Card className="mb-4">
+            <Card.Header className="bg-white d-flex justify-content-between align-items-center">
+              <h5 className="mb-0">
+                <FaIdCard className="me-2" />
+                Driver's License Verification
+                {licenseFilter === 'pending' && licenses.length > 0 && (
+                  <Badge bg="warning" className="ms-2">{licenses.length}</Badge>
+                )}
+              </h5>
+              {/* Queue status filter */}
+              <Form.Select
+                size="sm"
+                style={{ width: 'auto' }}
+                value={licenseFilter}
+                onChange={(e) => setLicenseFilter(e.target.value)}
+              >
+                <option value="pending">Awaiting verification</option>
+                <option value="verified">Verified</option>
+                <option value="rejected">Rejected</option>
+              </Form.Select>
+            </Card.Header>
+            <Card.Body className="p-0">
+              <Table responsive hover className="mb-0">
+                <thead className="bg-light">
+                  <tr>
+                    <th>User</th>
+                    <th>License</th>
+                    <th>Expires</th>
+                    <th>Submitted</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {licenses.length > 0 ? (
+                    licenses.map((entry) => (
+                      <tr key={entry.user._id}>
+                        {/* License holder */}
+                        <td>
+                          <p className="mb-0 fw-semibold">{entry.user.name}</p>
+                          <small className="text-muted">{entry.user.email}</small>
+                        </td>
+                        {/* License number and issuing country */}
+                        <td>
+                          <p className="mb-0">{entry.license.number}</p>
+                          <small className="text-muted">{entry.license.country}</small>
+                        </td>
+                        {/* Expiry date - flagged once past */}
+                        <td>
+                          <small className={new Date(entry.license.expiresAt) <= new Date() ? 'text-danger' : ''}>
+                            {new Date(entry.license.expiresAt).toLocaleDateString()}
+                          </small>
+                        </td>
+                        {/* Submission date */}
+                        <td>
+                          <small>{new Date(entry.license.submittedAt).toLocaleString()}</small>
+                        </td>
+                        {/* Verification status */}
+                        <td>
+                          <Badge bg={licenseStatusColors[entry.license.status]}>
+                            {licenseStatusLabels[entry.license.status]}
+                          </Badge>
+                        </td>
+                        {/* Review action button */}
+                        <td>
+                          <Button variant="light" size="sm" onClick={() => handleReviewLicense(entry)}>
+                            <FaEye />
+                          </Button>
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="6" className="text-center py-4 text-muted">
+                        No {licenseStatusLabels[licenseFilter].toLowerCase()} licenses
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </Table>
+            </Card.Body>
+          </Card>
+
           {/* Users Table Card */}
           <Card>
             {/* Search and filter controls in card header */}
@@ -392,6 +530,20 @@ const ManageUsers = () => {
                             <small className="text-muted">Total Spent</small>
                             <p className="mb-0 fw-semibold">${selectedUser.totalSpent?.toFixed(2) || '0.00'}</p>
                           </Col>
+                          {/* Driver's license verification status */}
+                          <Col md={6}>
+                            <small className="text-muted">Driver's License</small>
+                            <p className="mb-0">
+                              <Badge bg={licenseStatusColors[selectedUser.license?.status || 'none']}>
+                                {licenseStatusLabels[selectedUser.license?.status || 'none']}
+                              </Badge>
+                              {selectedUser.license?.expiresAt && (
+                                <small className="text-muted ms-2">
+                                  expires {new Date(selectedUser.license.expiresAt).toLocaleDateString()}
+                                </small>
+                              )}
+                            </p>
+                          </Col>
                         </Row>
                       </Card.Body>
                     </Card>
@@ -474,6 +626,112 @@ const ManageUsers = () => {
             </Button>
           </Modal.Footer>
         </Modal>
+
+        {/* License Review Modal */}
+        <Modal show={!!reviewing} onHide={() => setReviewing(null)} size="lg">
+          <Modal.Header closeButton>
+            <Modal.Title>Review Driver's License</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {reviewing && (
+              <>
+                {/* License holder and details */}
+                <Row className="g-3 mb-3">
+                  <Col md={6}>
+                    <small className="text-muted">Name</small>
+                    <p className="mb-0 fw-semibold">{reviewing.user.name}</p>
+                  </Col>
+                  <Col md={6}>
+                    <small className="text-muted">Status</small>
+                    <p className="mb-0">
+                      <Badge bg={licenseStatusColors[reviewing.license.status]}>
+                        {licenseStatusLabels[reviewing.license.status]}
+                      </Badge>
+                    </p>
+                  </Col>
+                  <Col md={4}>
+                    <small className="text-muted">License Number</small>
+                    <p className="mb-0 fw-semibold">{reviewing.license.number}</p>
+                  </Col>
+                  <Col md={4}>
+                    <small className="text-muted">Issuing Country</small>
+                    <p className="mb-0 fw-semibold">{reviewing.license.country}</p>
+                  </Col>
+                  <Col md={4}>
+                    <small className="text-muted">Expires</small>
+                    <p className="mb-0 fw-semibold">
+                      {new Date(reviewing.license.expiresAt).toLocaleDateString()}
+                    </p>
+                  </Col>
+                </Row>
+
+                {/* Uploaded images */}
+                <Row className="g-3 mb-3">
+                  {reviewing.license.hasFrontImage && (
+                    <Col md={6}>
+                      <LicenseImage userId={reviewing.user._id} side="front" />
+                    </Col>
+                  )}
+                  {reviewing.license.hasBackImage && (
+                    <Col md={6}>
+                      <LicenseImage userId={reviewing.user._id} side="back" />
+                    </Col>
+                  )}
+                </Row>
+
+                {/* Previous rejection reason */}
+                {reviewing.license.status === 'rejected' && (
+                  <p className="text-muted small mb-0">
+                    Rejected: {reviewing.license.rejectionReason}
+                  </p>
+                )}
+
+                {/* Reason for rejecting - shown to the customer */}
+                {['pending', 'verified'].includes(reviewing.license.status) && (
+                  <Form.Group>
+                    <Form.Label>Rejection reason</Form.Label>
+                    <Form.Control
+                      as="textarea"
+                      rows={2}
+                      value={rejectReason}
+                      onChange={(e) => setRejectReason(e.target.value)}
+                      placeholder="e.g. The back image is blurry"
+                      maxLength={500}
+                    />
+                    <Form.Text className="text-muted">
+                      Required to reject - the customer sees this and can upload again
+                    </Form.Text>
+                  </Form.Group>
+                )}
+              </>
+            )}
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setReviewing(null)}>
+              Close
+            </Button>
+            {['pending', 'verified'].includes(reviewing?.license.status) && (
+              <Button
+                variant="outline-danger"
+                onClick={() => handleLicenseDecision('reject')}
+                disabled={updating || !rejectReason.trim()}
+              >
+                <FaTimes className="me-2" />
+                Reject
+              </Button>
+            )}
+            {reviewing?.license.status === 'pending' && (
+              <Button
+                variant="success"
+                onClick={() => handleLicenseDecision('verify')}
+                disabled={updating}
+              >
+                <FaCheck className="me-2" />
+                Approve
+              </Button>
+            )}
+          </Modal.Footer>
+        </Modal>
       </div>
     </div>
   );
@@ -0,0 +1,435 @@
+// ============================================
+// PRICING RULES PAGE COMPONENT
+// Admin interface for seasonal, weekend, and length-of-rental pricing
+// Rules are evaluated per rental day when bookings are priced
+// ============================================
+
+// React core with useState for state management and useEffect for data fetching
+import React, { useState, useEffect } from 'react';
+// Bootstrap components for layout, tables, forms, modals, and loading indicators
+import {
+  Container, Card, Table, Button, Badge, Modal,
+  Form, Row, Col, Spinner
+} from 'react-bootstrap';
+// Icon components for buttons
+import { FaPlus, FaEdit, FaTrash } from 'react-icons/fa';
+// Toast notifications for user feedback
+import { toast } from 'react-toastify';
+// API service for admin HTTP requests
+import { adminAPI } from '../../services/api';
+// Types a rule can be limited to
+import { fetchCarTypes } from '../../utils/carTypes';
+// Admin sidebar navigation component
+import AdminSidebar from '../../components/admin/AdminSidebar';
+
+// Rule types with their display labels
+const ruleTypes = {
+  seasonal: 'Seasonal',
+  weekend: 'Weekend',
+  duration: 'Length of rental'
+};
+// Weekday labels indexed by JavaScript day number
+const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Empty form used when creating a new rule
+const emptyForm = {
+  name: '',
+  type: 'seasonal',
+  multiplier: 1,
+  startDate: '',
+  endDate: '',
+  daysOfWeek: [0, 6],
+  minDays: 7,
+  carTypes: [],
+  priority: 0,
+  isActive: true
+};
+
+// Describes a multiplier as a surcharge or discount percentage
+const describeMultiplier = (multiplier) => {
+  const percent = Math.round((multiplier - 1) * 100);
+  if (percent === 0) return 'No change';
+  return percent > 0 ? `+${percent}%` : `${percent}%`;
+};
+
+// Describes when a rule applies
+const describeWhen = (rule) => {
+  if (rule.type === 'seasonal') {
+    return `${new Date(rule.startDate).toLocaleDateString()} - ${new Date(rule.endDate).toLocaleDateString()}`;
+  }
+  if (rule.type === 'weekend') {
+    return (rule.daysOfWeek || []).map(d => weekdays[d]).join(', ');
+  }
+  return `${rule.minDays}+ days`;
+};
+
+// Formats a date for a date input (yyyy-mm-dd)
+const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+// PricingRules component - CRUD for pricing rules
+const PricingRules = () => {
+  // All rules from the database
+  const [rules, setRules] = useState([]);
+  // Loading state while fetching rules
+  const [loading, setLoading] = useState(true);
+  // Controls visibility of the add/edit modal
+  const [showModal, setShowModal] = useState(false);
+  // Rule being edited (null when adding new)
+  const [editingRule, setEditingRule] = useState(null);
+  // Form values for the add/edit modal
+  const [formData, setFormData] = useState(emptyForm);
+  // Loading state during form submission
+  const [saving, setSaving] = useState(false);
+  // Car types a rule can be limited to
+  const [carTypeOptions, setCarTypeOptions] = useState([]);
+
+  // Fetch rules and car types when component mounts
+  useEffect(() => {
+    fetchRules();
+    fetchCarTypes()
+      .then(setCarTypeOptions)
+      .catch(() => toast.error('Error loading car types'));
+  }, []);
+
+  // Fetches all pricing rules from the API
+  const fetchRules = async () => {
+    try {
+      const response = await adminAPI.getPricingRules();
+      setRules(response.data.data.rules);
+    } catch (error) {
+      console.error('Error fetching pricing rules:', error);
+      toast.error('Error loading pricing rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Opens the add/edit modal, pre-filled when editing
+  const handleOpenModal = (rule = null) => {
+    setEditingRule(rule);
+    setFormData(rule ? {
+      name: rule.name,
+      type: rule.type,
+      multiplier: rule.multiplier,
+      startDate: toDateInput(rule.startDate),
+      endDate: toDateInput(rule.endDate),
+      daysOfWeek: rule.daysOfWeek || [0, 6],
+      minDays: rule.minDays || 7,
+      carTypes: rule.carTypes || [],
+      priority: rule.priority || 0,
+      isActive: rule.isActive
+    } : emptyForm);
+    setShowModal(true);
+  };
+
+  // Handles changes to text, number, select, and switch fields
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  // Toggles a value in one of the form's array fields
+  const handleToggle = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter(v => v !== value)
+        : [...prev[field], value]
+    }));
+  };
+
+  // Saves the rule (create or update), sending only the fields its type uses
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const submitData = {
+        name: formData.name,
+        type: formData.type,
+        multiplier: Number(formData.multiplier),
+        carTypes: formData.carTypes,
+        priority: Number(formData.priority),
+        isActive: formData.isActive
+      };
+      if (formData.type === 'seasonal') {
+        submitData.startDate = formData.startDate;
+        submitData.endDate = formData.endDate;
+      } else if (formData.type === 'weekend') {
+        submitData.daysOfWeek = formData.daysOfWeek;
+      } else {
+        submitData.minDays = Number(formData.minDays);
+      }
+
+      if (editingRule) {
+        await adminAPI.updatePricingRule(editingRule._id, submitData);
+        toast.success('Pricing rule updated successfully');
+      } else {
+        await adminAPI.createPricingRule(submitData);
+        toast.success('Pricing rule created successfully');
+      }
+
+      setShowModal(false);
+      fetchRules();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error saving pricing rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Deletes a rule after confirmation
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the "${rule.name}" rule? Existing bookings keep their prices.`)) return;
+
+    try {
+      await adminAPI.deletePricingRule(rule._id);
+      toast.success('Pricing rule deleted successfully');
+      fetchRules();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error deleting pricing rule');
+    }
+  };
+
+  // Show loading spinner while fetching data
+  if (loading) {
+    return (
+      <div className="admin-layout">
+        <AdminSidebar />
+        <div className="admin-content d-flex justify-content-center align-items-center">
+          <Spinner animation="border" variant="primary" />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="admin-layout">
+      <AdminSidebar />
+      <div className="admin-content">
+        <Container fluid>
+          {/* Page header with title and Add Rule button */}
+          <div className="d-flex justify-content-between align-items-center mb-4">
+            <div>
+              <h2 className="mb-1">Pricing Rules</h2>
+              <p className="text-muted mb-0">
+                Seasonal and weekend rates adjust the daily rate; length-of-rental discounts apply on top
+              </p>
+            </div>
+            <Button variant="primary" onClick={() => handleOpenModal()}>
+              <FaPlus className="me-2" /> Add Rule
+            </Button>
+          </div>
+
+          {/* Rules table */}
+          <Card>
+            <Card.Body className="p-0">
+              <Table responsive hover className="mb-0">
+                <thead className="bg-light">
+                  <tr>
+                    <th>Rule</th>
+                    <th>Type</th>
+                    <th>Applies</th>
+                    <th>Adjustment</th>
+                    <th>Car Types</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rules.length > 0 ? (
+                    rules.map((rule) => (
+                      <tr key={rule._id}>
+                        <td className="fw-semibold">{rule.name}</td>
+                        <td>{ruleTypes[rule.type]}</td>
+                        <td>{describeWhen(rule)}</td>
+                        {/* Surcharges in red, discounts in green */}
+                        <td className={rule.multiplier < 1 ? 'text-success' : 'text-danger'}>
+                          {describeMultiplier(rule.multiplier)}
+                        </td>
+                        <td className="text-capitalize">
+                          {rule.carTypes?.length ? rule.carTypes.join(', ') : 'All'}
+                        </td>
+                        <td>
+                          <Badge bg={rule.isActive ? 'success' : 'secondary'}>
+                            {rule.isActive ? 'Active' : 'Inactive'}
+                          </Badge>
+                        </td>
+                        <td>
+                          <Button
+                            variant="outline-primary"
+                            size="sm"
+                            className="me-2"
+                            onClick={() => handleOpenModal(rule)}
+                          >
+                            <FaEdit />
+                          </Button>
+                          <Button
+                            variant="outline-danger"
+                            size="sm"
+                            onClick={() => handleDelete(rule)}
+                          >
+                            <FaTrash />
+                          </Button>
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="7" className="text-center py-4 text-muted">
+                        No pricing rules defined - cars are charged their daily rate
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </Table>
+            </Card.Body>
+          </Card>
+        </Container>
+      </div>
+
+      {/* Add/Edit Rule Modal */}
+      <Modal show={showModal} onHide={() => setShowModal(false)} size="lg">
+        <Form onSubmit={handleSubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title>{editingRule ? 'Edit Pricing Rule' : 'Add Pricing Rule'}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Name</Form.Label>
+                  <Form.Control name="name" value={formData.name} onChange={handleChange} required />
+                </Form.Group>
+              </Col>
+              <Col md={3}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Type</Form.Label>
+                  <Form.Select name="type" value={formData.type} onChange={handleChange}>
+                    {Object.entries(ruleTypes).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+              <Col md={3}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Multiplier</Form.Label>
+                  <Form.Control
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    name="multiplier"
+                    value={formData.multiplier}
+                    onChange={handleChange}
+                    required
+                  />
+                  <Form.Text>{describeMultiplier(Number(formData.multiplier))}</Form.Text>
+                </Form.Group>
+              </Col>
+            </Row>
+
+            {/* Type-specific fields */}
+            {formData.type === 'seasonal' && (
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Season Start</Form.Label>
+                    <Form.Control type="date" name="startDate" value={formData.startDate} onChange={handleChange} required />
+                  </Form.Group>
+                </Col>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Season End</Form.Label>
+                    <Form.Control type="date" name="endDate" value={formData.endDate} onChange={handleChange} required />
+                  </Form.Group>
+                </Col>
+              </Row>
+            )}
+            {formData.type === 'weekend' && (
+              <Form.Group className="mb-3">
+                <Form.Label>Days</Form.Label>
+                <div>
+                  {weekdays.map((label, day) => (
+                    <Form.Check
+                      key={label}
+                      inline
+                      type="checkbox"
+                      id={`rule-day-${day}`}
+                      label={label}
+                      checked={formData.daysOfWeek.includes(day)}
+                      onChange={() => handleToggle('daysOfWeek', day)}
+                    />
+                  ))}
+                </div>
+              </Form.Group>
+            )}
+            {formData.type === 'duration' && (
+              <Form.Group className="mb-3">
+                <Form.Label>Minimum Rental Length (days)</Form.Label>
+                <Form.Control type="number" min="1" name="minDays" value={formData.minDays} onChange={handleChange} required />
+                <Form.Text>The longest qualifying discount applies (e.g. monthly over weekly).</Form.Text>
+              </Form.Group>
+            )}
+
+            {/* Car type scope */}
+            <Form.Group className="mb-3">
+              <Form.Label>Car Types</Form.Label>
+              <div>
+                {carTypeOptions.map(type => (
+                  <Form.Check
+                    key={type}
+                    inline
+                    type="checkbox"
+                    id={`rule-type-${type}`}
+                    label={type}
+                    className="text-capitalize"
+                    checked={formData.carTypes.includes(type)}
+                    onChange={() => handleToggle('carTypes', type)}
+                  />
+                ))}
+              </div>
+              <Form.Text>
+                Leave empty for all cars. A rule limited to a car type overrides general rules of the same kind.
+              </Form.Text>
+            </Form.Group>
+
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Priority</Form.Label>
+                  <Form.Control type="number" name="priority" value={formData.priority} onChange={handleChange} />
+                  <Form.Text>Higher wins when rules of the same kind overlap.</Form.Text>
+                </Form.Group>
+              </Col>
+              <Col md={6} className="d-flex align-items-center">
+                <Form.Check
+                  type="switch"
+                  id="rule-active"
+                  name="isActive"
+                  label="Active"
+                  checked={formData.isActive}
+                  onChange={handleChange}
+                />
+              </Col>
+            </Row>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowModal(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Rule'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+// Export PricingRules component
+export default PricingRules;
@@ -0,0 +1,479 @@
+// ============================================
+// PROMO CODES PAGE COMPONENT
+// Admin interface for creating discount codes and tracking their use
+// ============================================
+
+// React core with useState for state management and useEffect for data fetching
+import React, { useState, useEffect } from 'react';
+// Bootstrap components for layout, tables, forms, modals, and loading indicators
+import {
+  Container, Card, Table, Button, Badge, Modal,
+  Form, Row, Col, Spinner
+} from 'react-bootstrap';
+// Icon components for buttons
+import { FaPlus, FaEdit, FaTrash, FaEye } from 'react-icons/fa';
+// Toast notifications for user feedback
+import { toast } from 'react-toastify';
+// API service for admin HTTP requests
+import { adminAPI } from '../../services/api';
+// Types a code can be limited to
+import { fetchCarTypes } from '../../utils/carTypes';
+// Admin sidebar navigation component
+import AdminSidebar from '../../components/admin/AdminSidebar';
+
+// Empty form used when creating a new code
+const emptyForm = {
+  code: '',
+  description: '',
+  discountType: 'percent',
+  value: 10,
+  validFrom: '',
+  validUntil: '',
+  maxRedemptions: '',
+  maxPerUser: '',
+  minDays: 0,
+  carTypes: [],
+  isActive: true
+};
+
+// Formats a date for a date input (yyyy-mm-dd)
+const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+// Describes a code's discount
+const describeDiscount = (promo) => (
+  promo.discountType === 'percent' ? `${promo.value}% off` : `$${promo.value} off`
+);
+
+// Describes a code's validity window
+const describeWindow = (promo) => {
+  if (!promo.validFrom && !promo.validUntil) return 'Always';
+  const from = promo.validFrom ? new Date(promo.validFrom).toLocaleDateString() : '...';
+  const until = promo.validUntil ? new Date(promo.validUntil).toLocaleDateString() : '...';
+  return `${from} - ${until}`;
+};
+
+// PromoCodes component - CRUD for promo codes
+const PromoCodes = () => {
+  // All codes from the database
+  const [promoCodes, setPromoCodes] = useState([]);
+  // Loading state while fetching codes
+  const [loading, setLoading] = useState(true);
+  // Controls visibility of the add/edit modal
+  const [showModal, setShowModal] = useState(false);
+  // Code being edited (null when adding new)
+  const [editingCode, setEditingCode] = useState(null);
+  // Form values for the add/edit modal
+  const [formData, setFormData] = useState(emptyForm);
+  // Loading state during form submission
+  const [saving, setSaving] = useState(false);
+  // Car types a code can be limited to
+  const [carTypeOptions, setCarTypeOptions] = useState([]);
+  // Code whose redemptions are being viewed
+  const [viewingCode, setViewingCode] = useState(null);
+
+  // Fetch codes and car types when component mounts
+  useEffect(() => {
+    fetchPromoCodes();
+    fetchCarTypes()
+      .then(setCarTypeOptions)
+      .catch(() => toast.error('Error loading car types'));
+  }, []);
+
+  // Fetches all promo codes from the API
+  const fetchPromoCodes = async () => {
+    try {
+      const response = await adminAPI.getPromoCodes();
+      setPromoCodes(response.data.data.promoCodes);
+    } catch (error) {
+      console.error('Error fetching promo codes:', error);
+      toast.error('Error loading promo codes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Opens the add/edit modal, pre-filled when editing
+  const handleOpenModal = (promo = null) => {
+    setEditingCode(promo);
+    setFormData(promo ? {
+      code: promo.code,
+      description: promo.description || '',
+      discountType: promo.discountType,
+      value: promo.value,
+      validFrom: toDateInput(promo.validFrom),
+      validUntil: toDateInput(promo.validUntil),
+      maxRedemptions: promo.maxRedemptions ?? '',
+      maxPerUser: promo.maxPerUser ?? '',
+      minDays: promo.minDays || 0,
+      carTypes: promo.carTypes || [],
+      isActive: promo.isActive
+    } : emptyForm);
+    setShowModal(true);
+  };
+
+  // Loads a code's redemptions and opens the details modal
+  const handleViewRedemptions = async (promo) => {
+    try {
+      const response = await adminAPI.getPromoCode(promo._id);
+      setViewingCode(response.data.data.promoCode);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error loading redemptions');
+    }
+  };
+
+  // Handles changes to text, number, select, and switch fields
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  // Toggles a car type in the eligibility list
+  const handleCarTypeToggle = (carType) => {
+    setFormData(prev => ({
+      ...prev,
+      carTypes: prev.carTypes.includes(carType)
+        ? prev.carTypes.filter(t => t !== carType)
+        : [...prev.carTypes, carType]
+    }));
+  };
+
+  // Saves the code (create or update)
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const submitData = {
+        ...formData,
+        value: Number(formData.value),
+        minDays: Number(formData.minDays) || 0
+      };
+
+      if (editingCode) {
+        await adminAPI.updatePromoCode(editingCode._id, submitData);
+        toast.success('Promo code updated successfully');
+      } else {
+        await adminAPI.createPromoCode(submitData);
+        toast.success('Promo code created successfully');
+      }
+
+      setShowModal(false);
+      fetchPromoCodes();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error saving promo code');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Deletes an unused code after confirmation
+  const handleDelete = async (promo) => {
+    if (!window.confirm(`Delete promo code ${promo.code}?`)) return;
+
+    try {
+      await adminAPI.deletePromoCode(promo._id);
+      toast.success('Promo code deleted successfully');
+      fetchPromoCodes();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error deleting promo code');
+    }
+  };
+
+  // Show loading spinner while fetching data
+  if (loading) {
+    return (
+      <div className="admin-layout">
+        <AdminSidebar />
+        <div className="admin-content d-flex justify-content-center align-items-center">
+          <Spinner animation="border" variant="primary" />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="admin-layout">
+      <AdminSidebar />
+      <div className="admin-content">
+        <Container fluid>
+          {/* Page header with title and Add Code button */}
+          <div className="d-flex justify-content-between align-items-center mb-4">
+            <div>
+              <h2 className="mb-1">Promo Codes</h2>
+              <p className="text-muted mb-0">Discount codes customers can enter at checkout</p>
+            </div>
+            <Button variant="primary" onClick={() => handleOpenModal()}>
+              <FaPlus className="me-2" /> Add Promo Code
+            </Button>
+          </div>
+
+          {/* Codes table */}
+          <Card>
+            <Card.Body className="p-0">
+              <Table responsive hover className="mb-0">
+                <thead className="bg-light">
+                  <tr>
+                    <th>Code</th>
+                    <th>Discount</th>
+                    <th>Valid</th>
+                    <th>Used</th>
+                    <th>Conditions</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {promoCodes.length > 0 ? (
+                    promoCodes.map((promo) => (
+                      <tr key={promo._id}>
+                        <td>
+                          <p className="mb-0 fw-semibold font-monospace">{promo.code}</p>
+                          <small className="text-muted">{promo.description}</small>
+                        </td>
+                        <td>{describeDiscount(promo)}</td>
+                        <td>{describeWindow(promo)}</td>
+                        {/* Redemptions against the total cap */}
+                        <td>
+                          {promo.redemptionCount}
+                          {promo.maxRedemptions ? ` / ${promo.maxRedemptions}` : ''}
+                        </td>
+                        <td className="small">
+                          {promo.minDays > 0 && <div>{promo.minDays}+ days</div>}
+                          {promo.maxPerUser && <div>{promo.maxPerUser} per customer</div>}
+                          {promo.carTypes?.length > 0 && (
+                            <div className="text-capitalize">{promo.carTypes.join(', ')}</div>
+                          )}
+                        </td>
+                        <td>
+                          <Badge bg={promo.isActive ? 'success' : 'secondary'}>
+                            {promo.isActive ? 'Active' : 'Inactive'}
+                          </Badge>
+                        </td>
+                        <td>
+                          <Button
+                            variant="outline-secondary"
+                            size="sm"
+                            className="me-2"
+                            onClick={() => handleViewRedemptions(promo)}
+                          >
+                            <FaEye />
+                          </Button>
+                          <Button
+                            variant="outline-primary"
+                            size="sm"
+                            className="me-2"
+                            onClick={() => handleOpenModal(promo)}
+                          >
+                            <FaEdit />
+                          </Button>
+                          <Button
+                            variant="outline-danger"
+                            size="sm"
+                            onClick={() => handleDelete(promo)}
+                            disabled={promo.redemptionCount > 0}
+                          >
+                            <FaTrash />
+                          </Button>
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="7" className="text-center py-4 text-muted">
+                        No promo codes defined
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </Table>
+            </Card.Body>
+          </Card>
+        </Container>
+      </div>
+
+      {/* Add/Edit Promo Code Modal */}
+      <Modal show={showModal} onHide={() => setShowModal(false)} size="lg">
+        <Form onSubmit={handleSubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title>{editingCode ? 'Edit Promo Code' : 'Add Promo Code'}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <Row>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Code</Form.Label>
+                  <Form.Control
+                    name="code"
+                    value={formData.code}
+                    onChange={(e) => setFormData(prev => ({ ...prev, code: e.target.value.toUpperCase() }))}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Discount Type</Form.Label>
+                  <Form.Select name="discountType" value={formData.discountType} onChange={handleChange}>
+                    <option value="percent">Percentage</option>
+                    <option value="fixed">Fixed amount ($)</option>
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>{formData.discountType === 'percent' ? 'Percent Off' : 'Amount Off ($)'}</Form.Label>
+                  <Form.Control
+                    type="number"
+                    min="0"
+                    max={formData.discountType === 'percent' ? 100 : undefined}
+                    step="0.01"
+                    name="value"
+                    value={formData.value}
+                    onChange={handleChange}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+            <Form.Group className="mb-3">
+              <Form.Label>Description</Form.Label>
+              <Form.Control name="description" value={formData.description} onChange={handleChange} />
+            </Form.Group>
+
+            {/* Validity window */}
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Valid From</Form.Label>
+                  <Form.Control type="date" name="validFrom" value={formData.validFrom} onChange={handleChange} />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Valid Until</Form.Label>
+                  <Form.Control type="date" name="validUntil" value={formData.validUntil} onChange={handleChange} />
+                </Form.Group>
+              </Col>
+            </Row>
+
+            {/* Usage limits */}
+            <Row>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Total Uses</Form.Label>
+                  <Form.Control
+                    type="number"
+                    min="1"
+                    name="maxRedemptions"
+                    value={formData.maxRedemptions}
+                    onChange={handleChange}
+                    placeholder="Unlimited"
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Uses Per Customer</Form.Label>
+                  <Form.Control
+                    type="number"
+                    min="1"
+                    name="maxPerUser"
+                    value={formData.maxPerUser}
+                    onChange={handleChange}
+                    placeholder="Unlimited"
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Minimum Days</Form.Label>
+                  <Form.Control type="number" min="0" name="minDays" value={formData.minDays} onChange={handleChange} />
+                </Form.Group>
+              </Col>
+            </Row>
+
+            {/* Eligible car types */}
+            <Form.Group className="mb-3">
+              <Form.Label>Eligible Car Types</Form.Label>
+              <div>
+                {carTypeOptions.map(carType => (
+                  <Form.Check
+                    key={carType}
+                    inline
+                    type="checkbox"
+                    id={`promo-type-${carType}`}
+                    label={carType}
+                    className="text-capitalize"
+                    checked={formData.carTypes.includes(carType)}
+                    onChange={() => handleCarTypeToggle(carType)}
+                  />
+                ))}
+              </div>
+              <Form.Text>Leave empty to allow all car types.</Form.Text>
+            </Form.Group>
+
+            <Form.Check
+              type="switch"
+              id="promo-active"
+              name="isActive"
+              label="Active"
+              checked={formData.isActive}
+              onChange={handleChange}
+            />
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowModal(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Promo Code'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      {/* Redemptions Modal */}
+      <Modal show={!!viewingCode} onHide={() => setViewingCode(null)} size="lg">
+        <Modal.Header closeButton>
+          <Modal.Title>Redemptions of {viewingCode?.code}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {viewingCode?.redemptions?.length > 0 ? (
+            <Table size="sm" className="mb-0">
+              <thead>
+                <tr>
+                  <th>Customer</th>
+                  <th>Booking</th>
+                  <th>Status</th>
+                  <th>Redeemed</th>
+                </tr>
+              </thead>
+              <tbody>
+                {viewingCode.redemptions.map((redemption) => (
+                  <tr key={redemption._id}>
+                    <td>{redemption.user?.name || 'Unknown'}</td>
+                    <td>
+                      {redemption.booking
+                        ? `${new Date(redemption.booking.startDate).toLocaleDateString()} - ${new Date(redemption.booking.endDate).toLocaleDateString()}`
+                        : 'Deleted'}
+                    </td>
+                    <td className="text-capitalize">{redemption.booking?.status}</td>
+                    <td>{new Date(redemption.redeemedAt).toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          ) : (
+            <p className="text-muted mb-0">This code has not been redeemed yet.</p>
+          )}
+        </Modal.Body>
+      </Modal>
+    </div>
+  );
+};
+
+// Export PromoCodes component
+export default PromoCodes;
@@ -59,6 +59,10 @@ const Reports = () => {
   const [reportData, setReportData] = useState(null);
   // Selected date range filter (7, 30, 90, or 365 days)
   const [dateRange, setDateRange] = useState('30');
+  // Daily revenue from the payment ledger split into net, tax, and fees
+  const [revenueBreakdown, setRevenueBreakdown] = useState([]);
+  // Security deposits grouped by status
+  const [depositSummary, setDepositSummary] = useState([]);
 
   // Fetch report data when date range changes
   useEffect(() => {
@@ -72,6 +76,16 @@ const Reports = () => {
     try {
       const response = await adminAPI.getReports({ days: dateRange });
       setReportData(response.data.data);
+
+      // Revenue breakdown for the same period
+      const since = new Date();
+      since.setDate(since.getDate() - Number(dateRange));
+      const revenueResponse = await adminAPI.getReports({ type: 'revenue', startDate: since.toISOString() });
+      setRevenueBreakdown(revenueResponse.data.data.report || []);
+
+      // Deposit holds placed in the same period
+      const depositResponse = await adminAPI.getReports({ type: 'deposits', startDate: since.toISOString() });
+      setDepositSummary(depositResponse.data.data.report || []);
     } catch (error) {
       console.error('Error fetching reports:', error);
       toast.error('Error loading reports');
@@ -127,6 +141,38 @@ const Reports = () => {
     ]
   };
 
+  // Period totals for the revenue breakdown card
+  const breakdownTotals = revenueBreakdown.reduce((totals, day) => ({
+    revenue: totals.revenue + day.revenue,
+    net: totals.net + day.net,
+    tax: totals.tax + day.tax,
+    fees: totals.fees + day.fees,
+    refunds: totals.refunds + day.refunds,
+    processingFees: totals.processingFees + day.processingFees
+  }), { revenue: 0, net: 0, tax: 0, fees: 0, refunds: 0, processingFees: 0 });
+
+  // Configuration for the stacked net/tax/fees bar chart
+  const revenueBreakdownData = {
+    labels: revenueBreakdown.map(day => day._id),
+    datasets: [
+      {
+        label: 'Net',
+        data: revenueBreakdown.map(day => day.net),
+        backgroundColor: 'rgba(37, 99, 235, 0.8)'     // Blue
+      },
+      {
+        label: 'Tax',
+        data: revenueBreakdown.map(day => day.tax),
+        backgroundColor: 'rgba(245, 158, 11, 0.8)'    // Amber
+      },
+      {
+        label: 'Fees',
+        data: revenueBreakdown.map(day => day.fees),
+        backgroundColor: 'rgba(139, 92, 246, 0.8)'    // Purple
+      }
+    ]
+  };
+
   // Configuration for the daily bookings bar chart
   // Shows number of bookings per day
   const bookingsTrendData = {
@@ -323,6 +369,53 @@ const Reports = () => {
             </Col>
           </Row>
 
+          {/* Revenue Breakdown - net rental revenue vs taxes and location fees, with
+              the refunds and processing fees recorded in the payment ledger */}
+          <Card className="mb-4">
+            <Card.Header className="bg-white">
+              <h5 className="mb-0">Revenue Breakdown</h5>
+            </Card.Header>
+            <Card.Body>
+              <Row className="g-3 mb-3 text-center">
+                <Col xs={6} md={2}>
+                  <small className="text-muted d-block">Revenue</small>
+                  <span className="fw-bold">${breakdownTotals.revenue.toFixed(2)}</span>
+                </Col>
+                <Col xs={6} md={2}>
+                  <small className="text-muted d-block">Net</small>
+                  <span className="fw-bold text-primary">${breakdownTotals.net.toFixed(2)}</span>
+                </Col>
+                <Col xs={6} md={2}>
+                  <small className="text-muted d-block">Tax</small>
+                  <span className="fw-bold">${breakdownTotals.tax.toFixed(2)}</span>
+                </Col>
+                <Col xs={6} md={2}>
+                  <small className="text-muted d-block">Fees</small>
+                  <span className="fw-bold">${breakdownTotals.fees.toFixed(2)}</span>
+                </Col>
+                <Col xs={6} md={2}>
+                  <small className="text-muted d-block">Refunded</small>
+                  <span className="fw-bold">${breakdownTotals.refunds.toFixed(2)}</span>
+                </Col>
+                <Col xs={6} md={2}>
+                  <small className="text-muted d-block">Processing Fees</small>
+                  <span className="fw-bold">${breakdownTotals.processingFees.toFixed(2)}</span>
+                </Col>
+              </Row>
+              <Bar
+                data={revenueBreakdownData}
+                options={{
+                  ...chartOptions,
+                  plugins: { legend: { position: 'bottom' } },
+                  scales: {
+                    x: { stacked: true },
+                    y: { ...chartOptions.scales.y, stacked: true }
+                  }
+                }}
+              />
+            </Card.Body>
+          </Card>
+
           {/* Main Charts Row - Revenue trend and car type distribution */}
           <Row className="g-4 mb-4">
             {/* Revenue Trend Line Chart */}
@@ -520,6 +613,33 @@ const Reports = () => {
                 </Card.Body>
               </Card>
             </Col>
+
+            {/* Security Deposits Card - holds by status and how much was kept */}
+            {depositSummary.length > 0 && (
+              <Col lg={4}>
+                <Card>
+                  <Card.Header className="bg-white">
+                    <h5 className="mb-0">Security Deposits</h5>
+                  </Card.Header>
+                  <Card.Body>
+                    {depositSummary.map((deposit, index) => (
+                      <div
+                        key={deposit._id}
+                        className={index !== depositSummary.length - 1 ? 'mb-3 pb-3 border-bottom' : ''}
+                      >
+                        <div className="d-flex justify-content-between">
+                          <span className="text-capitalize">{deposit._id} ({deposit.count})</span>
+                          <span className="fw-semibold">${deposit.amount.toLocaleString()}</span>
+                        </div>
+                        {deposit.captured > 0 && (
+                          <small className="text-muted">${deposit.captured.toLocaleString()} kept</small>
+                        )}
+                      </div>
+                    ))}
+                  </Card.Body>
+                </Card>
+              </Col>
+            )}
           </Row>
         </Container>
       </div>
@@ -548,6 +668,7 @@ const getPaymentColor = (status) => {
   const colors = {
     pending: 'warning',     // Yellow for pending
     paid: 'success',        // Green for paid
+    partially_refunded: 'info', // Light blue when some of it was returned
     refunded: 'info',       // Light blue for refunded
     failed: 'danger'        // Red for failed
   };
@@ -0,0 +1,388 @@
+// ============================================
+// TAXES & FEES PAGE COMPONENT
+// Admin interface for the taxes and fees charged at each pickup location
+// ============================================
+
+// React core with useState for state management and useEffect for data fetching
+import React, { useState, useEffect } from 'react';
+// Bootstrap components for layout, tables, forms, modals, and loading indicators
+import {
+  Container, Card, Table, Button, Badge, Modal,
+  Form, Row, Col, Spinner, Alert
+} from 'react-bootstrap';
+// Icon components for buttons
+import { FaPlus, FaEdit, FaTrash, FaTimes } from 'react-icons/fa';
+// Toast notifications for user feedback
+import { toast } from 'react-toastify';
+// API services for admin and location HTTP requests
+import { adminAPI, locationsAPI } from '../../services/api';
+// Admin sidebar navigation component
+import AdminSidebar from '../../components/admin/AdminSidebar';
+
+// Empty component added by the "Add Component" button
+const emptyComponent = { name: '', category: 'tax', calculation: 'percent', rate: 0 };
+
+// Empty form used when creating a new configuration
+const emptyForm = {
+  location: '',
+  isDefault: false,
+  isActive: true,
+  components: [{ ...emptyComponent, name: 'Sales tax' }]
+};
+
+// Describes a component's rate in plain words
+const describeRate = (component) => (
+  component.calculation === 'percent' ? `${component.rate}%` : `$${component.rate}/day`
+);
+
+// TaxConfigs component - CRUD for location tax configurations
+const TaxConfigs = () => {
+  // All configurations from the database
+  const [taxConfigs, setTaxConfigs] = useState([]);
+  // Built-in components applied when no configuration matches
+  const [defaultComponents, setDefaultComponents] = useState([]);
+  // Loading state while fetching configurations
+  const [loading, setLoading] = useState(true);
+  // Controls visibility of the add/edit modal
+  const [showModal, setShowModal] = useState(false);
+  // Configuration being edited (null when adding new)
+  const [editingConfig, setEditingConfig] = useState(null);
+  // Form values for the add/edit modal
+  const [formData, setFormData] = useState(emptyForm);
+  // Loading state during form submission
+  const [saving, setSaving] = useState(false);
+  // All locations (including inactive ones) for the location select
+  const [locations, setLocations] = useState([]);
+
+  // Fetch configurations and locations when component mounts
+  useEffect(() => {
+    fetchTaxConfigs();
+    fetchLocations();
+  }, []);
+
+  // Fetches all configurations from the API
+  const fetchTaxConfigs = async () => {
+    try {
+      const response = await adminAPI.getTaxConfigs();
+      setTaxConfigs(response.data.data.taxConfigs);
+      setDefaultComponents(response.data.data.defaultComponents);
+    } catch (error) {
+      console.error('Error fetching tax configurations:', error);
+      toast.error('Error loading tax configurations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fetches all locations for the location select
+  const fetchLocations = async () => {
+    try {
+      const response = await locationsAPI.getAll({ all: true });
+      setLocations(response.data.data.locations);
+    } catch (error) {
+      console.error('Error fetching locations:', error);
+    }
+  };
+
+  // Opens the add/edit modal, pre-filled when editing
+  const handleOpenModal = (config = null) => {
+    setEditingConfig(config);
+    setFormData(config ? {
+      location: config.location?._id || '',
+      isDefault: config.isDefault,
+      isActive: config.isActive,
+      components: config.components.map(c => ({ ...c }))
+    } : emptyForm);
+    setShowModal(true);
+  };
+
+  // Handles changes to text and checkbox fields
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  // Updates one field of a component
+  const handleComponentChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      components: prev.components.map((c, i) => (i === index ? { ...c, [field]: value } : c))
+    }));
+  };
+
+  // Adds an empty component
+  const addComponent = () => {
+    setFormData(prev => ({
+      ...prev,
+      components: [...prev.components, { ...emptyComponent }]
+    }));
+  };
+
+  // Removes a component
+  const removeComponent = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      components: prev.components.filter((_, i) => i !== index)
+    }));
+  };
+
+  // Saves the configuration (create or update)
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const submitData = {
+        ...formData,
+        // The default configuration doesn't need a location
+        location: formData.location || null,
+        components: formData.components.map(c => ({ ...c, rate: Number(c.rate) }))
+      };
+
+      if (editingConfig) {
+        await adminAPI.updateTaxConfig(editingConfig._id, submitData);
+        toast.success('Tax configuration updated successfully');
+      } else {
+        await adminAPI.createTaxConfig(submitData);
+        toast.success('Tax configuration created successfully');
+      }
+
+      setShowModal(false);
+      fetchTaxConfigs();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error saving tax configuration');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Deletes a configuration after confirmation
+  const handleDelete = async (config) => {
+    if (!window.confirm(`Delete the tax configuration for ${config.location?.name || 'this location'}? Existing bookings keep their charges.`)) return;
+
+    try {
+      await adminAPI.deleteTaxConfig(config._id);
+      toast.success('Tax configuration deleted successfully');
+      fetchTaxConfigs();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error deleting tax configuration');
+    }
+  };
+
+  // Show loading spinner while fetching data
+  if (loading) {
+    return (
+      <div className="admin-layout">
+        <AdminSidebar />
+        <div className="admin-content d-flex justify-content-center align-items-center">
+          <Spinner animation="border" variant="primary" />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="admin-layout">
+      <AdminSidebar />
+      <div className="admin-content">
+        <Container fluid>
+          {/* Page header with title and Add Location button */}
+          <div className="d-flex justify-content-between align-items-center mb-4">
+            <div>
+              <h2 className="mb-1">Taxes & Fees</h2>
+              <p className="text-muted mb-0">Taxes and surcharges added to bookings at each pickup location</p>
+            </div>
+            <Button variant="primary" onClick={() => handleOpenModal()}>
+              <FaPlus className="me-2" /> Add Location
+            </Button>
+          </div>
+
+          {/* Notice when no default is configured */}
+          {!taxConfigs.some(c => c.isDefault && c.isActive) && (
+            <Alert variant="info">
+              No default configuration is active. Locations without their own configuration are charged:{' '}
+              {defaultComponents.map(c => `${c.name} ${describeRate(c)}`).join(', ')}.
+            </Alert>
+          )}
+
+          {/* Configurations table */}
+          <Card>
+            <Card.Body className="p-0">
+              <Table responsive hover className="mb-0">
+                <thead className="bg-light">
+                  <tr>
+                    <th>Location</th>
+                    <th>Taxes</th>
+                    <th>Fees</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {taxConfigs.length > 0 ? (
+                    taxConfigs.map((config) => (
+                      <tr key={config._id}>
+                        <td>
+                          <p className="mb-0 fw-semibold">
+                            {config.location?.name || (config.isDefault ? 'All other locations' : 'Deleted location')}
+                          </p>
+                          {config.isDefault && <Badge bg="info">Default</Badge>}
+                        </td>
+                        {/* Tax components */}
+                        <td>
+                          {config.components.filter(c => c.category === 'tax').map((c, i) => (
+                            <div key={i} className="small">{c.name}: {describeRate(c)}</div>
+                          ))}
+                        </td>
+                        {/* Fee components */}
+                        <td>
+                          {config.components.filter(c => c.category === 'fee').map((c, i) => (
+                            <div key={i} className="small">{c.name}: {describeRate(c)}</div>
+                          ))}
+                        </td>
+                        <td>
+                          <Badge bg={config.isActive ? 'success' : 'secondary'}>
+                            {config.isActive ? 'Active' : 'Inactive'}
+                          </Badge>
+                        </td>
+                        <td>
+                          <Button
+                            variant="outline-primary"
+                            size="sm"
+                            className="me-2"
+                            onClick={() => handleOpenModal(config)}
+                          >
+                            <FaEdit />
+                          </Button>
+                          <Button
+                            variant="outline-danger"
+                            size="sm"
+                            onClick={() => handleDelete(config)}
+                          >
+                            <FaTrash />
+                          </Button>
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="5" className="text-center py-4 text-muted">
+                        No tax configurations defined
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </Table>
+            </Card.Body>
+          </Card>
+        </Container>
+      </div>
+
+      {/* Add/Edit Configuration Modal */}
+      <Modal show={showModal} onHide={() => setShowModal(false)} size="lg">
+        <Form onSubmit={handleSubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title>{editingConfig ? 'Edit Tax Configuration' : 'Add Tax Configuration'}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <Form.Group className="mb-3">
+              <Form.Label>Pickup Location</Form.Label>
+              <Form.Select name="location" value={formData.location} onChange={handleChange} required={!formData.isDefault}>
+                <option value="">{formData.isDefault ? 'None - only locations without their own' : 'Select a location'}</option>
+                {locations.map(location => (
+                  <option key={location._id} value={location._id}>{location.name}</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+
+            {/* Components editor */}
+            <Form.Label>Components</Form.Label>
+            <p className="text-muted small">
+              Percentages apply to the rental subtotal after discounts. Per-day amounts are charged for each rental day.
+            </p>
+            {formData.components.map((component, index) => (
+              <Row key={index} className="mb-2 align-items-center">
+                <Col md={4}>
+                  <Form.Control
+                    placeholder="Name"
+                    value={component.name}
+                    onChange={(e) => handleComponentChange(index, 'name', e.target.value)}
+                    required
+                  />
+                </Col>
+                <Col>
+                  <Form.Select
+                    value={component.category}
+                    onChange={(e) => handleComponentChange(index, 'category', e.target.value)}
+                  >
+                    <option value="tax">Tax</option>
+                    <option value="fee">Fee</option>
+                  </Form.Select>
+                </Col>
+                <Col>
+                  <Form.Select
+                    value={component.calculation}
+                    onChange={(e) => handleComponentChange(index, 'calculation', e.target.value)}
+                  >
+                    <option value="percent">Percent</option>
+                    <option value="per_day">Per day ($)</option>
+                  </Form.Select>
+                </Col>
+                <Col>
+                  <Form.Control
+                    type="number"
+                    min="0"
+                    max={component.calculation === 'percent' ? 100 : undefined}
+                    step="0.01"
+                    value={component.rate}
+                    onChange={(e) => handleComponentChange(index, 'rate', e.target.value)}
+                    required
+                  />
+                </Col>
+                <Col xs="auto">
+                  <Button variant="outline-danger" size="sm" onClick={() => removeComponent(index)}>
+                    <FaTimes />
+                  </Button>
+                </Col>
+              </Row>
+            ))}
+            <Button variant="outline-secondary" size="sm" onClick={addComponent} className="mb-3">
+              <FaPlus className="me-1" /> Add Component
+            </Button>
+
+            <Form.Check
+              type="switch"
+              id="tax-default"
+              name="isDefault"
+              label="Use for locations without their own configuration"
+              checked={formData.isDefault}
+              onChange={handleChange}
+            />
+            <Form.Check
+              type="switch"
+              id="tax-active"
+              name="isActive"
+              label="Active"
+              checked={formData.isActive}
+              onChange={handleChange}
+            />
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowModal(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Configuration'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+// Export TaxConfigs component
+export default TaxConfigs;
@@ -0,0 +1,180 @@
+// ============================================
+// WAITLIST PAGE COMPONENT
+// Admin view of customers waiting for fully booked cars to free up,
+// in the order they will be offered cars, with any car held for them
+// ============================================
+
+// React core with useState for state management and useEffect for data fetching
+import React, { useState, useEffect, useCallback } from 'react';
+// Bootstrap components for layout, tables, filters, and loading indicators
+import { Container, Card, Table, Button, Badge, Form, Spinner } from 'react-bootstrap';
+// Icon for removing an entry
+import { FaTimes } from 'react-icons/fa';
+// Toast notifications for user feedback
+import { toast } from 'react-toastify';
+// API service for admin HTTP requests
+import { adminAPI } from '../../services/api';
+// Admin sidebar navigation component
+import AdminSidebar from '../../components/admin/AdminSidebar';
+// Times shown in the timezone they were entered in
+import { formatRentalTime } from '../../utils/rentalTime';
+// Waitlist status labels and colours
+import {
+  waitlistStatusLabels, waitlistStatusColors, openWaitlistStatuses, describeWaitlistEntry
+} from '../../utils/waitlist';
+
+// Waitlist component - lists waitlist entries and lets admins remove them
+const Waitlist = () => {
+  // Waitlist entries from the database
+  const [entries, setEntries] = useState([]);
+  // Loading state while fetching entries
+  const [loading, setLoading] = useState(true);
+  // Status filter ('open' = waiting or offered, '' for all)
+  const [statusFilter, setStatusFilter] = useState('open');
+  // Entry being removed (null when none)
+  const [cancellingId, setCancellingId] = useState(null);
+
+  // Fetches entries matching the status filter, oldest (first in line) first
+  const fetchEntries = useCallback(async () => {
+    try {
+      const response = await adminAPI.getWaitlist(statusFilter ? { status: statusFilter } : {});
+      setEntries(response.data.data.entries);
+    } catch (error) {
+      console.error('Error fetching waitlist:', error);
+      toast.error('Error loading waitlist');
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  // Fetch entries on mount and whenever the filter changes
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  // Removes a customer from the waitlist after confirmation
+  const handleCancel = async (entry) => {
+    if (!window.confirm(entry.status === 'offered'
+      ? `Remove ${entry.user?.name} from the waitlist? The car held for them will be offered to the next in line.`
+      : `Remove ${entry.user?.name} from the waitlist?`)) return;
+
+    setCancellingId(entry._id);
+    try {
+      const response = await adminAPI.cancelWaitlistEntry(entry._id);
+      toast.success(response.data.message);
+      fetchEntries();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error removing waitlist entry');
+    } finally {
+      setCancellingId(null);
+    }
+  };
+
+  // Show loading spinner while fetching data
+  if (loading) {
+    return (
+      <div className="admin-layout">
+        <AdminSidebar />
+        <div className="admin-content d-flex justify-content-center align-items-center">
+          <Spinner animation="border" variant="primary" />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="admin-layout">
+      <AdminSidebar />
+      <div className="admin-content">
+        <Container fluid>
+          {/* Page header with title and status filter */}
+          <div className="d-flex justify-content-between align-items-center mb-4">
+            <div>
+              <h2 className="mb-1">Waitlist</h2>
+              <p className="text-muted mb-0">Customers waiting for booked cars to free up, first in line first</p>
+            </div>
+            <Form.Select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} style={{ width: '180px' }}>
+              <option value="open">Open</option>
+              <option value="">All statuses</option>
+              {Object.entries(waitlistStatusLabels).map(([status, label]) => (
+                <option key={status} value={status}>{label}</option>
+              ))}
+            </Form.Select>
+          </div>
+
+          {/* Waitlist table */}
+          <Card>
+            <Card.Body className="p-0">
+              <Table responsive hover className="mb-0">
+                <thead className="bg-light">
+                  <tr>
+                    <th>Customer</th>
+                    <th>Waiting for</th>
+                    <th>Dates</th>
+                    <th>Status</th>
+                    <th>Joined</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.length > 0 ? (
+                    entries.map((entry) => (
+                      <tr key={entry._id}>
+                        <td>
+                          <p className="mb-0 fw-semibold">{entry.user?.name || 'Unknown'}</p>
+                          <small className="text-muted">{entry.user?.email}</small>
+                        </td>
+                        <td>
+                          <p className="mb-0 text-capitalize">{describeWaitlistEntry(entry)}</p>
+                          {entry.location && <small className="text-muted">at {entry.location.name}</small>}
+                        </td>
+                        <td>
+                          <small className="d-block">{formatRentalTime(entry.startDate, entry.timezone)}</small>
+                          <small className="d-block">{formatRentalTime(entry.endDate, entry.timezone)}</small>
+                        </td>
+                        <td>
+                          <Badge bg={waitlistStatusColors[entry.status]}>{waitlistStatusLabels[entry.status]}</Badge>
+                          {/* Car held for the customer and when the offer runs out */}
+                          {entry.status === 'offered' && entry.offer?.car && (
+                            <small className="d-block text-muted mt-1">
+                              {entry.offer.car.brand} {entry.offer.car.model} until {formatRentalTime(entry.offer.expiresAt, entry.timezone)}
+                            </small>
+                          )}
+                        </td>
+                        <td>
+                          <small>{new Date(entry.createdAt).toLocaleString()}</small>
+                        </td>
+                        <td>
+                          {openWaitlistStatuses.includes(entry.status) && (
+                            <Button
+                              variant="outline-danger"
+                              size="sm"
+                              title="Remove from waitlist"
+                              disabled={cancellingId === entry._id}
+                              onClick={() => handleCancel(entry)}
+                            >
+                              <FaTimes />
+                            </Button>
+                          )}
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="6" className="text-center py-4 text-muted">
+                        No waitlist entries found
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </Table>
+            </Card.Body>
+          </Card>
+        </Container>
+      </div>
+    </div>
+  );
+};
+
+// Export Waitlist component
+export default Waitlist;
@@ -0,0 +1,280 @@
+// ============================================
+// WEBHOOK EVENTS PAGE COMPONENT
+// Admin view of the events the payment provider has sent, how processing
+// them went, and the payload of each. Failed or stuck events can be replayed
+// ============================================
+
+// React core with useState for state management and useEffect for data fetching
+import React, { useState, useEffect, useCallback } from 'react';
+// Bootstrap components for layout, tables, filters, the payload modal, and loading indicators
+import { Container, Card, Table, Button, Badge, Form, Modal, Spinner } from 'react-bootstrap';
+// Icons for viewing and replaying events
+import { FaEye, FaRedo } from 'react-icons/fa';
+// Toast notifications for user feedback
+import { toast } from 'react-toastify';
+// API service for admin HTTP requests
+import { adminAPI } from '../../services/api';
+// Admin sidebar navigation component
+import AdminSidebar from '../../components/admin/AdminSidebar';
+
+// Badge colour for each processing status
+const statusColors = {
+  received: 'secondary',
+  processing: 'info',
+  processed: 'success',
+  ignored: 'light',
+  failed: 'danger'
+};
+
+// How long an event may stay processing before it can be replayed (matches the server)
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Whether an event can be processed again - failed, never processed, or stuck processing
+const canReplay = (event) => event.status === 'failed' || event.status === 'received' ||
+  (event.status === 'processing' && Date.now() - new Date(event.lastAttemptAt).getTime() >= STALE_PROCESSING_MS);
+
+// WebhookEvents component - lists webhook events and lets admins inspect and replay them
+const WebhookEvents = () => {
+  // Events on the current page
+  const [events, setEvents] = useState([]);
+  // Event types the server processes (for the type filter)
+  const [handledTypes, setHandledTypes] = useState([]);
+  // Loading state while fetching events
+  const [loading, setLoading] = useState(true);
+  // Status and type filters ('' for all)
+  const [statusFilter, setStatusFilter] = useState('');
+  const [typeFilter, setTypeFilter] = useState('');
+  // Pagination state with current page and total pages
+  const [pagination, setPagination] = useState({ page: 1, pages: 1 });
+  // Event whose payload is shown (null when the modal is closed)
+  const [viewingEvent, setViewingEvent] = useState(null);
+  // Event being replayed (null when none)
+  const [replayingId, setReplayingId] = useState(null);
+
+  // Fetches the current page of events matching the filters, newest first
+  const fetchEvents = useCallback(async () => {
+    try {
+      const params = { page: pagination.page, limit: 20 };
+      if (statusFilter) params.status = statusFilter;
+      if (typeFilter) params.type = typeFilter;
+      const response = await adminAPI.getWebhookEvents(params);
+      setEvents(response.data.data.events);
+      setHandledTypes(response.data.data.handledTypes);
+      setPagination(prev => ({ ...prev, pages: response.data.pagination?.pages || 1 }));
+    } catch (error) {
+      console.error('Error fetching webhook events:', error);
+      toast.error('Error loading webhook events');
+    } finally {
+      setLoading(false);
+    }
+  }, [pagination.page, statusFilter, typeFilter]);
+
+  // Fetch events on mount and whenever the page or filters change
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  // Changes a filter and goes back to the first page
+  const changeFilter = (setFilter) => (e) => {
+    setFilter(e.target.value);
+    setPagination(prev => ({ ...prev, page: 1 }));
+  };
+
+  // Loads an event's payload and opens it in the modal
+  const handleView = async (event) => {
+    try {
+      const response = await adminAPI.getWebhookEvent(event._id);
+      setViewingEvent(response.data.data.event);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error loading webhook event');
+    }
+  };
+
+  // Processes an event again after confirmation
+  const handleReplay = async (event) => {
+    if (!window.confirm(`Process the ${event.type} event ${event.eventId} again?`)) return;
+
+    setReplayingId(event._id);
+    try {
+      const response = await adminAPI.replayWebhookEvent(event._id);
+      if (response.data.data.event.status === 'failed') {
+        toast.error(response.data.message);
+      } else {
+        toast.success(response.data.message);
+      }
+      fetchEvents();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error replaying webhook event');
+    } finally {
+      setReplayingId(null);
+    }
+  };
+
+  // Show loading spinner while fetching data
+  if (loading) {
+    return (
+      <div className="admin-layout">
+        <AdminSidebar />
+        <div className="admin-content d-flex justify-content-center align-items-center">
+          <Spinner animation="border" variant="primary" />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="admin-layout">
+      <AdminSidebar />
+      <div className="admin-content">
+        <Container fluid>
+          {/* Page header with title and filters */}
+          <div className="d-flex justify-content-between align-items-center mb-4">
+            <div>
+              <h2 className="mb-1">Webhook Events</h2>
+              <p className="text-muted mb-0">Events received from the payment provider, newest first</p>
+            </div>
+            <div className="d-flex gap-2">
+              <Form.Select value={typeFilter} onChange={changeFilter(setTypeFilter)} style={{ width: '260px' }}>
+                <option value="">All event types</option>
+                {handledTypes.map(type => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </Form.Select>
+              <Form.Select value={statusFilter} onChange={changeFilter(setStatusFilter)} style={{ width: '160px' }}>
+                <option value="">All statuses</option>
+                {Object.keys(statusColors).map(status => (
+                  <option key={status} value={status} className="text-capitalize">{status}</option>
+                ))}
+              </Form.Select>
+            </div>
+          </div>
+
+          {/* Webhook events table */}
+          <Card>
+            <Card.Body className="p-0">
+              <Table responsive hover className="mb-0">
+                <thead className="bg-light">
+                  <tr>
+                    <th>Event</th>
+                    <th>Object</th>
+                    <th>Status</th>
+                    <th>Deliveries / Attempts</th>
+                    <th>Received</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {events.length > 0 ? (
+                    events.map((event) => (
+                      <tr key={event._id}>
+                        <td>
+                          <p className="mb-0 fw-semibold">{event.type}</p>
+                          <small className="text-muted"><code>{event.eventId}</code></small>
+                        </td>
+                        <td>
+                          <small className="d-block"><code>{event.objectId || 'N/A'}</code></small>
+                          {event.booking && <small className="text-muted">Booking {event.booking}</small>}
+                        </td>
+                        <td>
+                          <Badge bg={statusColors[event.status]} text={event.status === 'ignored' ? 'dark' : undefined} className="text-capitalize">
+                            {event.status}
+                          </Badge>
+                          {/* Why the last attempt failed */}
+                          {event.error && (
+                            <small className="d-block text-danger mt-1" style={{ maxWidth: '250px' }}>{event.error}</small>
+                          )}
+                          {event.replayedBy && (
+                            <small className="d-block text-muted mt-1">Replayed by {event.replayedBy.name}</small>
+                          )}
+                        </td>
+                        <td>
+                          <small>{event.deliveries} / {event.attempts}</small>
+                        </td>
+                        <td>
+                          <small>{new Date(event.createdAt).toLocaleString()}</small>
+                        </td>
+                        <td>
+                          <Button
+                            variant="outline-primary"
+                            size="sm"
+                            className="me-2"
+                            title="View payload"
+                            onClick={() => handleView(event)}
+                          >
+                            <FaEye />
+                          </Button>
+                          {canReplay(event) && (
+                            <Button
+                              variant="outline-warning"
+                              size="sm"
+                              title="Replay event"
+                              disabled={replayingId === event._id}
+                              onClick={() => handleReplay(event)}
+                            >
+                              <FaRedo />
+                            </Button>
+                          )}
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="6" className="text-center py-4 text-muted">
+                        No webhook events found
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </Table>
+            </Card.Body>
+            {/* Pagination controls */}
+            {pagination.pages > 1 && (
+              <Card.Footer className="bg-white">
+                <div className="d-flex justify-content-center gap-2">
+                  <Button
+                    variant="outline-primary"
+                    size="sm"
+                    disabled={pagination.page === 1}
+                    onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))}
+                  >
+                    Previous
+                  </Button>
+                  <span className="align-self-center">
+                    Page {pagination.page} of {pagination.pages}
+                  </span>
+                  <Button
+                    variant="outline-primary"
+                    size="sm"
+                    disabled={pagination.page === pagination.pages}
+                    onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))}
+                  >
+                    Next
+                  </Button>
+                </div>
+              </Card.Footer>
+            )}
+          </Card>
+        </Container>
+      </div>
+
+      {/* Event payload modal */}
+      <Modal show={Boolean(viewingEvent)} onHide={() => setViewingEvent(null)} size="lg">
+        <Modal.Header closeButton>
+          <Modal.Title>{viewingEvent?.type}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p className="small text-muted mb-2">
+            {viewingEvent?.eventId} from {viewingEvent?.provider}
+            {viewingEvent?.processedAt && `, processed ${new Date(viewingEvent.processedAt).toLocaleString()}`}
+          </p>
+          <pre className="bg-light p-3 rounded small mb-0" style={{ maxHeight: '60vh', overflow: 'auto' }}>
+            {JSON.stringify(viewingEvent?.payload, null, 2)}
+          </pre>
+        </Modal.Body>
+      </Modal>
+    </div>
+  );
+};
+
+// Export WebhookEvents component
+export default WebhookEvents;
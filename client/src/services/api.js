@@ -94,6 +94,10 @@ export const authAPI = {
   updateProfile: (data) => api.put('/auth/profile', data),
   // Change user password
   changePassword: (data) => api.put('/auth/password', data),
+  // Get the current user's driver's license and verification status
+  getLicense: () => api.get('/users/license'),
+  // Get an image of the current user's license as a Blob (side: front or back)
+  getLicenseImage: (side) => api.get(`/users/license/${side}`, { responseType: 'blob' }),
   // Logout current user
   logout: () => api.post('/auth/logout')
 };
@@ -123,6 +127,23 @@ export const carsAPI = {
   delete: (id) => api.delete(`/cars/${id}`)
 };
 
+// ============================================
+// LOCATIONS API ENDPOINTS
+// Pickup and drop-off branches
+// ============================================
+export const locationsAPI = {
+  // Get active locations (admins can pass { all: true } to include inactive ones)
+  getAll: (params) => api.get('/locations', { params }),
+  // Get single location by ID
+  getById: (id) => api.get(`/locations/${id}`),
+  // Admin: Create a location
+  create: (data) => api.post('/locations', data),
+  // Admin: Update a location
+  update: (id, data) => api.put(`/locations/${id}`, data),
+  // Admin: Delete a location
+  delete: (id) => api.delete(`/locations/${id}`)
+};
+
 // ============================================
 // BOOKINGS API ENDPOINTS
 // Rental reservation management
@@ -134,30 +155,66 @@ export const bookingsAPI = {
   getMyBookings: (params) => api.get('/bookings/my', { params }),
   // Get single booking by ID
   getById: (id) => api.get(`/bookings/${id}`),
+  // Get the refund the booking would receive if cancelled now
+  getCancellationQuote: (id) => api.get(`/bookings/${id}/cancellation-quote`),
   // Cancel a booking with optional reason
   cancel: (id, reason) => api.put(`/bookings/${id}/cancel`, { reason }),
+  // Preview the new price for a booking modification
+  previewModification: (id, data) => api.post(`/bookings/${id}/modify/preview`, data),
+  // Modify a booking's dates, car, or extras
+  modify: (id, data) => api.put(`/bookings/${id}`, data),
   // Calculate booking price preview
   calculatePrice: (data) => api.post('/bookings/calculate', data),
+  // Get the booking's invoice, supplementary invoices, and credit notes
+  getInvoices: (id) => api.get(`/bookings/${id}/invoices`),
+  // Download the booking's invoice (PDF)
+  getInvoicePdf: (id) => api.get(`/bookings/${id}/invoice.pdf`, { responseType: 'blob' }),
+  // Download a supplementary invoice for a later price increase (PDF)
+  getSupplementaryInvoicePdf: (id, invoiceId) => api.get(`/bookings/${id}/invoices/${invoiceId}.pdf`, { responseType: 'blob' }),
+  // Download a credit note for a refund or price decrease of the booking (PDF)
+  getCreditNotePdf: (id, noteId) => api.get(`/bookings/${id}/credit-notes/${noteId}.pdf`, { responseType: 'blob' }),
   // Admin: Get all bookings with filters
   getAll: (params) => api.get('/bookings', { params }),
-  // Admin: Update booking status
-  updateStatus: (id, status) => api.put(`/bookings/${id}/status`, { status })
+  // Admin: Update booking status with optional reason
+  updateStatus: (id, status, reason) => api.put(`/bookings/${id}/status`, { status, reason }),
+  // Admin: Get the booking's check-out and check-in inspections
+  getInspections: (id) => api.get(`/bookings/${id}/inspections`),
+  // Admin: Check the car out to the customer (starts the rental)
+  checkOut: (id, data) => api.post(`/bookings/${id}/check-out`, data),
+  // Admin: Check the returned car in (completes the rental)
+  checkIn: (id, data) => api.post(`/bookings/${id}/check-in`, data),
+  // Admin: Place or retry the security deposit hold
+  authorizeDeposit: (id) => api.post(`/bookings/${id}/deposit/authorize`),
+  // Admin: Keep part or all of the security deposit
+  captureDeposit: (id, data) => api.post(`/bookings/${id}/deposit/capture`, data),
+  // Admin: Release the security deposit hold
+  releaseDeposit: (id) => api.post(`/bookings/${id}/deposit/release`)
 };
 
 // ============================================
 // PAYMENTS API ENDPOINTS
-// Stripe payment processing
+// Payment processing through Stripe (or the mock provider in development)
 // ============================================
 export const paymentsAPI = {
-  // Create Stripe payment intent for booking
+  // Get which payment provider checkout uses ({ provider, publishableKey } or { provider, paymentMethods })
+  getConfig: () => api.get('/payments/config'),
+  // Create payment intent for booking
   createIntent: (bookingId) => api.post('/payments/create-intent', { bookingId }),
-  // Confirm payment after Stripe processing
+  // Mock provider: pay with a test payment method (what Stripe.js does for real cards)
+  mockConfirm: (paymentIntentId, paymentMethod) =>
+    api.post(`/payments/mock/${paymentIntentId}/confirm`, { paymentMethod }),
+  // Mock provider: pass or fail a 3D Secure challenge
+  mockAuthenticate: (paymentIntentId, success) =>
+    api.post(`/payments/mock/${paymentIntentId}/authenticate`, { success }),
+  // Confirm payment after the provider has processed it
   confirmPayment: (bookingId, paymentIntentId) =>
     api.post('/payments/confirm', { bookingId, paymentIntentId }),
   // Get payment status for a booking
   getStatus: (bookingId) => api.get(`/payments/${bookingId}/status`),
-  // Admin: Process refund for booking
-  refund: (bookingId) => api.post(`/payments/${bookingId}/refund`)
+  // Admin: Get a booking's refunds with the captured and refundable amounts
+  getRefunds: (bookingId) => api.get(`/payments/${bookingId}/refunds`),
+  // Admin: Refund part or all of a booking's payment ({ amount, reason, cancelBooking })
+  refund: (bookingId, data) => api.post(`/payments/${bookingId}/refund`, data)
 };
 
 // ============================================
@@ -192,12 +249,92 @@ export const adminAPI = {
   updateUser: (id, data) => api.put(`/admin/users/${id}`, data),
   // Delete a user account
   deleteUser: (id) => api.delete(`/admin/users/${id}`),
+  // Get driver's licenses for review (filter by status, default pending)
+  getLicenses: (params) => api.get('/admin/licenses', { params }),
+  // Get an image of a user's license as a Blob (side: front or back)
+  getLicenseImage: (userId, side) => api.get(`/admin/users/${userId}/license/${side}`, { responseType: 'blob' }),
+  // Approve a user's driver's license
+  verifyLicense: (userId) => api.put(`/admin/users/${userId}/license/verify`),
+  // Reject a user's driver's license with a reason shown to them
+  rejectLicense: (userId, reason) => api.put(`/admin/users/${userId}/license/reject`, { reason }),
   // Get all bookings (admin view)
   getAllBookings: (params) => api.get('/admin/bookings', { params }),
   // Get audit log entries
   getAuditLogs: (params) => api.get('/admin/audit-logs', { params }),
   // Get analytics reports
-  getReports: (params) => api.get('/admin/reports', { params })
+  getReports: (params) => api.get('/admin/reports', { params }),
+  // Get all pricing rules
+  getPricingRules: (params) => api.get('/admin/pricing-rules', { params }),
+  // Create a pricing rule
+  createPricingRule: (data) => api.post('/admin/pricing-rules', data),
+  // Update a pricing rule
+  updatePricingRule: (id, data) => api.put(`/admin/pricing-rules/${id}`, data),
+  // Delete a pricing rule
+  deletePricingRule: (id) => api.delete(`/admin/pricing-rules/${id}`),
+  // Get all promo codes
+  getPromoCodes: (params) => api.get('/admin/promo-codes', { params }),
+  // Get a promo code with its redemptions
+  getPromoCode: (id) => api.get(`/admin/promo-codes/${id}`),
+  // Create a promo code
+  createPromoCode: (data) => api.post('/admin/promo-codes', data),
+  // Update a promo code
+  updatePromoCode: (id, data) => api.put(`/admin/promo-codes/${id}`, data),
+  // Delete a promo code
+  deletePromoCode: (id) => api.delete(`/admin/promo-codes/${id}`),
+  // Get all location tax configurations
+  getTaxConfigs: () => api.get('/admin/tax-configs'),
+  // Create a tax configuration
+  createTaxConfig: (data) => api.post('/admin/tax-configs', data),
+  // Update a tax configuration
+  updateTaxConfig: (id, data) => api.put(`/admin/tax-configs/${id}`, data),
+  // Delete a tax configuration
+  deleteTaxConfig: (id) => api.delete(`/admin/tax-configs/${id}`),
+  // Get car blackouts with conflicting bookings (params: car, upcoming)
+  getBlackouts: (params) => api.get('/admin/blackouts', { params }),
+  // Create a car blackout
+  createBlackout: (data) => api.post('/admin/blackouts', data),
+  // Update a car blackout
+  updateBlackout: (id, data) => api.put(`/admin/blackouts/${id}`, data),
+  // Delete a car blackout
+  deleteBlackout: (id) => api.delete(`/admin/blackouts/${id}`),
+  // Get damage and incidental claims (filter by status, booking)
+  getClaims: (params) => api.get('/admin/claims', { params }),
+  // Create a draft claim
+  createClaim: (data) => api.post('/admin/claims', data),
+  // Update a draft or disputed claim
+  updateClaim: (id, data) => api.put(`/admin/claims/${id}`, data),
+  // Delete a draft claim
+  deleteClaim: (id) => api.delete(`/admin/claims/${id}`),
+  // Issue a claim to the customer
+  sendClaim: (id, data) => api.post(`/admin/claims/${id}/send`, data),
+  // Charge a claim to the card on file
+  collectClaim: (id) => api.post(`/admin/claims/${id}/collect`),
+  // Write off a claim
+  waiveClaim: (id, data) => api.post(`/admin/claims/${id}/waive`, data),
+  // Get all cancellation policies (plus the built-in default)
+  getCancellationPolicies: () => api.get('/admin/cancellation-policies'),
+  // Create a cancellation policy
+  createCancellationPolicy: (data) => api.post('/admin/cancellation-policies', data),
+  // Update a cancellation policy
+  updateCancellationPolicy: (id, data) => api.put(`/admin/cancellation-policies/${id}`, data),
+  // Delete a cancellation policy
+  deleteCancellationPolicy: (id) => api.delete(`/admin/cancellation-policies/${id}`),
+  // Get waitlist entries in line order (filter by status, car)
+  getWaitlist: (params) => api.get('/admin/waitlist', { params }),
+  // Remove a customer from the waitlist
+  cancelWaitlistEntry: (id) => api.put(`/admin/waitlist/${id}/cancel`),
+  // Get payment webhook events (filter by status, type, booking; paginated)
+  getWebhookEvents: (params) => api.get('/admin/webhook-events', { params }),
+  // Get a webhook event with its payload
+  getWebhookEvent: (id) => api.get(`/admin/webhook-events/${id}`),
+  // Process a failed or stuck webhook event again
+  replayWebhookEvent: (id) => api.post(`/admin/webhook-events/${id}/replay`),
+  // Get payment ledger transactions (filter by from, to, type, booking; paginated)
+  getTransactions: (params) => api.get('/admin/transactions', { params }),
+  // Get daily ledger reconciliation reports (filter by status; paginated)
+  getReconciliations: (params) => api.get('/admin/reconciliations', { params }),
+  // Check a day of the ledger against the payment provider now
+  runReconciliation: (date) => api.post('/admin/reconciliations', { date })
 };
 
 // ============================================
@@ -206,5 +343,44 @@ export const adminAPI = {
 // ============================================
 export const extrasAPI = {
   // Get all available extras
-  getAll: () => api.get('/extras')
+  getAll: () => api.get('/extras'),
+  // Get units of each extra still free at a pickup location for the dates
+  getAvailability: (params) => api.get('/extras/availability', { params })
+};
+
+// ============================================
+// NOTIFICATIONS API ENDPOINTS
+// In-app notifications for the current user
+// ============================================
+export const notificationsAPI = {
+  // Get the current user's notifications and unread count
+  getAll: (params) => api.get('/notifications', { params }),
+  // Mark a notification as read
+  markRead: (id) => api.put(`/notifications/${id}/read`),
+  // Mark all notifications as read
+  markAllRead: () => api.put('/notifications/read-all')
+};
+
+// ============================================
+// CLAIMS API ENDPOINTS
+// Damage and incidental charges raised against the current user's bookings
+// ============================================
+export const claimsAPI = {
+  // Get the current user's claims (filter by booking)
+  getMine: (params) => api.get('/claims/my', { params }),
+  // Dispute a claim
+  dispute: (id, reason) => api.put(`/claims/${id}/dispute`, { reason })
+};
+
+// ============================================
+// WAITLIST API ENDPOINTS
+// Waiting for a fully booked car (or any car of its type) to free up
+// ============================================
+export const waitlistAPI = {
+  // Join the waitlist ({ carId, startDate, endDate, anyOfType } or { carType, locationId, startDate, endDate })
+  join: (data) => api.post('/waitlist', data),
+  // Get the current user's waitlist entries
+  getMine: () => api.get('/waitlist/my'),
+  // Leave the waitlist
+  cancel: (id) => api.put(`/waitlist/${id}/cancel`)
 };
@@ -0,0 +1,23 @@
+// ============================================
+// CAR TYPES
+// The types a car can have, loaded from the server (Car.type) so the admin
+// pages that scope pricing rules and promo codes to types stay in step with it
+// ============================================
+
+import { carsAPI } from '../services/api';
+
+// Request shared by every page that needs the types (made on first use)
+let carTypesRequest = null;
+
+// Every type a car can have - retried on the next call if the request fails
+export const fetchCarTypes = () => {
+  if (!carTypesRequest) {
+    carTypesRequest = carsAPI.getTypes()
+      .then(response => response.data.data.allTypes)
+      .catch((error) => {
+        carTypesRequest = null;
+        throw error;
+      });
+  }
+  return carTypesRequest;
+};
@@ -0,0 +1,23 @@
+// ============================================
+// CLAIM DISPLAY HELPERS
+// Labels and badge colours for damage and incidental claims,
+// shared by the admin claims page and the customer's booking history
+// ============================================
+
+// What a claim was raised for
+export const claimCategoryLabels = {
+  damage: 'Damage',
+  cleaning: 'Cleaning',
+  toll: 'Toll',
+  traffic_fine: 'Traffic fine',
+  other: 'Other'
+};
+
+// Badge colour for each claim status
+export const claimStatusColors = {
+  draft: 'secondary',
+  sent: 'warning',
+  disputed: 'danger',
+  paid: 'success',
+  waived: 'info'
+};
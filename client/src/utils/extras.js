@@ -0,0 +1,35 @@
+// ============================================
+// EXTRA DISPLAY HELPERS
+// Prices, labels, and totals for extras - shown while choosing them at
+// checkout and for the extras saved on a booking (confirmation page,
+// booking history, and the admin bookings page)
+// ============================================
+
+// Extra's price with its pricing unit (e.g. "$10/day", "$45 per rental", "$12/day, max $60")
+export const formatExtraPrice = (extra) => {
+  switch (extra.pricingMode) {
+    case 'per_rental':
+      return `$${extra.flatPrice} per rental`;
+    case 'per_day_capped':
+      return `$${extra.pricePerDay}/day, max $${extra.priceCap}`;
+    default:
+      return `$${extra.pricePerDay}/day`;
+  }
+};
+
+// Cost of one unit of an extra for a rental of the given length (mirrors the server's pricing)
+export const getExtraPrice = (extra, totalDays) => {
+  if (extra.pricingMode === 'per_rental') return extra.flatPrice;
+  const perDay = extra.pricePerDay * totalDays;
+  return extra.pricingMode === 'per_day_capped' ? Math.min(perDay, extra.priceCap) : perDay;
+};
+
+// Extra name with the number of units booked
+export const formatExtraName = (extra) => (
+  extra.quantity > 1 ? `${extra.name} x${extra.quantity}` : extra.name
+);
+
+// Total charged for an extra (bookings made before quantities only stored the daily rate)
+export const getExtraAmount = (extra, totalDays) => (
+  extra.amount ?? getExtraPrice(extra, totalDays) * (extra.quantity || 1)
+);
@@ -0,0 +1,24 @@
+// ============================================
+// INVOICE HELPERS
+// Which bookings have an invoice, and saving invoice and credit note PDFs.
+// The PDFs need the user's token, so they are fetched as a Blob and saved
+// from an object URL rather than linked
+// ============================================
+
+// Payment statuses of a booking that has an invoice (mirrors the server)
+export const INVOICED_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+// Whether a booking has been paid and so has an invoice
+export const hasInvoice = (booking) => INVOICED_PAYMENT_STATUSES.includes(booking?.paymentStatus);
+
+// Save a PDF from an API request, named after the document number the server sends
+export const downloadPdf = async (request, fallbackName) => {
+  const response = await request;
+  const match = /filename="([^"]+)"/.exec(response.headers?.['content-disposition'] || '');
+  const url = window.URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = match ? match[1] : fallbackName;
+  link.click();
+  window.URL.revokeObjectURL(url);
+};
@@ -0,0 +1,25 @@
+// ============================================
+// DRIVER'S LICENSE DISPLAY HELPERS
+// Labels and badge colours for license verification, shared by the
+// profile page, checkout, and the admin verification queue
+// ============================================
+
+// Label for each verification status
+export const licenseStatusLabels = {
+  none: 'Not provided',
+  pending: 'Awaiting verification',
+  verified: 'Verified',
+  rejected: 'Rejected'
+};
+
+// Badge colour for each verification status
+export const licenseStatusColors = {
+  none: 'secondary',
+  pending: 'warning',
+  verified: 'success',
+  rejected: 'danger'
+};
+
+// Whether a license lets the user book a rental ending on the given date (mirrors the server's check)
+export const isLicenseValidUntil = (license, until) =>
+  license?.status === 'verified' && new Date(license.expiresAt) >= new Date(until);
@@ -0,0 +1,84 @@
+// ============================================
+// RENTAL TIME HELPERS
+// Pickup and return times are wall-clock times at the pickup location.
+// Date pickers work in those wall-clock times, and the server reads
+// times sent without an offset in the location's timezone
+// ============================================
+
+// Pads a number to two digits
+const pad = (n) => String(n).padStart(2, '0');
+
+// Time of day of a picker date as HH:mm
+const timeOf = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+// Formats a picker date for the API as a wall-clock time without an offset
+// Returns e.g. "2024-06-01T10:00"
+export const toRentalTime = (date) => (
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${timeOf(date)}`
+);
+
+// Converts a stored booking time to a picker date showing the location's wall-clock time
+// Returns the picker date
+export const toPickerDate = (value, timezone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || 'UTC',
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(new Date(value)).forEach(({ type, value: part }) => {
+    parts[type] = parseInt(part, 10);
+  });
+  return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+};
+
+// Formats a booking time in its location's timezone (e.g. "Jun 1, 2024, 10:00 AM PDT")
+// options are extra Intl.DateTimeFormat options
+// Returns the formatted time
+export const formatRentalTime = (value, timezone, options = {}) => (
+  new Date(value).toLocaleString('en-US', {
+    timeZone: timezone || 'UTC',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short',
+    ...options
+  })
+);
+
+// Finds a location's opening hours for a picker date's day of the week
+// Returns the hours entry, or null when closed that day
+export const getOpeningHours = (location, date) => {
+  const hours = location.openingHours.find(h => h.dayOfWeek === date.getDay());
+  return hours && !hours.closed ? hours : null;
+};
+
+// Checks a location is open at some point on a picker date's day
+// Locations without opening hours are always open
+export const isOpenOn = (location, date) => (
+  !location?.openingHours?.length || Boolean(getOpeningHours(location, date))
+);
+
+// Checks a location is open at a picker date's time
+// Locations without opening hours are always open
+export const isOpenAt = (location, date) => {
+  if (!location?.openingHours?.length) return true;
+  const hours = getOpeningHours(location, date);
+  const time = timeOf(date);
+  return Boolean(hours) && time >= hours.open && time <= hours.close;
+};
+
+// Moves a picker date still at midnight (a day picked without a time) to the
+// location's opening time that day, or 10:00 when it has no opening hours
+// Returns the date with a time of day
+export const withOpeningTime = (location, date) => {
+  if (!date || date.getHours() !== 0 || date.getMinutes() !== 0) return date;
+  const hours = location?.openingHours?.length ? getOpeningHours(location, date) : null;
+  const [hour, minute] = hours ? hours.open.split(':').map(Number) : [10, 0];
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour, minute);
+};
@@ -0,0 +1,18 @@
+// ============================================
+// STRIPE.JS LOADER
+// Loads Stripe.js once for every page that takes card payments
+// (checkout and the extra cost of a booking modification)
+// ============================================
+
+// Stripe integration - loads Stripe.js library
+import { loadStripe } from '@stripe/stripe-js';
+
+// Stripe.js, loaded once on first use with the server's publishable key
+// Falls back to the build-time key, then a placeholder key for development
+let stripePromise = null;
+export const getStripe = (publishableKey) => {
+  if (!stripePromise) {
+    stripePromise = loadStripe(publishableKey || process.env.REACT_APP_STRIPE_PUBLISHABLE_KEY || 'pk_test_placeholder');
+  }
+  return stripePromise;
+};
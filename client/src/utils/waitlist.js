@@ -0,0 +1,42 @@
+// ============================================
+// WAITLIST DISPLAY HELPERS
+// Labels, badge colours, and booking links for waitlist entries,
+// shared by the profile page and the admin waitlist page
+// ============================================
+
+import { toRentalTime, toPickerDate } from './rentalTime';
+
+// Label for each waitlist status
+export const waitlistStatusLabels = {
+  waiting: 'Waiting',
+  offered: 'Car held for you',
+  booked: 'Booked',
+  lapsed: 'Offer expired',
+  expired: 'No car freed up',
+  cancelled: 'Cancelled'
+};
+
+// Badge colour for each waitlist status
+export const waitlistStatusColors = {
+  waiting: 'info',
+  offered: 'success',
+  booked: 'primary',
+  lapsed: 'secondary',
+  expired: 'secondary',
+  cancelled: 'secondary'
+};
+
+// Statuses of entries still in line (or holding a car)
+export const openWaitlistStatuses = ['waiting', 'offered'];
+
+// What an entry is waiting for, e.g. "Toyota Camry" or "Any SUV"
+export const describeWaitlistEntry = (entry) => (
+  entry.car ? `${entry.car.brand} ${entry.car.model}` : `Any ${entry.carType === 'suv' ? 'SUV' : entry.carType}`
+);
+
+// Link to book the car held by an offer, with the waitlisted dates filled in
+export const offerBookingLink = (entry) => {
+  const start = toRentalTime(toPickerDate(entry.startDate, entry.timezone));
+  const end = toRentalTime(toPickerDate(entry.endDate, entry.timezone));
+  return `/cars/${entry.offer.car._id || entry.offer.car}?start=${encodeURIComponent(start)}&end=${encodeURIComponent(end)}`;
+};
@@ -0,0 +1,121 @@
+// ============================================
+// EXPRESS APPLICATION
+// Middleware and routes of the API. server.js connects the database, starts
+// the background jobs, and listens; tests load the app on its own
+// ============================================
+
+// Express.js framework for building the REST API server
+const express = require('express');
+// CORS middleware for handling cross-origin requests from the React frontend
+const cors = require('cors');
+// Helmet middleware for securing HTTP headers
+const helmet = require('helmet');
+// Morgan middleware for HTTP request logging in development
+const morgan = require('morgan');
+// Rate limiting middleware to prevent brute force and DDoS attacks
+const rateLimit = require('express-rate-limit');
+// Node.js path module for handling file paths
+const path = require('path');
+
+// Global error handling middleware
+const errorHandler = require('./middleware/errorHandler');
+
+// Route handlers for different API endpoints
+const authRoutes = require('./routes/authRoutes');       // Authentication routes (login, register, profile)
+const carRoutes = require('./routes/carRoutes');         // Car CRUD and search routes
+const bookingRoutes = require('./routes/bookingRoutes'); // Booking management routes
+const paymentRoutes = require('./routes/paymentRoutes'); // Payment processing routes
+const reviewRoutes = require('./routes/reviewRoutes');   // Car review routes
+const adminRoutes = require('./routes/adminRoutes');     // Admin dashboard and management routes
+const userRoutes = require('./routes/userRoutes');       // User profile and stats routes
+const extraRoutes = require('./routes/extraRoutes');     // Booking extras (insurance, GPS, etc.) routes
+const locationRoutes = require('./routes/locationRoutes'); // Pickup/drop-off location routes
+const notificationRoutes = require('./routes/notificationRoutes'); // In-app notification routes
+const claimRoutes = require('./routes/claimRoutes');     // Customer damage/incidental claim routes
+const waitlistRoutes = require('./routes/waitlistRoutes'); // Customer waitlist routes
+
+// Create Express application instance
+const app = express();
+
+// Apply Helmet middleware for security headers (XSS protection, etc.)
+app.use(helmet());
+
+// Rate limiter configuration to prevent API abuse
+const limiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // Time window: 15 minutes in milliseconds
+  max: 100,                  // Maximum requests per IP per window
+  message: {
+    success: false,
+    message: 'Too many requests, please try again later.'
+  }
+});
+// Apply rate limiting to all API routes
+app.use('/api', limiter);
+
+// CORS configuration to allow requests from the React frontend
+app.use(cors({
+  origin: process.env.CLIENT_URL || 'http://localhost:3000', // Allowed origin
+  credentials: true,                                          // Allow cookies
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],        // Allowed HTTP methods
+  allowedHeaders: ['Content-Type', 'Authorization']          // Allowed headers
+}));
+
+// Parse incoming JSON request bodies with a 10MB limit
+// Payment webhooks are skipped - their signature is checked against the raw body
+const jsonParser = express.json({ limit: '10mb' });
+app.use((req, res, next) => (req.path === '/api/payments/webhook' ? next() : jsonParser(req, res, next)));
+// Parse URL-encoded request bodies (form submissions)
+app.use(express.urlencoded({ extended: true }));
+
+// Enable HTTP request logging in development mode only
+if (process.env.NODE_ENV === 'development') {
+  app.use(morgan('dev'));
+}
+
+// Mount API route handlers at their respective paths
+app.use('/api/auth', authRoutes);       // /api/auth/* - Authentication endpoints
+app.use('/api/cars', carRoutes);        // /api/cars/* - Car management endpoints
+app.use('/api/bookings', bookingRoutes);// /api/bookings/* - Booking endpoints
+app.use('/api/payments', paymentRoutes);// /api/payments/* - Payment endpoints
+app.use('/api/reviews', reviewRoutes);  // /api/reviews/* - Review endpoints
+app.use('/api/admin', adminRoutes);     // /api/admin/* - Admin-only endpoints
+app.use('/api/users', userRoutes);      // /api/users/* - User profile endpoints
+app.use('/api/extras', extraRoutes);    // /api/extras/* - Booking extras endpoints
+app.use('/api/locations', locationRoutes); // /api/locations/* - Pickup/drop-off location endpoints
+app.use('/api/notifications', notificationRoutes); // /api/notifications/* - In-app notification endpoints
+app.use('/api/claims', claimRoutes);    // /api/claims/* - Customer claim endpoints
+app.use('/api/waitlist', waitlistRoutes); // /api/waitlist/* - Customer waitlist endpoints
+
+// Health check endpoint for monitoring server status
+app.get('/api/health', (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'Server is running',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Serve React build files in production mode
+if (process.env.NODE_ENV === 'production') {
+  // Serve static files from the React build directory
+  app.use(express.static(path.join(__dirname, '../client/build')));
+
+  // Handle React Router - serve index.html for all non-API routes
+  app.get('*', (req, res) => {
+    res.sendFile(path.resolve(__dirname, '../client/build', 'index.html'));
+  });
+}
+
+// 404 handler for undefined routes
+app.use((req, res, next) => {
+  res.status(404).json({
+    success: false,
+    message: `Route ${req.originalUrl} not found`
+  });
+});
+
+// Global error handler middleware (must be last)
+app.use(errorHandler);
+
+// Export the app for server.js and tests
+module.exports = app;
@@ -0,0 +1,140 @@
+// ============================================
+// BOOKING CONFIGURATION
+// Deployment-specific booking settings read from environment variables
+// ============================================
+
+// Minutes an unpaid pending booking holds its car before expiring
+const holdMinutes = parseInt(process.env.BOOKING_HOLD_MINUTES, 10) || 15;
+
+// How often the background sweeper looks for expired holds (in seconds)
+const holdSweepIntervalSeconds = parseInt(process.env.HOLD_SWEEP_INTERVAL_SECONDS, 10) || 60;
+
+// Fee for returning a car to a different location than it was picked up from
+// (locations can override this with their own one-way fee)
+const oneWayFee = parseFloat(process.env.ONE_WAY_FEE) || 75;
+
+// Minutes a return can run past a 24-hour block before another day is billed
+// (0 bills every minute past a block)
+const gracePeriodMinutes = parseInt(process.env.RETURN_GRACE_MINUTES ?? 30, 10);
+
+// Timezone for cars that have not been assigned a location
+const defaultTimezone = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+// Minutes a car is kept free before and after each booking for cleaning and inspection
+const turnaroundMinutes = parseInt(process.env.TURNAROUND_MINUTES ?? 60, 10);
+
+// Parse a per-car-type setting such as "luxury:120,van:90" into { luxury: 120, van: 90 }
+// Entries whose value isn't a number are ignored
+const parseByType = (value, parse) => Object.fromEntries(
+  (value || '')
+    .split(',')
+    .map(entry => entry.split(':').map(part => part.trim()))
+    .filter(([type, amount]) => type && !Number.isNaN(parse(amount)))
+    .map(([type, amount]) => [type.toLowerCase(), parse(amount)])
+);
+
+// Length of the time slots the reservation ledger claims cars in (minutes)
+// Pickup and return times on slot boundaries are locked exactly; others are
+// rounded out to the slots they fall in. Run the reservation migration after changing it
+const reservationSlotMinutes = parseInt(process.env.RESERVATION_SLOT_MINUTES, 10) || 30;
+
+// Per-type overrides of the turnaround buffer, e.g. "luxury:120,van:90"
+// (cars can override both with their own turnaroundMinutes)
+const turnaroundMinutesByType = parseByType(process.env.TURNAROUND_MINUTES_BY_TYPE, (v) => parseInt(v, 10));
+
+// Miles included per billable day before excess mileage is charged
+// (0 = unlimited mileage; cars can override this with their own allowance)
+const mileageAllowancePerDay = parseInt(process.env.MILEAGE_ALLOWANCE_PER_DAY ?? 200, 10);
+
+// Charge per mile driven beyond the mileage allowance
+const excessMileageRate = parseFloat(process.env.EXCESS_MILEAGE_RATE ?? 0.25);
+
+// Charge per percentage point of fuel (or battery charge) missing at return
+const refuelChargePerPercent = parseFloat(process.env.REFUEL_CHARGE_PER_PERCENT ?? 1);
+
+// Minutes a return can run past its end time before a late fee is charged
+const lateFeeGraceMinutes = parseInt(process.env.LATE_FEE_GRACE_MINUTES ?? 30, 10);
+
+// Late fees are charged per started hour or per started day past the end time
+const lateFeeUnit = process.env.LATE_FEE_UNIT === 'day' ? 'day' : 'hour';
+
+// Late fee charged per late hour (or day, see LATE_FEE_UNIT)
+const lateFeeRate = parseFloat(process.env.LATE_FEE_RATE ?? 15);
+
+// How often the overdue monitor looks for rentals past their return time (in seconds)
+const overdueCheckIntervalSeconds = parseInt(process.env.OVERDUE_CHECK_INTERVAL_SECONDS, 10) || 300;
+
+// Refundable security deposit authorized on the customer's card at pickup (0 = no deposit)
+const depositAmount = parseFloat(process.env.DEPOSIT_AMOUNT ?? 250);
+
+// Per-type deposit amounts, e.g. "luxury:1000,sports:750,economy:150"
+const depositAmountByType = parseByType(process.env.DEPOSIT_AMOUNT_BY_TYPE, parseFloat);
+
+// Days a card authorization stays valid before the bank releases it (7 for most cards on Stripe)
+const depositAuthorizationDays = parseInt(process.env.DEPOSIT_AUTHORIZATION_DAYS ?? 7, 10);
+
+// Hours before an authorization expires that the deposit is re-authorized
+const depositReauthLeadHours = parseInt(process.env.DEPOSIT_REAUTH_LEAD_HOURS ?? 24, 10);
+
+// How often the deposit job looks for authorizations about to expire (in seconds)
+const depositReauthIntervalSeconds = parseInt(process.env.DEPOSIT_REAUTH_INTERVAL_SECONDS, 10) || 3600;
+
+// Youngest a driver can be to rent a car, with per-type overrides, e.g. "luxury:25,sports:25"
+const driverMinAge = parseInt(process.env.DRIVER_MIN_AGE ?? 21, 10);
+const driverMinAgeByType = parseByType(process.env.DRIVER_MIN_AGE_BY_TYPE, (v) => parseInt(v, 10));
+
+// Years a driver must have held a license, with per-type overrides, e.g. "luxury:3,sports:3"
+const minYearsLicensed = parseInt(process.env.MIN_YEARS_LICENSED ?? 1, 10);
+const minYearsLicensedByType = parseByType(process.env.MIN_YEARS_LICENSED_BY_TYPE, (v) => parseInt(v, 10));
+
+// Drivers younger than this pay the young-driver surcharge (per driver per day)
+const youngDriverAge = parseInt(process.env.YOUNG_DRIVER_AGE ?? 25, 10);
+const youngDriverSurcharge = parseFloat(process.env.YOUNG_DRIVER_SURCHARGE ?? 20);
+
+// Daily fee for each driver added besides the primary driver, and how many can be added
+const additionalDriverFee = parseFloat(process.env.ADDITIONAL_DRIVER_FEE ?? 15);
+const maxAdditionalDrivers = parseInt(process.env.MAX_ADDITIONAL_DRIVERS ?? 3, 10);
+
+// Minutes a waitlisted customer has to book a car offered to them before it goes to the next in line
+const waitlistOfferMinutes = parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 120;
+
+// How often lapsed waitlist offers and past waitlist entries are swept (in seconds)
+const waitlistSweepIntervalSeconds = parseInt(process.env.WAITLIST_SWEEP_INTERVAL_SECONDS, 10) || 60;
+
+// Most open waitlist entries a customer can have at once
+const maxWaitlistEntries = parseInt(process.env.MAX_WAITLIST_ENTRIES, 10) || 5;
+
+// Export booking settings for use in controllers and jobs
+module.exports = {
+  holdMinutes,              // Hold TTL for unpaid bookings
+  holdSweepIntervalSeconds, // Sweeper run interval
+  oneWayFee,                // Default one-way drop-off fee
+  gracePeriodMinutes,       // Late return grace period
+  defaultTimezone,          // Timezone for cars without a location
+  turnaroundMinutes,        // Default buffer between bookings
+  turnaroundMinutesByType,  // Buffer per car type
+  reservationSlotMinutes,   // Reservation ledger slot length
+  mileageAllowancePerDay,   // Included miles per day
+  excessMileageRate,        // Excess mileage charge per mile
+  refuelChargePerPercent,   // Refuel charge per missing percent
+  lateFeeGraceMinutes,      // Late return grace before fees apply
+  lateFeeUnit,              // 'hour' or 'day'
+  lateFeeRate,              // Late fee per hour or day
+  overdueCheckIntervalSeconds, // Overdue monitor run interval
+  depositAmount,            // Default security deposit
+  depositAmountByType,      // Security deposit per car type
+  depositAuthorizationDays, // Lifetime of a deposit authorization
+  depositReauthLeadHours,   // Re-authorize this long before expiry
+  depositReauthIntervalSeconds, // Deposit job run interval
+  driverMinAge,             // Default minimum driver age
+  driverMinAgeByType,       // Minimum driver age per car type
+  minYearsLicensed,         // Default years a license must be held
+  minYearsLicensedByType,   // Years licensed per car type
+  youngDriverAge,           // Age below which the surcharge applies
+  youngDriverSurcharge,     // Young-driver surcharge per day
+  additionalDriverFee,      // Additional driver fee per day
+  maxAdditionalDrivers,     // Additional drivers allowed per booking
+  waitlistOfferMinutes,     // How long a waitlist offer holds the car
+  waitlistSweepIntervalSeconds, // Waitlist sweeper run interval
+  maxWaitlistEntries        // Open waitlist entries per customer
+};
@@ -0,0 +1,28 @@
+// ============================================
+// INVOICE CONFIGURATION
+// Seller details printed on invoices and credit notes, and the prefixes of
+// their sequential numbers
+// ============================================
+
+// Business issuing the documents; the address is split into lines on "|"
+const company = {
+  name: process.env.INVOICE_COMPANY_NAME || 'Car Booking',
+  address: (process.env.INVOICE_COMPANY_ADDRESS || '').split('|').map(line => line.trim()).filter(Boolean),
+  email: process.env.INVOICE_COMPANY_EMAIL || '',
+  taxId: process.env.INVOICE_TAX_ID || ''
+};
+
+// Number prefixes - invoices and credit notes are numbered in separate sequences
+const invoicePrefix = process.env.INVOICE_NUMBER_PREFIX || 'INV-';
+const creditNotePrefix = process.env.CREDIT_NOTE_NUMBER_PREFIX || 'CN-';
+
+// Currency amounts are shown in
+const currency = process.env.INVOICE_CURRENCY || 'USD';
+
+// Export invoice settings
+module.exports = {
+  company,          // Seller name, address lines, email, and tax ID
+  invoicePrefix,    // Invoice number prefix
+  creditNotePrefix, // Credit note number prefix
+  currency          // Currency code
+};
@@ -0,0 +1,50 @@
+// ============================================
+// PAYMENT PROVIDER CONFIGURATION
+// Payments go through Stripe, or through an in-process mock provider that
+// needs no keys or network access and plays out test scenarios (success,
+// decline, 3D Secure, delayed webhook) deterministically for development
+// ============================================
+
+// Which provider takes payments: 'stripe' (default) or 'mock'
+const provider = process.env.PAYMENT_PROVIDER === 'mock' ? 'mock' : 'stripe';
+
+// The mock never moves real money, so it must not take payments in production
+if (provider === 'mock' && process.env.NODE_ENV === 'production') {
+  throw new Error('PAYMENT_PROVIDER=mock cannot be used in production');
+}
+
+// Stripe keys - the publishable key is handed to the client for Stripe.js
+const stripe = {
+  secretKey: process.env.STRIPE_SECRET_KEY,
+  publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
+  webhookSecret: process.env.STRIPE_WEBHOOK_SECRET
+};
+
+// Mock provider settings: where it delivers its signed webhooks, the secret
+// it signs them with, how long after a change they are sent (milliseconds),
+// how long the delayed-webhook scenario keeps a payment processing, and the
+// processing fee it takes from each payment (percent plus a fixed amount in cents)
+const mock = {
+  webhookUrl: process.env.MOCK_WEBHOOK_URL || `http://localhost:${process.env.PORT || 5000}/api/payments/webhook`,
+  webhookSecret: process.env.MOCK_WEBHOOK_SECRET || 'whsec_mock',
+  webhookDelayMs: parseInt(process.env.MOCK_WEBHOOK_DELAY_MS ?? 500, 10),
+  processingDelayMs: parseInt(process.env.MOCK_PROCESSING_DELAY_MS ?? 10000, 10),
+  feePercent: parseFloat(process.env.MOCK_FEE_PERCENT ?? 2.9),
+  feeFixedCents: parseInt(process.env.MOCK_FEE_FIXED_CENTS ?? 30, 10)
+};
+
+// Ledger reconciliation: how often the ledger is checked against the
+// provider's records (seconds), and how many past days (UTC) each run checks -
+// days are checked again until late webhooks have had time to arrive
+const reconciliation = {
+  intervalSeconds: parseInt(process.env.RECONCILIATION_INTERVAL_SECONDS, 10) || 3600,
+  lookbackDays: parseInt(process.env.RECONCILIATION_LOOKBACK_DAYS, 10) || 3
+};
+
+// Export payment settings
+module.exports = {
+  provider,      // 'stripe' or 'mock'
+  stripe,        // Stripe keys
+  mock,          // Mock provider settings
+  reconciliation // Ledger reconciliation schedule
+};
@@ -0,0 +1,36 @@
+// ============================================
+// FILE STORAGE CONFIGURATION
+// Uploaded documents (e.g. driver's license images) are kept on local disk
+// or in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, ...)
+// ============================================
+
+// Path utilities for the default upload directory
+const path = require('path');
+
+// Where uploads are stored: 'local' (default) or 's3'
+const driver = process.env.STORAGE_DRIVER === 's3' ? 's3' : 'local';
+
+// Directory for local uploads (kept out of any public static folder)
+const uploadDir = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+
+// S3-compatible bucket settings; the endpoint is only needed for non-AWS providers,
+// which usually also need path-style addressing
+const s3 = {
+  bucket: process.env.S3_BUCKET,
+  region: process.env.S3_REGION || 'us-east-1',
+  endpoint: process.env.S3_ENDPOINT || undefined,
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+};
+
+// Largest upload accepted, in megabytes
+const maxUploadMb = parseFloat(process.env.MAX_UPLOAD_MB ?? 5);
+
+// Export storage settings
+module.exports = {
+  driver,      // 'local' or 's3'
+  uploadDir,   // Local upload directory
+  s3,          // S3-compatible bucket settings
+  maxUploadMb  // Upload size limit
+};
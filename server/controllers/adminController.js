@@ -8,6 +8,12 @@ const Booking = require('../models/Booking');
 const Review = require('../models/Review');
 // AuditLog model for viewing system audit trails
 const AuditLog = require('../models/AuditLog');
+// Transaction model - revenue comes from the payment ledger
+const Transaction = require('../models/Transaction');
+// Paid payment statuses and a booking's takings net of refunds
+const { PAID_PAYMENT_STATUSES, netPaidExpression } = require('../utils/refunds');
+// Ledger totals (money taken, refunded, and paid in fees) and revenue
+const { LEDGER_TOTALS, revenueExpression } = require('../utils/ledger');
 // Async handler to catch errors and pass to error middleware
 const { asyncHandler } = require('../middleware/errorHandler');
 // Audit logging utility for tracking admin actions
@@ -28,37 +34,44 @@ const getDashboardStats = asyncHandler(async (req, res) => {
     { $group: { _id: '$status', count: { $sum: 1 } } }
   ]);
 
-  // Calculate total revenue and average booking value from paid bookings
-  const revenueStats = await Booking.aggregate([
-    { $match: { paymentStatus: 'paid' } },
+  // Total revenue from the payment ledger - every payment taken, less refunds
+  const revenueStats = await Transaction.aggregate([
+    { $group: { _id: null, ...LEDGER_TOTALS } },
     {
-      $group: {
-        _id: null,
-        totalRevenue: { $sum: '$totalPrice' },
-        avgBookingValue: { $avg: '$totalPrice' }
+      $addFields: {
+        revenue: revenueExpression,
+        refunds: { $round: ['$refunds', 2] },
+        processingFees: { $round: ['$processingFees', 2] }
       }
     }
   ]);
 
-  // Get monthly revenue breakdown for current year (for charts)
+  // Average value of paid bookings, less refunds
+  const bookingValueStats = await Booking.aggregate([
+    { $match: { paymentStatus: { $in: PAID_PAYMENT_STATUSES } } },
+    { $group: { _id: null, avgBookingValue: { $avg: netPaidExpression } } }
+  ]);
+
+  // Get monthly revenue breakdown for current year from the ledger (for charts)
   const currentYear = new Date().getFullYear();
-  const monthlyRevenue = await Booking.aggregate([
+  const monthlyRevenue = await Transaction.aggregate([
     {
       $match: {
-        paymentStatus: 'paid',
-        createdAt: {
+        occurredAt: {
           $gte: new Date(`${currentYear}-01-01`),
-          $lte: new Date(`${currentYear}-12-31`)
+          $lt: new Date(`${currentYear + 1}-01-01`)
         }
       }
     },
     {
       $group: {
-        _id: { $month: '$createdAt' },
-        revenue: { $sum: '$totalPrice' },
-        count: { $sum: 1 }
+        _id: { $month: '$occurredAt' },
+        ...LEDGER_TOTALS,
+        // Payments taken (charges, deposit captures, and adjustments)
+        count: { $sum: { $cond: [{ $eq: ['$creditAccount', 'revenue'] }, 1, 0] } }
       }
     },
+    { $project: { revenue: revenueExpression, refunds: { $round: ['$refunds', 2] }, count: 1 } },
     { $sort: { _id: 1 } }
   ]);
 
@@ -69,6 +82,13 @@ const getDashboardStats = asyncHandler(async (req, res) => {
     .sort('-createdAt')
     .limit(5);
 
+  // Active rentals past their return time, longest overdue first
+  const overdueBookings = await Booking.find({ status: 'active', endDate: { $lt: new Date() } })
+    .populate('user', 'name email phone')
+    .populate('car', 'brand model licensePlate')
+    .select('user car endDate timezone overdueAt')
+    .sort('endDate');
+
   // Get top 5 most booked cars
   const popularCars = await Booking.aggregate([
     { $match: { status: { $ne: 'cancelled' } } },
@@ -109,12 +129,15 @@ const getDashboardStats = asyncHandler(async (req, res) => {
         totalCars,
         availableCars,
         totalBookings,
-        totalRevenue: revenueStats[0]?.totalRevenue || 0,
-        avgBookingValue: Math.round(revenueStats[0]?.avgBookingValue || 0)
+        totalRevenue: revenueStats[0]?.revenue || 0,
+        totalRefunds: revenueStats[0]?.refunds || 0,
+        processingFees: revenueStats[0]?.processingFees || 0,
+        avgBookingValue: Math.round(bookingValueStats[0]?.avgBookingValue || 0)
       },
       bookingsByStatus,
       monthlyRevenue,
       recentBookings,
+      overdueBookings,
       popularCars
     }
   });
@@ -327,21 +350,60 @@ const getReports = asyncHandler(async (req, res) => {
   // Generate report based on requested type
   switch (type) {
     case 'revenue':
-      // Daily revenue report - sum revenue by date
-      report = await Booking.aggregate([
+      // Daily revenue report from the payment ledger - money taken less
+      // refunds by the day it moved, split into net rental revenue and the
+      // taxes and location fees collected with each booking's own payment
+      report = await Transaction.aggregate([
         {
           $match: {
-            paymentStatus: 'paid',
-            ...(Object.keys(dateFilter).length && { createdAt: dateFilter })
+            ...(Object.keys(dateFilter).length && { occurredAt: dateFilter })
+          }
+        },
+        {
+          // Join with bookings for the taxes and fees in their price
+          $lookup: {
+            from: 'bookings',
+            localField: 'booking',
+            foreignField: '_id',
+            as: 'bookingDetails'
+          }
+        },
+        { $unwind: { path: '$bookingDetails', preserveNullAndEmptyArrays: true } },
+        {
+          $addFields: {
+            isBookingPayment: {
+              $and: [
+                { $eq: ['$type', 'charge'] },
+                { $eq: ['$paymentIntentId', '$bookingDetails.paymentIntentId'] }
+              ]
+            }
           }
         },
         {
           $group: {
-            _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
-            revenue: { $sum: '$totalPrice' },
-            bookings: { $sum: 1 }
+            _id: { $dateToString: { format: '%Y-%m-%d', date: '$occurredAt' } },
+            ...LEDGER_TOTALS,
+            tax: { $sum: { $cond: ['$isBookingPayment', { $ifNull: ['$bookingDetails.pricing.taxAmount', 0] }, 0] } },
+            fees: { $sum: { $cond: ['$isBookingPayment', { $ifNull: ['$bookingDetails.pricing.feesAmount', 0] }, 0] } },
+            bookings: { $sum: { $cond: ['$isBookingPayment', 1, 0] } }
+          }
+        },
+        {
+          $addFields: {
+            revenue: revenueExpression,
+            refunds: { $round: ['$refunds', 2] },
+            processingFees: { $round: ['$processingFees', 2] },
+            tax: { $round: ['$tax', 2] },
+            fees: { $round: ['$fees', 2] }
           }
         },
+        {
+          // Net revenue is what remains after taxes and fees
+          $addFields: {
+            net: { $round: [{ $subtract: ['$revenue', { $add: ['$tax', '$fees'] }] }, 2] }
+          }
+        },
+        { $project: { gross: 0 } },
         { $sort: { _id: 1 } }
       ]);
       break;
@@ -404,6 +466,28 @@ const getReports = asyncHandler(async (req, res) => {
       ]);
       break;
 
+    case 'deposits':
+      // Security deposit report - holds by status, with the amounts
+      // currently held and kept against return charges or damage
+      report = await Booking.aggregate([
+        {
+          $match: {
+            'deposit.status': { $ne: 'none' },
+            ...(Object.keys(dateFilter).length && { createdAt: dateFilter })
+          }
+        },
+        {
+          $group: {
+            _id: '$deposit.status',
+            count: { $sum: 1 },
+            amount: { $sum: '$deposit.amount' },
+            captured: { $sum: '$deposit.capturedAmount' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]);
+      break;
+
     default:
       // Invalid report type
       return res.status(400).json({
@@ -442,7 +526,8 @@ const getAllBookings = asyncHandler(async (req, res) => {
   // Fetch bookings with user and car details
   const bookings = await Booking.find(query)
     .populate('user', 'name email phone')
-    .populate('car', 'brand model year type images pricePerDay')
+    .populate('car', 'brand model year type images pricePerDay fuelType')
+    .populate('statusHistory.changedBy', 'name email')
     .sort('-createdAt')
     .skip(skip)
     .limit(limitNum);
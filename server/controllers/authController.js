@@ -112,7 +112,8 @@ const login = asyncHandler(async (req, res) => {
         email: user.email,
         role: user.role,
         phone: user.phone,
-        avatar: user.avatar
+        avatar: user.avatar,
+        license: user.getLicenseSummary()
       },
       token
     }
@@ -138,7 +139,8 @@ const getProfile = asyncHandler(async (req, res) => {
         phone: user.phone,
         avatar: user.avatar,
         createdAt: user.createdAt,
-        lastLogin: user.lastLogin
+        lastLogin: user.lastLogin,
+        license: user.getLicenseSummary()
       }
     }
   });
@@ -176,7 +178,8 @@ const updateProfile = asyncHandler(async (req, res) => {
         email: user.email,
         role: user.role,
         phone: user.phone,
-        avatar: user.avatar
+        avatar: user.avatar,
+        license: user.getLicenseSummary()
       }
     }
   });
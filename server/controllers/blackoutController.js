@@ -0,0 +1,201 @@
+// Blackout model for periods cars are out of service
+const Blackout = require('../models/Blackout');
+// Booking model for flagging bookings a blackout conflicts with
+const Booking = require('../models/Booking');
+// Car model for looking up the car's location
+const Car = require('../models/Car');
+// Location model for the timezone blackout times are entered in
+const Location = require('../models/Location');
+// Timezone for cars that have not been assigned a location
+const { defaultTimezone } = require('../config/booking');
+// Offer freed windows to customers on the waitlist
+const { offerFreedWindow } = require('../utils/waitlist');
+// Parse times in a location's timezone
+const { parseRentalTime } = require('../utils/rentalTime');
+// Async handler to catch errors and pass to error middleware
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+// Audit logging utility for tracking blackout changes
+const { createAuditLog } = require('../middleware/auditLogger');
+
+// Helper function to pick the editable fields from a request body
+// Times without an offset are local to the car's current location
+const pickBlackoutFields = async (body) => {
+  const car = await Car.findById(body.car);
+  if (!car) throw new AppError('Car not found', 400);
+
+  const location = car.currentLocation ? await Location.findById(car.currentLocation) : null;
+  const timezone = location ? location.timezone : defaultTimezone;
+
+  return {
+    car: car._id,
+    reason: body.reason,
+    startDate: parseRentalTime(body.startDate, timezone),
+    endDate: parseRentalTime(body.endDate, timezone),
+    notes: body.notes
+  };
+};
+
+// Helper function to find bookings that still hold the car during a blackout
+// These are flagged for an admin to move or cancel - the blackout doesn't touch them
+const findConflictingBookings = (blackout) => (
+  Booking.find({
+    car: blackout.car,
+    ...Booking.blockingFilter(),
+    startDate: { $lt: blackout.endDate },
+    endDate: { $gt: blackout.startDate }
+  })
+    .select('startDate endDate status timezone user')
+    .populate('user', 'name email')
+    .sort({ startDate: 1 })
+);
+
+// @desc    Get car blackouts with any conflicting bookings
+// @route   GET /api/admin/blackouts
+// @access  Private/Admin
+// Query params: car (filter by car), upcoming=true (hide blackouts that have ended)
+const getBlackouts = asyncHandler(async (req, res) => {
+  const query = {};
+  if (req.query.car) query.car = req.query.car;
+  if (req.query.upcoming === 'true') query.endDate = { $gt: new Date() };
+
+  // Cars come with their location's timezone so times can be shown locally
+  const blackouts = await Blackout.find(query)
+    .populate({
+      path: 'car',
+      select: 'brand model licensePlate currentLocation',
+      populate: { path: 'currentLocation', select: 'name timezone' }
+    })
+    .populate('createdBy', 'name')
+    .sort({ startDate: 1 });
+
+  // Flag blackouts that overlap bookings still holding the car
+  const results = await Promise.all(blackouts.map(async (blackout) => ({
+    ...blackout.toObject(),
+    conflicts: await findConflictingBookings(blackout)
+  })));
+
+  res.status(200).json({
+    success: true,
+    data: { blackouts: results }
+  });
+});
+
+// @desc    Create a car blackout
+// @route   POST /api/admin/blackouts
+// @access  Private/Admin
+// Existing bookings are not cancelled; they are returned as conflicts to resolve
+const createBlackout = asyncHandler(async (req, res) => {
+  const blackout = await Blackout.create({
+    ...await pickBlackoutFields(req.body),
+    createdBy: req.user._id
+  });
+  const conflicts = await findConflictingBookings(blackout);
+
+  // Log blackout creation to audit trail
+  await createAuditLog(req, 'CAR_BLACKOUT_CREATE', 'car', {
+    blackoutId: blackout._id,
+    reason: blackout.reason,
+    startDate: blackout.startDate,
+    endDate: blackout.endDate,
+    conflictingBookings: conflicts.map(b => b._id)
+  }, blackout.car);
+
+  res.status(201).json({
+    success: true,
+    message: conflicts.length > 0
+      ? `Blackout created. ${conflicts.length} existing booking(s) conflict with it.`
+      : 'Blackout created successfully',
+    data: { blackout, conflicts }
+  });
+});
+
+// @desc    Update a car blackout
+// @route   PUT /api/admin/blackouts/:id
+// @access  Private/Admin
+const updateBlackout = asyncHandler(async (req, res) => {
+  const blackout = await Blackout.findById(req.params.id);
+
+  // Return 404 if blackout not found
+  if (!blackout) {
+    return res.status(404).json({
+      success: false,
+      message: 'Blackout not found'
+    });
+  }
+
+  // Store previous state for audit log and for offering the freed window
+  const previousCar = blackout.car;
+  const previousState = {
+    reason: blackout.reason,
+    startDate: blackout.startDate,
+    endDate: blackout.endDate
+  };
+
+  blackout.set(await pickBlackoutFields(req.body));
+  await blackout.save();
+  const conflicts = await findConflictingBookings(blackout);
+
+  // Whatever part of the old window the blackout no longer covers can go to the waitlist
+  await offerFreedWindow(previousCar, previousState.startDate, previousState.endDate);
+
+  // Log change to audit trail with before/after states
+  await createAuditLog(req, 'CAR_BLACKOUT_UPDATE', 'car', {
+    blackoutId: blackout._id,
+    previousState,
+    newState: {
+      reason: blackout.reason,
+      startDate: blackout.startDate,
+      endDate: blackout.endDate
+    },
+    conflictingBookings: conflicts.map(b => b._id)
+  }, blackout.car);
+
+  res.status(200).json({
+    success: true,
+    message: conflicts.length > 0
+      ? `Blackout updated. ${conflicts.length} existing booking(s) conflict with it.`
+      : 'Blackout updated successfully',
+    data: { blackout, conflicts }
+  });
+});
+
+// @desc    Delete a car blackout
+// @route   DELETE /api/admin/blackouts/:id
+// @access  Private/Admin
+const deleteBlackout = asyncHandler(async (req, res) => {
+  const blackout = await Blackout.findById(req.params.id);
+
+  // Return 404 if blackout not found
+  if (!blackout) {
+    return res.status(404).json({
+      success: false,
+      message: 'Blackout not found'
+    });
+  }
+
+  await blackout.deleteOne();
+
+  // The car is back in service for the window - offer it to the waitlist
+  await offerFreedWindow(blackout.car, blackout.startDate, blackout.endDate);
+
+  // Log deletion to audit trail
+  await createAuditLog(req, 'CAR_BLACKOUT_DELETE', 'car', {
+    blackoutId: blackout._id,
+    reason: blackout.reason,
+    startDate: blackout.startDate,
+    endDate: blackout.endDate
+  }, blackout.car);
+
+  res.status(200).json({
+    success: true,
+    message: 'Blackout deleted successfully'
+  });
+});
+
+// Export blackout controller functions
+module.exports = {
+  getBlackouts,    // List blackouts with conflicting bookings
+  createBlackout,  // Create a blackout
+  updateBlackout,  // Update a blackout
+  deleteBlackout   // Delete a blackout
+};
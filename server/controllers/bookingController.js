@@ -2,69 +2,320 @@
 const Booking = require('../models/Booking');
 // Car model for fetching vehicle details and pricing
 const Car = require('../models/Car');
+const User = require('../models/User');
 // Extra model for booking add-ons (insurance, GPS, etc.)
 const Extra = require('../models/Extra');
+// Pricing rule model for seasonal, weekend, and length-of-rental rates
+const PricingRule = require('../models/PricingRule');
+// Promo code model for checkout discounts
+const PromoCode = require('../models/PromoCode');
+// Tax configuration model for location-specific taxes and fees
+const TaxConfig = require('../models/TaxConfig');
+// Location model for pickup and drop-off branches
+const Location = require('../models/Location');
+// Blackout model for periods cars are out of service
+const Blackout = require('../models/Blackout');
+// Inspection model for check-out/check-in records
+const Inspection = require('../models/Inspection');
+// Reservation ledger for atomically claiming rental days per car
+const Reservation = require('../models/Reservation');
+// Extras ledger for claiming stocked extras atomically
+const ExtraReservation = require('../models/ExtraReservation');
+// Cancellation policy model for snapshotting the active policy onto bookings
+const CancellationPolicy = require('../models/CancellationPolicy');
+// Hold expiry for freeing days held by abandoned checkouts
+const { expireHolds } = require('../jobs/holdSweeper');
+// Booking settings (hold TTL, default one-way fee, timezone for cars without a location, driver fees)
+const {
+  holdMinutes, oneWayFee: defaultOneWayFee, defaultTimezone,
+  youngDriverAge, youngDriverSurcharge, additionalDriverFee, maxAdditionalDrivers
+} = require('../config/booking');
+// Booking status state machine
+const { canTransition, transitionStatus } = require('../utils/bookingStatus');
+// Pricing rules engine
+const { evaluateRules, roundCents } = require('../utils/pricingRules');
+// Cancellation refund engine
+const { snapshotPolicy, quoteCancellation } = require('../utils/cancellationPolicy');
+// Location tax and fee calculation
+const { DEFAULT_COMPONENTS, calculateTaxes } = require('../utils/taxes');
+// Car location tracking for one-way rentals
+const { sameLocation, checkLocationContinuity } = require('../utils/locations');
+// Extra quantities and per-location stock
+const { normalizeExtraSelections, checkExtraInventory, claimExtras } = require('../utils/extras');
+// Driver eligibility rules and driver fees
+const { normalizeDrivers, checkDriverEligibility, priceDrivers } = require('../utils/drivers');
+// Timezone-aware pickup/return times and billable days
+const { toWallClock, parseRentalTime, calculateBillableDays, checkOpeningHours } = require('../utils/rentalTime');
+// Check-in charges for late return, excess mileage, and missing fuel
+const { calculateReturnCharges } = require('../utils/inspections');
+// Charges the card a booking was paid with after the rental
+const { chargeCardOnFile } = require('../utils/cardOnFile');
+// Security deposit holds placed at pickup and settled at return
+const { placeDeposit, captureDeposit, releaseDeposit } = require('../utils/deposits');
+// Refund ledger
+const { PAID_PAYMENT_STATUSES, issueRefund } = require('../utils/refunds');
+// Modifications held until their extra cost is paid
+const {
+  MODIFIABLE_STATUSES, buildChanges, restoreClaims, dropModification
+} = require('../utils/modifications');
+// In-app notifications for customers
+const { notifyUser } = require('../utils/notifications');
+// Waitlist offers holding cars, and offering freed windows to the next in line
+const { findHoldingOffer, offerFreedWindow, fulfilWaitlist } = require('../utils/waitlist');
+// Re-claim the slots of a lapsed hold, and replace an unpaid booking's payment
+const {
+  UNSETTLED_PAYMENT_STATUSES, reinstateExpiredHold, cancelUnfinishedPayment
+} = require('../utils/paymentWebhooks');
+// Payment provider for settling modification price differences and cancellation refunds
+const paymentProvider = require('../utils/paymentProvider');
 // Async handler to catch errors and pass to error middleware
-const { asyncHandler } = require('../middleware/errorHandler');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
 // Audit logging utility for tracking booking actions
 const { createAuditLog } = require('../middleware/auditLogger');
 
+// Helper function to load a rental's pickup and drop-off locations
+// Pickup defaults to where the car is parked; drop-off defaults to the pickup location
+// Both are null for cars that have not been assigned a location
+const resolveLocations = async (car, pickupLocationId, dropoffLocationId) => {
+  const pickupId = pickupLocationId || car.currentLocation;
+  if (!pickupId) return { pickup: null, dropoff: null };
+
+  const pickup = await Location.findOne({ _id: pickupId, isActive: true });
+  if (!pickup) throw new AppError('Pickup location not found', 400);
+
+  // Round trip
+  if (!dropoffLocationId || sameLocation(dropoffLocationId, pickup._id)) {
+    return { pickup, dropoff: pickup };
+  }
+
+  const dropoff = await Location.findOne({ _id: dropoffLocationId, isActive: true });
+  if (!dropoff) throw new AppError('Drop-off location not found', 400);
+
+  return { pickup, dropoff };
+};
+
+// Helper function to check a rental's pickup and return times
+// Pickup must be in the future, and both times must fall within the
+// opening hours of the location involved
+// Returns an error message, or null when the times are acceptable
+const checkRentalTimes = ({ times, locations }) => {
+  if (times.start < new Date()) return 'Pickup time cannot be in the past';
+  if (!locations.pickup) return null;
+  return checkOpeningHours(locations.pickup, times.start, 'Pickup') ||
+    checkOpeningHours(locations.dropoff, times.end, 'Return');
+};
+
 // Helper function to calculate booking price
-// Computes total cost including base rate, extras, and taxes
-const calculateBookingPrice = async (carId, startDate, endDate, extraIds = []) => {
+// Applies pricing rules day by day, then adds extras, any promo discount, the one-way
+// fee, and the pickup location's taxes and fees. Returns the line-item breakdown stored in booking.pricing
+// Extras are IDs or { extra, quantity } selections, limited to each extra's maxQuantity
+// Options: promoCode (code entered by the customer, checked for eligibility),
+//          userId (for per-user caps), appliedPromo (terms already redeemed on a booking),
+//          pickupLocationId, dropoffLocationId (default to the car's current location),
+//          drivers (primary driver first - priced, and checked against the car type's
+//          eligibility rules, with any problems returned as driverErrors)
+// Times without an offset are read in the pickup location's timezone (return times in the
+// drop-off location's), and the parsed times are returned alongside the price
+const calculateBookingPrice = async (carId, startDate, endDate, extraSelections = [], options = {}) => {
+  const { promoCode, userId, appliedPromo, pickupLocationId, dropoffLocationId } = options;
+  const drivers = normalizeDrivers(options.drivers);
+
   // Fetch car to get daily rate
   const car = await Car.findById(carId);
   if (!car) throw new Error('Car not found');
 
-  // Calculate rental duration in days
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  const totalDays = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
+  // Load pickup and drop-off branches
+  const { pickup, dropoff } = await resolveLocations(car, pickupLocationId, dropoffLocationId);
+
+  // Parse pickup and return times in local time, then count 24-hour blocks
+  const timezone = pickup ? pickup.timezone : defaultTimezone;
+  const start = parseRentalTime(startDate, timezone);
+  const end = parseRentalTime(endDate, dropoff ? dropoff.timezone : timezone);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) throw new Error('Invalid pickup or return time');
+  const totalDays = calculateBillableDays(start, end, timezone);
 
   // Validate minimum rental period
   if (totalDays < 1) throw new Error('Booking must be at least 1 day');
 
-  // Calculate base price (daily rate × days)
-  const basePrice = car.pricePerDay * totalDays;
+  // Apply seasonal, weekend, and length-of-rental rules to the daily rate
+  // (rules match the rental's local calendar days)
+  const rules = await PricingRule.findApplicable(car.type);
+  const { basePrice, rulesTotal, rentalTotal, appliedRules } = evaluateRules({
+    pricePerDay: car.pricePerDay,
+    carType: car.type,
+    startDate: toWallClock(start, timezone),
+    totalDays,
+    rules
+  });
+
+  // Line items explaining the final price
+  const lineItems = [
+    {
+      kind: 'base',
+      label: `Base rate ($${car.pricePerDay}/day)`,
+      unit: 'day',
+      quantity: totalDays,
+      amount: basePrice
+    },
+    ...appliedRules.map(entry => ({
+      kind: 'rule',
+      label: entry.name,
+      rule: entry.rule,
+      unit: 'day',
+      quantity: entry.days,
+      amount: entry.amount
+    }))
+  ];
 
   // Calculate extras cost
   let extrasTotal = 0;
   const extras = [];
 
   // Process each selected extra add-on
-  if (extraIds && extraIds.length > 0) {
+  const selections = normalizeExtraSelections(extraSelections);
+  if (selections.length > 0) {
     // Fetch all selected extras that are available
-    const extraDocs = await Extra.find({ _id: { $in: extraIds }, available: true });
+    const extraDocs = await Extra.find({ _id: { $in: selections.map(selection => selection.extra) }, available: true });
     for (const extra of extraDocs) {
-      // Calculate cost for this extra (daily rate × days)
-      const extraCost = extra.pricePerDay * totalDays;
+      const { quantity } = selections.find(selection => selection.extra === String(extra._id));
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new AppError(`Invalid quantity for ${extra.name}`, 400);
+      }
+      if (quantity > extra.maxQuantity) {
+        throw new AppError(`${extra.name} is limited to ${extra.maxQuantity} per booking`, 400);
+      }
+
+      // Calculate cost for this extra by its pricing mode (per day, per rental, or capped)
+      const price = extra.calculatePrice(totalDays, quantity);
+      const extraCost = roundCents(price.amount);
       extrasTotal += extraCost;
       // Add extra to booking extras array
       extras.push({
         extra: extra._id,
         name: extra.name,
+        pricingMode: extra.pricingMode,
         pricePerDay: extra.pricePerDay,
-        quantity: 1
+        flatPrice: extra.flatPrice,
+        priceCap: extra.priceCap,
+        quantity,
+        amount: extraCost
+      });
+      lineItems.push({
+        kind: 'extra',
+        label: [
+          quantity > 1 ? `${extra.name} x${quantity}` : extra.name,
+          price.capped && `(capped at $${extra.priceCap}${quantity > 1 ? ' each' : ''})`
+        ].filter(Boolean).join(' '),
+        unit: price.unit,
+        quantity: price.quantity,
+        amount: extraCost
       });
     }
   }
 
-  // Calculate tax (10% of subtotal)
-  const taxRate = 0.10;
-  const subtotal = basePrice + extrasTotal;
-  const taxAmount = subtotal * taxRate;
-  const totalPrice = subtotal + taxAmount;
+  // Charge for additional drivers and young drivers, and check everyone may drive this car
+  const { driverFees, lineItems: driverLineItems } = priceDrivers(drivers, totalDays, start);
+  lineItems.push(...driverLineItems);
+  const driverErrors = checkDriverEligibility(drivers, car, start);
+
+  // Apply promo code discount to the pre-tax subtotal
+  let promo = null;
+  let discountAmount = 0;
+  const preDiscount = roundCents(rentalTotal + extrasTotal + driverFees);
+
+  if (appliedPromo && appliedPromo.code) {
+    // Booking already redeemed a code - keep its terms when repricing
+    discountAmount = PromoCode.computeDiscount(appliedPromo, preDiscount);
+    promo = {
+      promo: appliedPromo.promo,
+      code: appliedPromo.code,
+      discountType: appliedPromo.discountType,
+      value: appliedPromo.value,
+      discountAmount,
+      valid: true
+    };
+  } else if (promoCode) {
+    const code = await PromoCode.findByCode(promoCode);
+    const message = code
+      ? code.checkEligibility({ userId, carType: car.type, totalDays })
+      : 'Invalid promo code';
+
+    if (message) {
+      promo = { code: String(promoCode).trim().toUpperCase(), valid: false, message };
+    } else {
+      discountAmount = PromoCode.computeDiscount(code, preDiscount);
+      promo = {
+        promo: code._id,
+        code: code.code,
+        discountType: code.discountType,
+        value: code.value,
+        discountAmount,
+        valid: true
+      };
+    }
+  }
+
+  if (discountAmount > 0) {
+    lineItems.push({
+      kind: 'discount',
+      label: `Promo code ${promo.code}`,
+      unit: 'rental',
+      quantity: 1,
+      amount: -discountAmount
+    });
+  }
+
+  // Charge a one-way fee when the car is returned to a different branch
+  // (set by the pickup location, or the configured default)
+  let oneWayFee = 0;
+  if (pickup && !sameLocation(pickup._id, dropoff._id)) {
+    oneWayFee = pickup.oneWayFee ?? defaultOneWayFee;
+    lineItems.push({
+      kind: 'one_way',
+      label: `One-way drop-off (${pickup.name} to ${dropoff.name})`,
+      unit: 'rental',
+      quantity: 1,
+      amount: oneWayFee
+    });
+  }
+
+  // Apply the pickup location's taxes and fees to the discounted subtotal
+  // Locations without a configuration fall back to the default one, then to a flat 10% tax
+  const taxConfig = await TaxConfig.findForLocation(pickup ? pickup._id : null);
+  const subtotal = roundCents(preDiscount - discountAmount + oneWayFee);
+  const taxes = calculateTaxes({
+    components: taxConfig ? taxConfig.components : DEFAULT_COMPONENTS,
+    subtotal,
+    totalDays
+  });
+  const { taxAmount, feesAmount } = taxes;
+  const totalPrice = subtotal + taxAmount + feesAmount;
+
+  lineItems.push(...taxes.lineItems);
 
   // Return pricing breakdown
   return {
     pricing: {
       basePrice,
+      rulesTotal,
       extrasTotal,
-      taxAmount: Math.round(taxAmount * 100) / 100,
-      totalDays
+      driverFees,
+      discountAmount,
+      oneWayFee,
+      taxAmount,
+      feesAmount,
+      taxLocation: pickup ? pickup.name : null,
+      totalDays,
+      lineItems
     },
     extras,
-    totalPrice: Math.round(totalPrice * 100) / 100
+    drivers,
+    driverErrors,
+    appliedRules,
+    promo,
+    locations: { pickup, dropoff },
+    times: { start, end, timezone },
+    totalPrice: roundCents(totalPrice)
   };
 };
 
@@ -73,7 +324,9 @@ const calculateBookingPrice = async (carId, startDate, endDate, extraIds = []) =
 // @access  Private
 const createBooking = asyncHandler(async (req, res) => {
   // Destructure booking details from request body
-  const { carId, startDate, endDate, extras: extraIds, pickupLocation, dropoffLocation, notes } = req.body;
+  const {
+    carId, startDate, endDate, extras: extraSelections, drivers, pickupLocationId, dropoffLocationId, notes, promoCode
+  } = req.body;
 
   // Verify car exists
   const car = await Car.findById(carId);
@@ -92,57 +345,239 @@ const createBooking = asyncHandler(async (req, res) => {
     });
   }
 
-  // Parse dates for overlap checking
-  const start = new Date(startDate);
-  const end = new Date(endDate);
+  // Expire lapsed holds on this car so their days can be claimed again
+  await expireHolds({ car: carId });
+
+  // Calculate total price including extras, promo discount, one-way fee, and location taxes/fees
+  const priceData = await calculateBookingPrice(carId, startDate, endDate, extraSelections, {
+    promoCode,
+    userId: req.user._id,
+    pickupLocationId,
+    dropoffLocationId,
+    drivers
+  });
+
+  // Every driver must meet the car type's minimum age and years licensed
+  if (priceData.driverErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: priceData.driverErrors.join('. '),
+      data: { driverErrors: priceData.driverErrors }
+    });
+  }
 
-  // Check for conflicting bookings in the requested date range
+  // Times are parsed in the pickup location's timezone and must fit its opening hours
+  const { start, end, timezone } = priceData.times;
+  const timeError = checkRentalTimes(priceData);
+  if (timeError) {
+    return res.status(400).json({
+      success: false,
+      message: timeError
+    });
+  }
+
+  // Check for conflicting bookings in the requested date range,
+  // keeping the car's turnaround buffer free on either side
   const overlappingBooking = await Booking.findOne({
     car: carId,
-    status: { $in: ['pending', 'confirmed', 'active'] },
-    $or: [
-      { startDate: { $lte: end }, endDate: { $gte: start } }
-    ]
+    ...Booking.blockingFilter(),
+    ...Booking.overlapFilter(start, end, car.getTurnaroundMinutes())
   });
 
   // Reject if car already booked for these dates
   if (overlappingBooking) {
+    return res.status(409).json({
+      success: false,
+      message: 'Car is already booked for these dates',
+      data: {
+        conflict: {
+          startDate: overlappingBooking.startDate,
+          endDate: overlappingBooking.endDate
+        }
+      }
+    });
+  }
+
+  // Reject if the car is out of service (maintenance, recall, or staff use)
+  const blackout = await Blackout.findOverlapping(carId, start, end);
+  if (blackout) {
+    return res.status(409).json({
+      success: false,
+      message: 'Car is not available for these dates',
+      data: {
+        conflict: {
+          startDate: blackout.startDate,
+          endDate: blackout.endDate
+        }
+      }
+    });
+  }
+
+  // Reject if the car is being held for a customer on the waitlist
+  const heldOffer = await findHoldingOffer(car, start, end, { userId: req.user._id });
+  if (heldOffer) {
+    return res.status(409).json({
+      success: false,
+      message: 'Car is being held for another customer for these dates',
+      data: {
+        conflict: {
+          startDate: heldOffer.startDate,
+          endDate: heldOffer.endDate
+        }
+      }
+    });
+  }
+
+  // Make sure the car will be at the pickup location, and that a one-way
+  // drop-off doesn't strand it away from its next booking
+  const { pickup, dropoff } = priceData.locations;
+  if (pickup) {
+    const locationError = await checkLocationContinuity({ car, startDate: start, endDate: end, pickup, dropoff });
+    if (locationError) {
+      return res.status(409).json({
+        success: false,
+        message: locationError
+      });
+    }
+  }
+
+  // Expire lapsed holds taking extras from this location so their units can be claimed again
+  if (pickup && priceData.extras.length > 0) {
+    await expireHolds({ pickupLocationId: pickup._id, 'extras.extra': { $in: priceData.extras.map(e => e.extra) } });
+  }
+
+  // Extras stocked at the pickup location must have enough units free on these dates
+  const inventoryError = await checkExtraInventory({ selections: priceData.extras, pickup, start, end });
+  if (inventoryError) {
+    return res.status(409).json({
+      success: false,
+      message: inventoryError
+    });
+  }
+
+  // Reject codes that don't apply rather than silently charging full price
+  if (priceData.promo && !priceData.promo.valid) {
     return res.status(400).json({
       success: false,
-      message: 'Car is already booked for these dates'
+      message: priceData.promo.message
     });
   }
 
-  // Calculate total price including extras and tax
-  const priceData = await calculateBookingPrice(carId, startDate, endDate, extraIds);
+  // Terms of the redeemed code are stored with the booking
+  const promo = priceData.promo;
+
+  // Cancellation terms are fixed at booking time, so later policy edits don't affect this booking
+  const activePolicy = await CancellationPolicy.getActive();
 
-  // Create new booking document
-  const booking = await Booking.create({
+  // Build new booking document (not saved yet) so its ID can own the reservation
+  const booking = new Booking({
     user: req.user._id,
     car: carId,
     startDate: start,
     endDate: end,
-    pickupLocation: pickupLocation || 'Main Office',
-    dropoffLocation: dropoffLocation || 'Main Office',
+    timezone,
+    pickupLocation: pickup ? pickup.name : car.location,
+    dropoffLocation: dropoff ? dropoff.name : car.location,
+    pickupLocationId: pickup ? pickup._id : undefined,
+    dropoffLocationId: dropoff ? dropoff._id : undefined,
     extras: priceData.extras,
+    drivers: priceData.drivers,
     pricing: priceData.pricing,
     totalPrice: priceData.totalPrice,
     notes,
     status: 'pending',
-    paymentStatus: 'pending'
+    paymentStatus: 'pending',
+    cancellationPolicy: snapshotPolicy(activePolicy),
+    // Security deposit for the car's type, authorized at pickup
+    deposit: { amount: car.getDepositAmount() },
+    promoCode: promo ? {
+      promo: promo.promo,
+      code: promo.code,
+      discountType: promo.discountType,
+      value: promo.value,
+      discountAmount: promo.discountAmount
+    } : undefined,
+    // Record the initial status in the booking's history
+    statusHistory: [{ from: null, to: 'pending', changedBy: req.user._id, reason: 'Booking created' }],
+    // Unpaid bookings only hold the car for a limited time
+    holdExpiresAt: new Date(Date.now() + holdMinutes * 60 * 1000)
   });
 
+  // Validate before claiming slots so invalid bookings never hold the car
+  await booking.validate();
+
+  // Atomically claim the rental period and the turnaround buffer after it -
+  // the ledger's unique index rejects concurrent requests for the same car
+  // and times, so only one can win
+  const reservation = await Reservation.claim(carId, booking._id, start, end, car.getTurnaroundMinutes());
+
+  // Reject if another booking claimed any of these slots first
+  if (!reservation.claimed) {
+    return res.status(409).json({
+      success: false,
+      message: 'Car is already booked for these dates',
+      data: { conflict: reservation.conflict }
+    });
+  }
+
+  // Atomically count the redemption - capped codes can't be over-redeemed
+  // by concurrent checkouts because the caps are checked inside the update
+  if (promo) {
+    const redeemed = await PromoCode.redeem(promo.promo, req.user._id, booking._id);
+    if (!redeemed) {
+      await Reservation.release(booking._id);
+      return res.status(409).json({
+        success: false,
+        message: 'This promo code has just reached its usage limit'
+      });
+    }
+  }
+
+  // Atomically claim the extras' units - concurrent bookings can't take the last one twice
+  const extrasError = await claimExtras({ bookingId: booking._id, selections: priceData.extras, pickup, start, end });
+  if (extrasError) {
+    await Reservation.release(booking._id);
+    if (promo) await PromoCode.releaseRedemption(promo.promo, booking._id);
+    return res.status(409).json({
+      success: false,
+      message: extrasError
+    });
+  }
+
+  try {
+    // Persist booking now that its days and extras are held
+    await booking.save();
+  } catch (error) {
+    // Free the claimed days, extras, and redemption if the booking could not be saved
+    await Reservation.release(booking._id);
+    await ExtraReservation.release(booking._id);
+    if (promo) await PromoCode.releaseRedemption(promo.promo, booking._id);
+    throw error;
+  }
+
   // Populate car details for response
   await booking.populate('car', 'brand model year type images pricePerDay');
 
   // Log booking creation to audit trail
   await createAuditLog(req, 'BOOKING_CREATE', 'booking', {
     carId,
-    startDate,
-    endDate,
+    startDate: start,
+    endDate: end,
     totalPrice: priceData.totalPrice
   }, booking._id);
 
+  // Log promo code redemption to audit trail
+  if (promo) {
+    await createAuditLog(req, 'PROMO_REDEEM', 'booking', {
+      promoId: promo.promo,
+      code: promo.code,
+      discountAmount: promo.discountAmount
+    }, booking._id);
+  }
+
+  // Booking the car ends the customer's waitlist entries for it (or its type)
+  await fulfilWaitlist(booking, car);
+
   // Return created booking
   res.status(201).json({
     success: true,
@@ -224,6 +659,53 @@ const getBookingById = asyncHandler(async (req, res) => {
   });
 });
 
+// Helper function to give back the promo code redemption of a booking that was never paid
+// Paid (or refunded) bookings keep their redemption - the customer did use the code
+const releasePromoRedemption = async (req, booking, reason) => {
+  if (!booking.promoCode || !booking.promoCode.promo) return;
+  if ([...PAID_PAYMENT_STATUSES, 'refunded'].includes(booking.paymentStatus)) return;
+
+  await PromoCode.releaseRedemption(booking.promoCode.promo, booking._id);
+  await createAuditLog(req, 'PROMO_RELEASE', 'booking', {
+    promoId: booking.promoCode.promo,
+    code: booking.promoCode.code,
+    reason
+  }, booking._id);
+};
+
+// @desc    Get the refund a booking would receive if cancelled now
+// @route   GET /api/bookings/:id/cancellation-quote
+// @access  Private
+const getCancellationQuote = asyncHandler(async (req, res) => {
+  // Find booking by ID
+  const booking = await Booking.findById(req.params.id);
+
+  // Return 404 if booking not found
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+  }
+
+  // Verify user owns this booking or is admin
+  if (booking.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this booking'
+    });
+  }
+
+  // Return refund quote under the booking's snapshotted policy
+  res.status(200).json({
+    success: true,
+    data: {
+      cancellable: canTransition(booking.status, 'cancelled'),
+      ...quoteCancellation(booking)
+    }
+  });
+});
+
 // @desc    Cancel booking
 // @route   PUT /api/bookings/:id/cancel
 // @access  Private
@@ -250,29 +732,83 @@ const cancelBooking = asyncHandler(async (req, res) => {
     });
   }
 
-  // Prevent cancellation of already completed or cancelled bookings
-  if (['completed', 'cancelled'].includes(booking.status)) {
+  // Only bookings whose status allows cancellation can be cancelled
+  if (!canTransition(booking.status, 'cancelled')) {
     return res.status(400).json({
       success: false,
       message: `Cannot cancel a ${booking.status} booking`
     });
   }
 
+  // Work out the refund owed under the booking's cancellation policy
+  const quote = quoteCancellation(booking);
+  let refund = null;
+
+  // Return the refundable part of the payment before cancelling
+  // (a failed refund leaves the booking untouched). The ledger marks the payment
+  // refunded, or partially refunded when the policy keeps some of it
+  if (quote.refundAmount > 0 && booking.paymentIntentId) {
+    refund = await issueRefund(booking, {
+      amount: quote.refundAmount,
+      type: 'cancellation',
+      reason: `Cancellation (${quote.refundPercent}% under ${quote.policy.name} policy)`,
+      createdBy: req.user._id
+    });
+  }
+
+  // A change still waiting to be paid for is dropped with the booking
+  await dropModification(booking);
+
   // Update booking status to cancelled
-  booking.status = 'cancelled';
   booking.cancellationReason = reason || 'Cancelled by user';
+  transitionStatus(booking, 'cancelled', {
+    changedBy: req.user._id,
+    reason: booking.cancellationReason
+  });
   booking.cancelledAt = new Date();
 
   await booking.save();
 
+  // Free the car's reserved days and extras for other customers
+  await Reservation.release(booking._id);
+  await ExtraReservation.release(booking._id);
+  // Unpaid bookings give their promo code redemption back
+  await releasePromoRedemption(req, booking, 'Booking cancelled');
+  // Offer the freed dates to customers on the waitlist
+  await offerFreedWindow(booking.car, booking.startDate, booking.endDate);
+
   // Log cancellation to audit trail
-  await createAuditLog(req, 'BOOKING_CANCEL', 'booking', { reason }, booking._id);
+  await createAuditLog(req, 'BOOKING_CANCEL', 'booking', {
+    reason,
+    policy: quote.policy.name,
+    refundPercent: quote.refundPercent,
+    refundAmount: refund ? quote.refundAmount : 0
+  }, booking._id);
 
-  // Return updated booking
+  // Log the automatic refund separately so it shows up with other payment events
+  if (refund) {
+    await createAuditLog(req, 'PAYMENT_REFUND', 'payment', {
+      bookingId: booking._id,
+      refundIds: refund.refundIds,
+      amount: quote.refundAmount,
+      reason: 'Cancellation policy refund'
+    }, booking._id);
+  }
+
+  // Return updated booking with the refund issued
   res.status(200).json({
     success: true,
-    message: 'Booking cancelled successfully',
-    data: { booking }
+    message: refund
+      ? `Booking cancelled. $${quote.refundAmount.toFixed(2)} will be refunded.`
+      : 'Booking cancelled successfully',
+    data: {
+      booking,
+      refund: {
+        refundPercent: quote.refundPercent,
+        amount: refund ? quote.refundAmount : 0,
+        refundIds: refund ? refund.refundIds : []
+      }
+    }
   });
 });
 
@@ -280,18 +816,8 @@ const cancelBooking = asyncHandler(async (req, res) => {
 // @route   PUT /api/bookings/:id/status
 // @access  Private/Admin
 const updateBookingStatus = asyncHandler(async (req, res) => {
-  // Get new status from request body
-  const { status } = req.body;
-  // Valid status transitions
-  const validStatuses = ['pending', 'confirmed', 'active', 'completed', 'cancelled'];
-
-  // Validate status value
-  if (!validStatuses.includes(status)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Invalid status'
-    });
-  }
+  // Get new status and optional reason from request body
+  const { status, reason } = req.body;
 
   // Find booking by ID
   const booking = await Booking.findById(req.params.id);
@@ -304,22 +830,74 @@ const updateBookingStatus = asyncHandler(async (req, res) => {
     });
   }
 
+  // Starting and ending a rental need a handover inspection
+  if (['active', 'completed'].includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: status === 'active'
+        ? 'Use check-out to hand the car over and start the rental'
+        : 'Use check-in to record the return and complete the rental'
+    });
+  }
+
+  // Confirming needs the renter's license verified through the end of the rental
+  if (status === 'confirmed') {
+    const renter = await User.findById(booking.user);
+    if (!renter || renter.checkLicense(booking.endDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot confirm this booking - the customer has no verified license valid until the end of the rental'
+      });
+    }
+  }
+
   // Store previous status for audit log
   const previousStatus = booking.status;
-  booking.status = status;
+
+  // Apply the change - rejects transitions not allowed from the current status
+  transitionStatus(booking, status, {
+    changedBy: req.user._id,
+    reason: reason || 'Status changed by admin'
+  });
+
+  // An expired hold released its car - claim the slots again before it blocks the car,
+  // unless another booking has taken them since
+  if (previousStatus === 'expired' && !(await reinstateExpiredHold(booking))) {
+    return res.status(409).json({
+      success: false,
+      message: 'Car has been booked by someone else for these dates since the hold expired'
+    });
+  }
+
+  // A change still waiting to be paid for is dropped once the booking can no longer change
+  if (!MODIFIABLE_STATUSES.includes(status)) await dropModification(booking);
 
   // Set cancellation details if status is cancelled
   if (status === 'cancelled') {
     booking.cancelledAt = new Date();
-    booking.cancellationReason = 'Cancelled by admin';
+    booking.cancellationReason = reason || 'Cancelled by admin';
   }
 
   await booking.save();
 
+  // Free the car's reserved days once the booking no longer blocks it,
+  // and offer them to customers on the waitlist
+  if (['cancelled', 'expired'].includes(status)) {
+    await Reservation.release(booking._id);
+    await ExtraReservation.release(booking._id);
+    await offerFreedWindow(booking.car, booking.startDate, booking.endDate);
+  }
+
+  // Unpaid bookings that will never be paid give their promo code redemption back
+  if (['cancelled', 'expired'].includes(status)) {
+    await releasePromoRedemption(req, booking, `Booking ${status}`);
+  }
+
   // Log status update to audit trail
   await createAuditLog(req, 'BOOKING_UPDATE', 'booking', {
     previousStatus,
-    newStatus: status
+    newStatus: status,
+    reason
   }, booking._id);
 
   // Return updated booking
@@ -330,6 +908,321 @@ const updateBookingStatus = asyncHandler(async (req, res) => {
   });
 });
 
+// Helper function to collect a returned car's charges
+// The security deposit covers them first, unless new damage means the hold is being kept
+// for a damage claim; the rest is charged to the card the booking was paid with.
+// Charges the card can't cover are added to the booking's outstanding balance
+// Records the adjustments on the booking (caller saves) and returns
+// { status, paymentIntentId, error, fromDeposit, charged }
+const collectReturnCharges = async (booking, inspection) => {
+  const amount = inspection.chargesTotal;
+  const reason = inspection.charges.map(charge => charge.label).join('; ');
+
+  // Capturing part of the hold releases the remainder
+  let fromDeposit = 0;
+  if (booking.deposit.status === 'authorized' && inspection.newDamage.length === 0) {
+    const capture = await captureDeposit(booking, amount);
+    if (capture.status === 'succeeded') {
+      fromDeposit = capture.amount;
+      booking.adjustments.push({
+        type: 'charge',
+        amount: fromDeposit,
+        reason: `${reason} (from security deposit)`,
+        paymentIntentId: booking.deposit.paymentIntentId,
+        status: 'succeeded'
+      });
+    }
+  }
+
+  const charged = roundCents(amount - fromDeposit);
+  if (charged <= 0) {
+    return { status: 'succeeded', paymentIntentId: booking.deposit.paymentIntentId, fromDeposit, charged: 0 };
+  }
+
+  const result = await chargeCardOnFile(booking, charged, {
+    type: 'return_charges',
+    description: `Return charges: ${booking._id}`
+  });
+
+  booking.adjustments.push({
+    type: 'charge',
+    amount: charged,
+    reason,
+    paymentIntentId: result.paymentIntentId,
+    status: result.status
+  });
+
+  if (result.status === 'failed') {
+    booking.outstandingBalance = roundCents(booking.outstandingBalance + charged);
+  }
+
+  return { ...result, fromDeposit, charged };
+};
+
+// Helper function to describe how return charges were collected, for the customer and staff
+const describeCollection = (collection) => {
+  const parts = [];
+  if (collection.fromDeposit > 0) {
+    parts.push(`$${collection.fromDeposit.toFixed(2)} was taken from the security deposit`);
+  }
+  if (collection.charged > 0) {
+    parts.push(collection.status === 'failed'
+      ? `$${collection.charged.toFixed(2)} could not be charged to the card on file and is outstanding`
+      : `$${collection.charged.toFixed(2)} was charged to the card on file`);
+  }
+  return parts.join(' and ');
+};
+
+// Helper function to pick the inspection readings from a request body
+const pickInspectionFields = (body) => ({
+  odometer: body.odometer,
+  fuelLevel: body.fuelLevel,
+  checklist: body.checklist || [],
+  photos: body.photos || [],
+  notes: body.notes
+});
+
+// @desc    Get a booking's check-out and check-in inspections (Admin)
+// @route   GET /api/bookings/:id/inspections
+// @access  Private/Admin
+const getBookingInspections = asyncHandler(async (req, res) => {
+  const booking = await Booking.findById(req.params.id).select('_id');
+
+  // Return 404 if booking not found
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+  }
+
+  const inspections = await Inspection.find({ booking: booking._id })
+    .populate('staff', 'name')
+    .sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      checkOut: inspections.find(i => i.type === 'checkout') || null,
+      checkIn: inspections.find(i => i.type === 'checkin') || null
+    }
+  });
+});
+
+// @desc    Check a car out to the customer and start the rental (Admin)
+// @route   POST /api/bookings/:id/check-out
+// @access  Private/Admin
+const checkOutBooking = asyncHandler(async (req, res) => {
+  const booking = await Booking.findById(req.params.id);
+
+  // Return 404 if booking not found
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+  }
+
+  // Confirmed -> active (rejects bookings that cannot start)
+  transitionStatus(booking, 'active', {
+    changedBy: req.user._id,
+    reason: 'Car checked out'
+  });
+
+  // The rental goes ahead as booked - a change still waiting to be paid for is dropped
+  await dropModification(booking);
+
+  const inspection = await Inspection.create({
+    ...pickInspectionFields(req.body),
+    booking: booking._id,
+    car: booking.car,
+    type: 'checkout',
+    staff: req.user._id
+  });
+
+  // Hold the security deposit on the card on file. A failed hold doesn't stop
+  // the handover - staff are told, and can retry once the customer has sorted their card
+  const deposit = await placeDeposit(booking);
+
+  await booking.save();
+
+  // Log the handover to audit trail
+  await createAuditLog(req, 'BOOKING_CHECK_OUT', 'booking', {
+    inspectionId: inspection._id,
+    odometer: inspection.odometer,
+    fuelLevel: inspection.fuelLevel,
+    damagedAreas: inspection.checklist.filter(item => item.damaged).map(item => item.area)
+  }, booking._id);
+
+  if (deposit) {
+    // Log the deposit hold to audit trail
+    await createAuditLog(req, deposit.status === 'authorized' ? 'DEPOSIT_AUTHORIZE' : 'DEPOSIT_FAILED', 'payment', {
+      bookingId: booking._id,
+      amount: booking.deposit.amount,
+      paymentIntentId: booking.deposit.paymentIntentId,
+      ...(deposit.error && { error: deposit.error })
+    }, booking._id);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: deposit?.status === 'failed'
+      ? `Car checked out - rental started, but the $${booking.deposit.amount.toFixed(2)} deposit could not be authorized: ${deposit.error}`
+      : 'Car checked out - rental started',
+    data: { booking, inspection }
+  });
+});
+
+// @desc    Check a returned car in and complete the rental (Admin)
+// @route   POST /api/bookings/:id/check-in
+// @access  Private/Admin
+// Charges excess mileage and missing fuel against the check-out readings
+const checkInBooking = asyncHandler(async (req, res) => {
+  const booking = await Booking.findById(req.params.id);
+
+  // Return 404 if booking not found
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+  }
+
+  const [car, checkOut] = await Promise.all([
+    Car.findById(booking.car),
+    Inspection.findOne({ booking: booking._id, type: 'checkout' })
+  ]);
+
+  // The odometer can't go backwards during a rental
+  const fields = pickInspectionFields(req.body);
+  if (checkOut && fields.odometer < checkOut.odometer) {
+    return res.status(400).json({
+      success: false,
+      message: `Odometer reading cannot be lower than at check-out (${checkOut.odometer} mi)`
+    });
+  }
+
+  // Active -> completed (rejects bookings that were never checked out)
+  transitionStatus(booking, 'completed', {
+    changedBy: req.user._id,
+    reason: 'Car checked in'
+  });
+
+  const returnCharges = calculateReturnCharges({
+    booking,
+    checkOut,
+    checkIn: fields,
+    car
+  });
+
+  const inspection = await Inspection.create({
+    ...fields,
+    ...returnCharges,
+    booking: booking._id,
+    car: booking.car,
+    type: 'checkin',
+    staff: req.user._id
+  });
+
+  // Take the return charges from the deposit and card on file (or record them as owed)
+  const collection = inspection.chargesTotal > 0
+    ? await collectReturnCharges(booking, inspection)
+    : null;
+
+  // Release whatever deposit hold is left - unless new damage was found,
+  // in which case it is kept so a damage claim can be captured from it
+  const depositRelease = booking.deposit.status === 'authorized' && inspection.newDamage.length === 0
+    ? await releaseDeposit(booking)
+    : null;
+
+  await booking.save();
+
+  // Free the car's reserved days now the rental is over, and its extras -
+  // back on the shelf wherever they were returned
+  await Reservation.release(booking._id);
+  await ExtraReservation.release(booking._id);
+
+  // The car's mileage comes from the odometer, and it is now parked wherever it was dropped off
+  await Car.updateOne(
+    { _id: booking.car },
+    {
+      mileage: inspection.odometer,
+      ...(booking.dropoffLocationId && {
+        currentLocation: booking.dropoffLocationId,
+        location: booking.dropoffLocation
+      })
+    }
+  );
+
+  // Log the return to audit trail
+  await createAuditLog(req, 'BOOKING_CHECK_IN', 'booking', {
+    inspectionId: inspection._id,
+    odometer: inspection.odometer,
+    fuelLevel: inspection.fuelLevel,
+    milesDriven: inspection.milesDriven,
+    chargesTotal: inspection.chargesTotal,
+    newDamage: inspection.newDamage,
+    ...(booking.dropoffLocationId && { carLocation: booking.dropoffLocation })
+  }, booking._id);
+
+  if (collection) {
+    if (collection.fromDeposit > 0) {
+      // Log the deposit capture to audit trail
+      await createAuditLog(req, 'DEPOSIT_CAPTURE', 'payment', {
+        bookingId: booking._id,
+        amount: collection.fromDeposit,
+        paymentIntentId: booking.deposit.paymentIntentId,
+        reason: 'return_charges'
+      }, booking._id);
+    }
+
+    if (collection.charged > 0) {
+      // Log the charge attempt to audit trail
+      await createAuditLog(req, collection.status === 'failed' ? 'PAYMENT_FAILED' : 'PAYMENT_SUCCESS', 'payment', {
+        bookingId: booking._id,
+        amount: collection.charged,
+        paymentIntentId: collection.paymentIntentId,
+        type: 'return_charges',
+        ...(collection.error && { error: collection.error })
+      }, booking._id);
+    }
+
+    // Tell the customer what was charged and why
+    await notifyUser(booking.user, {
+      type: 'return_charges',
+      title: `Return charges of $${inspection.chargesTotal.toFixed(2)}`,
+      message: `${inspection.charges.map(charge => `${charge.label}: $${charge.amount.toFixed(2)}`).join('. ')}. ` +
+        `Of this, ${describeCollection(collection)}.`,
+      booking: booking._id
+    });
+  }
+
+  if (depositRelease) {
+    // Log the deposit release to audit trail
+    await createAuditLog(req, depositRelease.status === 'released' ? 'DEPOSIT_RELEASE' : 'DEPOSIT_FAILED', 'payment', {
+      bookingId: booking._id,
+      amount: booking.deposit.amount,
+      paymentIntentId: booking.deposit.paymentIntentId,
+      ...(depositRelease.error && { error: depositRelease.error })
+    }, booking._id);
+  }
+
+  // Summarise what happened to the charges and the deposit for staff
+  const notes = [];
+  if (collection) notes.push(`return charges of $${inspection.chargesTotal.toFixed(2)}: ${describeCollection(collection)}`);
+  if (booking.deposit.status === 'authorized') notes.push('the security deposit is still held for the new damage');
+  if (depositRelease?.status === 'released') notes.push('security deposit released');
+  if (depositRelease?.status === 'failed') notes.push(`the security deposit could not be released: ${depositRelease.error}`);
+
+  res.status(200).json({
+    success: true,
+    message: notes.length > 0
+      ? `Car checked in - ${notes.join('; ')}`
+      : 'Car checked in - rental completed',
+    data: { booking, inspection }
+  });
+});
+
 // @desc    Get all bookings (Admin)
 // @route   GET /api/bookings
 // @access  Private/Admin
@@ -384,15 +1277,22 @@ const getAllBookings = asyncHandler(async (req, res) => {
 // @access  Public
 const calculatePrice = asyncHandler(async (req, res) => {
   // Get booking parameters from request body
-  const { carId, startDate, endDate, extras } = req.body;
+  const { carId, startDate, endDate, extras, drivers, promoCode, pickupLocationId, dropoffLocationId } = req.body;
 
   try {
-    // Calculate pricing breakdown
-    const priceData = await calculateBookingPrice(carId, startDate, endDate, extras);
+    // Calculate pricing breakdown (promo eligibility includes per-user caps when logged in)
+    // Driver eligibility problems come back as driverErrors so they can be explained before booking
+    const priceData = await calculateBookingPrice(carId, startDate, endDate, extras, {
+      promoCode,
+      userId: req.user ? req.user._id : null,
+      pickupLocationId,
+      dropoffLocationId,
+      drivers
+    });
     // Get car details for response
-    const car = await Car.findById(carId).select('brand model pricePerDay');
+    const car = await Car.findById(carId).select('brand model type pricePerDay');
 
-    // Return price preview
+    // Return price preview, flagging times the booking would be rejected for
     res.status(200).json({
       success: true,
       data: {
@@ -401,7 +1301,18 @@ const calculatePrice = asyncHandler(async (req, res) => {
           name: `${car.brand} ${car.model}`,
           pricePerDay: car.pricePerDay
         },
-        ...priceData
+        ...priceData,
+        // Refundable security deposit held on the card at pickup (not part of the total)
+        deposit: car.getDepositAmount(),
+        // Who may drive this car, and what drivers are charged
+        driverRules: {
+          ...car.getDriverRules(),
+          youngDriverAge,
+          youngDriverSurcharge,
+          additionalDriverFee,
+          maxAdditionalDrivers
+        },
+        timeError: checkRentalTimes(priceData)
       }
     });
   } catch (error) {
@@ -413,13 +1324,403 @@ const calculatePrice = asyncHandler(async (req, res) => {
   }
 });
 
+// Helper function to quote a booking modification
+// Checks the requested car and dates are free (ignoring the booking itself)
+// and reprices the booking through calculateBookingPrice
+const quoteModification = async (booking, { carId, startDate, endDate, extras: extraSelections }) => {
+  // Fall back to the booking's current values for anything not being changed
+  const newCarId = carId || booking.car.toString();
+  const newExtras = extraSelections || booking.extras
+    .filter(e => e.extra)
+    .map(e => ({ extra: e.extra, quantity: e.quantity }));
+
+  // Verify the (possibly new) car exists and can be booked
+  const car = await Car.findById(newCarId);
+  if (!car) throw new AppError('Car not found', 404);
+  if (!car.available) throw new AppError('Car is not available for booking', 400);
+
+  // Reprice with the new car, dates, and extras
+  let priceData;
+  try {
+    // A redeemed promo code keeps applying with the terms it was redeemed under
+    priceData = await calculateBookingPrice(newCarId, startDate || booking.startDate, endDate || booking.endDate, newExtras, {
+      appliedPromo: booking.promoCode,
+      pickupLocationId: booking.pickupLocationId,
+      dropoffLocationId: booking.dropoffLocationId,
+      drivers: booking.drivers
+    });
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+
+  // The booking's drivers must be allowed to drive the (possibly new) car
+  if (priceData.driverErrors.length > 0) throw new AppError(priceData.driverErrors.join('. '), 400);
+
+  // Changed pickup and return times must fit the locations' opening hours
+  const { start, end } = priceData.times;
+  const { pickup, dropoff } = priceData.locations;
+  const startChanged = start.getTime() !== booking.startDate.getTime();
+  const endChanged = end.getTime() !== booking.endDate.getTime();
+  if (startChanged && start < new Date()) throw new AppError('Pickup time cannot be in the past', 400);
+  const timeError = pickup && (
+    (startChanged && checkOpeningHours(pickup, start, 'Pickup')) ||
+    (endChanged && checkOpeningHours(dropoff, end, 'Return'))
+  );
+  if (timeError) throw new AppError(timeError, 400);
+
+  // A later return of a confirmed booking must still be covered by the renter's
+  // verified license (unpaid bookings are checked when they are confirmed)
+  if (end > booking.endDate && booking.status !== 'pending') {
+    const renter = await User.findById(booking.user);
+    const licenseError = renter ? renter.checkLicense(end) : 'The customer account no longer exists';
+    if (licenseError) throw new AppError(licenseError, 403);
+  }
+
+  // Check for conflicting bookings (excluding the booking being modified),
+  // blackouts, and cars held for other customers on the waitlist, keeping
+  // the car's turnaround buffer free around bookings
+  const overlappingBooking = await Booking.findOne({
+    _id: { $ne: booking._id },
+    car: newCarId,
+    ...Booking.blockingFilter(),
+    ...Booking.overlapFilter(start, end, car.getTurnaroundMinutes())
+  }) || await Blackout.findOverlapping(newCarId, start, end) ||
+    await findHoldingOffer(car, start, end, { userId: booking.user });
+
+  // The (possibly new) car must still be at the pickup location on the new dates
+  if (pickup) {
+    const locationError = await checkLocationContinuity({
+      car, startDate: start, endDate: end, pickup, dropoff, excludeBookingId: booking._id
+    });
+    if (locationError) throw new AppError(locationError, 409);
+  }
+
+  // Extras must still be in stock at the pickup location on the new dates
+  const inventoryError = await checkExtraInventory({
+    selections: priceData.extras, pickup, start, end, excludeBookingId: booking._id
+  });
+  if (inventoryError) throw new AppError(inventoryError, 409);
+
+  return {
+    carId: newCarId,
+    start,
+    end,
+    turnaroundMinutes: car.getTurnaroundMinutes(),
+    priceData,
+    // Positive means the customer owes money, negative means a refund is due
+    priceDifference: Math.round((priceData.totalPrice - booking.totalPrice) * 100) / 100,
+    conflict: overlappingBooking
+      ? { startDate: overlappingBooking.startDate, endDate: overlappingBooking.endDate }
+      : null
+  };
+};
+
+// Helper function to settle a paid booking's price difference with the payment provider
+// Extra cost creates a supplementary PaymentIntent; a lower price issues a partial refund
+// Records the adjustment on the booking (caller saves) and returns settlement details
+const settlePriceDifference = async (booking, priceDifference, userId) => {
+  const amount = Math.abs(priceDifference);
+
+  if (priceDifference > 0) {
+    // Collect the extra amount through a separate PaymentIntent
+    const paymentIntent = await paymentProvider.createPaymentIntent({
+      amount: Math.round(amount * 100), // Convert to cents
+      metadata: {
+        bookingId: booking._id.toString(),
+        userId: userId.toString(),
+        type: 'modification'
+      },
+      description: `Booking modification: ${booking._id}`
+    });
+
+    booking.adjustments.push({
+      type: 'charge',
+      amount,
+      reason: 'Booking modification',
+      paymentIntentId: paymentIntent.id,
+      status: 'pending'
+    });
+
+    return {
+      type: 'charge',
+      amount,
+      paymentIntentId: paymentIntent.id,
+      clientSecret: paymentIntent.client_secret
+    };
+  }
+
+  // Return the difference as a partial refund of the payments
+  const refund = await issueRefund(booking, {
+    amount,
+    type: 'modification',
+    reason: 'Booking modification',
+    createdBy: userId
+  });
+
+  // One adjustment per PaymentIntent the difference was refunded from
+  for (const entry of refund.entries) {
+    booking.adjustments.push({
+      type: 'refund',
+      amount: entry.amount,
+      reason: 'Booking modification',
+      refundId: entry.refundId,
+      status: entry.status
+    });
+  }
+
+  return { type: 'refund', amount, refundIds: refund.refundIds };
+};
+
+// Helper function to load a booking the current user may modify
+// Returns { booking } or { status, message } describing why it cannot be modified
+const findModifiableBooking = async (req) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return { status: 404, message: 'Booking not found' };
+  }
+
+  // Verify user owns this booking or is admin
+  if (booking.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    return { status: 403, message: 'Not authorized to modify this booking' };
+  }
+
+  // Only bookings that have not started can be modified
+  if (!['pending', 'confirmed'].includes(booking.status)) {
+    return { status: 400, message: `Cannot modify a ${booking.status} booking` };
+  }
+
+  return { booking };
+};
+
+// @desc    Preview a booking modification
+// @route   POST /api/bookings/:id/modify/preview
+// @access  Private
+const previewModification = asyncHandler(async (req, res) => {
+  // Load booking and check it can be modified
+  const { booking, status, message } = await findModifiableBooking(req);
+  if (!booking) {
+    return res.status(status).json({ success: false, message });
+  }
+
+  // Quote the change without saving anything
+  const quote = await quoteModification(booking, req.body);
+
+  // Return new pricing and the difference owed or refunded
+  res.status(200).json({
+    success: true,
+    data: {
+      available: !quote.conflict,
+      conflict: quote.conflict,
+      currentTotal: booking.totalPrice,
+      ...quote.priceData,
+      priceDifference: quote.priceDifference,
+      // Only paid bookings settle the difference immediately
+      settlement: PAID_PAYMENT_STATUSES.includes(booking.paymentStatus) && quote.priceDifference !== 0
+        ? (quote.priceDifference > 0 ? 'charge' : 'refund')
+        : 'none'
+    }
+  });
+});
+
+// @desc    Modify a booking (dates, car, or extras)
+// @route   PUT /api/bookings/:id
+// @access  Private
+const modifyBooking = asyncHandler(async (req, res) => {
+  // Load booking and check it can be modified
+  const { booking, status, message } = await findModifiableBooking(req);
+  if (!booking) {
+    return res.status(status).json({ success: false, message });
+  }
+
+  // Quote the change and reject it if the new window is taken
+  const quote = await quoteModification(booking, req.body);
+  if (quote.conflict) {
+    return res.status(409).json({
+      success: false,
+      message: 'Car is already booked for these dates',
+      data: { conflict: quote.conflict }
+    });
+  }
+
+  // A new change replaces one still waiting to be paid for
+  if (await dropModification(booking)) await booking.save();
+
+  const changes = buildChanges(quote);
+
+  // A paid booking that now costs more keeps its car, dates, and price until the
+  // difference is paid - the new car and dates are held for it meanwhile
+  if (PAID_PAYMENT_STATUSES.includes(booking.paymentStatus) && quote.priceDifference > 0) {
+    const reservation = await Reservation.hold(quote.carId, booking._id, quote.start, quote.end, quote.turnaroundMinutes);
+    if (!reservation.claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Car is already booked for these dates',
+        data: { conflict: reservation.conflict }
+      });
+    }
+    const extrasError = await claimExtras({
+      bookingId: booking._id, selections: changes.extras, pickup: quote.priceData.locations.pickup,
+      start: quote.start, end: quote.end, keep: true
+    });
+    if (extrasError) {
+      await restoreClaims(booking);
+      return res.status(409).json({ success: false, message: extrasError });
+    }
+
+    let settlement;
+    try {
+      settlement = await settlePriceDifference(booking, quote.priceDifference, req.user._id);
+      booking.pendingModification = {
+        changes,
+        turnaroundMinutes: quote.turnaroundMinutes,
+        priceDifference: quote.priceDifference,
+        paymentIntentId: settlement.paymentIntentId,
+        requestedBy: req.user._id,
+        expiresAt: new Date(Date.now() + holdMinutes * 60 * 1000)
+      };
+      await booking.save();
+    } catch (error) {
+      // Give back the held car, dates, and extras if the payment could not be set up
+      await restoreClaims(booking);
+      throw error;
+    }
+
+    await booking.populate('car', 'brand model year type images pricePerDay');
+
+    // Log the requested change - it is logged again when the payment applies it
+    await createAuditLog(req, 'BOOKING_UPDATE', 'booking', {
+      action: 'modify_requested',
+      newValue: {
+        car: quote.carId,
+        startDate: quote.start,
+        endDate: quote.end,
+        extras: changes.extras.map(e => ({ extra: e.extra, quantity: e.quantity })),
+        totalPrice: changes.totalPrice
+      },
+      priceDifference: quote.priceDifference,
+      settlement: { type: settlement.type, amount: settlement.amount }
+    }, booking._id);
+
+    return res.status(202).json({
+      success: true,
+      message: 'Pay the price difference to complete the change',
+      data: {
+        booking,
+        priceDifference: quote.priceDifference,
+        settlement: { ...settlement, expiresAt: booking.pendingModification.expiresAt }
+      }
+    });
+  }
+
+  // An unpaid booking pays its new total through a new PaymentIntent - the one already
+  // started is for the old total, so it is cancelled unless it has gone through
+  if (quote.priceDifference !== 0 && UNSETTLED_PAYMENT_STATUSES.includes(booking.paymentStatus) &&
+      !(await cancelUnfinishedPayment(booking))) {
+    return res.status(409).json({
+      success: false,
+      message: 'A payment for this booking is going through - wait for it to complete before changing the booking'
+    });
+  }
+
+  // Store previous values for audit log
+  const previousValue = {
+    car: booking.car,
+    startDate: booking.startDate,
+    endDate: booking.endDate,
+    extras: booking.extras.map(e => ({ extra: e.extra, quantity: e.quantity })),
+    totalPrice: booking.totalPrice
+  };
+
+  // Atomically move the booking's claimed slots to the new car and dates
+  const reservation = await Reservation.reschedule(quote.carId, booking._id, quote.start, quote.end, quote.turnaroundMinutes);
+  if (!reservation.claimed) {
+    return res.status(409).json({
+      success: false,
+      message: 'Car is already booked for these dates',
+      data: { conflict: reservation.conflict }
+    });
+  }
+
+  // Atomically move the extras' units to the new dates and selection
+  const extrasError = await claimExtras({
+    bookingId: booking._id, selections: changes.extras, pickup: quote.priceData.locations.pickup,
+    start: quote.start, end: quote.end
+  });
+  if (extrasError) {
+    await restoreClaims(booking);
+    return res.status(409).json({ success: false, message: extrasError });
+  }
+
+  // Apply new car, dates, locations, extras, and pricing
+  booking.set(changes);
+
+  let settlement = { type: 'none', amount: 0 };
+
+  try {
+    // Paid bookings are refunded a lower price right away; unpaid ones just pay the new total
+    if (PAID_PAYMENT_STATUSES.includes(booking.paymentStatus) && quote.priceDifference < 0) {
+      settlement = await settlePriceDifference(booking, quote.priceDifference, req.user._id);
+    }
+
+    await booking.save();
+  } catch (error) {
+    // Give the original slots and extras back if the modification could not be completed
+    await restoreClaims(await Booking.findById(booking._id));
+    throw error;
+  }
+
+  // Populate car details for response
+  await booking.populate('car', 'brand model year type images pricePerDay');
+
+  // Log modification to audit trail
+  await createAuditLog(req, 'BOOKING_UPDATE', 'booking', {
+    action: 'modify',
+    previousValue,
+    newValue: {
+      car: quote.carId,
+      startDate: quote.start,
+      endDate: quote.end,
+      extras: booking.extras.map(e => ({ extra: e.extra, quantity: e.quantity })),
+      totalPrice: booking.totalPrice
+    },
+    priceDifference: quote.priceDifference,
+    settlement: { type: settlement.type, amount: settlement.amount }
+  }, booking._id);
+
+  // Offer whatever part of the old car and dates is now free to the waitlist
+  // (the offer checks each waiting customer's dates against the moved booking)
+  if (previousValue.car.toString() !== quote.carId.toString() ||
+      previousValue.startDate.getTime() !== quote.start.getTime() ||
+      previousValue.endDate.getTime() !== quote.end.getTime()) {
+    await offerFreedWindow(previousValue.car, previousValue.startDate, previousValue.endDate);
+  }
+
+  // Return modified booking with settlement details
+  res.status(200).json({
+    success: true,
+    message: 'Booking modified successfully',
+    data: {
+      booking,
+      priceDifference: quote.priceDifference,
+      settlement
+    }
+  });
+});
+
 // Export all booking controller functions
 module.exports = {
   createBooking,        // Create new booking
   getMyBookings,        // Get current user's bookings
   getBookingById,       // Get single booking details
-  cancelBooking,        // Cancel a booking
+  getCancellationQuote, // Quote the refund for cancelling a booking
+  cancelBooking,        // Cancel a booking with policy-based refund
+  previewModification,  // Preview a booking modification
+  modifyBooking,        // Modify booking dates, car, or extras
   updateBookingStatus,  // Admin: update booking status
+  getBookingInspections,// Admin: get check-out/check-in inspections
+  checkOutBooking,      // Admin: check a car out and start the rental
+  checkInBooking,       // Admin: check a car in and complete the rental
   getAllBookings,       // Admin: get all bookings
   calculatePrice        // Calculate booking price preview
 };
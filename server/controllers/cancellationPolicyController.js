@@ -0,0 +1,140 @@
+// CancellationPolicy model for admin-defined refund rules
+const CancellationPolicy = require('../models/CancellationPolicy');
+// Built-in policy used when none is active
+const { DEFAULT_POLICY } = require('../utils/cancellationPolicy');
+// Async handler to catch errors and pass to error middleware
+const { asyncHandler } = require('../middleware/errorHandler');
+// Audit logging utility for tracking policy changes
+const { createAuditLog } = require('../middleware/auditLogger');
+
+// Helper function to make a policy the only active one
+const deactivateOthers = (policyId) => {
+  return CancellationPolicy.updateMany(
+    { _id: { $ne: policyId }, isActive: true },
+    { isActive: false }
+  );
+};
+
+// @desc    Get all cancellation policies
+// @route   GET /api/admin/cancellation-policies
+// @access  Private/Admin
+const getPolicies = asyncHandler(async (req, res) => {
+  // Active policy first, then alphabetical
+  const policies = await CancellationPolicy.find().sort({ isActive: -1, name: 1 });
+
+  // Include the built-in default so admins know what applies when nothing is active
+  res.status(200).json({
+    success: true,
+    data: { policies, defaultPolicy: DEFAULT_POLICY }
+  });
+});
+
+// @desc    Create a cancellation policy
+// @route   POST /api/admin/cancellation-policies
+// @access  Private/Admin
+const createPolicy = asyncHandler(async (req, res) => {
+  const { name, description, tiers, isActive } = req.body;
+
+  // Create policy (tiers are sorted by the model)
+  const policy = await CancellationPolicy.create({ name, description, tiers, isActive });
+
+  // Only one policy can apply to new bookings
+  if (policy.isActive) await deactivateOthers(policy._id);
+
+  // Log policy creation to audit trail
+  await createAuditLog(req, 'SETTINGS_UPDATE', 'admin', {
+    setting: 'cancellationPolicy',
+    action: 'create',
+    name: policy.name,
+    tiers: policy.tiers,
+    isActive: policy.isActive
+  }, policy._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Cancellation policy created successfully',
+    data: { policy }
+  });
+});
+
+// @desc    Update a cancellation policy
+// @route   PUT /api/admin/cancellation-policies/:id
+// @access  Private/Admin
+// Existing bookings keep the snapshot taken when they were created
+const updatePolicy = asyncHandler(async (req, res) => {
+  const policy = await CancellationPolicy.findById(req.params.id);
+
+  // Return 404 if policy not found
+  if (!policy) {
+    return res.status(404).json({
+      success: false,
+      message: 'Cancellation policy not found'
+    });
+  }
+
+  // Store previous state for audit log
+  const previousState = { name: policy.name, tiers: policy.tiers, isActive: policy.isActive };
+
+  // Update provided fields
+  const { name, description, tiers, isActive } = req.body;
+  if (name !== undefined) policy.name = name;
+  if (description !== undefined) policy.description = description;
+  if (tiers !== undefined) policy.tiers = tiers;
+  if (isActive !== undefined) policy.isActive = isActive;
+
+  await policy.save();
+
+  // Only one policy can apply to new bookings
+  if (policy.isActive) await deactivateOthers(policy._id);
+
+  // Log change to audit trail with before/after states
+  await createAuditLog(req, 'SETTINGS_UPDATE', 'admin', {
+    setting: 'cancellationPolicy',
+    action: 'update',
+    previousState,
+    newState: { name: policy.name, tiers: policy.tiers, isActive: policy.isActive }
+  }, policy._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Cancellation policy updated successfully',
+    data: { policy }
+  });
+});
+
+// @desc    Delete a cancellation policy
+// @route   DELETE /api/admin/cancellation-policies/:id
+// @access  Private/Admin
+const deletePolicy = asyncHandler(async (req, res) => {
+  const policy = await CancellationPolicy.findById(req.params.id);
+
+  // Return 404 if policy not found
+  if (!policy) {
+    return res.status(404).json({
+      success: false,
+      message: 'Cancellation policy not found'
+    });
+  }
+
+  await policy.deleteOne();
+
+  // Log deletion to audit trail
+  await createAuditLog(req, 'SETTINGS_UPDATE', 'admin', {
+    setting: 'cancellationPolicy',
+    action: 'delete',
+    name: policy.name
+  }, policy._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Cancellation policy deleted successfully'
+  });
+});
+
+// Export cancellation policy controller functions
+module.exports = {
+  getPolicies,   // List all policies
+  createPolicy,  // Create a policy
+  updatePolicy,  // Update a policy
+  deletePolicy   // Delete a policy
+};
@@ -1,11 +1,41 @@
+// Mongoose for ObjectId casting in aggregation pipelines
+const mongoose = require('mongoose');
 // Car model for database operations on vehicle records
 const Car = require('../models/Car');
 // Booking model for checking car availability
 const Booking = require('../models/Booking');
+// Location model for car home and current locations
+const Location = require('../models/Location');
+// Blackout model for periods cars are out of service
+const Blackout = require('../models/Blackout');
 // Async handler to catch errors and pass to error middleware
-const { asyncHandler } = require('../middleware/errorHandler');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
 // Audit logging utility for tracking admin actions
 const { createAuditLog } = require('../middleware/auditLogger');
+// Timezone for cars that have not been assigned a location,
+// and turnaround buffer defaults
+const { defaultTimezone, turnaroundMinutes, turnaroundMinutesByType } = require('../config/booking');
+// Timezone-aware pickup/return times
+const { parseRentalTime, checkOpeningHours } = require('../utils/rentalTime');
+// Waitlist offers holding cars for customers
+const { findHoldingOffer } = require('../utils/waitlist');
+
+// Helper function to fill in location fields on a car create/update body
+// New cars start at their home location; the display name follows the current location
+const applyCarLocations = async (fields, isNew) => {
+  if (isNew && fields.homeLocation && !fields.currentLocation) {
+    fields.currentLocation = fields.homeLocation;
+  }
+
+  for (const field of ['homeLocation', 'currentLocation']) {
+    if (!fields[field]) continue;
+    const location = await Location.findById(fields[field]);
+    if (!location) throw new AppError('Location not found', 400);
+    if (field === 'currentLocation') fields.location = location.name;
+  }
+
+  return fields;
+};
 
 // @desc    Get all cars
 // @route   GET /api/cars
@@ -75,8 +105,10 @@ const getAllCars = asyncHandler(async (req, res) => {
 // @route   GET /api/cars/:id
 // @access  Public
 const getCarById = asyncHandler(async (req, res) => {
-  // Find car by ID from URL parameter
-  const car = await Car.findById(req.params.id);
+  // Find car by ID from URL parameter, with where it is parked
+  const car = await Car.findById(req.params.id)
+    .populate('currentLocation', 'name address openingHours timezone')
+    .populate('homeLocation', 'name');
 
   // Return 404 if car not found
   if (!car) {
@@ -106,6 +138,7 @@ const searchCars = asyncHandler(async (req, res) => {
     minPrice,       // Minimum price filter
     maxPrice,       // Maximum price filter
     seats,          // Minimum seats filter
+    location,       // Pickup location filter
     page = 1,       // Page number
     limit = 12      // Items per page
   } = req.query;
@@ -135,26 +168,50 @@ const searchCars = asyncHandler(async (req, res) => {
   // If dates provided, use optimized aggregation pipeline to filter out unavailable cars
   // This is O(n log m) instead of O(n * m) - much more efficient for large datasets
   if (startDate && endDate) {
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    // Times are local to the searched location (or the default timezone)
+    const searchLocation = location ? await Location.findById(location) : null;
+    const timezone = searchLocation ? searchLocation.timezone : defaultTimezone;
+    const start = parseRentalTime(startDate, timezone);
+    const end = parseRentalTime(endDate, timezone);
+
+    // Each car's turnaround buffer in milliseconds - its own setting,
+    // then its type's, then the default (mirrors Car#getTurnaroundMinutes)
+    const typeBuffers = Object.entries(turnaroundMinutesByType).map(([carType, minutes]) => ({
+      case: { $eq: ['$type', carType] },
+      then: minutes
+    }));
+    const bufferMs = {
+      $multiply: [
+        {
+          $ifNull: ['$turnaroundMinutes', typeBuffers.length > 0
+            ? { $switch: { branches: typeBuffers, default: turnaroundMinutes } }
+            : turnaroundMinutes]
+        },
+        60 * 1000
+      ]
+    };
 
     // Use MongoDB aggregation with $lookup for efficient filtering
     // This performs the join on the database server instead of in-memory
     const pipeline = [
       // Stage 1: Match cars based on filters
       { $match: query },
-      // Stage 2: Lookup overlapping bookings for each car
+      // Stage 2: Lookup overlapping bookings for each car, including its turnaround buffer
       {
         $lookup: {
           from: 'bookings',
-          let: { carId: '$_id' },
+          let: { carId: '$_id', buffer: bufferMs },
           pipeline: [
             {
               $match: {
-                $expr: { $eq: ['$car', '$$carId'] },
-                status: { $in: ['pending', 'confirmed', 'active'] },
-                startDate: { $lte: end },
-                endDate: { $gte: start }
+                ...Booking.blockingFilter(),
+                $expr: {
+                  $and: [
+                    { $eq: ['$car', '$$carId'] },
+                    { $lte: ['$startDate', { $add: [end, '$$buffer'] }] },
+                    { $gte: ['$endDate', { $subtract: [start, '$$buffer'] }] }
+                  ]
+                }
               }
             },
             { $limit: 1 } // Only need to know if at least one exists
@@ -162,12 +219,93 @@ const searchCars = asyncHandler(async (req, res) => {
           as: 'conflicts'
         }
       },
-      // Stage 3: Keep only cars with no conflicts
-      { $match: { conflicts: { $size: 0 } } },
-      // Stage 4: Remove the conflicts field from output
-      { $project: { conflicts: 0 } }
+      // Stage 3: Lookup blackouts (maintenance, recalls, staff use) overlapping the rental
+      {
+        $lookup: {
+          from: 'blackouts',
+          let: { carId: '$_id' },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ['$car', '$$carId'] },
+                startDate: { $lt: end },
+                endDate: { $gt: start }
+              }
+            },
+            { $limit: 1 }
+          ],
+          as: 'blackouts'
+        }
+      },
+      // Stage 4: Lookup waitlist offers holding the car for another customer, including its turnaround buffer
+      {
+        $lookup: {
+          from: 'waitlists',
+          let: { carId: '$_id', buffer: bufferMs },
+          pipeline: [
+            {
+              $match: {
+                status: 'offered',
+                'offer.expiresAt': { $gt: new Date() },
+                ...(req.user && { user: { $ne: req.user._id } }),
+                $expr: {
+                  $and: [
+                    { $eq: ['$offer.car', '$$carId'] },
+                    { $lte: ['$startDate', { $add: [end, '$$buffer'] }] },
+                    { $gte: ['$endDate', { $subtract: [start, '$$buffer'] }] }
+                  ]
+                }
+              }
+            },
+            { $limit: 1 }
+          ],
+          as: 'offers'
+        }
+      },
+      // Stage 5: Keep only cars with no conflicts
+      { $match: { conflicts: { $size: 0 }, blackouts: { $size: 0 }, offers: { $size: 0 } } },
+      // Stage 6: Remove the lookup fields from output
+      { $project: { conflicts: 0, blackouts: 0, offers: 0 } }
     ];
 
+    // Location filter - a car is at the drop-off of its last booking before
+    // the rental starts, or at its current location if it has none
+    if (location) {
+      pipeline.push(
+        {
+          $lookup: {
+            from: 'bookings',
+            let: { carId: '$_id' },
+            pipeline: [
+              {
+                $match: {
+                  $expr: { $eq: ['$car', '$$carId'] },
+                  ...Booking.blockingFilter(),
+                  endDate: { $lt: start },
+                  dropoffLocationId: { $exists: true }
+                }
+              },
+              { $sort: { endDate: -1 } },
+              { $limit: 1 },
+              { $project: { dropoffLocationId: 1 } }
+            ],
+            as: 'previousBooking'
+          }
+        },
+        {
+          $match: {
+            $expr: {
+              $eq: [
+                { $ifNull: [{ $arrayElemAt: ['$previousBooking.dropoffLocationId', 0] }, '$currentLocation'] },
+                new mongoose.Types.ObjectId(location)
+              ]
+            }
+          }
+        },
+        { $project: { previousBooking: 0 } }
+      );
+    }
+
     // Get total count using a separate aggregation (for pagination)
     const countPipeline = [...pipeline, { $count: 'total' }];
     const countResult = await Car.aggregate(countPipeline);
@@ -183,6 +321,7 @@ const searchCars = asyncHandler(async (req, res) => {
   } else {
     // No date filtering needed - use simple find with skip/limit
     // This is O(log n) with proper indexes
+    if (location) query.currentLocation = location;
     total = await Car.countDocuments(query);
     cars = await Car.find(query)
       .skip((pageNum - 1) * limitNum)
@@ -243,25 +382,54 @@ const checkAvailability = asyncHandler(async (req, res) => {
     });
   }
 
-  // Parse date strings to Date objects
-  const start = new Date(startDate);
-  const end = new Date(endDate);
+  // Parse times in the timezone of the car's location
+  const carLocation = car.currentLocation ? await Location.findById(car.currentLocation) : null;
+  const start = parseRentalTime(startDate, carLocation ? carLocation.timezone : defaultTimezone);
+  const end = parseRentalTime(endDate, carLocation ? carLocation.timezone : defaultTimezone);
 
-  // Check for any overlapping bookings in pending/confirmed/active status
+  // Pickup and return must be while the location is open
+  const hoursError = carLocation && (
+    checkOpeningHours(carLocation, start, 'Pickup') || checkOpeningHours(carLocation, end, 'Return')
+  );
+  if (hoursError) {
+    return res.status(200).json({
+      success: true,
+      data: {
+        available: false,
+        reason: hoursError
+      }
+    });
+  }
+
+  // Check for any overlapping bookings that still block the car (ignores expired holds),
+  // keeping the car's turnaround buffer free on either side
   const overlappingBooking = await Booking.findOne({
     car: carId,
-    status: { $in: ['pending', 'confirmed', 'active'] },
-    $or: [
-      { startDate: { $lte: end }, endDate: { $gte: start } }
-    ]
+    ...Booking.blockingFilter(),
+    ...Booking.overlapFilter(start, end, car.getTurnaroundMinutes())
   });
 
+  // Check the car isn't out of service
+  const blackout = !overlappingBooking && await Blackout.findOverlapping(carId, start, end);
+
+  // Check the car isn't held for a customer on the waitlist (the holder themselves can book it)
+  const heldOffer = !overlappingBooking && !blackout &&
+    await findHoldingOffer(car, start, end, { userId: req.user && req.user._id });
+
+  const available = !overlappingBooking && !blackout && !heldOffer;
+
   // Return availability status
   res.status(200).json({
     success: true,
     data: {
-      available: !overlappingBooking,
-      reason: overlappingBooking ? 'Car is already booked for these dates' : null
+      available,
+      reason: overlappingBooking
+        ? 'Car is already booked for these dates'
+        : (blackout ? 'Car is not available for these dates'
+          : (heldOffer ? 'Car is being held for another customer for these dates' : null)),
+      // A taken car can be waited for in case it frees up
+      canJoinWaitlist: !available,
+      timezone: carLocation ? carLocation.timezone : defaultTimezone
     }
   });
 });
@@ -286,8 +454,8 @@ const getFeaturedCars = asyncHandler(async (req, res) => {
 // @route   POST /api/cars
 // @access  Private/Admin
 const createCar = asyncHandler(async (req, res) => {
-  // Create new car document from request body
-  const car = await Car.create(req.body);
+  // Create new car document from request body, starting at its home location
+  const car = await Car.create(await applyCarLocations({ ...req.body }, true));
 
   // Log car creation to audit trail
   await createAuditLog(req, 'CAR_CREATE', 'car', { brand: car.brand, model: car.model }, car._id);
@@ -319,7 +487,7 @@ const updateCar = asyncHandler(async (req, res) => {
   const previousValue = car.toObject();
 
   // Update car with new values and run validators
-  car = await Car.findByIdAndUpdate(req.params.id, req.body, {
+  car = await Car.findByIdAndUpdate(req.params.id, await applyCarLocations({ ...req.body }, false), {
     new: true,
     runValidators: true
   });
@@ -384,6 +552,7 @@ const deleteCar = asyncHandler(async (req, res) => {
 // @desc    Get car types
 // @route   GET /api/cars/types
 // @access  Public
+// allTypes lists every type a car can have, including ones no car has yet
 const getCarTypes = asyncHandler(async (req, res) => {
   // Get list of unique car types
   const types = await Car.distinct('type');
@@ -397,7 +566,7 @@ const getCarTypes = asyncHandler(async (req, res) => {
   // Return types and their counts
   res.status(200).json({
     success: true,
-    data: { types, typeCounts }
+    data: { types, typeCounts, allTypes: Car.schema.path('type').enumValues }
   });
 });
 
@@ -0,0 +1,369 @@
+// Claim model for post-rental charges
+const Claim = require('../models/Claim');
+// Booking model for the booking a claim is raised against
+const Booking = require('../models/Booking');
+// Claim state machine
+const { EDITABLE_CLAIM_STATUSES, transitionClaim } = require('../utils/claims');
+// Charge the card the booking was paid with
+const { chargeCardOnFile } = require('../utils/cardOnFile');
+// In-app notifications for customers and admins
+const { notifyUser, notifyAdmins } = require('../utils/notifications');
+// Async handler to catch errors and pass to error middleware
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+// Audit logging utility for tracking claim changes
+const { createAuditLog } = require('../middleware/auditLogger');
+
+// Booking statuses a claim can be raised against - the car has been picked up
+const CLAIMABLE_BOOKING_STATUSES = ['active', 'completed'];
+
+// Labels used in notifications and payment descriptions
+const CATEGORY_LABELS = {
+  damage: 'Damage',
+  cleaning: 'Cleaning',
+  toll: 'Toll',
+  traffic_fine: 'Traffic fine',
+  other: 'Charge'
+};
+
+// Helper function to pick the editable fields from a request body
+const pickClaimFields = (body) => ({
+  category: body.category,
+  description: body.description,
+  amount: body.amount,
+  evidence: body.evidence || []
+});
+
+// Helper function to describe a claim in notifications (e.g. "Damage claim of $120.00")
+const describeClaim = (claim) => `${CATEGORY_LABELS[claim.category]} claim of $${claim.amount.toFixed(2)}`;
+
+// Helper function to load a claim for an admin action
+const findClaim = async (id) => {
+  const claim = await Claim.findById(id);
+  if (!claim) throw new AppError('Claim not found', 404);
+  return claim;
+};
+
+// @desc    Get claims
+// @route   GET /api/admin/claims
+// @access  Private/Admin
+// Query params: status, booking
+const getClaims = asyncHandler(async (req, res) => {
+  const query = {};
+  if (req.query.status) query.status = req.query.status;
+  if (req.query.booking) query.booking = req.query.booking;
+
+  const claims = await Claim.find(query)
+    .populate('booking', 'startDate endDate timezone status')
+    .populate('user', 'name email')
+    .populate('car', 'brand model licensePlate')
+    .populate('createdBy', 'name')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: { claims }
+  });
+});
+
+// @desc    Create a draft claim against a booking
+// @route   POST /api/admin/claims
+// @access  Private/Admin
+const createClaim = asyncHandler(async (req, res) => {
+  const booking = await Booking.findById(req.body.booking);
+  if (!booking) throw new AppError('Booking not found', 400);
+
+  // Only rentals that have started can incur post-rental charges
+  if (!CLAIMABLE_BOOKING_STATUSES.includes(booking.status)) {
+    throw new AppError('Claims can only be raised against active or completed bookings', 400);
+  }
+
+  const claim = new Claim({
+    ...pickClaimFields(req.body),
+    booking: booking._id,
+    user: booking.user,
+    car: booking.car,
+    createdBy: req.user._id,
+    statusHistory: [{ from: null, to: 'draft', changedBy: req.user._id, changedAt: new Date() }]
+  });
+  await claim.save();
+
+  // Log claim creation to audit trail
+  await createAuditLog(req, 'CLAIM_CREATE', 'booking', {
+    claimId: claim._id,
+    category: claim.category,
+    amount: claim.amount
+  }, booking._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Claim saved as a draft',
+    data: { claim }
+  });
+});
+
+// @desc    Update a claim's details
+// @route   PUT /api/admin/claims/:id
+// @access  Private/Admin
+// Drafts can be edited freely; disputed claims can be corrected before re-sending
+const updateClaim = asyncHandler(async (req, res) => {
+  const claim = await findClaim(req.params.id);
+
+  if (!EDITABLE_CLAIM_STATUSES.includes(claim.status)) {
+    throw new AppError(`A ${claim.status} claim cannot be edited`, 400);
+  }
+
+  const previousValue = { category: claim.category, amount: claim.amount, description: claim.description };
+  Object.assign(claim, pickClaimFields(req.body));
+  await claim.save();
+
+  // Log claim update to audit trail
+  await createAuditLog(req, 'CLAIM_UPDATE', 'booking', {
+    claimId: claim._id,
+    previousValue,
+    newValue: { category: claim.category, amount: claim.amount, description: claim.description }
+  }, claim.booking);
+
+  res.status(200).json({
+    success: true,
+    message: 'Claim updated successfully',
+    data: { claim }
+  });
+});
+
+// @desc    Delete a draft claim
+// @route   DELETE /api/admin/claims/:id
+// @access  Private/Admin
+// Claims the customer has seen are waived instead, so there is a record of them
+const deleteClaim = asyncHandler(async (req, res) => {
+  const claim = await findClaim(req.params.id);
+
+  if (claim.status !== 'draft') {
+    throw new AppError('Only draft claims can be deleted - waive the claim instead', 400);
+  }
+
+  await claim.deleteOne();
+
+  // Log claim deletion to audit trail
+  await createAuditLog(req, 'CLAIM_DELETE', 'booking', {
+    claimId: claim._id,
+    category: claim.category,
+    amount: claim.amount
+  }, claim.booking);
+
+  res.status(200).json({
+    success: true,
+    message: 'Claim deleted successfully'
+  });
+});
+
+// @desc    Issue a claim to the customer
+// @route   POST /api/admin/claims/:id/send
+// @access  Private/Admin
+// Sends a draft, or re-sends a disputed claim once staff have reviewed it
+const sendClaim = asyncHandler(async (req, res) => {
+  const claim = await findClaim(req.params.id);
+
+  const resent = claim.status === 'disputed';
+  transitionClaim(claim, 'sent', { changedBy: req.user._id, note: req.body.note || '' });
+  claim.sentAt = new Date();
+  await claim.save();
+
+  await notifyUser(claim.user, {
+    type: 'claim_sent',
+    title: resent ? 'Your disputed charge was reviewed' : 'A charge was added to your rental',
+    message: `${describeClaim(claim)}: ${claim.description}. ` +
+      'It will be charged to your card on file unless you dispute it from My Bookings.',
+    booking: claim.booking
+  });
+
+  // Log claim issue to audit trail
+  await createAuditLog(req, 'CLAIM_SEND', 'booking', {
+    claimId: claim._id,
+    amount: claim.amount,
+    resent
+  }, claim.booking);
+
+  res.status(200).json({
+    success: true,
+    message: resent ? 'Claim re-sent to the customer' : 'Claim sent to the customer',
+    data: { claim }
+  });
+});
+
+// @desc    Collect a claim from the card the booking was paid with
+// @route   POST /api/admin/claims/:id/collect
+// @access  Private/Admin
+// A disputed claim can be collected directly when staff reject the dispute
+const collectClaim = asyncHandler(async (req, res) => {
+  const claim = await findClaim(req.params.id);
+
+  if (!['sent', 'disputed'].includes(claim.status)) {
+    throw new AppError(`A ${claim.status} claim cannot be collected`, 400);
+  }
+
+  const booking = await Booking.findById(claim.booking);
+  const result = await chargeCardOnFile(booking, claim.amount, {
+    type: 'claim',
+    description: `${describeClaim(claim)}: ${booking._id}`,
+    metadata: { claimId: claim._id.toString() }
+  });
+  claim.paymentIntentId = result.paymentIntentId;
+
+  if (result.status === 'failed') {
+    claim.paymentError = result.error;
+    await claim.save();
+
+    // Log failed collection to audit trail
+    await createAuditLog(req, 'CLAIM_PAYMENT_FAILED', 'booking', {
+      claimId: claim._id,
+      amount: claim.amount,
+      paymentIntentId: result.paymentIntentId,
+      error: result.error
+    }, claim.booking);
+
+    return res.status(402).json({
+      success: false,
+      message: `The card on file could not be charged: ${result.error}`,
+      data: { claim }
+    });
+  }
+
+  // Charges that need more processing are settled by the webhook
+  claim.paymentError = undefined;
+  if (result.status === 'succeeded') {
+    transitionClaim(claim, 'paid', { changedBy: req.user._id, note: 'Collected from card on file' });
+    claim.paidAt = new Date();
+  }
+  await claim.save();
+
+  if (claim.status === 'paid') {
+    await notifyUser(claim.user, {
+      type: 'claim_paid',
+      title: 'Charge collected',
+      message: `${describeClaim(claim)} was charged to your card on file.`,
+      booking: claim.booking
+    });
+  }
+
+  // Log collection to audit trail
+  await createAuditLog(req, 'CLAIM_PAYMENT', 'booking', {
+    claimId: claim._id,
+    amount: claim.amount,
+    paymentIntentId: result.paymentIntentId,
+    status: result.status
+  }, claim.booking);
+
+  res.status(200).json({
+    success: true,
+    message: claim.status === 'paid' ? 'Claim collected successfully' : 'Payment is processing',
+    data: { claim }
+  });
+});
+
+// @desc    Write off a claim
+// @route   POST /api/admin/claims/:id/waive
+// @access  Private/Admin
+// Body: { reason }
+const waiveClaim = asyncHandler(async (req, res) => {
+  const claim = await findClaim(req.params.id);
+
+  const wasIssued = claim.status !== 'draft';
+  transitionClaim(claim, 'waived', { changedBy: req.user._id, note: req.body.reason || '' });
+  await claim.save();
+
+  // Drafts were never shown to the customer, so there is nothing to tell them
+  if (wasIssued) {
+    await notifyUser(claim.user, {
+      type: 'claim_waived',
+      title: 'Charge waived',
+      message: `${describeClaim(claim)} has been waived. You will not be charged.`,
+      booking: claim.booking
+    });
+  }
+
+  // Log waiver to audit trail
+  await createAuditLog(req, 'CLAIM_WAIVE', 'booking', {
+    claimId: claim._id,
+    amount: claim.amount,
+    reason: req.body.reason
+  }, claim.booking);
+
+  res.status(200).json({
+    success: true,
+    message: 'Claim waived',
+    data: { claim }
+  });
+});
+
+// @desc    Get the current user's claims
+// @route   GET /api/claims/my
+// @access  Private
+// Query params: booking (claims for one booking)
+const getMyClaims = asyncHandler(async (req, res) => {
+  // Drafts stay hidden until staff send them
+  const query = { user: req.user._id, status: { $ne: 'draft' } };
+  if (req.query.booking) query.booking = req.query.booking;
+
+  const claims = await Claim.find(query)
+    .select('-createdBy -paymentError')
+    .populate('car', 'brand model')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: { claims }
+  });
+});
+
+// @desc    Dispute a claim
+// @route   PUT /api/claims/:id/dispute
+// @access  Private
+// Body: { reason }
+const disputeClaim = asyncHandler(async (req, res) => {
+  const claim = await Claim.findOne({ _id: req.params.id, user: req.user._id, status: { $ne: 'draft' } });
+
+  // Return 404 if claim not found or belongs to someone else
+  if (!claim) {
+    return res.status(404).json({
+      success: false,
+      message: 'Claim not found'
+    });
+  }
+
+  transitionClaim(claim, 'disputed', { changedBy: req.user._id, note: req.body.reason });
+  claim.dispute = { reason: req.body.reason, submittedAt: new Date() };
+  await claim.save();
+
+  await notifyAdmins({
+    type: 'claim_disputed',
+    title: 'Claim disputed',
+    message: `${req.user.name} disputed a ${describeClaim(claim).toLowerCase()}: ${req.body.reason}`,
+    booking: claim.booking
+  });
+
+  // Log dispute to audit trail
+  await createAuditLog(req, 'CLAIM_DISPUTE', 'booking', {
+    claimId: claim._id,
+    amount: claim.amount,
+    reason: req.body.reason
+  }, claim.booking);
+
+  res.status(200).json({
+    success: true,
+    message: 'Your dispute has been submitted. We will review it and get back to you.',
+    data: { claim }
+  });
+});
+
+// Export claim controller functions
+module.exports = {
+  getClaims,     // List claims (admin)
+  createClaim,   // Create a draft claim (admin)
+  updateClaim,   // Edit a draft or disputed claim (admin)
+  deleteClaim,   // Delete a draft claim (admin)
+  sendClaim,     // Issue a claim to the customer (admin)
+  collectClaim,  // Charge a claim to the card on file (admin)
+  waiveClaim,    // Write off a claim (admin)
+  getMyClaims,   // List the customer's claims
+  disputeClaim   // Dispute a claim (customer)
+};
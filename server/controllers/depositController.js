@@ -0,0 +1,164 @@
+// Booking model for the deposit held against a rental
+const Booking = require('../models/Booking');
+// Security deposit holds
+const { placeDeposit, captureDeposit, releaseDeposit } = require('../utils/deposits');
+// In-app notifications for customers
+const { notifyUser } = require('../utils/notifications');
+// Async handler to catch errors and pass to error middleware
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+// Audit logging utility for tracking deposit changes
+const { createAuditLog } = require('../middleware/auditLogger');
+
+// Helper function to load a booking for a deposit action
+const findBooking = async (id) => {
+  const booking = await Booking.findById(id);
+  if (!booking) throw new AppError('Booking not found', 404);
+  return booking;
+};
+
+// Helper function to reject actions on a deposit that isn't currently held
+const requireAuthorizedDeposit = (booking) => {
+  if (booking.deposit.status !== 'authorized') {
+    throw new AppError(`No deposit is currently held for this booking (deposit is ${booking.deposit.status})`, 400);
+  }
+};
+
+// @desc    Place (or retry) the security deposit hold for a rental in progress
+// @route   POST /api/bookings/:id/deposit/authorize
+// @access  Private/Admin
+// Used when the hold failed at pickup or lapsed because the card could not be re-authorized
+const authorizeBookingDeposit = asyncHandler(async (req, res) => {
+  const booking = await findBooking(req.params.id);
+
+  if (booking.status !== 'active') {
+    throw new AppError('A deposit can only be placed while the rental is active', 400);
+  }
+  if (!(booking.deposit.amount > 0)) {
+    throw new AppError('No deposit is required for this booking', 400);
+  }
+  if (!['none', 'failed', 'expired'].includes(booking.deposit.status)) {
+    throw new AppError(`The deposit is already ${booking.deposit.status}`, 400);
+  }
+
+  const result = await placeDeposit(booking);
+  await booking.save();
+
+  // Log the deposit hold to audit trail
+  await createAuditLog(req, result.status === 'authorized' ? 'DEPOSIT_AUTHORIZE' : 'DEPOSIT_FAILED', 'payment', {
+    bookingId: booking._id,
+    amount: booking.deposit.amount,
+    paymentIntentId: booking.deposit.paymentIntentId,
+    ...(result.error && { error: result.error })
+  }, booking._id);
+
+  if (result.status === 'failed') {
+    return res.status(402).json({
+      success: false,
+      message: `The deposit could not be authorized: ${result.error}`,
+      data: { booking }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Deposit of $${booking.deposit.amount.toFixed(2)} authorized`,
+    data: { booking }
+  });
+});
+
+// @desc    Keep part or all of the security deposit
+// @route   POST /api/bookings/:id/deposit/capture
+// @access  Private/Admin
+// Body: { amount, reason } - the rest of the hold is released
+const captureBookingDeposit = asyncHandler(async (req, res) => {
+  const booking = await findBooking(req.params.id);
+  requireAuthorizedDeposit(booking);
+
+  const { amount, reason } = req.body;
+  if (amount > booking.deposit.amount) {
+    throw new AppError(`Cannot capture more than the $${booking.deposit.amount.toFixed(2)} deposit`, 400);
+  }
+
+  const result = await captureDeposit(booking, amount);
+  if (result.status === 'failed') {
+    // Log failed capture to audit trail
+    await createAuditLog(req, 'DEPOSIT_FAILED', 'payment', {
+      bookingId: booking._id,
+      amount,
+      paymentIntentId: booking.deposit.paymentIntentId,
+      error: result.error
+    }, booking._id);
+
+    return res.status(402).json({
+      success: false,
+      message: `The deposit could not be captured: ${result.error}`
+    });
+  }
+
+  booking.adjustments.push({
+    type: 'charge',
+    amount: result.amount,
+    reason: `${reason} (from security deposit)`,
+    paymentIntentId: booking.deposit.paymentIntentId,
+    status: 'succeeded'
+  });
+  await booking.save();
+
+  await notifyUser(booking.user, {
+    type: 'deposit_captured',
+    title: `$${result.amount.toFixed(2)} kept from your security deposit`,
+    message: `${reason}. The rest of your $${booking.deposit.amount.toFixed(2)} deposit has been released.`,
+    booking: booking._id
+  });
+
+  // Log capture to audit trail
+  await createAuditLog(req, 'DEPOSIT_CAPTURE', 'payment', {
+    bookingId: booking._id,
+    amount: result.amount,
+    paymentIntentId: booking.deposit.paymentIntentId,
+    reason
+  }, booking._id);
+
+  res.status(200).json({
+    success: true,
+    message: `$${result.amount.toFixed(2)} captured from the deposit - the rest has been released`,
+    data: { booking }
+  });
+});
+
+// @desc    Release the security deposit without keeping anything
+// @route   POST /api/bookings/:id/deposit/release
+// @access  Private/Admin
+const releaseBookingDeposit = asyncHandler(async (req, res) => {
+  const booking = await findBooking(req.params.id);
+  requireAuthorizedDeposit(booking);
+
+  const result = await releaseDeposit(booking);
+  if (result.status === 'failed') {
+    return res.status(502).json({
+      success: false,
+      message: `The deposit could not be released: ${result.error}`
+    });
+  }
+  await booking.save();
+
+  // Log release to audit trail
+  await createAuditLog(req, 'DEPOSIT_RELEASE', 'payment', {
+    bookingId: booking._id,
+    amount: booking.deposit.amount,
+    paymentIntentId: booking.deposit.paymentIntentId
+  }, booking._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Deposit released',
+    data: { booking }
+  });
+});
+
+// Export deposit controller functions
+module.exports = {
+  authorizeBookingDeposit, // Place or retry the deposit hold
+  captureBookingDeposit,   // Keep part or all of the deposit
+  releaseBookingDeposit    // Release the deposit hold
+};
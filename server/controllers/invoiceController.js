@@ -0,0 +1,84 @@
+// Booking model for the booking billed
+const Booking = require('../models/Booking');
+// Invoice model for issued invoices and credit notes
+const Invoice = require('../models/Invoice');
+// Async handler to catch errors and pass to error middleware
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+// Issue the invoice and credit notes a booking is due
+const { issueInvoiceDocuments } = require('../utils/invoices');
+// PDF rendering
+const { writeInvoicePdf, writeCreditNotePdf } = require('../utils/invoicePdf');
+
+// Helper function to load a booking the current user may see the invoices of,
+// and issue any of its documents not yet issued
+// Throws 404 if the booking doesn't exist, 403 unless it's the user's own or the user is an admin
+const loadInvoicedBooking = async (req) => {
+  const booking = await Booking.findById(req.params.id)
+    .populate('car', 'brand model year')
+    .populate('user', 'name email');
+
+  if (!booking) throw new AppError('Booking not found', 404);
+  if (booking.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    throw new AppError('Not authorized to view this booking', 403);
+  }
+
+  const documents = await issueInvoiceDocuments(booking);
+  return { booking, ...documents };
+};
+
+// Helper function to send a PDF inline, named after the document number
+const sendPdf = (res, number, write) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${number}.pdf"`);
+  // Issued documents never change, but only the customer's own browser may keep them
+  res.setHeader('Cache-Control', 'private');
+  write(res);
+};
+
+// @desc    Get a booking's invoice, supplementary invoices, and credit notes
+// @route   GET /api/bookings/:id/invoices
+// @access  Private (booking owner or admin)
+const getBookingInvoices = asyncHandler(async (req, res) => {
+  const { invoice, supplementaryInvoices, creditNotes } = await loadInvoicedBooking(req);
+
+  res.status(200).json({
+    success: true,
+    data: { invoice, supplementaryInvoices, creditNotes }
+  });
+});
+
+// @desc    Download a booking's invoice, or one of its supplementary invoices, as a PDF
+// @route   GET /api/bookings/:id/invoice.pdf
+// @route   GET /api/bookings/:id/invoices/:invoiceId.pdf
+// @access  Private (booking owner or admin)
+const getInvoicePdf = asyncHandler(async (req, res) => {
+  const { invoice, supplementaryInvoices } = await loadInvoicedBooking(req);
+  if (!invoice) throw new AppError('An invoice is issued once the booking is paid', 400);
+
+  const document = req.params.invoiceId
+    ? [invoice, ...supplementaryInvoices].find(i => i._id.toString() === req.params.invoiceId)
+    : invoice;
+  if (!document) throw new AppError('Invoice not found', 404);
+
+  sendPdf(res, document.number, (stream) => writeInvoicePdf(stream, { invoice: document }));
+});
+
+// @desc    Download a credit note for a refund of a booking as a PDF
+// @route   GET /api/bookings/:id/credit-notes/:noteId.pdf
+// @access  Private (booking owner or admin)
+const getCreditNotePdf = asyncHandler(async (req, res) => {
+  const { booking } = await loadInvoicedBooking(req);
+
+  const creditNote = await Invoice.findOne({ _id: req.params.noteId, booking: booking._id, type: 'credit_note' })
+    .populate('invoice', 'number');
+  if (!creditNote) throw new AppError('Credit note not found', 404);
+
+  sendPdf(res, creditNote.number, (stream) => writeCreditNotePdf(stream, { creditNote, invoice: creditNote.invoice }));
+});
+
+// Export invoice controller functions
+module.exports = {
+  getBookingInvoices, // List a booking's invoice and credit notes
+  getInvoicePdf,      // Download the invoice or a supplementary invoice
+  getCreditNotePdf    // Download a credit note
+};
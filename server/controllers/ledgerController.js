@@ -0,0 +1,126 @@
+// Transaction model for the payment ledger
+const Transaction = require('../models/Transaction');
+// Reconciliation model for the daily reports
+const Reconciliation = require('../models/Reconciliation');
+// Ledger totals for a period
+const { getLedgerTotals } = require('../utils/ledger');
+// Check a day of the ledger against the provider's records
+const { reconcileDay } = require('../jobs/ledgerReconciler');
+// Async handler to catch errors and pass to error middleware
+const { asyncHandler } = require('../middleware/errorHandler');
+// Audit logging utility for tracking reconciliations
+const { createAuditLog } = require('../middleware/auditLogger');
+
+// @desc    Get payment ledger transactions, newest first, with their totals
+// @route   GET /api/admin/transactions
+// @access  Private/Admin
+// Query params: page, limit, from, to (occurred in [from, to)), type, booking
+const getTransactions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, from, to, type, booking } = req.query;
+
+  const query = {};
+  if (from || to) {
+    query.occurredAt = {};
+    if (from) query.occurredAt.$gte = new Date(from);
+    if (to) query.occurredAt.$lt = new Date(to);
+  }
+  if (type) query.type = type;
+  if (booking) query.booking = booking;
+
+  // Calculate pagination values
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+
+  const transactions = await Transaction.find(query)
+    .populate('createdBy', 'name')
+    .sort({ occurredAt: -1 })
+    .skip((pageNum - 1) * limitNum)
+    .limit(limitNum);
+
+  const total = await Transaction.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    results: total,
+    data: {
+      transactions,
+      // Totals for a period (all transactions in it, whatever the filters)
+      ...(from && to && { totals: await getLedgerTotals(new Date(from), new Date(to)) })
+    },
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum)
+    }
+  });
+});
+
+// @desc    Get daily reconciliation reports, newest day first
+// @route   GET /api/admin/reconciliations
+// @access  Private/Admin
+// Query params: page, limit, status
+const getReconciliations = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 30, status } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+
+  // Calculate pagination values
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+
+  const reports = await Reconciliation.find(query)
+    .sort({ date: -1 })
+    .skip((pageNum - 1) * limitNum)
+    .limit(limitNum);
+
+  const total = await Reconciliation.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    results: total,
+    data: { reports },
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum)
+    }
+  });
+});
+
+// @desc    Reconcile a day of the payment ledger now
+// @route   POST /api/admin/reconciliations
+// @access  Private/Admin
+// Body: { date } - a day that has ended (UTC)
+const runReconciliation = asyncHandler(async (req, res) => {
+  const { report } = await reconcileDay(new Date(req.body.date));
+
+  // Log reconciliation to audit trail
+  await createAuditLog(req, 'LEDGER_RECONCILE', 'payment', {
+    date: report.date.toISOString().slice(0, 10),
+    status: report.status,
+    ...(report.mismatches.length > 0 && { mismatches: report.mismatches }),
+    ...(report.error && { error: report.error })
+  }, report._id);
+
+  const messages = {
+    matched: 'The ledger matches the payment provider',
+    mismatched: 'The ledger does not match the payment provider',
+    failed: `The payment provider's records could not be fetched: ${report.error}`
+  };
+
+  res.status(200).json({
+    success: true,
+    message: messages[report.status],
+    data: { report }
+  });
+});
+
+// Export ledger controller functions
+module.exports = {
+  getTransactions,    // Admin: list ledger transactions
+  getReconciliations, // Admin: list daily reconciliation reports
+  runReconciliation   // Admin: reconcile a day now
+};
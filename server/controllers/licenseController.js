@@ -0,0 +1,226 @@
+// User model holding each customer's driver's license
+const User = require('../models/User');
+// Uploaded file storage (local disk or S3)
+const { saveFile, deleteFile, sendFile } = require('../utils/storage');
+// In-app notifications for customers and admins
+const { notifyUser, notifyAdmins } = require('../utils/notifications');
+// Async handler to catch errors and pass to error middleware
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+// Audit logging utility for tracking license reviews
+const { createAuditLog } = require('../middleware/auditLogger');
+
+// License statuses staff can filter the queue by
+const LICENSE_STATUSES = ['pending', 'verified', 'rejected'];
+
+// Helper function to load a user for a license review
+const findUser = async (id) => {
+  const user = await User.findById(id);
+  if (!user) throw new AppError('User not found', 404);
+  return user;
+};
+
+// Helper function to build a queue entry (license summary plus who it belongs to)
+const toQueueEntry = (user) => ({
+  user: { _id: user._id, name: user.name, email: user.email, phone: user.phone },
+  license: user.getLicenseSummary()
+});
+
+// Helper function to stream one side of a user's license image
+const sendLicenseImage = async (res, user, side) => {
+  const key = user.license?.[`${side}Image`];
+  if (!key) throw new AppError(`No ${side} image has been uploaded`, 404);
+  await sendFile(res, key);
+};
+
+// @desc    Get the current user's driver's license
+// @route   GET /api/users/license
+// @access  Private
+const getMyLicense = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { license: req.user.getLicenseSummary() }
+  });
+});
+
+// @desc    Submit (or replace) the current user's driver's license for verification
+// @route   PUT /api/users/license
+// @access  Private
+// Multipart body: number, country, expiresAt, front (file), back (file)
+// Images are only required the first time - details can be corrected without re-uploading
+const submitLicense = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  const previous = user.license || {};
+  const front = req.files?.front?.[0];
+  const back = req.files?.back?.[0];
+
+  if (!front && !previous.frontImage) {
+    throw new AppError('Please upload a photo of the front of your license', 400);
+  }
+  if (!back && !previous.backImage) {
+    throw new AppError('Please upload a photo of the back of your license', 400);
+  }
+
+  // Store the new images before touching the user, so a failed upload changes nothing
+  const folder = `licenses/${user._id}`;
+  const frontImage = front ? await saveFile(front, folder) : previous.frontImage;
+  const backImage = back ? await saveFile(back, folder) : previous.backImage;
+
+  // Any change sends the license back to the verification queue
+  user.license = {
+    number: req.body.number,
+    country: req.body.country,
+    expiresAt: new Date(req.body.expiresAt),
+    frontImage,
+    backImage,
+    status: 'pending',
+    submittedAt: new Date()
+  };
+  await user.save();
+
+  // Remove the images that were replaced
+  if (front) await deleteFile(previous.frontImage);
+  if (back) await deleteFile(previous.backImage);
+
+  await notifyAdmins({
+    type: 'license_submitted',
+    title: 'Driving license to verify',
+    message: `${user.name} submitted a ${user.license.country} license expiring ${user.license.expiresAt.toDateString()}.`
+  });
+
+  // Log submission to audit trail
+  await createAuditLog(req, 'LICENSE_SUBMIT', 'user', {
+    country: user.license.country,
+    expiresAt: user.license.expiresAt,
+    replacedImages: [front && 'front', back && 'back'].filter(Boolean)
+  }, user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'License submitted - we will let you know once it has been verified',
+    data: { license: user.getLicenseSummary() }
+  });
+});
+
+// @desc    Get an image of the current user's driver's license
+// @route   GET /api/users/license/:side
+// @access  Private
+const getMyLicenseImage = asyncHandler(async (req, res) => {
+  await sendLicenseImage(res, req.user, req.params.side);
+});
+
+// @desc    Get driver's licenses for review
+// @route   GET /api/admin/licenses
+// @access  Private/Admin
+// Query params: status (default pending)
+const getLicenseQueue = asyncHandler(async (req, res) => {
+  const status = LICENSE_STATUSES.includes(req.query.status) ? req.query.status : 'pending';
+
+  // Oldest submissions first, so the queue is worked in order
+  const users = await User.find({ 'license.status': status })
+    .select('name email phone license')
+    .sort({ 'license.submittedAt': 1 });
+
+  res.status(200).json({
+    success: true,
+    data: { licenses: users.map(toQueueEntry) }
+  });
+});
+
+// @desc    Get an image of a user's driver's license
+// @route   GET /api/admin/users/:id/license/:side
+// @access  Private/Admin
+const getUserLicenseImage = asyncHandler(async (req, res) => {
+  const user = await findUser(req.params.id);
+  await sendLicenseImage(res, user, req.params.side);
+});
+
+// @desc    Approve a user's driver's license
+// @route   PUT /api/admin/users/:id/license/verify
+// @access  Private/Admin
+const verifyLicense = asyncHandler(async (req, res) => {
+  const user = await findUser(req.params.id);
+
+  if (user.license?.status !== 'pending') {
+    throw new AppError('Only licenses waiting for review can be verified', 400);
+  }
+  if (user.license.expiresAt <= new Date()) {
+    throw new AppError('This license has expired - reject it so the customer can upload a new one', 400);
+  }
+
+  Object.assign(user.license, {
+    status: 'verified',
+    reviewedAt: new Date(),
+    reviewedBy: req.user._id,
+    rejectionReason: undefined
+  });
+  await user.save();
+
+  await notifyUser(user._id, {
+    type: 'license_verified',
+    title: 'Driving license verified',
+    message: `Your license is verified until ${user.license.expiresAt.toDateString()}. You can now confirm bookings.`
+  });
+
+  // Log verification to audit trail
+  await createAuditLog(req, 'LICENSE_VERIFY', 'user', {
+    country: user.license.country,
+    expiresAt: user.license.expiresAt
+  }, user._id);
+
+  res.status(200).json({
+    success: true,
+    message: `License verified for ${user.name}`,
+    data: toQueueEntry(user)
+  });
+});
+
+// @desc    Reject a user's driver's license
+// @route   PUT /api/admin/users/:id/license/reject
+// @access  Private/Admin
+// Body: { reason } - shown to the customer
+// A verified license can also be rejected (e.g. it turns out to be invalid)
+const rejectLicense = asyncHandler(async (req, res) => {
+  const user = await findUser(req.params.id);
+
+  if (!['pending', 'verified'].includes(user.license?.status)) {
+    throw new AppError('Only submitted licenses can be rejected', 400);
+  }
+
+  const previousStatus = user.license.status;
+  Object.assign(user.license, {
+    status: 'rejected',
+    reviewedAt: new Date(),
+    reviewedBy: req.user._id,
+    rejectionReason: req.body.reason
+  });
+  await user.save();
+
+  await notifyUser(user._id, {
+    type: 'license_rejected',
+    title: 'Driving license not approved',
+    message: `${req.body.reason}. Please upload your license again from your profile.`
+  });
+
+  // Log rejection to audit trail
+  await createAuditLog(req, 'LICENSE_REJECT', 'user', {
+    previousStatus,
+    reason: req.body.reason
+  }, user._id);
+
+  res.status(200).json({
+    success: true,
+    message: `License rejected for ${user.name}`,
+    data: toQueueEntry(user)
+  });
+});
+
+// Export license controller functions
+module.exports = {
+  getMyLicense,        // Get own license
+  submitLicense,       // Submit or replace own license
+  getMyLicenseImage,   // Stream own license image
+  getLicenseQueue,     // List licenses for review
+  getUserLicenseImage, // Stream a user's license image
+  verifyLicense,       // Approve a license
+  rejectLicense        // Reject a license
+};
@@ -0,0 +1,185 @@
+// Location model for pickup and drop-off branches
+const Location = require('../models/Location');
+// Car model for checking which cars belong to a location
+const Car = require('../models/Car');
+// TaxConfig model for checking a location's taxes and fees
+const TaxConfig = require('../models/TaxConfig');
+// Async handler to catch errors and pass to error middleware
+const { asyncHandler } = require('../middleware/errorHandler');
+// Audit logging utility for tracking location changes
+const { createAuditLog } = require('../middleware/auditLogger');
+
+// Fields an admin may set on a location
+const LOCATION_FIELDS = ['name', 'address', 'coordinates', 'openingHours', 'timezone', 'oneWayFee', 'isActive'];
+
+// Helper function to pick the editable fields from a request body
+// An empty one-way fee falls back to the default fee
+const pickLocationFields = (body) => {
+  const fields = {};
+  for (const field of LOCATION_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field] === '' ? null : body[field];
+  }
+  return fields;
+};
+
+// @desc    Get locations customers can pick up from
+// @route   GET /api/locations
+// @access  Public
+// Admins can pass ?all=true to include inactive locations
+const getLocations = asyncHandler(async (req, res) => {
+  const locations = req.query.all === 'true' && req.user?.role === 'admin'
+    ? await Location.find().sort({ name: 1 })
+    : await Location.findActive();
+
+  res.status(200).json({
+    success: true,
+    data: { locations }
+  });
+});
+
+// @desc    Get a single location
+// @route   GET /api/locations/:id
+// @access  Public
+const getLocationById = asyncHandler(async (req, res) => {
+  const location = await Location.findById(req.params.id);
+
+  // Return 404 if location not found
+  if (!location) {
+    return res.status(404).json({
+      success: false,
+      message: 'Location not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { location }
+  });
+});
+
+// @desc    Create a location
+// @route   POST /api/locations
+// @access  Private/Admin
+const createLocation = asyncHandler(async (req, res) => {
+  const location = await Location.create(pickLocationFields(req.body));
+
+  // Log location creation to audit trail
+  await createAuditLog(req, 'SETTINGS_UPDATE', 'admin', {
+    setting: 'location',
+    action: 'create',
+    name: location.name,
+    timezone: location.timezone
+  }, location._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Location created successfully',
+    data: { location }
+  });
+});
+
+// @desc    Update a location
+// @route   PUT /api/locations/:id
+// @access  Private/Admin
+const updateLocation = asyncHandler(async (req, res) => {
+  const location = await Location.findById(req.params.id);
+
+  // Return 404 if location not found
+  if (!location) {
+    return res.status(404).json({
+      success: false,
+      message: 'Location not found'
+    });
+  }
+
+  // Store previous state for audit log
+  const previousState = {
+    name: location.name,
+    oneWayFee: location.oneWayFee,
+    isActive: location.isActive
+  };
+
+  location.set(pickLocationFields(req.body));
+  await location.save();
+
+  // Keep the display name on cars parked here in step with a rename
+  if (previousState.name !== location.name) {
+    await Car.updateMany({ currentLocation: location._id }, { location: location.name });
+  }
+
+  // Log change to audit trail with before/after states
+  await createAuditLog(req, 'SETTINGS_UPDATE', 'admin', {
+    setting: 'location',
+    action: 'update',
+    previousState,
+    newState: {
+      name: location.name,
+      oneWayFee: location.oneWayFee,
+      isActive: location.isActive
+    }
+  }, location._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Location updated successfully',
+    data: { location }
+  });
+});
+
+// @desc    Delete a location
+// @route   DELETE /api/locations/:id
+// @access  Private/Admin
+// Locations with cars assigned should be deactivated instead
+const deleteLocation = asyncHandler(async (req, res) => {
+  const location = await Location.findById(req.params.id);
+
+  // Return 404 if location not found
+  if (!location) {
+    return res.status(404).json({
+      success: false,
+      message: 'Location not found'
+    });
+  }
+
+  // Cars must be moved before their location can go
+  const carCount = await Car.countDocuments({
+    $or: [{ homeLocation: location._id }, { currentLocation: location._id }]
+  });
+  if (carCount > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot delete a location with ${carCount} car(s) assigned. Deactivate it instead.`
+    });
+  }
+
+  // Its taxes and fees must go first (deactivated locations keep them)
+  if (await TaxConfig.exists({ location: location._id })) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cannot delete a location with a tax configuration. Delete the configuration or deactivate the location instead.'
+    });
+  }
+
+  await location.deleteOne();
+
+  // Log deletion to audit trail
+  await createAuditLog(req, 'SETTINGS_UPDATE', 'admin', {
+    setting: 'location',
+    action: 'delete',
+    name: location.name
+  }, location._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Location deleted successfully'
+  });
+});
+
+// Export location controller functions
+module.exports = {
+  getLocations,     // List locations
+  getLocationById,  // Get a single location
+  createLocation,   // Create a location
+  updateLocation,   // Update a location
+  deleteLocation    // Delete a location without cars
+};
@@ -0,0 +1,71 @@
+// Notification model for the current user's in-app notifications
+const Notification = require('../models/Notification');
+// Async handler to catch errors and pass to error middleware
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// @desc    Get current user's notifications
+// @route   GET /api/notifications
+// @access  Private
+// Query params: limit (default 20)
+const getMyNotifications = asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+  const [notifications, unreadCount] = await Promise.all([
+    Notification.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(limit),
+    Notification.countDocuments({ user: req.user._id, readAt: null })
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: { notifications, unreadCount }
+  });
+});
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+const markNotificationRead = asyncHandler(async (req, res) => {
+  // Users can only mark their own notifications
+  const notification = await Notification.findOneAndUpdate(
+    { _id: req.params.id, user: req.user._id },
+    { $set: { readAt: new Date() } },
+    { new: true }
+  );
+
+  // Return 404 if notification not found
+  if (!notification) {
+    return res.status(404).json({
+      success: false,
+      message: 'Notification not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { notification }
+  });
+});
+
+// @desc    Mark all of the current user's notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  await Notification.updateMany(
+    { user: req.user._id, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'All notifications marked as read'
+  });
+});
+
+// Export notification controller functions
+module.exports = {
+  getMyNotifications,       // List the user's notifications
+  markNotificationRead,     // Mark one notification read
+  markAllNotificationsRead  // Mark all notifications read
+};
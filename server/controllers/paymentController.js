@@ -1,12 +1,35 @@
 // Booking model for updating payment status on reservations
 const Booking = require('../models/Booking');
+// Reservation ledger for releasing a refunded booking's rental days
+const Reservation = require('../models/Reservation');
+// Extras ledger for releasing a cancelled booking's extras
+const ExtraReservation = require('../models/ExtraReservation');
+// Booking status state machine
+const { canTransition, transitionStatus } = require('../utils/bookingStatus');
 // Async handler to catch errors and pass to error middleware
-const { asyncHandler } = require('../middleware/errorHandler');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
 // Audit logging utility for tracking payment actions
 const { createAuditLog } = require('../middleware/auditLogger');
-
-// Initialize Stripe SDK with secret key from environment variables
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+// Saves the paying card to the customer for later charges
+const { getPaymentCustomerId } = require('../utils/cardOnFile');
+// Refund ledger
+const { PAID_PAYMENT_STATUSES, getRefundSummary, issueRefund } = require('../utils/refunds');
+// Offer a cancelled booking's dates to the waitlist
+const { offerFreedWindow } = require('../utils/waitlist');
+// Payment ledger
+const { recordPayment } = require('../utils/ledger');
+// Invoices and credit notes
+const { issueInvoiceDocuments } = require('../utils/invoices');
+// Webhook event store and the payment helpers shared with the webhook handlers
+const {
+  SUPPLEMENTARY_PAYMENT_TYPES, UNSETTLED_PAYMENT_STATUSES, recordWebhookEvent, processWebhookEvent,
+  settleAdjustment, cancelUnfinishedPayment, paysForBooking, refundOutdatedPayment, isBookingPayment,
+  refundDuplicatePayment, reinstateExpiredHold, refundLapsedHold, refundCancelledBooking
+} = require('../utils/paymentWebhooks');
+// Apply or drop modifications held until their extra cost is paid
+const { completeModification, dropModification } = require('../utils/modifications');
+// Payment provider (Stripe or the mock)
+const paymentProvider = require('../utils/paymentProvider');
 
 // @desc    Create payment intent
 // @route   POST /api/payments/create-intent
@@ -35,17 +58,46 @@ const createPaymentIntent = asyncHandler(async (req, res) => {
   }
 
   // Prevent double payment
-  if (booking.paymentStatus === 'paid') {
+  if (PAID_PAYMENT_STATUSES.includes(booking.paymentStatus)) {
     return res.status(400).json({
       success: false,
       message: 'Booking is already paid'
     });
   }
 
-  // Create Stripe payment intent with booking amount
-  const paymentIntent = await stripe.paymentIntents.create({
-    amount: Math.round(booking.totalPrice * 100), // Convert to cents for Stripe
-    currency: 'usd',
+  // Reject payment once the booking's hold on the car has lapsed
+  const holdLapsed = booking.status === 'pending' && booking.holdExpiresAt && booking.holdExpiresAt <= new Date();
+  if (booking.status === 'expired' || holdLapsed) {
+    return res.status(400).json({
+      success: false,
+      message: 'Booking hold has expired. Please book again.'
+    });
+  }
+
+  // Payment confirms the booking, which needs a verified license valid until the car comes back
+  const licenseError = req.user.checkLicense(booking.endDate);
+  if (licenseError) {
+    return res.status(403).json({
+      success: false,
+      message: licenseError,
+      data: { licenseRequired: true }
+    });
+  }
+
+  // Only one payment for the booking may go through - cancel an earlier attempt
+  if (!(await cancelUnfinishedPayment(booking))) {
+    return res.status(409).json({
+      success: false,
+      message: 'A payment for this booking is already going through. Your booking will be confirmed as soon as it completes.'
+    });
+  }
+
+  // Create payment intent with booking amount
+  // The card is saved to the customer so charges at check-in can be taken off-session
+  const paymentIntent = await paymentProvider.createPaymentIntent({
+    amount: Math.round(booking.totalPrice * 100), // Convert to cents
+    customer: await getPaymentCustomerId(req.user),
+    saveCard: true,
     metadata: {
       bookingId: booking._id.toString(),
       userId: req.user._id.toString(),
@@ -65,7 +117,7 @@ const createPaymentIntent = asyncHandler(async (req, res) => {
     paymentIntentId: paymentIntent.id
   }, booking._id);
 
-  // Return client secret for frontend Stripe integration
+  // Return client secret for the checkout page to confirm the payment with
   res.status(200).json({
     success: true,
     data: {
@@ -94,17 +146,176 @@ const confirmPayment = asyncHandler(async (req, res) => {
     });
   }
 
-  // Verify payment status with Stripe
-  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  // Verify payment status with the payment provider
+  const paymentIntent = await paymentProvider.retrievePaymentIntent(paymentIntentId);
+
+  // Post the payment to the ledger if the webhook hasn't yet
+  await recordPayment(paymentIntent, { createdBy: req.user._id });
+
+  // A paid modification is applied now - or refunded if it was dropped while the customer was paying
+  if (paymentIntent.metadata?.type === 'modification' && paymentIntent.status === 'succeeded') {
+    const outcome = await completeModification(booking, paymentIntent);
+
+    if (outcome === 'refunded') {
+      // Log automatic refund to audit trail
+      await createAuditLog(req, 'PAYMENT_REFUND', 'payment', {
+        bookingId: booking._id,
+        amount: paymentIntent.amount / 100,
+        paymentIntentId,
+        reason: 'modification_dropped'
+      }, booking._id);
+
+      return res.status(409).json({
+        success: false,
+        message: 'This change was no longer waiting to be paid for, so it was not made. Your payment has been refunded.'
+      });
+    }
+
+    if (outcome === 'applied') {
+      // Log successful supplementary payment to audit trail
+      await createAuditLog(req, 'PAYMENT_SUCCESS', 'payment', {
+        bookingId: booking._id,
+        amount: paymentIntent.amount / 100,
+        paymentIntentId,
+        type: paymentIntent.metadata.type
+      }, booking._id);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Payment successful',
+      data: { booking }
+    });
+  }
+
+  // Other supplementary payments (e.g. return charges) - settle the adjustment only
+  if (SUPPLEMENTARY_PAYMENT_TYPES.includes(paymentIntent.metadata?.type) && paymentIntent.status === 'succeeded') {
+    settleAdjustment(booking, paymentIntent.id, 'succeeded');
+    await booking.save();
+
+    // Log successful supplementary payment to audit trail
+    await createAuditLog(req, 'PAYMENT_SUCCESS', 'payment', {
+      bookingId: booking._id,
+      amount: paymentIntent.amount / 100,
+      paymentIntentId,
+      type: paymentIntent.metadata.type
+    }, booking._id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Payment successful',
+      data: { booking }
+    });
+  }
 
   // If payment succeeded, update booking status
   if (paymentIntent.status === 'succeeded') {
+    // Already recorded by the webhook (or refunded since) - a refunded
+    // booking must not be marked paid again
+    if (!UNSETTLED_PAYMENT_STATUSES.includes(booking.paymentStatus)) {
+      if (isBookingPayment(booking, paymentIntent)) {
+        return res.status(200).json({
+          success: true,
+          message: 'Payment successful',
+          data: { booking }
+        });
+      }
+
+      // A second payment went through for a booking that was already paid - give it back
+      const refund = await refundDuplicatePayment(booking, paymentIntent);
+
+      // Log automatic refund to audit trail
+      if (refund) {
+        await createAuditLog(req, 'PAYMENT_REFUND', 'payment', {
+          bookingId: booking._id,
+          amount: paymentIntent.amount / 100,
+          paymentIntentId,
+          refundId: refund.id,
+          reason: 'duplicate_payment'
+        }, booking._id);
+      }
+
+      return res.status(409).json({
+        success: false,
+        message: 'This booking was already paid, so this payment has been refunded.'
+      });
+    }
+
+    // Started before the booking's price changed - give the money back, the booking stays unpaid
+    if (!paysForBooking(booking, paymentIntent)) {
+      const refund = await refundOutdatedPayment(booking, paymentIntent);
+
+      // Log automatic refund to audit trail
+      if (refund) {
+        await createAuditLog(req, 'PAYMENT_REFUND', 'payment', {
+          bookingId: booking._id,
+          amount: paymentIntent.amount / 100,
+          paymentIntentId,
+          refundId: refund.id,
+          reason: 'outdated_payment'
+        }, booking._id);
+      }
+
+      return res.status(409).json({
+        success: false,
+        message: 'This payment was for an earlier version of your booking and has been refunded. Please pay the current total.'
+      });
+    }
+
+    // Hold lapsed while the customer was paying - refund if the dates were taken since
+    if (booking.status === 'expired' && !(await reinstateExpiredHold(booking))) {
+      const refund = await refundLapsedHold(booking, paymentIntent.id);
+
+      // Log automatic refund to audit trail
+      await createAuditLog(req, 'PAYMENT_REFUND', 'payment', {
+        bookingId: booking._id,
+        refundIds: refund.refundIds,
+        reason: 'hold_expired'
+      }, booking._id);
+
+      return res.status(409).json({
+        success: false,
+        message: 'Your booking hold expired and the car is no longer available for these dates. Your payment has been refunded.'
+      });
+    }
+
+    // Booking was cancelled while the customer was paying - the car was released,
+    // so give the money back rather than confirming it
+    if (booking.status === 'cancelled') {
+      const refund = await refundCancelledBooking(booking, paymentIntent.id);
+
+      // Log automatic refund to audit trail
+      await createAuditLog(req, 'PAYMENT_REFUND', 'payment', {
+        bookingId: booking._id,
+        refundIds: refund.refundIds,
+        reason: 'cancelled'
+      }, booking._id);
+
+      return res.status(409).json({
+        success: false,
+        message: 'This booking was cancelled before the payment completed. Your payment has been refunded.'
+      });
+    }
+
     // Update booking payment status and confirm reservation
+    // (refunds are made from the PaymentIntent that paid for the booking)
     booking.paymentStatus = 'paid';
+    booking.paymentIntentId = paymentIntent.id;
     booking.paymentId = paymentIntent.id;
-    booking.status = 'confirmed';
+    // Bookings an admin confirmed before payment may already be under way
+    if (canTransition(booking.status, 'confirmed')) {
+      transitionStatus(booking, 'confirmed', {
+        changedBy: req.user._id,
+        reason: 'Payment confirmed'
+      });
+    }
     await booking.save();
 
+    // Issue the invoice (issued again on download if this fails)
+    await issueInvoiceDocuments(booking).catch((error) => {
+      console.error(`Error issuing invoice for booking ${booking._id}:`, error.message);
+    });
+
     // Log successful payment to audit trail
     await createAuditLog(req, 'PAYMENT_SUCCESS', 'payment', {
       bookingId: booking._id,
@@ -118,6 +329,13 @@ const confirmPayment = asyncHandler(async (req, res) => {
       message: 'Payment successful',
       data: { booking }
     });
+  } else if (paymentIntent.status === 'processing') {
+    // The bank hasn't answered yet - the webhook confirms the booking once it does
+    res.status(202).json({
+      success: true,
+      message: 'Your payment is processing. Your booking will be confirmed as soon as it completes.',
+      data: { booking, processing: true }
+    });
   } else {
     // Log failed payment attempt to audit trail
     await createAuditLog(req, 'PAYMENT_FAILED', 'payment', {
@@ -134,87 +352,42 @@ const confirmPayment = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Handle Stripe webhook
+// @desc    Handle payment provider webhook
 // @route   POST /api/payments/webhook
-// @access  Public (Stripe)
+// @access  Public (payment provider)
 const handleWebhook = asyncHandler(async (req, res) => {
-  // Get Stripe signature from headers for verification
-  const sig = req.headers['stripe-signature'];
   let event;
 
   try {
-    // Verify webhook signature to ensure request is from Stripe
-    event = stripe.webhooks.constructEvent(
-      req.body,
-      sig,
-      process.env.STRIPE_WEBHOOK_SECRET
-    );
+    // Verify webhook signature to ensure request is from the payment provider
+    event = paymentProvider.constructWebhookEvent(req.body, req.headers);
   } catch (err) {
     // Log signature verification failure
     console.error('Webhook signature verification failed:', err.message);
     return res.status(400).json({ message: `Webhook Error: ${err.message}` });
   }
 
-  // Handle different Stripe event types
-  switch (event.type) {
-    case 'payment_intent.succeeded':
-      // Process successful payment
-      const paymentIntent = event.data.object;
-      await handleSuccessfulPayment(paymentIntent);
-      break;
-
-    case 'payment_intent.payment_failed':
-      // Process failed payment
-      const failedPayment = event.data.object;
-      await handleFailedPayment(failedPayment);
-      break;
-
-    default:
-      // Log unhandled event types for debugging
-      console.log(`Unhandled event type: ${event.type}`);
+  // Store the event first - a redelivery of one already handled is acknowledged and skipped
+  const { webhookEvent, duplicate } = await recordWebhookEvent(event);
+  if (duplicate && ['processed', 'ignored'].includes(webhookEvent.status)) {
+    return res.status(200).json({ received: true, duplicate: true });
   }
 
-  // Acknowledge receipt of webhook
-  res.status(200).json({ received: true });
-});
+  const processed = await processWebhookEvent(webhookEvent);
 
-// Helper function for successful payment webhook processing
-// Updates booking status when payment succeeds via webhook
-const handleSuccessfulPayment = async (paymentIntent) => {
-  // Extract booking ID from payment metadata
-  const bookingId = paymentIntent.metadata.bookingId;
-
-  if (bookingId) {
-    // Find and update booking if not already marked as paid
-    const booking = await Booking.findById(bookingId);
-    if (booking && booking.paymentStatus !== 'paid') {
-      booking.paymentStatus = 'paid';
-      booking.paymentId = paymentIntent.id;
-      booking.status = 'confirmed';
-      await booking.save();
-
-      console.log(`Booking ${bookingId} payment confirmed via webhook`);
-    }
+  // Another delivery is handling the event - ask the provider to try again later
+  if (!processed) {
+    return res.status(409).json({ message: 'Event is already being processed' });
   }
-};
-
-// Helper function for failed payment webhook processing
-// Updates booking payment status when payment fails
-const handleFailedPayment = async (paymentIntent) => {
-  // Extract booking ID from payment metadata
-  const bookingId = paymentIntent.metadata.bookingId;
-
-  if (bookingId) {
-    // Find and update booking payment status to failed
-    const booking = await Booking.findById(bookingId);
-    if (booking) {
-      booking.paymentStatus = 'failed';
-      await booking.save();
 
-      console.log(`Booking ${bookingId} payment failed via webhook`);
-    }
+  // The handler failed - a non-2xx response makes the provider redeliver the event
+  if (processed.status === 'failed') {
+    return res.status(500).json({ message: 'Webhook processing failed' });
   }
-};
+
+  // Acknowledge receipt of webhook
+  res.status(200).json({ received: true });
+});
 
 // @desc    Get payment status
 // @route   GET /api/payments/:bookingId/status
@@ -239,12 +412,12 @@ const getPaymentStatus = asyncHandler(async (req, res) => {
     });
   }
 
-  // Get current Stripe payment status if payment intent exists
-  let stripeStatus = null;
+  // Get current payment provider status if payment intent exists
+  let providerStatus = null;
   if (booking.paymentIntentId) {
     try {
-      const paymentIntent = await stripe.paymentIntents.retrieve(booking.paymentIntentId);
-      stripeStatus = paymentIntent.status;
+      const paymentIntent = await paymentProvider.retrievePaymentIntent(booking.paymentIntentId);
+      providerStatus = paymentIntent.status;
     } catch (error) {
       console.error('Error fetching payment intent:', error);
     }
@@ -256,72 +429,166 @@ const getPaymentStatus = asyncHandler(async (req, res) => {
     data: {
       bookingId: booking._id,
       paymentStatus: booking.paymentStatus,
-      stripeStatus,
-      amount: booking.totalPrice
+      providerStatus,
+      amount: booking.totalPrice,
+      deposit: booking.deposit
     }
   });
 });
 
-// @desc    Process refund
+// @desc    Get a booking's refund ledger and what can still be refunded
+// @route   GET /api/payments/:bookingId/refunds
+// @access  Private/Admin
+const getRefunds = asyncHandler(async (req, res) => {
+  const booking = await Booking.findById(req.params.bookingId).populate('refunds.createdBy', 'name');
+  if (!booking) throw new AppError('Booking not found', 404);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      paymentStatus: booking.paymentStatus,
+      refunds: booking.refunds,
+      ...(await getRefundSummary(booking))
+    }
+  });
+});
+
+// @desc    Refund part or all of a booking's payment
 // @route   POST /api/payments/:bookingId/refund
 // @access  Private/Admin
+// Body: { amount (default everything not yet refunded), reason, cancelBooking }
 const processRefund = asyncHandler(async (req, res) => {
+  const { amount, reason, cancelBooking } = req.body;
+
   // Find booking by ID from URL parameter
   const booking = await Booking.findById(req.params.bookingId);
+  if (!booking) throw new AppError('Booking not found', 404);
 
-  // Return 404 if booking not found
-  if (!booking) {
-    return res.status(404).json({
-      success: false,
-      message: 'Booking not found'
-    });
+  // Verify booking was paid (and not refunded in full) before allowing refund
+  if (!PAID_PAYMENT_STATUSES.includes(booking.paymentStatus)) {
+    throw new AppError(booking.paymentStatus === 'refunded'
+      ? 'This booking has already been refunded in full'
+      : 'Cannot refund unpaid booking', 400);
+  }
+  if (cancelBooking && !canTransition(booking.status, 'cancelled')) {
+    throw new AppError(`Cannot cancel a ${booking.status} booking`, 400);
   }
 
-  // Verify booking was paid before allowing refund
-  if (booking.paymentStatus !== 'paid') {
-    return res.status(400).json({
-      success: false,
-      message: 'Cannot refund unpaid booking'
+  // Refund through the payment provider - capped at what is left of the payment
+  const refund = await issueRefund(booking, {
+    amount,
+    type: 'manual',
+    reason,
+    createdBy: req.user._id
+  });
+
+  // Refunding a rental that won't happen also cancels it
+  if (cancelBooking) {
+    // along with any change still waiting to be paid for
+    await dropModification(booking);
+    transitionStatus(booking, 'cancelled', {
+      changedBy: req.user._id,
+      reason: `Refunded: ${reason}`
     });
+    booking.cancelledAt = new Date();
+    booking.cancellationReason = reason;
+  }
+  await booking.save();
+
+  // Free the car's reserved days and offer them to the waitlist
+  if (cancelBooking) {
+    await Reservation.release(booking._id);
+    await ExtraReservation.release(booking._id);
+    await offerFreedWindow(booking.car, booking.startDate, booking.endDate);
   }
 
-  // Process refund through Stripe
-  const refund = await stripe.refunds.create({
-    payment_intent: booking.paymentIntentId
+  // Log refund to audit trail
+  await createAuditLog(req, 'PAYMENT_REFUND', 'payment', {
+    bookingId: booking._id,
+    refundIds: refund.refundIds,
+    amount: refund.amount,
+    reason,
+    paymentStatus: booking.paymentStatus,
+    ...(cancelBooking && { cancelled: true })
+  }, booking._id);
+
+  res.status(200).json({
+    success: true,
+    message: `$${refund.amount.toFixed(2)} refunded${cancelBooking ? ' and booking cancelled' : ''}`,
+    data: { refund, booking }
   });
+});
 
-  // If refund succeeded, update booking status
-  if (refund.status === 'succeeded') {
-    booking.paymentStatus = 'refunded';
-    booking.status = 'cancelled';
-    await booking.save();
+// @desc    Get the settings the checkout page needs to take payments
+// @route   GET /api/payments/config
+// @access  Public
+const getPaymentConfig = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: paymentProvider.getClientConfig()
+  });
+});
 
-    // Log refund to audit trail
-    await createAuditLog(req, 'PAYMENT_REFUND', 'payment', {
-      bookingId: booking._id,
-      refundId: refund.id
-    }, booking._id);
+// Helper function to load a mock PaymentIntent the current user is paying
+const findOwnMockPaymentIntent = async (req) => {
+  const paymentIntent = await paymentProvider.retrievePaymentIntent(req.params.paymentIntentId).catch(() => null);
+  if (!paymentIntent) throw new AppError('Payment not found', 404);
+  if (paymentIntent.metadata.userId !== req.user._id.toString()) {
+    throw new AppError('Not authorized to pay for this booking', 403);
+  }
+  return paymentIntent;
+};
 
-    // Return success with refund ID
+// Helper function to respond with the outcome of a mock card action
+// Declines come back as the card error message, like Stripe.js reports them
+const respondWithMockOutcome = async (res, action) => {
+  try {
+    const paymentIntent = await action();
     res.status(200).json({
       success: true,
-      message: 'Refund processed successfully',
-      data: { refundId: refund.id }
+      data: { paymentIntent: { id: paymentIntent.id, status: paymentIntent.status } }
     });
-  } else {
-    // Return failure if refund didn't succeed
-    res.status(400).json({
+  } catch (error) {
+    if (error.type !== 'card_error') throw new AppError(error.message, 400);
+    res.status(402).json({
       success: false,
-      message: 'Refund failed'
+      message: error.message,
+      data: { paymentIntent: { id: error.paymentIntent.id, status: error.paymentIntent.status } }
     });
   }
+};
+
+// @desc    Confirm a payment with a test payment method (mock provider only)
+// @route   POST /api/payments/mock/:paymentIntentId/confirm
+// @access  Private
+// Body: { paymentMethod } - one of the test payment methods from GET /api/payments/config
+const confirmMockPayment = asyncHandler(async (req, res) => {
+  const paymentIntent = await findOwnMockPaymentIntent(req);
+  await respondWithMockOutcome(res, () => paymentProvider.confirmPaymentIntent(paymentIntent.id, {
+    paymentMethod: req.body.paymentMethod
+  }));
+});
+
+// @desc    Complete or fail a payment's 3D Secure challenge (mock provider only)
+// @route   POST /api/payments/mock/:paymentIntentId/authenticate
+// @access  Private
+// Body: { success }
+const authenticateMockPayment = asyncHandler(async (req, res) => {
+  const paymentIntent = await findOwnMockPaymentIntent(req);
+  await respondWithMockOutcome(res, () => paymentProvider.authenticatePaymentIntent(paymentIntent.id, {
+    success: req.body.success === true
+  }));
 });
 
 // Export all payment controller functions
 module.exports = {
-  createPaymentIntent,  // Create Stripe payment intent
-  confirmPayment,       // Confirm payment completion
-  handleWebhook,        // Handle Stripe webhook events
-  getPaymentStatus,     // Get payment status for booking
-  processRefund         // Admin: process refund
+  getPaymentConfig,       // Checkout settings for the payment provider
+  createPaymentIntent,    // Create payment intent
+  confirmPayment,         // Confirm payment completion
+  handleWebhook,          // Handle payment provider webhook events
+  getPaymentStatus,       // Get payment status for booking
+  getRefunds,             // Admin: refund ledger
+  processRefund,          // Admin: refund part or all of a payment
+  confirmMockPayment,     // Mock provider: pay with a test payment method
+  authenticateMockPayment // Mock provider: answer a 3D Secure challenge
 };
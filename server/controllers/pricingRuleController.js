@@ -0,0 +1,133 @@
+// PricingRule model for admin-defined rate adjustments
+const PricingRule = require('../models/PricingRule');
+// Async handler to catch errors and pass to error middleware
+const { asyncHandler } = require('../middleware/errorHandler');
+// Audit logging utility for tracking pricing changes
+const { createAuditLog } = require('../middleware/auditLogger');
+
+// Fields an admin may set on a pricing rule
+const RULE_FIELDS = [
+  'name', 'type', 'multiplier', 'startDate', 'endDate',
+  'daysOfWeek', 'minDays', 'carTypes', 'priority', 'isActive'
+];
+
+// Helper function to pick the editable fields from a request body
+const pickRuleFields = (body) => {
+  const fields = {};
+  for (const field of RULE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+// @desc    Get all pricing rules
+// @route   GET /api/admin/pricing-rules
+// @access  Private/Admin
+const getPricingRules = asyncHandler(async (req, res) => {
+  // Optional filter by rule type
+  const query = {};
+  if (req.query.type) query.type = req.query.type;
+
+  // Group by type, highest priority first
+  const rules = await PricingRule.find(query).sort({ type: 1, priority: -1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: { rules }
+  });
+});
+
+// @desc    Create a pricing rule
+// @route   POST /api/admin/pricing-rules
+// @access  Private/Admin
+const createPricingRule = asyncHandler(async (req, res) => {
+  const rule = await PricingRule.create(pickRuleFields(req.body));
+
+  // Log rule creation to audit trail
+  await createAuditLog(req, 'SETTINGS_UPDATE', 'admin', {
+    setting: 'pricingRule',
+    action: 'create',
+    name: rule.name,
+    type: rule.type,
+    multiplier: rule.multiplier
+  }, rule._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Pricing rule created successfully',
+    data: { rule }
+  });
+});
+
+// @desc    Update a pricing rule
+// @route   PUT /api/admin/pricing-rules/:id
+// @access  Private/Admin
+// Existing bookings keep the line items priced when they were created
+const updatePricingRule = asyncHandler(async (req, res) => {
+  const rule = await PricingRule.findById(req.params.id);
+
+  // Return 404 if rule not found
+  if (!rule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pricing rule not found'
+    });
+  }
+
+  // Store previous state for audit log
+  const previousState = rule.toObject();
+
+  rule.set(pickRuleFields(req.body));
+  await rule.save();
+
+  // Log change to audit trail with before/after states
+  await createAuditLog(req, 'SETTINGS_UPDATE', 'admin', {
+    setting: 'pricingRule',
+    action: 'update',
+    previousState: { name: previousState.name, multiplier: previousState.multiplier, isActive: previousState.isActive },
+    newState: { name: rule.name, multiplier: rule.multiplier, isActive: rule.isActive }
+  }, rule._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Pricing rule updated successfully',
+    data: { rule }
+  });
+});
+
+// @desc    Delete a pricing rule
+// @route   DELETE /api/admin/pricing-rules/:id
+// @access  Private/Admin
+const deletePricingRule = asyncHandler(async (req, res) => {
+  const rule = await PricingRule.findById(req.params.id);
+
+  // Return 404 if rule not found
+  if (!rule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pricing rule not found'
+    });
+  }
+
+  await rule.deleteOne();
+
+  // Log deletion to audit trail
+  await createAuditLog(req, 'SETTINGS_UPDATE', 'admin', {
+    setting: 'pricingRule',
+    action: 'delete',
+    name: rule.name
+  }, rule._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Pricing rule deleted successfully'
+  });
+});
+
+// Export pricing rule controller functions
+module.exports = {
+  getPricingRules,    // List pricing rules
+  createPricingRule,  // Create a pricing rule
+  updatePricingRule,  // Update a pricing rule
+  deletePricingRule   // Delete a pricing rule
+};
@@ -0,0 +1,180 @@
+// PromoCode model for checkout discount codes
+const PromoCode = require('../models/PromoCode');
+// Async handler to catch errors and pass to error middleware
+const { asyncHandler } = require('../middleware/errorHandler');
+// Audit logging utility for tracking promo code changes
+const { createAuditLog } = require('../middleware/auditLogger');
+
+// Fields an admin may set on a promo code (redemption counters are system-managed)
+const PROMO_FIELDS = [
+  'code', 'description', 'discountType', 'value', 'validFrom', 'validUntil',
+  'maxRedemptions', 'maxPerUser', 'minDays', 'carTypes', 'isActive'
+];
+
+// Helper function to pick the editable fields from a request body
+// Empty strings clear optional limits and dates
+const pickPromoFields = (body) => {
+  const fields = {};
+  for (const field of PROMO_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field] === '' ? null : body[field];
+  }
+  return fields;
+};
+
+// @desc    Get all promo codes
+// @route   GET /api/admin/promo-codes
+// @access  Private/Admin
+const getPromoCodes = asyncHandler(async (req, res) => {
+  // Optional search by code
+  const query = {};
+  if (req.query.search) {
+    query.code = { $regex: req.query.search.trim().toUpperCase(), $options: 'i' };
+  }
+
+  // Redemption details are only loaded for a single code
+  const promoCodes = await PromoCode.find(query)
+    .select('-redemptions')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: { promoCodes }
+  });
+});
+
+// @desc    Get a promo code with its redemptions
+// @route   GET /api/admin/promo-codes/:id
+// @access  Private/Admin
+const getPromoCodeById = asyncHandler(async (req, res) => {
+  const promoCode = await PromoCode.findById(req.params.id)
+    .populate('redemptions.user', 'name email')
+    .populate('redemptions.booking', 'startDate endDate status totalPrice');
+
+  // Return 404 if code not found
+  if (!promoCode) {
+    return res.status(404).json({
+      success: false,
+      message: 'Promo code not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { promoCode }
+  });
+});
+
+// @desc    Create a promo code
+// @route   POST /api/admin/promo-codes
+// @access  Private/Admin
+const createPromoCode = asyncHandler(async (req, res) => {
+  const promoCode = await PromoCode.create(pickPromoFields(req.body));
+
+  // Log code creation to audit trail
+  await createAuditLog(req, 'SETTINGS_UPDATE', 'admin', {
+    setting: 'promoCode',
+    action: 'create',
+    code: promoCode.code,
+    discountType: promoCode.discountType,
+    value: promoCode.value
+  }, promoCode._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Promo code created successfully',
+    data: { promoCode }
+  });
+});
+
+// @desc    Update a promo code
+// @route   PUT /api/admin/promo-codes/:id
+// @access  Private/Admin
+// Bookings that already redeemed the code keep the terms they redeemed under
+const updatePromoCode = asyncHandler(async (req, res) => {
+  const promoCode = await PromoCode.findById(req.params.id).select('-redemptions');
+
+  // Return 404 if code not found
+  if (!promoCode) {
+    return res.status(404).json({
+      success: false,
+      message: 'Promo code not found'
+    });
+  }
+
+  // Store previous state for audit log
+  const previousState = {
+    code: promoCode.code,
+    value: promoCode.value,
+    maxRedemptions: promoCode.maxRedemptions,
+    isActive: promoCode.isActive
+  };
+
+  promoCode.set(pickPromoFields(req.body));
+  await promoCode.save();
+
+  // Log change to audit trail with before/after states
+  await createAuditLog(req, 'SETTINGS_UPDATE', 'admin', {
+    setting: 'promoCode',
+    action: 'update',
+    previousState,
+    newState: {
+      code: promoCode.code,
+      value: promoCode.value,
+      maxRedemptions: promoCode.maxRedemptions,
+      isActive: promoCode.isActive
+    }
+  }, promoCode._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Promo code updated successfully',
+    data: { promoCode }
+  });
+});
+
+// @desc    Delete a promo code
+// @route   DELETE /api/admin/promo-codes/:id
+// @access  Private/Admin
+// Codes that have been redeemed should be deactivated instead, to keep their history
+const deletePromoCode = asyncHandler(async (req, res) => {
+  const promoCode = await PromoCode.findById(req.params.id).select('-redemptions');
+
+  // Return 404 if code not found
+  if (!promoCode) {
+    return res.status(404).json({
+      success: false,
+      message: 'Promo code not found'
+    });
+  }
+
+  // Keep redemption history for codes that were used
+  if (promoCode.redemptionCount > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cannot delete a promo code that has been redeemed. Deactivate it instead.'
+    });
+  }
+
+  await promoCode.deleteOne();
+
+  // Log deletion to audit trail
+  await createAuditLog(req, 'SETTINGS_UPDATE', 'admin', {
+    setting: 'promoCode',
+    action: 'delete',
+    code: promoCode.code
+  }, promoCode._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Promo code deleted successfully'
+  });
+});
+
+// Export promo code controller functions
+module.exports = {
+  getPromoCodes,     // List promo codes
+  getPromoCodeById,  // Get a code with its redemptions
+  createPromoCode,   // Create a promo code
+  updatePromoCode,   // Update a promo code
+  deletePromoCode    // Delete an unused promo code
+};
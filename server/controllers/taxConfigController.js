@@ -0,0 +1,178 @@
+// TaxConfig model for location-specific taxes and fees
+const TaxConfig = require('../models/TaxConfig');
+// Location model for checking the location a config applies to
+const Location = require('../models/Location');
+// Built-in components used when no config matches a location
+const { DEFAULT_COMPONENTS } = require('../utils/taxes');
+// Async handler to catch errors and pass to error middleware
+const { asyncHandler } = require('../middleware/errorHandler');
+// Audit logging utility for tracking tax configuration changes
+const { createAuditLog } = require('../middleware/auditLogger');
+
+// Helper function to make a config the only default
+const clearOtherDefaults = (configId) => {
+  return TaxConfig.updateMany(
+    { _id: { $ne: configId }, isDefault: true },
+    { isDefault: false }
+  );
+};
+
+// Helper function to check the location a config is for exists
+// Returns an error message, or null when the location is fine
+const checkLocation = async (locationId) => {
+  if (!locationId) return null;
+  return (await Location.exists({ _id: locationId })) ? null : 'Location not found';
+};
+
+// Helper function to pick the editable fields from a request body
+// (an empty location clears it, for the default config)
+const pickTaxConfigFields = ({ location, isDefault, components, isActive }) => {
+  const fields = { location: location === '' ? null : location, isDefault, components, isActive };
+  Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+  return fields;
+};
+
+// @desc    Get all tax configurations
+// @route   GET /api/admin/tax-configs
+// @access  Private/Admin
+const getTaxConfigs = asyncHandler(async (req, res) => {
+  // Default config first, then alphabetical by location name
+  const taxConfigs = await TaxConfig.find().populate('location', 'name');
+  taxConfigs.sort((a, b) => (b.isDefault - a.isDefault) ||
+    (a.location?.name || '').localeCompare(b.location?.name || ''));
+
+  // Include the built-in components so admins know what applies when nothing matches
+  res.status(200).json({
+    success: true,
+    data: { taxConfigs, defaultComponents: DEFAULT_COMPONENTS }
+  });
+});
+
+// @desc    Create a tax configuration
+// @route   POST /api/admin/tax-configs
+// @access  Private/Admin
+const createTaxConfig = asyncHandler(async (req, res) => {
+  const locationError = await checkLocation(req.body.location);
+  if (locationError) {
+    return res.status(400).json({
+      success: false,
+      message: locationError
+    });
+  }
+
+  const taxConfig = await TaxConfig.create(pickTaxConfigFields(req.body));
+
+  // Only one config can be the fallback
+  if (taxConfig.isDefault) await clearOtherDefaults(taxConfig._id);
+
+  // Log config creation to audit trail
+  await createAuditLog(req, 'SETTINGS_UPDATE', 'admin', {
+    setting: 'taxConfig',
+    action: 'create',
+    location: taxConfig.location,
+    components: taxConfig.components,
+    isDefault: taxConfig.isDefault
+  }, taxConfig._id);
+
+  await taxConfig.populate('location', 'name');
+  res.status(201).json({
+    success: true,
+    message: 'Tax configuration created successfully',
+    data: { taxConfig }
+  });
+});
+
+// @desc    Update a tax configuration
+// @route   PUT /api/admin/tax-configs/:id
+// @access  Private/Admin
+// Existing bookings keep the tax and fee lines they were priced with
+const updateTaxConfig = asyncHandler(async (req, res) => {
+  const taxConfig = await TaxConfig.findById(req.params.id);
+
+  // Return 404 if config not found
+  if (!taxConfig) {
+    return res.status(404).json({
+      success: false,
+      message: 'Tax configuration not found'
+    });
+  }
+
+  const locationError = await checkLocation(req.body.location);
+  if (locationError) {
+    return res.status(400).json({
+      success: false,
+      message: locationError
+    });
+  }
+
+  // Store previous state for audit log
+  const previousState = {
+    location: taxConfig.location,
+    components: taxConfig.components,
+    isDefault: taxConfig.isDefault,
+    isActive: taxConfig.isActive
+  };
+
+  taxConfig.set(pickTaxConfigFields(req.body));
+  await taxConfig.save();
+
+  // Only one config can be the fallback
+  if (taxConfig.isDefault) await clearOtherDefaults(taxConfig._id);
+
+  // Log change to audit trail with before/after states
+  await createAuditLog(req, 'SETTINGS_UPDATE', 'admin', {
+    setting: 'taxConfig',
+    action: 'update',
+    previousState,
+    newState: {
+      location: taxConfig.location,
+      components: taxConfig.components,
+      isDefault: taxConfig.isDefault,
+      isActive: taxConfig.isActive
+    }
+  }, taxConfig._id);
+
+  await taxConfig.populate('location', 'name');
+  res.status(200).json({
+    success: true,
+    message: 'Tax configuration updated successfully',
+    data: { taxConfig }
+  });
+});
+
+// @desc    Delete a tax configuration
+// @route   DELETE /api/admin/tax-configs/:id
+// @access  Private/Admin
+const deleteTaxConfig = asyncHandler(async (req, res) => {
+  const taxConfig = await TaxConfig.findById(req.params.id);
+
+  // Return 404 if config not found
+  if (!taxConfig) {
+    return res.status(404).json({
+      success: false,
+      message: 'Tax configuration not found'
+    });
+  }
+
+  await taxConfig.deleteOne();
+
+  // Log deletion to audit trail
+  await createAuditLog(req, 'SETTINGS_UPDATE', 'admin', {
+    setting: 'taxConfig',
+    action: 'delete',
+    location: taxConfig.location
+  }, taxConfig._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Tax configuration deleted successfully'
+  });
+});
+
+// Export tax configuration controller functions
+module.exports = {
+  getTaxConfigs,    // List tax configurations
+  createTaxConfig,  // Create a tax configuration
+  updateTaxConfig,  // Update a tax configuration
+  deleteTaxConfig   // Delete a tax configuration
+};
@@ -4,6 +4,8 @@ const User = require('../models/User');
 const Booking = require('../models/Booking');
 // Review model for counting user reviews
 const Review = require('../models/Review');
+// Paid payment statuses and a booking's takings net of refunds
+const { PAID_PAYMENT_STATUSES, netPaidExpression } = require('../utils/refunds');
 // Async handler to catch errors and pass to error middleware
 const { asyncHandler } = require('../middleware/errorHandler');
 
@@ -55,11 +57,11 @@ const getUserStats = asyncHandler(async (req, res) => {
 
   // Aggregate total amount spent on paid bookings
   const spendingStats = await Booking.aggregate([
-    { $match: { user: userId, paymentStatus: 'paid' } },
+    { $match: { user: userId, paymentStatus: { $in: PAID_PAYMENT_STATUSES } } },
     {
       $group: {
         _id: null,
-        totalSpent: { $sum: '$totalPrice' },
+        totalSpent: { $sum: netPaidExpression },
         bookingCount: { $sum: 1 }
       }
     }
@@ -0,0 +1,186 @@
+// Waitlist model for customers waiting for a car to free up
+const Waitlist = require('../models/Waitlist');
+// Car model for the car (or type) being waited for
+const Car = require('../models/Car');
+// Location model for the pickup location's timezone
+const Location = require('../models/Location');
+// Waitlist offers
+const { isCarFree, offerFreedWindow } = require('../utils/waitlist');
+// Rental time parsing in the pickup location's timezone
+const { parseRentalTime } = require('../utils/rentalTime');
+// Booking settings (open entries per customer, default timezone)
+const { maxWaitlistEntries, defaultTimezone } = require('../config/booking');
+// Async handler to catch errors and pass to error middleware
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+// Audit logging utility for tracking waitlist changes
+const { createAuditLog } = require('../middleware/auditLogger');
+
+// Statuses of entries still waiting for (or holding) a car
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+// Car fields shown with waitlist entries
+const CAR_FIELDS = 'brand model year type images pricePerDay currentLocation';
+
+// Helper function to populate an entry query for display
+const populateEntry = (query) => query
+  .populate('car', CAR_FIELDS)
+  .populate('offer.car', CAR_FIELDS)
+  .populate('location', 'name timezone');
+
+// @desc    Join the waitlist for a car, or any car of its type, for a rental window
+// @route   POST /api/waitlist
+// @access  Private
+// Body: { carId, startDate, endDate, anyOfType } - anyOfType waits for any car of the
+// same type at the car's location, or { carType, locationId, startDate, endDate } without a car
+const joinWaitlist = asyncHandler(async (req, res) => {
+  const { carId, carType, locationId, anyOfType, startDate, endDate } = req.body;
+
+  // Work out what is being waited for, and where
+  let car = null;
+  let location = null;
+  if (carId) {
+    car = await Car.findById(carId);
+    if (!car) throw new AppError('Car not found', 404);
+    if (car.currentLocation) location = await Location.findById(car.currentLocation);
+  } else {
+    if (!carType) throw new AppError('Please choose a car or car type', 400);
+    if (locationId) {
+      location = await Location.findById(locationId);
+      if (!location) throw new AppError('Pickup location not found', 400);
+    }
+  }
+
+  // Times are wall-clock times at the pickup location, as when booking
+  const timezone = location ? location.timezone : defaultTimezone;
+  const start = parseRentalTime(startDate, timezone);
+  const end = parseRentalTime(endDate, timezone);
+  if (start <= new Date()) throw new AppError('Pickup time must be in the future', 400);
+
+  const entryFields = car && !anyOfType
+    ? { car: car._id }
+    : { carType: car ? car.type : carType, location: location ? location._id : undefined };
+
+  // A car that is already free should just be booked
+  if (entryFields.car && await isCarFree(car, start, end, { userId: req.user._id })) {
+    throw new AppError('This car is available for these dates - you can book it now', 400);
+  }
+
+  // One open entry per car (or type) and window
+  const duplicate = await Waitlist.exists({
+    user: req.user._id,
+    status: { $in: OPEN_STATUSES },
+    car: entryFields.car || null,
+    carType: entryFields.carType || null,
+    location: entryFields.location || null,
+    startDate: { $lt: end },
+    endDate: { $gt: start }
+  });
+  if (duplicate) throw new AppError('You are already on the waitlist for these dates', 409);
+
+  const openEntries = await Waitlist.countDocuments({ user: req.user._id, status: { $in: OPEN_STATUSES } });
+  if (openEntries >= maxWaitlistEntries) {
+    throw new AppError(`You can be on at most ${maxWaitlistEntries} waitlists at once`, 400);
+  }
+
+  const entry = await Waitlist.create({
+    user: req.user._id,
+    ...entryFields,
+    startDate: start,
+    endDate: end,
+    timezone
+  });
+
+  // Log joining to audit trail
+  await createAuditLog(req, 'WAITLIST_JOIN', 'waitlist', {
+    carId: entry.car,
+    carType: entry.carType,
+    locationId: entry.location,
+    startDate: start,
+    endDate: end
+  }, entry._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'You are on the waitlist - we will notify you if a car frees up',
+    data: { entry: await populateEntry(Waitlist.findById(entry._id)) }
+  });
+});
+
+// @desc    Get the current user's waitlist entries
+// @route   GET /api/waitlist/my
+// @access  Private
+const getMyWaitlist = asyncHandler(async (req, res) => {
+  const entries = await populateEntry(Waitlist.find({ user: req.user._id })).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: { entries }
+  });
+});
+
+// @desc    Leave the waitlist (an offer being held is passed to the next in line)
+// @route   PUT /api/waitlist/:id/cancel
+// @route   PUT /api/admin/waitlist/:id/cancel
+// @access  Private (owner or admin)
+const cancelWaitlistEntry = asyncHandler(async (req, res) => {
+  const entry = await Waitlist.findById(req.params.id);
+  if (!entry) throw new AppError('Waitlist entry not found', 404);
+
+  // Customers can only cancel their own entries
+  if (entry.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    throw new AppError('Not authorized to cancel this waitlist entry', 403);
+  }
+  if (!OPEN_STATUSES.includes(entry.status)) {
+    throw new AppError(`This waitlist entry is already ${entry.status}`, 400);
+  }
+
+  const previousStatus = entry.status;
+  Object.assign(entry, { status: 'cancelled', cancelledAt: new Date(), cancelledBy: req.user._id });
+  await entry.save();
+
+  // The held car is free again for this window
+  if (previousStatus === 'offered') {
+    await offerFreedWindow(entry.offer.car, entry.startDate, entry.endDate);
+  }
+
+  // Log cancellation to audit trail
+  await createAuditLog(req, 'WAITLIST_CANCEL', 'waitlist', {
+    userId: entry.user,
+    previousStatus
+  }, entry._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Waitlist entry cancelled',
+    data: { entry: await populateEntry(Waitlist.findById(entry._id)).populate('user', 'name email') }
+  });
+});
+
+// @desc    Get waitlist entries
+// @route   GET /api/admin/waitlist
+// @access  Private/Admin
+// Query params: status (open = waiting or offered), car
+const getWaitlist = asyncHandler(async (req, res) => {
+  const query = {};
+  if (req.query.status === 'open') query.status = { $in: OPEN_STATUSES };
+  else if (req.query.status) query.status = req.query.status;
+  if (req.query.car) query.car = req.query.car;
+
+  // Oldest first - the order customers are offered cars in
+  const entries = await populateEntry(Waitlist.find(query))
+    .populate('user', 'name email')
+    .sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: { entries }
+  });
+});
+
+// Export waitlist controller functions
+module.exports = {
+  joinWaitlist,        // Join the waitlist
+  getMyWaitlist,       // List own entries
+  cancelWaitlistEntry, // Leave the waitlist
+  getWaitlist          // List entries (admin)
+};
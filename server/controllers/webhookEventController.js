@@ -0,0 +1,99 @@
+// WebhookEvent model for the events the payment provider has sent
+const WebhookEvent = require('../models/WebhookEvent');
+// Webhook event handling
+const { EVENT_HANDLERS, processWebhookEvent } = require('../utils/paymentWebhooks');
+// Async handler to catch errors and pass to error middleware
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+// Audit logging utility for tracking replays
+const { createAuditLog } = require('../middleware/auditLogger');
+
+// @desc    Get webhook events, newest first, without their payloads
+// @route   GET /api/admin/webhook-events
+// @access  Private/Admin
+// Query params: page, limit, status, type, booking
+const getWebhookEvents = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, type, booking } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (type) query.type = type;
+  if (booking) query.booking = booking;
+
+  // Calculate pagination values
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+
+  const events = await WebhookEvent.find(query)
+    .select('-payload')
+    .populate('replayedBy', 'name')
+    .sort({ createdAt: -1 })
+    .skip((pageNum - 1) * limitNum)
+    .limit(limitNum);
+
+  const total = await WebhookEvent.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    results: total,
+    data: {
+      events,
+      // Event types that are processed (anything else is stored and ignored)
+      handledTypes: Object.keys(EVENT_HANDLERS)
+    },
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum)
+    }
+  });
+});
+
+// @desc    Get a webhook event with its payload
+// @route   GET /api/admin/webhook-events/:id
+// @access  Private/Admin
+const getWebhookEvent = asyncHandler(async (req, res) => {
+  const event = await WebhookEvent.findById(req.params.id).populate('replayedBy', 'name');
+  if (!event) throw new AppError('Webhook event not found', 404);
+
+  res.status(200).json({
+    success: true,
+    data: { event }
+  });
+});
+
+// @desc    Process a webhook event again
+// @route   POST /api/admin/webhook-events/:id/replay
+// @access  Private/Admin
+// For failed events, and events left unprocessed or stuck processing
+const replayWebhookEvent = asyncHandler(async (req, res) => {
+  const event = await WebhookEvent.findById(req.params.id);
+  if (!event) throw new AppError('Webhook event not found', 404);
+
+  const processed = await processWebhookEvent(event, { replayedBy: req.user._id });
+  if (!processed) {
+    throw new AppError(`This event is ${event.status} and cannot be replayed`, 409);
+  }
+
+  // Log replay to audit trail
+  await createAuditLog(req, 'WEBHOOK_REPLAY', 'payment', {
+    eventId: processed.eventId,
+    type: processed.type,
+    status: processed.status,
+    ...(processed.error && { error: processed.error })
+  }, processed.booking);
+
+  // The handler's failure is reported on the event, not as a request error
+  res.status(200).json({
+    success: true,
+    message: processed.status === 'failed' ? `Replay failed: ${processed.error}` : `Webhook event ${processed.status}`,
+    data: { event: { ...processed.toObject(), payload: undefined } }
+  });
+});
+
+// Export webhook event controller functions
+module.exports = {
+  getWebhookEvents,   // Admin: list stored events
+  getWebhookEvent,    // Admin: view an event's payload
+  replayWebhookEvent  // Admin: process an event again
+};
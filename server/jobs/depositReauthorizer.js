@@ -0,0 +1,93 @@
+// ============================================
+// DEPOSIT RE-AUTHORIZATION JOB
+// Card authorizations lapse after a few days, so security deposits on
+// long rentals (or held after return for a damage claim) are renewed
+// before they expire. Admins are told when a card can't be re-authorized
+// ============================================
+
+// Booking model for finding deposits about to lapse
+const Booking = require('../models/Booking');
+// AuditLog model for recording system renewals
+const AuditLog = require('../models/AuditLog');
+// Renew a deposit authorization
+const { reauthorizeDeposit } = require('../utils/deposits');
+// In-app notifications for admins
+const { notifyAdmins } = require('../utils/notifications');
+// Booking settings (re-authorization lead time and check interval)
+const { depositReauthLeadHours, depositReauthIntervalSeconds } = require('../config/booking');
+
+// Renew every held deposit whose authorization expires within the lead time
+// Returns { renewed, failed }
+const reauthorizeExpiringDeposits = async () => {
+  const cutoff = new Date(Date.now() + depositReauthLeadHours * 60 * 60 * 1000);
+
+  const expiring = await Booking.find({
+    'deposit.status': 'authorized',
+    'deposit.expiresAt': { $lte: cutoff }
+  });
+
+  let renewed = 0;
+  let failed = 0;
+
+  for (const booking of expiring) {
+    const previousPaymentIntentId = booking.deposit.paymentIntentId;
+    const result = await reauthorizeDeposit(booking);
+    await booking.save();
+
+    // Record the renewal attempt as a system action
+    await AuditLog.log({
+      action: result.status === 'authorized' ? 'DEPOSIT_REAUTHORIZE' : 'DEPOSIT_FAILED',
+      resource: 'payment',
+      resourceId: booking._id,
+      details: {
+        bookingId: booking._id,
+        amount: booking.deposit.amount,
+        previousPaymentIntentId,
+        paymentIntentId: booking.deposit.paymentIntentId,
+        ...(result.error && { error: result.error })
+      }
+    });
+
+    if (result.status === 'authorized') {
+      renewed += 1;
+      continue;
+    }
+
+    failed += 1;
+
+    // Staff need to chase the customer for another card
+    await notifyAdmins({
+      type: 'deposit_failed',
+      title: result.status === 'expired' ? 'Security deposit lapsed' : 'Security deposit renewal failed',
+      message: `The $${booking.deposit.amount.toFixed(2)} deposit could not be re-authorized: ${result.error}. ` +
+        (result.status === 'expired'
+          ? 'No deposit is held for this booking any more.'
+          : `The current hold expires ${booking.deposit.expiresAt.toUTCString()}.`),
+      booking: booking._id
+    });
+  }
+
+  return { renewed, failed };
+};
+
+// Start the deposit re-authorization job on a fixed interval
+// Returns the interval handle so callers can stop it
+const startDepositReauthorizer = () => {
+  return setInterval(async () => {
+    try {
+      const { renewed, failed } = await reauthorizeExpiringDeposits();
+      if (renewed + failed > 0) {
+        console.log(`Re-authorized ${renewed} deposit(s), ${failed} failed`);
+      }
+    } catch (error) {
+      // Log and keep the job running
+      console.error('Deposit re-authorization error:', error.message);
+    }
+  }, depositReauthIntervalSeconds * 1000);
+};
+
+// Export job functions
+module.exports = {
+  reauthorizeExpiringDeposits, // Renew expiring deposits immediately
+  startDepositReauthorizer     // Start periodic background renewals
+};
@@ -0,0 +1,163 @@
+// ============================================
+// HOLD SWEEPER JOB
+// Expires unpaid pending bookings whose hold has run out
+// so abandoned checkouts stop blocking cars, and drops booking
+// modifications whose extra cost wasn't paid in time
+// ============================================
+
+// Booking model for finding and expiring stale holds
+const Booking = require('../models/Booking');
+// Reservation ledger for releasing expired bookings' rental days
+const Reservation = require('../models/Reservation');
+// Extras ledger for releasing expired bookings' extras
+const ExtraReservation = require('../models/ExtraReservation');
+// PromoCode model for giving back redemptions held by expired bookings
+const PromoCode = require('../models/PromoCode');
+// AuditLog model for recording system-initiated expirations
+const AuditLog = require('../models/AuditLog');
+// Offer freed windows to customers on the waitlist
+const { offerFreedWindow } = require('../utils/waitlist');
+// Apply or drop modifications held until their extra cost is paid
+const { completeModification, dropModification } = require('../utils/modifications');
+// Payment provider for checking a modification's payment before dropping it
+const paymentProvider = require('../utils/paymentProvider');
+// Booking settings (sweep interval)
+const { holdSweepIntervalSeconds } = require('../config/booking');
+
+// Expire every pending hold past its expiry time
+// Optional filter narrows the sweep (e.g. to a single car)
+// Returns the number of bookings expired
+const expireHolds = async (filter = {}) => {
+  const now = new Date();
+
+  // Find pending, unpaid bookings whose hold has lapsed
+  const stale = await Booking.find({
+    ...filter,
+    status: 'pending',
+    paymentStatus: { $ne: 'paid' },
+    holdExpiresAt: { $lte: now }
+  }).select('_id user car startDate endDate holdExpiresAt');
+
+  let expired = 0;
+
+  for (const hold of stale) {
+    // Conditional update so a payment confirmed meanwhile is never overwritten
+    // (pending -> expired is a legal transition in the booking state machine)
+    const booking = await Booking.findOneAndUpdate(
+      { _id: hold._id, status: 'pending', paymentStatus: { $ne: 'paid' } },
+      {
+        status: 'expired',
+        $push: {
+          statusHistory: {
+            from: 'pending',
+            to: 'expired',
+            changedBy: null,
+            reason: 'Unpaid hold expired',
+            changedAt: now
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!booking) continue;
+
+    // Free the car's reserved days and extras for other customers, waitlisted ones first
+    await Reservation.release(booking._id);
+    await ExtraReservation.release(booking._id);
+    await offerFreedWindow(booking.car, booking.startDate, booking.endDate);
+
+    // Record the expiration as a system action
+    await AuditLog.log({
+      action: 'BOOKING_EXPIRE',
+      resource: 'booking',
+      resourceId: booking._id,
+      details: {
+        userId: booking.user,
+        carId: booking.car,
+        startDate: booking.startDate,
+        endDate: booking.endDate,
+        holdExpiresAt: booking.holdExpiresAt
+      },
+      previousValue: { status: 'pending' },
+      newValue: { status: 'expired' }
+    });
+
+    // Give the promo code redemption back so abandoned checkouts don't use up capped codes
+    if (booking.promoCode && booking.promoCode.promo) {
+      await PromoCode.releaseRedemption(booking.promoCode.promo, booking._id);
+      await AuditLog.log({
+        action: 'PROMO_RELEASE',
+        resource: 'booking',
+        resourceId: booking._id,
+        details: { promoId: booking.promoCode.promo, code: booking.promoCode.code, reason: 'Hold expired' }
+      });
+    }
+
+    expired += 1;
+  }
+
+  return expired;
+};
+
+// Drop every pending modification that wasn't paid for before its hold ran out
+// A payment that succeeded without its webhook arriving applies the change instead,
+// and one the bank is still processing is left for its webhook
+// Returns the number of modifications dropped
+const expireModifications = async () => {
+  const stale = await Booking.find({ 'pendingModification.expiresAt': { $lte: new Date() } });
+
+  let dropped = 0;
+
+  for (const booking of stale) {
+    const { paymentIntentId, priceDifference } = booking.pendingModification;
+    const paymentIntent = await paymentProvider.retrievePaymentIntent(paymentIntentId);
+
+    if (paymentIntent.status === 'succeeded') {
+      await completeModification(booking, paymentIntent);
+      continue;
+    }
+    if (paymentIntent.status === 'processing') continue;
+
+    await dropModification(booking);
+    await booking.save();
+
+    // Record the dropped change as a system action
+    await AuditLog.log({
+      action: 'BOOKING_UPDATE',
+      resource: 'booking',
+      resourceId: booking._id,
+      details: { action: 'modify_expired', paymentIntentId, priceDifference }
+    });
+
+    dropped += 1;
+  }
+
+  return dropped;
+};
+
+// Start the background sweeper on a fixed interval
+// Returns the interval handle so callers can stop it
+const startHoldSweeper = () => {
+  return setInterval(async () => {
+    try {
+      const count = await expireHolds();
+      if (count > 0) {
+        console.log(`Expired ${count} unpaid booking hold(s)`);
+      }
+      const modifications = await expireModifications();
+      if (modifications > 0) {
+        console.log(`Dropped ${modifications} unpaid booking modification(s)`);
+      }
+    } catch (error) {
+      // Log and keep the sweeper running
+      console.error('Hold sweeper error:', error.message);
+    }
+  }, holdSweepIntervalSeconds * 1000);
+};
+
+// Export sweeper functions
+module.exports = {
+  expireHolds,         // Expire lapsed holds immediately
+  expireModifications, // Drop unpaid modifications immediately
+  startHoldSweeper     // Start periodic background sweeping
+};
@@ -0,0 +1,162 @@
+// ============================================
+// LEDGER RECONCILIATION JOB
+// Checks each day's payment ledger totals against the balance transactions
+// the payment provider reports for the same day (UTC): money taken, refunded,
+// and kept as processing fees. The last few days are checked again on every
+// run, so a payment posted late (e.g. its webhook was retried) stops showing
+// as a mismatch. Admins are told when a day stops matching
+// ============================================
+
+// Reconciliation model for the daily reports
+const Reconciliation = require('../models/Reconciliation');
+// AuditLog model for recording mismatches
+const AuditLog = require('../models/AuditLog');
+// Ledger totals for a day
+const { getLedgerTotals } = require('../utils/ledger');
+// In-app notifications for admins
+const { notifyAdmins } = require('../utils/notifications');
+// Round money amounts to cents
+const { roundCents } = require('../utils/pricingRules');
+// Payment provider (Stripe or the mock)
+const paymentProvider = require('../utils/paymentProvider');
+// Reconciliation schedule (check interval and days checked)
+const { reconciliation: { intervalSeconds, lookbackDays } } = require('../config/payments');
+
+// Milliseconds in one day
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Provider balance transaction types for money taken and refunded - anything
+// else (payouts, dispute adjustments, ...) never goes through the ledger
+const PAYMENT_TYPES = ['charge', 'payment'];
+const REFUND_TYPES = ['refund', 'payment_refund', 'refund_failure'];
+
+// Totals compared, with their names for notifications
+const COMPARED_FIELDS = {
+  gross: 'money taken',
+  refunds: 'refunds',
+  processingFees: 'processing fees'
+};
+
+// Normalize a date to UTC midnight of its day
+const toDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+// Total the provider's balance transactions the way the ledger totals its own
+// Amounts are in cents and refunds are negative (a failed refund puts money back)
+const summarizeBalanceTransactions = (transactions) => {
+  const totals = { gross: 0, refunds: 0, processingFees: 0 };
+  for (const transaction of transactions) {
+    if (PAYMENT_TYPES.includes(transaction.type)) {
+      totals.gross += transaction.amount;
+    } else if (REFUND_TYPES.includes(transaction.type)) {
+      totals.refunds -= transaction.amount;
+    } else {
+      continue;
+    }
+    totals.processingFees += transaction.fee || 0;
+  }
+  return {
+    gross: roundCents(totals.gross / 100),
+    refunds: roundCents(totals.refunds / 100),
+    processingFees: roundCents(totals.processingFees / 100)
+  };
+};
+
+// Check a day's ledger totals against the provider's records and store the report
+// date is any time on the (UTC) day to check
+// Returns { report, newlyMismatched } - newlyMismatched when the day didn't show a mismatch before
+const reconcileDay = async (date) => {
+  const from = toDay(date);
+  const to = new Date(from.getTime() + DAY_MS);
+
+  const report = await Reconciliation.findOne({ date: from }) || new Reconciliation({ date: from });
+  const wasMismatched = report.status === 'mismatched';
+
+  report.provider = paymentProvider.name;
+  report.ledger = await getLedgerTotals(from, to);
+  report.checks += 1;
+  report.checkedAt = new Date();
+
+  try {
+    report.providerRecords = summarizeBalanceTransactions(
+      await paymentProvider.listBalanceTransactions({ from, to })
+    );
+    report.mismatches = Object.keys(COMPARED_FIELDS)
+      .filter(field => report.ledger[field] !== report.providerRecords[field])
+      .map(field => ({
+        field,
+        ledger: report.ledger[field],
+        provider: report.providerRecords[field],
+        difference: roundCents(report.ledger[field] - report.providerRecords[field])
+      }));
+    report.status = report.mismatches.length > 0 ? 'mismatched' : 'matched';
+    report.error = undefined;
+  } catch (error) {
+    // Keep the last comparison - only the provider call failed
+    report.status = 'failed';
+    report.error = error.message;
+  }
+  await report.save();
+
+  return { report, newlyMismatched: report.status === 'mismatched' && !wasMismatched };
+};
+
+// Check every complete day in the lookback window, and tell admins about new mismatches
+// Returns { matched, mismatched, failed }
+const reconcileRecentDays = async () => {
+  const today = toDay(new Date());
+  const counts = { matched: 0, mismatched: 0, failed: 0 };
+
+  for (let daysAgo = lookbackDays; daysAgo >= 1; daysAgo -= 1) {
+    const { report, newlyMismatched } = await reconcileDay(new Date(today.getTime() - daysAgo * DAY_MS));
+    counts[report.status] += 1;
+    if (!newlyMismatched) continue;
+
+    const day = report.date.toISOString().slice(0, 10);
+    const differences = report.mismatches
+      .map(m => `${COMPARED_FIELDS[m.field]} $${m.ledger.toFixed(2)} in the ledger, $${m.provider.toFixed(2)} at ${report.provider}`)
+      .join('; ');
+
+    // Record the mismatch as a system action
+    await AuditLog.log({
+      action: 'LEDGER_MISMATCH',
+      resource: 'payment',
+      resourceId: report._id,
+      details: { date: day, provider: report.provider, mismatches: report.mismatches }
+    });
+
+    // Staff need to find the payments the ledger is missing (or has extra)
+    await notifyAdmins({
+      type: 'ledger_mismatch',
+      title: 'Payment ledger mismatch',
+      message: `The payment ledger doesn't match the payment provider for ${day}: ${differences}.`
+    });
+  }
+
+  return counts;
+};
+
+// Start the ledger reconciliation job on a fixed interval
+// Returns the interval handle so callers can stop it
+const startLedgerReconciler = () => {
+  return setInterval(async () => {
+    try {
+      const { mismatched, failed } = await reconcileRecentDays();
+      if (mismatched + failed > 0) {
+        console.log(`Ledger reconciliation: ${mismatched} day(s) mismatched, ${failed} failed`);
+      }
+    } catch (error) {
+      // Log and keep the job running
+      console.error('Ledger reconciliation error:', error.message);
+    }
+  }, intervalSeconds * 1000);
+};
+
+// Export job functions
+module.exports = {
+  reconcileDay,         // Check one day now
+  reconcileRecentDays,  // Check the lookback window now
+  startLedgerReconciler // Start periodic background checks
+};
@@ -0,0 +1,99 @@
+// ============================================
+// OVERDUE MONITOR JOB
+// Flags active rentals that are past their return time and
+// notifies the customer and admins once per booking
+// ============================================
+
+// Booking model for finding overdue rentals
+const Booking = require('../models/Booking');
+// AuditLog model for recording system-flagged overdue rentals
+const AuditLog = require('../models/AuditLog');
+// In-app notifications for the customer and admins
+const { notifyUser, notifyAdmins } = require('../utils/notifications');
+// Booking settings (late fee grace period and check interval)
+const { lateFeeGraceMinutes, overdueCheckIntervalSeconds } = require('../config/booking');
+
+// Flag every active rental whose return time (plus the late fee grace period) has passed
+// Returns the number of bookings newly flagged
+const flagOverdueBookings = async () => {
+  const cutoff = new Date(Date.now() - lateFeeGraceMinutes * 60 * 1000);
+
+  // Active rentals past their return time that haven't been flagged yet
+  const overdue = await Booking.find({
+    status: 'active',
+    endDate: { $lte: cutoff },
+    overdueAt: null
+  })
+    .populate('car', 'brand model licensePlate')
+    .populate('user', 'name email');
+
+  let flagged = 0;
+
+  for (const candidate of overdue) {
+    // Conditional update so a check-in meanwhile (or another sweep) is never overwritten
+    const booking = await Booking.findOneAndUpdate(
+      { _id: candidate._id, status: 'active', overdueAt: null },
+      { $set: { overdueAt: new Date() } },
+      { new: true }
+    );
+    if (!booking) continue;
+
+    const carName = candidate.car ? `${candidate.car.brand} ${candidate.car.model}` : 'car';
+
+    // Let the customer know late fees are building up
+    await notifyUser(booking.user, {
+      type: 'booking_overdue',
+      title: 'Your rental is overdue',
+      message: `Your ${carName} was due back on ${booking.endDate.toUTCString()}. ` +
+        'Please return it as soon as possible - late fees apply until it is checked in.',
+      booking: booking._id
+    });
+
+    // Let staff follow up
+    await notifyAdmins({
+      type: 'booking_overdue',
+      title: 'Overdue rental',
+      message: `${candidate.user?.name || 'A customer'} has not returned ${carName}` +
+        `${candidate.car?.licensePlate ? ` (${candidate.car.licensePlate})` : ''}, due ${booking.endDate.toUTCString()}.`,
+      booking: booking._id
+    });
+
+    // Record the flag as a system action
+    await AuditLog.log({
+      action: 'BOOKING_OVERDUE',
+      resource: 'booking',
+      resourceId: booking._id,
+      details: {
+        userId: booking.user,
+        carId: booking.car,
+        endDate: booking.endDate
+      }
+    });
+
+    flagged += 1;
+  }
+
+  return flagged;
+};
+
+// Start the overdue monitor on a fixed interval
+// Returns the interval handle so callers can stop it
+const startOverdueMonitor = () => {
+  return setInterval(async () => {
+    try {
+      const count = await flagOverdueBookings();
+      if (count > 0) {
+        console.log(`Flagged ${count} overdue rental(s)`);
+      }
+    } catch (error) {
+      // Log and keep the monitor running
+      console.error('Overdue monitor error:', error.message);
+    }
+  }, overdueCheckIntervalSeconds * 1000);
+};
+
+// Export monitor functions
+module.exports = {
+  flagOverdueBookings, // Flag overdue rentals immediately
+  startOverdueMonitor  // Start periodic background checks
+};
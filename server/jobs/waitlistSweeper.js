@@ -0,0 +1,85 @@
+// ============================================
+// WAITLIST SWEEPER JOB
+// Lapses waitlist offers the customer didn't book in time, passing the
+// car on to the next customer in line, and expires waiting entries whose
+// dates have already started
+// ============================================
+
+// Waitlist model for finding lapsed offers and past entries
+const Waitlist = require('../models/Waitlist');
+// AuditLog model for recording lapsed offers
+const AuditLog = require('../models/AuditLog');
+// Offer a freed window to the next in line
+const { offerFreedWindow } = require('../utils/waitlist');
+// In-app notifications for customers
+const { notifyUser } = require('../utils/notifications');
+// Booking settings (sweep interval)
+const { waitlistSweepIntervalSeconds } = require('../config/booking');
+
+// Lapse every offer past its expiry and expire entries whose window has started
+// Returns { lapsed, expired }
+const sweepWaitlist = async () => {
+  const now = new Date();
+
+  const stale = await Waitlist.find({ status: 'offered', 'offer.expiresAt': { $lte: now } });
+
+  let lapsed = 0;
+
+  for (const offer of stale) {
+    // Conditional update so an offer booked meanwhile is never lapsed
+    const entry = await Waitlist.findOneAndUpdate(
+      { _id: offer._id, status: 'offered' },
+      { status: 'lapsed' },
+      { new: true }
+    );
+    if (!entry) continue;
+
+    await notifyUser(entry.user, {
+      type: 'waitlist_lapsed',
+      title: 'Waitlist offer expired',
+      message: 'The car held for you was not booked in time and has been offered to the next customer in line.'
+    });
+
+    // Record the lapse as a system action
+    await AuditLog.log({
+      action: 'WAITLIST_LAPSE',
+      resource: 'waitlist',
+      resourceId: entry._id,
+      details: { userId: entry.user, carId: entry.offer.car, expiresAt: entry.offer.expiresAt }
+    });
+
+    // The car is free again for this window - offer it to the next in line
+    await offerFreedWindow(entry.offer.car, entry.startDate, entry.endDate);
+    lapsed += 1;
+  }
+
+  // Nothing can be offered once the requested pickup time has passed
+  const { modifiedCount: expired } = await Waitlist.updateMany(
+    { status: 'waiting', startDate: { $lte: now } },
+    { status: 'expired' }
+  );
+
+  return { lapsed, expired };
+};
+
+// Start the background waitlist sweeper on a fixed interval
+// Returns the interval handle so callers can stop it
+const startWaitlistSweeper = () => {
+  return setInterval(async () => {
+    try {
+      const { lapsed, expired } = await sweepWaitlist();
+      if (lapsed + expired > 0) {
+        console.log(`Lapsed ${lapsed} waitlist offer(s), expired ${expired} waitlist entr${expired === 1 ? 'y' : 'ies'}`);
+      }
+    } catch (error) {
+      // Log and keep the sweeper running
+      console.error('Waitlist sweeper error:', error.message);
+    }
+  }, waitlistSweepIntervalSeconds * 1000);
+};
+
+// Export sweeper functions
+module.exports = {
+  sweepWaitlist,        // Lapse offers and expire past entries immediately
+  startWaitlistSweeper  // Start periodic background sweeping
+};
@@ -68,6 +68,12 @@ const errorHandler = (err, req, res, next) => {
     return res.status(400).json(error);
   }
 
+  // Handle rejected uploads (file too large, unexpected field, etc.)
+  if (err.name === 'MulterError') {
+    error.message = err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message;
+    return res.status(400).json(error);
+  }
+
   // Default server error response with custom or 500 status code
   const statusCode = err.statusCode || 500;
   res.status(statusCode).json(error);
@@ -0,0 +1,22 @@
+// Multer for parsing multipart/form-data uploads
+const multer = require('multer');
+// Upload size limit
+const { maxUploadMb } = require('../config/storage');
+// Content types the storage layer accepts
+const { ACCEPTED_TYPES } = require('../utils/storage');
+// Custom error class for rejected files
+const { AppError } = require('./errorHandler');
+
+// Files are kept in memory and handed to the storage layer (local disk or S3)
+// Only images and PDFs up to the configured size are accepted
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxUploadMb * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (ACCEPTED_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(new AppError('Only JPEG, PNG, WebP, or PDF files can be uploaded', 400));
+  }
+});
+
+// Export the configured multer instance (e.g. upload.fields([...]) in routes)
+module.exports = upload;
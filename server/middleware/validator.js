@@ -4,6 +4,15 @@
 // query: validates query string parameters
 // validationResult: collects validation errors
 const { body, param, query, validationResult } = require('express-validator');
+// Damage checklist areas for inspection validation
+const { DAMAGE_AREAS } = require('../utils/inspections');
+// Claim categories
+const { CLAIM_CATEGORIES } = require('../utils/claims');
+// Car model for the car types rules and promo codes can be scoped to
+const Car = require('../models/Car');
+
+// Types a car can have
+const CAR_TYPES = Car.schema.path('type').enumValues;
 
 // Middleware to check validation results and return errors
 // Should be used after validation rules in route definitions
@@ -97,7 +106,17 @@ const carRules = [
   // Fuel type: one of predefined fuel options
   body('fuelType')
     .isIn(['gasoline', 'diesel', 'electric', 'hybrid'])
-    .withMessage('Invalid fuel type')
+    .withMessage('Invalid fuel type'),
+  // Turnaround buffer: optional minutes (empty = the car type's buffer)
+  body('turnaroundMinutes')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('Turnaround buffer must be a non-negative number of minutes'),
+  // Mileage allowance: optional miles per day (empty = the default allowance, 0 = unlimited)
+  body('mileageAllowancePerDay')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('Mileage allowance must be a non-negative number of miles')
 ];
 
 // Validation rules for updating a car (admin)
@@ -173,10 +192,473 @@ const bookingRules = [
       }
       return true;
     }),
-  // Extras: optional array of extra service IDs
+  // Extras: optional array of extra IDs or { extra, quantity } selections
+  body('extras')
+    .optional()
+    .isArray().withMessage('Extras must be an array'),
+  body('extras.*.quantity')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Extra quantity must be at least 1'),
+  // Drivers: primary driver first, then any additional drivers
+  body('drivers')
+    .isArray({ min: 1 }).withMessage('Please provide the primary driver details'),
+  body('drivers.*.name')
+    .trim()
+    .notEmpty().withMessage('Driver name is required')
+    .isLength({ max: 100 }).withMessage('Driver name cannot be more than 100 characters'),
+  body('drivers.*.dateOfBirth')
+    .isISO8601().withMessage('Invalid driver date of birth'),
+  body('drivers.*.licenseNumber')
+    .trim()
+    .notEmpty().withMessage('Driver license number is required')
+    .isLength({ max: 50 }).withMessage('License number cannot be more than 50 characters'),
+  body('drivers.*.licensedSince')
+    .isISO8601().withMessage('Invalid license issue date'),
+  // Locations: optional, default to where the car is parked
+  body('pickupLocationId')
+    .optional({ values: 'falsy' })
+    .isMongoId().withMessage('Invalid pickup location'),
+  body('dropoffLocationId')
+    .optional({ values: 'falsy' })
+    .isMongoId().withMessage('Invalid drop-off location')
+];
+
+// Validation rules for modifying a booking
+// Car is optional (defaults to the booked car); dates are always resubmitted
+const bookingModifyRules = [
+  // Car ID: optional, must be valid MongoDB ObjectId if provided
+  body('carId')
+    .optional()
+    .isMongoId().withMessage('Invalid car ID'),
+  // Start date: required, ISO format, cannot be in the past
+  body('startDate')
+    .notEmpty().withMessage('Start date is required')
+    .isISO8601().withMessage('Invalid start date format')
+    .custom((value) => {
+      // Custom validator to check date is not in the past
+      if (new Date(value) < new Date().setHours(0, 0, 0, 0)) {
+        throw new Error('Start date cannot be in the past');
+      }
+      return true;
+    }),
+  // End date: required, ISO format, must be after start date
+  body('endDate')
+    .notEmpty().withMessage('End date is required')
+    .isISO8601().withMessage('Invalid end date format')
+    .custom((value, { req }) => {
+      // Custom validator to ensure end date is after start date
+      if (new Date(value) <= new Date(req.body.startDate)) {
+        throw new Error('End date must be after start date');
+      }
+      return true;
+    }),
+  // Extras: optional array of extra IDs or { extra, quantity } selections
   body('extras')
     .optional()
-    .isArray().withMessage('Extras must be an array')
+    .isArray().withMessage('Extras must be an array'),
+  body('extras.*.quantity')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Extra quantity must be at least 1')
+];
+
+// Validation rules for creating or updating a cancellation policy
+const cancellationPolicyRules = [
+  // Name: required, trimmed string
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Policy name is required'),
+  // Tiers: at least one refund tier
+  body('tiers')
+    .isArray({ min: 1 }).withMessage('At least one refund tier is required'),
+  // Each tier's notice period: non-negative number of hours
+  body('tiers.*.hoursBeforePickup')
+    .isFloat({ min: 0 }).withMessage('Hours before pickup must be a non-negative number'),
+  // Each tier's refund: percentage between 0 and 100
+  body('tiers.*.refundPercent')
+    .isFloat({ min: 0, max: 100 }).withMessage('Refund percentage must be between 0 and 100'),
+  // Active flag: optional boolean
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean')
+];
+
+// Validation rules for creating or updating a pricing rule
+// Type-specific requirements (season dates, minimum days) are enforced by the model
+const pricingRuleRules = [
+  // Name: required, trimmed string
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Rule name is required'),
+  // Type: one of the supported rule kinds
+  body('type')
+    .isIn(['seasonal', 'weekend', 'duration']).withMessage('Invalid rule type'),
+  // Multiplier: positive number (1.2 = +20%, 0.9 = -10%)
+  body('multiplier')
+    .isFloat({ min: 0 }).withMessage('Multiplier must be a non-negative number'),
+  // Season dates: optional ISO dates
+  body('startDate')
+    .optional({ values: 'falsy' })
+    .isISO8601().withMessage('Invalid start date format'),
+  body('endDate')
+    .optional({ values: 'falsy' })
+    .isISO8601().withMessage('Invalid end date format'),
+  // Weekdays: optional array of 0-6
+  body('daysOfWeek')
+    .optional()
+    .isArray().withMessage('Days of week must be an array'),
+  body('daysOfWeek.*')
+    .isInt({ min: 0, max: 6 }).withMessage('Days of week must be between 0 (Sunday) and 6 (Saturday)'),
+  // Minimum rental length: optional positive integer
+  body('minDays')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 }).withMessage('Minimum days must be at least 1'),
+  // Car types: optional array of valid types
+  body('carTypes')
+    .optional()
+    .isArray().withMessage('Car types must be an array'),
+  body('carTypes.*')
+    .isIn(CAR_TYPES).withMessage('Invalid car type'),
+  // Priority: optional integer
+  body('priority')
+    .optional()
+    .isInt().withMessage('Priority must be an integer'),
+  // Active flag: optional boolean
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean')
+];
+
+// Validation rules for creating or updating a promo code
+const promoCodeRules = [
+  // Code: required, letters, digits, dashes and underscores only
+  body('code')
+    .trim()
+    .notEmpty().withMessage('Promo code is required')
+    .matches(/^[A-Za-z0-9_-]+$/).withMessage('Promo code can only contain letters, numbers, dashes and underscores')
+    .isLength({ max: 30 }).withMessage('Promo code cannot exceed 30 characters'),
+  // Discount type: percent or fixed amount
+  body('discountType')
+    .isIn(['percent', 'fixed']).withMessage('Discount type must be percent or fixed'),
+  // Value: positive number (percent capped at 100 by the model)
+  body('value')
+    .isFloat({ min: 0 }).withMessage('Discount value must be a non-negative number'),
+  // Validity window: optional ISO dates
+  body('validFrom')
+    .optional({ values: 'falsy' })
+    .isISO8601().withMessage('Invalid valid from date'),
+  body('validUntil')
+    .optional({ values: 'falsy' })
+    .isISO8601().withMessage('Invalid valid until date'),
+  // Usage caps: optional positive integers
+  body('maxRedemptions')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 }).withMessage('Maximum redemptions must be at least 1'),
+  body('maxPerUser')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 }).withMessage('Maximum per user must be at least 1'),
+  // Minimum rental days: optional non-negative integer
+  body('minDays')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 0 }).withMessage('Minimum days cannot be negative'),
+  // Car types: optional array of valid types
+  body('carTypes')
+    .optional()
+    .isArray().withMessage('Car types must be an array'),
+  body('carTypes.*')
+    .isIn(CAR_TYPES).withMessage('Invalid car type'),
+  // Active flag: optional boolean
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean')
+];
+
+// Validation rules for creating or updating a location tax configuration
+const taxConfigRules = [
+  // Location: pickup location ID - the default config may leave it out
+  body('location')
+    .if((value, { req }) => value || !req.body.isDefault)
+    .isMongoId().withMessage('Location is required'),
+  // Components: array of named charges (may be empty for tax-free locations)
+  body('components')
+    .isArray().withMessage('Components must be an array'),
+  body('components.*.name')
+    .trim()
+    .notEmpty().withMessage('Each component needs a name'),
+  body('components.*.category')
+    .optional()
+    .isIn(['tax', 'fee']).withMessage('Component category must be tax or fee'),
+  body('components.*.calculation')
+    .isIn(['percent', 'per_day']).withMessage('Component calculation must be percent or per_day'),
+  // Rate: non-negative (percentages capped at 100 by the model)
+  body('components.*.rate')
+    .isFloat({ min: 0 }).withMessage('Component rate must be a non-negative number'),
+  // Flags: optional booleans
+  body('isDefault')
+    .optional()
+    .isBoolean().withMessage('isDefault must be a boolean'),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean')
+];
+
+// Validation rules for creating or updating a location
+const locationRules = [
+  // Name: required, trimmed string
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Location name is required'),
+  // Timezone: required IANA name (checked by the model)
+  body('timezone')
+    .trim()
+    .notEmpty().withMessage('Timezone is required'),
+  // Coordinates: optional latitude/longitude
+  body('coordinates.lat')
+    .optional({ values: 'null' })
+    .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('coordinates.lng')
+    .optional({ values: 'null' })
+    .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  // Opening hours: optional array of daily entries
+  body('openingHours')
+    .optional()
+    .isArray({ max: 7 }).withMessage('Opening hours must be an array of up to 7 days'),
+  body('openingHours.*.dayOfWeek')
+    .isInt({ min: 0, max: 6 }).withMessage('Day of week must be 0-6'),
+  // One-way fee: optional non-negative amount (empty = default fee)
+  body('oneWayFee')
+    .optional({ values: 'falsy' })
+    .isFloat({ min: 0 }).withMessage('One-way fee must be a non-negative number'),
+  // Active flag: optional boolean
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean')
+];
+
+// Validation rules for creating or updating a car blackout
+const blackoutRules = [
+  // Car ID: required, valid MongoDB ObjectId
+  body('car')
+    .isMongoId().withMessage('Invalid car ID'),
+  // Reason: one of the blackout reasons
+  body('reason')
+    .isIn(['maintenance', 'recall', 'staff']).withMessage('Reason must be maintenance, recall, or staff'),
+  // Dates: required ISO dates, end after start
+  body('startDate')
+    .isISO8601().withMessage('Invalid start date format'),
+  body('endDate')
+    .isISO8601().withMessage('Invalid end date format')
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date(req.body.startDate)) {
+        throw new Error('End date must be after start date');
+      }
+      return true;
+    }),
+  // Notes: optional, max 500 characters
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+// Validation rules for check-out and check-in inspections
+const inspectionRules = [
+  // Odometer: required whole number of miles
+  body('odometer')
+    .isInt({ min: 0 }).withMessage('Odometer reading must be a non-negative whole number')
+    .toInt(),
+  // Fuel level: required percentage (battery charge for electric cars)
+  body('fuelLevel')
+    .isInt({ min: 0, max: 100 }).withMessage('Fuel level must be between 0 and 100 percent')
+    .toInt(),
+  // Checklist: optional array of damage checklist areas
+  body('checklist')
+    .optional()
+    .isArray().withMessage('Checklist must be an array'),
+  body('checklist.*.area')
+    .isIn(DAMAGE_AREAS).withMessage('Invalid checklist area'),
+  body('checklist.*.damaged')
+    .optional()
+    .isBoolean().withMessage('Checklist damaged flag must be true or false'),
+  body('checklist.*.notes')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Checklist notes cannot exceed 200 characters'),
+  // Photos: optional array of image URLs
+  body('photos')
+    .optional()
+    .isArray({ max: 20 }).withMessage('Photos must be an array of at most 20 URLs'),
+  body('photos.*')
+    .isURL().withMessage('Invalid photo URL'),
+  // Notes: optional, max 500 characters
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+// Validation rules for capturing a security deposit
+const depositCaptureRules = [
+  // Amount: at least Stripe's minimum charge (the deposit caps it)
+  body('amount')
+    .isFloat({ min: 0.5 }).withMessage('Amount must be at least $0.50')
+    .toFloat(),
+  // Reason: required, shown to the customer
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('Reason is required')
+    .isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+];
+
+// Validation rules for refunding part or all of a booking's payment
+const refundRules = [
+  // Amount: optional, defaults to everything not yet refunded (the payment caps it)
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 }).withMessage('Amount must be at least $0.01')
+    .toFloat(),
+  // Reason: required, kept in the refund ledger
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('Reason is required')
+    .isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters'),
+  // Also cancel the booking (e.g. refunding a rental that won't happen)
+  body('cancelBooking')
+    .optional()
+    .isBoolean().withMessage('cancelBooking must be true or false')
+    .toBoolean()
+];
+
+// Validation rules for reconciling a day of the payment ledger
+const reconciliationRules = [
+  // Date: required, a day that has already ended (UTC)
+  body('date')
+    .isISO8601().withMessage('Invalid date format')
+    .custom((value) => {
+      const today = new Date();
+      if (new Date(value) >= new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()))) {
+        throw new Error('Only days that have ended can be reconciled');
+      }
+      return true;
+    })
+];
+
+// Validation rules for damage and incidental claims
+const claimRules = [
+  // Booking ID: required, valid MongoDB ObjectId
+  body('booking')
+    .isMongoId().withMessage('Invalid booking ID'),
+  // Category: one of the claim categories
+  body('category')
+    .isIn(CLAIM_CATEGORIES).withMessage(`Category must be one of: ${CLAIM_CATEGORIES.join(', ')}`),
+  // Description: required, max 1000 characters
+  body('description')
+    .trim()
+    .notEmpty().withMessage('Description is required')
+    .isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+  // Amount: at least Stripe's minimum charge
+  body('amount')
+    .isFloat({ min: 0.5 }).withMessage('Amount must be at least $0.50')
+    .toFloat(),
+  // Evidence: optional array of { url, caption } attachments
+  body('evidence')
+    .optional()
+    .isArray({ max: 20 }).withMessage('Evidence must be an array of at most 20 attachments'),
+  body('evidence.*.url')
+    .isURL().withMessage('Invalid evidence URL'),
+  body('evidence.*.caption')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Caption cannot exceed 200 characters')
+];
+
+// Validation rules for a customer disputing a claim
+const claimDisputeRules = [
+  // Reason: required, max 1000 characters
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('Please explain why you are disputing this charge')
+    .isLength({ max: 1000 }).withMessage('Reason cannot exceed 1000 characters')
+];
+
+// Validation rules for staff sending (note) or waiving (reason) a claim
+const claimActionRules = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+// Validation rules for submitting a driver's license (multipart form fields)
+const licenseRules = [
+  // License number: required, max 50 characters
+  body('number')
+    .trim()
+    .notEmpty().withMessage('License number is required')
+    .isLength({ max: 50 }).withMessage('License number cannot exceed 50 characters'),
+  // Country: required, max 60 characters
+  body('country')
+    .trim()
+    .notEmpty().withMessage('Issuing country is required')
+    .isLength({ max: 60 }).withMessage('Country cannot exceed 60 characters'),
+  // Expiry date: required, still valid today
+  body('expiresAt')
+    .isISO8601().withMessage('Expiry date must be a valid date')
+    .custom((value) => new Date(value) > new Date()).withMessage('This license has already expired')
+];
+
+// Validation rules for staff rejecting a driver's license
+const licenseRejectRules = [
+  // Reason: required, shown to the customer
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('Please give a reason so the customer can fix their upload')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+// Validation rules for the license image side parameter
+const licenseSideParam = [
+  param('side')
+    .isIn(['front', 'back']).withMessage('Side must be front or back')
+];
+
+// Validation rules for joining the waitlist
+const waitlistRules = [
+  // Car ID: optional (a car type is needed without one)
+  body('carId')
+    .optional()
+    .isMongoId().withMessage('Invalid car ID'),
+  // Wait for any car of the car's type instead of this car
+  body('anyOfType')
+    .optional()
+    .isBoolean().withMessage('anyOfType must be true or false')
+    .toBoolean(),
+  // Car type: when no car is given
+  body('carType')
+    .optional()
+    .isIn(['economy', 'suv', 'luxury', 'sports', 'van', 'truck'])
+    .withMessage('Invalid car type'),
+  // Pickup location: optional, limits a car type to one location
+  body('locationId')
+    .optional()
+    .isMongoId().withMessage('Invalid location ID'),
+  // Start date: required, ISO format
+  body('startDate')
+    .notEmpty().withMessage('Start date is required')
+    .isISO8601().withMessage('Invalid start date format'),
+  // End date: required, ISO format, must be after start date
+  body('endDate')
+    .notEmpty().withMessage('End date is required')
+    .isISO8601().withMessage('Invalid end date format')
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date(req.body.startDate)) {
+        throw new Error('End date must be after start date');
+      }
+      return true;
+    })
 ];
 
 // Validation rules for creating a review
@@ -208,6 +690,27 @@ const mongoIdParam = [
     .isMongoId().withMessage('Invalid ID format')
 ];
 
+// Validation rule for booking ID URL parameters
+// Used for routes like /api/payments/:bookingId/status
+const bookingIdParam = [
+  param('bookingId')
+    .isMongoId().withMessage('Invalid booking ID format')
+];
+
+// Validation rule for invoice ID URL parameters
+// Used for routes like /api/bookings/:id/invoices/:invoiceId.pdf
+const invoiceIdParam = [
+  param('invoiceId')
+    .isMongoId().withMessage('Invalid invoice ID format')
+];
+
+// Validation rule for credit note ID URL parameters
+// Used for routes like /api/bookings/:id/credit-notes/:noteId.pdf
+const creditNoteIdParam = [
+  param('noteId')
+    .isMongoId().withMessage('Invalid credit note ID format')
+];
+
 // Validation rules for car search query parameters
 const searchQueryRules = [
   // Type: optional filter by car type
@@ -235,6 +738,11 @@ const searchQueryRules = [
     .optional()
     .isInt({ min: 1, max: 15 })
     .withMessage('Seats must be between 1 and 15'),
+  // Pickup location filter: location ID
+  query('location')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid location'),
   // Pagination: page number (1+)
   query('page')
     .optional()
@@ -255,7 +763,28 @@ module.exports = {
   carRules,          // Rules for car creation
   carUpdateRules,    // Rules for car updates
   bookingRules,      // Rules for booking creation
+  bookingModifyRules,// Rules for booking modification
+  cancellationPolicyRules, // Rules for cancellation policies
+  pricingRuleRules,  // Rules for pricing rules
+  promoCodeRules,    // Rules for promo codes
+  taxConfigRules,    // Rules for location tax configurations
+  locationRules,     // Rules for pickup/drop-off locations
+  blackoutRules,     // Rules for car blackouts
+  inspectionRules,   // Rules for check-out/check-in inspections
+  depositCaptureRules, // Rules for capturing a security deposit
+  refundRules,       // Rules for refunding a booking's payment
+  reconciliationRules, // Rules for reconciling a day of the payment ledger
+  claimRules,        // Rules for damage and incidental claims
+  claimDisputeRules, // Rules for disputing a claim
+  claimActionRules,  // Rules for sending or waiving a claim
+  licenseRules,      // Rules for submitting a driver's license
+  licenseRejectRules,// Rules for rejecting a driver's license
+  licenseSideParam,  // Rules for the license image side parameter
+  waitlistRules,     // Rules for joining the waitlist
   reviewRules,       // Rules for review creation
   mongoIdParam,      // Rules for MongoDB ID parameters
+  bookingIdParam,    // Rules for booking ID parameters
+  invoiceIdParam,    // Rules for invoice ID parameters
+  creditNoteIdParam, // Rules for credit note ID parameters
   searchQueryRules   // Rules for search query parameters
 };
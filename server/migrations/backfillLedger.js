@@ -0,0 +1,94 @@
+// ============================================
+// PAYMENT LEDGER BACKFILL
+// Posts the payments and refunds made before the Transaction ledger existed,
+// so revenue figures and reconciliation cover them. Payments are read back
+// from the payment provider and posted the way live ones are (with their
+// settlement time and processing fee); refunds come from each booking's
+// refund ledger. Payments the provider no longer knows are listed instead.
+// Safe to run again: money movements already posted are skipped
+// Run with: npm run migrate:ledger --prefix server
+// ============================================
+
+// Mongoose ODM for MongoDB database operations
+const mongoose = require('mongoose');
+// Node.js path module for file path handling
+const path = require('path');
+// Load environment variables from .env file in project root
+require('dotenv').config({ path: path.join(__dirname, '..', '..', '.env') });
+
+// Booking model for paid bookings and their refunds
+const Booking = require('../models/Booking');
+// Claim model for paid damage claims
+const Claim = require('../models/Claim');
+// Transaction model for the ledger being filled in
+const Transaction = require('../models/Transaction');
+// PaymentIntents a booking was paid with
+const { getPaymentIntentIds } = require('../utils/refunds');
+// Posting payments and refunds
+const { recordPayment, recordRefund } = require('../utils/ledger');
+// Payment provider (Stripe or the mock)
+const paymentProvider = require('../utils/paymentProvider');
+
+// Payment statuses of a booking that took money (including fully refunded ones)
+const CHARGED_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+// Post a PaymentIntent read back from the provider
+// Returns 'posted', 'skipped' (already posted or no money taken), or 'missing'
+const backfillPayment = async (paymentIntentId) => {
+  if (await Transaction.exists({ reference: `payment:${paymentIntentId}` })) return 'skipped';
+
+  const paymentIntent = await paymentProvider.retrievePaymentIntent(paymentIntentId).catch(() => null);
+  if (!paymentIntent) return 'missing';
+  return (await recordPayment(paymentIntent)) ? 'posted' : 'skipped';
+};
+
+// Post every payment and refund not yet in the ledger
+const backfillLedger = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  // The ledger's unique reference index must exist before posting
+  await Transaction.init();
+
+  const counts = { posted: 0, skipped: 0, missing: 0, refunds: 0 };
+  const count = (paymentIntentId, result) => {
+    counts[result] += 1;
+    if (result === 'missing') console.warn(`Payment ${paymentIntentId} not found at the payment provider - post it by hand`);
+  };
+
+  const bookings = await Booking.find({
+    paymentIntentId: { $exists: true, $ne: null },
+    paymentStatus: { $in: CHARGED_PAYMENT_STATUSES }
+  });
+
+  for (const booking of bookings) {
+    // Original payment, extra charges, and any part of the deposit kept
+    const paymentIntentIds = new Set(getPaymentIntentIds(booking));
+    if (booking.deposit?.capturedAmount > 0 && booking.deposit.paymentIntentId) {
+      paymentIntentIds.add(booking.deposit.paymentIntentId);
+    }
+    for (const paymentIntentId of paymentIntentIds) {
+      count(paymentIntentId, await backfillPayment(paymentIntentId));
+    }
+
+    for (const refund of booking.refunds.filter(r => r.status === 'succeeded')) {
+      if (await recordRefund(booking, refund, { occurredAt: refund.createdAt })) counts.refunds += 1;
+    }
+  }
+
+  // Damage claims paid by card
+  const claims = await Claim.find({ status: 'paid', paymentIntentId: { $exists: true, $ne: null } });
+  for (const claim of claims) {
+    count(claim.paymentIntentId, await backfillPayment(claim.paymentIntentId));
+  }
+
+  console.log(`Ledger backfilled: ${counts.posted} payments posted, ${counts.skipped} already posted, ` +
+    `${counts.missing} not found, ${counts.refunds} refunds posted`);
+  return counts;
+};
+
+// Execute the backfill when the script is run directly
+backfillLedger()
+  .then(({ missing }) => process.exit(missing > 0 ? 1 : 0))
+  .catch((error) => {
+    console.error('Error backfilling the ledger:', error);
+    process.exit(1);
+  });
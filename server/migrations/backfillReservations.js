@@ -0,0 +1,65 @@
+// ============================================
+// RESERVATION LEDGER BACKFILL
+// Brings the reservation ledger in line with the bookings that block their
+// car - bookings made before the ledger existed are otherwise invisible to
+// Reservation.claim, and new bookings could double-book over them. Also
+// replaces entries from the old per-day ledger and re-slots every booking
+// after RESERVATION_SLOT_MINUTES or a car's turnaround buffer changes.
+// Safe to run again: bookings already holding the right slots are unchanged
+// Run with: npm run migrate:reservations --prefix server
+// ============================================
+
+// Mongoose ODM for MongoDB database operations
+const mongoose = require('mongoose');
+// Node.js path module for file path handling
+const path = require('path');
+// Load environment variables from .env file in project root
+require('dotenv').config({ path: path.join(__dirname, '..', '..', '.env') });
+
+// Booking model for the bookings holding cars
+const Booking = require('../models/Booking');
+// Car model for each car's turnaround buffer
+const Car = require('../models/Car');
+// Reservation ledger being filled in
+const Reservation = require('../models/Reservation');
+
+// Claim the ledger slots of every blocking booking
+// Overlapping bookings (double-booked before the ledger existed) are reported, not changed
+const backfillReservations = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Entries from the per-day ledger have no slot - drop them and the old
+  // { car, day } index, then build the ledger's unique index before claiming
+  const { deletedCount } = await Reservation.deleteMany({ slot: { $exists: false } });
+  if (deletedCount > 0) console.log(`Removed ${deletedCount} per-day reservation entries`);
+  await Reservation.syncIndexes();
+
+  const counts = { claimed: 0, conflicts: 0 };
+  const bookings = await Booking.find(Booking.blockingFilter()).sort({ createdAt: 1 });
+  const cars = new Map((await Car.find()).map(car => [car._id.toString(), car]));
+
+  for (const booking of bookings) {
+    const car = cars.get(booking.car.toString());
+    // Claims the slots the booking is missing and drops any it no longer covers
+    const reservation = await Reservation.reschedule(booking.car, booking._id, booking.startDate, booking.endDate,
+      car ? car.getTurnaroundMinutes() : 0);
+    if (reservation.claimed) {
+      counts.claimed += 1;
+    } else {
+      counts.conflicts += 1;
+      console.warn(`Booking ${booking._id} overlaps another booking of car ${booking.car} ` +
+        `(${reservation.conflict.startDate.toISOString()} - ${reservation.conflict.endDate.toISOString()}) - resolve it by hand`);
+    }
+  }
+
+  console.log(`Reservations backfilled: ${counts.claimed} bookings claimed, ${counts.conflicts} conflicting`);
+  return counts;
+};
+
+// Execute the backfill when the script is run directly
+backfillReservations()
+  .then(({ conflicts }) => process.exit(conflicts > 0 ? 1 : 0))
+  .catch((error) => {
+    console.error('Error backfilling reservations:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,64 @@
+// ============================================
+// TAX CONFIGURATION RE-KEY
+// Tax configurations used to name their pickup location in free text, matched
+// case-insensitively against the location's name. They now reference the
+// Location, so each name is replaced by the ID of the location it matches.
+// Names matching no location are listed - create the location (or fix the
+// name) and run again - except on the default configuration, which no longer
+// needs a location and has it cleared. The location index is rebuilt so only
+// configurations with a location have to be unique.
+// Safe to run again: configurations already keyed by ID are unchanged
+// Run with: npm run migrate:tax-configs --prefix server
+// ============================================
+
+// Mongoose ODM for MongoDB database operations
+const mongoose = require('mongoose');
+// Node.js path module for file path handling
+const path = require('path');
+// Load environment variables from .env file in project root
+require('dotenv').config({ path: path.join(__dirname, '..', '..', '.env') });
+
+// TaxConfig model for the configurations being re-keyed
+const TaxConfig = require('../models/TaxConfig');
+// Location model for the locations they are keyed to
+const Location = require('../models/Location');
+
+// Replace every location name with its location's ID
+const rekeyTaxConfigs = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Read the raw documents - the schema would try to cast the names to IDs
+  const configs = await TaxConfig.collection.find({ location: { $type: 'string' } }).toArray();
+  const locations = await Location.find().select('name');
+  const byName = new Map(locations.map(location => [location.name.trim().toLowerCase(), location._id]));
+
+  const counts = { rekeyed: 0, unmatched: 0 };
+  for (const config of configs) {
+    const locationId = byName.get(config.location.trim().toLowerCase());
+    if (!locationId && config.isDefault) {
+      await TaxConfig.collection.updateOne({ _id: config._id }, { $unset: { location: '' } });
+      counts.rekeyed += 1;
+      continue;
+    }
+    if (!locationId) {
+      counts.unmatched += 1;
+      console.warn(`Tax configuration ${config._id} is for '${config.location}', which matches no location`);
+      continue;
+    }
+    await TaxConfig.collection.updateOne({ _id: config._id }, { $set: { location: locationId } });
+    counts.rekeyed += 1;
+  }
+
+  await TaxConfig.syncIndexes();
+
+  console.log(`Tax configurations re-keyed: ${counts.rekeyed} updated, ${counts.unmatched} unmatched`);
+  return counts;
+};
+
+// Execute the re-key when the script is run directly
+rekeyTaxConfigs()
+  .then(({ unmatched }) => process.exit(unmatched > 0 ? 1 : 0))
+  .catch((error) => {
+    console.error('Error re-keying tax configurations:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,55 @@
+// ============================================
+// CAR TYPE REMAP
+// Pricing rules and promo codes could be scoped to car types cars never had
+// ('sedan' and 'compact', offered where 'economy' belonged). Those scoped to
+// them matched no car and can't be saved now that the scope is checked
+// against Car.type, so they are moved to 'economy'.
+// Safe to run again: documents already using Car.type are unchanged
+// Run with: npm run migrate:car-types --prefix server
+// ============================================
+
+// Mongoose ODM for MongoDB database operations
+const mongoose = require('mongoose');
+// Node.js path module for file path handling
+const path = require('path');
+// Load environment variables from .env file in project root
+require('dotenv').config({ path: path.join(__dirname, '..', '..', '.env') });
+
+// PricingRule model for rules scoped to car types
+const PricingRule = require('../models/PricingRule');
+// PromoCode model for codes scoped to car types
+const PromoCode = require('../models/PromoCode');
+
+// Types that were offered, and the Car.type each stands for
+const LEGACY_CAR_TYPES = {
+  sedan: 'economy',
+  compact: 'economy'
+};
+
+// Replace legacy types in the carTypes of every matching document of a model
+const remapModel = async (Model) => {
+  const documents = await Model.find({ carTypes: { $in: Object.keys(LEGACY_CAR_TYPES) } });
+
+  for (const document of documents) {
+    const carTypes = [...new Set(document.carTypes.map(type => LEGACY_CAR_TYPES[type] || type))];
+    await Model.updateOne({ _id: document._id }, { $set: { carTypes } });
+  }
+  return documents.length;
+};
+
+// Remap the car types of every pricing rule and promo code
+const remapCarTypes = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const rules = await remapModel(PricingRule);
+  const codes = await remapModel(PromoCode);
+  console.log(`Car types remapped: ${rules} pricing rules, ${codes} promo codes`);
+};
+
+// Execute the remap when the script is run directly
+remapCarTypes()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Error remapping car types:', error);
+    process.exit(1);
+  });
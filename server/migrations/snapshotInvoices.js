@@ -0,0 +1,76 @@
+// ============================================
+// INVOICE SNAPSHOT BACKFILL
+// Invoices and credit notes used to be drawn from their booking on every
+// download, so they changed whenever the booking did. They now carry a copy of
+// what they show, taken when they are issued. This copies it onto documents
+// issued before then from their booking as it is now - the best record left.
+// Invoices whose booking has changed price since they were issued keep their
+// amount as a single line, and are listed for checking by hand - the price
+// change gets its own supplementary invoice or credit note the next time the
+// booking's documents are issued. The unique index is rebuilt so a booking can
+// have supplementary invoices.
+// Safe to run again: documents that already have their copy are unchanged
+// Run with: npm run migrate:invoices --prefix server
+// ============================================
+
+// Mongoose ODM for MongoDB database operations
+const mongoose = require('mongoose');
+// Node.js path module for file path handling
+const path = require('path');
+// Load environment variables from .env file in project root
+require('dotenv').config({ path: path.join(__dirname, '..', '..', '.env') });
+
+// Invoice model for the documents being filled in
+const Invoice = require('../models/Invoice');
+// Booking model for the bookings they were issued for
+const Booking = require('../models/Booking');
+// Copy what a document shows from its booking
+const { describeBooking, snapshotInvoice } = require('../utils/invoices');
+
+// Copy each document's booking details, line items, and payments onto it
+const snapshotInvoices = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const counts = { copied: 0, changed: 0, missing: 0 };
+  const documents = await Invoice.find({ reference: { $exists: false } });
+
+  for (const document of documents) {
+    const booking = await Booking.findById(document.booking);
+    if (!booking) {
+      counts.missing += 1;
+      console.warn(`${document.number} is for booking ${document.booking}, which no longer exists`);
+      continue;
+    }
+
+    let snapshot;
+    if (document.type === 'credit_note') {
+      snapshot = await describeBooking(booking);
+    } else {
+      const { amount, payments, ...invoice } = await snapshotInvoice(booking);
+      snapshot = { ...invoice, payments: payments.filter(payment => payment.occurredAt <= document.issuedAt) };
+      if (amount !== document.amount) {
+        counts.changed += 1;
+        console.warn(`${document.number} billed ${document.amount}, but booking ${booking._id} now costs ${amount}`);
+        snapshot.lineItems = [{ label: 'Car rental', quantity: '', amount: document.amount, kind: 'charge' }];
+        snapshot.total = document.amount;
+        delete snapshot.promoCode;
+      }
+    }
+
+    await Invoice.updateOne({ _id: document._id }, { $set: { ...snapshot, revision: document.revision || 0 } });
+    counts.copied += 1;
+  }
+
+  await Invoice.syncIndexes();
+
+  console.log(`Invoices snapshotted: ${counts.copied} copied (${counts.changed} repriced since), ${counts.missing} missing their booking`);
+  return counts;
+};
+
+// Execute the backfill when the script is run directly
+snapshotInvoices()
+  .then(({ changed, missing }) => process.exit(changed + missing > 0 ? 1 : 0))
+  .catch((error) => {
+    console.error('Error snapshotting invoices:', error);
+    process.exit(1);
+  });
@@ -29,18 +29,56 @@ const auditLogSchema = new mongoose.Schema({
       'BOOKING_UPDATE',
       'BOOKING_CANCEL',
       'BOOKING_COMPLETE',
+      'BOOKING_EXPIRE',
+      'BOOKING_CHECK_OUT',
+      'BOOKING_CHECK_IN',
+      'BOOKING_OVERDUE',
 
       // Payment actions - Stripe payment events
       'PAYMENT_INITIATED',
       'PAYMENT_SUCCESS',
       'PAYMENT_FAILED',
       'PAYMENT_REFUND',
+      'PAYMENT_CANCELED',
+      'PAYMENT_ACTION_REQUIRED',
+      'PAYMENT_DISPUTE',
+      'WEBHOOK_REPLAY',
+      'LEDGER_RECONCILE',
+      'LEDGER_MISMATCH',
+      'DEPOSIT_AUTHORIZE',
+      'DEPOSIT_REAUTHORIZE',
+      'DEPOSIT_CAPTURE',
+      'DEPOSIT_RELEASE',
+      'DEPOSIT_FAILED',
+
+      // Claim actions - damage and incidental charges raised after a rental
+      'CLAIM_CREATE',
+      'CLAIM_UPDATE',
+      'CLAIM_DELETE',
+      'CLAIM_SEND',
+      'CLAIM_DISPUTE',
+      'CLAIM_PAYMENT',
+      'CLAIM_PAYMENT_FAILED',
+      'CLAIM_WAIVE',
+
+      // Waitlist actions - customers waiting for a car to free up
+      'WAITLIST_JOIN',
+      'WAITLIST_CANCEL',
+      'WAITLIST_OFFER',
+      'WAITLIST_LAPSE',
+
+      // Promo code actions - discount redemptions
+      'PROMO_REDEEM',
+      'PROMO_RELEASE',
 
       // Car actions - vehicle management
       'CAR_CREATE',
       'CAR_UPDATE',
       'CAR_DELETE',
       'CAR_VIEW',
+      'CAR_BLACKOUT_CREATE',
+      'CAR_BLACKOUT_UPDATE',
+      'CAR_BLACKOUT_DELETE',
 
       // Review actions - ratings and comments
       'REVIEW_CREATE',
@@ -53,6 +91,9 @@ const auditLogSchema = new mongoose.Schema({
       'USER_DELETE',
       'USER_DEACTIVATE',
       'USER_ACTIVATE',
+      'LICENSE_SUBMIT',
+      'LICENSE_VERIFY',
+      'LICENSE_REJECT',
 
       // Admin actions - dashboard and reports
       'ADMIN_ACCESS',
@@ -68,7 +109,7 @@ const auditLogSchema = new mongoose.Schema({
   resource: {
     type: String,
     required: true,
-    enum: ['auth', 'booking', 'payment', 'car', 'review', 'user', 'admin', 'system']
+    enum: ['auth', 'booking', 'payment', 'car', 'review', 'user', 'waitlist', 'admin', 'system']
   },
   // ID of the specific resource affected
   resourceId: {
@@ -0,0 +1,69 @@
+// Mongoose ODM for MongoDB schema definition
+const mongoose = require('mongoose');
+
+// Blackout schema - periods an admin takes a car out of service
+// Reasons:
+//   maintenance - servicing or repairs
+//   recall      - manufacturer recall work
+//   staff       - reserved for staff use
+const blackoutSchema = new mongoose.Schema({
+  // Car taken out of service
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: [true, 'Please provide car']
+  },
+  // Why the car is unavailable
+  reason: {
+    type: String,
+    required: [true, 'Please provide reason'],
+    enum: ['maintenance', 'recall', 'staff']
+  },
+  // Start of the blackout
+  startDate: {
+    type: Date,
+    required: [true, 'Please provide start date']
+  },
+  // End of the blackout
+  endDate: {
+    type: Date,
+    required: [true, 'Please provide end date']
+  },
+  // Optional details for staff (e.g. "Brake pads")
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  // Admin who created the blackout
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Automatically add createdAt and updatedAt fields
+});
+
+// Index for availability checks on a car's blackouts
+blackoutSchema.index({ car: 1, startDate: 1, endDate: 1 });
+
+// Pre-validation middleware to ensure end date is after start date
+blackoutSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    return next(new Error('End date must be after start date'));
+  }
+  next();
+});
+
+// Static method to find a car's blackout overlapping a rental period
+// (the car is ready as soon as a blackout ends, so no turnaround buffer applies)
+blackoutSchema.statics.findOverlapping = function(carId, start, end) {
+  return this.findOne({
+    car: carId,
+    startDate: { $lt: end },
+    endDate: { $gt: start }
+  });
+};
+
+// Export the Blackout model for use in controllers
+module.exports = mongoose.model('Blackout', blackoutSchema);
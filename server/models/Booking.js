@@ -1,5 +1,9 @@
 // Mongoose ODM for MongoDB schema definition
 const mongoose = require('mongoose');
+// Booking status transition table
+const { getAllowedTransitions } = require('../utils/bookingStatus');
+// Billable day count for the duration virtual
+const { calculateBillableDays } = require('../utils/rentalTime');
 
 // Booking schema definition for car rental reservations
 const bookingSchema = new mongoose.Schema({
@@ -15,26 +19,42 @@ const bookingSchema = new mongoose.Schema({
     ref: 'Car',
     required: true
   },
-  // Rental period start date
+  // Pickup date and time
   startDate: {
     type: Date,
     required: [true, 'Please provide start date']
   },
-  // Rental period end date
+  // Return date and time
   endDate: {
     type: Date,
     required: [true, 'Please provide end date']
   },
-  // Location where customer picks up the car
+  // IANA timezone of the pickup location - pickup and return times
+  // are shown and billed in this timezone
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  // Name of the location where customer picks up the car
   pickupLocation: {
     type: String,
     default: 'Main Office'
   },
-  // Location where customer returns the car
+  // Name of the location where customer returns the car
   dropoffLocation: {
     type: String,
     default: 'Main Office'
   },
+  // Pickup location record (the names above are kept as a snapshot for display)
+  pickupLocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  // Drop-off location record (differs from pickup for one-way rentals)
+  dropoffLocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
   // Array of selected extras/add-ons (insurance, GPS, etc.)
   extras: [{
     extra: {
@@ -42,10 +62,46 @@ const bookingSchema = new mongoose.Schema({
       ref: 'Extra'
     },
     name: String,           // Extra name for display
+    pricingMode: {          // How the extra was charged (older bookings are per day)
+      type: String,
+      enum: ['per_day', 'per_rental', 'per_day_capped'],
+      default: 'per_day'
+    },
     pricePerDay: Number,    // Price per day for this extra
+    flatPrice: Number,      // Price per rental (one-off extras)
+    priceCap: Number,       // Most charged per unit (capped extras)
     quantity: {
       type: Number,
       default: 1
+    },
+    amount: Number          // Total charged for this extra (all units, whole rental)
+  }],
+  // Everyone who will drive the car - the primary driver (the customer) first,
+  // then any additional drivers
+  drivers: [{
+    _id: false,
+    primary: {              // Whether this is the person renting
+      type: Boolean,
+      default: false
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide driver name'],
+      trim: true,
+      maxlength: [100, 'Driver name cannot be more than 100 characters']
+    },
+    dateOfBirth: {
+      type: Date,
+      required: [true, 'Please provide driver date of birth']
+    },
+    licenseNumber: {
+      type: String,
+      required: [true, 'Please provide driver license number'],
+      trim: true
+    },
+    licensedSince: {        // When the driver's license was first issued
+      type: Date,
+      required: [true, 'Please provide when the driver was first licensed']
     }
   }],
   // Pricing breakdown object
@@ -54,18 +110,68 @@ const bookingSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
+    rulesTotal: {           // Net adjustment from pricing rules (negative for discounts)
+      type: Number,
+      default: 0
+    },
     extrasTotal: {          // Total cost of all extras
       type: Number,
       default: 0
     },
-    taxAmount: {            // Calculated tax amount
+    driverFees: {           // Additional driver fees and young-driver surcharges
+      type: Number,
+      default: 0
+    },
+    discountAmount: {       // Promo code discount (taken off before tax)
       type: Number,
       default: 0
     },
+    oneWayFee: {            // Fee for dropping off at a different location
+      type: Number,
+      default: 0
+    },
+    taxAmount: {            // Taxes charged for the pickup location
+      type: Number,
+      default: 0
+    },
+    feesAmount: {           // Location fees and surcharges (e.g. airport concession)
+      type: Number,
+      default: 0
+    },
+    taxLocation: String,    // Pickup location the taxes and fees were charged for
     totalDays: {            // Number of rental days
       type: Number,
       required: true
-    }
+    },
+    lineItems: [{           // Itemized breakdown explaining the total
+      _id: false,
+      kind: {               // base rate, pricing rule, extra, driver fee, discount, one-way fee, tax, or location fee
+        type: String,
+        enum: ['base', 'rule', 'extra', 'driver', 'discount', 'one_way', 'tax', 'fee']
+      },
+      label: String,        // Description shown to the customer
+      rule: {               // Pricing rule that produced this line (rule lines only)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PricingRule'
+      },
+      unit: {               // Whether quantity counts rental days or is a one-off charge
+        type: String,
+        enum: ['day', 'rental']
+      },
+      quantity: Number,     // Days (or units) the line covers
+      amount: Number        // Line total in dollars (negative for discounts)
+    }]
+  },
+  // Promo code redeemed on this booking (terms snapshotted at redemption)
+  promoCode: {
+    promo: {                // Redeemed code
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode'
+    },
+    code: String,           // Code as entered (uppercase)
+    discountType: String,   // 'percent' or 'fixed'
+    value: Number,          // Discount value at redemption
+    discountAmount: Number  // Dollars taken off this booking
   },
   // Final total price including all costs and taxes
   totalPrice: {
@@ -75,13 +181,36 @@ const bookingSchema = new mongoose.Schema({
   // Booking lifecycle status
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'active', 'completed', 'cancelled'],
+    enum: ['pending', 'confirmed', 'active', 'completed', 'cancelled', 'expired'],
     default: 'pending'
   },
-  // Payment processing status
+  // Audit trail of status changes (who, when, and why)
+  statusHistory: [{
+    from: String,           // Previous status (null for the initial status)
+    to: String,             // New status
+    changedBy: {            // User who made the change (null for system changes)
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,         // Why the status changed
+    changedAt: {            // When the change happened
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Time an unpaid pending booking stops holding the car
+  holdExpiresAt: {
+    type: Date
+  },
+  // Time the overdue monitor flagged the rental as not returned on time
+  overdueAt: {
+    type: Date,
+    default: null
+  },
+  // Payment processing status - partially_refunded while part of the payment is kept
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'refunded', 'failed'],
+    enum: ['pending', 'paid', 'partially_refunded', 'refunded', 'failed'],
     default: 'pending'
   },
   // Stripe payment ID for reference
@@ -92,6 +221,109 @@ const bookingSchema = new mongoose.Schema({
   paymentIntentId: {
     type: String
   },
+  // Price adjustments settled after the original payment (e.g. booking modifications)
+  adjustments: [{
+    type: {                 // 'charge' collects extra money, 'refund' returns money
+      type: String,
+      enum: ['charge', 'refund']
+    },
+    amount: Number,         // Adjustment amount in dollars
+    reason: String,         // Why the adjustment was made
+    paymentIntentId: String,// Supplementary Stripe PaymentIntent (charges)
+    refundId: String,       // Stripe refund ID (refunds)
+    status: {               // Settlement status - refunded for a charge that succeeded after
+      type: String,         // the modification it paid for had been dropped
+      enum: ['pending', 'succeeded', 'failed', 'refunded'],
+      default: 'pending'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Modification waiting for its extra cost to be paid (see utils/modifications.js)
+  // The booking keeps its car, dates, and price until the payment succeeds
+  pendingModification: {
+    changes: mongoose.Schema.Types.Mixed, // Car, dates, locations, extras, and pricing to apply
+    turnaroundMinutes: Number,            // Turnaround buffer of the new car
+    priceDifference: Number,              // Amount owed in dollars
+    paymentIntentId: String,              // Supplementary PaymentIntent collecting it
+    requestedBy: {                        // User who asked for the change
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    expiresAt: Date                       // When the change is dropped if it is still unpaid
+  },
+  // Refund ledger - every refund of the booking's payment (see utils/refunds.js)
+  refunds: [{
+    refundId: String,       // Provider's refund ID
+    paymentIntentId: String,// Payment refunded
+    amount: Number,         // Amount refunded in dollars
+    type: {                 // What the refund was for
+      type: String,
+      enum: ['cancellation', 'modification', 'hold_expired', 'manual', 'external']
+    },
+    reason: String,         // Why the money was returned
+    status: {               // Settlement status
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending'
+    },
+    createdBy: {            // Who made the refund (unset for automatic and external refunds)
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Money still owed after a charge to the card on file failed (e.g. return charges)
+  outstandingBalance: {
+    type: Number,
+    default: 0
+  },
+  // Refundable security deposit - a manual-capture PaymentIntent on the card
+  // on file, authorized at pickup and released or (partly) captured after return
+  deposit: {
+    amount: {               // Deposit for the car's type, fixed when the booking is made
+      type: Number,
+      default: 0
+    },
+    status: {               // none (not yet placed or not required), authorized, captured,
+      type: String,         // released, failed (could not be placed), expired (authorization lapsed)
+      enum: ['none', 'authorized', 'captured', 'released', 'failed', 'expired'],
+      default: 'none'
+    },
+    paymentIntentId: String,// Current authorization's PaymentIntent
+    authorizedAt: Date,     // When the current authorization was placed
+    expiresAt: Date,        // When the bank will release the current authorization
+    reauthorizations: {     // Times the hold was renewed before expiring
+      type: Number,
+      default: 0
+    },
+    capturedAmount: {       // Amount kept from the deposit
+      type: Number,
+      default: 0
+    },
+    capturedAt: Date,
+    releasedAt: Date,
+    error: String           // Why the last authorization attempt failed
+  },
+  // Chargebacks the customer's bank opened against a payment for this booking
+  disputes: [{
+    _id: false,
+    disputeId: String,      // Provider's dispute ID
+    paymentIntentId: String,// Payment disputed (the booking's, a supplementary charge, or a deposit capture)
+    amount: Number,         // Amount disputed in dollars
+    reason: String,         // Bank's reason (e.g. fraudulent, product_not_received)
+    status: String,         // Provider's dispute status when it was opened
+    evidenceDueBy: Date,    // Deadline for responding with evidence
+    openedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   // Stripe Checkout Session ID
   stripeSessionId: {
     type: String
@@ -101,6 +333,19 @@ const bookingSchema = new mongoose.Schema({
     type: String,
     maxlength: [500, 'Notes cannot exceed 500 characters']
   },
+  // Cancellation policy in force when the booking was created (snapshot)
+  cancellationPolicy: {
+    policy: {               // Source policy (null for the built-in default)
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CancellationPolicy'
+    },
+    name: String,           // Policy name for display
+    tiers: [{               // Refund tiers, most notice first
+      _id: false,
+      hoursBeforePickup: Number,
+      refundPercent: Number
+    }]
+  },
   // Reason provided when booking is cancelled
   cancellationReason: {
     type: String
@@ -117,28 +362,65 @@ const bookingSchema = new mongoose.Schema({
 bookingSchema.pre('validate', function(next) {
   if (this.startDate && this.endDate) {
     if (this.endDate <= this.startDate) {
-      next(new Error('End date must be after start date'));
+      return next(new Error('End date must be after start date'));
     }
   }
   next();
 });
 
-// Virtual property to calculate rental duration in days
+// Virtual property to calculate rental duration in billable days
 bookingSchema.virtual('duration').get(function() {
   if (this.startDate && this.endDate) {
-    const diffTime = Math.abs(this.endDate - this.startDate);
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    return diffDays;
+    return calculateBillableDays(this.startDate, this.endDate, this.timezone);
   }
   return 0;
 });
 
+// Virtual property listing the statuses this booking may legally move to
+bookingSchema.virtual('allowedTransitions').get(function() {
+  return getAllowedTransitions(this.status);
+});
+
 // Index for user's booking queries
 bookingSchema.index({ user: 1, status: 1 });
 // Index for car availability checks (date overlap queries)
 bookingSchema.index({ car: 1, startDate: 1, endDate: 1 });
 // Index for admin booking list queries
 bookingSchema.index({ status: 1, createdAt: -1 });
+// Index for the hold sweeper's expired-hold queries
+bookingSchema.index({ status: 1, holdExpiresAt: 1 });
+// Index for the overdue monitor's past-return queries
+bookingSchema.index({ status: 1, endDate: 1 });
+// Index for the hold sweeper's unpaid modification queries
+bookingSchema.index({ 'pendingModification.expiresAt': 1 }, { sparse: true });
+// Index for the deposit job finding authorizations about to expire
+bookingSchema.index({ 'deposit.status': 1, 'deposit.expiresAt': 1 });
+// Index for extra inventory checks (units out at a location on overlapping dates)
+bookingSchema.index({ 'extras.extra': 1, pickupLocationId: 1, startDate: 1 });
+
+// Static method returning query conditions for bookings that currently block a car
+// Pending bookings stop blocking once their hold has expired, even before the sweeper runs
+bookingSchema.statics.blockingFilter = function(now = new Date()) {
+  return {
+    status: { $in: ['pending', 'confirmed', 'active'] },
+    $or: [
+      { status: { $ne: 'pending' } },
+      { holdExpiresAt: null },
+      { holdExpiresAt: { $gt: now } }
+    ]
+  };
+};
+
+// Static method building the date filter for bookings that overlap a rental
+// The turnaround buffer keeps the car free for cleaning and inspection
+// before and after each booking
+bookingSchema.statics.overlapFilter = function(start, end, bufferMinutes = 0) {
+  const buffer = bufferMinutes * 60 * 1000;
+  return {
+    startDate: { $lte: new Date(end.getTime() + buffer) },
+    endDate: { $gte: new Date(start.getTime() - buffer) }
+  };
+};
 
 // Configure schema to include virtual fields in JSON output
 bookingSchema.set('toJSON', { virtuals: true });
@@ -0,0 +1,70 @@
+// Mongoose ODM for MongoDB schema definition
+const mongoose = require('mongoose');
+
+// Refund tier schema - cancelling at least hoursBeforePickup hours before pickup
+// refunds refundPercent of the amount paid
+const refundTierSchema = new mongoose.Schema({
+  // Minimum notice (in hours before pickup) required for this tier
+  hoursBeforePickup: {
+    type: Number,
+    required: [true, 'Please provide hours before pickup'],
+    min: [0, 'Hours before pickup cannot be negative']
+  },
+  // Percentage of the paid amount refunded in this tier
+  refundPercent: {
+    type: Number,
+    required: [true, 'Please provide refund percentage'],
+    min: [0, 'Refund percentage cannot be negative'],
+    max: [100, 'Refund percentage cannot exceed 100']
+  }
+}, { _id: false });
+
+// CancellationPolicy schema - admin-defined refund rules for cancelled bookings
+// Exactly one policy is active; it is snapshotted onto each booking at creation
+const cancellationPolicySchema = new mongoose.Schema({
+  // Display name of the policy (e.g. "Flexible")
+  name: {
+    type: String,
+    required: [true, 'Please provide policy name'],
+    unique: true,
+    trim: true
+  },
+  // Customer-facing summary of the policy
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Refund tiers - cancellations with less notice than every tier get no refund
+  tiers: {
+    type: [refundTierSchema],
+    validate: {
+      validator: (tiers) => tiers.length > 0,
+      message: 'Policy must have at least one refund tier'
+    }
+  },
+  // Whether this is the policy applied to new bookings
+  isActive: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true // Automatically add createdAt and updatedAt fields
+});
+
+// Keep tiers ordered from most to least notice so they can be evaluated in order
+cancellationPolicySchema.pre('save', function(next) {
+  this.tiers.sort((a, b) => b.hoursBeforePickup - a.hoursBeforePickup);
+  next();
+});
+
+// Index for looking up the active policy
+cancellationPolicySchema.index({ isActive: 1 });
+
+// Static method to get the policy currently applied to new bookings
+cancellationPolicySchema.statics.getActive = function() {
+  return this.findOne({ isActive: true });
+};
+
+// Export the CancellationPolicy model for use in controllers
+module.exports = mongoose.model('CancellationPolicy', cancellationPolicySchema);
@@ -1,5 +1,10 @@
 // Mongoose ODM for MongoDB schema definition
 const mongoose = require('mongoose');
+// Turnaround buffer, mileage allowance, security deposit, and driver eligibility defaults
+const {
+  turnaroundMinutes, turnaroundMinutesByType, mileageAllowancePerDay, depositAmount, depositAmountByType,
+  driverMinAge, driverMinAgeByType, minYearsLicensed, minYearsLicensedByType
+} = require('../config/booking');
 
 // Car schema definition with comprehensive vehicle details
 const carSchema = new mongoose.Schema({
@@ -79,11 +84,35 @@ const carSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
-  // Current storage location
+  // Location the car belongs to (where it is returned to between one-way rentals)
+  homeLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  // Location the car is parked at now (moves when a one-way rental completes)
+  currentLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  // Name of the current location, kept in step with currentLocation for display
   location: {
     type: String,
     default: 'Main Office'
   },
+  // Minutes kept free before and after each booking for cleaning and inspection
+  // (null = the buffer configured for the car's type)
+  turnaroundMinutes: {
+    type: Number,
+    min: [0, 'Turnaround buffer cannot be negative'],
+    default: null
+  },
+  // Miles included per billable day before excess mileage is charged at check-in
+  // (null = the default allowance, 0 = unlimited)
+  mileageAllowancePerDay: {
+    type: Number,
+    min: [0, 'Mileage allowance cannot be negative'],
+    default: null
+  },
   // Vehicle registration plate (unique identifier)
   licensePlate: {
     type: String,
@@ -110,6 +139,34 @@ const carSchema = new mongoose.Schema({
 carSchema.index({ brand: 'text', model: 'text', description: 'text' });
 // Compound index for efficient filtering queries
 carSchema.index({ type: 1, pricePerDay: 1, available: 1 });
+// Index for searching cars by location
+carSchema.index({ currentLocation: 1, available: 1 });
+
+// Method to get the turnaround buffer for this car in minutes
+// The car's own setting wins, then its type's, then the default
+carSchema.methods.getTurnaroundMinutes = function() {
+  return this.turnaroundMinutes ?? turnaroundMinutesByType[this.type] ?? turnaroundMinutes;
+};
+
+// Method to get the miles included per billable day (0 = unlimited)
+carSchema.methods.getMileageAllowancePerDay = function() {
+  return this.mileageAllowancePerDay ?? mileageAllowancePerDay;
+};
+
+// Method to get the driver eligibility rules for the car's type
+// Returns { minAge, minYearsLicensed }, falling back to the defaults
+carSchema.methods.getDriverRules = function() {
+  return {
+    minAge: driverMinAgeByType[this.type] ?? driverMinAge,
+    minYearsLicensed: minYearsLicensedByType[this.type] ?? minYearsLicensed
+  };
+};
+
+// Method to get the security deposit authorized at pickup (0 = no deposit)
+// The car's type sets the amount, falling back to the default
+carSchema.methods.getDepositAmount = function() {
+  return depositAmountByType[this.type] ?? depositAmount;
+};
 
 // Virtual property to get formatted car name (year brand model)
 carSchema.virtual('fullName').get(function() {
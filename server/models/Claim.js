@@ -0,0 +1,108 @@
+// Mongoose ODM for MongoDB schema definition
+const mongoose = require('mongoose');
+// Claim categories and statuses
+const { CLAIM_CATEGORIES, CLAIM_TRANSITIONS } = require('../utils/claims');
+
+// Claim schema - a charge raised against a booking after the rental
+// (damage, cleaning, tolls, traffic fines), collected from the card on file
+// Statuses follow the transition table in utils/claims.js
+const claimSchema = new mongoose.Schema({
+  // Booking the claim is raised against
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Please provide booking']
+  },
+  // Customer who owes the claim (the booking's user)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please provide user']
+  },
+  // Car the claim relates to
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: [true, 'Please provide car']
+  },
+  // What the claim is for
+  category: {
+    type: String,
+    required: [true, 'Please provide category'],
+    enum: CLAIM_CATEGORIES
+  },
+  // Explanation shown to the customer (e.g. "Replacement wing mirror")
+  description: {
+    type: String,
+    required: [true, 'Please provide description'],
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  // Amount claimed in dollars
+  amount: {
+    type: Number,
+    required: [true, 'Please provide amount'],
+    min: [0.5, 'Amount must be at least $0.50']
+  },
+  // Supporting evidence - photos, repair quotes, fine notices
+  evidence: [{
+    _id: false,
+    url: {
+      type: String,
+      required: true
+    },
+    caption: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Caption cannot exceed 200 characters']
+    }
+  }],
+  // Current claim status
+  status: {
+    type: String,
+    enum: Object.keys(CLAIM_TRANSITIONS),
+    default: 'draft'
+  },
+  // Audit trail of status changes
+  statusHistory: [{
+    from: String,           // Previous status
+    to: String,             // New status
+    changedBy: {            // User who made the change (null for webhook updates)
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,           // Dispute reason, waiver reason, or other context
+    changedAt: {            // When the change happened
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Customer's reason for disputing the claim
+  dispute: {
+    reason: String,
+    submittedAt: Date
+  },
+  // Stripe PaymentIntent used to collect the claim
+  paymentIntentId: String,
+  // Why the last collection attempt failed (cleared on success)
+  paymentError: String,
+  // When the claim was issued to the customer
+  sentAt: Date,
+  // When the claim was collected
+  paidAt: Date,
+  // Admin who raised the claim
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Automatically add createdAt and updatedAt fields
+});
+
+// Indexes for booking lookups, customer listings, and the admin queue
+claimSchema.index({ booking: 1 });
+claimSchema.index({ user: 1, createdAt: -1 });
+claimSchema.index({ status: 1, createdAt: -1 });
+
+// Export the Claim model for use in controllers
+module.exports = mongoose.model('Claim', claimSchema);
@@ -0,0 +1,30 @@
+// Mongoose ODM for MongoDB schema definition
+const mongoose = require('mongoose');
+
+// Counter schema - named sequences for numbers that must run in order
+// (e.g. invoice numbers). The sequence name is the document ID
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  // Last number handed out
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Static method taking the next number of a sequence (starting at 1)
+// The increment is atomic, so concurrent callers never get the same number
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+// Export the Counter model for use in utilities
+module.exports = mongoose.model('Counter', counterSchema);
@@ -1,6 +1,9 @@
 // Mongoose ODM for MongoDB schema definition
 const mongoose = require('mongoose');
 
+// How an extra is charged: every rental day, once per rental, or every day up to a cap
+const PRICING_MODES = ['per_day', 'per_rental', 'per_day_capped'];
+
 // Extra schema definition for booking add-ons (insurance, GPS, child seats, etc.)
 const extraSchema = new mongoose.Schema({
   // Display name of the extra service
@@ -16,12 +19,42 @@ const extraSchema = new mongoose.Schema({
     required: [true, 'Please provide description'],
     trim: true
   },
-  // Daily cost for this extra service
+  // How the extra is charged (see PRICING_MODES)
+  pricingMode: {
+    type: String,
+    enum: {
+      values: PRICING_MODES,
+      message: 'Pricing mode must be per_day, per_rental, or per_day_capped'
+    },
+    default: 'per_day'
+  },
+  // Daily cost for this extra service (per-day and capped extras)
   pricePerDay: {
     type: Number,
-    required: [true, 'Please provide price per day'],
+    required: [
+      function() { return this.pricingMode !== 'per_rental'; },
+      'Please provide price per day'
+    ],
     min: [0, 'Price cannot be negative']
   },
+  // One-off cost per rental (e.g. prepaid fuel, airport delivery, cleaning fee)
+  flatPrice: {
+    type: Number,
+    required: [
+      function() { return this.pricingMode === 'per_rental'; },
+      'Please provide the price per rental'
+    ],
+    min: [0, 'Price cannot be negative']
+  },
+  // Most a capped extra costs per unit for the whole rental
+  priceCap: {
+    type: Number,
+    required: [
+      function() { return this.pricingMode === 'per_day_capped'; },
+      'Please provide the price cap'
+    ],
+    min: [0, 'Price cap cannot be negative']
+  },
   // Category for grouping extras in the UI
   category: {
     type: String,
@@ -43,10 +76,51 @@ const extraSchema = new mongoose.Schema({
     type: Number,
     default: 1,
     min: 1
-  }
+  },
+  // Units stocked at each location (e.g. 5 GPS units at the airport)
+  // Locations without an entry don't limit how many can be booked
+  inventory: [{
+    _id: false,
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      required: [true, 'Please provide inventory location']
+    },
+    quantity: {
+      type: Number,
+      required: [true, 'Please provide inventory quantity'],
+      min: [0, 'Inventory cannot be negative']
+    }
+  }]
 }, {
   timestamps: true // Automatically add createdAt and updatedAt fields
 });
 
+// Instance method pricing the extra for a rental
+// Returns { amount, unit, quantity, capped } where unit/quantity describe the
+// price line: rental days for per-day extras, units for one-off ones
+extraSchema.methods.calculatePrice = function(totalDays, quantity = 1) {
+  if (this.pricingMode === 'per_rental') {
+    return { amount: this.flatPrice * quantity, unit: 'rental', quantity, capped: false };
+  }
+
+  const perUnit = this.pricePerDay * totalDays;
+  const capped = this.pricingMode === 'per_day_capped' && perUnit > this.priceCap;
+  return {
+    amount: (capped ? this.priceCap : perUnit) * quantity,
+    unit: 'day',
+    quantity: totalDays,
+    capped
+  };
+};
+
+// Instance method returning how many units are stocked at a location
+// Returns null when the location doesn't track stock for this extra
+extraSchema.methods.getStockAt = function(locationId) {
+  if (!locationId) return null;
+  const entry = this.inventory.find(item => String(item.location) === String(locationId));
+  return entry ? entry.quantity : null;
+};
+
 // Export the Extra model for use in controllers
 module.exports = mongoose.model('Extra', extraSchema);
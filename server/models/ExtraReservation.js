@@ -0,0 +1,182 @@
+// Mongoose ODM for MongoDB schema definition
+const mongoose = require('mongoose');
+// Car reservation ledger, whose time slots extras are claimed in too
+const Reservation = require('./Reservation');
+
+// Times a claim is retried when concurrent bookings take the units it picked
+const MAX_CLAIM_ATTEMPTS = 5;
+
+// ExtraReservation schema - per-unit time slot ledger for extras stocked at a location
+// One document exists for every unit of an extra a booking takes from a
+// location in every slot of its rental. Units are numbered below the
+// location's stock, and the unique index lets each numbered unit be claimed
+// only once per slot, so concurrent bookings can't take more units than are
+// on the shelf - the same way the reservation ledger claims cars.
+// Units are taken from the pickup location and claimed until the return,
+// whichever location they are returned to
+const extraReservationSchema = new mongoose.Schema({
+  // Reference to the extra being claimed
+  extra: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Extra',
+    required: true
+  },
+  // Location the units are taken from
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  // Start of the slot being claimed (see Reservation)
+  slot: {
+    type: Date,
+    required: true
+  },
+  // Which of the location's units is claimed (0 up to its stock)
+  unit: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Reference to the booking holding the unit
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  }
+}, {
+  timestamps: true // Automatically add createdAt and updatedAt fields
+});
+
+// Unique compound index - each unit at a location can only be claimed once per slot
+extraReservationSchema.index({ extra: 1, location: 1, slot: 1, unit: 1 }, { unique: true });
+// Index for releasing all units held by a booking
+extraReservationSchema.index({ booking: 1 });
+
+// Static method to claim the units a rental takes from a location, keeping the ones the booking holds
+// selections are [{ extra, quantity, stock }] - stock is the location's units of the extra
+// Used on its own to hold a modification's extras until it is paid for
+// Returns { claimed: true } or { claimed: false, extra } with the extra that ran out,
+// leaving the booking's units as they were
+extraReservationSchema.statics.hold = async function(bookingId, locationId, startDate, endDate, selections) {
+  const slots = Reservation.getSlots(startDate, endDate);
+  const range = { $gte: slots[0], $lte: slots[slots.length - 1] };
+  const existing = await this.find({ booking: bookingId }).select('_id');
+
+  for (const { extra, quantity, stock } of selections) {
+    let claimed = false;
+
+    for (let attempt = 0; attempt < MAX_CLAIM_ATTEMPTS && !claimed; attempt += 1) {
+      // Units claimed in each slot of the rental, and how many of them are this booking's
+      const taken = new Map(slots.map(slot => [slot.getTime(), { units: new Set(), own: 0 }]));
+      const entries = await this.find({ extra, location: locationId, slot: range }).select('slot unit booking');
+      for (const entry of entries) {
+        const slot = taken.get(entry.slot.getTime());
+        slot.units.add(entry.unit);
+        if (String(entry.booking) === String(bookingId)) slot.own += 1;
+      }
+
+      // Pick free unit numbers for whatever the booking doesn't hold yet
+      const toClaim = [];
+      let soldOut = false;
+      for (const slot of slots) {
+        const { units, own } = taken.get(slot.getTime());
+        const needed = quantity - own;
+        if (needed <= 0) continue;
+        const free = [];
+        for (let unit = 0; unit < stock && free.length < needed; unit += 1) {
+          if (!units.has(unit)) free.push(unit);
+        }
+        // Units left over from before the stock was lowered still count against it
+        if (free.length < needed || units.size + needed > stock) {
+          soldOut = true;
+          break;
+        }
+        toClaim.push(...free.map(unit => ({ extra, location: locationId, slot, unit, booking: bookingId })));
+      }
+      if (soldOut) break;
+
+      try {
+        // Unordered insert claims every unit it can - those taken meanwhile are picked again
+        if (toClaim.length > 0) await this.insertMany(toClaim, { ordered: false });
+        claimed = true;
+      } catch (error) {
+        if (error.code !== 11000) {
+          await this.deleteMany({ booking: bookingId, _id: { $nin: existing.map(entry => entry._id) } });
+          throw error;
+        }
+      }
+    }
+
+    if (!claimed) {
+      // Undo only the units claimed by this attempt
+      await this.deleteMany({ booking: bookingId, _id: { $nin: existing.map(entry => entry._id) } });
+      return { claimed: false, extra };
+    }
+  }
+
+  return { claimed: true };
+};
+
+// Static method to move a booking's units to a new location, period, and selection
+// Claims only the units the booking does not already hold, then drops the ones it no longer needs
+// Returns { claimed: true } or { claimed: false, extra } leaving the original units untouched
+extraReservationSchema.statics.reschedule = async function(bookingId, locationId, startDate, endDate, selections) {
+  const reservation = await this.hold(bookingId, locationId, startDate, endDate, selections);
+  if (!reservation.claimed) return reservation;
+
+  // Release units of other extras, locations, or slots
+  const slots = Reservation.getSlots(startDate, endDate);
+  await this.deleteMany({
+    booking: bookingId,
+    $or: [
+      { extra: { $nin: selections.map(selection => selection.extra) } },
+      { location: { $ne: locationId } },
+      { slot: { $nin: slots } }
+    ]
+  });
+
+  // Release units beyond a lowered quantity, keeping the lowest numbers
+  for (const { extra, quantity } of selections) {
+    const held = await this.find({ booking: bookingId, extra }).sort({ unit: 1 }).select('_id slot');
+    const kept = new Map();
+    const surplus = held.filter((entry) => {
+      const count = (kept.get(entry.slot.getTime()) || 0) + 1;
+      kept.set(entry.slot.getTime(), count);
+      return count > quantity;
+    });
+    if (surplus.length > 0) await this.deleteMany({ _id: { $in: surplus.map(entry => entry._id) } });
+  }
+
+  return { claimed: true };
+};
+
+// Static method to count the units of extras claimed at a location during a rental
+// Counts the busiest slot of the rental, ignoring the units of excludeBookingId
+// Returns the units claimed, keyed by extra id
+extraReservationSchema.statics.countClaimed = async function(extraIds, locationId, startDate, endDate, excludeBookingId = null) {
+  const slots = Reservation.getSlots(startDate, endDate);
+  const claimed = await this.aggregate([
+    {
+      $match: {
+        extra: { $in: extraIds.map(id => new mongoose.Types.ObjectId(String(id))) },
+        location: new mongoose.Types.ObjectId(String(locationId)),
+        slot: { $gte: slots[0], $lte: slots[slots.length - 1] },
+        ...(excludeBookingId && { booking: { $ne: new mongoose.Types.ObjectId(String(excludeBookingId)) } })
+      }
+    },
+    { $group: { _id: { extra: '$extra', slot: '$slot' }, units: { $sum: 1 } } },
+    { $group: { _id: '$_id.extra', units: { $max: '$units' } } }
+  ]);
+
+  return new Map(claimed.map(entry => [String(entry._id), entry.units]));
+};
+
+// Static method to release all units held by a booking
+// Called when a booking stops taking its extras (cancelled, returned, etc.)
+extraReservationSchema.statics.release = function(bookingId) {
+  return this.deleteMany({ booking: bookingId }).exec();
+};
+
+// Export the ExtraReservation model for use in controllers
+module.exports = mongoose.model('ExtraReservation', extraReservationSchema);
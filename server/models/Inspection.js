@@ -0,0 +1,104 @@
+// Mongoose ODM for MongoDB schema definition
+const mongoose = require('mongoose');
+// Damage checklist areas
+const { DAMAGE_AREAS } = require('../utils/inspections');
+
+// Inspection schema - the condition of a car when it is handed over
+// Types:
+//   checkout - recorded when the customer picks the car up (booking becomes active)
+//   checkin  - recorded when the car is returned (booking becomes completed)
+const inspectionSchema = new mongoose.Schema({
+  // Booking the handover belongs to
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Please provide booking']
+  },
+  // Car that was inspected
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: [true, 'Please provide car']
+  },
+  // Check-out (pickup) or check-in (return)
+  type: {
+    type: String,
+    required: [true, 'Please provide inspection type'],
+    enum: ['checkout', 'checkin']
+  },
+  // Odometer reading in miles
+  odometer: {
+    type: Number,
+    required: [true, 'Please provide odometer reading'],
+    min: [0, 'Odometer reading cannot be negative']
+  },
+  // Fuel level, or battery charge for electric cars, as a percentage
+  fuelLevel: {
+    type: Number,
+    required: [true, 'Please provide fuel level'],
+    min: [0, 'Fuel level cannot be below 0%'],
+    max: [100, 'Fuel level cannot exceed 100%']
+  },
+  // Damage checklist - one entry per area of the car
+  checklist: [{
+    _id: false,
+    area: {
+      type: String,
+      enum: DAMAGE_AREAS
+    },
+    damaged: {              // Whether the area has damage
+      type: Boolean,
+      default: false
+    },
+    notes: {                // Description of the damage (e.g. "Scratch on rear door")
+      type: String,
+      trim: true,
+      maxlength: [200, 'Checklist notes cannot exceed 200 characters']
+    }
+  }],
+  // Photo URLs documenting the car's condition
+  photos: [String],
+  // General notes from the staff member
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  // Staff member who carried out the inspection
+  staff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please provide staff member']
+  },
+  // Miles driven during the rental (check-in only)
+  milesDriven: Number,
+  // Miles included in the rental (check-in only; null for unlimited mileage)
+  mileageAllowance: Number,
+  // Areas damaged at check-in that were not at check-out (check-in only)
+  newDamage: [String],
+  // Charges for the return (check-in only)
+  charges: [{
+    _id: false,
+    kind: {                 // Late return, excess mileage, or missing fuel/charge
+      type: String,
+      enum: ['late', 'mileage', 'fuel']
+    },
+    label: String,          // Description shown to staff and the customer
+    quantity: Number,       // Hours/days late, miles over the allowance, or percent of fuel missing
+    rate: Number,           // Charge per hour/day, mile, or percent
+    amount: Number          // Line total in dollars
+  }],
+  // Total of the return charges
+  chargesTotal: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true // Automatically add createdAt and updatedAt fields
+});
+
+// A booking has at most one check-out and one check-in
+inspectionSchema.index({ booking: 1, type: 1 }, { unique: true });
+
+// Export the Inspection model for use in controllers
+module.exports = mongoose.model('Inspection', inspectionSchema);
@@ -0,0 +1,117 @@
+// Mongoose ODM for MongoDB schema definition
+const mongoose = require('mongoose');
+
+// Invoice schema - a numbered billing document issued for a booking
+// Types:
+//   invoice     - issued once the booking is paid, and again for each later
+//                 price increase (a supplementary invoice billing the difference)
+//   credit_note - one per refund, and one for each later price decrease that
+//                 wasn't refunded, crediting part of the booking's invoices
+// Everything the PDF shows - customer, rental, line items, totals, and payments -
+// is copied here when the document is issued, so it never changes afterwards
+// however the booking does
+// Schema for one priced line of an invoice
+const lineItemSchema = new mongoose.Schema({
+  label: String,     // What is charged for (e.g. "Car rental", "Sales tax")
+  quantity: String,  // Quantity as printed (e.g. "3 day(s)", "x2"), empty for totals
+  amount: Number,    // Line amount in dollars
+  kind: {            // Charges are summed into the subtotal; taxes and fees follow it
+    type: String,
+    enum: ['charge', 'tax']
+  }
+}, { _id: false });
+
+// Schema for one payment or refund in an invoice's payment history
+const paymentSchema = new mongoose.Schema({
+  occurredAt: Date,    // When the money moved
+  description: String, // What it was (e.g. "Payment", "Refund: Booking cancelled")
+  amount: Number       // Dollars taken (positive) or given back (negative)
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  // Sequential document number (e.g. INV-000042 or CN-000007)
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    required: true
+  },
+  // Booking billed
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  // Customer billed
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Invoice a credit note credits
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  // Refund ledger entry (booking.refunds) a credit note was issued for,
+  // and the provider's refund ID
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  refundId: String,
+  // Price change a supplementary invoice or credit note was issued for: 0 for
+  // the booking's first invoice and for refund credit notes, then counting up
+  revision: {
+    type: Number,
+    default: 0
+  },
+  // Amount billed (invoices) or credited (credit notes) in dollars
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Why the money was credited (credit notes)
+  reason: String,
+  // Booking as it was when the document was issued
+  reference: String, // Booking reference shown to customers
+  customer: {
+    name: String,
+    email: String
+  },
+  rental: {
+    car: String,     // e.g. "Toyota Corolla (2022)"
+    pickupLocation: String,
+    dropoffLocation: String,
+    startDate: Date,
+    endDate: Date,
+    timezone: String
+  },
+  // Price breakdown (invoices) - the booking's whole price at issue; a
+  // supplementary invoice bills only what it adds to the earlier documents
+  lineItems: [lineItemSchema],
+  total: Number,              // Booking total at issue
+  previouslyInvoiced: {       // Net of the booking's earlier invoices and credit notes
+    type: Number,
+    default: 0
+  },
+  promoCode: String,          // Promo code the price was discounted with
+  // Payments and refunds recorded in the payment ledger by the time of issue (invoices)
+  payments: [paymentSchema],
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true // Automatically add createdAt and updatedAt fields
+});
+
+// One document per booking price and one credit note per refund
+invoiceSchema.index({ booking: 1, type: 1, refund: 1, revision: 1 }, { unique: true });
+
+// Export the Invoice model for use in utilities and controllers
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,118 @@
+// Mongoose ODM for MongoDB schema definition
+const mongoose = require('mongoose');
+
+// Opening hours schema - when a location is staffed on one day of the week
+const openingHoursSchema = new mongoose.Schema({
+  // Day of the week (0 = Sunday ... 6 = Saturday)
+  dayOfWeek: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  // Opening time in local time (HH:mm)
+  open: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Opening time must be HH:mm']
+  },
+  // Closing time in local time (HH:mm)
+  close: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Closing time must be HH:mm']
+  },
+  // Whether the location is closed all day
+  closed: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// Location schema - branches where cars are picked up and dropped off
+const locationSchema = new mongoose.Schema({
+  // Display name (e.g. "Airport Terminal")
+  name: {
+    type: String,
+    required: [true, 'Please provide location name'],
+    unique: true,
+    trim: true
+  },
+  // Street address
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String
+  },
+  // Map coordinates
+  coordinates: {
+    lat: {
+      type: Number,
+      min: [-90, 'Latitude must be between -90 and 90'],
+      max: [90, 'Latitude must be between -90 and 90']
+    },
+    lng: {
+      type: Number,
+      min: [-180, 'Longitude must be between -180 and 180'],
+      max: [180, 'Longitude must be between -180 and 180']
+    }
+  },
+  // Weekly opening hours (days without an entry are treated as closed)
+  openingHours: {
+    type: [openingHoursSchema],
+    default: []
+  },
+  // IANA timezone the opening hours are expressed in (e.g. "America/New_York")
+  timezone: {
+    type: String,
+    required: [true, 'Please provide timezone'],
+    validate: {
+      validator: (value) => {
+        try {
+          Intl.DateTimeFormat('en-US', { timeZone: value });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'Invalid timezone'
+    }
+  },
+  // Fee charged when a rental picked up here is dropped off elsewhere
+  // (null = use the configured default one-way fee)
+  oneWayFee: {
+    type: Number,
+    min: [0, 'One-way fee cannot be negative'],
+    default: null
+  },
+  // Whether customers can pick up or drop off here
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true // Automatically add createdAt and updatedAt fields
+});
+
+// Pre-validation middleware to check opening hours entries
+locationSchema.pre('validate', function(next) {
+  const days = new Set();
+  for (const entry of this.openingHours) {
+    if (days.has(entry.dayOfWeek)) {
+      return next(new Error('Opening hours can only have one entry per day'));
+    }
+    days.add(entry.dayOfWeek);
+    if (!entry.closed && (!entry.open || !entry.close || entry.close <= entry.open)) {
+      return next(new Error('Closing time must be after opening time'));
+    }
+  }
+  next();
+});
+
+// Static method to list locations customers can choose from
+locationSchema.statics.findActive = function() {
+  return this.find({ isActive: true }).sort({ name: 1 });
+};
+
+// Export the Location model for use in controllers
+module.exports = mongoose.model('Location', locationSchema);
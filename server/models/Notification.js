@@ -0,0 +1,62 @@
+// Mongoose ODM for MongoDB schema definition
+const mongoose = require('mongoose');
+
+// Notification schema - in-app messages for customers and admins
+// Types:
+//   booking_overdue - a rental is past its return time
+//   return_charges  - charges were added when a car was checked in
+//   claim_sent      - a damage/incidental claim was issued to the customer
+//   claim_disputed  - a customer disputed a claim (sent to admins)
+//   claim_paid      - a claim was collected from the card on file
+//   claim_waived    - a claim was written off
+//   deposit_captured - part of a security deposit was kept
+//   deposit_failed  - a security deposit hold could not be renewed (sent to admins)
+const notificationSchema = new mongoose.Schema({
+  // User the notification is for
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please provide user']
+  },
+  // What the notification is about
+  type: {
+    type: String,
+    required: [true, 'Please provide notification type'],
+    enum: [
+      'booking_overdue', 'return_charges',
+      'claim_sent', 'claim_disputed', 'claim_paid', 'claim_waived',
+      'deposit_captured', 'deposit_failed', 'payment_disputed', 'ledger_mismatch',
+      'license_submitted', 'license_verified', 'license_rejected',
+      'waitlist_offer', 'waitlist_lapsed'
+    ]
+  },
+  // Short headline
+  title: {
+    type: String,
+    required: [true, 'Please provide title'],
+    trim: true
+  },
+  // Full message
+  message: {
+    type: String,
+    trim: true
+  },
+  // Booking the notification relates to
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  // When the user read it (null while unread)
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true // Automatically add createdAt and updatedAt fields
+});
+
+// Index for a user's newest notifications
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+// Export the Notification model for use in controllers and jobs
+module.exports = mongoose.model('Notification', notificationSchema);
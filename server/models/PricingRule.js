@@ -0,0 +1,102 @@
+// Mongoose ODM for MongoDB schema definition
+const mongoose = require('mongoose');
+// Car model for the types a rule can be scoped to
+const Car = require('./Car');
+
+// Car types a rule can be scoped to (Car.type)
+const CAR_TYPES = Car.schema.path('type').enumValues;
+
+// PricingRule schema - admin-defined rate adjustments evaluated per rental day
+// Types:
+//   seasonal - multiplier for days within a date range
+//   weekend  - multiplier for days falling on the given weekdays
+//   duration - multiplier for every day of rentals at least minDays long (weekly/monthly discounts)
+const pricingRuleSchema = new mongoose.Schema({
+  // Display name shown in price breakdowns (e.g. "Summer peak")
+  name: {
+    type: String,
+    required: [true, 'Please provide rule name'],
+    trim: true
+  },
+  // Kind of rule, determines which fields are used
+  type: {
+    type: String,
+    required: [true, 'Please provide rule type'],
+    enum: ['seasonal', 'weekend', 'duration']
+  },
+  // Rate multiplier (1.2 = 20% surcharge, 0.9 = 10% discount)
+  multiplier: {
+    type: Number,
+    required: [true, 'Please provide multiplier'],
+    min: [0, 'Multiplier cannot be negative']
+  },
+  // Seasonal rules: first day of the season (inclusive)
+  startDate: {
+    type: Date,
+    required: [function() { return this.type === 'seasonal'; }, 'Please provide season start date']
+  },
+  // Seasonal rules: last day of the season (inclusive)
+  endDate: {
+    type: Date,
+    required: [function() { return this.type === 'seasonal'; }, 'Please provide season end date']
+  },
+  // Weekend rules: days of the week (0 = Sunday ... 6 = Saturday)
+  daysOfWeek: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: undefined
+  },
+  // Duration rules: minimum rental length in days
+  minDays: {
+    type: Number,
+    min: [1, 'Minimum days must be at least 1'],
+    required: [function() { return this.type === 'duration'; }, 'Please provide minimum days']
+  },
+  // Car types the rule applies to (empty = all types)
+  // A matching type-specific rule overrides general rules of the same type
+  carTypes: [{
+    type: String,
+    enum: CAR_TYPES
+  }],
+  // Tie-breaker when several rules of the same type match a day (higher wins)
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // Whether the rule is currently applied to new quotes
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true // Automatically add createdAt and updatedAt fields
+});
+
+// Pre-validation middleware to check rule-type specific fields
+pricingRuleSchema.pre('validate', function(next) {
+  // Season must end on or after its start
+  if (this.type === 'seasonal' && this.startDate && this.endDate && this.endDate < this.startDate) {
+    return next(new Error('Season end date must be on or after its start date'));
+  }
+  // Weekend rules need at least one weekday
+  if (this.type === 'weekend' && !(this.daysOfWeek && this.daysOfWeek.length)) {
+    this.daysOfWeek = [0, 6]; // Default to Saturday and Sunday
+  }
+  next();
+});
+
+// Index for loading active rules during price calculation
+pricingRuleSchema.index({ isActive: 1, type: 1 });
+
+// Static method to load the active rules that may apply to a car type
+pricingRuleSchema.statics.findApplicable = function(carType) {
+  return this.find({
+    isActive: true,
+    $or: [
+      { carTypes: { $size: 0 } },
+      { carTypes: carType }
+    ]
+  });
+};
+
+// Export the PricingRule model for use in controllers
+module.exports = mongoose.model('PricingRule', pricingRuleSchema);
@@ -0,0 +1,215 @@
+// Mongoose ODM for MongoDB schema definition
+const mongoose = require('mongoose');
+// Car model for the types a code can be used on
+const Car = require('./Car');
+
+// PromoCode schema - discount vouchers entered at checkout
+const promoCodeSchema = new mongoose.Schema({
+  // Code customers type in (stored uppercase, matched case-insensitively)
+  code: {
+    type: String,
+    required: [true, 'Please provide promo code'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  // Internal or customer-facing description of the offer
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Percentage off the subtotal, or a fixed dollar amount off
+  discountType: {
+    type: String,
+    enum: ['percent', 'fixed'],
+    required: [true, 'Please provide discount type']
+  },
+  // Discount value (percent 0-100, or dollars)
+  value: {
+    type: Number,
+    required: [true, 'Please provide discount value'],
+    min: [0, 'Discount cannot be negative']
+  },
+  // First moment the code can be used (optional)
+  validFrom: {
+    type: Date
+  },
+  // Last moment the code can be used (optional)
+  validUntil: {
+    type: Date
+  },
+  // Total redemptions allowed across all customers (null = unlimited)
+  maxRedemptions: {
+    type: Number,
+    min: [1, 'Maximum redemptions must be at least 1'],
+    default: null
+  },
+  // Redemptions allowed per customer (null = unlimited)
+  maxPerUser: {
+    type: Number,
+    min: [1, 'Maximum per user must be at least 1'],
+    default: null
+  },
+  // Minimum rental length in days (0 = any length)
+  minDays: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Car types the code can be used on (empty = all types)
+  carTypes: [{
+    type: String,
+    enum: Car.schema.path('type').enumValues
+  }],
+  // Whether the code is currently accepted
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Number of live redemptions (kept in step with the redemptions array)
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  // One entry per booking the code was redeemed on
+  redemptions: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true // Automatically add createdAt and updatedAt fields
+});
+
+// Pre-validation middleware to check value and validity window
+promoCodeSchema.pre('validate', function(next) {
+  if (this.discountType === 'percent' && this.value > 100) {
+    return next(new Error('Percentage discount cannot exceed 100'));
+  }
+  if (this.validFrom && this.validUntil && this.validUntil < this.validFrom) {
+    return next(new Error('Valid until must be after valid from'));
+  }
+  next();
+});
+
+// Static method to look up a code as typed by a customer
+promoCodeSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+// Instance method to check whether a code can be used for a rental
+// Returns an error message, or null when the code applies
+// Caps are checked here for quoting only; redeem() enforces them atomically
+promoCodeSchema.methods.checkEligibility = function({ userId, carType, totalDays, now = new Date() }) {
+  if (!this.isActive) return 'This promo code is no longer active';
+  if (this.validFrom && now < this.validFrom) return 'This promo code is not valid yet';
+  if (this.validUntil && now > this.validUntil) return 'This promo code has expired';
+  if (totalDays < this.minDays) return `This promo code requires a rental of at least ${this.minDays} days`;
+  if (this.carTypes.length && !this.carTypes.includes(carType)) {
+    return 'This promo code is not valid for this type of car';
+  }
+  if (this.maxRedemptions !== null && this.redemptionCount >= this.maxRedemptions) {
+    return 'This promo code has reached its usage limit';
+  }
+  if (userId && this.maxPerUser !== null) {
+    const used = this.redemptions.filter(r => r.user && r.user.toString() === userId.toString()).length;
+    if (used >= this.maxPerUser) return 'You have already used this promo code';
+  }
+  return null;
+};
+
+// Static method to work out the discount on a subtotal
+// Accepts a code or a booking's snapshot of its terms ({ discountType, value })
+// Fixed discounts never exceed the subtotal
+promoCodeSchema.statics.computeDiscount = function({ discountType, value }, subtotal) {
+  const discount = discountType === 'percent'
+    ? subtotal * value / 100
+    : Math.min(value, subtotal);
+  return Math.round(discount * 100) / 100;
+};
+
+// Static method to atomically redeem a code for a booking
+// The caps are part of the update filter, so concurrent checkouts can never
+// push a capped code past its limit. Returns the updated code, or null if no longer redeemable
+promoCodeSchema.statics.redeem = function(promoId, userId, bookingId) {
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+
+  return this.findOneAndUpdate(
+    {
+      _id: promoId,
+      isActive: true,
+      $and: [
+        // Total cap
+        {
+          $or: [
+            { maxRedemptions: null },
+            { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+          ]
+        },
+        // Per-user cap
+        {
+          $or: [
+            { maxPerUser: null },
+            {
+              $expr: {
+                $lt: [
+                  {
+                    $size: {
+                      $filter: {
+                        input: '$redemptions',
+                        cond: { $eq: ['$$this.user', userObjectId] }
+                      }
+                    }
+                  },
+                  '$maxPerUser'
+                ]
+              }
+            }
+          ]
+        }
+      ]
+    },
+    {
+      $inc: { redemptionCount: 1 },
+      $push: { redemptions: { user: userObjectId, booking: bookingId, redeemedAt: new Date() } }
+    },
+    { new: true }
+  );
+};
+
+// Static method to give back a booking's redemption (e.g. unpaid booking expired or cancelled)
+// Matching on the booking makes repeated calls harmless
+promoCodeSchema.statics.releaseRedemption = function(promoId, bookingId) {
+  return this.updateOne(
+    { _id: promoId, 'redemptions.booking': bookingId },
+    {
+      $inc: { redemptionCount: -1 },
+      $pull: { redemptions: { booking: bookingId } }
+    }
+  ).exec();
+};
+
+// Static method to re-record a released redemption without checking caps
+// Used when a late payment reinstates an expired booking - the customer already paid the discounted price
+promoCodeSchema.statics.restoreRedemption = function(promoId, userId, bookingId) {
+  return this.updateOne(
+    { _id: promoId, 'redemptions.booking': { $ne: bookingId } },
+    {
+      $inc: { redemptionCount: 1 },
+      $push: { redemptions: { user: userId, booking: bookingId, redeemedAt: new Date() } }
+    }
+  ).exec();
+};
+
+// Export the PromoCode model for use in controllers
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
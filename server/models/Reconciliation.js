@@ -0,0 +1,68 @@
+// Mongoose ODM for MongoDB schema definition
+const mongoose = require('mongoose');
+
+// Totals compared for a day, in dollars
+//   gross          - money taken (charges, deposit captures, and adjustments)
+//   refunds        - money given back
+//   processingFees - what the payment provider kept
+const totalsSchema = new mongoose.Schema({
+  gross: { type: Number, default: 0 },
+  refunds: { type: Number, default: 0 },
+  processingFees: { type: Number, default: 0 }
+}, { _id: false });
+
+// Reconciliation schema - a day's payment ledger totals checked against the
+// payment provider's records for the same day (UTC). One report per day,
+// updated each time the day is checked again
+// Statuses:
+//   matched    - the ledger and the provider agree
+//   mismatched - a total differs (see mismatches)
+//   failed     - the provider's records couldn't be fetched
+const reconciliationSchema = new mongoose.Schema({
+  // Day checked (UTC midnight)
+  date: {
+    type: Date,
+    required: [true, 'Please provide date'],
+    unique: true
+  },
+  // Provider whose records were checked ('stripe' or 'mock')
+  provider: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['matched', 'mismatched', 'failed'],
+    required: true
+  },
+  // Totals from the ledger and from the provider's balance transactions
+  ledger: totalsSchema,
+  providerRecords: totalsSchema,
+  // Totals that differ - difference is the ledger less the provider
+  mismatches: [{
+    field: {
+      type: String,
+      enum: ['gross', 'refunds', 'processingFees']
+    },
+    ledger: Number,
+    provider: Number,
+    difference: Number,
+    _id: false
+  }],
+  // Why the provider's records couldn't be fetched
+  error: String,
+  // Times the day has been checked, and when it last was
+  checks: {
+    type: Number,
+    default: 0
+  },
+  checkedAt: Date
+}, {
+  timestamps: true // Automatically add createdAt and updatedAt fields
+});
+
+// Index for the admin list of mismatched days
+reconciliationSchema.index({ status: 1, date: -1 });
+
+// Export the Reconciliation model for use in jobs and controllers
+module.exports = mongoose.model('Reconciliation', reconciliationSchema);
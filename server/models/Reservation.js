@@ -0,0 +1,185 @@
+// Mongoose ODM for MongoDB schema definition
+const mongoose = require('mongoose');
+// Length of the time slots cars are claimed in
+const { reservationSlotMinutes } = require('../config/booking');
+
+// Milliseconds in one slot
+const SLOT_MS = reservationSlotMinutes * 60 * 1000;
+
+// Reservation schema - per-car time slot ledger used to claim rental periods atomically
+// One document exists for every slot a booking holds a car. Slots are fixed
+// instants (not calendar days), so pickup and return times in any timezone
+// are claimed as they are, and a car returned in the morning can be picked
+// up again the same afternoon
+const reservationSchema = new mongoose.Schema({
+  // Reference to the reserved car
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: true
+  },
+  // Start of the slot being claimed (a multiple of the slot length since the epoch)
+  slot: {
+    type: Date,
+    required: true
+  },
+  // Reference to the booking holding this slot
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  }
+}, {
+  timestamps: true // Automatically add createdAt and updatedAt fields
+});
+
+// Unique compound index - a car can only be claimed once per slot
+// This is what makes concurrent booking creation race-free
+reservationSchema.index({ car: 1, slot: 1 }, { unique: true });
+// Index for releasing all slots held by a booking
+reservationSchema.index({ booking: 1 });
+
+// Start of the slot a time falls in
+const toSlot = (date) => new Date(Math.floor(new Date(date).getTime() / SLOT_MS) * SLOT_MS);
+
+// End of the period a booking locks - its return time plus the car's turnaround buffer
+const toLockEnd = (endDate, bufferMinutes) => new Date(new Date(endDate).getTime() + bufferMinutes * 60 * 1000);
+
+// Build the list of slots locked by a rental period
+// Both ends are inclusive and the buffer is added after the return, matching
+// Booking.overlapFilter: two bookings of a car share a slot whenever they come
+// within its turnaround buffer of each other. Times that aren't on a slot
+// boundary can also clash with a period ending earlier in the same slot
+const getSlots = (startDate, endDate, bufferMinutes) => {
+  const slots = [];
+  const last = toSlot(toLockEnd(endDate, bufferMinutes)).getTime();
+  for (let slot = toSlot(startDate).getTime(); slot <= last; slot += SLOT_MS) {
+    slots.push(new Date(slot));
+  }
+  return slots;
+};
+
+// Static method to claim every slot of a rental period for a booking
+// bufferMinutes is the car's turnaround buffer, kept free after the return
+// Returns { claimed: true } or { claimed: false, conflict } with the conflicting window
+reservationSchema.statics.claim = async function(carId, bookingId, startDate, endDate, bufferMinutes = 0) {
+  // Build one ledger entry per slot
+  const entries = getSlots(startDate, endDate, bufferMinutes).map(slot => ({
+    car: carId,
+    slot,
+    booking: bookingId
+  }));
+
+  try {
+    // Ordered insert stops at the first slot already claimed by another booking
+    await this.insertMany(entries, { ordered: true });
+    return { claimed: true };
+  } catch (error) {
+    // Undo any slots inserted before the failure
+    await this.deleteMany({ booking: bookingId });
+
+    // Re-throw anything other than a duplicate key violation
+    if (error.code !== 11000) throw error;
+
+    return {
+      claimed: false,
+      conflict: await this.findConflict(carId, bookingId, startDate, endDate, bufferMinutes)
+    };
+  }
+};
+
+// Static method to claim the slots of another rental period for a booking, keeping the ones it holds
+// Used to hold a modification's new car and dates until it is paid for
+// Returns { claimed: true } or { claimed: false, conflict } leaving the booking's slots as they were
+reservationSchema.statics.hold = async function(carId, bookingId, startDate, endDate, bufferMinutes = 0) {
+  // Slots this booking already holds on the target car
+  const held = await this.find({ booking: bookingId, car: carId }).select('slot');
+  const heldTimes = new Set(held.map(entry => entry.slot.getTime()));
+
+  // New slots that still need to be claimed
+  const toClaim = getSlots(startDate, endDate, bufferMinutes).filter(slot => !heldTimes.has(slot.getTime()));
+  if (toClaim.length === 0) return { claimed: true };
+
+  try {
+    // Ordered insert stops at the first slot already claimed by another booking
+    await this.insertMany(
+      toClaim.map(slot => ({ car: carId, slot, booking: bookingId })),
+      { ordered: true }
+    );
+    return { claimed: true };
+  } catch (error) {
+    // Undo only the slots inserted by this attempt
+    await this.deleteMany({ booking: bookingId, car: carId, slot: { $in: toClaim } });
+
+    // Re-throw anything other than a duplicate key violation
+    if (error.code !== 11000) throw error;
+
+    return {
+      claimed: false,
+      conflict: await this.findConflict(carId, bookingId, startDate, endDate, bufferMinutes)
+    };
+  }
+};
+
+// Static method to move a booking's claimed slots to a new car and/or period
+// Claims only the slots the booking does not already hold, then drops the ones it no longer needs
+// Returns { claimed: true } or { claimed: false, conflict } leaving the original slots untouched
+reservationSchema.statics.reschedule = async function(carId, bookingId, startDate, endDate, bufferMinutes = 0) {
+  const reservation = await this.hold(carId, bookingId, startDate, endDate, bufferMinutes);
+  if (!reservation.claimed) return reservation;
+
+  // Release slots outside the new period (or on the previous car)
+  await this.deleteMany({
+    booking: bookingId,
+    $or: [
+      { car: { $ne: carId } },
+      { slot: { $nin: getSlots(startDate, endDate, bufferMinutes) } }
+    ]
+  });
+
+  return { claimed: true };
+};
+
+// Static method to describe the window that blocks a rental period
+// Looks up the earliest slot held by another booking and returns that booking's dates
+reservationSchema.statics.findConflict = async function(carId, bookingId, startDate, endDate, bufferMinutes = 0) {
+  // Find the earliest conflicting slot in the requested period
+  const blocking = await this.findOne({
+    car: carId,
+    booking: { $ne: bookingId },
+    slot: { $gte: toSlot(startDate), $lte: toSlot(toLockEnd(endDate, bufferMinutes)) }
+  })
+    .sort({ slot: 1 })
+    .populate('booking', 'startDate endDate');
+
+  // Conflicting claim was released in the meantime - report the requested window
+  if (!blocking) {
+    return { startDate: new Date(startDate), endDate: new Date(endDate) };
+  }
+
+  // Report the full window of the booking holding the slot
+  if (blocking.booking) {
+    return {
+      startDate: blocking.booking.startDate,
+      endDate: blocking.booking.endDate
+    };
+  }
+
+  // Booking document missing (e.g. still being created) - report the slot itself
+  return { startDate: blocking.slot, endDate: new Date(blocking.slot.getTime() + SLOT_MS) };
+};
+
+// Static method to list the slots a rental period locks (see getSlots)
+// Shared with the extras ledger, which claims extras in the same slots
+reservationSchema.statics.getSlots = function(startDate, endDate, bufferMinutes = 0) {
+  return getSlots(startDate, endDate, bufferMinutes);
+};
+
+// Static method to release all slots held by a booking
+// Called when a booking stops blocking its car (cancelled, etc.)
+reservationSchema.statics.release = function(bookingId) {
+  return this.deleteMany({ booking: bookingId }).exec();
+};
+
+// Export the Reservation model for use in controllers
+module.exports = mongoose.model('Reservation', reservationSchema);
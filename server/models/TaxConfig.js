@@ -0,0 +1,89 @@
+// Mongoose ODM for MongoDB schema definition
+const mongoose = require('mongoose');
+
+// Tax/fee component schema - one named charge added on top of the rental subtotal
+const taxComponentSchema = new mongoose.Schema({
+  // Name shown on the price breakdown (e.g. "State sales tax", "Airport concession fee")
+  name: {
+    type: String,
+    required: [true, 'Please provide component name'],
+    trim: true
+  },
+  // Whether the charge is reported as tax or as a fee
+  category: {
+    type: String,
+    enum: ['tax', 'fee'],
+    default: 'tax'
+  },
+  // percent: rate is a percentage of the discounted subtotal
+  // per_day: rate is a flat dollar amount per rental day
+  calculation: {
+    type: String,
+    enum: ['percent', 'per_day'],
+    required: [true, 'Please provide calculation type']
+  },
+  // Percentage or dollars per day, depending on calculation
+  rate: {
+    type: Number,
+    required: [true, 'Please provide rate'],
+    min: [0, 'Rate cannot be negative']
+  }
+}, { _id: false });
+
+// TaxConfig schema - taxes and fees charged on bookings picked up at a location
+// The default config applies to pickup locations without a config of their own
+const taxConfigSchema = new mongoose.Schema({
+  // Pickup location this config applies to (the default config may have none)
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: [
+      function() { return !this.isDefault; },
+      'Please provide location'
+    ]
+  },
+  // Whether this config is the fallback for locations without their own
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Charges applied in order
+  components: {
+    type: [taxComponentSchema],
+    default: []
+  },
+  // Whether this config is currently applied
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true // Automatically add createdAt and updatedAt fields
+});
+
+// Pre-validation middleware to check percentage rates
+taxConfigSchema.pre('validate', function(next) {
+  const invalid = this.components.find(c => c.calculation === 'percent' && c.rate > 100);
+  if (invalid) {
+    return next(new Error(`${invalid.name} cannot exceed 100%`));
+  }
+  next();
+});
+
+// Unique index - one config per location (configs without a location are left out)
+taxConfigSchema.index({ location: 1 }, { unique: true, partialFilterExpression: { location: { $type: 'objectId' } } });
+// Index for looking up the default config
+taxConfigSchema.index({ isDefault: 1, isActive: 1 });
+
+// Static method to find the config for a pickup location (by ID), with the location's name
+// Falls back to the active default config; resolves to null when neither exists
+taxConfigSchema.statics.findForLocation = async function(locationId) {
+  if (locationId) {
+    const config = await this.findOne({ location: locationId, isActive: true }).populate('location', 'name');
+    if (config) return config;
+  }
+  return this.findOne({ isDefault: true, isActive: true }).populate('location', 'name');
+};
+
+// Export the TaxConfig model for use in controllers
+module.exports = mongoose.model('TaxConfig', taxConfigSchema);
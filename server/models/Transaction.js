@@ -0,0 +1,120 @@
+// Mongoose ODM for MongoDB schema definition
+const mongoose = require('mongoose');
+
+// Ledger accounts money moves between
+//   provider_balance - money held for us by the payment provider
+//   revenue          - money taken from customers
+//   refunds          - money given back to customers (offsets revenue)
+//   processing_fees  - what the payment provider charged for its service
+const ACCOUNTS = ['provider_balance', 'revenue', 'refunds', 'processing_fees'];
+
+// Transaction types and the account each one debits and credits
+//   charge     - a booking or claim paid for
+//   capture    - part or all of a security deposit kept
+//   adjustment - a supplementary payment (booking modification, return charges)
+//   refund     - money given back, by the app or in the provider's dashboard
+//   fee        - the provider's processing fee on a payment
+const TRANSACTION_ACCOUNTS = {
+  charge: { debit: 'provider_balance', credit: 'revenue' },
+  capture: { debit: 'provider_balance', credit: 'revenue' },
+  adjustment: { debit: 'provider_balance', credit: 'revenue' },
+  refund: { debit: 'refunds', credit: 'provider_balance' },
+  fee: { debit: 'processing_fees', credit: 'provider_balance' }
+};
+
+// Transaction schema - double-entry payment ledger. Every money movement
+// debits one account and credits another by the same amount, so the accounts
+// always balance. Entries are never changed; a mistake is corrected by a new one
+const transactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Please provide transaction type'],
+    enum: Object.keys(TRANSACTION_ACCOUNTS)
+  },
+  // Amount in dollars (always positive - the accounts give the direction)
+  amount: {
+    type: Number,
+    required: [true, 'Please provide amount'],
+    min: [0.01, 'Amount must be positive']
+  },
+  debitAccount: {
+    type: String,
+    required: true,
+    enum: ACCOUNTS
+  },
+  creditAccount: {
+    type: String,
+    required: true,
+    enum: ACCOUNTS
+  },
+  // Identifies the money movement (e.g. payment:pi_..., refund:re_...) so
+  // every code path that sees it can record it and it is only posted once
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // When the money moved, as the provider reports it (reconciled per day)
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  // What the money was for
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  claim: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Claim'
+  },
+  // Provider objects the money moved through
+  paymentIntentId: String,
+  refundId: String,
+  // Provider that moved the money ('stripe' or 'mock')
+  provider: {
+    type: String,
+    required: true
+  },
+  description: String,
+  // User whose action moved the money (an admin, or the customer), if any
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Automatically add createdAt and updatedAt fields
+});
+
+// Index for per-day totals and reports
+transactionSchema.index({ occurredAt: 1, type: 1 });
+// Index for a booking's transactions
+transactionSchema.index({ booking: 1, occurredAt: 1 });
+
+// Fill in the accounts from the transaction type
+transactionSchema.pre('validate', function(next) {
+  const accounts = TRANSACTION_ACCOUNTS[this.type];
+  if (accounts) {
+    this.debitAccount = accounts.debit;
+    this.creditAccount = accounts.credit;
+  }
+  next();
+});
+
+// Static method to post a transaction to the ledger
+// Returns the transaction, or null when its reference was already posted.
+// Never throws - the money has moved either way, and a missing entry is
+// caught by reconciliation
+transactionSchema.statics.post = async function(data) {
+  try {
+    return await this.create(data);
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error(`Error posting ${data.type} transaction ${data.reference}:`, error.message);
+    }
+    return null;
+  }
+};
+
+// Export the Transaction model for use in controllers and utilities
+module.exports = mongoose.model('Transaction', transactionSchema);
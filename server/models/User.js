@@ -55,6 +55,38 @@ const userSchema = new mongoose.Schema({
   // Timestamp of user's most recent login
   lastLogin: {
     type: Date
+  },
+  // Stripe Customer the user's cards are saved to (for charges after the rental)
+  stripeCustomerId: {
+    type: String
+  },
+  // Driver's license, checked by an admin before the user's bookings can be confirmed
+  license: {
+    number: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'License number cannot be more than 50 characters']
+    },
+    country: {              // Issuing country
+      type: String,
+      trim: true,
+      maxlength: [60, 'Country cannot be more than 60 characters']
+    },
+    expiresAt: Date,
+    frontImage: String,     // Storage key of the front image (see utils/storage.js)
+    backImage: String,      // Storage key of the back image
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'verified', 'rejected'],
+      default: 'none'
+    },
+    submittedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rejectionReason: String
   }
 }, {
   timestamps: true // Automatically add createdAt and updatedAt fields
@@ -78,6 +110,41 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method returning the license details safe to send to clients
+// (image storage keys are replaced by whether each side was uploaded)
+userSchema.methods.getLicenseSummary = function() {
+  const license = this.license || {};
+  return {
+    number: license.number,
+    country: license.country,
+    expiresAt: license.expiresAt,
+    status: license.status || 'none',
+    submittedAt: license.submittedAt,
+    reviewedAt: license.reviewedAt,
+    rejectionReason: license.rejectionReason,
+    hasFrontImage: Boolean(license.frontImage),
+    hasBackImage: Boolean(license.backImage)
+  };
+};
+
+// Instance method checking the user may drive until a given date
+// Returns an error message, or null when the license is verified and still valid then
+userSchema.methods.checkLicense = function(until) {
+  const license = this.license || {};
+  switch (license.status) {
+    case 'verified':
+      return license.expiresAt && license.expiresAt >= until
+        ? null
+        : 'Your license expires before the end of this rental. Please upload your new license from your profile.';
+    case 'pending':
+      return 'Your license is waiting to be verified. You can book once it has been approved.';
+    case 'rejected':
+      return 'Your license was not approved. Please upload it again from your profile.';
+    default:
+      return 'Please add your driving license to your profile before booking.';
+  }
+};
+
 // Virtual property to get user's full name (returns name field)
 userSchema.virtual('fullName').get(function() {
   return this.name;
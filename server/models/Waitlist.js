@@ -0,0 +1,107 @@
+// Mongoose ODM for MongoDB schema definition
+const mongoose = require('mongoose');
+
+// Waitlist schema - a customer waiting for a car (or any car of a type) to free up for a rental window
+// Statuses:
+//   waiting   - in line for the window
+//   offered   - a car freed up and is held for the customer until offer.expiresAt
+//   booked    - the customer booked the offered car
+//   lapsed    - the offer ran out without a booking (the car went to the next in line)
+//   expired   - the window started before a car freed up
+//   cancelled - removed by the customer or an admin
+const waitlistSchema = new mongoose.Schema({
+  // Customer waiting
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please provide user']
+  },
+  // Specific car wanted (unset when any car of the type will do)
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car'
+  },
+  // Car type wanted when no specific car is set
+  carType: {
+    type: String,
+    enum: ['economy', 'suv', 'luxury', 'sports', 'van', 'truck'],
+    lowercase: true
+  },
+  // Pickup location a car of the type must be at (unset = any location)
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  // Requested pickup and return times
+  startDate: {
+    type: Date,
+    required: [true, 'Please provide start date']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Please provide end date']
+  },
+  // IANA timezone the times were entered in (for display)
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'lapsed', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  // Car held for the customer once the window frees up
+  offer: {
+    car: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Car'
+    },
+    offeredAt: Date,
+    expiresAt: Date
+  },
+  // Booking made from the offer
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  // When the entry was cancelled, and by whom (the customer or an admin)
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Automatically add createdAt and updatedAt fields
+});
+
+// Index for matching waiting customers in line order when a window frees up
+waitlistSchema.index({ status: 1, car: 1, carType: 1, createdAt: 1 });
+// Index for checking whether a car is held by an offer
+waitlistSchema.index({ 'offer.car': 1, status: 1, 'offer.expiresAt': 1 });
+// Index for a customer's own entries
+waitlistSchema.index({ user: 1, createdAt: -1 });
+
+// Pre-validation middleware to ensure a car or car type is set and the window is valid
+waitlistSchema.pre('validate', function(next) {
+  if (!this.car && !this.carType) {
+    return next(new Error('Please provide a car or car type'));
+  }
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    return next(new Error('End date must be after start date'));
+  }
+  next();
+});
+
+// Static method building the filter for offers currently holding a car
+// Uses the same overlap rules as bookings (the turnaround buffer applies around the offered window)
+waitlistSchema.statics.activeOfferFilter = function(carId, now = new Date()) {
+  return {
+    status: 'offered',
+    'offer.car': carId,
+    'offer.expiresAt': { $gt: now }
+  };
+};
+
+// Export the Waitlist model for use in controllers and jobs
+module.exports = mongoose.model('Waitlist', waitlistSchema);
@@ -0,0 +1,82 @@
+// Mongoose ODM for MongoDB schema definition
+const mongoose = require('mongoose');
+
+// WebhookEvent schema - every event the payment provider has sent, kept so
+// redeliveries are recognised and failed events can be retried or replayed
+// Statuses:
+//   received   - stored, not processed yet
+//   processing - being processed (claimed by one delivery or replay)
+//   processed  - handled successfully
+//   ignored    - an event type nothing listens for
+//   failed     - its handler threw; retried when the provider redelivers it or an admin replays it
+const webhookEventSchema = new mongoose.Schema({
+  // Provider's event ID (e.g. evt_...) - a redelivered event has the same ID
+  eventId: {
+    type: String,
+    required: [true, 'Please provide event ID'],
+    unique: true
+  },
+  // Event type (e.g. payment_intent.succeeded)
+  type: {
+    type: String,
+    required: [true, 'Please provide event type']
+  },
+  // Provider that sent the event ('stripe' or 'mock')
+  provider: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  // ID of the object the event concerns (PaymentIntent, charge, or dispute)
+  objectId: {
+    type: String
+  },
+  // Booking named in the object's metadata, for finding a booking's events
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  // Full event as the provider sent it
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // When the provider created the event
+  eventCreatedAt: {
+    type: Date
+  },
+  // Times the provider has delivered the event
+  deliveries: {
+    type: Number,
+    default: 1
+  },
+  // Times processing was attempted, and when the last attempt started
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastAttemptAt: Date,
+  processedAt: Date,
+  // Why the last attempt failed
+  error: String,
+  // Admin who last replayed the event
+  replayedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Automatically add createdAt and updatedAt fields
+});
+
+// Index for the admin list, newest first, by status and type
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+webhookEventSchema.index({ type: 1, createdAt: -1 });
+// Index for a booking's events
+webhookEventSchema.index({ booking: 1, createdAt: -1 });
+
+// Export the WebhookEvent model for use in controllers and utilities
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
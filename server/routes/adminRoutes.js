@@ -12,12 +12,85 @@ const {
   getAuditLogs,      // Handler for viewing audit logs
   getReports         // Handler for generating reports
 } = require('../controllers/adminController');
+// Import cancellation policy controller functions
+const {
+  getPolicies,       // Handler for listing cancellation policies
+  createPolicy,      // Handler for creating a cancellation policy
+  updatePolicy,      // Handler for updating a cancellation policy
+  deletePolicy       // Handler for deleting a cancellation policy
+} = require('../controllers/cancellationPolicyController');
+// Import pricing rule controller functions
+const {
+  getPricingRules,   // Handler for listing pricing rules
+  createPricingRule, // Handler for creating a pricing rule
+  updatePricingRule, // Handler for updating a pricing rule
+  deletePricingRule  // Handler for deleting a pricing rule
+} = require('../controllers/pricingRuleController');
+// Import promo code controller functions
+const {
+  getPromoCodes,     // Handler for listing promo codes
+  getPromoCodeById,  // Handler for viewing a promo code and its redemptions
+  createPromoCode,   // Handler for creating a promo code
+  updatePromoCode,   // Handler for updating a promo code
+  deletePromoCode    // Handler for deleting a promo code
+} = require('../controllers/promoCodeController');
+// Import tax configuration controller functions
+const {
+  getTaxConfigs,     // Handler for listing tax configurations
+  createTaxConfig,   // Handler for creating a tax configuration
+  updateTaxConfig,   // Handler for updating a tax configuration
+  deleteTaxConfig    // Handler for deleting a tax configuration
+} = require('../controllers/taxConfigController');
+// Import car blackout controller functions
+const {
+  getBlackouts,      // Handler for listing car blackouts
+  createBlackout,    // Handler for creating a car blackout
+  updateBlackout,    // Handler for updating a car blackout
+  deleteBlackout     // Handler for deleting a car blackout
+} = require('../controllers/blackoutController');
+// Import claim controller functions
+const {
+  getClaims,         // Handler for listing claims
+  createClaim,       // Handler for creating a draft claim
+  updateClaim,       // Handler for editing a claim
+  deleteClaim,       // Handler for deleting a draft claim
+  sendClaim,         // Handler for issuing a claim to the customer
+  collectClaim,      // Handler for charging a claim to the card on file
+  waiveClaim         // Handler for writing off a claim
+} = require('../controllers/claimController');
+// Import license controller functions
+const {
+  getLicenseQueue,     // Handler for listing licenses to review
+  getUserLicenseImage, // Handler for viewing a user's license images
+  verifyLicense,       // Handler for approving a license
+  rejectLicense        // Handler for rejecting a license
+} = require('../controllers/licenseController');
+// Import waitlist controller functions
+const {
+  getWaitlist,         // Handler for listing waitlist entries
+  cancelWaitlistEntry  // Handler for removing a waitlist entry
+} = require('../controllers/waitlistController');
+// Import webhook event controller functions
+const {
+  getWebhookEvents,    // Handler for listing payment webhook events
+  getWebhookEvent,     // Handler for viewing an event's payload
+  replayWebhookEvent   // Handler for processing an event again
+} = require('../controllers/webhookEventController');
+// Import payment ledger controller functions
+const {
+  getTransactions,     // Handler for listing ledger transactions
+  getReconciliations,  // Handler for listing daily reconciliation reports
+  runReconciliation    // Handler for reconciling a day now
+} = require('../controllers/ledgerController');
 // Authentication middleware to protect routes
 const { protect } = require('../middleware/auth');
 // Admin authorization middleware
 const { admin } = require('../middleware/admin');
 // Validation middleware
-const { validate, mongoIdParam } = require('../middleware/validator');
+const {
+  validate, mongoIdParam, cancellationPolicyRules, pricingRuleRules, promoCodeRules, taxConfigRules,
+  blackoutRules, claimRules, claimActionRules, licenseRejectRules, licenseSideParam, reconciliationRules
+} = require('../middleware/validator');
 
 // ============================================
 // MIDDLEWARE - Applied to all routes below
@@ -52,6 +125,24 @@ router.put('/users/:id', mongoIdParam, validate, updateUser);
 // Cannot delete user with active bookings or self
 router.delete('/users/:id', mongoIdParam, validate, deleteUser);
 
+// ============================================
+// LICENSE VERIFICATION ROUTES
+// ============================================
+
+// GET /api/admin/licenses - Get driver's licenses for review, oldest first
+// Query params: status (pending (default), verified, rejected)
+router.get('/licenses', getLicenseQueue);
+
+// GET /api/admin/users/:id/license/:side - View a user's license image (side: front or back)
+router.get('/users/:id/license/:side', mongoIdParam, licenseSideParam, validate, getUserLicenseImage);
+
+// PUT /api/admin/users/:id/license/verify - Approve a pending license
+router.put('/users/:id/license/verify', mongoIdParam, validate, verifyLicense);
+
+// PUT /api/admin/users/:id/license/reject - Reject a pending or verified license
+// Body: { reason } - shown to the customer
+router.put('/users/:id/license/reject', mongoIdParam, licenseRejectRules, validate, rejectLicense);
+
 // ============================================
 // BOOKING MANAGEMENT ROUTES
 // ============================================
@@ -60,6 +151,144 @@ router.delete('/users/:id', mongoIdParam, validate, deleteUser);
 // Query params: page, limit, status, paymentStatus
 router.get('/bookings', getAllBookings);
 
+// ============================================
+// CAR BLACKOUT ROUTES
+// ============================================
+
+// GET /api/admin/blackouts - List car blackouts, each with the bookings it conflicts with
+// Query params: car, upcoming (true hides blackouts that have ended)
+router.get('/blackouts', getBlackouts);
+
+// POST /api/admin/blackouts - Take a car out of service
+// Body: { car, reason (maintenance, recall, staff), startDate, endDate, notes }
+// Conflicting bookings are flagged in the response, not cancelled
+router.post('/blackouts', blackoutRules, validate, createBlackout);
+
+// PUT /api/admin/blackouts/:id - Update a car blackout
+router.put('/blackouts/:id', mongoIdParam, blackoutRules, validate, updateBlackout);
+
+// DELETE /api/admin/blackouts/:id - Delete a car blackout
+router.delete('/blackouts/:id', mongoIdParam, validate, deleteBlackout);
+
+// ============================================
+// WAITLIST ROUTES
+// ============================================
+
+// GET /api/admin/waitlist - Get waitlist entries in line order
+// Query params: status (open = waiting or offered, or a single status), car
+router.get('/waitlist', getWaitlist);
+
+// PUT /api/admin/waitlist/:id/cancel - Remove a customer from the waitlist
+// A car held for them is offered to the next in line
+router.put('/waitlist/:id/cancel', mongoIdParam, validate, cancelWaitlistEntry);
+
+// ============================================
+// CLAIM ROUTES
+// ============================================
+
+// GET /api/admin/claims - List damage and incidental claims, newest first
+// Query params: status (draft, sent, disputed, paid, waived), booking
+router.get('/claims', getClaims);
+
+// POST /api/admin/claims - Raise a draft claim against an active or completed booking
+// Body: { booking, category (damage, cleaning, toll, traffic_fine, other), description, amount, evidence[{ url, caption }] }
+router.post('/claims', claimRules, validate, createClaim);
+
+// PUT /api/admin/claims/:id - Edit a draft or disputed claim
+router.put('/claims/:id', mongoIdParam, claimRules, validate, updateClaim);
+
+// DELETE /api/admin/claims/:id - Delete a draft claim (issued claims are waived instead)
+router.delete('/claims/:id', mongoIdParam, validate, deleteClaim);
+
+// POST /api/admin/claims/:id/send - Issue a draft, or re-send a disputed claim, and notify the customer
+// Body: { note } (optional, e.g. the outcome of reviewing a dispute)
+router.post('/claims/:id/send', mongoIdParam, claimActionRules, validate, sendClaim);
+
+// POST /api/admin/claims/:id/collect - Charge a sent or disputed claim to the card the booking was paid with
+// Returns 402 if the card is declined
+router.post('/claims/:id/collect', mongoIdParam, validate, collectClaim);
+
+// POST /api/admin/claims/:id/waive - Write off a claim
+// Body: { reason }
+router.post('/claims/:id/waive', mongoIdParam, claimActionRules, validate, waiveClaim);
+
+// ============================================
+// PRICING RULE ROUTES
+// ============================================
+
+// GET /api/admin/pricing-rules - List pricing rules
+// Query params: type (seasonal, weekend, duration)
+router.get('/pricing-rules', getPricingRules);
+
+// POST /api/admin/pricing-rules - Create a pricing rule
+// Body: { name, type, multiplier, startDate, endDate, daysOfWeek[], minDays, carTypes[], priority, isActive }
+router.post('/pricing-rules', pricingRuleRules, validate, createPricingRule);
+
+// PUT /api/admin/pricing-rules/:id - Update a pricing rule
+// Only affects new quotes; existing bookings keep their priced line items
+router.put('/pricing-rules/:id', mongoIdParam, pricingRuleRules, validate, updatePricingRule);
+
+// DELETE /api/admin/pricing-rules/:id - Delete a pricing rule
+router.delete('/pricing-rules/:id', mongoIdParam, validate, deletePricingRule);
+
+// ============================================
+// PROMO CODE ROUTES
+// ============================================
+
+// GET /api/admin/promo-codes - List promo codes with usage counts
+// Query params: search
+router.get('/promo-codes', getPromoCodes);
+
+// GET /api/admin/promo-codes/:id - Get a promo code with its redemptions
+router.get('/promo-codes/:id', mongoIdParam, validate, getPromoCodeById);
+
+// POST /api/admin/promo-codes - Create a promo code
+// Body: { code, description, discountType, value, validFrom, validUntil, maxRedemptions, maxPerUser, minDays, carTypes[], isActive }
+router.post('/promo-codes', promoCodeRules, validate, createPromoCode);
+
+// PUT /api/admin/promo-codes/:id - Update a promo code
+router.put('/promo-codes/:id', mongoIdParam, promoCodeRules, validate, updatePromoCode);
+
+// DELETE /api/admin/promo-codes/:id - Delete a promo code that has never been redeemed
+router.delete('/promo-codes/:id', mongoIdParam, validate, deletePromoCode);
+
+// ============================================
+// TAX CONFIGURATION ROUTES
+// ============================================
+
+// GET /api/admin/tax-configs - List location tax configurations
+router.get('/tax-configs', getTaxConfigs);
+
+// POST /api/admin/tax-configs - Create a tax configuration
+// Body: { location, isDefault, isActive, components[{ name, category, calculation, rate }] }
+router.post('/tax-configs', taxConfigRules, validate, createTaxConfig);
+
+// PUT /api/admin/tax-configs/:id - Update a tax configuration
+// Only affects new quotes; existing bookings keep their priced tax and fee lines
+router.put('/tax-configs/:id', mongoIdParam, taxConfigRules, validate, updateTaxConfig);
+
+// DELETE /api/admin/tax-configs/:id - Delete a tax configuration
+router.delete('/tax-configs/:id', mongoIdParam, validate, deleteTaxConfig);
+
+// ============================================
+// CANCELLATION POLICY ROUTES
+// ============================================
+
+// GET /api/admin/cancellation-policies - List all cancellation policies
+// Also returns the built-in default policy used when none is active
+router.get('/cancellation-policies', getPolicies);
+
+// POST /api/admin/cancellation-policies - Create a cancellation policy
+// Body: { name, description, tiers: [{ hoursBeforePickup, refundPercent }], isActive }
+router.post('/cancellation-policies', cancellationPolicyRules, validate, createPolicy);
+
+// PUT /api/admin/cancellation-policies/:id - Update a cancellation policy
+// Activating a policy deactivates all others; existing bookings keep their snapshot
+router.put('/cancellation-policies/:id', mongoIdParam, cancellationPolicyRules, validate, updatePolicy);
+
+// DELETE /api/admin/cancellation-policies/:id - Delete a cancellation policy
+router.delete('/cancellation-policies/:id', mongoIdParam, validate, deletePolicy);
+
 // ============================================
 // AUDIT LOG ROUTES
 // ============================================
@@ -68,12 +297,41 @@ router.get('/bookings', getAllBookings);
 // Query params: page, limit, action, resource, userId, startDate, endDate
 router.get('/audit-logs', getAuditLogs);
 
+// ============================================
+// WEBHOOK EVENT ROUTES
+// ============================================
+
+// GET /api/admin/webhook-events - Get payment webhook events, newest first
+// Query params: page, limit, status (received, processing, processed, ignored, failed), type, booking
+router.get('/webhook-events', getWebhookEvents);
+
+// GET /api/admin/webhook-events/:id - Get a webhook event with the payload the provider sent
+router.get('/webhook-events/:id', mongoIdParam, validate, getWebhookEvent);
+
+// POST /api/admin/webhook-events/:id/replay - Process a failed, unprocessed, or stuck event again
+router.post('/webhook-events/:id/replay', mongoIdParam, validate, replayWebhookEvent);
+
+// ============================================
+// PAYMENT LEDGER ROUTES
+// ============================================
+
+// GET /api/admin/transactions - Get payment ledger transactions, newest first
+// Query params: page, limit, from, to, type (charge, capture, adjustment, refund, fee), booking
+router.get('/transactions', getTransactions);
+
+// GET /api/admin/reconciliations - Get daily ledger reconciliation reports, newest day first
+// Query params: page, limit, status (matched, mismatched, failed)
+router.get('/reconciliations', getReconciliations);
+
+// POST /api/admin/reconciliations - Check a day of the ledger against the payment provider now
+router.post('/reconciliations', reconciliationRules, validate, runReconciliation);
+
 // ============================================
 // REPORTING ROUTES
 // ============================================
 
 // GET /api/admin/reports - Generate various reports
-// Query params: startDate, endDate, type (revenue, bookings, cars)
+// Query params: startDate, endDate, type (revenue, bookings, cars, deposits)
 router.get('/reports', getReports);
 
 // Export router for use in server.js
@@ -7,33 +7,56 @@ const {
   createBooking,       // Handler for creating a new booking
   getMyBookings,       // Handler for getting current user's bookings
   getBookingById,      // Handler for getting a specific booking
+  getCancellationQuote,// Handler for quoting a cancellation refund
   cancelBooking,       // Handler for cancelling a booking
+  previewModification, // Handler for previewing a booking modification
+  modifyBooking,       // Handler for modifying a booking
   updateBookingStatus, // Admin handler for updating booking status
+  getBookingInspections, // Admin handler for getting handover inspections
+  checkOutBooking,     // Admin handler for checking a car out
+  checkInBooking,      // Admin handler for checking a car in
   getAllBookings,      // Admin handler for getting all bookings
   calculatePrice       // Handler for calculating booking price preview
 } = require('../controllers/bookingController');
+// Import security deposit controller functions
+const {
+  authorizeBookingDeposit, // Admin handler for placing or retrying the deposit hold
+  captureBookingDeposit,   // Admin handler for keeping part or all of the deposit
+  releaseBookingDeposit    // Admin handler for releasing the deposit hold
+} = require('../controllers/depositController');
+// Import invoice controller functions
+const {
+  getBookingInvoices, // Handler for listing a booking's invoice and credit notes
+  getInvoicePdf,      // Handler for downloading the invoice or a supplementary invoice
+  getCreditNotePdf    // Handler for downloading a credit note
+} = require('../controllers/invoiceController');
 // Authentication middleware to protect routes
-const { protect } = require('../middleware/auth');
+const { protect, optionalAuth } = require('../middleware/auth');
 // Admin authorization middleware
 const { admin } = require('../middleware/admin');
 // Validation middleware and rule sets
-const { validate, bookingRules, mongoIdParam } = require('../middleware/validator');
+const {
+  validate, bookingRules, bookingModifyRules, inspectionRules, depositCaptureRules, mongoIdParam, invoiceIdParam,
+  creditNoteIdParam
+} = require('../middleware/validator');
 
 // ============================================
 // PUBLIC ROUTES - No authentication required
 // ============================================
 
 // POST /api/bookings/calculate - Calculate booking price preview
-// Body: { carId, startDate, endDate, extras[] }
-// Returns pricing breakdown without creating a booking
-router.post('/calculate', calculatePrice);
+// Body: { carId, startDate, endDate, extras[], promoCode, pickupLocation }
+// Returns pricing line items (including the pickup location's taxes and fees), the pricing rules
+// applied, and promo code validity, without creating a booking
+// Optional auth lets per-user promo caps be checked for logged-in customers
+router.post('/calculate', optionalAuth, calculatePrice);
 
 // ============================================
 // PROTECTED ROUTES - Authentication required
 // ============================================
 
 // POST /api/bookings - Create a new booking
-// Body: { carId, startDate, endDate, extras[], pickupLocation, dropoffLocation, notes }
+// Body: { carId, startDate, endDate, extras[], pickupLocation, dropoffLocation, notes, promoCode }
 router.post('/', protect, bookingRules, validate, createBooking);
 
 // GET /api/bookings/my - Get current user's bookings with pagination
@@ -44,10 +67,40 @@ router.get('/my', protect, getMyBookings);
 // Only accessible by booking owner or admin
 router.get('/:id', protect, mongoIdParam, validate, getBookingById);
 
+// POST /api/bookings/:id/modify/preview - Preview new price for a modification
+// Body: { carId, startDate, endDate, extras[] }
+// Returns new pricing and priceDifference without changing the booking
+router.post('/:id/modify/preview', protect, mongoIdParam, bookingModifyRules, validate, previewModification);
+
+// PUT /api/bookings/:id - Modify a booking's dates, car, or extras
+// Body: { carId, startDate, endDate, extras[] }
+// Paid bookings settle the difference via supplementary payment or partial refund
+router.put('/:id', protect, mongoIdParam, bookingModifyRules, validate, modifyBooking);
+
+// GET /api/bookings/:id/cancellation-quote - Refund the booking would receive if cancelled now
+// Returns the booking's cancellation policy, refundPercent and refundAmount
+router.get('/:id/cancellation-quote', protect, mongoIdParam, validate, getCancellationQuote);
+
 // PUT /api/bookings/:id/cancel - Cancel a booking
 // Body: { reason } (optional)
+// Paid bookings are automatically refunded according to their cancellation policy
 router.put('/:id/cancel', protect, mongoIdParam, validate, cancelBooking);
 
+// GET /api/bookings/:id/invoices - Get the booking's invoice, supplementary invoices
+// (one per later price increase), and credit notes (one per refund or unrefunded price decrease)
+// The invoice is issued once the booking is paid; invoice is null before then
+router.get('/:id/invoices', protect, mongoIdParam, validate, getBookingInvoices);
+
+// GET /api/bookings/:id/invoice.pdf - Download the booking's invoice as a PDF
+// Itemizes the price with its taxes and fees, and lists payments and refunds, as they were when issued
+router.get('/:id/invoice.pdf', protect, mongoIdParam, validate, getInvoicePdf);
+
+// GET /api/bookings/:id/invoices/:invoiceId.pdf - Download a supplementary invoice as a PDF
+router.get('/:id/invoices/:invoiceId.pdf', protect, mongoIdParam, invoiceIdParam, validate, getInvoicePdf);
+
+// GET /api/bookings/:id/credit-notes/:noteId.pdf - Download a credit note as a PDF
+router.get('/:id/credit-notes/:noteId.pdf', protect, mongoIdParam, creditNoteIdParam, validate, getCreditNotePdf);
+
 // ============================================
 // ADMIN ROUTES - Authentication + Admin role required
 // ============================================
@@ -57,8 +110,34 @@ router.put('/:id/cancel', protect, mongoIdParam, validate, cancelBooking);
 router.get('/', protect, admin, getAllBookings);
 
 // PUT /api/bookings/:id/status - Update booking status
-// Body: { status } (pending, confirmed, active, completed, cancelled)
+// Body: { status, reason } - status must be a legal transition from the current status
+// (active and completed are reached through check-out and check-in instead)
 router.put('/:id/status', protect, admin, mongoIdParam, validate, updateBookingStatus);
 
+// GET /api/bookings/:id/inspections - Get the booking's check-out and check-in inspections
+router.get('/:id/inspections', protect, admin, mongoIdParam, validate, getBookingInspections);
+
+// POST /api/bookings/:id/check-out - Hand the car over and start the rental (confirmed -> active)
+// Body: { odometer, fuelLevel, checklist[{ area, damaged, notes }], photos[], notes }
+router.post('/:id/check-out', protect, admin, mongoIdParam, inspectionRules, validate, checkOutBooking);
+
+// POST /api/bookings/:id/check-in - Record the return and complete the rental (active -> completed)
+// Body: same as check-out
+// Updates the car's mileage and charges excess mileage and missing fuel
+// Return charges are taken from the security deposit first; the rest of the hold is released
+// unless new damage was found, in which case it stays held for a damage claim
+router.post('/:id/check-in', protect, admin, mongoIdParam, inspectionRules, validate, checkInBooking);
+
+// POST /api/bookings/:id/deposit/authorize - Place the security deposit hold again for an active rental
+// (after it failed at pickup or lapsed)
+router.post('/:id/deposit/authorize', protect, admin, mongoIdParam, validate, authorizeBookingDeposit);
+
+// POST /api/bookings/:id/deposit/capture - Keep part or all of the security deposit; the rest is released
+// Body: { amount, reason }
+router.post('/:id/deposit/capture', protect, admin, mongoIdParam, depositCaptureRules, validate, captureBookingDeposit);
+
+// POST /api/bookings/:id/deposit/release - Release the security deposit hold
+router.post('/:id/deposit/release', protect, admin, mongoIdParam, validate, releaseBookingDeposit);
+
 // Export router for use in server.js
 module.exports = router;
@@ -15,7 +15,7 @@ const {
   getCarTypes       // Handler for getting available car types
 } = require('../controllers/carController');
 // Authentication middleware to protect routes
-const { protect } = require('../middleware/auth');
+const { protect, optionalAuth } = require('../middleware/auth');
 // Admin authorization middleware
 const { admin } = require('../middleware/admin');
 // Validation middleware and rule sets
@@ -32,12 +32,14 @@ router.get('/featured', getFeaturedCars);
 router.get('/types', getCarTypes);
 
 // GET /api/cars/search - Search cars with filters and availability check
-// Supports: startDate, endDate, type, transmission, minPrice, maxPrice, seats
-router.get('/search', searchQueryRules, validate, searchCars);
+// Supports: startDate, endDate, type, transmission, minPrice, maxPrice, seats, location (pickup location ID)
+// Signed-in customers also see cars held for them on the waitlist
+router.get('/search', optionalAuth, searchQueryRules, validate, searchCars);
 
 // GET /api/cars/:id/availability - Check if a specific car is available for dates
 // Query params: startDate, endDate
-router.get('/:id/availability', mongoIdParam, validate, checkAvailability);
+// Signed-in customers see a car held for them on the waitlist as available
+router.get('/:id/availability', optionalAuth, mongoIdParam, validate, checkAvailability);
 
 // GET /api/cars/:id - Get single car details by ID
 router.get('/:id', mongoIdParam, validate, getCarById);
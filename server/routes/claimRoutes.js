@@ -0,0 +1,29 @@
+// Express framework for creating router
+const express = require('express');
+// Create Express router instance for customer claim routes
+const router = express.Router();
+// Import claim controller functions
+const {
+  getMyClaims,   // Handler for listing the user's claims
+  disputeClaim   // Handler for disputing a claim
+} = require('../controllers/claimController');
+// Authentication middleware to protect routes
+const { protect } = require('../middleware/auth');
+// Validation middleware
+const { validate, mongoIdParam, claimDisputeRules } = require('../middleware/validator');
+
+// ============================================
+// PROTECTED ROUTES - Authentication required
+// Claims are managed by admins under /api/admin/claims
+// ============================================
+
+// GET /api/claims/my - Get charges raised against the current user's bookings (drafts excluded)
+// Query params: booking
+router.get('/my', protect, getMyClaims);
+
+// PUT /api/claims/:id/dispute - Dispute a charge that has been sent
+// Body: { reason }
+router.put('/:id/dispute', protect, mongoIdParam, claimDisputeRules, validate, disputeClaim);
+
+// Export router for use in server.js
+module.exports = router;
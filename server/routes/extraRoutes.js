@@ -4,12 +4,18 @@ const express = require('express');
 const router = express.Router();
 // Extra model for database operations on booking add-ons
 const Extra = require('../models/Extra');
+// Location model for the pickup branch stocking the extras
+const Location = require('../models/Location');
 // Async handler to catch errors and pass to error middleware
 const { asyncHandler } = require('../middleware/errorHandler');
 // Authentication middleware to protect routes
 const { protect } = require('../middleware/auth');
 // Admin authorization middleware
 const { admin } = require('../middleware/admin');
+// Units of each extra still free at a location
+const { getExtraAvailability } = require('../utils/extras');
+// Parse request times in the location's timezone
+const { parseRentalTime } = require('../utils/rentalTime');
 
 // ============================================
 // PUBLIC ROUTES - No authentication required
@@ -29,6 +35,48 @@ router.get('/', asyncHandler(async (req, res) => {
   });
 }));
 
+// @desc    Get how many units of each extra are free at a pickup location
+// @route   GET /api/extras/availability?pickupLocationId=&startDate=&endDate=
+// @access  Public
+// Extras the location doesn't stock come back as null (not limited)
+router.get('/availability', asyncHandler(async (req, res) => {
+  const { pickupLocationId, startDate, endDate } = req.query;
+
+  // Validate required parameters
+  if (!pickupLocationId || !startDate || !endDate) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a pickup location and start and end dates'
+    });
+  }
+
+  const location = await Location.findById(pickupLocationId);
+  if (!location) {
+    return res.status(404).json({
+      success: false,
+      message: 'Location not found'
+    });
+  }
+
+  const start = parseRentalTime(startDate, location.timezone);
+  const end = parseRentalTime(endDate, location.timezone);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid start or end date'
+    });
+  }
+
+  const extras = await Extra.find({ available: true });
+  const remaining = await getExtraAvailability({ extras, locationId: location._id, start, end });
+
+  // Return remaining units keyed by extra ID
+  res.status(200).json({
+    success: true,
+    data: { availability: Object.fromEntries(remaining) }
+  });
+}));
+
 // @desc    Get single extra by ID
 // @route   GET /api/extras/:id
 // @access  Public
@@ -58,6 +106,8 @@ router.get('/:id', asyncHandler(async (req, res) => {
 // @desc    Create new extra
 // @route   POST /api/extras
 // @access  Private/Admin
+// Body: pricingMode 'per_day' (pricePerDay), 'per_rental' (flatPrice),
+//       or 'per_day_capped' (pricePerDay up to priceCap per unit)
 router.post('/', protect, admin, asyncHandler(async (req, res) => {
   // Create new extra from request body
   const extra = await Extra.create(req.body);
@@ -73,12 +123,8 @@ router.post('/', protect, admin, asyncHandler(async (req, res) => {
 // @route   PUT /api/extras/:id
 // @access  Private/Admin
 router.put('/:id', protect, admin, asyncHandler(async (req, res) => {
-  // Find and update extra with validation
-  const extra = await Extra.findByIdAndUpdate(
-    req.params.id,
-    req.body,
-    { new: true, runValidators: true }
-  );
+  // Find extra by ID
+  const extra = await Extra.findById(req.params.id);
 
   // Return 404 if extra not found
   if (!extra) {
@@ -88,6 +134,11 @@ router.put('/:id', protect, admin, asyncHandler(async (req, res) => {
     });
   }
 
+  // Apply changes and save, so the price required by the (possibly new)
+  // pricing mode is validated against the whole document
+  extra.set(req.body);
+  await extra.save();
+
   // Return updated extra
   res.status(200).json({
     success: true,
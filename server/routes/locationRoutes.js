@@ -0,0 +1,46 @@
+// Express framework for creating router
+const express = require('express');
+// Create Express router instance for location routes
+const router = express.Router();
+// Import location controller functions
+const {
+  getLocations,     // Handler for listing locations
+  getLocationById,  // Handler for getting a single location
+  createLocation,   // Admin handler for creating a location
+  updateLocation,   // Admin handler for updating a location
+  deleteLocation    // Admin handler for deleting a location
+} = require('../controllers/locationController');
+// Authentication middleware to protect routes
+const { protect, optionalAuth } = require('../middleware/auth');
+// Admin authorization middleware
+const { admin } = require('../middleware/admin');
+// Validation middleware and rule sets
+const { validate, locationRules, mongoIdParam } = require('../middleware/validator');
+
+// ============================================
+// PUBLIC ROUTES - No authentication required
+// ============================================
+
+// GET /api/locations - List active pickup/drop-off locations
+// Query params: all=true (admins only) to include inactive locations
+router.get('/', optionalAuth, getLocations);
+
+// GET /api/locations/:id - Get a single location with address and opening hours
+router.get('/:id', mongoIdParam, validate, getLocationById);
+
+// ============================================
+// ADMIN ROUTES - Authentication + Admin role required
+// ============================================
+
+// POST /api/locations - Create a location
+// Body: { name, address, coordinates{lat, lng}, openingHours[], timezone, oneWayFee, isActive }
+router.post('/', protect, admin, locationRules, validate, createLocation);
+
+// PUT /api/locations/:id - Update a location
+router.put('/:id', protect, admin, mongoIdParam, locationRules, validate, updateLocation);
+
+// DELETE /api/locations/:id - Delete a location that has no cars assigned
+router.delete('/:id', protect, admin, mongoIdParam, validate, deleteLocation);
+
+// Export router for use in server.js
+module.exports = router;
@@ -0,0 +1,33 @@
+// Express framework for creating router
+const express = require('express');
+// Create Express router instance for notification routes
+const router = express.Router();
+// Import notification controller functions
+const {
+  getMyNotifications,      // Handler for listing the user's notifications
+  markNotificationRead,    // Handler for marking one notification read
+  markAllNotificationsRead // Handler for marking all notifications read
+} = require('../controllers/notificationController');
+// Authentication middleware to protect routes
+const { protect } = require('../middleware/auth');
+// Validation middleware
+const { validate, mongoIdParam } = require('../middleware/validator');
+
+// ============================================
+// PROTECTED ROUTES - Authentication required
+// ============================================
+
+// GET /api/notifications - Get current user's notifications, newest first
+// Query params: limit
+// Returns: notifications, unreadCount
+router.get('/', protect, getMyNotifications);
+
+// PUT /api/notifications/read-all - Mark all notifications as read
+// Note: Must be defined before /:id to avoid route conflict
+router.put('/read-all', protect, markAllNotificationsRead);
+
+// PUT /api/notifications/:id/read - Mark a notification as read
+router.put('/:id/read', protect, mongoIdParam, validate, markNotificationRead);
+
+// Export router for use in server.js
+module.exports = router;
@@ -4,33 +4,50 @@ const express = require('express');
 const router = express.Router();
 // Import payment controller functions
 const {
-  createPaymentIntent, // Handler for creating Stripe payment intent
-  confirmPayment,      // Handler for confirming payment completion
-  handleWebhook,       // Handler for Stripe webhook events
-  getPaymentStatus,    // Handler for getting payment status
-  processRefund        // Admin handler for processing refunds
+  getPaymentConfig,       // Handler for checkout payment settings
+  createPaymentIntent,    // Handler for creating payment intent
+  confirmPayment,         // Handler for confirming payment completion
+  handleWebhook,          // Handler for payment provider webhook events
+  getPaymentStatus,       // Handler for getting payment status
+  getRefunds,             // Admin handler for a booking's refund ledger
+  processRefund,          // Admin handler for processing refunds
+  confirmMockPayment,     // Mock provider handler for paying with a test payment method
+  authenticateMockPayment // Mock provider handler for 3D Secure challenges
 } = require('../controllers/paymentController');
+// Payment provider, to add the mock's checkout routes when it is configured
+const paymentProvider = require('../utils/paymentProvider');
 // Authentication middleware to protect routes
 const { protect } = require('../middleware/auth');
 // Admin authorization middleware
 const { admin } = require('../middleware/admin');
 // Validation middleware
-const { validate, mongoIdParam } = require('../middleware/validator');
+const { validate, bookingIdParam, refundRules } = require('../middleware/validator');
 
 // ============================================
-// WEBHOOK ROUTE - Special handling for Stripe
+// WEBHOOK ROUTE - Special handling for the payment provider
 // ============================================
 
-// POST /api/payments/webhook - Handle Stripe webhook events
+// POST /api/payments/webhook - Handle payment provider webhook events
 // IMPORTANT: Uses raw body parser (not JSON) for signature verification
-// Handles: payment_intent.succeeded, payment_intent.payment_failed
+// Handles: payment_intent.succeeded, payment_intent.payment_failed, payment_intent.canceled,
+// payment_intent.requires_action, charge.refunded, charge.dispute.created
+// Every event is stored first; redeliveries of a handled event are skipped, and a
+// failed event gets a 500 so the provider redelivers it
 router.post('/webhook', express.raw({ type: 'application/json' }), handleWebhook);
 
+// ============================================
+// PUBLIC ROUTES
+// ============================================
+
+// GET /api/payments/config - Which payment provider checkout uses
+// Returns: { provider: 'stripe', publishableKey } or { provider: 'mock', paymentMethods }
+router.get('/config', getPaymentConfig);
+
 // ============================================
 // PROTECTED ROUTES - Authentication required
 // ============================================
 
-// POST /api/payments/create-intent - Create a Stripe payment intent
+// POST /api/payments/create-intent - Create a payment intent
 // Body: { bookingId }
 // Returns: { clientSecret, paymentIntentId, amount }
 router.post('/create-intent', protect, createPaymentIntent);
@@ -41,16 +58,36 @@ router.post('/create-intent', protect, createPaymentIntent);
 router.post('/confirm', protect, confirmPayment);
 
 // GET /api/payments/:bookingId/status - Get payment status for a booking
-// Returns: { bookingId, paymentStatus, stripeStatus, amount }
-router.get('/:bookingId/status', protect, mongoIdParam, validate, getPaymentStatus);
+// Returns: { bookingId, paymentStatus, providerStatus, amount }
+router.get('/:bookingId/status', protect, bookingIdParam, validate, getPaymentStatus);
 
 // ============================================
 // ADMIN ROUTES - Authentication + Admin role required
 // ============================================
 
-// POST /api/payments/:bookingId/refund - Process a refund for a booking
-// Only works for paid bookings, cancels booking on success
-router.post('/:bookingId/refund', protect, admin, mongoIdParam, validate, processRefund);
+// GET /api/payments/:bookingId/refunds - Get a booking's refund ledger
+// Returns: { paymentStatus, refunds, captured, refunded, refundable }
+router.get('/:bookingId/refunds', protect, admin, bookingIdParam, validate, getRefunds);
+
+// POST /api/payments/:bookingId/refund - Refund part or all of a booking's payment
+// Body: { amount (default everything not yet refunded), reason, cancelBooking }
+// Refunds together never exceed the captured amount; the booking is only cancelled when asked
+router.post('/:bookingId/refund', protect, admin, bookingIdParam, refundRules, validate, processRefund);
+
+// ============================================
+// MOCK PROVIDER ROUTES - Only when PAYMENT_PROVIDER=mock
+// Stand in for what Stripe.js does in the browser
+// ============================================
+
+if (paymentProvider.name === 'mock') {
+  // POST /api/payments/mock/:paymentIntentId/confirm - Pay with a test payment method
+  // Body: { paymentMethod } (pm_mock_success, pm_mock_decline, pm_mock_3ds, pm_mock_delayed)
+  router.post('/mock/:paymentIntentId/confirm', protect, confirmMockPayment);
+
+  // POST /api/payments/mock/:paymentIntentId/authenticate - Pass or fail a 3D Secure challenge
+  // Body: { success }
+  router.post('/mock/:paymentIntentId/authenticate', protect, authenticateMockPayment);
+}
 
 // Export router for use in server.js
 module.exports = router;
@@ -7,10 +7,18 @@ const {
   getUserProfile, // Handler for getting a user's public profile
   getUserStats    // Handler for getting current user's statistics
 } = require('../controllers/userController');
+// Import license controller functions
+const {
+  getMyLicense,     // Handler for getting the current user's driver's license
+  submitLicense,    // Handler for submitting a driver's license for verification
+  getMyLicenseImage // Handler for viewing the current user's license images
+} = require('../controllers/licenseController');
 // Authentication middleware to protect routes
 const { protect } = require('../middleware/auth');
+// Multipart upload parsing for license images
+const upload = require('../middleware/upload');
 // Validation middleware
-const { validate, mongoIdParam } = require('../middleware/validator');
+const { validate, mongoIdParam, licenseRules, licenseSideParam } = require('../middleware/validator');
 
 // ============================================
 // PROTECTED ROUTES - Authentication required
@@ -21,6 +29,24 @@ const { validate, mongoIdParam } = require('../middleware/validator');
 // Note: Must be defined before /:id to avoid route conflict
 router.get('/stats', protect, getUserStats);
 
+// GET /api/users/license - Get current user's driver's license and verification status
+router.get('/license', protect, getMyLicense);
+
+// PUT /api/users/license - Submit or replace driver's license (multipart/form-data)
+// Fields: number, country, expiresAt; files: front, back (required the first time)
+// The license goes back to pending until an admin verifies it
+router.put(
+  '/license',
+  protect,
+  upload.fields([{ name: 'front', maxCount: 1 }, { name: 'back', maxCount: 1 }]),
+  licenseRules,
+  validate,
+  submitLicense
+);
+
+// GET /api/users/license/:side - View own license image (side: front or back)
+router.get('/license/:side', protect, licenseSideParam, validate, getMyLicenseImage);
+
 // ============================================
 // PUBLIC ROUTES - No authentication required
 // ============================================
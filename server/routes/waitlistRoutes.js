@@ -0,0 +1,32 @@
+// Express framework for creating router
+const express = require('express');
+// Create Express router instance for customer waitlist routes
+const router = express.Router();
+// Import waitlist controller functions
+const {
+  joinWaitlist,        // Handler for joining the waitlist
+  getMyWaitlist,       // Handler for listing the user's waitlist entries
+  cancelWaitlistEntry  // Handler for leaving the waitlist
+} = require('../controllers/waitlistController');
+// Authentication middleware to protect routes
+const { protect } = require('../middleware/auth');
+// Validation middleware
+const { validate, mongoIdParam, waitlistRules } = require('../middleware/validator');
+
+// ============================================
+// PROTECTED ROUTES - Authentication required
+// Admins see every entry under /api/admin/waitlist
+// ============================================
+
+// POST /api/waitlist - Join the waitlist for a fully booked car, or any car of its type
+// Body: { carId, startDate, endDate, anyOfType } or { carType, locationId, startDate, endDate }
+router.post('/', protect, waitlistRules, validate, joinWaitlist);
+
+// GET /api/waitlist/my - Get current user's waitlist entries (with any car held for them)
+router.get('/my', protect, getMyWaitlist);
+
+// PUT /api/waitlist/:id/cancel - Leave the waitlist (a held car goes to the next in line)
+router.put('/:id/cancel', protect, mongoIdParam, validate, cancelWaitlistEntry);
+
+// Export router for use in server.js
+module.exports = router;
@@ -0,0 +1,279 @@
+// ============================================
+// BOOKING RESERVATION TESTS
+// Booking creation against an in-memory MongoDB: concurrent requests for
+// the same car and window must not double-book it, take more units of an
+// extra than its pickup location stocks, or redeem a capped promo code more
+// often than allowed
+// ============================================
+
+// Settings read when the app is loaded
+process.env.JWT_SECRET = 'test-secret';
+process.env.PAYMENT_PROVIDER = 'mock';
+process.env.NODE_ENV = 'test';
+
+// HTTP assertions against the Express app
+const request = require('supertest');
+// Mongoose ODM for connecting to the in-memory server
+const mongoose = require('mongoose');
+// Throwaway MongoDB server for the tests
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Express application (no listener, jobs, or database connection of its own)
+const app = require('../app');
+// Models the tests set up
+const User = require('../models/User');
+const Car = require('../models/Car');
+const Booking = require('../models/Booking');
+const Reservation = require('../models/Reservation');
+const Location = require('../models/Location');
+const Extra = require('../models/Extra');
+const ExtraReservation = require('../models/ExtraReservation');
+const PromoCode = require('../models/PromoCode');
+// JWT for the test customer
+const { generateToken } = require('../middleware/auth');
+
+// Milliseconds in one day
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+let mongoServer;
+let token;
+let adminToken;
+let car;
+
+// A pickup or return time `days` from now at the given UTC hour and minute
+const daysFromNow = (days, hour = 10, minute = 0) => {
+  const date = new Date(Date.now() + days * DAY_MS);
+  date.setUTCHours(hour, minute, 0, 0);
+  return date.toISOString();
+};
+
+// Booking request for the test car
+const bookingBody = (startDate, endDate) => ({
+  carId: car._id.toString(),
+  startDate,
+  endDate,
+  drivers: [{
+    name: 'Test Driver',
+    dateOfBirth: '1985-04-12',
+    licenseNumber: 'D1234567',
+    licensedSince: '2005-06-01'
+  }]
+});
+
+// POST /api/bookings as the test customer
+const createBooking = (body) => request(app)
+  .post('/api/bookings')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+// PUT /api/bookings/:id/status as the test admin
+const setStatus = (bookingId, status) => request(app)
+  .put(`/api/bookings/${bookingId}/status`)
+  .set('Authorization', `Bearer ${adminToken}`)
+  .send({ status });
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  // Build the unique indexes before any request relies on them
+  await mongoose.connection.syncIndexes();
+
+  const user = await User.create({
+    name: 'Test Customer',
+    email: 'customer@example.com',
+    password: 'password123',
+    license: {
+      number: 'D1234567',
+      country: 'US',
+      expiresAt: new Date(Date.now() + 365 * DAY_MS),
+      status: 'verified'
+    }
+  });
+  token = generateToken(user._id);
+
+  const admin = await User.create({
+    name: 'Test Admin',
+    email: 'admin@example.com',
+    password: 'password123',
+    role: 'admin'
+  });
+  adminToken = generateToken(admin._id);
+});
+
+beforeEach(async () => {
+  await Booking.deleteMany({});
+  await Reservation.deleteMany({});
+  await ExtraReservation.deleteMany({});
+  await Car.deleteMany({});
+  await Location.deleteMany({});
+  await Extra.deleteMany({});
+  await PromoCode.deleteMany({});
+  car = await Car.create({
+    brand: 'Toyota',
+    model: 'Corolla',
+    year: 2023,
+    type: 'economy',
+    pricePerDay: 40,
+    seats: 5,
+    transmission: 'automatic',
+    fuelType: 'gasoline'
+  });
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) await mongoServer.stop();
+});
+
+describe('POST /api/bookings', () => {
+  it('lets exactly one of many concurrent requests for the same car and dates win', async () => {
+    const attempts = 8;
+    const body = bookingBody(daysFromNow(5), daysFromNow(8));
+
+    const responses = await Promise.all(
+      Array.from({ length: attempts }, () => createBooking(body))
+    );
+    const statuses = responses.map(response => response.status);
+
+    expect(statuses.filter(status => status === 201)).toHaveLength(1);
+    expect(statuses.filter(status => status === 409)).toHaveLength(attempts - 1);
+    expect(await Booking.countDocuments({ car: car._id })).toBe(1);
+  });
+
+  it('lets a car returned in the morning be picked up again the same afternoon', async () => {
+    const first = await createBooking(bookingBody(daysFromNow(5), daysFromNow(8, 10)));
+    const second = await createBooking(bookingBody(daysFromNow(8, 14), daysFromNow(10)));
+
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(201);
+  });
+
+  it('rejects a booking that overlaps another by a few hours', async () => {
+    const first = await createBooking(bookingBody(daysFromNow(5), daysFromNow(8, 14)));
+    const second = await createBooking(bookingBody(daysFromNow(8, 10), daysFromNow(10)));
+
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(409);
+  });
+});
+
+describe('POST /api/bookings with stocked extras', () => {
+  it('lets only as many concurrent bookings take an extra as the location stocks', async () => {
+    const attempts = 6;
+    const location = await Location.create({ name: 'Airport', timezone: 'UTC' });
+    const gps = await Extra.create({
+      name: 'GPS',
+      description: 'Satellite navigation',
+      pricePerDay: 5,
+      inventory: [{ location: location._id, quantity: 2 }]
+    });
+    // A separate car for each request, so only the extra is contended
+    const cars = await Car.insertMany(Array.from({ length: attempts }, (_, i) => ({
+      brand: 'Toyota',
+      model: `Corolla ${i}`,
+      year: 2023,
+      type: 'economy',
+      pricePerDay: 40,
+      seats: 5,
+      transmission: 'automatic',
+      fuelType: 'gasoline',
+      currentLocation: location._id,
+      location: location.name
+    })));
+
+    const responses = await Promise.all(cars.map(entry => createBooking({
+      ...bookingBody(daysFromNow(5), daysFromNow(8)),
+      carId: entry._id.toString(),
+      pickupLocationId: location._id.toString(),
+      dropoffLocationId: location._id.toString(),
+      extras: [{ extra: gps._id.toString(), quantity: 1 }]
+    })));
+    const statuses = responses.map(response => response.status);
+
+    expect(statuses.filter(status => status === 201)).toHaveLength(2);
+    expect(statuses.filter(status => status === 409)).toHaveLength(attempts - 2);
+    expect(await Booking.countDocuments({ 'extras.extra': gps._id })).toBe(2);
+  });
+});
+
+describe('POST /api/bookings with a promo code', () => {
+  it('lets only one of many concurrent bookings redeem a code capped at one use', async () => {
+    const attempts = 6;
+    const promo = await PromoCode.create({
+      code: 'ONCE',
+      discountType: 'percent',
+      value: 10,
+      maxRedemptions: 1
+    });
+    // A separate car for each request, so only the code is contended
+    const cars = await Car.insertMany(Array.from({ length: attempts }, (_, i) => ({
+      brand: 'Toyota',
+      model: `Corolla ${i}`,
+      year: 2023,
+      type: 'economy',
+      pricePerDay: 40,
+      seats: 5,
+      transmission: 'automatic',
+      fuelType: 'gasoline'
+    })));
+
+    const responses = await Promise.all(cars.map(entry => createBooking({
+      ...bookingBody(daysFromNow(5), daysFromNow(8)),
+      carId: entry._id.toString(),
+      promoCode: 'ONCE'
+    })));
+    const statuses = responses.map(response => response.status);
+
+    // Losers are turned away when redeeming (409), or when pricing if the winner got there first (400)
+    expect(statuses.filter(status => status === 201)).toHaveLength(1);
+    expect(statuses.filter(status => [400, 409].includes(status))).toHaveLength(attempts - 1);
+    const redeemed = await PromoCode.findById(promo._id);
+    expect(redeemed.redemptionCount).toBe(1);
+    expect(redeemed.redemptions).toHaveLength(1);
+    expect(await Booking.countDocuments({ 'promoCode.promo': promo._id })).toBe(1);
+  });
+});
+
+describe('PUT /api/bookings/:id/status', () => {
+  it('confirms an expired hold only while its dates are still free', async () => {
+    const body = bookingBody(daysFromNow(5), daysFromNow(8));
+    const first = await createBooking(body);
+    expect((await setStatus(first.body.data.booking._id, 'expired')).status).toBe(200);
+
+    // The expired hold released the car, so another booking takes the same dates
+    const second = await createBooking(body);
+    expect(second.status).toBe(201);
+
+    const response = await setStatus(first.body.data.booking._id, 'confirmed');
+
+    expect(response.status).toBe(409);
+    expect((await Booking.findById(first.body.data.booking._id)).status).toBe('expired');
+  });
+
+  it('claims the dates again when an expired hold is confirmed', async () => {
+    const body = bookingBody(daysFromNow(5), daysFromNow(8));
+    const first = await createBooking(body);
+    await setStatus(first.body.data.booking._id, 'expired');
+
+    const response = await setStatus(first.body.data.booking._id, 'confirmed');
+    const second = await createBooking(body);
+
+    expect(response.status).toBe(200);
+    expect(second.status).toBe(409);
+  });
+});
+
+describe('Reservation.claim', () => {
+  it('keeps the turnaround buffer after a booking locked', async () => {
+    const first = new mongoose.Types.ObjectId();
+    const second = new mongoose.Types.ObjectId();
+    const third = new mongoose.Types.ObjectId();
+    await Reservation.claim(car._id, first, daysFromNow(5), daysFromNow(8, 10), 60);
+
+    const withinBuffer = await Reservation.claim(car._id, second, daysFromNow(8, 10, 30), daysFromNow(10), 60);
+    const afterBuffer = await Reservation.claim(car._id, third, daysFromNow(8, 11, 30), daysFromNow(10), 60);
+
+    expect(withinBuffer.claimed).toBe(false);
+    expect(afterBuffer.claimed).toBe(true);
+  });
+});
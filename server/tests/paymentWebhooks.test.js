@@ -0,0 +1,361 @@
+// ============================================
+// PAYMENT WEBHOOK TESTS
+// Signed mock provider events against an in-memory MongoDB: redeliveries
+// are handled once, stuck and failed events can be processed again, and each
+// event handler records what the provider reports on the booking
+// ============================================
+
+// Settings read when the app is loaded
+process.env.JWT_SECRET = 'test-secret';
+process.env.PAYMENT_PROVIDER = 'mock';
+process.env.NODE_ENV = 'test';
+// The tests deliver the mock provider's events themselves
+process.env.MOCK_WEBHOOK_DELAY_MS = String(60 * 60 * 1000);
+
+// Webhook signatures
+const crypto = require('crypto');
+// HTTP assertions against the Express app
+const request = require('supertest');
+// Mongoose ODM for connecting to the in-memory server
+const mongoose = require('mongoose');
+// Throwaway MongoDB server for the tests
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Express application (no listener, jobs, or database connection of its own)
+const app = require('../app');
+// Models the tests set up and check
+const User = require('../models/User');
+const Car = require('../models/Car');
+const Booking = require('../models/Booking');
+const Reservation = require('../models/Reservation');
+const WebhookEvent = require('../models/WebhookEvent');
+const Transaction = require('../models/Transaction');
+const AuditLog = require('../models/AuditLog');
+// JWT for the test customer and admin
+const { generateToken } = require('../middleware/auth');
+// Mock provider, standing in for the customer's browser
+const paymentProvider = require('../utils/paymentProvider');
+// Event handlers, to make one fail
+const { EVENT_HANDLERS } = require('../utils/paymentWebhooks');
+// Secret the mock provider signs its webhooks with
+const { mock: mockConfig } = require('../config/payments');
+
+// Milliseconds in one day
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+let mongoServer;
+let token;
+let adminToken;
+let car;
+let eventCount = 0;
+
+// A pickup or return time `days` from now at 10:00 UTC
+const daysFromNow = (days) => {
+  const date = new Date(Date.now() + days * DAY_MS);
+  date.setUTCHours(10, 0, 0, 0);
+  return date.toISOString();
+};
+
+// Event of the given type carrying object, with a new ID unless one is given
+const buildEvent = (type, object, id = `evt_test_${++eventCount}`) => ({
+  id,
+  object: 'event',
+  type,
+  created: Math.floor(Date.now() / 1000),
+  data: { object }
+});
+
+// POST /api/payments/webhook with the event signed like the mock provider signs it
+const deliver = (event) => {
+  const payload = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac('sha256', mockConfig.webhookSecret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+
+  return request(app)
+    .post('/api/payments/webhook')
+    .set('Content-Type', 'application/json')
+    .set('Mock-Signature', `t=${timestamp},v1=${signature}`)
+    .send(payload);
+};
+
+// Book the test car as the test customer and start paying for it
+// Returns { booking, paymentIntent } - the PaymentIntent is still unpaid
+const startPayment = async () => {
+  const created = await request(app)
+    .post('/api/bookings')
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      carId: car._id.toString(),
+      startDate: daysFromNow(5),
+      endDate: daysFromNow(8),
+      drivers: [{
+        name: 'Test Driver',
+        dateOfBirth: '1985-04-12',
+        licenseNumber: 'D1234567',
+        licensedSince: '2005-06-01'
+      }]
+    });
+  expect(created.status).toBe(201);
+
+  const intent = await request(app)
+    .post('/api/payments/create-intent')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ bookingId: created.body.data.booking._id });
+  expect(intent.status).toBe(200);
+
+  return {
+    booking: created.body.data.booking,
+    paymentIntent: await paymentProvider.retrievePaymentIntent(intent.body.data.paymentIntentId)
+  };
+};
+
+// Book and pay for the test car, confirmed by webhook
+// Returns { booking, paymentIntent } - the booking as saved after the payment
+const payBooking = async () => {
+  const { booking, paymentIntent } = await startPayment();
+  const paid = await paymentProvider.confirmPaymentIntent(paymentIntent.id, { paymentMethod: 'pm_mock_success' });
+  expect((await deliver(buildEvent('payment_intent.succeeded', paid))).status).toBe(200);
+
+  return { booking: await Booking.findById(booking._id), paymentIntent: paid };
+};
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  // Build the unique indexes before any request relies on them
+  await mongoose.connection.syncIndexes();
+
+  const user = await User.create({
+    name: 'Test Customer',
+    email: 'customer@example.com',
+    password: 'password123',
+    license: {
+      number: 'D1234567',
+      country: 'US',
+      expiresAt: new Date(Date.now() + 365 * DAY_MS),
+      status: 'verified'
+    }
+  });
+  token = generateToken(user._id);
+
+  const admin = await User.create({
+    name: 'Test Admin',
+    email: 'admin@example.com',
+    password: 'password123',
+    role: 'admin'
+  });
+  adminToken = generateToken(admin._id);
+});
+
+beforeEach(async () => {
+  await Booking.deleteMany({});
+  await Reservation.deleteMany({});
+  await WebhookEvent.deleteMany({});
+  await Transaction.deleteMany({});
+  await AuditLog.deleteMany({});
+  await Car.deleteMany({});
+  car = await Car.create({
+    brand: 'Toyota',
+    model: 'Corolla',
+    year: 2023,
+    type: 'economy',
+    pricePerDay: 40,
+    seats: 5,
+    transmission: 'automatic',
+    fuelType: 'gasoline'
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) await mongoServer.stop();
+});
+
+describe('POST /api/payments/webhook', () => {
+  it('rejects events without a valid signature', async () => {
+    const response = await request(app)
+      .post('/api/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('Mock-Signature', `t=${Math.floor(Date.now() / 1000)},v1=${'0'.repeat(64)}`)
+      .send(JSON.stringify(buildEvent('payment_intent.succeeded', {})));
+
+    expect(response.status).toBe(400);
+    expect(await WebhookEvent.countDocuments()).toBe(0);
+  });
+
+  it('handles an event once however often it is delivered', async () => {
+    const { booking, paymentIntent } = await startPayment();
+    const paid = await paymentProvider.confirmPaymentIntent(paymentIntent.id, { paymentMethod: 'pm_mock_success' });
+    const event = buildEvent('payment_intent.succeeded', paid);
+    const handler = jest.spyOn(EVENT_HANDLERS, 'payment_intent.succeeded');
+
+    const first = await deliver(event);
+    const second = await deliver(event);
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(second.body.duplicate).toBe(true);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect((await Booking.findById(booking._id)).paymentStatus).toBe('paid');
+    expect((await WebhookEvent.findOne({ eventId: event.id })).toObject()).toMatchObject({ status: 'processed', deliveries: 2, attempts: 1 });
+    expect(await Transaction.countDocuments({ booking: booking._id, type: 'charge' })).toBe(1);
+  });
+
+  it('leaves an event another delivery is processing, until that attempt has gone stale', async () => {
+    const { booking, paymentIntent } = await startPayment();
+    const paid = await paymentProvider.confirmPaymentIntent(paymentIntent.id, { paymentMethod: 'pm_mock_success' });
+    const event = buildEvent('payment_intent.succeeded', paid);
+    await WebhookEvent.create({
+      eventId: event.id,
+      type: event.type,
+      provider: 'mock',
+      status: 'processing',
+      payload: event,
+      attempts: 1,
+      lastAttemptAt: new Date()
+    });
+
+    const busy = await deliver(event);
+    expect(busy.status).toBe(409);
+    expect((await Booking.findById(booking._id)).paymentStatus).not.toBe('paid');
+
+    // The first attempt died ten minutes ago without finishing
+    await WebhookEvent.updateOne({ eventId: event.id }, { lastAttemptAt: new Date(Date.now() - 10 * 60 * 1000) });
+    const retried = await deliver(event);
+
+    expect(retried.status).toBe(200);
+    expect((await Booking.findById(booking._id)).paymentStatus).toBe('paid');
+    expect((await WebhookEvent.findOne({ eventId: event.id })).toObject()).toMatchObject({ status: 'processed', attempts: 2 });
+  });
+
+  it('records a failed event so an admin can replay it', async () => {
+    const { booking, paymentIntent } = await payBooking();
+    const event = buildEvent('charge.dispute.created', {
+      id: 'dp_test_replay',
+      object: 'dispute',
+      payment_intent: paymentIntent.id,
+      amount: paymentIntent.amount,
+      reason: 'fraudulent',
+      status: 'needs_response'
+    });
+    jest.spyOn(EVENT_HANDLERS, 'charge.dispute.created').mockRejectedValueOnce(new Error('Database unavailable'));
+
+    const failed = await deliver(event);
+    const stored = await WebhookEvent.findOne({ eventId: event.id });
+    expect(failed.status).toBe(500);
+    expect(stored.toObject()).toMatchObject({ status: 'failed', error: 'Database unavailable' });
+
+    const replayed = await request(app)
+      .post(`/api/admin/webhook-events/${stored._id}/replay`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(replayed.status).toBe(200);
+    expect(replayed.body.data.event).toMatchObject({ status: 'processed', attempts: 2 });
+    expect(replayed.body.data.event.replayedBy).toBeDefined();
+    expect((await Booking.findById(booking._id)).disputes).toHaveLength(1);
+
+    // A processed event can't be replayed into a second dispute
+    const again = await request(app)
+      .post(`/api/admin/webhook-events/${stored._id}/replay`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(again.status).toBe(409);
+  });
+});
+
+describe('webhook event handlers', () => {
+  it('adds a refund made in the provider dashboard to the booking', async () => {
+    const { booking, paymentIntent } = await payBooking();
+    const event = buildEvent('charge.refunded', {
+      id: 'ch_test_refunded',
+      object: 'charge',
+      payment_intent: paymentIntent.id,
+      amount: paymentIntent.amount,
+      amount_refunded: 2000,
+      refunds: { data: [{ id: 're_test_dashboard', amount: 2000, status: 'succeeded', metadata: {} }] }
+    });
+
+    expect((await deliver(event)).status).toBe(200);
+
+    const refunded = await Booking.findById(booking._id);
+    expect(refunded.paymentStatus).toBe('partially_refunded');
+    expect(refunded.refunds).toHaveLength(1);
+    expect(refunded.refunds[0].toObject()).toMatchObject({ refundId: 're_test_dashboard', amount: 20, type: 'external', status: 'succeeded' });
+    expect(await Transaction.countDocuments({ booking: booking._id, type: 'refund' })).toBe(1);
+
+    // Redelivered under another event ID, the refund is still only recorded once
+    await deliver(buildEvent('charge.refunded', event.data.object));
+    expect((await Booking.findById(booking._id)).refunds).toHaveLength(1);
+    expect(await Transaction.countDocuments({ booking: booking._id, type: 'refund' })).toBe(1);
+  });
+
+  it('records a dispute against the booking once', async () => {
+    const { booking, paymentIntent } = await payBooking();
+    const dispute = {
+      id: 'dp_test_once',
+      object: 'dispute',
+      payment_intent: paymentIntent.id,
+      amount: paymentIntent.amount,
+      reason: 'product_not_received',
+      status: 'needs_response',
+      evidence_details: { due_by: Math.floor(Date.now() / 1000) + 7 * 24 * 60 * 60 }
+    };
+
+    expect((await deliver(buildEvent('charge.dispute.created', dispute))).status).toBe(200);
+    expect((await deliver(buildEvent('charge.dispute.created', dispute))).status).toBe(200);
+
+    const disputed = await Booking.findById(booking._id);
+    expect(disputed.disputes).toHaveLength(1);
+    expect(disputed.disputes[0].toObject()).toMatchObject({
+      disputeId: 'dp_test_once',
+      amount: paymentIntent.amount / 100,
+      reason: 'product_not_received'
+    });
+    expect(disputed.disputes[0].evidenceDueBy).toEqual(new Date(dispute.evidence_details.due_by * 1000));
+  });
+
+  it('leaves an unpaid booking payable when its payment is cancelled', async () => {
+    const { booking, paymentIntent } = await startPayment();
+    const canceled = await paymentProvider.cancelPaymentIntent(paymentIntent.id);
+
+    expect((await deliver(buildEvent('payment_intent.canceled', canceled))).status).toBe(200);
+
+    expect((await Booking.findById(booking._id)).paymentStatus).toBe('pending');
+    expect(await AuditLog.countDocuments({ action: 'PAYMENT_CANCELED', resourceId: booking._id })).toBe(1);
+  });
+
+  it('marks a deposit expired when the provider cancels its authorization', async () => {
+    const { booking } = await payBooking();
+    await Booking.updateOne({ _id: booking._id }, {
+      deposit: { amount: 200, paymentIntentId: 'pi_test_deposit', status: 'authorized' }
+    });
+
+    const response = await deliver(buildEvent('payment_intent.canceled', {
+      id: 'pi_test_deposit',
+      object: 'payment_intent',
+      status: 'canceled',
+      cancellation_reason: 'automatic',
+      metadata: { bookingId: booking._id.toString(), type: 'deposit' }
+    }));
+
+    expect(response.status).toBe(200);
+    expect((await Booking.findById(booking._id)).deposit.status).toBe('expired');
+  });
+
+  it('records that a payment needs the customer to authenticate', async () => {
+    const { booking, paymentIntent } = await startPayment();
+    const challenged = await paymentProvider.confirmPaymentIntent(paymentIntent.id, { paymentMethod: 'pm_mock_3ds' });
+    expect(challenged.status).toBe('requires_action');
+
+    expect((await deliver(buildEvent('payment_intent.requires_action', challenged))).status).toBe(200);
+
+    const logged = await AuditLog.findOne({ action: 'PAYMENT_ACTION_REQUIRED', resourceId: booking._id });
+    expect(logged.details).toMatchObject({ paymentIntentId: paymentIntent.id, action: 'mock_authenticate', source: 'webhook' });
+    expect((await Booking.findById(booking._id)).paymentStatus).toBe('pending');
+  });
+});
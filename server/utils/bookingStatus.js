@@ -0,0 +1,70 @@
+// ============================================
+// BOOKING STATUS STATE MACHINE
+// Central transition table for booking lifecycle statuses
+// Shared by controllers, webhook handlers, and background jobs
+// ============================================
+
+// Custom error class for operational errors with HTTP status codes
+const { AppError } = require('../middleware/errorHandler');
+
+// Legal transitions from each booking status
+// Terminal statuses (completed, cancelled) allow no further changes
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled', 'expired'], // Paid, abandoned, or hold lapsed
+  confirmed: ['active', 'cancelled'],             // Picked up or cancelled before pickup
+  active: ['completed'],                          // Car returned
+  completed: [],                                  // Terminal
+  cancelled: [],                                  // Terminal
+  expired: ['confirmed']                          // Late payment landed and dates re-claimed
+};
+
+// Get the statuses a booking may move to from its current status
+const getAllowedTransitions = (status) => {
+  return STATUS_TRANSITIONS[status] || [];
+};
+
+// Check whether moving from one status to another is legal
+const canTransition = (from, to) => {
+  return getAllowedTransitions(from).includes(to);
+};
+
+// Move a booking to a new status and record the change in its history
+// Throws an AppError (400) for illegal transitions; caller is responsible for saving
+const transitionStatus = (booking, to, { changedBy = null, reason = '' } = {}) => {
+  const from = booking.status;
+
+  // Reject unknown target statuses
+  if (!Object.prototype.hasOwnProperty.call(STATUS_TRANSITIONS, to)) {
+    throw new AppError(`Invalid booking status '${to}'`, 400);
+  }
+
+  // Reject transitions not in the table
+  if (!canTransition(from, to)) {
+    const allowed = getAllowedTransitions(from);
+    throw new AppError(
+      `Cannot change booking status from '${from}' to '${to}'. ` +
+      (allowed.length ? `Allowed: ${allowed.join(', ')}` : `'${from}' is a final status`),
+      400
+    );
+  }
+
+  // Apply new status and append history entry
+  booking.status = to;
+  booking.statusHistory.push({
+    from,
+    to,
+    changedBy,
+    reason,
+    changedAt: new Date()
+  });
+
+  return booking;
+};
+
+// Export state machine helpers
+module.exports = {
+  STATUS_TRANSITIONS,     // Transition table
+  getAllowedTransitions,  // Statuses reachable from a status
+  canTransition,          // Legality check
+  transitionStatus        // Validated status change with history
+};
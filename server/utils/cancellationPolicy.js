@@ -0,0 +1,89 @@
+// ============================================
+// CANCELLATION POLICY ENGINE
+// Works out how much of a booking's payment is refunded on cancellation
+// based on the policy snapshotted onto the booking when it was created
+// ============================================
+
+// Paid payment statuses, and refunds that gave money back
+const { PAID_PAYMENT_STATUSES, getRefundedAmount } = require('./refunds');
+
+// Milliseconds in one hour
+const HOUR_MS = 1000 * 60 * 60;
+
+// Policy applied when no admin-defined policy is active (and to bookings
+// created before policies existed): free cancellation up to 48 hours before
+// pickup, 50% refund afterwards, nothing once the rental has started
+const DEFAULT_POLICY = {
+  name: 'Standard',
+  tiers: [
+    { hoursBeforePickup: 48, refundPercent: 100 },
+    { hoursBeforePickup: 0, refundPercent: 50 }
+  ]
+};
+
+// Build the policy snapshot stored on a new booking
+// Accepts the active CancellationPolicy document (or null for the default policy)
+const snapshotPolicy = (policy) => {
+  const source = policy || DEFAULT_POLICY;
+  return {
+    policy: policy ? policy._id : null,
+    name: source.name,
+    tiers: source.tiers.map(({ hoursBeforePickup, refundPercent }) => ({ hoursBeforePickup, refundPercent }))
+  };
+};
+
+// Find the refund percentage for cancelling with the given notice
+// The most generous tier whose notice requirement is met wins; no tier means no refund
+const getRefundPercent = (tiers, hoursUntilPickup) => {
+  const tier = [...tiers]
+    .sort((a, b) => b.hoursBeforePickup - a.hoursBeforePickup)
+    .find(t => hoursUntilPickup >= t.hoursBeforePickup);
+  return tier ? tier.refundPercent : 0;
+};
+
+// Amount the customer has actually paid for a booking
+// Supplementary charges that were never collected, and money already refunded, are excluded
+const getPaidAmount = (booking) => {
+  if (!PAID_PAYMENT_STATUSES.includes(booking.paymentStatus)) return 0;
+
+  const uncollected = (booking.adjustments || [])
+    .filter(a => a.type === 'charge' && a.status !== 'succeeded')
+    .reduce((sum, a) => sum + a.amount, 0);
+
+  return Math.max(0, Math.round((booking.totalPrice - uncollected - getRefundedAmount(booking)) * 100) / 100);
+};
+
+// Quote the refund a booking would receive if cancelled at the given time
+const quoteCancellation = (booking, now = new Date()) => {
+  // Fall back to the default policy for bookings without a snapshot
+  const policy = booking.cancellationPolicy?.tiers?.length
+    ? booking.cancellationPolicy
+    : DEFAULT_POLICY;
+
+  const hoursUntilPickup = (new Date(booking.startDate) - now) / HOUR_MS;
+  const refundPercent = getRefundPercent(policy.tiers, hoursUntilPickup);
+  const paidAmount = getPaidAmount(booking);
+
+  return {
+    policy: {
+      name: policy.name,
+      tiers: policy.tiers.map(({ hoursBeforePickup, refundPercent: percent }) => ({
+        hoursBeforePickup,
+        refundPercent: percent
+      }))
+    },
+    hoursUntilPickup: Math.round(hoursUntilPickup * 10) / 10,
+    refundPercent,
+    paidAmount,
+    refundAmount: Math.round(paidAmount * refundPercent) / 100
+  };
+};
+
+// Export policy engine helpers
+module.exports = {
+  DEFAULT_POLICY,     // Policy used when none is configured
+  snapshotPolicy,     // Build a booking's policy snapshot
+  getRefundPercent,   // Refund percentage for a given notice period
+  getPaidAmount,      // Amount actually paid for a booking
+  quoteCancellation   // Full refund quote for cancelling a booking
+};
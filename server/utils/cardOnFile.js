@@ -0,0 +1,85 @@
+// ============================================
+// CARD ON FILE
+// Charges made after a booking is paid (e.g. at check-in) reuse the card
+// the booking was paid with. Bookings are paid with the card saved to the
+// customer's payment provider Customer, so it can be charged without the
+// customer present
+// ============================================
+
+// User model for saving the customer's Stripe Customer ID
+const User = require('../models/User');
+// Payment provider (Stripe or the mock)
+const paymentProvider = require('./paymentProvider');
+// Payment ledger
+const { recordPayment } = require('./ledger');
+
+// Find or create the payment provider Customer a user's cards are saved to
+// Only Stripe Customers are stored - the mock derives its Customers from the user ID
+// Returns the Customer ID
+const getPaymentCustomerId = async (user) => {
+  const isStripe = paymentProvider.name === 'stripe';
+  if (isStripe && user.stripeCustomerId) return user.stripeCustomerId;
+
+  const customer = await paymentProvider.createCustomer({
+    email: user.email,
+    name: user.name,
+    metadata: { userId: user._id.toString() }
+  });
+  if (isStripe) await User.updateOne({ _id: user._id }, { stripeCustomerId: customer.id });
+  return customer.id;
+};
+
+// Charge the card a booking was paid with, without the customer present
+// Never throws - declines and cards needing authentication come back as 'failed'
+// amount is in dollars; options: { type stored in metadata (e.g. 'return_charges'), description,
+// metadata for the webhook to match the payment on (e.g. { claimId }), manualCapture to only
+// authorize the amount (e.g. a security deposit) for capture later }
+// Returns { status: 'succeeded'|'authorized'|'pending'|'failed', paymentIntentId, error }
+const chargeCardOnFile = async (booking, amount, { type, description, metadata = {}, manualCapture = false }) => {
+  if (!booking.paymentIntentId) {
+    return { status: 'failed', error: 'No card on file' };
+  }
+
+  try {
+    // The original payment says which customer and card to use
+    const original = await paymentProvider.retrievePaymentIntent(booking.paymentIntentId);
+    if (!original.customer || !original.payment_method) {
+      return { status: 'failed', error: 'No saved card on file' };
+    }
+
+    const paymentIntent = await paymentProvider.createPaymentIntent({
+      amount: Math.round(amount * 100), // Convert to cents
+      customer: original.customer,
+      paymentMethod: original.payment_method,
+      offSession: true,
+      manualCapture,
+      metadata: {
+        bookingId: booking._id.toString(),
+        userId: booking.user.toString(),
+        type,
+        ...metadata
+      },
+      description
+    });
+    await recordPayment(paymentIntent);
+
+    const statuses = { succeeded: 'succeeded', requires_capture: 'authorized' };
+    return {
+      status: statuses[paymentIntent.status] || 'pending',
+      paymentIntentId: paymentIntent.id
+    };
+  } catch (error) {
+    // Declined, or the bank wants the customer to authenticate
+    return {
+      status: 'failed',
+      paymentIntentId: error.paymentIntent?.id,
+      error: error.message
+    };
+  }
+};
+
+// Export card on file helpers
+module.exports = {
+  getPaymentCustomerId, // Find or create the user's payment provider Customer
+  chargeCardOnFile      // Charge the booking's card off-session
+};
@@ -0,0 +1,74 @@
+// ============================================
+// CLAIMS
+// Categories of post-rental charges and the claim status state machine
+// Mirrors the booking state machine in utils/bookingStatus.js
+// ============================================
+
+// Custom error class for operational errors with HTTP status codes
+const { AppError } = require('../middleware/errorHandler');
+
+// What a claim can be raised for
+const CLAIM_CATEGORIES = [
+  'damage',        // Repairs for damage found at or after return
+  'cleaning',      // Valeting beyond normal wear (smoking, pet hair, spills)
+  'toll',          // Road tolls incurred during the rental
+  'traffic_fine',  // Parking tickets, speeding and other fines
+  'other'          // Anything else agreed in the rental terms
+];
+
+// Legal transitions from each claim status
+//   draft    - being prepared by staff; not visible to the customer
+//   sent     - issued to the customer and awaiting payment
+//   disputed - the customer has challenged it; staff re-send, collect, or waive
+//   paid     - collected from the card on file (terminal)
+//   waived   - written off (terminal)
+const CLAIM_TRANSITIONS = {
+  draft: ['sent', 'waived'],
+  sent: ['paid', 'disputed', 'waived'],
+  disputed: ['sent', 'paid', 'waived'],
+  paid: [],
+  waived: []
+};
+
+// Statuses in which staff may still edit a claim's amount, description, and evidence
+const EDITABLE_CLAIM_STATUSES = ['draft', 'disputed'];
+
+// Check whether moving a claim from one status to another is legal
+const canTransitionClaim = (from, to) => {
+  return (CLAIM_TRANSITIONS[from] || []).includes(to);
+};
+
+// Move a claim to a new status and record the change in its history
+// Throws an AppError (400) for illegal transitions; caller is responsible for saving
+const transitionClaim = (claim, to, { changedBy = null, note = '' } = {}) => {
+  const from = claim.status;
+
+  if (!canTransitionClaim(from, to)) {
+    const allowed = CLAIM_TRANSITIONS[from] || [];
+    throw new AppError(
+      `Cannot change claim status from '${from}' to '${to}'. ` +
+      (allowed.length ? `Allowed: ${allowed.join(', ')}` : `'${from}' is a final status`),
+      400
+    );
+  }
+
+  claim.status = to;
+  claim.statusHistory.push({
+    from,
+    to,
+    changedBy,
+    note,
+    changedAt: new Date()
+  });
+
+  return claim;
+};
+
+// Export claim helpers
+module.exports = {
+  CLAIM_CATEGORIES,         // Claim categories
+  CLAIM_TRANSITIONS,        // Transition table
+  EDITABLE_CLAIM_STATUSES,  // Statuses staff may edit in
+  canTransitionClaim,       // Legality check
+  transitionClaim           // Validated status change with history
+};
@@ -0,0 +1,141 @@
+// ============================================
+// SECURITY DEPOSITS
+// A refundable deposit is held on the card on file as a manual-capture
+// PaymentIntent. It is placed at pickup, then released at return or partly
+// captured against return charges or damage. Card authorizations lapse after
+// a few days, so long rentals have their hold renewed before it expires.
+// All helpers update booking.deposit and never throw; callers save the booking
+// ============================================
+
+// Lifetime of a card authorization
+const { depositAuthorizationDays } = require('../config/booking');
+// Authorize the card the booking was paid with
+const { chargeCardOnFile } = require('./cardOnFile');
+// Round money amounts to cents
+const { roundCents } = require('./pricingRules');
+// Payment provider (Stripe or the mock)
+const paymentProvider = require('./paymentProvider');
+// Payment ledger
+const { recordPayment } = require('./ledger');
+
+// When an authorization placed now will lapse
+const authorizationExpiry = (from) => new Date(from.getTime() + depositAuthorizationDays * 24 * 60 * 60 * 1000);
+
+// Place a manual-capture authorization for the deposit amount
+const authorize = (booking) => chargeCardOnFile(booking, booking.deposit.amount, {
+  type: 'deposit',
+  description: `Security deposit: ${booking._id}`,
+  manualCapture: true
+});
+
+// Authorize the booking's security deposit on the card on file
+// Anything short of an authorization (decline, authentication needed) marks the deposit failed
+// Returns { status: 'authorized'|'failed', error }, or null when no deposit is required
+const placeDeposit = async (booking) => {
+  if (!(booking.deposit?.amount > 0)) return null;
+
+  const result = await authorize(booking);
+  const now = new Date();
+
+  if (result.status === 'authorized') {
+    Object.assign(booking.deposit, {
+      status: 'authorized',
+      paymentIntentId: result.paymentIntentId,
+      authorizedAt: now,
+      expiresAt: authorizationExpiry(now),
+      error: undefined
+    });
+    return { status: 'authorized' };
+  }
+
+  // Authorizations that didn't complete straight away are abandoned
+  if (result.paymentIntentId && result.status === 'pending') {
+    await paymentProvider.cancelPaymentIntent(result.paymentIntentId).catch(() => {});
+  }
+  const error = result.error || 'The card on file requires authentication';
+  Object.assign(booking.deposit, { status: 'failed', paymentIntentId: result.paymentIntentId, error });
+  return { status: 'failed', error };
+};
+
+// Capture part or all of an authorized deposit - the provider releases the rest of the hold
+// amount is what to keep, in dollars (at most the deposit amount)
+// Returns { status: 'succeeded'|'failed', amount, error }
+const captureDeposit = async (booking, amount) => {
+  const captureAmount = roundCents(Math.min(amount, booking.deposit.amount));
+
+  let paymentIntent;
+  try {
+    paymentIntent = await paymentProvider.capturePaymentIntent(booking.deposit.paymentIntentId, {
+      amount: Math.round(captureAmount * 100) // Convert to cents
+    });
+  } catch (error) {
+    return { status: 'failed', amount: captureAmount, error: error.message };
+  }
+  await recordPayment(paymentIntent);
+
+  Object.assign(booking.deposit, {
+    status: 'captured',
+    capturedAmount: captureAmount,
+    capturedAt: new Date()
+  });
+  return { status: 'succeeded', amount: captureAmount };
+};
+
+// Release an authorized deposit without taking anything
+// A hold the provider has already cancelled (e.g. it lapsed) counts as released
+// Returns { status: 'released'|'failed', error }
+const releaseDeposit = async (booking) => {
+  try {
+    await paymentProvider.cancelPaymentIntent(booking.deposit.paymentIntentId);
+  } catch (error) {
+    if (error.paymentIntent?.status !== 'canceled') {
+      return { status: 'failed', error: error.message };
+    }
+  }
+
+  Object.assign(booking.deposit, { status: 'released', releasedAt: new Date() });
+  return { status: 'released' };
+};
+
+// Renew a deposit authorization that is about to lapse
+// The new hold is placed before the old one is cancelled, so the deposit is never uncovered.
+// If the card can't be authorized again the old hold is kept until it expires
+// Returns { status: 'authorized'|'failed'|'expired', error }
+const reauthorizeDeposit = async (booking) => {
+  const previousPaymentIntentId = booking.deposit.paymentIntentId;
+  const result = await authorize(booking);
+  const now = new Date();
+
+  if (result.status === 'authorized') {
+    await paymentProvider.cancelPaymentIntent(previousPaymentIntentId).catch(() => {});
+    Object.assign(booking.deposit, {
+      paymentIntentId: result.paymentIntentId,
+      authorizedAt: now,
+      expiresAt: authorizationExpiry(now),
+      reauthorizations: booking.deposit.reauthorizations + 1,
+      error: undefined
+    });
+    return { status: 'authorized' };
+  }
+
+  if (result.paymentIntentId && result.status === 'pending') {
+    await paymentProvider.cancelPaymentIntent(result.paymentIntentId).catch(() => {});
+  }
+  const error = result.error || 'The card on file requires authentication';
+  booking.deposit.error = error;
+
+  // Nothing is held any more once the old authorization has lapsed
+  if (booking.deposit.expiresAt <= now) {
+    booking.deposit.status = 'expired';
+    return { status: 'expired', error };
+  }
+  return { status: 'failed', error };
+};
+
+// Export deposit helpers
+module.exports = {
+  placeDeposit,       // Authorize the deposit at pickup
+  captureDeposit,     // Keep part or all of the deposit
+  releaseDeposit,     // Release the deposit hold
+  reauthorizeDeposit  // Renew an authorization before it lapses
+};
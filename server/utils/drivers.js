@@ -0,0 +1,108 @@
+// ============================================
+// DRIVERS AND ELIGIBILITY
+// Everyone who will drive a rental is listed on the booking: the primary
+// driver plus any additional drivers. Each car type sets a minimum age and
+// years licensed; additional drivers and young drivers are charged per day
+// ============================================
+
+// Driver fees and limits
+const {
+  youngDriverAge, youngDriverSurcharge, additionalDriverFee, maxAdditionalDrivers
+} = require('../config/booking');
+// Round money amounts to cents
+const { roundCents } = require('./pricingRules');
+
+// Whole years from one date to another (e.g. age on the pickup date)
+const yearsBetween = (from, to) => {
+  const start = new Date(from);
+  let years = to.getUTCFullYear() - start.getUTCFullYear();
+  const beforeAnniversary = to.getUTCMonth() < start.getUTCMonth() ||
+    (to.getUTCMonth() === start.getUTCMonth() && to.getUTCDate() < start.getUTCDate());
+  if (beforeAnniversary) years -= 1;
+  return years;
+};
+
+// Normalize the drivers sent with a booking ({ name, dateOfBirth, licenseNumber, licensedSince })
+// The first driver is the primary driver (the person renting)
+// Returns the drivers with dates parsed and `primary` set
+const normalizeDrivers = (drivers = []) => (drivers || []).map((driver, index) => ({
+  primary: index === 0,
+  name: String(driver.name || '').trim(),
+  dateOfBirth: new Date(driver.dateOfBirth),
+  licenseNumber: String(driver.licenseNumber || '').trim(),
+  licensedSince: new Date(driver.licensedSince)
+}));
+
+// Check every driver may drive the car on the pickup date
+// Returns one message per problem (empty when everyone is eligible)
+const checkDriverEligibility = (drivers, car, start) => {
+  const { minAge, minYearsLicensed } = car.getDriverRules();
+  const errors = [];
+
+  if (drivers.length - 1 > maxAdditionalDrivers) {
+    errors.push(`At most ${maxAdditionalDrivers} additional drivers can be added to a booking`);
+  }
+
+  for (const driver of drivers) {
+    const name = driver.name || (driver.primary ? 'The primary driver' : 'An additional driver');
+    if (Number.isNaN(driver.dateOfBirth.getTime()) || Number.isNaN(driver.licensedSince.getTime())) {
+      errors.push(`Please provide ${name}'s date of birth and when they were first licensed`);
+      continue;
+    }
+    if (yearsBetween(driver.dateOfBirth, start) < minAge) {
+      errors.push(`${name} must be at least ${minAge} to drive a ${car.type} car`);
+    }
+    if (driver.licensedSince > start) {
+      errors.push(`${name}'s license must be issued before pickup`);
+    } else if (yearsBetween(driver.licensedSince, start) < minYearsLicensed) {
+      errors.push(`${name} must have held a license for at least ${minYearsLicensed} ` +
+        `year${minYearsLicensed === 1 ? '' : 's'} to drive a ${car.type} car`);
+    }
+  }
+
+  return errors;
+};
+
+// Price the drivers on a rental
+// Each additional driver pays the additional driver fee, and every driver
+// under the young-driver age pays the surcharge, for each rental day
+// Returns { driverFees, lineItems }
+const priceDrivers = (drivers, totalDays, start) => {
+  const lineItems = [];
+
+  const additional = drivers.filter(driver => !driver.primary).length;
+  if (additional > 0 && additionalDriverFee > 0) {
+    lineItems.push({
+      kind: 'driver',
+      label: additional > 1 ? `Additional drivers x${additional}` : 'Additional driver',
+      unit: 'day',
+      quantity: totalDays,
+      amount: roundCents(additionalDriverFee * additional * totalDays)
+    });
+  }
+
+  if (youngDriverSurcharge > 0) {
+    for (const driver of drivers) {
+      if (!(yearsBetween(driver.dateOfBirth, start) < youngDriverAge)) continue;
+      lineItems.push({
+        kind: 'driver',
+        label: `Young driver surcharge (${driver.name})`,
+        unit: 'day',
+        quantity: totalDays,
+        amount: roundCents(youngDriverSurcharge * totalDays)
+      });
+    }
+  }
+
+  return {
+    driverFees: roundCents(lineItems.reduce((sum, item) => sum + item.amount, 0)),
+    lineItems
+  };
+};
+
+// Export driver helpers
+module.exports = {
+  normalizeDrivers,       // Parse drivers sent with a booking
+  checkDriverEligibility, // Minimum age and years licensed for the car type
+  priceDrivers            // Additional driver fees and young-driver surcharges
+};
@@ -0,0 +1,120 @@
+// ============================================
+// EXTRA QUANTITIES AND INVENTORY
+// Bookings can take several units of an extra (up to its maxQuantity),
+// and extras stocked at a location can't be booked beyond what is on
+// the shelf there across overlapping bookings. Units are claimed in the
+// extras ledger (see ExtraReservation), so concurrent bookings can't take
+// the same unit, just like cars
+// ============================================
+
+// Extra model for stock levels
+const Extra = require('../models/Extra');
+// Extras ledger holding the units each booking takes
+const ExtraReservation = require('../models/ExtraReservation');
+
+// Normalize the extras sent with a booking or quote
+// Accepts plain IDs (one unit each) or { extra, quantity } objects, and
+// merges repeated IDs into a single selection
+// Returns [{ extra: String, quantity: Number }]
+const normalizeExtraSelections = (selections = []) => {
+  const merged = new Map();
+  for (const selection of selections || []) {
+    const id = String(selection && selection.extra ? selection.extra : selection);
+    const quantity = selection && selection.extra ? Number(selection.quantity ?? 1) : 1;
+    merged.set(id, (merged.get(id) || 0) + quantity);
+  }
+  return [...merged].map(([extra, quantity]) => ({ extra, quantity }));
+};
+
+// Work out how many units of each extra are still free at a location
+// The busiest part of the rental counts against the stock
+// params: { extras, locationId, start, end, excludeBookingId (ignored) }
+// Returns the units left, keyed by extra id (null = not limited)
+const getExtraAvailability = async ({ extras, locationId, start, end, excludeBookingId = null }) => {
+  const remaining = new Map();
+  const tracked = extras.filter(extra => extra.getStockAt(locationId) !== null);
+  for (const extra of extras) remaining.set(String(extra._id), null);
+  if (tracked.length === 0) return remaining;
+
+  const booked = await ExtraReservation.countClaimed(tracked.map(extra => extra._id), locationId, start, end,
+    excludeBookingId);
+  for (const extra of tracked) {
+    const left = extra.getStockAt(locationId) - (booked.get(String(extra._id)) || 0);
+    remaining.set(String(extra._id), Math.max(left, 0));
+  }
+  return remaining;
+};
+
+// Check the extras on a rental are in stock at the pickup location
+// params: { selections ({ extra, name, quantity }), pickup, start, end, excludeBookingId (ignored) }
+// Returns an error message, or null when everything is in stock
+const checkExtraInventory = async ({ selections, pickup, start, end, excludeBookingId = null }) => {
+  if (!pickup || selections.length === 0) return null;
+
+  const extras = await Extra.find({ _id: { $in: selections.map(selection => selection.extra) } });
+  const remaining = await getExtraAvailability({ extras, locationId: pickup._id, start, end, excludeBookingId });
+  for (const selection of selections) {
+    const left = remaining.get(String(selection.extra));
+    if (left !== null && left !== undefined && selection.quantity > left) {
+      return left === 0
+        ? `${selection.name} is fully booked at ${pickup.name} on these dates`
+        : `Only ${left} ${selection.name} left at ${pickup.name} on these dates`;
+    }
+  }
+  return null;
+};
+
+// Claim the units of stocked extras a rental takes from its pickup location
+// The booking's other units are released, unless keep holds the new ones alongside
+// them (a modification waiting to be paid for). Bookings without a pickup location
+// don't take stocked units
+// params: { bookingId, selections ({ extra, name, quantity }), pickup, start, end, keep }
+// Returns an error message, or null once every unit is claimed
+const claimExtras = async ({ bookingId, selections, pickup, start, end, keep = false }) => {
+  if (!pickup) {
+    if (!keep) await ExtraReservation.release(bookingId);
+    return null;
+  }
+
+  const extras = selections.length > 0
+    ? await Extra.find({ _id: { $in: selections.map(selection => selection.extra) } })
+    : [];
+  const stocked = selections
+    .map((selection) => {
+      const extra = extras.find(entry => String(entry._id) === String(selection.extra));
+      return {
+        extra: selection.extra,
+        name: selection.name,
+        quantity: selection.quantity,
+        stock: extra ? extra.getStockAt(pickup._id) : null
+      };
+    })
+    .filter(selection => selection.stock !== null);
+
+  const reservation = keep
+    ? await ExtraReservation.hold(bookingId, pickup._id, start, end, stocked)
+    : await ExtraReservation.reschedule(bookingId, pickup._id, start, end, stocked);
+  if (reservation.claimed) return null;
+
+  const { name } = stocked.find(selection => String(selection.extra) === String(reservation.extra));
+  return `${name} is fully booked at ${pickup.name} on these dates`;
+};
+
+// Claim a booking's extras again as it stands - e.g. to give back the units a dropped change held
+// Returns an error message, or null once every unit is claimed
+const reclaimBookingExtras = (booking) => claimExtras({
+  bookingId: booking._id,
+  selections: booking.extras.filter(e => e.extra),
+  pickup: booking.pickupLocationId ? { _id: booking.pickupLocationId, name: booking.pickupLocation } : null,
+  start: booking.startDate,
+  end: booking.endDate
+});
+
+// Export extra helpers
+module.exports = {
+  normalizeExtraSelections, // Parse extras sent with a booking or quote
+  getExtraAvailability,     // Units of each extra free at a location
+  checkExtraInventory,      // Validate a rental's extras are in stock
+  claimExtras,              // Claim a rental's units in the extras ledger
+  reclaimBookingExtras      // Claim a booking's units as it stands
+};
@@ -0,0 +1,113 @@
+// ============================================
+// VEHICLE INSPECTIONS
+// Damage checklist areas and the charges worked out when a car is
+// checked back in (late return, excess mileage, and missing fuel or charge)
+// ============================================
+
+// Charge rates for returns
+const {
+  excessMileageRate, refuelChargePerPercent, lateFeeGraceMinutes, lateFeeUnit, lateFeeRate
+} = require('../config/booking');
+// Round money amounts to cents
+const { roundCents } = require('./pricingRules');
+
+// Areas of the car covered by the check-out/check-in damage checklist
+const DAMAGE_AREAS = [
+  'front',       // Front bumper, bonnet, and lights
+  'rear',        // Rear bumper, boot, and lights
+  'left',        // Left side doors, panels, and mirror
+  'right',       // Right side doors, panels, and mirror
+  'roof',        // Roof and pillars
+  'windshield',  // Windshield and windows
+  'wheels',      // Wheels and tyres
+  'interior'     // Seats, dashboard, and carpets
+];
+
+// Work out the late fee for a car returned after its booking ended
+// Returns within the grace period are free; after that every started hour
+// (or day) past the end time is charged
+// Returns the charge line, or null when the car came back on time
+const calculateLateFee = (endDate, returnedAt) => {
+  const minutesLate = Math.floor((returnedAt - endDate) / 60000);
+  if (minutesLate <= lateFeeGraceMinutes) return null;
+
+  const units = Math.ceil(minutesLate / (lateFeeUnit === 'day' ? 1440 : 60));
+  return {
+    kind: 'late',
+    label: `Late return (${units} ${lateFeeUnit}${units === 1 ? '' : 's'} late)`,
+    quantity: units,
+    rate: lateFeeRate,
+    amount: roundCents(units * lateFeeRate)
+  };
+};
+
+// Areas marked damaged in a checklist
+const damagedAreas = (inspection) => (
+  (inspection?.checklist || []).filter(item => item.damaged).map(item => item.area)
+);
+
+// Work out the charges for a returned car by comparing the check-in with the booking
+// and the check-out. Rentals checked out without an inspection are only charged
+// for a late return (there are no readings to compare against)
+// params: { booking, checkOut (null if none was recorded), checkIn readings, car, returnedAt }
+// Returns { milesDriven, mileageAllowance, charges[], chargesTotal, newDamage[] }
+const calculateReturnCharges = ({ booking, checkOut, checkIn, car, returnedAt = new Date() }) => {
+  const charges = [];
+
+  // Returned after the booking ended
+  const lateFee = calculateLateFee(booking.endDate, returnedAt);
+  if (lateFee) charges.push(lateFee);
+
+  let milesDriven = null;
+  let mileageAllowance = null;
+  let newDamage = [];
+
+  if (checkOut) {
+    // Excess mileage - an allowance of 0 means unlimited mileage
+    milesDriven = checkIn.odometer - checkOut.odometer;
+    const allowancePerDay = car.getMileageAllowancePerDay();
+    mileageAllowance = allowancePerDay > 0 ? allowancePerDay * booking.pricing.totalDays : null;
+    if (mileageAllowance !== null && milesDriven > mileageAllowance) {
+      const excessMiles = milesDriven - mileageAllowance;
+      charges.push({
+        kind: 'mileage',
+        label: `Excess mileage (${excessMiles} mi over ${mileageAllowance} mi allowance)`,
+        quantity: excessMiles,
+        rate: excessMileageRate,
+        amount: roundCents(excessMiles * excessMileageRate)
+      });
+    }
+
+    // Fuel (or battery charge) below the level the car left with
+    const missingPercent = checkOut.fuelLevel - checkIn.fuelLevel;
+    if (missingPercent > 0) {
+      const what = car.fuelType === 'electric' ? 'Recharge' : 'Refuel';
+      charges.push({
+        kind: 'fuel',
+        label: `${what} (${missingPercent}% below pickup level)`,
+        quantity: missingPercent,
+        rate: refuelChargePerPercent,
+        amount: roundCents(missingPercent * refuelChargePerPercent)
+      });
+    }
+
+    // Damage found at return that wasn't noted at pickup
+    const existingDamage = damagedAreas(checkOut);
+    newDamage = damagedAreas(checkIn).filter(area => !existingDamage.includes(area));
+  }
+
+  return {
+    milesDriven,
+    mileageAllowance,
+    charges,
+    chargesTotal: roundCents(charges.reduce((sum, charge) => sum + charge.amount, 0)),
+    newDamage
+  };
+};
+
+// Export inspection helpers
+module.exports = {
+  DAMAGE_AREAS,           // Damage checklist areas
+  calculateLateFee,       // Late return fee
+  calculateReturnCharges  // Check-in charges and new damage
+};
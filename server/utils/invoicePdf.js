@@ -0,0 +1,207 @@
+// ============================================
+// INVOICE PDF RENDERING
+// Draws invoices and credit notes with PDFKit from what was copied onto them
+// when they were issued (see utils/invoices.js), so a document looks the same
+// on every download. An invoice itemizes the booking's price (pricing line
+// items, extras, taxes and location fees) and lists the payments and refunds
+// recorded in the payment ledger by then
+// ============================================
+
+// PDF document generation
+const PDFDocument = require('pdfkit');
+// Currency formatting
+const { formatCurrency } = require('./helpers');
+// Seller details and currency
+const { company, currency } = require('../config/invoices');
+
+// Page layout: A4 with 50pt margins, and the x position and width of each table column
+const MARGIN = 50;
+const COLUMNS = {
+  description: { x: 50, width: 300 },
+  quantity: { x: 360, width: 80 },
+  amount: { x: 445, width: 100 }
+};
+
+// Format an amount in the invoice currency
+const money = (amount) => formatCurrency(amount || 0, currency);
+
+// Format a date in a timezone, e.g. "Jun 1, 2024, 10:00 AM"
+const formatDateTime = (date, timezone = 'UTC') => new Date(date).toLocaleString('en-US', {
+  timeZone: timezone,
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+// Format a date without the time, e.g. "Jun 1, 2024"
+const formatDay = (date, timezone = 'UTC') => new Date(date).toLocaleDateString('en-US', {
+  timeZone: timezone,
+  dateStyle: 'medium'
+});
+
+// Start a new page when fewer than `height` points are left on this one
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - MARGIN) doc.addPage();
+};
+
+// Draw a table row at the current position: description, quantity, and amount columns
+const drawRow = (doc, { description, quantity = '', amount = '' }, { bold = false } = {}) => {
+  ensureSpace(doc, 20);
+  const y = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+  doc.text(description, COLUMNS.description.x, y, { width: COLUMNS.description.width });
+  const bottom = doc.y;
+  doc.text(quantity, COLUMNS.quantity.x, y, { width: COLUMNS.quantity.width, align: 'right' });
+  doc.text(amount, COLUMNS.amount.x, y, { width: COLUMNS.amount.width, align: 'right' });
+  doc.y = Math.max(bottom, doc.y) + 4;
+};
+
+// Draw a horizontal rule across the page
+const drawRule = (doc) => {
+  doc.moveTo(MARGIN, doc.y).lineTo(doc.page.width - MARGIN, doc.y).strokeColor('#cccccc').stroke();
+  doc.y += 6;
+};
+
+// Draw a section heading
+const drawHeading = (doc, title) => {
+  ensureSpace(doc, 50);
+  doc.moveDown(1.2);
+  doc.font('Helvetica-Bold').fontSize(12).text(title, MARGIN, doc.y);
+  doc.moveDown(0.3);
+  drawRule(doc);
+};
+
+// Draw the seller's details on the left and the document title and numbers on the right
+const drawHeader = (doc, title, details) => {
+  doc.font('Helvetica-Bold').fontSize(18).text(company.name, MARGIN, MARGIN, { width: 280 });
+  doc.font('Helvetica').fontSize(9);
+  for (const line of [...company.address, company.email, company.taxId && `Tax ID: ${company.taxId}`].filter(Boolean)) {
+    doc.text(line, { width: 280 });
+  }
+  const sellerBottom = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(18).text(title, 300, MARGIN, { width: 245, align: 'right' });
+  doc.font('Helvetica').fontSize(10);
+  for (const [label, value] of details) {
+    doc.text(`${label}: ${value}`, 300, doc.y, { width: 245, align: 'right' });
+  }
+
+  doc.y = Math.max(sellerBottom, doc.y) + 20;
+};
+
+// Draw the customer and rental details a document was issued for
+const drawBookingDetails = (doc, document) => {
+  const { customer = {}, rental = {} } = document;
+  const top = doc.y;
+  doc.font('Helvetica-Bold').fontSize(10).text('Bill to', MARGIN, top);
+  doc.font('Helvetica').text(customer.name || '', { width: 230 });
+  if (customer.email) doc.text(customer.email, { width: 230 });
+  const customerBottom = doc.y;
+
+  doc.font('Helvetica-Bold').text('Rental', 300, top);
+  doc.font('Helvetica');
+  if (rental.car) doc.text(rental.car, 300, doc.y, { width: 245 });
+  if (rental.startDate) {
+    doc.text(`Pick-up: ${formatDateTime(rental.startDate, rental.timezone)}, ${rental.pickupLocation}`, 300, doc.y, { width: 245 });
+    doc.text(`Return: ${formatDateTime(rental.endDate, rental.timezone)}, ${rental.dropoffLocation}`, 300, doc.y, { width: 245 });
+  }
+
+  doc.y = Math.max(customerBottom, doc.y);
+};
+
+// Draw the payments and refunds an invoice lists, with their net total
+const drawPaymentHistory = (doc, invoice) => {
+  drawHeading(doc, 'Payments and refunds');
+  if (invoice.payments.length === 0) {
+    doc.font('Helvetica').fontSize(10).text('No payments recorded', MARGIN, doc.y);
+    return;
+  }
+
+  let net = 0;
+  for (const payment of invoice.payments) {
+    net += payment.amount;
+    drawRow(doc, {
+      description: `${formatDay(payment.occurredAt, invoice.rental?.timezone)} - ${payment.description}`,
+      amount: money(payment.amount)
+    });
+  }
+  drawRule(doc);
+  drawRow(doc, { description: 'Net paid', amount: money(net) }, { bold: true });
+};
+
+// Write an invoice as a PDF to a writable stream (e.g. the response)
+// A supplementary invoice shows the booking's whole new price, less what was invoiced before
+const writeInvoicePdf = (stream, { invoice }) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: `Invoice ${invoice.number}` } });
+  doc.pipe(stream);
+
+  const supplementary = invoice.previouslyInvoiced !== 0;
+  drawHeader(doc, supplementary ? 'SUPPLEMENTARY INVOICE' : 'INVOICE', [
+    ['Invoice no.', invoice.number],
+    ['Issued', formatDay(invoice.issuedAt)],
+    ['Booking', invoice.reference]
+  ]);
+  drawBookingDetails(doc, invoice);
+
+  // Price breakdown as it was when the invoice was issued
+  const items = invoice.lineItems.filter(line => line.kind === 'charge');
+  const taxes = invoice.lineItems.filter(line => line.kind === 'tax');
+  doc.moveDown(1.5);
+  drawRow(doc, { description: 'Description', quantity: 'Quantity', amount: 'Amount' }, { bold: true });
+  drawRule(doc);
+  for (const item of items) {
+    drawRow(doc, { description: item.label, quantity: item.quantity, amount: money(item.amount) });
+  }
+  drawRule(doc);
+  const taxTotal = taxes.reduce((sum, line) => sum + line.amount, 0);
+  drawRow(doc, { description: 'Subtotal', amount: money(invoice.total - taxTotal) });
+  for (const line of taxes) {
+    drawRow(doc, { description: line.label, amount: money(line.amount) });
+  }
+  drawRow(doc, { description: 'Total', amount: money(invoice.total) }, { bold: !supplementary });
+  if (supplementary) {
+    drawRow(doc, { description: 'Previously invoiced', amount: money(-invoice.previouslyInvoiced) });
+    drawRow(doc, { description: 'Amount due', amount: money(invoice.amount) }, { bold: true });
+  }
+  if (invoice.promoCode) {
+    doc.font('Helvetica').fontSize(9).text(`Promo code ${invoice.promoCode} applied`, MARGIN, doc.y);
+  }
+
+  drawPaymentHistory(doc, invoice);
+
+  doc.end();
+};
+
+// Write a credit note as a PDF to a writable stream - params: { creditNote, invoice it credits }
+const writeCreditNotePdf = (stream, { creditNote, invoice }) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: `Credit note ${creditNote.number}` } });
+  doc.pipe(stream);
+
+  drawHeader(doc, 'CREDIT NOTE', [
+    ['Credit note no.', creditNote.number],
+    ['Issued', formatDay(creditNote.issuedAt)],
+    ['Credits invoice', invoice.number],
+    ['Booking', creditNote.reference]
+  ]);
+  drawBookingDetails(doc, creditNote);
+
+  // Refunds credit what was given back; price decreases credit what is no longer owed
+  const label = creditNote.refund ? 'Refund' : 'Price adjustment';
+  doc.moveDown(1.5);
+  drawRow(doc, { description: 'Description', amount: 'Amount' }, { bold: true });
+  drawRule(doc);
+  drawRow(doc, { description: `${label}${creditNote.reason ? `: ${creditNote.reason}` : ''}`, amount: money(creditNote.amount) });
+  drawRule(doc);
+  drawRow(doc, { description: 'Total credited', amount: money(creditNote.amount) }, { bold: true });
+  if (creditNote.refundId) {
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(9).text(`Refunded to the original payment method (refund ${creditNote.refundId})`, MARGIN, doc.y);
+  }
+
+  doc.end();
+};
+
+// Export PDF writers
+module.exports = {
+  writeInvoicePdf,    // Write an invoice
+  writeCreditNotePdf  // Write a credit note
+};
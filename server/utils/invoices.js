@@ -0,0 +1,241 @@
+// ============================================
+// INVOICES AND CREDIT NOTES
+// A booking gets an invoice once it is paid, and a credit note for each
+// refund of its payment. A later change to its price gets a supplementary
+// invoice for an increase, or a credit note for a decrease that wasn't
+// refunded. Both are numbered from their own sequence in the order they are
+// issued, and copy what they show from the booking when issued so they never
+// change afterwards. Issuing is idempotent, so it runs after every payment and
+// refund and again whenever the documents are requested - bookings paid or
+// refunded before invoicing existed get theirs then
+// ============================================
+
+// Invoice model for issued documents
+const Invoice = require('../models/Invoice');
+// Counter model for the number sequences
+const Counter = require('../models/Counter');
+// User model for the customer billed
+const User = require('../models/User');
+// Car model for the car rented
+const Car = require('../models/Car');
+// Transaction model for the payment history
+const Transaction = require('../models/Transaction');
+// Currency formatting
+const { formatCurrency } = require('./helpers');
+// Round money amounts to cents
+const { roundCents } = require('./pricingRules');
+// Number prefixes and currency
+const { invoicePrefix, creditNotePrefix, currency } = require('../config/invoices');
+
+// Payment statuses of a booking that has taken money (including since refunded)
+const INVOICED_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+// Line item kinds that are taxes and location fees rather than charges
+const TAX_KINDS = ['tax', 'fee'];
+
+// Label for each kind of ledger transaction in the payment history
+const TRANSACTION_LABELS = {
+  charge: 'Payment',
+  capture: 'Security deposit kept',
+  adjustment: 'Additional charge',
+  refund: 'Refund'
+};
+
+// Format a sequence number as a document number, e.g. INV-000042
+const formatNumber = (prefix, seq) => `${prefix}${String(seq).padStart(6, '0')}`;
+
+// Booking reference shown to customers (last 8 characters of the ID)
+const bookingReference = (booking) => booking._id.toString().slice(-8).toUpperCase();
+
+// Split a booking's price into charge lines and tax lines
+// Bookings priced before line items were stored are itemized from their pricing totals and extras
+// Returns [{ label, quantity, amount, kind }] - charges first, then taxes and fees
+const buildLineItems = (booking) => {
+  const pricing = booking.pricing || {};
+  const quantity = (line) => line.unit === 'day' ? `${line.quantity} day(s)` : (line.quantity > 1 ? `x${line.quantity}` : '');
+
+  if (pricing.lineItems?.length > 0) {
+    return [
+      ...pricing.lineItems
+        .filter(line => !TAX_KINDS.includes(line.kind))
+        .map(line => ({ label: line.label, quantity: quantity(line), amount: line.amount, kind: 'charge' })),
+      ...pricing.lineItems
+        .filter(line => TAX_KINDS.includes(line.kind))
+        .map(line => ({ label: line.label, quantity: '', amount: line.amount, kind: 'tax' }))
+    ];
+  }
+
+  const charge = (label, amount, lineQuantity = '') => ({ label, quantity: lineQuantity, amount, kind: 'charge' });
+  return [
+    charge('Car rental', pricing.basePrice, `${pricing.totalDays} day(s)`),
+    ...(pricing.rulesTotal ? [charge('Rate adjustments', pricing.rulesTotal)] : []),
+    ...booking.extras.map(extra => charge(
+      extra.name,
+      extra.amount ?? (extra.pricePerDay || 0) * pricing.totalDays * (extra.quantity || 1),
+      extra.quantity > 1 ? `x${extra.quantity}` : ''
+    )),
+    ...(pricing.driverFees ? [charge('Driver fees', pricing.driverFees)] : []),
+    ...(pricing.oneWayFee ? [charge('One-way fee', pricing.oneWayFee)] : []),
+    ...(pricing.discountAmount ? [charge('Discount', -pricing.discountAmount)] : []),
+    ...(pricing.taxAmount ? [{ label: 'Tax', quantity: '', amount: pricing.taxAmount, kind: 'tax' }] : []),
+    ...(pricing.feesAmount ? [{ label: 'Location fees', quantity: '', amount: pricing.feesAmount, kind: 'tax' }] : [])
+  ];
+};
+
+// The customer and rental a document is issued for, as they are now
+// Works whether or not the booking's user and car are populated
+const describeBooking = async (booking) => {
+  const user = booking.user?.email ? booking.user : await User.findById(booking.user).select('name email');
+  const car = booking.car?.brand ? booking.car : await Car.findById(booking.car).select('brand model year');
+
+  return {
+    reference: bookingReference(booking),
+    customer: { name: user?.name, email: user?.email },
+    rental: {
+      car: car ? `${car.brand} ${car.model} (${car.year})` : undefined,
+      pickupLocation: booking.pickupLocation,
+      dropoffLocation: booking.dropoffLocation,
+      startDate: booking.startDate,
+      endDate: booking.endDate,
+      timezone: booking.timezone
+    }
+  };
+};
+
+// Payments and refunds posted to the booking's ledger so far, oldest first
+// (processing fees are internal)
+const listPayments = async (booking) => {
+  const transactions = await Transaction.find({ booking: booking._id, type: { $ne: 'fee' } })
+    .sort({ occurredAt: 1 });
+
+  return transactions.map((transaction) => {
+    const label = transaction.claim ? 'Damage claim payment' : TRANSACTION_LABELS[transaction.type];
+    return {
+      occurredAt: transaction.occurredAt,
+      description: `${label}${transaction.description ? `: ${transaction.description}` : ''}`,
+      amount: transaction.type === 'refund' ? -transaction.amount : transaction.amount
+    };
+  });
+};
+
+// Everything an invoice shows for the booking as it is now
+// previouslyInvoiced is the net of the booking's earlier documents - the invoice bills the rest
+const snapshotInvoice = async (booking, previouslyInvoiced = 0) => ({
+  ...await describeBooking(booking),
+  lineItems: buildLineItems(booking),
+  total: booking.totalPrice,
+  previouslyInvoiced,
+  promoCode: booking.promoCode?.code,
+  payments: await listPayments(booking),
+  amount: roundCents(booking.totalPrice - previouslyInvoiced)
+});
+
+// Find a document, or number and create it with the data build() resolves to
+// A concurrent request issuing the same document loses on the unique index
+// and returns the winner's (its number is left unused)
+const issueDocument = async (key, build, sequence, prefix) => {
+  const existing = await Invoice.findOne(key);
+  if (existing) return existing;
+
+  const data = await build();
+  const number = formatNumber(prefix, await Counter.next(sequence));
+  try {
+    return await Invoice.create({ ...key, ...data, number });
+  } catch (error) {
+    if (error.code === 11000) {
+      const issued = await Invoice.findOne(key);
+      if (issued) return issued;
+    }
+    throw error;
+  }
+};
+
+// Net amount the booking's documents bill: its invoices less the credit notes
+// for price decreases, whether refunded (modification refunds) or not
+const invoicedTotal = (booking, documents) => {
+  const modificationRefunds = booking.refunds
+    .filter(refund => refund.type === 'modification')
+    .map(refund => refund._id.toString());
+
+  return roundCents(documents.reduce((sum, document) => {
+    if (document.type === 'invoice') return sum + document.amount;
+    if (!document.refund || modificationRefunds.includes(document.refund.toString())) return sum - document.amount;
+    return sum;
+  }, 0));
+};
+
+// Issue a booking's invoice and a credit note for each of its refunds, if not yet issued,
+// then a supplementary invoice or credit note if its price has changed since
+// Refunds that failed get no credit note. Works on unsaved bookings (e.g. a
+// refund just added to the ledger)
+// Returns { invoice, supplementaryInvoices, creditNotes } - invoice is null until the booking is paid
+const issueInvoiceDocuments = async (booking) => {
+  if (!INVOICED_PAYMENT_STATUSES.includes(booking.paymentStatus)) {
+    return { invoice: null, supplementaryInvoices: [], creditNotes: [] };
+  }
+
+  const user = booking.user._id || booking.user;
+  const invoice = await issueDocument(
+    { booking: booking._id, type: 'invoice', refund: null, revision: 0 },
+    async () => ({ user, ...await snapshotInvoice(booking) }),
+    'invoice',
+    invoicePrefix
+  );
+
+  for (const refund of booking.refunds.filter(r => r.status !== 'failed')) {
+    await issueDocument(
+      { booking: booking._id, type: 'credit_note', refund: refund._id, revision: 0 },
+      async () => ({
+        user, invoice: invoice._id, refundId: refund.refundId, amount: refund.amount, reason: refund.reason,
+        ...await describeBooking(booking)
+      }),
+      'credit_note',
+      creditNotePrefix
+    );
+  }
+
+  // Bill or credit whatever the price has changed by since the last document
+  let documents = await Invoice.find({ booking: booking._id });
+  const invoiced = invoicedTotal(booking, documents);
+  const difference = roundCents(booking.totalPrice - invoiced);
+  if (difference !== 0) {
+    const revision = Math.max(...documents.filter(d => !d.refund).map(d => d.revision)) + 1;
+    if (difference > 0) {
+      await issueDocument(
+        { booking: booking._id, type: 'invoice', refund: null, revision },
+        async () => ({ user, ...await snapshotInvoice(booking, invoiced) }),
+        'invoice',
+        invoicePrefix
+      );
+    } else {
+      const latest = documents.filter(d => d.type === 'invoice').sort((a, b) => b.revision - a.revision)[0];
+      await issueDocument(
+        { booking: booking._id, type: 'credit_note', refund: null, revision },
+        async () => ({
+          user, invoice: latest._id, amount: -difference,
+          reason: `Booking price lowered to ${formatCurrency(booking.totalPrice, currency)}`,
+          ...await describeBooking(booking)
+        }),
+        'credit_note',
+        creditNotePrefix
+      );
+    }
+    documents = await Invoice.find({ booking: booking._id });
+  }
+
+  const byIssue = (a, b) => a.issuedAt - b.issuedAt;
+  return {
+    invoice,
+    supplementaryInvoices: documents.filter(d => d.type === 'invoice' && d.revision > 0).sort(byIssue),
+    creditNotes: documents.filter(d => d.type === 'credit_note').sort(byIssue)
+  };
+};
+
+// Export invoice helpers
+module.exports = {
+  INVOICED_PAYMENT_STATUSES, // Payment statuses that get an invoice
+  buildLineItems,            // Charge and tax lines of a booking
+  describeBooking,           // Customer and rental details a document shows
+  snapshotInvoice,           // Everything an invoice shows for a booking
+  issueInvoiceDocuments      // Issue the invoice and credit notes of a booking
+};
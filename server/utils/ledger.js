@@ -0,0 +1,130 @@
+// ============================================
+// PAYMENT LEDGER
+// Every money movement is posted to the double-entry Transaction ledger:
+// payments (with the processing fee the provider kept) and refunds. A payment
+// is recorded by whichever code path sees it succeed first - the request that
+// took it or the provider's webhook - and is only posted once, keyed on the
+// provider object the money moved through. Revenue figures and the daily
+// reconciliation against the provider's records are read from the ledger
+// ============================================
+
+// Transaction model for the ledger
+const Transaction = require('../models/Transaction');
+// Round money amounts to cents
+const { roundCents } = require('./pricingRules');
+// Payment provider (Stripe or the mock)
+const paymentProvider = require('./paymentProvider');
+
+// Transaction type of each kind of payment (PaymentIntent metadata.type)
+// Booking and claim payments are charges
+const PAYMENT_TRANSACTION_TYPES = {
+  deposit: 'capture',
+  modification: 'adjustment',
+  return_charges: 'adjustment'
+};
+
+// $group accumulators totalling transactions: money taken (charges, captures,
+// and adjustments), refunded, and kept by the provider as processing fees
+const LEDGER_TOTALS = {
+  gross: { $sum: { $cond: [{ $eq: ['$creditAccount', 'revenue'] }, '$amount', 0] } },
+  refunds: { $sum: { $cond: [{ $eq: ['$debitAccount', 'refunds'] }, '$amount', 0] } },
+  processingFees: { $sum: { $cond: [{ $eq: ['$debitAccount', 'processing_fees'] }, '$amount', 0] } }
+};
+
+// Revenue from grouped LEDGER_TOTALS - money taken less refunds
+const revenueExpression = { $round: [{ $subtract: ['$gross', '$refunds'] }, 2] };
+
+// Convert an amount in cents to dollars
+const toDollars = (cents) => roundCents((cents || 0) / 100);
+
+// Post a successful payment to the ledger, with the provider's processing fee on it
+// PaymentIntents that haven't taken money, and payments already posted, are skipped.
+// Never throws - a payment that couldn't be posted is caught by reconciliation
+// options.createdBy is the user whose action took the payment
+// Returns the posted transaction, or null when nothing was posted
+const recordPayment = async (paymentIntent, { createdBy } = {}) => {
+  if (paymentIntent.status !== 'succeeded' || !(paymentIntent.amount_received > 0)) return null;
+
+  const reference = `payment:${paymentIntent.id}`;
+  if (await Transaction.exists({ reference }).catch(() => false)) return null;
+
+  // When the money landed and what the provider kept of it
+  const settlement = await paymentProvider.retrieveSettlement(paymentIntent.id).catch((error) => {
+    console.error(`Error retrieving settlement of ${paymentIntent.id}:`, error.message);
+    return null;
+  });
+
+  const { bookingId, claimId, type } = paymentIntent.metadata || {};
+  const common = {
+    occurredAt: settlement ? new Date(settlement.created * 1000) : new Date(),
+    booking: bookingId,
+    claim: claimId,
+    paymentIntentId: paymentIntent.id,
+    provider: paymentProvider.name
+  };
+
+  const transaction = await Transaction.post({
+    ...common,
+    type: PAYMENT_TRANSACTION_TYPES[type] || 'charge',
+    amount: toDollars(paymentIntent.amount_received),
+    reference,
+    description: paymentIntent.description || undefined,
+    createdBy
+  });
+
+  if (transaction && settlement?.fee > 0) {
+    await Transaction.post({
+      ...common,
+      type: 'fee',
+      amount: toDollars(settlement.fee),
+      reference: `fee:${paymentIntent.id}`,
+      description: `Processing fee: ${paymentIntent.id}`
+    });
+  }
+
+  return transaction;
+};
+
+// Post a refund from a booking's refund ledger (booking.refunds) to the payment ledger
+// Refunds already posted are skipped. Never throws
+// options.occurredAt is when the provider made the refund (default now)
+// Returns the posted transaction, or null when nothing was posted
+const recordRefund = (booking, refund, { occurredAt = new Date() } = {}) => Transaction.post({
+  type: 'refund',
+  amount: refund.amount,
+  // Refunds found only as an untracked total have no provider ID
+  reference: refund.refundId ? `refund:${refund.refundId}` : `refund:${booking._id}:${refund._id}`,
+  occurredAt,
+  booking: booking._id,
+  paymentIntentId: refund.paymentIntentId,
+  refundId: refund.refundId,
+  provider: paymentProvider.name,
+  description: refund.reason,
+  createdBy: refund.createdBy
+});
+
+// Totals of the transactions that occurred from (inclusive) to (exclusive)
+// Returns { gross, refunds, processingFees, revenue } in dollars
+const getLedgerTotals = async (from, to) => {
+  const [totals] = await Transaction.aggregate([
+    { $match: { occurredAt: { $gte: from, $lt: to } } },
+    { $group: { _id: null, ...LEDGER_TOTALS } },
+    { $addFields: { revenue: revenueExpression } }
+  ]);
+
+  return {
+    gross: roundCents(totals?.gross || 0),
+    refunds: roundCents(totals?.refunds || 0),
+    processingFees: roundCents(totals?.processingFees || 0),
+    revenue: totals?.revenue || 0
+  };
+};
+
+// Export ledger helpers
+module.exports = {
+  LEDGER_TOTALS,     // $group accumulators for money taken, refunded, and paid in fees
+  revenueExpression, // Revenue from grouped LEDGER_TOTALS
+  recordPayment,     // Post a successful payment and its fee
+  recordRefund,      // Post a refund
+  getLedgerTotals    // Totals for a period
+};
@@ -0,0 +1,67 @@
+// ============================================
+// CAR LOCATION TRACKING
+// Works out where a car will be at a given time, so one-way rentals
+// cannot strand a car away from the location its next booking starts at
+// ============================================
+
+// Booking model for finding a car's neighbouring bookings
+const Booking = require('../models/Booking');
+
+// Compare two ObjectIds (or nulls) by value
+const sameLocation = (a, b) => String(a) === String(b);
+
+// Find the location a car will be at when a rental starts
+// That is the drop-off of the latest booking ending before the rental, or
+// the car's current location when no earlier booking says otherwise
+// excludeBookingId is a booking being modified, which is ignored
+// Returns the location id (null for cars without one)
+const getCarLocationAt = async (car, startDate, excludeBookingId = null) => {
+  const previous = await Booking.findOne({
+    car: car._id,
+    ...(excludeBookingId && { _id: { $ne: excludeBookingId } }),
+    ...Booking.blockingFilter(),
+    endDate: { $lt: startDate },
+    dropoffLocationId: { $exists: true }
+  })
+    .sort({ endDate: -1 })
+    .select('dropoffLocationId');
+
+  return previous ? previous.dropoffLocationId : (car.currentLocation || null);
+};
+
+// Check a rental fits the car's movements between locations
+// The car must be at the pickup location when the rental starts, and the
+// drop-off must be where the car's next booking picks it up
+// params: { car, startDate, endDate, pickup, dropoff, excludeBookingId (ignored) }
+// Returns an error message, or null when the rental fits
+const checkLocationContinuity = async ({ car, startDate, endDate, pickup, dropoff, excludeBookingId = null }) => {
+  // Car must be at the pickup location (cars without a location can be picked up anywhere)
+  const locationAtStart = await getCarLocationAt(car, startDate, excludeBookingId);
+  if (locationAtStart && !sameLocation(locationAtStart, pickup._id)) {
+    return `This car is not available for pickup at ${pickup.name} on these dates`;
+  }
+
+  // Drop-off must match where the next booking picks the car up
+  const next = await Booking.findOne({
+    car: car._id,
+    ...(excludeBookingId && { _id: { $ne: excludeBookingId } }),
+    ...Booking.blockingFilter(),
+    startDate: { $gt: endDate },
+    pickupLocationId: { $exists: true }
+  })
+    .sort({ startDate: 1 })
+    .select('pickupLocationId pickupLocation');
+
+  if (next && !sameLocation(next.pickupLocationId, dropoff._id)) {
+    return `This car must be returned to ${next.pickupLocation} for its next rental`;
+  }
+
+  return null;
+};
+
+// Export location helpers
+module.exports = {
+  sameLocation,            // Compare location ids
+  getCarLocationAt,        // Where a car will be when a rental starts
+  checkLocationContinuity  // Validate a rental's pickup and drop-off
+};
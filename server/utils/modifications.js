@@ -0,0 +1,156 @@
+// ============================================
+// BOOKING MODIFICATIONS
+// A change that makes a paid booking cost more is only applied once the extra
+// cost has been paid. Until then it waits on the booking as its pending
+// modification: the booking keeps its car, dates, and price, and holds the new
+// car and dates alongside its own so nobody else can take them. The change is
+// applied when its supplementary payment succeeds (at checkout or by webhook),
+// and dropped - releasing what it held - when the payment fails or is
+// cancelled, the booking changes again, or it is not paid within the hold time
+// ============================================
+
+// Car model for the turnaround buffer of the booking's car
+const Car = require('../models/Car');
+// Reservation ledger holding the booking's slots
+const Reservation = require('../models/Reservation');
+// Audit log model for recording changes made outside a request
+const AuditLog = require('../models/AuditLog');
+// Offer freed windows to customers on the waitlist
+const { offerFreedWindow } = require('./waitlist');
+// Claim the units of stocked extras
+const { claimExtras, reclaimBookingExtras } = require('./extras');
+// Refund payments for changes that were dropped
+const { refundStrayPayment } = require('./refunds');
+// Invoice the higher price of an applied change
+const { issueInvoiceDocuments } = require('./invoices');
+// Payment provider (Stripe or the mock)
+const paymentProvider = require('./paymentProvider');
+
+// Booking statuses a modification can still be applied to (the rental hasn't started)
+const MODIFIABLE_STATUSES = ['pending', 'confirmed'];
+
+// The booking fields a modification sets, from its quote (see quoteModification)
+const buildChanges = (quote) => {
+  const { pickup, dropoff } = quote.priceData.locations;
+  return {
+    car: quote.carId,
+    startDate: quote.start,
+    endDate: quote.end,
+    timezone: quote.priceData.times.timezone,
+    extras: quote.priceData.extras,
+    pricing: quote.priceData.pricing,
+    totalPrice: quote.priceData.totalPrice,
+    // Bookings made before locations existed pick up the car's location
+    ...(pickup && {
+      pickupLocationId: pickup._id,
+      dropoffLocationId: dropoff._id,
+      pickupLocation: pickup.name,
+      dropoffLocation: dropoff.name
+    })
+  };
+};
+
+// Set the booking's claimed slots and extras back to its own car, dates, and extras,
+// giving back whatever was held for a change
+const restoreClaims = async (booking) => {
+  const car = await Car.findById(booking.car);
+  await Reservation.reschedule(booking.car, booking._id, booking.startDate, booking.endDate,
+    car ? car.getTurnaroundMinutes() : 0);
+  await reclaimBookingExtras(booking);
+};
+
+// Drop the booking's pending modification - its payment is cancelled and the
+// car and dates it held are released. A payment that lands anyway is refunded
+// by completeModification. Caller saves
+// Returns false when the booking had no pending modification
+const dropModification = async (booking) => {
+  const { paymentIntentId } = booking.pendingModification || {};
+  if (!paymentIntentId) return false;
+
+  await paymentProvider.cancelPaymentIntent(paymentIntentId).catch((error) => {
+    console.error(`Error cancelling modification payment ${paymentIntentId}:`, error.message);
+  });
+
+  const adjustment = booking.adjustments.find(a => a.paymentIntentId === paymentIntentId);
+  if (adjustment && adjustment.status === 'pending') adjustment.status = 'failed';
+  booking.pendingModification = undefined;
+
+  await restoreClaims(booking);
+  return true;
+};
+
+// Apply the pending modification a successful supplementary payment paid for, and save the booking
+// A payment for a change that was dropped in the meantime, or for a booking
+// that can no longer change, is refunded instead
+// Returns 'applied', 'refunded', or null when the payment was already handled
+const completeModification = async (booking, paymentIntent) => {
+  const adjustment = booking.adjustments.find(a => a.paymentIntentId === paymentIntent.id);
+  if (!adjustment || ['succeeded', 'refunded'].includes(adjustment.status)) return null;
+
+  const pending = booking.pendingModification;
+  const isPending = pending && pending.paymentIntentId === paymentIntent.id;
+
+  if (isPending && MODIFIABLE_STATUSES.includes(booking.status)) {
+    const previous = { car: booking.car, startDate: booking.startDate, endDate: booking.endDate };
+    const { changes } = pending;
+
+    // The new slots and extras are already held - this drops the ones only the old booking needed
+    const reservation = await Reservation.reschedule(changes.car, booking._id, changes.startDate, changes.endDate,
+      pending.turnaroundMinutes);
+    const pickupId = changes.pickupLocationId || booking.pickupLocationId;
+    const extrasError = reservation.claimed && await claimExtras({
+      bookingId: booking._id,
+      selections: changes.extras,
+      pickup: pickupId ? { _id: pickupId, name: changes.pickupLocation || booking.pickupLocation } : null,
+      start: changes.startDate,
+      end: changes.endDate
+    });
+    if (reservation.claimed && !extrasError) {
+      booking.set(changes);
+      booking.pendingModification = undefined;
+      adjustment.status = 'succeeded';
+      await booking.save();
+
+      await AuditLog.log({
+        action: 'BOOKING_UPDATE',
+        resource: 'booking',
+        resourceId: booking._id,
+        details: { action: 'modify', paymentIntentId: paymentIntent.id, priceDifference: pending.priceDifference },
+        previousValue: previous,
+        newValue: { car: changes.car, startDate: changes.startDate, endDate: changes.endDate, totalPrice: changes.totalPrice }
+      });
+
+      // Supplementary invoice for the extra cost (issued again on download if this fails)
+      await issueInvoiceDocuments(booking).catch((error) => {
+        console.error(`Error issuing invoice for booking ${booking._id}:`, error.message);
+      });
+
+      // Offer whatever part of the old car and dates is now free to the waitlist
+      if (String(previous.car) !== String(changes.car) ||
+          previous.startDate.getTime() !== new Date(changes.startDate).getTime() ||
+          previous.endDate.getTime() !== new Date(changes.endDate).getTime()) {
+        await offerFreedWindow(previous.car, previous.startDate, previous.endDate);
+      }
+      return 'applied';
+    }
+  }
+
+  // Nothing to pay for any more - give the money back
+  await refundStrayPayment(booking, paymentIntent, 'Booking modification was dropped before the payment completed');
+  adjustment.status = 'refunded';
+  if (isPending) {
+    booking.pendingModification = undefined;
+    await restoreClaims(booking);
+  }
+  await booking.save();
+  return 'refunded';
+};
+
+// Export modification helpers
+module.exports = {
+  MODIFIABLE_STATUSES,  // Statuses a booking can be modified in
+  buildChanges,         // Booking fields a modification quote sets
+  restoreClaims,        // Set a booking's claims back to the booking as it stands
+  dropModification,     // Drop a pending modification and release what it held
+  completeModification  // Apply a paid pending modification (or refund its payment)
+};
@@ -0,0 +1,35 @@
+// ============================================
+// NOTIFICATIONS
+// Sends in-app notifications to customers and to every admin
+// ============================================
+
+// Notification model for storing messages
+const Notification = require('../models/Notification');
+// User model for finding admins
+const User = require('../models/User');
+
+// Notify a single user - notification is { type, title, message, booking }
+// Failures are logged, not thrown - a notification should never break the action that sent it
+const notifyUser = async (userId, notification) => {
+  try {
+    await Notification.create({ ...notification, user: userId });
+  } catch (error) {
+    console.error('Error creating notification:', error.message);
+  }
+};
+
+// Notify every active admin
+const notifyAdmins = async (notification) => {
+  try {
+    const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+    await Notification.insertMany(admins.map(admin => ({ ...notification, user: admin._id })));
+  } catch (error) {
+    console.error('Error creating admin notifications:', error.message);
+  }
+};
+
+// Export notification helpers
+module.exports = {
+  notifyUser,   // Notify one user
+  notifyAdmins  // Notify all admins
+};
@@ -0,0 +1,28 @@
+// ============================================
+// PAYMENT PROVIDER
+// Every payment, refund, and card authorization goes through the provider
+// chosen by PAYMENT_PROVIDER - Stripe, or the in-process mock for development.
+// Providers implement the same interface, with amounts in cents and
+// PaymentIntents, refunds, and webhook events shaped like Stripe's:
+//   createCustomer({ email, name, metadata })              -> Customer
+//   createPaymentIntent({ amount, currency, customer, paymentMethod,
+//     saveCard, offSession, manualCapture, metadata, description }) -> PaymentIntent
+//   retrievePaymentIntent(id)                              -> PaymentIntent
+//   capturePaymentIntent(id, { amount })                   -> PaymentIntent
+//   cancelPaymentIntent(id)                                -> PaymentIntent
+//   createRefund({ paymentIntentId, amount, metadata })    -> Refund
+//   retrieveSettlement(paymentIntentId)                    -> { amount, fee, created } the payment
+//                                                             added to the balance (null until it settles)
+//   listBalanceTransactions({ from, to })                  -> balance transactions created in [from, to)
+//   constructWebhookEvent(rawBody, headers)                -> Event (throws if the signature is wrong)
+//   getClientConfig()                                      -> settings for the checkout page
+// Failed calls throw; a decline carries the PaymentIntent it concerned as error.paymentIntent
+// ============================================
+
+// Which provider is configured
+const { provider: providerName } = require('../config/payments');
+
+// Export the configured provider
+module.exports = providerName === 'mock'
+  ? require('./paymentProviders/mock')
+  : require('./paymentProviders/stripe');
@@ -0,0 +1,384 @@
+// ============================================
+// MOCK PAYMENT PROVIDER
+// An in-process stand-in for Stripe (see utils/paymentProvider.js) for
+// development without keys or network access. PaymentIntents follow Stripe's
+// statuses and object shapes, and every change is sent as a signed webhook to
+// the app's own webhook endpoint, so the real webhook handling runs too.
+// The outcome of a payment is decided by its test payment method:
+//   pm_mock_success - the payment succeeds (or is authorized, for manual capture)
+//   pm_mock_decline - the card is declined
+//   pm_mock_3ds     - the bank asks the customer to authenticate (3D Secure);
+//                     charges without the customer present fail
+//   pm_mock_delayed - the payment stays processing for a while, then succeeds
+//                     and is only reported by webhook
+// Payments and refunds are kept as balance transactions (less a processing fee
+// on payments) for ledger reconciliation.
+// State lives in memory and is lost when the server restarts
+// ============================================
+
+// Random IDs and webhook signatures
+const crypto = require('crypto');
+// Mock provider settings (webhook URL and secret, delays)
+const { mock: mockConfig } = require('../../config/payments');
+
+// Test payment methods the customer can pay with, and what each one does
+const PAYMENT_METHODS = {
+  pm_mock_success: { scenario: 'success', label: 'Payment succeeds' },
+  pm_mock_decline: { scenario: 'decline', label: 'Card is declined' },
+  pm_mock_3ds: { scenario: 'authenticate', label: '3D Secure authentication required' },
+  pm_mock_delayed: { scenario: 'delayed', label: 'Payment is confirmed later by webhook' }
+};
+
+// How old a webhook signature may be before it is rejected (seconds)
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// In-memory state
+const paymentIntents = new Map();
+const balanceTransactions = [];
+
+// Random ID with a Stripe-style prefix
+const newId = (prefix) => `${prefix}_mock_${crypto.randomBytes(12).toString('hex')}`;
+
+// Unix timestamp in seconds
+const now = () => Math.floor(Date.now() / 1000);
+
+// Callers get copies, so only the provider changes stored objects
+const copy = (object) => structuredClone(object);
+
+// Error shaped like Stripe's - declines carry the PaymentIntent they concern
+const mockError = (message, { type = 'invalid_request_error', code, statusCode = 400, paymentIntent } = {}) => {
+  const error = new Error(message);
+  Object.assign(error, { type, code, statusCode });
+  if (paymentIntent) error.paymentIntent = copy(paymentIntent);
+  return error;
+};
+
+// Sign a webhook payload as "t=<timestamp>,v1=<HMAC-SHA256 of timestamp.payload>"
+const sign = (payload, timestamp) => crypto
+  .createHmac('sha256', mockConfig.webhookSecret)
+  .update(`${timestamp}.${payload}`)
+  .digest('hex');
+
+// Send an event to the webhook endpoint after the configured delay
+// Delivery failures are logged, never thrown - like Stripe, the payment still happened
+const sendWebhook = (type, object, delayMs = mockConfig.webhookDelayMs) => {
+  const event = { id: newId('evt'), object: 'event', type, created: now(), data: { object: copy(object) } };
+
+  const timer = setTimeout(async () => {
+    const payload = JSON.stringify(event);
+    const timestamp = now();
+    try {
+      const response = await fetch(mockConfig.webhookUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Mock-Signature': `t=${timestamp},v1=${sign(payload, timestamp)}`
+        },
+        body: payload
+      });
+      if (!response.ok) console.error(`Mock webhook ${type} was rejected with status ${response.status}`);
+    } catch (error) {
+      console.error(`Mock webhook ${type} could not be delivered:`, error.message);
+    }
+  }, delayMs);
+  // A pending webhook shouldn't keep scripts or tests running
+  timer.unref();
+};
+
+// Record money added to (or, for refunds, taken from) the balance
+// Payments pay the configured processing fee
+const addBalanceTransaction = (type, amount, source) => {
+  const fee = type === 'charge' ? Math.round(amount * mockConfig.feePercent / 100) + mockConfig.feeFixedCents : 0;
+  balanceTransactions.push({ id: newId('txn'), type, amount, fee, created: now(), source });
+};
+
+// Find a stored PaymentIntent
+const findPaymentIntent = (id) => {
+  const paymentIntent = paymentIntents.get(id);
+  if (!paymentIntent) throw mockError(`No such payment_intent: '${id}'`, { code: 'resource_missing', statusCode: 404 });
+  return paymentIntent;
+};
+
+// Mark a PaymentIntent paid (or authorized, for manual capture) and report it
+const settle = (paymentIntent) => {
+  if (paymentIntent.capture_method === 'manual') {
+    paymentIntent.status = 'requires_capture';
+    paymentIntent.amount_capturable = paymentIntent.amount;
+    sendWebhook('payment_intent.amount_capturable_updated', paymentIntent);
+  } else {
+    paymentIntent.status = 'succeeded';
+    paymentIntent.amount_received = paymentIntent.amount;
+    addBalanceTransaction('charge', paymentIntent.amount_received, paymentIntent.id);
+    sendWebhook('payment_intent.succeeded', paymentIntent);
+  }
+  paymentIntent.next_action = null;
+  paymentIntent.last_payment_error = null;
+};
+
+// Fail a PaymentIntent, report it, and throw the card error
+const fail = (paymentIntent, code, message) => {
+  Object.assign(paymentIntent, {
+    status: 'requires_payment_method',
+    next_action: null,
+    last_payment_error: { type: 'card_error', code, message }
+  });
+  sendWebhook('payment_intent.payment_failed', paymentIntent);
+  throw mockError(message, { type: 'card_error', code, statusCode: 402, paymentIntent });
+};
+
+// Play out a payment method's scenario on a PaymentIntent
+const confirm = (paymentIntent, paymentMethod, { offSession = false } = {}) => {
+  const method = PAYMENT_METHODS[paymentMethod];
+  if (!method) throw mockError(`No such PaymentMethod: '${paymentMethod}'`, { code: 'resource_missing' });
+  if (!['requires_payment_method', 'requires_confirmation'].includes(paymentIntent.status)) {
+    throw mockError(`This PaymentIntent cannot be confirmed because it has a status of ${paymentIntent.status}`, {
+      code: 'payment_intent_unexpected_state',
+      paymentIntent
+    });
+  }
+
+  paymentIntent.payment_method = paymentMethod;
+
+  switch (method.scenario) {
+    case 'decline':
+      fail(paymentIntent, 'card_declined', 'Your card was declined.');
+      break;
+
+    case 'authenticate':
+      // Nobody is there to authenticate a charge made without the customer
+      if (offSession) {
+        fail(paymentIntent, 'authentication_required', 'Your card requires authentication.');
+      }
+      paymentIntent.status = 'requires_action';
+      paymentIntent.next_action = { type: 'mock_authenticate' };
+      sendWebhook('payment_intent.requires_action', paymentIntent);
+      break;
+
+    case 'delayed':
+      // Succeeds later; only the webhook tells the app
+      paymentIntent.status = 'processing';
+      sendWebhook('payment_intent.processing', paymentIntent);
+      setTimeout(() => {
+        if (paymentIntent.status === 'processing') settle(paymentIntent);
+      }, mockConfig.processingDelayMs).unref();
+      break;
+
+    default:
+      settle(paymentIntent);
+  }
+
+  return copy(paymentIntent);
+};
+
+// Create a Customer - derived from the user ID, so nothing needs storing
+// Returns the Customer ({ id })
+const createCustomer = async ({ email, name, metadata = {} }) => ({
+  id: `cus_mock_${metadata.userId || crypto.randomBytes(12).toString('hex')}`,
+  object: 'customer',
+  email,
+  name,
+  metadata
+});
+
+// Create a PaymentIntent (parameters as for the Stripe provider)
+// Off-session charges are confirmed straight away with the given payment method
+const createPaymentIntent = async ({
+  amount, currency = 'usd', customer, paymentMethod, saveCard, offSession, manualCapture, metadata = {}, description
+}) => {
+  const id = newId('pi');
+  const paymentIntent = {
+    id,
+    object: 'payment_intent',
+    amount,
+    amount_capturable: 0,
+    amount_received: 0,
+    amount_refunded: 0,
+    currency,
+    customer: customer || null,
+    payment_method: null,
+    setup_future_usage: saveCard ? 'off_session' : null,
+    capture_method: manualCapture ? 'manual' : 'automatic',
+    client_secret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+    status: 'requires_payment_method',
+    next_action: null,
+    last_payment_error: null,
+    metadata,
+    description: description || null,
+    created: now()
+  };
+  paymentIntents.set(id, paymentIntent);
+
+  if (offSession) return confirm(paymentIntent, paymentMethod, { offSession: true });
+  return copy(paymentIntent);
+};
+
+// Retrieve a PaymentIntent
+const retrievePaymentIntent = async (id) => copy(findPaymentIntent(id));
+
+// Confirm a PaymentIntent with a test payment method - what Stripe.js does in the browser
+// params.paymentMethod is one of PAYMENT_METHODS
+// Throws card error (with error.paymentIntent) when declined
+const confirmPaymentIntent = async (id, { paymentMethod }) => confirm(findPaymentIntent(id), paymentMethod);
+
+// Complete or fail the 3D Secure challenge of a PaymentIntent that requires action, as params.success says
+// Throws card error when authentication fails
+const authenticatePaymentIntent = async (id, { success }) => {
+  const paymentIntent = findPaymentIntent(id);
+  if (paymentIntent.status !== 'requires_action') {
+    throw mockError(`This PaymentIntent has a status of ${paymentIntent.status} and needs no authentication`, {
+      code: 'payment_intent_unexpected_state',
+      paymentIntent
+    });
+  }
+
+  if (!success) {
+    fail(paymentIntent, 'payment_intent_authentication_failure', 'We are unable to authenticate your payment method.');
+  }
+  settle(paymentIntent);
+  return copy(paymentIntent);
+};
+
+// Capture an authorized PaymentIntent - the rest of the hold is released
+// options.amount is in cents (default the full amount)
+const capturePaymentIntent = async (id, { amount } = {}) => {
+  const paymentIntent = findPaymentIntent(id);
+  if (paymentIntent.status !== 'requires_capture') {
+    throw mockError(`This PaymentIntent could not be captured because it has a status of ${paymentIntent.status}`, {
+      code: 'payment_intent_unexpected_state',
+      paymentIntent
+    });
+  }
+
+  const captured = amount ?? paymentIntent.amount_capturable;
+  if (captured > paymentIntent.amount_capturable) {
+    throw mockError('The amount to capture cannot exceed the amount capturable', { code: 'amount_too_large', paymentIntent });
+  }
+
+  Object.assign(paymentIntent, { status: 'succeeded', amount_received: captured, amount_capturable: 0 });
+  addBalanceTransaction('charge', captured, paymentIntent.id);
+  sendWebhook('payment_intent.succeeded', paymentIntent);
+  return copy(paymentIntent);
+};
+
+// Cancel a PaymentIntent (releasing any authorization)
+const cancelPaymentIntent = async (id) => {
+  const paymentIntent = findPaymentIntent(id);
+  if (['succeeded', 'canceled'].includes(paymentIntent.status)) {
+    throw mockError(`This PaymentIntent could not be canceled because it has a status of ${paymentIntent.status}`, {
+      code: 'payment_intent_unexpected_state',
+      paymentIntent
+    });
+  }
+
+  Object.assign(paymentIntent, { status: 'canceled', amount_capturable: 0, next_action: null });
+  sendWebhook('payment_intent.canceled', paymentIntent);
+  return copy(paymentIntent);
+};
+
+// Refund a payment, in full or in part - amount in cents (default what is left)
+// Returns the refund ({ id, status, amount })
+const createRefund = async ({ paymentIntentId, amount, metadata = {} }) => {
+  const paymentIntent = findPaymentIntent(paymentIntentId);
+  if (paymentIntent.status !== 'succeeded') {
+    throw mockError('This PaymentIntent has no successful charge to refund', { code: 'charge_not_refundable' });
+  }
+
+  const refundable = paymentIntent.amount_received - paymentIntent.amount_refunded;
+  const refundAmount = amount ?? refundable;
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    throw mockError(`Refund amount ($${(refundAmount / 100).toFixed(2)}) is greater than the unrefunded amount ($${(refundable / 100).toFixed(2)})`, {
+      code: 'amount_too_large'
+    });
+  }
+  paymentIntent.amount_refunded += refundAmount;
+
+  const refund = {
+    id: newId('re'),
+    object: 'refund',
+    amount: refundAmount,
+    currency: paymentIntent.currency,
+    payment_intent: paymentIntent.id,
+    status: 'succeeded',
+    metadata,
+    created: now()
+  };
+  addBalanceTransaction('refund', -refundAmount, refund.id);
+
+  // Stripe reports refunds on the charge the payment was taken with
+  sendWebhook('charge.refunded', {
+    id: paymentIntent.id.replace(/^pi_/, 'ch_'),
+    object: 'charge',
+    amount: paymentIntent.amount_received,
+    amount_refunded: paymentIntent.amount_refunded,
+    refunded: paymentIntent.amount_refunded >= paymentIntent.amount_received,
+    currency: paymentIntent.currency,
+    payment_intent: paymentIntent.id,
+    metadata: paymentIntent.metadata,
+    refunds: { data: [refund] }
+  });
+
+  return copy(refund);
+};
+
+// What a successful payment added to the balance, and the fee taken from it
+// Returns { amount, fee, created } in cents and Unix seconds, or null before it succeeds
+const retrieveSettlement = async (paymentIntentId) => {
+  findPaymentIntent(paymentIntentId);
+  const balanceTransaction = balanceTransactions.find(t => t.type === 'charge' && t.source === paymentIntentId);
+  if (!balanceTransaction) return null;
+  const { amount, fee, created } = balanceTransaction;
+  return { amount, fee, created };
+};
+
+// List the balance transactions created in a period - only those since the server started
+// Returns [{ id, type, amount, fee, created }] - refunds have negative amounts
+const listBalanceTransactions = async ({ from, to }) => balanceTransactions
+  .filter(t => t.created >= from.getTime() / 1000 && t.created < to.getTime() / 1000)
+  .map(({ id, type, amount, fee, created }) => ({ id, type, amount, fee, created }));
+
+// Verify a webhook request was signed by this provider and parse its event
+// Returns the event ({ id, type, data: { object } })
+// Throws when the signature is missing, wrong, or too old
+const constructWebhookEvent = (rawBody, headers) => {
+  const parts = Object.fromEntries(String(headers['mock-signature'] || '')
+    .split(',')
+    .map(part => part.split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) throw new Error('Unable to extract timestamp and signatures from header');
+
+  const expected = Buffer.from(sign(rawBody.toString('utf8'), timestamp));
+  const received = Buffer.from(parts.v1);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('No signatures found matching the expected signature for payload');
+  }
+  if (Math.abs(now() - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new Error('Timestamp outside the tolerance zone');
+  }
+
+  return JSON.parse(rawBody.toString('utf8'));
+};
+
+// Settings the client needs to take payments - the test payment methods to choose from
+// Returns { provider, paymentMethods: [{ id, label }] }
+const getClientConfig = () => ({
+  provider: 'mock',
+  paymentMethods: Object.entries(PAYMENT_METHODS).map(([id, { label }]) => ({ id, label }))
+});
+
+// Export the mock provider
+module.exports = {
+  name: 'mock',
+  createCustomer,
+  createPaymentIntent,
+  retrievePaymentIntent,
+  capturePaymentIntent,
+  cancelPaymentIntent,
+  createRefund,
+  retrieveSettlement,
+  listBalanceTransactions,
+  constructWebhookEvent,
+  getClientConfig,
+  // Mock only - the browser side of a payment
+  confirmPaymentIntent,
+  authenticatePaymentIntent
+};
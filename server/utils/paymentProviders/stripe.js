@@ -0,0 +1,121 @@
+// ============================================
+// STRIPE PAYMENT PROVIDER
+// Implements the payment provider interface (see utils/paymentProvider.js)
+// on the Stripe SDK. The client is created on first use, so the app loads
+// without Stripe keys when another provider is configured
+// ============================================
+
+// Stripe keys
+const { stripe: stripeConfig } = require('../../config/payments');
+
+// Stripe client, created on first use
+let client = null;
+const getClient = () => {
+  if (!client) {
+    if (!stripeConfig.secretKey) throw new Error('STRIPE_SECRET_KEY is not set');
+    client = require('stripe')(stripeConfig.secretKey);
+  }
+  return client;
+};
+
+// Run a Stripe call, exposing the PaymentIntent a failed request concerned (e.g. a decline) as error.paymentIntent
+const call = async (request) => {
+  try {
+    return await request(getClient());
+  } catch (error) {
+    if (error.raw?.payment_intent) error.paymentIntent = error.raw.payment_intent;
+    throw error;
+  }
+};
+
+// Create a Customer that cards can be saved to
+// Returns the Customer ({ id })
+const createCustomer = ({ email, name, metadata }) => call(stripe => stripe.customers.create({ email, name, metadata }));
+
+// Create a PaymentIntent for amount (in cents) in currency (default usd)
+// customer is who the card is saved to or charged; paymentMethod a saved card to charge
+// saveCard keeps the card for charges without the customer present, offSession charges
+// it now without them, and manualCapture only authorizes the amount for capture later
+// metadata is what webhooks match the payment on; description is shown to staff
+const createPaymentIntent = ({
+  amount, currency = 'usd', customer, paymentMethod, saveCard, offSession, manualCapture, metadata, description
+}) => call(stripe => stripe.paymentIntents.create({
+  amount,
+  currency,
+  ...(customer && { customer }),
+  ...(paymentMethod && { payment_method: paymentMethod }),
+  ...(saveCard && { setup_future_usage: 'off_session' }),
+  ...(offSession && { off_session: true, confirm: true }),
+  ...(manualCapture && { capture_method: 'manual' }),
+  metadata,
+  description
+}));
+
+// Retrieve a PaymentIntent
+const retrievePaymentIntent = (id) => call(stripe => stripe.paymentIntents.retrieve(id));
+
+// Capture an authorized PaymentIntent - the rest of the hold is released
+// options.amount is in cents (default the full amount)
+const capturePaymentIntent = (id, { amount } = {}) => call(stripe => stripe.paymentIntents.capture(id, {
+  ...(amount !== undefined && { amount_to_capture: amount })
+}));
+
+// Cancel a PaymentIntent (releasing any authorization)
+const cancelPaymentIntent = (id) => call(stripe => stripe.paymentIntents.cancel(id));
+
+// Refund a payment - amount in cents (default the full amount)
+// Returns the refund ({ id, status, amount })
+const createRefund = ({ paymentIntentId, amount, metadata }) => call(stripe => stripe.refunds.create({
+  payment_intent: paymentIntentId,
+  ...(amount !== undefined && { amount }),
+  ...(metadata && { metadata })
+}));
+
+// What a successful payment added to the Stripe balance, and the fee Stripe took
+// Returns { amount, fee, created } in cents and Unix seconds, or null before the charge settles
+const retrieveSettlement = async (paymentIntentId) => {
+  const paymentIntent = await call(stripe => stripe.paymentIntents.retrieve(paymentIntentId, {
+    expand: ['latest_charge.balance_transaction']
+  }));
+  const balanceTransaction = paymentIntent.latest_charge?.balance_transaction;
+  if (!balanceTransaction || typeof balanceTransaction !== 'object') return null;
+  return { amount: balanceTransaction.amount, fee: balanceTransaction.fee, created: balanceTransaction.created };
+};
+
+// List the balance transactions (charges, refunds, payouts, ...) created in a period
+// Returns [{ id, type, amount, fee, created }] - refunds have negative amounts
+const listBalanceTransactions = async ({ from, to }) => {
+  const transactions = await call(stripe => stripe.balanceTransactions.list({
+    created: { gte: Math.floor(from.getTime() / 1000), lt: Math.floor(to.getTime() / 1000) },
+    limit: 100
+  }).autoPagingToArray({ limit: 10000 }));
+  return transactions.map(({ id, type, amount, fee, created }) => ({ id, type, amount, fee, created }));
+};
+
+// Verify a webhook request came from Stripe and parse its event
+// Returns the event ({ id, type, data: { object } })
+// Throws when the signature doesn't match
+const constructWebhookEvent = (rawBody, headers) => getClient().webhooks.constructEvent(
+  rawBody,
+  headers['stripe-signature'],
+  stripeConfig.webhookSecret
+);
+
+// Settings the client needs to take payments
+// Returns { provider, publishableKey }
+const getClientConfig = () => ({ provider: 'stripe', publishableKey: stripeConfig.publishableKey });
+
+// Export the Stripe provider
+module.exports = {
+  name: 'stripe',
+  createCustomer,
+  createPaymentIntent,
+  retrievePaymentIntent,
+  capturePaymentIntent,
+  cancelPaymentIntent,
+  createRefund,
+  retrieveSettlement,
+  listBalanceTransactions,
+  constructWebhookEvent,
+  getClientConfig
+};
@@ -0,0 +1,693 @@
+// ============================================
+// PAYMENT WEBHOOKS
+// Every event the payment provider sends is stored as a WebhookEvent before
+// it is handled. Redeliveries of an event that was already handled are
+// skipped; an event whose handler failed is marked failed and handled again
+// when the provider redelivers it or an admin replays it. Only one delivery
+// or replay processes an event at a time. Handlers check the state they
+// change first, so handling an event twice is safe
+// ============================================
+
+// WebhookEvent model for the stored events
+const WebhookEvent = require('../models/WebhookEvent');
+// Booking model for updating payment status on reservations
+const Booking = require('../models/Booking');
+// Car model for the turnaround buffer of a reinstated hold
+const Car = require('../models/Car');
+// Reservation ledger for re-claiming a booking's rental days
+const Reservation = require('../models/Reservation');
+// PromoCode model for restoring redemptions on reinstated bookings
+const PromoCode = require('../models/PromoCode');
+// Claim model for settling claim payments made off-session
+const Claim = require('../models/Claim');
+// Audit log model for recording webhook outcomes outside a request
+const AuditLog = require('../models/AuditLog');
+// Booking status state machine
+const { canTransition, transitionStatus } = require('./bookingStatus');
+// Claim state machine
+const { canTransitionClaim, transitionClaim } = require('./claims');
+// In-app notifications for customers and admins
+const { notifyUser, notifyAdmins } = require('./notifications');
+// Round money amounts to cents
+const { roundCents } = require('./pricingRules');
+// Refund ledger
+const {
+  PAID_PAYMENT_STATUSES, getPaymentIntentIds, getRefundSummary, updateRefundStatus, issueRefund, refundStrayPayment
+} = require('./refunds');
+// Payment ledger
+const { recordPayment, recordRefund } = require('./ledger');
+// Invoices and credit notes
+const { issueInvoiceDocuments } = require('./invoices');
+// Modifications held until their extra cost is paid
+const { completeModification, dropModification } = require('./modifications');
+// Re-claim a reinstated booking's extras
+const { reclaimBookingExtras } = require('./extras');
+// Payment provider (Stripe or the mock)
+const paymentProvider = require('./paymentProvider');
+
+// Payments taken after the booking was paid (metadata.type) - they settle their
+// adjustment on the booking instead of paying for the booking itself
+//   modification   - extra cost of a booking modification
+//   return_charges - late return, mileage, and fuel charges taken at check-in
+const SUPPLEMENTARY_PAYMENT_TYPES = ['modification', 'return_charges'];
+
+// Booking payment statuses a payment may still change - a paid or refunded
+// booking is never moved back by a late or replayed event (or checkout call)
+const UNSETTLED_PAYMENT_STATUSES = ['pending', 'failed'];
+
+// How long an event may stay processing before another delivery or a replay
+// may take it over (the attempt that claimed it is assumed to have crashed)
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Convert an amount in cents to dollars
+const toDollars = (cents) => roundCents((cents || 0) / 100);
+
+// Record a webhook outcome as a system action against the booking
+const logWebhookAction = (action, bookingId, details) => AuditLog.log({
+  action,
+  resource: 'payment',
+  resourceId: bookingId,
+  details: { bookingId, ...details, source: 'webhook' }
+});
+
+// Find the booking a payment belongs to when the object carries no metadata (e.g. disputes)
+const findBookingForPayment = (paymentIntentId) => Booking.findOne({
+  $or: [
+    { paymentIntentId },
+    { 'adjustments.paymentIntentId': paymentIntentId },
+    { 'deposit.paymentIntentId': paymentIntentId }
+  ]
+});
+
+// Record the outcome ('succeeded' or 'failed') of a supplementary adjustment payment
+// Returns the updated adjustment, or null if the booking has none for this PaymentIntent
+const settleAdjustment = (booking, paymentIntentId, status) => {
+  const adjustment = booking.adjustments.find(a => a.paymentIntentId === paymentIntentId);
+  if (!adjustment) return null;
+  adjustment.status = status;
+  return adjustment;
+};
+
+// Check a payment pays for the booking as it is now - taken through the booking's
+// current PaymentIntent for its current total. Changing an unpaid booking's price
+// replaces its PaymentIntent, so a payment started before the change doesn't count
+const paysForBooking = (booking, paymentIntent) =>
+  booking.paymentIntentId === paymentIntent.id && paymentIntent.amount === Math.round(booking.totalPrice * 100);
+
+// Cancel the booking's unfinished PaymentIntent before a new one replaces it, so only
+// one payment for the booking can go through. Clears booking.paymentIntentId (caller saves)
+// Returns false, leaving it in place, when that payment is already going through
+const cancelUnfinishedPayment = async (booking) => {
+  if (!booking.paymentIntentId) return true;
+  const paymentIntent = await paymentProvider.retrievePaymentIntent(booking.paymentIntentId);
+  if (['succeeded', 'processing'].includes(paymentIntent.status)) return false;
+  if (paymentIntent.status !== 'canceled') await paymentProvider.cancelPaymentIntent(paymentIntent.id);
+  booking.paymentIntentId = undefined;
+  return true;
+};
+
+// Check a payment is one the booking is already paid with (rather than a second payment for it)
+const isBookingPayment = (booking, paymentIntent) =>
+  [booking.paymentId, ...getPaymentIntentIds(booking)].includes(paymentIntent.id);
+
+// Refund in full a second payment for a booking that was already paid
+// Returns the refund, or null if it was refunded already
+const refundDuplicatePayment = (booking, paymentIntent) => refundStrayPayment(booking, paymentIntent,
+  'Booking was already paid');
+
+// Refund in full a payment that doesn't pay for the booking as it is now (see paysForBooking)
+// The booking stays unpaid. Returns the refund, or null if it was refunded already
+const refundOutdatedPayment = (booking, paymentIntent) => refundStrayPayment(booking, paymentIntent,
+  'Payment was for an earlier version of the booking');
+
+// Reinstate a booking whose hold lapsed while the customer was paying
+// Re-claims the rental slots and the extras' units
+// Returns false if another booking has taken the slots or the last units since
+const reinstateExpiredHold = async (booking) => {
+  const car = await Car.findById(booking.car);
+  const reservation = await Reservation.claim(booking.car, booking._id, booking.startDate, booking.endDate,
+    car ? car.getTurnaroundMinutes() : 0);
+  if (!reservation.claimed) return false;
+
+  if (await reclaimBookingExtras(booking)) {
+    await Reservation.release(booking._id);
+    return false;
+  }
+
+  // Count the promo code again - the redemption was released when the hold expired
+  if (booking.promoCode && booking.promoCode.promo) {
+    await PromoCode.restoreRedemption(booking.promoCode.promo, booking.user, booking._id);
+  }
+
+  return true;
+};
+
+// Refund in full a payment that landed for a booking that can't be confirmed,
+// which marks the booking refunded, and save it
+const refundUnconfirmedPayment = async (booking, paymentIntentId, { type, reason }) => {
+  booking.paymentIntentId = paymentIntentId;
+  booking.paymentId = paymentIntentId;
+  const refund = await issueRefund(booking, { type, reason });
+  await booking.save();
+  return refund;
+};
+
+// Refund a payment for a hold that could not be reinstated
+// Refunds it in full, which marks the booking refunded, and saves it
+// Returns the refund (see issueRefund)
+const refundLapsedHold = (booking, paymentIntentId) => refundUnconfirmedPayment(booking, paymentIntentId, {
+  type: 'hold_expired',
+  reason: 'Booking hold expired before the payment completed'
+});
+
+// Refund a payment for a booking cancelled while the customer was paying
+// Refunds it in full, which marks the booking refunded, and saves it
+// Returns the refund (see issueRefund)
+const refundCancelledBooking = (booking, paymentIntentId) => refundUnconfirmedPayment(booking, paymentIntentId, {
+  type: 'cancellation',
+  reason: 'Booking was cancelled before the payment completed'
+});
+
+// Record the outcome of a claim charged to the card on file
+// Claims collected immediately are already paid; this covers charges that settled later
+const settleClaimPayment = async (paymentIntent, succeeded) => {
+  const claim = await Claim.findById(paymentIntent.metadata.claimId);
+  if (!claim) return;
+
+  if (succeeded) {
+    if (!canTransitionClaim(claim.status, 'paid')) return;
+    transitionClaim(claim, 'paid', { note: 'Payment confirmed via webhook' });
+    claim.paidAt = new Date();
+    claim.paymentError = undefined;
+  } else {
+    // Off-session declines are already recorded when the charge is attempted
+    if (claim.status === 'paid' || (claim.paymentError && claim.paymentIntentId === paymentIntent.id)) return;
+    claim.paymentError = paymentIntent.last_payment_error?.message ||
+      (paymentIntent.status === 'canceled' ? 'Payment was canceled' : 'Payment failed');
+  }
+  claim.paymentIntentId = paymentIntent.id;
+  await claim.save();
+
+  if (succeeded) {
+    await notifyUser(claim.user, {
+      type: 'claim_paid',
+      title: 'Charge collected',
+      message: `A charge of $${claim.amount.toFixed(2)} was taken from your card on file.`,
+      booking: claim.booking
+    });
+  }
+
+  await AuditLog.log({
+    action: succeeded ? 'CLAIM_PAYMENT' : 'CLAIM_PAYMENT_FAILED',
+    resource: 'booking',
+    resourceId: claim.booking,
+    details: {
+      claimId: claim._id,
+      amount: claim.amount,
+      paymentIntentId: paymentIntent.id,
+      source: 'webhook'
+    }
+  });
+
+  console.log(`Claim ${claim._id} payment ${succeeded ? 'confirmed' : 'failed'} via webhook`);
+};
+
+// payment_intent.succeeded - confirms the booking it paid for
+const handleSuccessfulPayment = async (paymentIntent) => {
+  // Extract booking ID from payment metadata
+  const bookingId = paymentIntent.metadata.bookingId;
+
+  // Every payment goes in the ledger, whatever it paid for (unless already posted)
+  await recordPayment(paymentIntent);
+
+  // Claim payments settle the claim, not the booking
+  if (paymentIntent.metadata.type === 'claim') {
+    await settleClaimPayment(paymentIntent, true);
+    return;
+  }
+
+  // Deposit captures are recorded when staff capture them
+  if (paymentIntent.metadata.type === 'deposit') return;
+
+  if (!bookingId) return;
+  const booking = await Booking.findById(bookingId);
+  if (!booking) return;
+
+  // A paid modification is applied - or refunded if it was dropped while the customer was paying
+  if (paymentIntent.metadata.type === 'modification') {
+    const outcome = await completeModification(booking, paymentIntent);
+    if (!outcome) return;
+    await logWebhookAction(outcome === 'applied' ? 'PAYMENT_SUCCESS' : 'PAYMENT_REFUND', booking._id, {
+      amount: toDollars(paymentIntent.amount),
+      paymentIntentId: paymentIntent.id,
+      type: paymentIntent.metadata.type,
+      ...(outcome === 'refunded' && { reason: 'modification_dropped' })
+    });
+    console.log(`Booking ${bookingId} modification ${outcome} via webhook`);
+    return;
+  }
+
+  // Other supplementary payments only settle their adjustment
+  if (SUPPLEMENTARY_PAYMENT_TYPES.includes(paymentIntent.metadata.type)) {
+    const adjustment = booking.adjustments.find(a => a.paymentIntentId === paymentIntent.id);
+    if (adjustment && adjustment.status !== 'succeeded') {
+      settleAdjustment(booking, paymentIntent.id, 'succeeded');
+      await booking.save();
+      await logWebhookAction('PAYMENT_SUCCESS', booking._id, {
+        amount: toDollars(paymentIntent.amount),
+        paymentIntentId: paymentIntent.id,
+        type: paymentIntent.metadata.type
+      });
+      console.log(`Booking ${bookingId} ${paymentIntent.metadata.type} payment confirmed via webhook`);
+    }
+    return;
+  }
+
+  // Already recorded by the checkout page (or refunded since) - a second payment
+  // that went through for the same booking is given back
+  if (!UNSETTLED_PAYMENT_STATUSES.includes(booking.paymentStatus)) {
+    if (isBookingPayment(booking, paymentIntent)) return;
+    const refund = await refundDuplicatePayment(booking, paymentIntent);
+    if (refund) {
+      await logWebhookAction('PAYMENT_REFUND', booking._id, {
+        amount: toDollars(paymentIntent.amount),
+        paymentIntentId: paymentIntent.id,
+        refundId: refund.id,
+        reason: 'duplicate_payment'
+      });
+      console.log(`Booking ${bookingId} was paid twice - payment ${paymentIntent.id} refunded via webhook`);
+    }
+    return;
+  }
+
+  // Started before the booking's price changed - give the money back, the booking stays unpaid
+  if (!paysForBooking(booking, paymentIntent)) {
+    const refund = await refundOutdatedPayment(booking, paymentIntent);
+    if (refund) {
+      await logWebhookAction('PAYMENT_REFUND', booking._id, {
+        amount: toDollars(paymentIntent.amount),
+        paymentIntentId: paymentIntent.id,
+        refundId: refund.id,
+        reason: 'outdated_payment'
+      });
+      console.log(`Booking ${bookingId} payment ${paymentIntent.id} was for an earlier price - refunded via webhook`);
+    }
+    return;
+  }
+
+  // Hold lapsed before payment landed - refund if the dates were taken since
+  if (booking.status === 'expired' && !(await reinstateExpiredHold(booking))) {
+    const refund = await refundLapsedHold(booking, paymentIntent.id);
+    await logWebhookAction('PAYMENT_REFUND', booking._id, { refundIds: refund.refundIds, reason: 'hold_expired' });
+    console.log(`Booking ${bookingId} hold expired before payment - refunded via webhook`);
+    return;
+  }
+
+  // Cancelled while the customer was paying - the car was released, so give the money back
+  if (booking.status === 'cancelled') {
+    const refund = await refundCancelledBooking(booking, paymentIntent.id);
+    await logWebhookAction('PAYMENT_REFUND', booking._id, { refundIds: refund.refundIds, reason: 'cancelled' });
+    console.log(`Booking ${bookingId} was cancelled before payment - refunded via webhook`);
+    return;
+  }
+
+  // Refunds are made from the PaymentIntent that paid for the booking
+  booking.paymentStatus = 'paid';
+  booking.paymentIntentId = paymentIntent.id;
+  booking.paymentId = paymentIntent.id;
+  // Bookings an admin confirmed before payment may already be under way
+  if (canTransition(booking.status, 'confirmed')) {
+    transitionStatus(booking, 'confirmed', { reason: 'Payment confirmed via webhook' });
+  }
+  await booking.save();
+
+  // Issue the invoice (issued again on download if this fails)
+  await issueInvoiceDocuments(booking).catch((error) => {
+    console.error(`Error issuing invoice for booking ${booking._id}:`, error.message);
+  });
+
+  await logWebhookAction('PAYMENT_SUCCESS', booking._id, {
+    amount: booking.totalPrice,
+    paymentIntentId: paymentIntent.id
+  });
+  console.log(`Booking ${bookingId} payment confirmed via webhook`);
+};
+
+// payment_intent.payment_failed - marks the payment failed
+// Also handles cancelled claim and supplementary payments, which leave the money owed the same way
+const handleFailedPayment = async (paymentIntent) => {
+  // Extract booking ID from payment metadata
+  const bookingId = paymentIntent.metadata.bookingId;
+
+  // A failed claim payment leaves the claim owed
+  if (paymentIntent.metadata.type === 'claim') {
+    await settleClaimPayment(paymentIntent, false);
+    return;
+  }
+
+  // A deposit that couldn't be authorized is recorded when it is placed
+  if (paymentIntent.metadata.type === 'deposit') return;
+
+  if (!bookingId) return;
+  const booking = await Booking.findById(bookingId);
+  if (!booking) return;
+
+  // A failed supplementary payment only fails its adjustment, not the booking's payment
+  if (SUPPLEMENTARY_PAYMENT_TYPES.includes(paymentIntent.metadata.type)) {
+    // Off-session declines are already recorded when the charge is attempted
+    const adjustment = booking.adjustments.find(a => a.paymentIntentId === paymentIntent.id);
+    if (!adjustment || adjustment.status !== 'pending') return;
+    settleAdjustment(booking, paymentIntent.id, 'failed');
+    // The change it would have paid for is dropped, giving back the car and dates it held
+    if (booking.pendingModification?.paymentIntentId === paymentIntent.id) {
+      await dropModification(booking);
+    }
+    // Return charges the card couldn't cover are still owed
+    if (paymentIntent.metadata.type === 'return_charges') {
+      booking.outstandingBalance = roundCents(booking.outstandingBalance + adjustment.amount);
+    }
+    await booking.save();
+    await logWebhookAction('PAYMENT_FAILED', booking._id, {
+      amount: adjustment.amount,
+      paymentIntentId: paymentIntent.id,
+      type: paymentIntent.metadata.type,
+      status: paymentIntent.status
+    });
+    console.log(`Booking ${bookingId} ${paymentIntent.metadata.type} payment failed via webhook`);
+    return;
+  }
+
+  // An earlier attempt failing after the booking was paid changes nothing
+  if (booking.paymentStatus !== 'pending') return;
+
+  booking.paymentStatus = 'failed';
+  await booking.save();
+
+  await logWebhookAction('PAYMENT_FAILED', booking._id, {
+    paymentIntentId: paymentIntent.id,
+    status: paymentIntent.status,
+    error: paymentIntent.last_payment_error?.message
+  });
+  console.log(`Booking ${bookingId} payment failed via webhook`);
+};
+
+// payment_intent.canceled - a payment or authorization was abandoned
+const handleCanceledPayment = async (paymentIntent) => {
+  const { bookingId, type } = paymentIntent.metadata;
+
+  // Claim and supplementary charges stay owed, as when they fail
+  if (type === 'claim' || SUPPLEMENTARY_PAYMENT_TYPES.includes(type)) {
+    await handleFailedPayment(paymentIntent);
+    return;
+  }
+
+  if (!bookingId) return;
+  const booking = await Booking.findById(bookingId);
+  if (!booking) return;
+
+  if (type === 'deposit') {
+    // Deposits the app released or renewed have already moved on from this authorization
+    if (booking.deposit.paymentIntentId !== paymentIntent.id || booking.deposit.status !== 'authorized') return;
+
+    // The provider dropped the hold (it lapsed, or was cancelled outside the app)
+    booking.deposit.status = 'expired';
+    booking.deposit.error = 'The deposit authorization was cancelled by the payment provider';
+    await booking.save();
+
+    await logWebhookAction('DEPOSIT_FAILED', booking._id, {
+      amount: booking.deposit.amount,
+      paymentIntentId: paymentIntent.id,
+      error: booking.deposit.error
+    });
+    // Staff need to chase the customer for another card
+    await notifyAdmins({
+      type: 'deposit_failed',
+      title: 'Security deposit cancelled',
+      message: `The $${booking.deposit.amount.toFixed(2)} deposit authorization was cancelled by the payment provider. No deposit is held for this booking any more.`,
+      booking: booking._id
+    });
+    console.log(`Booking ${bookingId} deposit authorization cancelled via webhook`);
+    return;
+  }
+
+  // The booking's own payment - the customer can start a new one while the hold lasts
+  if (booking.paymentIntentId !== paymentIntent.id || !UNSETTLED_PAYMENT_STATUSES.includes(booking.paymentStatus)) return;
+  await logWebhookAction('PAYMENT_CANCELED', booking._id, {
+    paymentIntentId: paymentIntent.id,
+    reason: paymentIntent.cancellation_reason
+  });
+  console.log(`Booking ${bookingId} payment cancelled via webhook`);
+};
+
+// payment_intent.requires_action - the bank wants the customer to authenticate
+// The customer completes it on the checkout page; charges taken without the
+// customer present are declined instead, so this is only recorded
+const handlePaymentRequiresAction = async (paymentIntent) => {
+  const { bookingId, type } = paymentIntent.metadata;
+  if (!bookingId) return;
+
+  await logWebhookAction('PAYMENT_ACTION_REQUIRED', bookingId, {
+    paymentIntentId: paymentIntent.id,
+    action: paymentIntent.next_action?.type,
+    ...(type && { type })
+  });
+};
+
+// charge.refunded - settles refunds made by the app, and adds refunds made in
+// the provider's dashboard to the booking's refund ledger
+const handleChargeRefunded = async (charge) => {
+  const booking = await findBookingForPayment(charge.payment_intent);
+  if (!booking) return;
+
+  let changed = false;
+
+  // Refund adjustments and ledger entries the provider hadn't completed when they were made
+  for (const refund of charge.refunds?.data || []) {
+    if (refund.status !== 'succeeded') continue;
+    for (const entry of [...booking.adjustments, ...booking.refunds]) {
+      if (entry.refundId === refund.id && entry.status === 'pending') {
+        entry.status = 'succeeded';
+        changed = true;
+      }
+    }
+  }
+
+  // Only refunds of the booking's own payments go in its ledger (not deposits)
+  if (!getPaymentIntentIds(booking).includes(charge.payment_intent)) {
+    if (changed) await booking.save();
+    return;
+  }
+
+  // Refunds made outside the app - the app's own refunds carry their type in
+  // metadata and are recorded by the app. Charges sent without their refunds
+  // listed only show the total, so whatever the ledger doesn't hold is external
+  let external;
+  if (charge.refunds?.data?.length) {
+    external = charge.refunds.data
+      .filter(r => r.status === 'succeeded' && !r.metadata?.type && !booking.refunds.some(entry => entry.refundId === r.id))
+      .map(r => ({ refundId: r.id, amount: toDollars(r.amount) }));
+  } else {
+    const tracked = booking.refunds
+      .filter(r => r.status !== 'failed' && (r.paymentIntentId || booking.paymentIntentId) === charge.payment_intent)
+      .reduce((sum, r) => sum + r.amount, 0);
+    const untracked = roundCents(toDollars(charge.amount_refunded) - tracked);
+    external = untracked > 0 ? [{ amount: untracked }] : [];
+  }
+
+  for (const refund of external) {
+    booking.refunds.push({
+      ...refund,
+      paymentIntentId: charge.payment_intent,
+      type: 'external',
+      reason: 'Refunded in the payment provider dashboard',
+      status: 'succeeded'
+    });
+    refund.entry = booking.refunds[booking.refunds.length - 1];
+    changed = true;
+  }
+
+  if (external.length > 0 && [...PAID_PAYMENT_STATUSES, 'refunded'].includes(booking.paymentStatus)) {
+    updateRefundStatus(booking, (await getRefundSummary(booking)).captured);
+  }
+
+  if (changed) await booking.save();
+
+  // Post the refunds to the payment ledger - the app's own were posted when
+  // they were made, so this only adds external ones (or any that failed to post)
+  for (const refund of charge.refunds?.data || []) {
+    const entry = booking.refunds.find(e => e.refundId === refund.id);
+    if (entry && refund.status === 'succeeded') {
+      await recordRefund(booking, entry, { occurredAt: refund.created ? new Date(refund.created * 1000) : undefined });
+    }
+  }
+  for (const refund of external.filter(r => !r.refundId)) {
+    await recordRefund(booking, refund.entry);
+  }
+
+  // Credit notes for the external refunds
+  await issueInvoiceDocuments(booking).catch((error) => {
+    console.error(`Error issuing invoice for booking ${booking._id}:`, error.message);
+  });
+
+  if (!changed) return;
+
+  for (const refund of external) {
+    await logWebhookAction('PAYMENT_REFUND', booking._id, {
+      amount: refund.amount,
+      paymentIntentId: charge.payment_intent,
+      ...(refund.refundId && { refundId: refund.refundId }),
+      reason: 'external'
+    });
+  }
+  console.log(`Booking ${booking._id} refund recorded via webhook`);
+};
+
+// charge.dispute.created - the customer's bank opened a chargeback
+const handleDisputeCreated = async (dispute) => {
+  const booking = await findBookingForPayment(dispute.payment_intent);
+  if (!booking) {
+    // Claim payments are matched by the claim they settle
+    const claim = await Claim.findOne({ paymentIntentId: dispute.payment_intent });
+    if (!claim) return;
+    await notifyAdmins({
+      type: 'payment_disputed',
+      title: 'Claim payment disputed',
+      message: `The customer's bank opened a $${toDollars(dispute.amount).toFixed(2)} dispute (${dispute.reason}) against a claim payment.`,
+      booking: claim.booking
+    });
+    await logWebhookAction('PAYMENT_DISPUTE', claim.booking, {
+      claimId: claim._id,
+      disputeId: dispute.id,
+      amount: toDollars(dispute.amount),
+      reason: dispute.reason
+    });
+    return;
+  }
+
+  // Already recorded by an earlier delivery
+  if (booking.disputes.some(d => d.disputeId === dispute.id)) return;
+
+  const evidenceDueBy = dispute.evidence_details?.due_by;
+  booking.disputes.push({
+    disputeId: dispute.id,
+    paymentIntentId: dispute.payment_intent,
+    amount: toDollars(dispute.amount),
+    reason: dispute.reason,
+    status: dispute.status,
+    evidenceDueBy: evidenceDueBy ? new Date(evidenceDueBy * 1000) : undefined
+  });
+  await booking.save();
+
+  // Staff need to respond with evidence before the deadline
+  await notifyAdmins({
+    type: 'payment_disputed',
+    title: 'Payment disputed',
+    message: `The customer's bank opened a $${toDollars(dispute.amount).toFixed(2)} dispute (${dispute.reason})` +
+      (evidenceDueBy ? `. Evidence is due by ${new Date(evidenceDueBy * 1000).toUTCString()}.` : '.'),
+    booking: booking._id
+  });
+  await logWebhookAction('PAYMENT_DISPUTE', booking._id, {
+    disputeId: dispute.id,
+    paymentIntentId: dispute.payment_intent,
+    amount: toDollars(dispute.amount),
+    reason: dispute.reason
+  });
+  console.log(`Booking ${booking._id} payment disputed via webhook`);
+};
+
+// Handler for each event type processed - anything else is stored and ignored
+const EVENT_HANDLERS = {
+  'payment_intent.succeeded': handleSuccessfulPayment,
+  'payment_intent.payment_failed': handleFailedPayment,
+  'payment_intent.canceled': handleCanceledPayment,
+  'payment_intent.requires_action': handlePaymentRequiresAction,
+  'charge.refunded': handleChargeRefunded,
+  'charge.dispute.created': handleDisputeCreated
+};
+
+// Store an event the provider sent, or count another delivery of one already stored
+// Returns { webhookEvent, duplicate } - duplicate when it was stored before
+const recordWebhookEvent = async (event) => {
+  const object = event.data?.object || {};
+  const bookingId = object.metadata?.bookingId;
+
+  const result = await WebhookEvent.findOneAndUpdate(
+    { eventId: event.id },
+    {
+      $setOnInsert: {
+        eventId: event.id,
+        type: event.type,
+        provider: paymentProvider.name,
+        status: 'received',
+        objectId: object.id,
+        ...(/^[0-9a-f]{24}$/i.test(bookingId || '') && { booking: bookingId }),
+        payload: event,
+        eventCreatedAt: event.created ? new Date(event.created * 1000) : undefined
+      },
+      // Redeliveries are only counted - the first delivery's payload is kept
+      $inc: { deliveries: 1 }
+    },
+    { upsert: true, new: true, includeResultMetadata: true }
+  );
+
+  return { webhookEvent: result.value, duplicate: Boolean(result.lastErrorObject?.updatedExisting) };
+};
+
+// Handle a stored event, unless it has been handled or another attempt is handling it
+// Failures are recorded on the event, not thrown. options.replayedBy is the admin replaying it
+// Returns the event after the attempt, or null when it could not be claimed
+const processWebhookEvent = async (webhookEvent, { replayedBy } = {}) => {
+  const now = new Date();
+
+  // Claim the event so concurrent deliveries and replays never handle it twice
+  const claimed = await WebhookEvent.findOneAndUpdate(
+    {
+      _id: webhookEvent._id,
+      $or: [
+        { status: { $in: ['received', 'failed'] } },
+        { status: 'processing', lastAttemptAt: { $lte: new Date(now.getTime() - STALE_PROCESSING_MS) } }
+      ]
+    },
+    {
+      status: 'processing',
+      lastAttemptAt: now,
+      $inc: { attempts: 1 },
+      ...(replayedBy && { replayedBy })
+    },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const handler = EVENT_HANDLERS[claimed.type];
+  try {
+    if (handler) await handler(claimed.payload.data.object);
+    claimed.status = handler ? 'processed' : 'ignored';
+    claimed.processedAt = new Date();
+    claimed.error = undefined;
+  } catch (error) {
+    console.error(`Webhook event ${claimed.eventId} (${claimed.type}) failed:`, error.message);
+    claimed.status = 'failed';
+    claimed.error = error.message;
+  }
+  await claimed.save();
+
+  return claimed;
+};
+
+// Export webhook helpers
+module.exports = {
+  SUPPLEMENTARY_PAYMENT_TYPES, // Payment types that settle an adjustment
+  UNSETTLED_PAYMENT_STATUSES,  // Payment statuses a payment may still change
+  EVENT_HANDLERS,              // Event types processed
+  recordWebhookEvent,          // Store an incoming event
+  processWebhookEvent,         // Handle a stored event once
+  settleAdjustment,            // Record a supplementary payment's outcome
+  cancelUnfinishedPayment,     // Cancel a booking's PaymentIntent before replacing it
+  paysForBooking,              // Check a payment is for the booking's current total
+  isBookingPayment,            // Check a payment is one the booking is paid with
+  refundDuplicatePayment,      // Refund a second payment for a paid booking
+  refundOutdatedPayment,       // Refund a payment for an earlier price of the booking
+  reinstateExpiredHold,        // Re-claim a lapsed hold's rental days
+  refundLapsedHold,            // Refund a payment for a hold that can't be reinstated
+  refundCancelledBooking       // Refund a payment for a booking cancelled during checkout
+};
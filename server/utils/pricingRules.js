@@ -0,0 +1,122 @@
+// ============================================
+// PRICING RULES ENGINE
+// Applies admin-defined pricing rules to a rental one day at a time
+// and reports how much each rule added or removed
+// ============================================
+
+// Milliseconds in one calendar day
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Normalize a date to UTC midnight of its calendar day
+const toDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+// Round a dollar amount to cents
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// Check whether a seasonal or weekend rule covers a given day
+const matchesDay = (rule, day) => {
+  if (rule.type === 'seasonal') {
+    return day >= toDay(rule.startDate) && day <= toDay(rule.endDate);
+  }
+  if (rule.type === 'weekend') {
+    return (rule.daysOfWeek || []).includes(day.getUTCDay());
+  }
+  return false;
+};
+
+// Pick the winning rule among candidates of the same type
+// Rules scoped to the car's type override general rules, then higher priority wins
+const pickRule = (candidates, carType) => {
+  const ranked = [...candidates].sort((a, b) => {
+    const aSpecific = (a.carTypes || []).includes(carType) ? 1 : 0;
+    const bSpecific = (b.carTypes || []).includes(carType) ? 1 : 0;
+    if (aSpecific !== bSpecific) return bSpecific - aSpecific;
+    // Longer minimum rentals beat shorter ones (monthly over weekly)
+    if ((b.minDays || 0) !== (a.minDays || 0)) return (b.minDays || 0) - (a.minDays || 0);
+    return (b.priority || 0) - (a.priority || 0);
+  });
+  return ranked[0] || null;
+};
+
+// Evaluate pricing rules for a rental
+// Seasonal and weekend rules adjust the day's base rate; the duration rule
+// (chosen once for the whole rental) is applied on top of the adjusted rate
+// Returns { basePrice, rulesTotal, rentalTotal, appliedRules }
+const evaluateRules = ({ pricePerDay, carType, startDate, totalDays, rules = [] }) => {
+  // Only rules that apply to this car type take part
+  const eligible = rules.filter(rule =>
+    !(rule.carTypes && rule.carTypes.length) || rule.carTypes.includes(carType)
+  );
+
+  // Length-of-rental discount applies to every day of a long enough rental
+  const durationRule = pickRule(
+    eligible.filter(rule => rule.type === 'duration' && totalDays >= rule.minDays),
+    carType
+  );
+
+  // Running totals per applied rule, keyed by rule ID
+  const applied = new Map();
+  const record = (rule, delta) => {
+    const key = rule._id.toString();
+    const entry = applied.get(key) || {
+      rule: rule._id,
+      name: rule.name,
+      type: rule.type,
+      multiplier: rule.multiplier,
+      days: 0,
+      amount: 0
+    };
+    entry.days += 1;
+    entry.amount += delta;
+    applied.set(key, entry);
+  };
+
+  const firstDay = toDay(startDate).getTime();
+
+  for (let i = 0; i < totalDays; i += 1) {
+    const day = new Date(firstDay + i * DAY_MS);
+    let dayRate = pricePerDay;
+
+    // At most one seasonal and one weekend rule per day
+    for (const type of ['seasonal', 'weekend']) {
+      const rule = pickRule(
+        eligible.filter(r => r.type === type && matchesDay(r, day)),
+        carType
+      );
+      if (rule) {
+        const delta = pricePerDay * (rule.multiplier - 1);
+        record(rule, delta);
+        dayRate += delta;
+      }
+    }
+
+    if (durationRule) {
+      record(durationRule, dayRate * (durationRule.multiplier - 1));
+    }
+  }
+
+  // Round each rule's total once so the line items add up exactly
+  const appliedRules = [...applied.values()].map(entry => ({
+    ...entry,
+    amount: roundCents(entry.amount)
+  }));
+
+  const basePrice = roundCents(pricePerDay * totalDays);
+  const rulesTotal = roundCents(appliedRules.reduce((sum, entry) => sum + entry.amount, 0));
+
+  return {
+    basePrice,
+    rulesTotal,
+    rentalTotal: roundCents(basePrice + rulesTotal),
+    appliedRules
+  };
+};
+
+// Export pricing engine helpers
+module.exports = {
+  evaluateRules,  // Apply rules to a rental
+  roundCents      // Round a dollar amount to cents
+};
@@ -0,0 +1,206 @@
+// ============================================
+// REFUNDS
+// Money returned from a booking's payments is recorded in the booking's refund
+// ledger (booking.refunds). A booking is paid by its original PaymentIntent
+// plus one for each extra charge collected after a modification; a refund is
+// taken from them in that order, never more than was captured on each. The
+// booking's payment status follows the ledger: partially_refunded while some
+// of the money is kept, refunded once all of it has been returned
+// ============================================
+
+// Transaction model for spotting payments already refunded
+const Transaction = require('../models/Transaction');
+// Error for refunds that can't be made
+const { AppError } = require('../middleware/errorHandler');
+// Round money amounts to cents
+const { roundCents } = require('./pricingRules');
+// Payment provider (Stripe or the mock)
+const paymentProvider = require('./paymentProvider');
+// Payment ledger
+const { recordRefund } = require('./ledger');
+// Invoices and credit notes
+const { issueInvoiceDocuments } = require('./invoices');
+
+// Payment statuses of a booking the customer has paid for (and not had fully refunded)
+const PAID_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+
+// What a refund was for (refunds[].type)
+//   cancellation - cancellation policy refund
+//   modification - price difference after a booking was changed to cost less
+//   hold_expired - payment that landed after the booking's hold lapsed
+//   manual       - issued by an admin (goodwill, an extra not provided, ...)
+//   external     - made in the payment provider's dashboard, recorded from its webhook
+const REFUND_TYPES = ['cancellation', 'modification', 'hold_expired', 'manual', 'external'];
+
+// Ledger entries that count against the payment (failed refunds returned nothing)
+const activeRefunds = (booking) => (booking.refunds || []).filter(r => r.status !== 'failed');
+
+// Total refunded (or being refunded) from the booking's payments, in dollars
+const getTotalRefunded = (booking) => roundCents(
+  activeRefunds(booking).reduce((sum, r) => sum + r.amount, 0)
+);
+
+// Refunds that gave money back without lowering the booking's price - modification
+// refunds are excluded because the booking's total was already reduced by them
+// Amount in dollars
+const getRefundedAmount = (booking) => roundCents(
+  activeRefunds(booking).filter(r => r.type !== 'modification').reduce((sum, r) => sum + r.amount, 0)
+);
+
+// Aggregation expression for what a booking has earned: its total less the money
+// given back without lowering it (the same refunds as getRefundedAmount)
+const netPaidExpression = {
+  $subtract: ['$totalPrice', {
+    $sum: {
+      $map: {
+        input: {
+          $filter: {
+            input: { $ifNull: ['$refunds', []] },
+            cond: { $and: [{ $ne: ['$$this.type', 'modification'] }, { $ne: ['$$this.status', 'failed'] }] }
+          }
+        },
+        in: '$$this.amount'
+      }
+    }
+  }]
+};
+
+// Set the booking's payment status from its ledger
+// capturedAmount is everything captured on the booking's payments, in dollars
+// Bookings without refunds keep their status; caller saves
+const updateRefundStatus = (booking, capturedAmount) => {
+  const refunded = getTotalRefunded(booking);
+  if (refunded <= 0) return;
+  booking.paymentStatus = refunded >= capturedAmount ? 'refunded' : 'partially_refunded';
+};
+
+// PaymentIntents the booking has been paid with: the original payment, then
+// the extra charges collected after modifications, oldest first
+const getPaymentIntentIds = (booking) => [
+  booking.paymentIntentId,
+  ...(booking.adjustments || [])
+    .filter(a => a.type === 'charge' && a.status === 'succeeded' && a.paymentIntentId)
+    .map(a => a.paymentIntentId)
+];
+
+// What has been captured and refunded on the booking's payments
+// Returns { captured, refunded, refundable } in dollars, and the same per PaymentIntent in payments
+const getRefundSummary = async (booking) => {
+  if (!booking.paymentIntentId) return { captured: 0, refunded: 0, refundable: 0, payments: [] };
+
+  const refunds = activeRefunds(booking);
+  const payments = await Promise.all(getPaymentIntentIds(booking).map(async (paymentIntentId) => {
+    const paymentIntent = await paymentProvider.retrievePaymentIntent(paymentIntentId);
+    const captured = roundCents((paymentIntent.amount_received || 0) / 100);
+    // Entries from before refunds recorded their PaymentIntent were all of the original payment
+    const refunded = roundCents(refunds
+      .filter(r => (r.paymentIntentId || booking.paymentIntentId) === paymentIntentId)
+      .reduce((sum, r) => sum + r.amount, 0));
+    return { paymentIntentId, captured, refunded, refundable: roundCents(Math.max(0, captured - refunded)) };
+  }));
+
+  const total = (field) => roundCents(payments.reduce((sum, payment) => sum + payment[field], 0));
+  return { captured: total('captured'), refunded: total('refunded'), refundable: total('refundable'), payments };
+};
+
+// Refund part or all of the booking's payments and record it in the booking's
+// refund ledger and the payment ledger
+// The amount is taken from each PaymentIntent in turn, up to what is left of
+// it, so one refund can span the original payment and later extra charges.
+// The amount (in dollars) defaults to everything not yet refunded; type is one
+// of REFUND_TYPES, and createdBy the admin or customer who made the refund.
+// Updates the payment status; caller saves the booking
+// Returns { amount, status, refundIds, entries } with one ledger entry per PaymentIntent refunded
+// Throws AppError 400 when the amount is more than is left to refund; provider errors are passed on
+const issueRefund = async (booking, { amount, type, reason, createdBy }) => {
+  const { captured, refundable, payments } = await getRefundSummary(booking);
+  const refundAmount = amount === undefined ? refundable : roundCents(amount);
+
+  if (refundable <= 0) throw new AppError('This payment has already been refunded in full', 400);
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    throw new AppError(`Refund amount cannot exceed $${refundable.toFixed(2)}, the amount not yet refunded`, 400);
+  }
+
+  const entries = [];
+  let remaining = refundAmount;
+  for (const payment of payments) {
+    if (remaining <= 0) break;
+    const part = roundCents(Math.min(remaining, payment.refundable));
+    if (part <= 0) continue;
+
+    const refund = await paymentProvider.createRefund({
+      paymentIntentId: payment.paymentIntentId,
+      amount: Math.round(part * 100), // Convert to cents
+      metadata: {
+        bookingId: booking._id.toString(),
+        type
+      }
+    });
+
+    booking.refunds.push({
+      refundId: refund.id,
+      paymentIntentId: payment.paymentIntentId,
+      amount: part,
+      type,
+      reason,
+      status: refund.status === 'succeeded' ? 'succeeded' : 'pending',
+      createdBy
+    });
+    const entry = booking.refunds[booking.refunds.length - 1];
+    entries.push(entry);
+    remaining = roundCents(remaining - part);
+
+    await recordRefund(booking, entry, { occurredAt: refund.created ? new Date(refund.created * 1000) : undefined });
+  }
+  updateRefundStatus(booking, captured);
+
+  // Credit notes for the refund (issued again on download if this fails)
+  await issueInvoiceDocuments(booking).catch((error) => {
+    console.error(`Error issuing invoice for booking ${booking._id}:`, error.message);
+  });
+  return {
+    amount: refundAmount,
+    status: entries.every(entry => entry.status === 'succeeded') ? 'succeeded' : 'pending',
+    refundIds: entries.map(entry => entry.refundId),
+    entries
+  };
+};
+
+// Refund in full a payment that doesn't pay for its booking - e.g. the extra cost
+// of a modification that was dropped before the payment landed. It never counted
+// towards the booking, so it is only posted to the payment ledger, not the
+// booking's refund ledger. reason says why it was refunded
+// Returns the refund, or null when the payment has already been refunded
+const refundStrayPayment = async (booking, paymentIntent, reason) => {
+  if (await Transaction.exists({ booking: booking._id, type: 'refund', paymentIntentId: paymentIntent.id })) return null;
+
+  const refund = await paymentProvider.createRefund({
+    paymentIntentId: paymentIntent.id,
+    metadata: {
+      bookingId: booking._id.toString(),
+      type: 'stray'
+    }
+  });
+
+  await recordRefund(booking, {
+    refundId: refund.id,
+    paymentIntentId: paymentIntent.id,
+    amount: roundCents(refund.amount / 100),
+    reason
+  }, { occurredAt: refund.created ? new Date(refund.created * 1000) : undefined });
+  return refund;
+};
+
+// Export refund helpers
+module.exports = {
+  PAID_PAYMENT_STATUSES, // Payment statuses of a paid booking
+  REFUND_TYPES,          // What a refund can be for
+  getTotalRefunded,      // Total in the ledger
+  getRefundedAmount,     // Refunds that didn't lower the price
+  netPaidExpression,     // Aggregation expression for a booking's net takings
+  updateRefundStatus,    // Set the payment status from the ledger
+  getPaymentIntentIds,   // PaymentIntents the booking was paid with
+  getRefundSummary,      // Captured, refunded, and refundable amounts
+  issueRefund,           // Refund and record it
+  refundStrayPayment     // Refund a payment that doesn't pay for its booking
+};
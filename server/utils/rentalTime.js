@@ -0,0 +1,106 @@
+// ============================================
+// RENTAL TIME HELPERS
+// Pickup and return times are wall-clock times at the pickup location,
+// so day counts and opening hours are worked out in the location's timezone
+// rather than the server's
+// ============================================
+
+// Grace period and fallback timezone
+const { gracePeriodMinutes, defaultTimezone } = require('../config/booking');
+
+// Milliseconds in one minute and in one 24-hour rental block
+const MINUTE_MS = 1000 * 60;
+const DAY_MS = MINUTE_MS * 60 * 24;
+
+// Day names indexed by dayOfWeek (0 = Sunday)
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Matches an ISO string that carries its own offset ("Z" or "+02:00")
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+// Shift an instant to its wall-clock time in a timezone
+// The returned Date's UTC fields hold the local date and time, which makes
+// local calendar arithmetic immune to DST changes
+// Returns the wall-clock time expressed as a UTC date
+const toWallClock = (date, timezone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+};
+
+// Parse a pickup or return time
+// Strings with an offset are taken as-is; strings without one
+// (e.g. "2024-06-01T10:00") are wall-clock times in the given timezone
+// Returns the parsed instant
+const parseRentalTime = (value, timezone = defaultTimezone) => {
+  if (value instanceof Date || OFFSET_PATTERN.test(value)) return new Date(value);
+
+  // Read the string as if it were UTC, then shift by the zone's offset at that time
+  const naive = new Date(`${value}Z`);
+  if (Number.isNaN(naive.getTime())) return naive;
+  const offset = toWallClock(naive, timezone) - naive;
+  const guess = new Date(naive.getTime() - offset);
+
+  // Re-check the offset at the guessed instant in case a DST change falls in between
+  const correctedOffset = toWallClock(guess, timezone) - guess;
+  return correctedOffset === offset ? guess : new Date(naive.getTime() - correctedOffset);
+};
+
+// Count billable rental days
+// Every started 24-hour block is a day, except that a return within the
+// grace period of the last block is free. Blocks are measured in local time,
+// so a 10:00 to 10:00 rental is whole days even across a DST change
+// graceMinutes are the minutes allowed past a block before it is billed
+// Returns the billable days (0 when the return is not after the pickup)
+const calculateBillableDays = (start, end, timezone = defaultTimezone, graceMinutes = gracePeriodMinutes) => {
+  const duration = toWallClock(end, timezone) - toWallClock(start, timezone);
+  if (duration <= 0) return 0;
+
+  const fullBlocks = Math.floor(duration / DAY_MS);
+  const overrun = duration - fullBlocks * DAY_MS;
+  const days = overrun > graceMinutes * MINUTE_MS ? fullBlocks + 1 : fullBlocks;
+
+  // Any rental is at least one day
+  return Math.max(days, 1);
+};
+
+// Check a pickup or return time falls within a location's opening hours
+// Locations without any opening hours configured are treated as always open
+// label ("Pickup" or "Return") starts the message
+// Returns an error message, or null when the location is open
+const checkOpeningHours = (location, date, label) => {
+  if (!location.openingHours || location.openingHours.length === 0) return null;
+
+  const local = toWallClock(date, location.timezone);
+  const dayOfWeek = local.getUTCDay();
+  const time = local.toISOString().slice(11, 16);
+  const hours = location.openingHours.find(h => h.dayOfWeek === dayOfWeek);
+
+  if (!hours || hours.closed) {
+    return `${location.name} is closed on ${DAY_NAMES[dayOfWeek]}s`;
+  }
+  if (time < hours.open || time > hours.close) {
+    return `${label} time must be between ${hours.open} and ${hours.close} at ${location.name} (${location.timezone})`;
+  }
+  return null;
+};
+
+// Export rental time helpers
+module.exports = {
+  toWallClock,           // Instant to local wall-clock time
+  parseRentalTime,       // Parse request times in a location's timezone
+  calculateBillableDays, // 24-hour blocks plus grace period
+  checkOpeningHours      // Validate a time against opening hours
+};
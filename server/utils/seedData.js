@@ -15,6 +15,11 @@ require('dotenv').config({ path: path.join(__dirname, '..', '..', '.env') });
 const Car = require('../models/Car');     // Car model for vehicle data
 const Extra = require('../models/Extra'); // Extra model for booking add-ons
 const User = require('../models/User');   // User model for test accounts
+const CancellationPolicy = require('../models/CancellationPolicy'); // Refund rules for cancellations
+const PricingRule = require('../models/PricingRule'); // Seasonal, weekend, and duration pricing
+const PromoCode = require('../models/PromoCode');     // Checkout discount codes
+const TaxConfig = require('../models/TaxConfig');     // Location taxes and fees
+const Location = require('../models/Location');       // Pickup/drop-off branches
 
 // ============================================
 // SAMPLE CAR DATA - 15 cars across 4 categories
@@ -339,16 +344,21 @@ const extras = [
     category: 'convenience',
     icon: 'map',
     available: true,
-    maxQuantity: 1
+    maxQuantity: 1,
+    // Units stocked per location (mapped to location ids when seeding)
+    stock: { 'Main Office': 3, 'Airport Terminal': 5 }
   },
   {
     name: 'Child Safety Seat',
     description: 'Rear-facing or forward-facing car seat suitable for children. Safety tested and approved.',
+    pricingMode: 'per_day_capped',
     pricePerDay: 12,
+    priceCap: 72,
     category: 'child-safety',
     icon: 'baby',
     available: true,
-    maxQuantity: 3
+    maxQuantity: 3,
+    stock: { 'Main Office': 4, 'Airport Terminal': 6 }
   },
   {
     name: 'Booster Seat',
@@ -359,15 +369,6 @@ const extras = [
     available: true,
     maxQuantity: 3
   },
-  {
-    name: 'Additional Driver',
-    description: 'Add another authorized driver to your rental agreement.',
-    pricePerDay: 15,
-    category: 'convenience',
-    icon: 'user-plus',
-    available: true,
-    maxQuantity: 2
-  },
   {
     name: 'Roadside Assistance Plus',
     description: 'Enhanced roadside assistance with priority service and extended coverage.',
@@ -384,10 +385,170 @@ const extras = [
     category: 'convenience',
     icon: 'wifi',
     available: true,
+    maxQuantity: 1,
+    stock: { 'Airport Terminal': 5 }
+  },
+  {
+    name: 'Prepaid Fuel',
+    description: 'Return the car at any fuel level - a full tank is paid for up front.',
+    pricingMode: 'per_rental',
+    flatPrice: 65,
+    category: 'convenience',
+    icon: 'gas',
+    available: true,
     maxQuantity: 1
   }
 ];
 
+// ============================================
+// PRICING RULES
+// ============================================
+
+// Current year for the seasonal rule's date range
+const seedYear = new Date().getFullYear();
+
+// Multipliers: above 1 is a surcharge, below 1 is a discount
+const pricingRules = [
+  {
+    name: 'Summer peak season',
+    type: 'seasonal',
+    multiplier: 1.2,
+    startDate: new Date(Date.UTC(seedYear, 5, 15)),  // June 15
+    endDate: new Date(Date.UTC(seedYear, 7, 31)),    // August 31
+    priority: 0
+  },
+  {
+    name: 'Summer peak season (luxury & sports)',
+    type: 'seasonal',
+    multiplier: 1.35,
+    startDate: new Date(Date.UTC(seedYear, 5, 15)),
+    endDate: new Date(Date.UTC(seedYear, 7, 31)),
+    carTypes: ['luxury', 'sports'],
+    priority: 0
+  },
+  {
+    name: 'Weekend surcharge',
+    type: 'weekend',
+    multiplier: 1.15,
+    daysOfWeek: [0, 6] // Sunday and Saturday
+  },
+  {
+    name: 'Weekly discount',
+    type: 'duration',
+    multiplier: 0.9,
+    minDays: 7
+  },
+  {
+    name: 'Monthly discount',
+    type: 'duration',
+    multiplier: 0.8,
+    minDays: 30
+  }
+];
+
+// ============================================
+// PROMO CODES
+// ============================================
+
+const promoCodes = [
+  {
+    code: 'WELCOME10',
+    description: '10% off your first rental',
+    discountType: 'percent',
+    value: 10,
+    maxPerUser: 1
+  },
+  {
+    code: 'WEEKLY25',
+    description: '$25 off rentals of a week or longer',
+    discountType: 'fixed',
+    value: 25,
+    minDays: 7,
+    maxRedemptions: 100
+  }
+];
+
+// ============================================
+// LOCATIONS
+// ============================================
+
+// Weekly hours helper - same hours every day
+const everyDay = (open, close) => [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({ dayOfWeek, open, close }));
+
+const locations = [
+  {
+    name: 'Main Office',
+    address: { street: '100 Market Street', city: 'San Francisco', state: 'CA', zipCode: '94105', country: 'USA' },
+    coordinates: { lat: 37.7936, lng: -122.3958 },
+    // Closed on Sundays
+    openingHours: [
+      { dayOfWeek: 0, closed: true },
+      ...[1, 2, 3, 4, 5].map(dayOfWeek => ({ dayOfWeek, open: '08:00', close: '18:00' })),
+      { dayOfWeek: 6, open: '09:00', close: '16:00' }
+    ],
+    timezone: 'America/Los_Angeles'
+  },
+  {
+    name: 'Airport Terminal',
+    address: { street: '780 S Airport Blvd', city: 'San Francisco', state: 'CA', zipCode: '94128', country: 'USA' },
+    coordinates: { lat: 37.6213, lng: -122.3790 },
+    openingHours: everyDay('05:00', '23:30'),
+    timezone: 'America/Los_Angeles',
+    // Airport returns cost more to reposition
+    oneWayFee: 95
+  }
+];
+
+// ============================================
+// TAX CONFIGURATIONS
+// ============================================
+
+// The default applies to every location without its own configuration
+// (keyed by location name here, replaced by the location's ID when seeded)
+const taxConfigs = [
+  {
+    isDefault: true,
+    components: [
+      { name: 'State sales tax', category: 'tax', calculation: 'percent', rate: 8 },
+      { name: 'County tax', category: 'tax', calculation: 'percent', rate: 2 }
+    ]
+  },
+  {
+    location: 'Airport Terminal',
+    components: [
+      { name: 'State sales tax', category: 'tax', calculation: 'percent', rate: 8 },
+      { name: 'County tax', category: 'tax', calculation: 'percent', rate: 2 },
+      { name: 'Airport concession fee', category: 'fee', calculation: 'percent', rate: 11.1 },
+      { name: 'Customer facility charge', category: 'fee', calculation: 'per_day', rate: 6 }
+    ]
+  }
+];
+
+// ============================================
+// CANCELLATION POLICIES
+// ============================================
+
+// Refund tiers: hoursBeforePickup = minimum notice, refundPercent = share of payment returned
+const cancellationPolicies = [
+  {
+    name: 'Standard',
+    description: 'Free cancellation up to 48 hours before pickup, 50% refund after that. No refund once the rental has started.',
+    tiers: [
+      { hoursBeforePickup: 48, refundPercent: 100 },
+      { hoursBeforePickup: 0, refundPercent: 50 }
+    ],
+    isActive: true
+  },
+  {
+    name: 'Flexible',
+    description: 'Free cancellation up to 24 hours before pickup. No refund after that.',
+    tiers: [
+      { hoursBeforePickup: 24, refundPercent: 100 }
+    ],
+    isActive: false
+  }
+];
+
 // ============================================
 // TEST USER ACCOUNTS
 // ============================================
@@ -407,7 +568,16 @@ const testUser = {
   email: 'john@example.com',
   password: 'password123',
   role: 'user',
-  phone: '555-0101'
+  phone: '555-0101',
+  // Pre-verified so the test account can book straight away (no images are seeded)
+  license: {
+    number: 'D1234567',
+    country: 'United States',
+    expiresAt: new Date(new Date().getFullYear() + 5, 0, 1),
+    status: 'verified',
+    submittedAt: new Date(),
+    reviewedAt: new Date()
+  }
 };
 
 // ============================================
@@ -422,7 +592,12 @@ const seedDatabase = async () => {
     // Clear existing car and extra data (fresh start)
     await Car.deleteMany({});
     await Extra.deleteMany({});
-    console.log('Cleared existing cars and extras');
+    await CancellationPolicy.deleteMany({});
+    await PricingRule.deleteMany({});
+    await PromoCode.deleteMany({});
+    await TaxConfig.deleteMany({});
+    await Location.deleteMany({});
+    console.log('Cleared existing cars, extras, cancellation policies, pricing rules, promo codes, tax configurations and locations');
 
     // Check if admin user already exists, create if not
     const existingAdmin = await User.findOne({ email: adminUser.email });
@@ -442,14 +617,44 @@ const seedDatabase = async () => {
       console.log('Test user already exists');
     }
 
+    // Insert locations, then assign each car to the location named in its data
+    const insertedLocations = await Location.insertMany(locations);
+    console.log(`${insertedLocations.length} locations inserted`);
+    const locationIds = Object.fromEntries(insertedLocations.map(l => [l.name, l._id]));
+
     // Insert all car documents into database
-    const insertedCars = await Car.insertMany(cars);
+    const insertedCars = await Car.insertMany(cars.map(car => ({
+      ...car,
+      homeLocation: locationIds[car.location],
+      currentLocation: locationIds[car.location]
+    })));
     console.log(`${insertedCars.length} cars inserted`);
 
-    // Insert all extra documents into database
-    const insertedExtras = await Extra.insertMany(extras);
+    // Insert all extra documents into database, with stock at the named locations
+    const insertedExtras = await Extra.insertMany(extras.map(({ stock = {}, ...extra }) => ({
+      ...extra,
+      inventory: Object.entries(stock).map(([name, quantity]) => ({ location: locationIds[name], quantity }))
+    })));
     console.log(`${insertedExtras.length} extras inserted`);
 
+    // Insert cancellation policies (Standard is active)
+    const insertedPolicies = await CancellationPolicy.insertMany(cancellationPolicies);
+    console.log(`${insertedPolicies.length} cancellation policies inserted`);
+
+    // Insert pricing rules
+    const insertedRules = await PricingRule.insertMany(pricingRules);
+    console.log(`${insertedRules.length} pricing rules inserted`);
+
+    // Insert promo codes
+    const insertedCodes = await PromoCode.insertMany(promoCodes);
+    console.log(`${insertedCodes.length} promo codes inserted`);
+
+    // Insert location tax configurations for the named locations
+    const insertedTaxConfigs = await TaxConfig.insertMany(
+      taxConfigs.map(config => ({ ...config, location: config.location && locationIds[config.location] }))
+    );
+    console.log(`${insertedTaxConfigs.length} tax configurations inserted`);
+
     // Print summary and test credentials
     console.log('\n=== Seed Data Complete ===');
     console.log('\nTest Credentials:');
@@ -0,0 +1,141 @@
+// ============================================
+// FILE STORAGE
+// Saves, reads, and deletes uploaded files on local disk or in an
+// S3-compatible bucket, depending on STORAGE_DRIVER. Files are addressed
+// by key (e.g. "licenses/<userId>/<random>.jpg") and are never served
+// publicly - routes stream them to authorized users
+// ============================================
+
+// File system and path utilities for local storage
+const fs = require('fs');
+const path = require('path');
+// Random file names
+const crypto = require('crypto');
+// S3 client for bucket storage
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+// Storage settings
+const { driver, uploadDir, s3 } = require('../config/storage');
+// Error class for missing files
+const { AppError } = require('../middleware/errorHandler');
+
+// File extension for each accepted content type
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf'
+};
+
+// Content type for each stored extension (local files have no metadata)
+const CONTENT_TYPES = Object.fromEntries(Object.entries(EXTENSIONS).map(([type, ext]) => [ext, type]));
+
+// S3 client, created on first use so local deployments need no credentials
+let s3Client = null;
+const getS3Client = () => {
+  if (!s3Client) {
+    s3Client = new S3Client({
+      region: s3.region,
+      endpoint: s3.endpoint,
+      forcePathStyle: s3.forcePathStyle,
+      ...(s3.accessKeyId && {
+        credentials: { accessKeyId: s3.accessKeyId, secretAccessKey: s3.secretAccessKey }
+      })
+    });
+  }
+  return s3Client;
+};
+
+// Resolve a key to a path inside the upload directory (rejecting keys that escape it)
+const localPath = (key) => {
+  const root = path.resolve(uploadDir);
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) throw new AppError('File not found', 404);
+  return filePath;
+};
+
+// Store an uploaded Multer file under a random name in folder (e.g. "licenses/<userId>")
+// Returns the key of the stored file
+const saveFile = async (file, folder) => {
+  const key = `${folder}/${crypto.randomBytes(16).toString('hex')}${EXTENSIONS[file.mimetype] || ''}`;
+
+  if (driver === 's3') {
+    await getS3Client().send(new PutObjectCommand({
+      Bucket: s3.bucket,
+      Key: key,
+      Body: file.buffer,
+      ContentType: file.mimetype
+    }));
+  } else {
+    const filePath = localPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, file.buffer);
+  }
+
+  return key;
+};
+
+// Open a stored file (by the key saveFile returned) for streaming to the client
+// Returns { stream, contentType }
+// Throws AppError 404 when the file doesn't exist
+const readFile = async (key) => {
+  if (driver === 's3') {
+    try {
+      const object = await getS3Client().send(new GetObjectCommand({ Bucket: s3.bucket, Key: key }));
+      return { stream: object.Body, contentType: object.ContentType };
+    } catch (error) {
+      if (error.name === 'NoSuchKey') throw new AppError('File not found', 404);
+      throw error;
+    }
+  }
+
+  const filePath = localPath(key);
+  try {
+    await fs.promises.access(filePath);
+  } catch (error) {
+    throw new AppError('File not found', 404);
+  }
+  return {
+    stream: fs.createReadStream(filePath),
+    contentType: CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream'
+  };
+};
+
+// Delete a stored file - failures are logged, never thrown, since a
+// leftover file shouldn't fail the request that replaced it
+const deleteFile = async (key) => {
+  if (!key) return;
+  try {
+    if (driver === 's3') {
+      await getS3Client().send(new DeleteObjectCommand({ Bucket: s3.bucket, Key: key }));
+    } else {
+      await fs.promises.unlink(localPath(key));
+    }
+  } catch (error) {
+    console.error(`Error deleting stored file ${key}:`, error.message);
+  }
+};
+
+// Stream a stored file as the response
+const sendFile = async (res, key) => {
+  const { stream, contentType } = await readFile(key);
+  res.set({
+    'Content-Type': contentType,
+    // Private documents must not be cached by shared caches
+    'Cache-Control': 'private, no-store'
+  });
+  // Headers are already sent once streaming starts, so a read error can only end the response
+  stream.on('error', (error) => {
+    console.error(`Error streaming stored file ${key}:`, error.message);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+// Export storage helpers
+module.exports = {
+  ACCEPTED_TYPES: Object.keys(EXTENSIONS), // Content types that can be uploaded
+  saveFile,   // Store an uploaded file
+  readFile,   // Open a stored file
+  deleteFile, // Remove a stored file
+  sendFile    // Stream a stored file to the client
+};
@@ -0,0 +1,62 @@
+// ============================================
+// TAX AND FEE CALCULATION
+// Turns a pickup location's tax configuration into priced line items
+// ============================================
+
+// Shared cent rounding used by the pricing engine
+const { roundCents } = require('./pricingRules');
+
+// Components charged when no tax configuration matches the pickup location
+// (matches the flat 10% tax charged before configurations existed)
+const DEFAULT_COMPONENTS = [
+  { name: 'Tax', category: 'tax', calculation: 'percent', rate: 10 }
+];
+
+// Build the label shown for a component on the price breakdown
+const describeComponent = ({ name, calculation, rate }) => (
+  calculation === 'percent' ? `${name} (${rate}%)` : `${name} ($${rate}/day)`
+);
+
+// Price each tax/fee component for a rental
+// Percentage components apply to the discounted subtotal; per-day components
+// are flat amounts per rental day. Components never compound on one another.
+// subtotal is rental + extras after discounts; components are TaxConfig components (or DEFAULT_COMPONENTS)
+// Returns { taxAmount, feesAmount, lineItems }
+const calculateTaxes = ({ components, subtotal, totalDays }) => {
+  let taxAmount = 0;
+  let feesAmount = 0;
+
+  const lineItems = components.map((component) => {
+    const perDay = component.calculation === 'per_day';
+    const amount = roundCents(perDay
+      ? component.rate * totalDays
+      : subtotal * component.rate / 100);
+
+    // Keep tax and fee totals separate for revenue reporting
+    if (component.category === 'fee') {
+      feesAmount += amount;
+    } else {
+      taxAmount += amount;
+    }
+
+    return {
+      kind: component.category === 'fee' ? 'fee' : 'tax',
+      label: describeComponent(component),
+      unit: perDay ? 'day' : 'rental',
+      quantity: perDay ? totalDays : 1,
+      amount
+    };
+  });
+
+  return {
+    taxAmount: roundCents(taxAmount),
+    feesAmount: roundCents(feesAmount),
+    lineItems
+  };
+};
+
+// Export tax helpers
+module.exports = {
+  DEFAULT_COMPONENTS, // Fallback 10% tax
+  calculateTaxes      // Price components into line items
+};
@@ -0,0 +1,165 @@
+// ============================================
+// WAITLIST
+// Customers wait for a fully booked car (or any car of a type) to free up
+// for their dates. When a window frees up - a cancellation, an expired hold,
+// a blackout removed or moved, a booking moved to other dates, or an earlier
+// offer lapsing - the first customer in line whose dates now fit is offered
+// the car. An offer holds the car for them for a limited time: nobody else
+// can book over it until they book it or the offer lapses
+// ============================================
+
+// Waitlist model for customers waiting for a car
+const Waitlist = require('../models/Waitlist');
+// Booking model for overlap rules and blocking bookings
+const Booking = require('../models/Booking');
+// Blackout model for periods cars are out of service
+const Blackout = require('../models/Blackout');
+// Car model for loading the freed car
+const Car = require('../models/Car');
+// AuditLog model for recording system offers
+const AuditLog = require('../models/AuditLog');
+// In-app notifications for customers
+const { notifyUser } = require('./notifications');
+// How long an offer holds the car
+const { waitlistOfferMinutes } = require('../config/booking');
+
+// Format a time in the timezone the customer entered their dates in
+const formatTime = (date, timezone) => date.toLocaleString('en-US', {
+  timeZone: timezone,
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+  timeZoneName: 'short'
+});
+
+// Find an active waitlist offer holding a car during a rental window
+// options: { userId } ignores that customer's own offers; { excludeEntryId } ignores one entry
+// Returns the waitlist entry holding the car, or null
+const findHoldingOffer = (car, start, end, { userId, excludeEntryId } = {}) => Waitlist.findOne({
+  ...Waitlist.activeOfferFilter(car._id),
+  ...Booking.overlapFilter(start, end, car.getTurnaroundMinutes()),
+  ...(userId && { user: { $ne: userId } }),
+  ...(excludeEntryId && { _id: { $ne: excludeEntryId } })
+});
+
+// Check a car is free for a whole rental window - no blocking booking, blackout, or offer to someone else
+// Returns whether the car can be booked (or offered) for the window
+const isCarFree = async (car, start, end, options = {}) => {
+  const booking = await Booking.exists({
+    car: car._id,
+    ...Booking.blockingFilter(),
+    ...Booking.overlapFilter(start, end, car.getTurnaroundMinutes())
+  });
+  if (booking) return false;
+  if (await Blackout.findOverlapping(car._id, start, end)) return false;
+  return !(await findHoldingOffer(car, start, end, options));
+};
+
+// Offer a car whose window has freed up to waiting customers, in line order
+// Each entry whose whole window now fits gets an offer, so a long freed window can
+// serve several customers with different dates. Failures are logged, never thrown -
+// a failed offer shouldn't fail the cancellation (or other action) that freed the window
+// Returns the number of offers made
+const offerFreedWindow = async (carOrId, start, end) => {
+  try {
+    const car = carOrId instanceof Car ? carOrId : await Car.findById(carOrId);
+    if (!car || !car.available) return 0;
+
+    const now = new Date();
+
+    // Entries overlapping the freed window that haven't started, for this car or
+    // (at the car's location, if they chose one) any car of its type
+    const candidates = await Waitlist.find({
+      status: 'waiting',
+      startDate: { $gt: now, $lt: end },
+      endDate: { $gt: start },
+      $or: [
+        { car: car._id },
+        { car: null, carType: car.type, location: null },
+        ...(car.currentLocation ? [{ car: null, carType: car.type, location: car.currentLocation }] : [])
+      ]
+    }).sort({ createdAt: 1 });
+
+    let offers = 0;
+
+    for (const entry of candidates) {
+      if (!(await isCarFree(car, entry.startDate, entry.endDate, { excludeEntryId: entry._id }))) continue;
+
+      // Conditional update so an entry cancelled meanwhile is never offered
+      const expiresAt = new Date(now.getTime() + waitlistOfferMinutes * 60 * 1000);
+      const offered = await Waitlist.findOneAndUpdate(
+        { _id: entry._id, status: 'waiting' },
+        { status: 'offered', offer: { car: car._id, offeredAt: now, expiresAt } },
+        { new: true }
+      );
+      if (!offered) continue;
+
+      await notifyUser(offered.user, {
+        type: 'waitlist_offer',
+        title: `${car.brand} ${car.model} is available for your dates`,
+        message: `A car you were waiting for has freed up from ${formatTime(offered.startDate, offered.timezone)} ` +
+          `to ${formatTime(offered.endDate, offered.timezone)}. It is held for you until ` +
+          `${formatTime(expiresAt, offered.timezone)} - book it from your profile before then.`
+      });
+
+      // Record the offer as a system action
+      await AuditLog.log({
+        action: 'WAITLIST_OFFER',
+        resource: 'waitlist',
+        resourceId: offered._id,
+        details: {
+          userId: offered.user,
+          carId: car._id,
+          startDate: offered.startDate,
+          endDate: offered.endDate,
+          expiresAt
+        }
+      });
+
+      offers += 1;
+    }
+
+    return offers;
+  } catch (error) {
+    console.error('Error offering freed window to waitlist:', error.message);
+    return 0;
+  }
+};
+
+// Mark a customer's waitlist entries as booked once they book a car they were waiting for
+// Covers any entry for the same car or type overlapping the booking. An offer held on a
+// different car is given up, so that car goes to the next in line
+// Returns the number of entries fulfilled
+const fulfilWaitlist = async (booking, car) => {
+  const entries = await Waitlist.find({
+    user: booking.user,
+    status: { $in: ['waiting', 'offered'] },
+    $or: [
+      { 'offer.car': car._id },
+      { car: car._id },
+      { car: null, carType: car.type }
+    ],
+    ...Booking.overlapFilter(booking.startDate, booking.endDate)
+  });
+
+  for (const entry of entries) {
+    const releasedCar = entry.status === 'offered' && !entry.offer.car.equals(car._id) ? entry.offer.car : null;
+
+    entry.status = 'booked';
+    entry.booking = booking._id;
+    await entry.save();
+
+    if (releasedCar) await offerFreedWindow(releasedCar, entry.startDate, entry.endDate);
+  }
+
+  return entries.length;
+};
+
+// Export waitlist helpers
+module.exports = {
+  findHoldingOffer, // Find an offer holding a car
+  isCarFree,        // Check a car is free for a window
+  offerFreedWindow, // Offer a freed window to the waitlist
+  fulfilWaitlist    // Mark entries booked after a booking
+};